@@ -4,6 +4,17 @@ import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
 import authRoutes from "./routes/auth.routes.js";
 import userRoutes from "./routes/user.routes.js";
+import assetRoutes from "./routes/asset.routes.js";
+import issueRoutes from "./routes/issue.routes.js";
+import repairRoutes from "./routes/repair.routes.js";
+import upgradeRoutes from "./routes/upgrade.routes.js";
+import stockRoutes from "./routes/stock.routes.js";
+import reportRoutes from "./routes/report.routes.js";
+import organizationRoutes from "./routes/organization.routes.js";
+import branchRoutes from "./routes/branch.routes.js";
+import serviceAccountRoutes from "./routes/serviceAccount.routes.js";
+import wellKnownRoutes from "./routes/wellKnown.routes.js";
+import { rateLimits } from "./middlewares/rateLimit.middleware.js";
 import { apiError } from "./utils/apiError.js";
 
 // Load environment variables
@@ -11,6 +22,12 @@ dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy req.ip (rate limits, audit trail) must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 
 /* ===============================
    Global Middlewares
@@ -25,7 +42,18 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  // X-API-Key: service account API keys (see serviceAccountService)
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  // Report exports name the downloaded file through Content-Disposition;
+  // rate limit headers let the frontend tell users how long to wait
+  exposedHeaders: [
+    'Content-Disposition',
+    'Retry-After',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy'
+  ]
 };
 
 app.use(cors(corsOptions));
@@ -48,8 +76,21 @@ app.get("/", (req, res) => {
 /* ===============================
    Routes
 ================================ */
+// Per-IP limit for the whole API; routes add stricter policies (see rateLimit.middleware)
+app.use("/api/v1", rateLimits.api);
+
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
+app.use("/api/v1/assets", assetRoutes);
+app.use("/api/v1/issues", issueRoutes);
+app.use("/api/v1/repairs", repairRoutes);
+app.use("/api/v1/upgrades", upgradeRoutes);
+app.use("/api/v1/stock", stockRoutes);
+app.use("/api/v1/reports", reportRoutes);
+app.use("/api/v1/organizations", organizationRoutes);
+app.use("/api/v1/branches", branchRoutes);
+app.use("/api/v1/service-accounts", serviceAccountRoutes);
+app.use("/.well-known", wellKnownRoutes);
 
 /* ===============================
    Global Error Handler
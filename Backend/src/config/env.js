@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { DEVELOPMENT_KEY_ENCRYPTION_SECRET } from '../services/keyRing.service.js';
 
 // Load environment variables
 dotenv.config({ path: './.env' });
@@ -7,8 +8,6 @@ const requiredEnvVars = [
   'PORT',
   'NODE_ENV',
   'MONGO_URI',
-  'ACCESS_TOKEN_SECRET',
-  'REFRESH_TOKEN_SECRET',
   'CORS_ORIGIN',
 ];
 
@@ -16,8 +15,71 @@ const optionalEnvVars = [
   'LOG_LEVEL',
   'PAGE_LIMIT',
   'PASSWORD_LENGTH',
+  'DEFAULT_PASSWORD',
   'ACCESS_TOKEN_EXPIRY',
   'REFRESH_TOKEN_EXPIRY',
+  'REFRESH_TOKEN_REUSE_GRACE_SECONDS',
+  'REPORT_SCHEDULER_ENABLED',
+  'REPORT_SCHEDULER_INTERVAL_MS',
+  'REPORT_INBOX_DIR',
+  'REPORT_INBOX_RETENTION_DAYS',
+  'MAIL_TRANSPORT',
+  'MAIL_FROM',
+  'MAIL_OUTBOX_DIR',
+  'APP_BASE_URL',
+  'MFA_ISSUER',
+  'MFA_CHALLENGE_EXPIRY',
+  'WEBAUTHN_RP_ID',
+  'WEBAUTHN_RP_NAME',
+  'WEBAUTHN_ORIGINS',
+  'WEBAUTHN_TIMEOUT_MS',
+  'IMPERSONATION_MAX_MINUTES',
+  'PASSWORD_RESET_TOKEN_EXPIRY_MINUTES',
+  'PASSWORD_RESET_MAX_REQUESTS',
+  'REGISTRATION_VERIFICATION_EXPIRY_HOURS',
+  'LOCKOUT_MAX_ATTEMPTS',
+  'LOCKOUT_IP_MAX_ATTEMPTS',
+  'LOCKOUT_FAILURE_WINDOW',
+  'LOCKOUT_LADDER',
+  'OIDC_ISSUER',
+  'OIDC_CLIENT_ID',
+  'OIDC_CLIENT_SECRET',
+  'OIDC_REDIRECT_URI',
+  'OIDC_SCOPES',
+  'OIDC_PROVIDER_NAME',
+  'OIDC_EMAIL_CLAIM',
+  'OIDC_EMPLOYEE_ID_CLAIM',
+  'OIDC_NAME_CLAIM',
+  'OIDC_JIT_ENABLED',
+  'OIDC_JIT_ORGANIZATION_ID',
+  'LDAP_TIMEOUT_MS',
+  'LDAP_SYNC_ENABLED',
+  'LDAP_SYNC_INTERVAL_MS',
+  'API_KEY_MAX_LIFETIME_DAYS',
+  'JWT_KEY_ENCRYPTION_SECRET',
+  'JWT_SIGNING_ALGORITHM',
+  'JWT_ISSUER',
+  'JWT_KEY_ROTATION_INTERVAL',
+  'JWT_KEY_ROTATION_ENABLED',
+  'JWT_KEY_ROTATION_CHECK_MS',
+  'RATE_LIMIT_ENABLED',
+  'RATE_LIMIT_API',
+  'RATE_LIMIT_LOGIN',
+  'RATE_LIMIT_REFRESH',
+  'RATE_LIMIT_PASSWORD_RESET',
+  'RATE_LIMIT_REGISTER',
+  'RATE_LIMIT_USERS',
+  'TRUST_PROXY',
+];
+
+// Secrets that have shipped as defaults or samples; never accepted outside development
+const DEFAULT_SECRETS = [
+  'ACCESS_TOKEN_DEFAULT',
+  'REFRESH_TOKEN_DEFAULT',
+  DEVELOPMENT_KEY_ENCRYPTION_SECRET,
+  'DLIJljlki6gk9hnLDF936JSFgKghlcZCUte53NJB_EKHvhjVjkjb7yt5vvuyVIYBi6rYUV7R',
+  'HLjkgifvJUt87tiugyu242r654776RTI35oy76r7TI98Y76TYpiTg2u8T76TPOITRbkjFKHF7tu7',
+  'change-me-to-a-long-random-string',
 ];
 
 /**
@@ -46,6 +108,16 @@ export function validateEnv() {
     );
   }
 
+  // Signing keys are encrypted with JWT_KEY_ENCRYPTION_SECRET; only development may fall back to a default
+  if (process.env.NODE_ENV !== 'development') {
+    const secret = process.env.JWT_KEY_ENCRYPTION_SECRET;
+    if (!secret || secret.length < 32 || DEFAULT_SECRETS.includes(secret)) {
+      throw new Error(
+        'JWT_KEY_ENCRYPTION_SECRET must be set to a random value of at least 32 characters outside development'
+      );
+    }
+  }
+
   // Parse CORS_ORIGIN
   const corsOrigin = process.env.CORS_ORIGIN;
   if (corsOrigin === '*' && process.env.NODE_ENV === 'production') {
@@ -78,9 +150,7 @@ export function getEnvConfig() {
     logLevel: process.env.LOG_LEVEL || 'info',
     pageLimit: parseInt(process.env.PAGE_LIMIT || '10'),
     passwordLength: parseInt(process.env.PASSWORD_LENGTH || '8'),
-    accessTokenSecret: process.env.ACCESS_TOKEN_SECRET,
     accessTokenExpiry: process.env.ACCESS_TOKEN_EXPIRY || '15m',
-    refreshTokenSecret: process.env.REFRESH_TOKEN_SECRET,
     refreshTokenExpiry: process.env.REFRESH_TOKEN_EXPIRY || '10d',
     isDevelopment: process.env.NODE_ENV === 'development',
     isProduction: process.env.NODE_ENV === 'production',
@@ -0,0 +1,140 @@
+import assetService from "../services/asset.service.js";
+import custodyService from "../services/custody.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { apiError } from "../utils/apiError.js";
+
+/**
+ * Asset Controller - Handles HTTP requests for asset inventory
+ * All handlers expect verifyJWT + populatePermissions to have run,
+ * scope checks (organization/branch) happen in assetService.
+ */
+
+// =====================================================
+// LIST ASSETS CONTROLLER
+// =====================================================
+export const listAssets = asyncHandler(async (req, res) => {
+  const result = await assetService.listAssets(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, result, "Assets retrieved successfully"));
+});
+
+// =====================================================
+// GET ASSET CONTROLLER
+// =====================================================
+export const getAssetById = asyncHandler(async (req, res) => {
+  const asset = await assetService.getAssetById(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, asset, "Asset retrieved successfully"));
+});
+
+// =====================================================
+// CREATE ASSET CONTROLLER
+// =====================================================
+export const createAsset = asyncHandler(async (req, res) => {
+  const asset = await assetService.createAsset(req.user, req.body);
+
+  return res.status(201).json(new apiResponse(201, asset, "Asset created successfully"));
+});
+
+// =====================================================
+// UPDATE ASSET CONTROLLER
+// =====================================================
+export const updateAsset = asyncHandler(async (req, res) => {
+  const asset = await assetService.updateAsset(req.user, req.params.id, req.body);
+
+  return res.status(200).json(new apiResponse(200, asset, "Asset updated successfully"));
+});
+
+// =====================================================
+// CHANGE STATUS CONTROLLER
+// =====================================================
+export const changeAssetStatus = asyncHandler(async (req, res) => {
+  const { status, remarks } = req.body;
+
+  if (!status) {
+    throw new apiError(400, "Status is required");
+  }
+
+  const asset = await assetService.changeStatus(req.user, req.params.id, status, remarks);
+
+  return res.status(200).json(new apiResponse(200, asset, `Asset status changed to ${asset.status}`));
+});
+
+// =====================================================
+// ASSIGN ASSET CONTROLLER
+// =====================================================
+export const assignAsset = asyncHandler(async (req, res) => {
+  const { userId, conditionNotes } = req.body;
+
+  if (!userId) {
+    throw new apiError(400, "User ID is required");
+  }
+
+  const asset = await assetService.assignAsset(req.user, req.params.id, userId, conditionNotes);
+
+  return res.status(200).json(new apiResponse(200, asset, "Asset assigned successfully"));
+});
+
+// =====================================================
+// TRANSFER ASSET CONTROLLER
+// =====================================================
+export const transferAsset = asyncHandler(async (req, res) => {
+  const { fromUserId, toUserId, toBranchId, conditionNotes } = req.body;
+
+  const asset = await assetService.transferAsset(req.user, req.params.id, {
+    fromUserId,
+    toUserId,
+    toBranchId,
+    conditionNotes,
+  });
+
+  return res.status(200).json(new apiResponse(200, asset, "Asset transferred successfully"));
+});
+
+// =====================================================
+// RETURN ASSET CONTROLLER
+// =====================================================
+export const returnAsset = asyncHandler(async (req, res) => {
+  const { conditionNotes } = req.body || {};
+
+  const asset = await assetService.returnAsset(req.user, req.params.id, conditionNotes);
+
+  return res.status(200).json(new apiResponse(200, asset, "Asset returned to stock"));
+});
+
+// =====================================================
+// ASSET CUSTODY HISTORY CONTROLLER
+// =====================================================
+export const getAssetCustody = asyncHandler(async (req, res) => {
+  const result = await custodyService.getAssetCustody(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, result, "Custody history retrieved successfully"));
+});
+
+// =====================================================
+// CUSTODY SEARCH CONTROLLER
+// =====================================================
+export const searchCustody = asyncHandler(async (req, res) => {
+  const periods = await custodyService.searchCustody(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, periods, "Custody periods retrieved successfully"));
+});
+
+// =====================================================
+// USER HOLDINGS CONTROLLER
+// =====================================================
+export const getUserHoldings = asyncHandler(async (req, res) => {
+  const result = await custodyService.getUserHoldings(req.user, req.params.userId);
+
+  return res.status(200).json(new apiResponse(200, result, "User holdings retrieved successfully"));
+});
+
+// =====================================================
+// DELETE ASSET CONTROLLER
+// =====================================================
+export const deleteAsset = asyncHandler(async (req, res) => {
+  await assetService.deleteAsset(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, null, "Asset deleted successfully"));
+});
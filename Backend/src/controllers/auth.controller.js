@@ -1,4 +1,11 @@
 import authService from "../services/auth.service.js";
+import mfaService from "../services/mfa.service.js";
+import passwordPolicyService from "../services/passwordPolicy.service.js";
+import lockoutService from "../services/lockout.service.js";
+import oidcService from "../services/oidc.service.js";
+import webauthnService from "../services/webauthn.service.js";
+import sessionService from "../services/session.service.js";
+import registrationService from "../services/registration.service.js";
 import {
   getRefreshTokenCookieOptions,
 } from "../utils/tokenUtils.js";
@@ -6,7 +13,7 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { apiResponse } from "../utils/apiResponse.js";
 import { apiError } from "../utils/apiError.js";
 import { v4 as uuidv4 } from "uuid";
-import jwt from "jsonwebtoken";
+import keyRingService, { TOKEN_TYPES } from "../services/keyRing.service.js";
 
 /**
  * Auth Controller - Handles HTTP requests for authentication
@@ -22,15 +29,24 @@ import jwt from "jsonwebtoken";
  *    - accessToken returned in response body (kept in memory/state)
  *    - Client stores: accessToken in memory/context, refreshToken in cookie (automatic)
  * 
+ *    - If the user has MFA (or their role requires it), login instead returns
+ *      { mfaRequired | mfaEnrollmentRequired, mfaToken, mfaMethods } and no tokens;
+ *      POST /mfa/verify { mfaToken, code | recoveryCode | webauthn } completes the login
+ * 
+ *    - Passkeys: POST /passkeys/login/options, then POST /passkeys/login with the
+ *      browser's assertion signs in without a password (same response as /login)
+ * 
  * 2. REQUEST FLOW (Authenticated):
  *    - Client sends accessToken in Authorization header (Bearer token)
  *    - Middleware verifies token - if invalid/expired, return 401
  *    - If token valid, proceed to route
  * 
  * 3. TOKEN REFRESH FLOW (when accessToken expires):
- *    - Client sends POST /refresh with deviceId
+ *    - Client sends POST /refresh (deviceId optional, taken from the token)
  *    - refreshToken auto-sent in cookie
  *    - Server validates refreshToken for device
+ *    - Rotates it: each refresh token works once; reusing a rotated one revokes
+ *      the device's whole token family and records a security event
  *    - Generates new accessToken + new refreshToken
  *    - Returns new accessToken in response + sets new refreshToken cookie
  *    - Client updates accessToken in memory
@@ -40,6 +56,12 @@ import jwt from "jsonwebtoken";
  *    - Server logs out device and clears refreshToken cookie
  *    - Client clears accessToken from memory
  * 
+ * 5. PASSWORD RESET FLOW:
+ *    - Client sends POST /forgot-password with loginId; the response is the same
+ *      whether or not an account matches (rate limited per loginId)
+ *    - The account's email receives a link with a single-use token (only its hash is stored)
+ *    - Client sends POST /reset-password with the token and new password; all devices are signed out
+ * 
  * SECURITY NOTES:
  * - Refresh token: httpOnly cookie (XSRF protected, secure)
  * - Access token: Response body (client stores in memory, included in Authorization header)
@@ -72,6 +94,28 @@ export const loginController = asyncHandler(async (req, res) => {
     userAgent
   );
 
+  return sendLoginResponse(res, result);
+});
+
+// Set the refresh cookie and send the login payload (shared by login, MFA verify and single sign-on).
+// First factor accepted but a second one pending: send the MFA challenge, no tokens yet.
+const sendLoginResponse = (res, result) => {
+  if (result.mfaRequired || result.mfaEnrollmentRequired) {
+    return res.status(200).json(
+      new apiResponse(200, {
+        mfaRequired: !!result.mfaRequired,
+        mfaEnrollmentRequired: !!result.mfaEnrollmentRequired,
+        mfaToken: result.mfaToken,
+        mfaMethods: result.mfaMethods || [],
+        deviceId: result.deviceId,
+      }, result.message)
+    );
+  }
+
+  return sendSessionResponse(res, result);
+};
+
+const sendSessionResponse = (res, result) => {
   // Set refresh token in httpOnly cookie
   const refreshTokenCookieOptions = getRefreshTokenCookieOptions();
   res.cookie("refreshToken", result.refreshToken, refreshTokenCookieOptions);
@@ -83,15 +127,216 @@ export const loginController = asyncHandler(async (req, res) => {
       accessToken: result.accessToken,
       deviceId: result.deviceId,
       forcePasswordChange: result.forcePasswordChange || false,
+      ...(result.recoveryCodes && { recoveryCodes: result.recoveryCodes }),
+      ...(result.recoveryCodesRemaining !== undefined && {
+        recoveryCodesRemaining: result.recoveryCodesRemaining,
+      }),
     }, result.message)
   );
+};
+
+// =====================================================
+// SINGLE SIGN-ON (OIDC) CONTROLLERS
+// =====================================================
+export const getOidcConfigController = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(new apiResponse(200, oidcService.getPublicConfig(), "Single sign-on configuration retrieved"));
+});
+
+export const startOidcLoginController = asyncHandler(async (req, res) => {
+  const deviceId = req.query.deviceId || uuidv4();
+
+  const result = await oidcService.startLogin(String(deviceId));
+
+  return res.status(200).json(new apiResponse(200, result, "Redirect to the identity provider"));
+});
+
+export const oidcCallbackController = asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+
+  if (!code || !state) {
+    throw new apiError(400, "Authorization code and state are required");
+  }
+
+  const ipAddress =
+    req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+  const userAgent = req.get("user-agent");
+
+  const result = await oidcService.completeLogin(code, state, ipAddress, userAgent);
+
+  return sendLoginResponse(res, result);
+});
+
+// =====================================================
+// MFA LOGIN STEP CONTROLLERS
+// =====================================================
+export const verifyMfaLoginController = asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode, webauthn } = req.body;
+
+  if (!mfaToken) {
+    throw new apiError(400, "mfaToken is required");
+  }
+  if (!code && !recoveryCode && !webauthn) {
+    throw new apiError(400, "Verification code, recovery code or passkey is required");
+  }
+
+  const ipAddress =
+    req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+  const userAgent = req.get("user-agent");
+
+  const result = await authService.verifyMfaLogin(
+    mfaToken,
+    { code: code ? String(code) : undefined, recoveryCode, webauthn },
+    ipAddress,
+    userAgent
+  );
+
+  return sendLoginResponse(res, result);
+});
+
+export const beginLoginMfaEnrollmentController = asyncHandler(async (req, res) => {
+  const { mfaToken } = req.body;
+
+  if (!mfaToken) {
+    throw new apiError(400, "mfaToken is required");
+  }
+
+  const result = await authService.beginLoginMfaEnrollment(mfaToken);
+
+  return res.status(200).json(new apiResponse(200, result, "Scan the code with your authenticator app"));
+});
+
+// =====================================================
+// PASSKEY LOGIN CONTROLLERS
+// =====================================================
+export const passkeyLoginOptionsController = asyncHandler(async (req, res) => {
+  const { mfaToken, deviceId } = req.body || {};
+
+  const result = await authService.beginPasskeyLogin(mfaToken || null, deviceId ? String(deviceId) : null);
+
+  return res.status(200).json(new apiResponse(200, result, "Confirm with your passkey"));
+});
+
+export const passkeyLoginController = asyncHandler(async (req, res) => {
+  const { credential, deviceId = uuidv4() } = req.body;
+
+  if (!credential) {
+    throw new apiError(400, "Passkey response is required");
+  }
+
+  const ipAddress =
+    req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+  const userAgent = req.get("user-agent");
+
+  const result = await authService.loginWithPasskey(credential, String(deviceId), ipAddress, userAgent);
+
+  return sendLoginResponse(res, result);
+});
+
+// =====================================================
+// MFA SETTINGS CONTROLLERS (authenticated user)
+// =====================================================
+export const getMfaStatusController = asyncHandler(async (req, res) => {
+  const result = await mfaService.getStatus(req.user.id);
+
+  return res.status(200).json(new apiResponse(200, result, "MFA status retrieved"));
+});
+
+export const beginMfaEnrollmentController = asyncHandler(async (req, res) => {
+  const result = await mfaService.beginEnrollment(req.user.id);
+
+  return res.status(200).json(new apiResponse(200, result, "Scan the code with your authenticator app"));
+});
+
+export const confirmMfaEnrollmentController = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new apiError(400, "Verification code is required");
+  }
+
+  const result = await mfaService.confirmEnrollment(req.user.id, String(code));
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, result, "Multi-factor authentication enabled. Store your recovery codes safely."));
+});
+
+export const disableMfaController = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const result = await mfaService.disable(req.user.id, { password, code: code ? String(code) : undefined });
+
+  return res.status(200).json(new apiResponse(200, null, result.message));
+});
+
+export const regenerateRecoveryCodesController = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new apiError(400, "Verification code is required");
+  }
+
+  const result = await mfaService.regenerateRecoveryCodes(req.user.id, String(code));
+
+  return res.status(200).json(new apiResponse(200, result, "New recovery codes generated"));
+});
+
+// =====================================================
+// PASSKEY SETTINGS CONTROLLERS (authenticated user)
+// =====================================================
+export const listPasskeysController = asyncHandler(async (req, res) => {
+  const result = await webauthnService.listCredentials(req.user.id);
+
+  return res.status(200).json(new apiResponse(200, result, "Passkeys retrieved"));
+});
+
+export const passkeyRegistrationOptionsController = asyncHandler(async (req, res) => {
+  const result = await webauthnService.beginRegistration(req.user.id, req.user.deviceId || null);
+
+  return res.status(200).json(new apiResponse(200, result, "Create the passkey on your device"));
+});
+
+export const registerPasskeyController = asyncHandler(async (req, res) => {
+  const { credential, name } = req.body;
+
+  if (!credential) {
+    throw new apiError(400, "Passkey response is required");
+  }
+
+  const ipAddress =
+    req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+  const userAgent = req.get("user-agent");
+
+  const result = await webauthnService.finishRegistration(req.user.id, credential, {
+    name,
+    deviceId: req.user.deviceId || null,
+    ipAddress,
+    userAgent,
+  });
+
+  return res.status(201).json(new apiResponse(201, result, "Passkey added"));
+});
+
+export const removePasskeyController = asyncHandler(async (req, res) => {
+  const ipAddress =
+    req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+  const result = await webauthnService.removeCredential(req.user.id, req.params.credentialId, {
+    ipAddress,
+    userAgent: req.get("user-agent"),
+  });
+
+  return res.status(200).json(new apiResponse(200, null, result.message));
 });
 
 // =====================================================
 // LOGOUT CONTROLLER
 // =====================================================
 export const logoutController = asyncHandler(async (req, res) => {
-  const { deviceId = uuidv4() } = req.body || {};
+  // Without an explicit deviceId, sign out the device the token belongs to
+  let deviceId = req.body?.deviceId || req.user?.deviceId || null;
   
   // Try to get userId from verified JWT (normal flow)
   let userId = req.user?.id;
@@ -99,11 +344,9 @@ export const logoutController = asyncHandler(async (req, res) => {
   // If not available, try to get from refreshToken in cookie
   if (!userId && req.cookies?.refreshToken) {
     try {
-      const decoded = jwt.verify(
-        req.cookies.refreshToken,
-        process.env.REFRESH_TOKEN_SECRET || "REFRESH_TOKEN_DEFAULT"
-      );
+      const decoded = await keyRingService.verifyToken(req.cookies.refreshToken, TOKEN_TYPES.REFRESH);
       userId = decoded.id;
+      deviceId = deviceId || decoded.deviceId;
     } catch (error) {
       // Continue without userId, will fail below
     }
@@ -132,10 +375,7 @@ export const logoutAllDevicesController = asyncHandler(async (req, res) => {
   // If not available, try to get from refreshToken in cookie
   if (!userId && req.cookies?.refreshToken) {
     try {
-      const decoded = jwt.verify(
-        req.cookies.refreshToken,
-        process.env.REFRESH_TOKEN_SECRET || "REFRESH_TOKEN_DEFAULT"
-      );
+      const decoded = await keyRingService.verifyToken(req.cookies.refreshToken, TOKEN_TYPES.REFRESH);
       userId = decoded.id;
     } catch (error) {
       // Continue without userId, will fail below
@@ -160,14 +400,17 @@ export const logoutAllDevicesController = asyncHandler(async (req, res) => {
 // =====================================================
 export const refreshTokenController = asyncHandler(async (req, res) => {
   const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
-  const { deviceId = uuidv4() } = req.body;
+  const { deviceId } = req.body || {};
 
   if (!refreshToken) {
     throw new apiError(401, "Refresh token is required");
   }
 
-  // Call service (deviceId is optional, will auto-generate if not provided)
-  const result = await authService.refreshTokens(refreshToken, deviceId);
+  const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+  const userAgent = req.get("user-agent");
+
+  // Call service (the device comes from the token; deviceId is optional and must match it)
+  const result = await authService.refreshTokens(refreshToken, deviceId, ipAddress, userAgent);
 
   // Set new refresh token in cookie
   const refreshTokenCookieOptions = getRefreshTokenCookieOptions();
@@ -175,6 +418,7 @@ export const refreshTokenController = asyncHandler(async (req, res) => {
 
   return res.status(200).json(new apiResponse(200, {
     accessToken: result.accessToken,
+    deviceId: result.deviceId,
   }, result.message));
 });
 
@@ -188,14 +432,39 @@ export const getActiveDevicesController = asyncHandler(async (req, res) => {
     throw new apiError(401, "Unauthorized");
   }
 
-  // Call service
-  const result = await authService.getActiveDevices(userId);
+  // Call service (the requesting device is flagged as current)
+  const devices = await sessionService.listSessions(userId, req.user.deviceId);
 
   return res.status(200).json(new apiResponse(200, {
-    devices: result.devices,
+    devices,
   }, "Active devices retrieved"));
 });
 
+// Request details recorded with session security events
+const sessionContext = (req) => ({
+  deviceId: req.user?.deviceId || null,
+  ipAddress: req.ip || req.connection.remoteAddress || req.socket.remoteAddress,
+  userAgent: req.get("user-agent"),
+});
+
+// =====================================================
+// SIGN OUT DEVICE CONTROLLER
+// =====================================================
+export const revokeDeviceController = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeSession(req.user.id, req.params.deviceId, sessionContext(req));
+
+  return res.status(200).json(new apiResponse(200, null, result.message));
+});
+
+// =====================================================
+// SIGN OUT OTHER DEVICES CONTROLLER
+// =====================================================
+export const revokeOtherDevicesController = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeOtherSessions(req.user.id, req.user.deviceId, sessionContext(req));
+
+  return res.status(200).json(new apiResponse(200, { revoked: result.revoked }, result.message));
+});
+
 // =====================================================
 // REVOKE TOKEN CONTROLLER
 // =====================================================
@@ -237,10 +506,7 @@ export const changePasswordController = asyncHandler(async (req, res) => {
     throw new apiError(400, "New password and confirm password do not match");
   }
 
-  if (newPassword.length < 8) {
-    throw new apiError(400, "New password must be at least 8 characters long");
-  }
-
+  // Length, character classes and reuse are checked against the password policy by the service
   // Call service
   const result = await authService.changePassword(
     userId,
@@ -256,6 +522,99 @@ export const changePasswordController = asyncHandler(async (req, res) => {
   return res.status(200).json(new apiResponse(200, null, result.message));
 });
 
+// =====================================================
+// FORGOT / RESET PASSWORD CONTROLLERS
+// =====================================================
+// Responses never reveal whether the loginId matches an account
+export const forgotPasswordController = asyncHandler(async (req, res) => {
+  const { loginId } = req.body;
+
+  if (!loginId || !String(loginId).trim()) {
+    throw new apiError(400, "Login ID (username/userId/email) is required");
+  }
+
+  const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+  const result = await authService.requestPasswordReset(String(loginId), ipAddress);
+
+  return res.status(200).json(new apiResponse(200, null, result.message));
+});
+
+export const verifyResetTokenController = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new apiError(400, "Reset token is required");
+  }
+
+  const result = await authService.verifyPasswordResetToken(String(token));
+
+  return res.status(200).json(new apiResponse(200, result, "Reset link is valid"));
+});
+
+export const resetPasswordController = asyncHandler(async (req, res) => {
+  const { token, newPassword, confirmPassword } = req.body;
+
+  if (!token || !newPassword || !confirmPassword) {
+    throw new apiError(400, "Token, new password and confirm password are required");
+  }
+
+  if (newPassword !== confirmPassword) {
+    throw new apiError(400, "New password and confirm password do not match");
+  }
+
+  const result = await authService.resetPassword(String(token), String(newPassword));
+
+  return res.status(200).json(new apiResponse(200, null, result.message));
+});
+
+// =====================================================
+// PASSWORD POLICY CONTROLLER
+// =====================================================
+// Rules for the authenticated user's organization, for live strength hints
+export const getPasswordPolicyController = asyncHandler(async (req, res) => {
+  const policy = await passwordPolicyService.getPolicyForOrganization(req.user.organizationId);
+
+  return res.status(200).json(new apiResponse(200, policy, "Password policy retrieved successfully"));
+});
+
+// =====================================================
+// SELF-SERVICE SIGN-UP AND PROFILE CONTROLLERS
+// =====================================================
+// No tokens are issued: the account confirms its email, then waits for approval by an
+// admin with user:create. The response is the same whether or not the email has an account.
+export const registerController = asyncHandler(async (req, res) => {
+  const { name, email, password, confirmPassword, phone_no, designation, inviteCode } = req.body || {};
+
+  if (confirmPassword !== undefined && password !== confirmPassword) {
+    throw new apiError(400, "Password and confirm password do not match");
+  }
+
+  const result = await registrationService.register(
+    { name, email, password, phone_no, designation, inviteCode },
+    sessionContext(req)
+  );
+
+  return res.status(202).json(new apiResponse(202, { pending: true }, result.message));
+});
+
+export const verifyRegistrationController = asyncHandler(async (req, res) => {
+  const result = await registrationService.verifyEmail(req.body?.token);
+
+  return res.status(200).json(new apiResponse(200, { pending: true }, result.message));
+});
+
+export const getProfileController = asyncHandler(async (req, res) => {
+  const user = await authService.getProfile(req.user.id);
+
+  return res.status(200).json(new apiResponse(200, user, "Profile retrieved successfully"));
+});
+
+export const updateProfileController = asyncHandler(async (req, res) => {
+  const user = await authService.updateProfile(req.user.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, user, "Profile updated successfully"));
+});
+
 // =====================================================
 // LOCK ACCOUNT CONTROLLER (Admin only)
 // =====================================================
@@ -266,8 +625,8 @@ export const lockAccountController = asyncHandler(async (req, res) => {
     throw new apiError(400, "User ID is required");
   }
 
-  // Call service
-  const result = await authService.lockAccount(userId, reason);
+  // Call service (scope and super admin checks happen there)
+  const result = await lockoutService.lockAccount(req.user, userId, reason);
 
   return res.status(200).json(new apiResponse(200, null, result.message));
 });
@@ -282,12 +641,81 @@ export const unlockAccountController = asyncHandler(async (req, res) => {
     throw new apiError(400, "User ID is required");
   }
 
-  // Call service
-  const result = await authService.unlockAccount(userId);
+  // Call service (scope and super admin checks happen there)
+  const result = await lockoutService.unlockAccount(req.user, userId);
 
   return res.status(200).json(new apiResponse(200, null, result.message));
 });
 
+// =====================================================
+// LOCKED ACCOUNTS CONTROLLER (Admin only)
+// =====================================================
+// Currently locked accounts in the caller's scope, with lock reasons
+export const getLockedAccountsController = asyncHandler(async (req, res) => {
+  const accounts = await lockoutService.listLockedAccounts(req.user);
+
+  return res.status(200).json(new apiResponse(200, accounts, "Locked accounts retrieved successfully"));
+});
+
+// =====================================================
+// USER SESSIONS CONTROLLERS (Admin only)
+// =====================================================
+// Scope and super admin checks happen in the service
+export const getUserSessionsController = asyncHandler(async (req, res) => {
+  const result = await sessionService.listSessionsForUser(req.user, req.params.userId);
+
+  return res.status(200).json(new apiResponse(200, result, "User sessions retrieved"));
+});
+
+export const revokeUserSessionController = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeSessionForUser(
+    req.user,
+    req.params.userId,
+    req.params.deviceId,
+    sessionContext(req)
+  );
+
+  return res.status(200).json(new apiResponse(200, null, result.message));
+});
+
+export const revokeAllUserSessionsController = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeAllSessionsForUser(req.user, req.params.userId, sessionContext(req));
+
+  return res.status(200).json(new apiResponse(200, { revoked: result.revoked }, result.message));
+});
+
+// =====================================================
+// IMPERSONATION CONTROLLERS
+// =====================================================
+// Super admin only (checked in the service); no refresh cookie is set, the
+// admin's own session stays as it is
+export const startImpersonationController = asyncHandler(async (req, res) => {
+  const { userId, reason, minutes } = req.body || {};
+
+  if (!userId) {
+    throw new apiError(400, "User ID is required");
+  }
+
+  const result = await authService.startImpersonation(req.user, userId, { reason, minutes }, sessionContext(req));
+
+  return res.status(200).json(new apiResponse(200, result, "Impersonation started"));
+});
+
+export const endImpersonationController = asyncHandler(async (req, res) => {
+  const result = await authService.endImpersonation(req.user, sessionContext(req));
+
+  return res.status(200).json(new apiResponse(200, null, result.message));
+});
+
+export const listImpersonationsController = asyncHandler(async (req, res) => {
+  const sessions = await authService.listImpersonations(req.user, {
+    userId: req.query.userId,
+    limit: req.query.limit,
+  });
+
+  return res.status(200).json(new apiResponse(200, sessions, "Impersonations retrieved"));
+});
+
 // =====================================================
 // VALIDATE TOKEN CONTROLLER
 // =====================================================
@@ -304,3 +732,14 @@ export const validateTokenController = asyncHandler(async (req, res) => {
 
   return res.status(200).json(new apiResponse(200, result.data, "Token is valid"));
 });
+
+// =====================================================
+// JWKS CONTROLLER
+// =====================================================
+// Plain JWK Set (not wrapped in apiResponse) so standard JWT libraries can read it
+export const jwksController = asyncHandler(async (req, res) => {
+  const jwks = await keyRingService.getJwks();
+
+  res.set("Cache-Control", "public, max-age=300");
+  return res.status(200).json(jwks);
+});
@@ -0,0 +1,63 @@
+import branchService from "../services/branch.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+
+/**
+ * Branch Controller - Handles HTTP requests for branches
+ * Scope checks and the user deactivation cascade happen in branchService.
+ */
+
+// =====================================================
+// LIST BRANCHES CONTROLLER
+// =====================================================
+export const listBranches = asyncHandler(async (req, res) => {
+  const result = await branchService.listBranches(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, result, "Branches retrieved successfully"));
+});
+
+// =====================================================
+// GET BRANCH CONTROLLER
+// =====================================================
+export const getBranchById = asyncHandler(async (req, res) => {
+  const branch = await branchService.getBranchById(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, branch, "Branch retrieved successfully"));
+});
+
+// =====================================================
+// CREATE BRANCH CONTROLLER
+// =====================================================
+export const createBranch = asyncHandler(async (req, res) => {
+  const branch = await branchService.createBranch(req.user, req.body);
+
+  return res.status(201).json(new apiResponse(201, branch, "Branch created successfully"));
+});
+
+// =====================================================
+// UPDATE BRANCH CONTROLLER
+// =====================================================
+export const updateBranch = asyncHandler(async (req, res) => {
+  const branch = await branchService.updateBranch(req.user, req.params.id, req.body);
+
+  return res.status(200).json(new apiResponse(200, branch, "Branch updated successfully"));
+});
+
+// =====================================================
+// DEACTIVATE / ACTIVATE BRANCH CONTROLLERS
+// =====================================================
+export const deactivateBranch = asyncHandler(async (req, res) => {
+  const result = await branchService.deactivateBranch(req.user, req.params.id);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, result, `Branch deactivated (${result.cascade.users} users)`));
+});
+
+export const activateBranch = asyncHandler(async (req, res) => {
+  const result = await branchService.activateBranch(req.user, req.params.id);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, result, `Branch reactivated (${result.cascade.users} users)`));
+});
@@ -0,0 +1,93 @@
+import issueService from "../services/issue.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { apiError } from "../utils/apiError.js";
+
+/**
+ * Issue Controller - Handles HTTP requests for the issue/return workflow
+ * Scope checks (organization/branch) happen in issueService.
+ */
+
+// =====================================================
+// LIST ISSUES CONTROLLER
+// =====================================================
+export const listIssues = asyncHandler(async (req, res) => {
+  const result = await issueService.listIssues(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, result, "Issue requests retrieved successfully"));
+});
+
+// =====================================================
+// GET ISSUE CONTROLLER
+// =====================================================
+export const getIssueById = asyncHandler(async (req, res) => {
+  const issue = await issueService.getIssueById(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, issue, "Issue request retrieved successfully"));
+});
+
+// =====================================================
+// CREATE ISSUE CONTROLLER
+// =====================================================
+export const createIssue = asyncHandler(async (req, res) => {
+  const issue = await issueService.createIssue(req.user, req.body);
+
+  return res.status(201).json(new apiResponse(201, issue, "Issue request created successfully"));
+});
+
+// =====================================================
+// APPROVE ISSUE CONTROLLER
+// =====================================================
+export const approveIssue = asyncHandler(async (req, res) => {
+  const { remarks } = req.body || {};
+
+  const issue = await issueService.approveIssue(req.user, req.params.id, remarks);
+
+  return res.status(200).json(new apiResponse(200, issue, "Issue request approved"));
+});
+
+// =====================================================
+// REJECT ISSUE CONTROLLER
+// =====================================================
+export const rejectIssue = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+
+  if (!reason) {
+    throw new apiError(400, "Rejection reason is required");
+  }
+
+  const issue = await issueService.rejectIssue(req.user, req.params.id, reason);
+
+  return res.status(200).json(new apiResponse(200, issue, "Issue request rejected"));
+});
+
+// =====================================================
+// HAND OVER ISSUE CONTROLLER
+// =====================================================
+export const handOverIssue = asyncHandler(async (req, res) => {
+  const { assetId, conditionNotes } = req.body || {};
+
+  const issue = await issueService.handOverIssue(req.user, req.params.id, { assetId, conditionNotes });
+
+  return res.status(200).json(new apiResponse(200, issue, "Item handed over successfully"));
+});
+
+// =====================================================
+// RETURN ISSUE CONTROLLER
+// =====================================================
+export const returnIssue = asyncHandler(async (req, res) => {
+  const { conditionNotes } = req.body || {};
+
+  const issue = await issueService.returnIssue(req.user, req.params.id, conditionNotes);
+
+  return res.status(200).json(new apiResponse(200, issue, "Item return recorded successfully"));
+});
+
+// =====================================================
+// CANCEL ISSUE CONTROLLER
+// =====================================================
+export const cancelIssue = asyncHandler(async (req, res) => {
+  const issue = await issueService.cancelIssue(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, issue, "Issue request cancelled"));
+});
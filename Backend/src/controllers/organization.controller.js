@@ -0,0 +1,140 @@
+import organizationService from "../services/organization.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+
+/**
+ * Organization Controller - Handles HTTP requests for organizations
+ * Scope checks and deactivation cascade happen in organizationService.
+ */
+
+// =====================================================
+// LIST ORGANIZATIONS CONTROLLER
+// =====================================================
+export const listOrganizations = asyncHandler(async (req, res) => {
+  const result = await organizationService.listOrganizations(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, result, "Organizations retrieved successfully"));
+});
+
+// =====================================================
+// GET ORGANIZATION CONTROLLER
+// =====================================================
+export const getOrganizationById = asyncHandler(async (req, res) => {
+  const organization = await organizationService.getOrganizationById(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, organization, "Organization retrieved successfully"));
+});
+
+// =====================================================
+// CREATE ORGANIZATION CONTROLLER
+// =====================================================
+export const createOrganization = asyncHandler(async (req, res) => {
+  const organization = await organizationService.createOrganization(req.user, req.body);
+
+  return res.status(201).json(new apiResponse(201, organization, "Organization created successfully"));
+});
+
+// =====================================================
+// UPDATE ORGANIZATION CONTROLLER
+// =====================================================
+export const updateOrganization = asyncHandler(async (req, res) => {
+  const organization = await organizationService.updateOrganization(req.user, req.params.id, req.body);
+
+  return res.status(200).json(new apiResponse(200, organization, "Organization updated successfully"));
+});
+
+// =====================================================
+// DEACTIVATE / ACTIVATE ORGANIZATION CONTROLLERS
+// =====================================================
+export const deactivateOrganization = asyncHandler(async (req, res) => {
+  const result = await organizationService.deactivateOrganization(req.user, req.params.id, req.body || {});
+
+  return res
+    .status(200)
+    .json(
+      new apiResponse(
+        200,
+        result,
+        `Organization deactivated (${result.cascade.branches} branches, ${result.cascade.users} users)`
+      )
+    );
+});
+
+export const activateOrganization = asyncHandler(async (req, res) => {
+  const result = await organizationService.activateOrganization(req.user, req.params.id);
+
+  return res
+    .status(200)
+    .json(
+      new apiResponse(
+        200,
+        result,
+        `Organization reactivated (${result.cascade.branches} branches, ${result.cascade.users} users)`
+      )
+    );
+});
+
+// =====================================================
+// PASSWORD POLICY CONTROLLERS
+// =====================================================
+export const getOrganizationPasswordPolicy = asyncHandler(async (req, res) => {
+  const policy = await organizationService.getPasswordPolicy(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, policy, "Password policy retrieved successfully"));
+});
+
+export const updateOrganizationPasswordPolicy = asyncHandler(async (req, res) => {
+  const policy = await organizationService.updatePasswordPolicy(req.user, req.params.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, policy, "Password policy updated successfully"));
+});
+
+// =====================================================
+// DIRECTORY (LDAP) CONTROLLERS
+// =====================================================
+export const getOrganizationLdapSettings = asyncHandler(async (req, res) => {
+  const settings = await organizationService.getLdapSettings(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, settings, "Directory settings retrieved successfully"));
+});
+
+export const updateOrganizationLdapSettings = asyncHandler(async (req, res) => {
+  const settings = await organizationService.updateLdapSettings(req.user, req.params.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, settings, "Directory settings updated successfully"));
+});
+
+export const testOrganizationLdapConnection = asyncHandler(async (req, res) => {
+  const result = await organizationService.testLdapConnection(req.user, req.params.id, req.body?.loginId || null);
+
+  return res.status(200).json(new apiResponse(200, result, result.message));
+});
+
+export const syncOrganizationLdapDirectory = asyncHandler(async (req, res) => {
+  const result = await organizationService.syncLdapDirectory(req.user, req.params.id);
+
+  return res
+    .status(200)
+    .json(
+      new apiResponse(
+        200,
+        result,
+        `Directory synced (${result.matched} matched, ${result.updated} updated, ${result.notFound} not found)`
+      )
+    );
+});
+
+// =====================================================
+// SELF-SERVICE SIGN-UP CONTROLLERS
+// =====================================================
+export const getOrganizationRegistrationSettings = asyncHandler(async (req, res) => {
+  const settings = await organizationService.getRegistrationSettings(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, settings, "Sign-up settings retrieved successfully"));
+});
+
+export const updateOrganizationRegistrationSettings = asyncHandler(async (req, res) => {
+  const settings = await organizationService.updateRegistrationSettings(req.user, req.params.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, settings, "Sign-up settings updated successfully"));
+});
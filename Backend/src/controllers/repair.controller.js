@@ -0,0 +1,69 @@
+import repairService from "../services/repair.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { apiError } from "../utils/apiError.js";
+
+/**
+ * Repair Controller - Handles HTTP requests for repair tickets
+ * Scope checks (organization/branch) happen in repairService.
+ */
+
+// =====================================================
+// LIST REPAIR TICKETS CONTROLLER
+// =====================================================
+export const listRepairTickets = asyncHandler(async (req, res) => {
+  const result = await repairService.listTickets(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, result, "Repair tickets retrieved successfully"));
+});
+
+// =====================================================
+// GET REPAIR TICKET CONTROLLER
+// =====================================================
+export const getRepairTicketById = asyncHandler(async (req, res) => {
+  const ticket = await repairService.getTicketById(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, ticket, "Repair ticket retrieved successfully"));
+});
+
+// =====================================================
+// OPEN REPAIR TICKET CONTROLLER
+// =====================================================
+export const openRepairTicket = asyncHandler(async (req, res) => {
+  const ticket = await repairService.openTicket(req.user, req.body);
+
+  return res.status(201).json(new apiResponse(201, ticket, "Repair ticket opened successfully"));
+});
+
+// =====================================================
+// UPDATE REPAIR TICKET CONTROLLER
+// =====================================================
+export const updateRepairTicket = asyncHandler(async (req, res) => {
+  const ticket = await repairService.updateTicket(req.user, req.params.id, req.body);
+
+  return res.status(200).json(new apiResponse(200, ticket, "Repair ticket updated successfully"));
+});
+
+// =====================================================
+// ASSIGN REPAIR TICKET CONTROLLER
+// =====================================================
+export const assignRepairTicket = asyncHandler(async (req, res) => {
+  const ticket = await repairService.assignTicket(req.user, req.params.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, ticket, "Repair ticket assigned successfully"));
+});
+
+// =====================================================
+// CHANGE REPAIR STATUS CONTROLLER
+// =====================================================
+export const changeRepairStatus = asyncHandler(async (req, res) => {
+  const { status } = req.body || {};
+
+  if (!status) {
+    throw new apiError(400, "Status is required");
+  }
+
+  const ticket = await repairService.changeStatus(req.user, req.params.id, req.body);
+
+  return res.status(200).json(new apiResponse(200, ticket, `Repair ticket marked ${status}`));
+});
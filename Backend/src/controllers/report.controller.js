@@ -0,0 +1,62 @@
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import reportService from "../services/report.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+
+/**
+ * Report Controller - Handles HTTP requests for the report engine
+ * Report-specific permissions and scope are applied in reportService.
+ */
+
+// =====================================================
+// LIST REPORTS CONTROLLER
+// =====================================================
+export const listReports = asyncHandler(async (req, res) => {
+  const reports = reportService.listReports(req.user);
+
+  return res.status(200).json(new apiResponse(200, reports, "Reports retrieved successfully"));
+});
+
+// =====================================================
+// GET REPORT CONTROLLER
+// =====================================================
+export const getReport = asyncHandler(async (req, res) => {
+  const report = reportService.getReport(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, report, "Report retrieved successfully"));
+});
+
+// =====================================================
+// RUN REPORT CONTROLLER
+// =====================================================
+export const runReport = asyncHandler(async (req, res) => {
+  const { params } = req.body || {};
+
+  const result = await reportService.runReport(req.user, req.params.id, params);
+
+  return res.status(200).json(new apiResponse(200, result, "Report generated successfully"));
+});
+
+// =====================================================
+// EXPORT REPORT CONTROLLER
+// =====================================================
+export const exportReport = asyncHandler(async (req, res) => {
+  const { format = "csv", params } = req.body || {};
+
+  // Throws (→ JSON error) before any byte is sent if the request is invalid
+  const { filename, contentType, chunks } = reportService.exportReport(
+    req.user,
+    req.params.id,
+    params,
+    format
+  );
+
+  res.status(200);
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  // Once streaming has started a failure can only abort the download
+  await pipeline(Readable.from(chunks), res);
+});
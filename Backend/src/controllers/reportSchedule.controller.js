@@ -0,0 +1,99 @@
+import { pipeline } from "stream/promises";
+import reportScheduleService from "../services/reportSchedule.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+
+/**
+ * Report Schedule Controller - Handles HTTP requests for scheduled reports
+ * and the per-user report inbox. Ownership is enforced in reportScheduleService.
+ */
+
+// =====================================================
+// LIST SCHEDULES CONTROLLER
+// =====================================================
+export const listSchedules = asyncHandler(async (req, res) => {
+  const schedules = await reportScheduleService.listSchedules(req.user);
+
+  return res.status(200).json(new apiResponse(200, schedules, "Report schedules retrieved successfully"));
+});
+
+// =====================================================
+// CREATE SCHEDULE CONTROLLER
+// =====================================================
+export const createSchedule = asyncHandler(async (req, res) => {
+  const schedule = await reportScheduleService.createSchedule(req.user, req.body);
+
+  return res.status(201).json(new apiResponse(201, schedule, "Report schedule created successfully"));
+});
+
+// =====================================================
+// UPDATE SCHEDULE CONTROLLER
+// =====================================================
+export const updateSchedule = asyncHandler(async (req, res) => {
+  const schedule = await reportScheduleService.updateSchedule(req.user, req.params.scheduleId, req.body);
+
+  return res.status(200).json(new apiResponse(200, schedule, "Report schedule updated successfully"));
+});
+
+// =====================================================
+// PAUSE / RESUME SCHEDULE CONTROLLERS
+// =====================================================
+export const pauseSchedule = asyncHandler(async (req, res) => {
+  const schedule = await reportScheduleService.setPaused(req.user, req.params.scheduleId, true);
+
+  return res.status(200).json(new apiResponse(200, schedule, "Report schedule paused"));
+});
+
+export const resumeSchedule = asyncHandler(async (req, res) => {
+  const schedule = await reportScheduleService.setPaused(req.user, req.params.scheduleId, false);
+
+  return res.status(200).json(new apiResponse(200, schedule, "Report schedule resumed"));
+});
+
+// =====================================================
+// DELETE SCHEDULE CONTROLLER
+// =====================================================
+export const deleteSchedule = asyncHandler(async (req, res) => {
+  await reportScheduleService.deleteSchedule(req.user, req.params.scheduleId);
+
+  return res.status(200).json(new apiResponse(200, null, "Report schedule deleted successfully"));
+});
+
+// =====================================================
+// RUN SCHEDULE NOW CONTROLLER
+// =====================================================
+export const runScheduleNow = asyncHandler(async (req, res) => {
+  const delivery = await reportScheduleService.runNow(req.user, req.params.scheduleId);
+
+  return res.status(200).json(new apiResponse(200, delivery, "Report schedule run completed"));
+});
+
+// =====================================================
+// REPORT INBOX CONTROLLERS
+// =====================================================
+export const listInbox = asyncHandler(async (req, res) => {
+  const result = await reportScheduleService.listInbox(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, result, "Report inbox retrieved successfully"));
+});
+
+export const downloadInboxItem = asyncHandler(async (req, res) => {
+  const { filename, contentType, size, stream } = await reportScheduleService.openInboxFile(
+    req.user,
+    req.params.itemId
+  );
+
+  res.status(200);
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Length", size);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  await pipeline(stream, res);
+});
+
+export const deleteInboxItem = asyncHandler(async (req, res) => {
+  await reportScheduleService.deleteInboxItem(req.user, req.params.itemId);
+
+  return res.status(200).json(new apiResponse(200, null, "Inbox item deleted successfully"));
+});
@@ -0,0 +1,58 @@
+import serviceAccountService from "../services/serviceAccount.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+
+/**
+ * Service Account Controller - Handles HTTP requests for service accounts
+ * and their API keys. Scope and grant rules are enforced in serviceAccountService.
+ */
+
+// =====================================================
+// SERVICE ACCOUNT CONTROLLERS
+// =====================================================
+export const listServiceAccounts = asyncHandler(async (req, res) => {
+  const accounts = await serviceAccountService.listServiceAccounts(req.user);
+
+  return res.status(200).json(new apiResponse(200, accounts, "Service accounts retrieved successfully"));
+});
+
+export const listGrantablePermissions = asyncHandler(async (req, res) => {
+  const permissions = await serviceAccountService.listGrantablePermissions(req.user);
+
+  return res.status(200).json(new apiResponse(200, permissions, "Permissions retrieved successfully"));
+});
+
+export const createServiceAccount = asyncHandler(async (req, res) => {
+  const account = await serviceAccountService.createServiceAccount(req.user, req.body || {});
+
+  return res.status(201).json(new apiResponse(201, account, "Service account created successfully"));
+});
+
+export const updateServiceAccount = asyncHandler(async (req, res) => {
+  const account = await serviceAccountService.updateServiceAccount(req.user, req.params.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, account, "Service account updated successfully"));
+});
+
+// =====================================================
+// API KEY CONTROLLERS
+// =====================================================
+export const listApiKeys = asyncHandler(async (req, res) => {
+  const keys = await serviceAccountService.listKeys(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, keys, "API keys retrieved successfully"));
+});
+
+export const createApiKey = asyncHandler(async (req, res) => {
+  const result = await serviceAccountService.createKey(req.user, req.params.id, req.body || {});
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, result, "API key created. Copy it now; it will not be shown again."));
+});
+
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const key = await serviceAccountService.revokeKey(req.user, req.params.id, req.params.keyId);
+
+  return res.status(200).json(new apiResponse(200, key, "API key revoked successfully"));
+});
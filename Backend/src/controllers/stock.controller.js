@@ -0,0 +1,98 @@
+import stockService from "../services/stock.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+
+/**
+ * Stock Controller - Handles HTTP requests for accessory/peripheral stock
+ * Scope checks (organization/branch) happen in stockService.
+ */
+
+// =====================================================
+// LIST STOCK ITEMS CONTROLLER
+// =====================================================
+export const listStockItems = asyncHandler(async (req, res) => {
+  const result = await stockService.listItems(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, result, "Stock items retrieved successfully"));
+});
+
+// =====================================================
+// GET STOCK ITEM CONTROLLER
+// =====================================================
+export const getStockItemById = asyncHandler(async (req, res) => {
+  const item = await stockService.getItemById(req.user, req.params.id);
+
+  return res.status(200).json(new apiResponse(200, item, "Stock item retrieved successfully"));
+});
+
+// =====================================================
+// CREATE STOCK ITEM CONTROLLER
+// =====================================================
+export const createStockItem = asyncHandler(async (req, res) => {
+  const item = await stockService.createItem(req.user, req.body);
+
+  return res.status(201).json(new apiResponse(201, item, "Stock item created successfully"));
+});
+
+// =====================================================
+// UPDATE STOCK ITEM CONTROLLER
+// =====================================================
+export const updateStockItem = asyncHandler(async (req, res) => {
+  const item = await stockService.updateItem(req.user, req.params.id, req.body);
+
+  return res.status(200).json(new apiResponse(200, item, "Stock item updated successfully"));
+});
+
+// =====================================================
+// STOCK IN CONTROLLER
+// =====================================================
+export const stockIn = asyncHandler(async (req, res) => {
+  const result = await stockService.stockIn(req.user, req.params.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, result, "Stock received successfully"));
+});
+
+// =====================================================
+// STOCK OUT CONTROLLER
+// =====================================================
+export const stockOut = asyncHandler(async (req, res) => {
+  const result = await stockService.stockOut(req.user, req.params.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, result, "Stock removed successfully"));
+});
+
+// =====================================================
+// ISSUE STOCK CONTROLLER
+// =====================================================
+export const issueStock = asyncHandler(async (req, res) => {
+  const result = await stockService.issueToUser(req.user, req.params.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, result, "Stock issued successfully"));
+});
+
+// =====================================================
+// RETURN STOCK CONTROLLER
+// =====================================================
+export const returnStock = asyncHandler(async (req, res) => {
+  const result = await stockService.returnFromUser(req.user, req.params.id, req.body || {});
+
+  return res.status(200).json(new apiResponse(200, result, "Stock return recorded successfully"));
+});
+
+// =====================================================
+// LIST STOCK MOVEMENTS CONTROLLER
+// =====================================================
+export const listStockMovements = asyncHandler(async (req, res) => {
+  const result = await stockService.listMovements(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, result, "Stock movements retrieved successfully"));
+});
+
+// =====================================================
+// USER STOCK HOLDINGS CONTROLLER
+// =====================================================
+export const getUserStockHoldings = asyncHandler(async (req, res) => {
+  const result = await stockService.getUserStockHoldings(req.user, req.params.userId);
+
+  return res.status(200).json(new apiResponse(200, result, "User stock holdings retrieved successfully"));
+});
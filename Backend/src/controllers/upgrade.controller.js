@@ -0,0 +1,35 @@
+import upgradeService from "../services/upgrade.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+
+/**
+ * Upgrade Controller - Handles HTTP requests for asset upgrade records
+ * Scope checks (organization/branch) happen in upgradeService.
+ */
+
+// =====================================================
+// LIST UPGRADES CONTROLLER
+// =====================================================
+export const listUpgrades = asyncHandler(async (req, res) => {
+  const result = await upgradeService.listUpgrades(req.user, req.query);
+
+  return res.status(200).json(new apiResponse(200, result, "Upgrades retrieved successfully"));
+});
+
+// =====================================================
+// ASSET UPGRADE TIMELINE CONTROLLER
+// =====================================================
+export const getAssetUpgrades = asyncHandler(async (req, res) => {
+  const result = await upgradeService.getAssetUpgrades(req.user, req.params.assetId);
+
+  return res.status(200).json(new apiResponse(200, result, "Asset upgrade timeline retrieved successfully"));
+});
+
+// =====================================================
+// RECORD UPGRADE CONTROLLER
+// =====================================================
+export const recordUpgrade = asyncHandler(async (req, res) => {
+  const upgrade = await upgradeService.recordUpgrade(req.user, req.body);
+
+  return res.status(201).json(new apiResponse(201, upgrade, "Upgrade recorded successfully"));
+});
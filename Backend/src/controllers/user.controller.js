@@ -1,17 +1,32 @@
+import mongoose from "mongoose";
 import { User } from "../models/user.model.js";
 import { Role } from "../models/role.model.js";
 import { Branch } from "../models/branch.model.js";
+import { Organization } from "../models/organization.model.js";
 import { UserLogin } from "../models/userLogin.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { apiError } from "../utils/apiError.js";
 import { apiResponse } from "../utils/apiResponse.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import mfaService from "../services/mfa.service.js";
+import passwordPolicyService from "../services/passwordPolicy.service.js";
+import registrationService from "../services/registration.service.js";
+import {
+  checkScopeAccess,
+  buildScopeFilter,
+  getUserAccessibleBranches,
+  hasPermission,
+  hasAllPermissions,
+} from "../utils/permissionUtils.js";
 
 // =====================================================
 // HELPER FUNCTION: Create UserLogin with username generation
 // =====================================================
+// The temporary password is DEFAULT_PASSWORD when it satisfies the organization's
+// password policy, otherwise a random compliant one; it is returned once so the
+// admin can hand it over, and must be changed at first login.
 const createUserLoginCredentials = async (userId, userName, providedLoginId = null) => {
   try {
-    const defaultPlain = process.env.DEFAULT_PASSWORD || "12345678";
     let baseUsername = null;
 
     // Determine username: use provided loginId or generate from name
@@ -37,21 +52,131 @@ const createUserLoginCredentials = async (userId, userName, providedLoginId = nu
       username = `${baseUsername}${suffix}`;
     }
 
+    const user = await User.findById(userId).select("userId email name organizationId").lean();
+    const policy = await passwordPolicyService.getPolicyForOrganization(user?.organizationId);
+    let temporaryPassword = process.env.DEFAULT_PASSWORD;
+    while (
+      !temporaryPassword ||
+      passwordPolicyService.validatePassword(temporaryPassword, policy, { username, user }).length
+    ) {
+      temporaryPassword = passwordPolicyService.generateCompliantPassword(policy);
+    }
+
     // Create UserLogin with hashed password
-    const login = new UserLogin({
-      user: userId,
-      username,
-      password: defaultPlain,
-      forcePasswordChange: true,
-    });
+    const login = new UserLogin({ user: userId, username });
+    await passwordPolicyService.setPassword(login, temporaryPassword, { user, forceChange: true });
 
     await login.save();
-    return { success: true, username, login };
+    return { success: true, username, temporaryPassword, login };
   } catch (error) {
     throw new apiError(500, `Failed to create login credentials: ${error.message}`);
   }
 };
 
+// =====================================================
+// HELPER FUNCTIONS: Scope and privilege checks
+// =====================================================
+// Super admins ("*") manage everyone. Everyone else manages users of their own
+// organization and, when they have branches, users sharing one of them
+// (the same rule buildScopeFilter applies to list queries).
+
+const isSuperAdmin = (actor) => !!actor?.permissions?.includes("*");
+
+const isSelf = (actor, user) => String(actor._id || actor.id) === String(user._id);
+
+// Load a user within the actor's scope; users outside it are reported as not found.
+// Service accounts are not users here: they are managed through /service-accounts only.
+const findUserInScope = async (actor, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, "Invalid user ID");
+  }
+
+  const user = await User.findOne({ _id: id, accountType: { $ne: "service" }, ...buildScopeFilter(actor) });
+  if (!user) {
+    throw new apiError(404, "User not found");
+  }
+
+  return user;
+};
+
+// Like findUserInScope, for changes: super admin accounts are only managed by super admins
+const findManageableUser = async (actor, id) => {
+  const user = await findUserInScope(actor, id);
+  if (user.role === "super_admin" && !isSuperAdmin(actor)) {
+    throw new apiError(403, "Super admin accounts can only be managed by a super admin");
+  }
+  return user;
+};
+
+const toIdList = (ids) => (Array.isArray(ids) ? ids : ids ? [ids] : []).map(String);
+
+// Validate the organization and the branches being added to/removed from a user
+const assertAssignableScope = async (actor, organizationId, addedBranchIds = [], removedBranchIds = []) => {
+  if (!checkScopeAccess(actor, null, organizationId)) {
+    throw new apiError(403, "You cannot manage users of this organization");
+  }
+
+  const invalid = [...addedBranchIds, ...removedBranchIds].find((id) => !mongoose.isValidObjectId(id));
+  if (invalid) {
+    throw new apiError(400, `Invalid branch ID: ${invalid}`);
+  }
+
+  if (addedBranchIds.length > 0) {
+    const branches = await Branch.find({ _id: { $in: addedBranchIds } }).select("name organizationId").lean();
+    if (branches.length !== new Set(addedBranchIds).size) {
+      throw new apiError(400, "One or more branches were not found");
+    }
+
+    for (const branch of branches) {
+      if (String(branch.organizationId) !== String(organizationId)) {
+        throw new apiError(400, `Branch "${branch.name}" belongs to a different organization`);
+      }
+      if (!checkScopeAccess(actor, branch._id, branch.organizationId)) {
+        throw new apiError(403, `You cannot assign users to branch "${branch.name}"`);
+      }
+    }
+  }
+
+  const outOfScope = removedBranchIds.find((id) => !checkScopeAccess(actor, id, organizationId));
+  if (outOfScope) {
+    throw new apiError(403, "You cannot remove users from branches outside your scope");
+  }
+};
+
+// Roles other than "user" and direct permissions need user:assign_role, and
+// nobody may hand out super admin or permissions they do not hold themselves
+const assertAssignablePrivileges = async (actor, { role, roleId, permissions } = {}) => {
+  let roleName = role;
+  if (roleId) {
+    if (!mongoose.isValidObjectId(roleId)) {
+      throw new apiError(400, "Invalid role ID");
+    }
+    const found = await Role.findById(roleId).select("name").lean();
+    if (!found) {
+      throw new apiError(400, "Role not found");
+    }
+    roleName = found.name || role;
+  }
+
+  const grantsRole = !!roleName && roleName !== "user";
+  const grantsPermissions = Array.isArray(permissions) && permissions.length > 0;
+  if (!grantsRole && !grantsPermissions) return roleName;
+
+  if (!hasPermission(actor.permissions, "user:assign_role")) {
+    throw new apiError(403, "Permission 'user:assign_role' required to assign roles or permissions");
+  }
+  if (isSuperAdmin(actor)) return roleName;
+
+  if (roleName === "super_admin") {
+    throw new apiError(403, "Only a super admin can assign the super admin role");
+  }
+  if (grantsPermissions && !hasAllPermissions(actor.permissions, permissions)) {
+    throw new apiError(403, "You cannot grant permissions you do not have");
+  }
+
+  return roleName;
+};
+
 // Controller function names:
 // - createUser
 // - getUserById
@@ -77,6 +202,23 @@ export const createUser = asyncHandler(async (req, res) => {
     throw new apiError(400, "userId, name and organizationId are required");
   }
 
+  const organization = await Organization.findById(payload.organizationId).select("isActive").lean();
+  if (!organization) {
+    throw new apiError(400, "Organization not found");
+  }
+  if (!organization.isActive) {
+    throw new apiError(400, "Cannot add users to an inactive organization");
+  }
+
+  // Callers limited to branches may only create users in (one of) them
+  const branchIds = toIdList(payload.branchId);
+  const actorBranches = getUserAccessibleBranches(req.user);
+  if (!actorBranches.includes("*") && actorBranches.length > 0 && branchIds.length === 0) {
+    throw new apiError(400, "Assign the user to at least one of your branches");
+  }
+  await assertAssignableScope(req.user, payload.organizationId, branchIds);
+  const roleName = await assertAssignablePrivileges(req.user, payload);
+
   // Prevent client from forcing fields we manage server-side
   const toCreate = {
     userId: payload.userId,
@@ -85,41 +227,40 @@ export const createUser = asyncHandler(async (req, res) => {
     department: payload.department || "NA",
     email: payload.email || null,
     phone_no: payload.phone_no || null,
-    role: payload.role || "user",
+    role: roleName || "user",
     roleId: payload.roleId || null,
     permissions: payload.permissions || [],
     reportingTo: payload.reportingTo || null,
     organizationId: payload.organizationId,
-    branchId: payload.branchId || [],
+    branchId: branchIds,
     canLogin: payload.canLogin === true,
     isActive: payload.isActive !== false,
     isBlocked: payload.isBlocked === true,
-    createdBy: payload.createdBy || null,
+    createdBy: req.user._id || req.user.id,
   };
 
   const user = await User.create(toCreate);
 
   // If canLogin is enabled during creation, automatically create UserLogin credentials
+  let login = null;
   if (payload.canLogin === true) {
     try {
-      await createUserLoginCredentials(user._id, user.name, payload.loginId);
+      const { username, temporaryPassword } = await createUserLoginCredentials(user._id, user.name, payload.loginId);
+      login = { username, temporaryPassword };
     } catch (loginError) {
       // Log error but don't fail user creation
       console.error("Warning: Failed to create login credentials:", loginError.message);
     }
   }
 
-  return res.status(201).json(new apiResponse(201, user, "User created successfully"));
+  return res
+    .status(201)
+    .json(new apiResponse(201, { ...user.toObject(), ...(login && { login }) }, "User created successfully"));
 });
 
 export const getUserById = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const user = await User.findById(id).lean();
-  
-  if (!user) {
-    throw new apiError(404, "User not found");
-  }
-  
+  const user = await findUserInScope(req.user, req.params.id);
+
   return res.status(200).json(new apiResponse(200, user, "User retrieved successfully"));
 });
 
@@ -128,19 +269,26 @@ export const listUsers = asyncHandler(async (req, res) => {
   const limit = Math.max(parseInt(req.query.limit || 25, 10), 1);
   const skip = (page - 1) * limit;
 
-  const filter = {};
+  // Only users within the caller's organization/branches (service accounts are listed separately,
+  // unverified, pending and rejected sign-ups only when asked for with approvalStatus)
+  const filter = {
+    ...buildScopeFilter(req.user),
+    accountType: { $ne: "service" },
+    approvalStatus: req.query.approvalStatus || { $nin: ["unverified", "pending", "rejected"] },
+  };
   if (req.query.role) filter.role = req.query.role;
   if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === "true";
   if (req.query.canLogin !== undefined) filter.canLogin = req.query.canLogin === "true";
-  if (req.query.organizationId) filter.organizationId = req.query.organizationId;
+  if (req.query.organizationId) {
+    if (!checkScopeAccess(req.user, null, req.query.organizationId)) {
+      throw new apiError(403, "Access to this organization is not allowed");
+    }
+    filter.organizationId = req.query.organizationId;
+  }
 
   if (req.query.q) {
-    const q = req.query.q.trim();
-    filter.$or = [
-      { name: new RegExp(q, "i") },
-      { userId: new RegExp(q, "i") },
-      { email: new RegExp(q, "i") },
-    ];
+    const pattern = new RegExp(escapeRegex(String(req.query.q).trim()), "i");
+    filter.$or = [{ name: pattern }, { userId: pattern }, { email: pattern }];
   }
 
   const [items, total] = await Promise.all([
@@ -162,15 +310,71 @@ export const updateUser = asyncHandler(async (req, res) => {
   // Prevent direct overwrite of login-related flags without using specific endpoints
   delete payload.canLogin;
   delete payload.isActive;
+  // Managed server-side (deactivation cascade, audit)
+  delete payload.isBlocked;
+  delete payload.deactivatedWith;
+  delete payload.canLoginBeforeDeactivation;
+  delete payload.createdBy;
+  // Set by directory group mapping only; it grants the AtomicRole's permissions
+  delete payload.atomicRoleId;
+  // Service accounts are created and managed through /service-accounts only
+  delete payload.accountType;
+  // Self-service sign-ups are verified by their mailed link and decided through approve/reject
+  delete payload.approvalStatus;
+  delete payload.approvedBy;
+  delete payload.approvedAt;
+  delete payload.rejectionReason;
+  delete payload.emailVerificationTokenHash;
+  delete payload.emailVerificationExpiresAt;
+  delete payload.emailVerifiedAt;
 
   console.log('📦 Payload after removing protected fields:', payload);
 
-  const user = await User.findByIdAndUpdate(id, payload, { new: true }).populate('roleId branchId');
-  
-  if (!user) {
-    console.log('❌ User not found with ID:', id);
-    throw new apiError(404, "User not found");
+  const existing = await findManageableUser(req.user, id);
+
+  // Moving the user or changing branches must stay within the caller's scope
+  const organizationId = payload.organizationId || existing.organizationId;
+  if (payload.organizationId !== undefined || payload.branchId !== undefined) {
+    const currentBranchIds = toIdList(existing.branchId);
+    const nextBranchIds = payload.branchId !== undefined ? toIdList(payload.branchId) : currentBranchIds;
+    const added = nextBranchIds.filter((branchId) => !currentBranchIds.includes(branchId));
+    const removed = currentBranchIds.filter((branchId) => !nextBranchIds.includes(branchId));
+
+    if ((added.length > 0 || removed.length > 0) && !hasPermission(req.user.permissions, "user:assign_branch")) {
+      throw new apiError(403, "Permission 'user:assign_branch' required to change branches");
+    }
+    const movedOrganization = String(organizationId) !== String(existing.organizationId);
+    await assertAssignableScope(req.user, organizationId, movedOrganization ? nextBranchIds : added, removed);
+    if (payload.branchId !== undefined) payload.branchId = nextBranchIds;
   }
+
+  // Role/permission changes go through the same checks as change-role
+  const roleChanged =
+    (payload.role !== undefined && payload.role !== existing.role) ||
+    (payload.roleId !== undefined && String(payload.roleId || "") !== String(existing.roleId || "")) ||
+    payload.permissions !== undefined;
+  if (roleChanged) {
+    if (req.user.impersonation) {
+      throw new apiError(403, "Roles and permissions cannot be changed while impersonating a user");
+    }
+    if (isSelf(req.user, existing)) {
+      throw new apiError(400, "You cannot change your own role or permissions");
+    }
+    if (!hasPermission(req.user.permissions, "user:assign_role")) {
+      throw new apiError(403, "Permission 'user:assign_role' required to change roles");
+    }
+    const roleName = await assertAssignablePrivileges(req.user, {
+      role: payload.role ?? existing.role,
+      roleId: payload.roleId !== undefined ? payload.roleId : existing.roleId,
+      permissions: payload.permissions,
+    });
+    if (roleName) payload.role = roleName;
+  } else {
+    delete payload.role;
+    delete payload.roleId;
+  }
+
+  const user = await User.findByIdAndUpdate(id, payload, { new: true }).populate('roleId branchId');
   
   console.log('✅ User updated successfully:', {
     userId: user.userId,
@@ -193,10 +397,21 @@ export const toggleCanLogin = asyncHandler(async (req, res) => {
     throw new apiError(400, "Enable flag is required (true/false)");
   }
 
-  const user = await User.findById(id);
-  
-  if (!user) {
-    throw new apiError(404, "User not found");
+  const user = await findManageableUser(req.user, id);
+
+  if (!enable && isSelf(req.user, user)) {
+    throw new apiError(400, "You cannot disable your own login");
+  }
+
+  // Self-registered users get their login through approval
+  if (enable && user.approvalStatus === "unverified") {
+    throw new apiError(400, "This registration has not confirmed its email address yet");
+  }
+  if (enable && user.approvalStatus === "pending") {
+    throw new apiError(400, "Approve this registration instead of enabling login directly");
+  }
+  if (enable && user.approvalStatus === "rejected") {
+    throw new apiError(400, "This registration was rejected and cannot log in");
   }
 
   // Check if user is active when trying to enable login
@@ -204,6 +419,8 @@ export const toggleCanLogin = asyncHandler(async (req, res) => {
     throw new apiError(400, `Cannot enable login for inactive user. User "${user.name}" must be active first. Please enable user status (isActive) before enabling login.`);
   }
 
+  // Credentials created by this call (temporary password is only ever returned here)
+  let createdLogin = null;
   if (enable) {
     // If a UserLogin already exists for this user, leave it
     let existingLogin = await UserLogin.findOne({ user: user._id });
@@ -211,6 +428,7 @@ export const toggleCanLogin = asyncHandler(async (req, res) => {
       // Use helper to create UserLogin with username generation logic
       try {
         const loginResult = await createUserLoginCredentials(user._id, user.name, loginId);
+        createdLogin = { username: loginResult.username, temporaryPassword: loginResult.temporaryPassword };
         console.log(`✅ Login credentials created for user ${user._id}: username = ${loginResult.username}`);
       } catch (loginError) {
         console.error(`❌ Failed to create login credentials:`, loginError.message);
@@ -232,7 +450,15 @@ export const toggleCanLogin = asyncHandler(async (req, res) => {
   const updatedUser = await User.findById(id);
   console.log(`✅ User updated - canLogin is now: ${updatedUser.canLogin}`);
   
-  return res.status(200).json(new apiResponse(200, updatedUser, `Login ${enable ? "enabled" : "disabled"} successfully for user ${user.name}`));
+  return res
+    .status(200)
+    .json(
+      new apiResponse(
+        200,
+        { ...updatedUser.toObject(), ...(createdLogin && { login: createdLogin }) },
+        `Login ${enable ? "enabled" : "disabled"} successfully for user ${user.name}`
+      )
+    );
 });
 
 // Toggle isActive. Business rule: when disabling isActive, also disable canLogin. Enabling isActive does NOT auto-enable canLogin.
@@ -240,14 +466,19 @@ export const toggleIsActive = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { enable } = req.body; // boolean
 
-  const user = await User.findById(id);
-  
-  if (!user) {
-    throw new apiError(404, "User not found");
+  const user = await findManageableUser(req.user, id);
+
+  if (!enable && isSelf(req.user, user)) {
+    throw new apiError(400, "You cannot deactivate your own account");
   }
 
   if (enable) {
+    const organization = await Organization.findById(user.organizationId).select("isActive").lean();
+    if (organization && !organization.isActive) {
+      throw new apiError(400, "Cannot activate a user of an inactive organization. Reactivate the organization instead.");
+    }
     user.isActive = true;
+    user.deactivatedWith = null;
     // do not change canLogin
   } else {
     user.isActive = false;
@@ -263,19 +494,18 @@ export const changeUserRole = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { roleId, role } = req.body;
 
-  const user = await User.findById(id);
-  
-  if (!user) {
-    throw new apiError(404, "User not found");
+  const user = await findManageableUser(req.user, id);
+
+  if (isSelf(req.user, user)) {
+    throw new apiError(400, "You cannot change your own role");
   }
 
+  // Resolves roleId to its name and rejects super admin / escalation
+  const roleName = await assertAssignablePrivileges(req.user, { role, roleId });
+
   if (roleId) {
-    const found = await Role.findById(roleId);
-    if (!found) {
-      throw new apiError(400, "Role not found");
-    }
     user.roleId = roleId;
-    user.role = found.name || role || user.role;
+    user.role = roleName || user.role;
   } else if (role) {
     user.role = role;
   }
@@ -286,10 +516,10 @@ export const changeUserRole = asyncHandler(async (req, res) => {
 
 export const softDeleteUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const user = await User.findById(id);
-  
-  if (!user) {
-    throw new apiError(404, "User not found");
+  const user = await findManageableUser(req.user, id);
+
+  if (isSelf(req.user, user)) {
+    throw new apiError(400, "You cannot delete your own account");
   }
 
   user.isActive = false;
@@ -302,11 +532,7 @@ export const softDeleteUser = asyncHandler(async (req, res) => {
 
 export const restoreUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const user = await User.findById(id);
-  
-  if (!user) {
-    throw new apiError(404, "User not found");
-  }
+  const user = await findManageableUser(req.user, id);
 
   user.isActive = true;
   // do not auto-enable canLogin
@@ -317,12 +543,15 @@ export const restoreUser = asyncHandler(async (req, res) => {
 
 export const deleteUserPermanent = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const user = await User.findByIdAndDelete(id);
-  
-  if (!user) {
-    throw new apiError(404, "User not found");
+  const user = await findManageableUser(req.user, id);
+
+  if (isSelf(req.user, user)) {
+    throw new apiError(400, "You cannot delete your own account");
   }
-  
+
+  await UserLogin.deleteOne({ user: user._id });
+  await user.deleteOne();
+
   return res.status(200).json(new apiResponse(200, null, "User permanently deleted successfully"));
 });
 
@@ -332,7 +561,9 @@ export const getRolesForDropdown = asyncHandler(async (req, res) => {
     console.log('🔍 getRolesForDropdown called');
     
     // Fetch all roles (both system and custom)
-    const roles = await Role.find({}, "name displayName description category").lean().sort({ priority: -1 });
+    // Only super admins may hand out the super admin role
+    const filter = isSuperAdmin(req.user) ? {} : { name: { $ne: "super_admin" } };
+    const roles = await Role.find(filter, "name displayName description category").lean().sort({ priority: -1 });
     
     console.log(`📊 Found ${roles.length} roles in database`);
     
@@ -360,8 +591,11 @@ export const getRolesForDropdown = asyncHandler(async (req, res) => {
 export const getBranchesForDropdown = asyncHandler(async (req, res) => {
   const { organizationId } = req.query;
 
-  let filter = { isActive: true };
+  let filter = { isActive: true, ...buildScopeFilter(req.user, { branchField: "_id" }) };
   if (organizationId) {
+    if (!checkScopeAccess(req.user, null, organizationId)) {
+      throw new apiError(403, "Access to this organization is not allowed");
+    }
     filter.organizationId = organizationId;
   }
 
@@ -388,25 +622,21 @@ export const changeUserPassword = asyncHandler(async (req, res) => {
 
   console.log('🔐 changeUserPassword called for userId:', id);
 
-  if (!newPassword || newPassword.trim().length < 6) {
-    throw new apiError(400, "Password must be at least 6 characters long");
+  if (!newPassword || !String(newPassword).trim()) {
+    throw new apiError(400, "New password is required");
   }
 
   // Find user
-  const user = await User.findById(id);
-  if (!user) {
-    throw new apiError(404, "User not found");
-  }
+  const user = await findManageableUser(req.user, id);
 
   // Check if user has login credentials
-  let userLogin = await UserLogin.findOne({ user: id });
+  let userLogin = await UserLogin.findOne({ user: id }).select("+password +passwordHistory");
   if (!userLogin) {
     throw new apiError(400, "User does not have login credentials. Enable login first.");
   }
 
-  // Update password in UserLogin model
-  userLogin.password = newPassword.trim();
-  userLogin.forcePasswordChange = false; // User has now changed password
+  // Update password in UserLogin model (validated against the organization's password policy)
+  await passwordPolicyService.setPassword(userLogin, String(newPassword).trim(), { user });
   await userLogin.save();
 
   console.log('✅ Password changed successfully for user:', user.name);
@@ -414,6 +644,53 @@ export const changeUserPassword = asyncHandler(async (req, res) => {
   return res.status(200).json(new apiResponse(200, { success: true, message: `Password changed for ${user.name}` }, "Password changed successfully"));
 });
 
+// Password policy that applies to a user (for hints when setting their password)
+export const getUserPasswordPolicy = asyncHandler(async (req, res) => {
+  const user = await findManageableUser(req.user, req.params.id);
+  const policy = await passwordPolicyService.getPolicyForOrganization(user.organizationId);
+
+  return res.status(200).json(new apiResponse(200, policy, "Password policy retrieved successfully"));
+});
+
+// Reset a user's MFA (lost authenticator). They enroll again on their next login.
+export const resetUserMfa = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const user = await findManageableUser(req.user, id);
+
+  await mfaService.resetForUser(user._id);
+
+  return res.status(200).json(new apiResponse(200, null, `Multi-factor authentication reset for ${user.name}`));
+});
+
+// =====================================================
+// SELF-SERVICE SIGN-UP APPROVAL
+// =====================================================
+// Sign-ups from /auth/register wait here until an admin with user:create decides
+
+// Recorded with the approval security events
+const registrationContext = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress || req.socket.remoteAddress,
+  userAgent: req.get("user-agent"),
+});
+
+export const listPendingRegistrations = asyncHandler(async (req, res) => {
+  const users = await registrationService.listPending(req.user, { organizationId: req.query.organizationId });
+
+  return res.status(200).json(new apiResponse(200, users, "Pending registrations retrieved successfully"));
+});
+
+export const approveRegistration = asyncHandler(async (req, res) => {
+  const user = await registrationService.approve(req.user, req.params.id, registrationContext(req));
+
+  return res.status(200).json(new apiResponse(200, user, `${user.name} can now log in`));
+});
+
+export const rejectRegistration = asyncHandler(async (req, res) => {
+  const user = await registrationService.reject(req.user, req.params.id, req.body?.reason, registrationContext(req));
+
+  return res.status(200).json(new apiResponse(200, user, `Registration of ${user.name} rejected`));
+});
+
 export default {
   createUser,
   getUserById,
@@ -428,4 +705,9 @@ export default {
   getRolesForDropdown,
   getBranchesForDropdown,
   changeUserPassword,
+  getUserPasswordPolicy,
+  resetUserMfa,
+  listPendingRegistrations,
+  approveRegistration,
+  rejectRegistration,
 };
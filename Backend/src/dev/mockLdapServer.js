@@ -0,0 +1,276 @@
+import net from "net";
+import { pathToFileURL } from "url";
+import { ber, LDAP_OP, FILTER_TAG, LDAP_RESULT } from "../utils/ldap.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+
+/**
+ * Mock LDAP directory for local development (never run in production)
+ *
+ * In-process:
+ *   const directory = await startMockLdapServer({ entries });
+ *   // organization.ldap.url = directory.url
+ *   await directory.close();
+ *
+ * Standalone, with the sample directory below:
+ *   npm run mock-ldap
+ *
+ * Supports simple bind (by DN or userPrincipalName, password in the entry's
+ * userPassword) and search with base/one/sub scope and and/or/not,
+ * equality, substring and presence filters, which is what directory logins
+ * and sync use. Searching requires an authenticated bind, as with Active
+ * Directory. Matching is case-insensitive.
+ */
+
+const BASE_DN = "dc=abcd,dc=local";
+
+export const SAMPLE_DIRECTORY = [
+  {
+    dn: `cn=svc-abcd,ou=service,${BASE_DN}`,
+    attributes: { objectClass: ["top", "person"], cn: "svc-abcd", userPassword: "service-secret" },
+  },
+  {
+    dn: `cn=IT Admins,ou=groups,${BASE_DN}`,
+    attributes: { objectClass: ["top", "group"], cn: "IT Admins" },
+  },
+  {
+    dn: `cn=Staff,ou=groups,${BASE_DN}`,
+    attributes: { objectClass: ["top", "group"], cn: "Staff" },
+  },
+  {
+    dn: `cn=Jane Doe,ou=people,${BASE_DN}`,
+    attributes: {
+      objectClass: ["top", "person", "user"],
+      cn: "Jane Doe",
+      sAMAccountName: "jdoe",
+      userPrincipalName: "jdoe@abcd.local",
+      mail: "jane.doe@abcd.local",
+      displayName: "Jane Doe",
+      title: "IT Manager",
+      department: "IT",
+      employeeID: "EMP1001",
+      memberOf: [`cn=IT Admins,ou=groups,${BASE_DN}`, `cn=Staff,ou=groups,${BASE_DN}`],
+      userPassword: "Passw0rd!",
+    },
+  },
+  {
+    dn: `cn=John Smith,ou=people,${BASE_DN}`,
+    attributes: {
+      objectClass: ["top", "person", "user"],
+      cn: "John Smith",
+      sAMAccountName: "jsmith",
+      userPrincipalName: "jsmith@abcd.local",
+      mail: "john.smith@abcd.local",
+      displayName: "John Smith",
+      title: "Technician",
+      department: "Support",
+      employeeID: "EMP1002",
+      memberOf: [`cn=Staff,ou=groups,${BASE_DN}`],
+      userPassword: "Passw0rd!",
+    },
+  },
+];
+
+const HIDDEN_ATTRIBUTES = ["userpassword"];
+
+const normalizeDn = (dn) =>
+  String(dn)
+    .split(",")
+    .map((part) => part.trim().toLowerCase())
+    .join(",");
+
+const valuesOf = (entry, attribute) => {
+  const name = attribute.toLowerCase();
+  const key = Object.keys(entry.attributes).find((candidate) => candidate.toLowerCase() === name);
+  if (!key) return [];
+  const value = entry.attributes[key];
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+const matchesFilter = (filter, entry) => {
+  const { readChildren, readElement, readString } = ber;
+
+  switch (filter.tag) {
+    case FILTER_TAG.AND:
+      return readChildren(filter.content).every((child) => matchesFilter(child, entry));
+    case FILTER_TAG.OR:
+      return readChildren(filter.content).some((child) => matchesFilter(child, entry));
+    case FILTER_TAG.NOT:
+      return !matchesFilter(readElement(filter.content), entry);
+    case FILTER_TAG.PRESENT:
+      return valuesOf(entry, readString(filter.content)).length > 0;
+    case FILTER_TAG.EQUALITY:
+    case FILTER_TAG.APPROX:
+    case FILTER_TAG.GREATER_OR_EQUAL:
+    case FILTER_TAG.LESS_OR_EQUAL: {
+      const [attribute, assertion] = readChildren(filter.content).map((child) => readString(child.content));
+      const wanted = assertion.toLowerCase();
+      return valuesOf(entry, attribute).some((value) => {
+        const actual = value.toLowerCase();
+        if (filter.tag === FILTER_TAG.GREATER_OR_EQUAL) return actual >= wanted;
+        if (filter.tag === FILTER_TAG.LESS_OR_EQUAL) return actual <= wanted;
+        return actual === wanted;
+      });
+    }
+    case FILTER_TAG.SUBSTRINGS: {
+      const [attribute, substrings] = readChildren(filter.content);
+      let pattern = "";
+      let initial = "";
+      let final = "";
+      for (const part of readChildren(substrings.content)) {
+        const text = escapeRegex(readString(part.content));
+        if (part.tag === 0x80) initial = text;
+        else if (part.tag === 0x82) final = text;
+        else pattern += `.*${text}`;
+      }
+      const regex = new RegExp(`^${initial}${pattern}.*${final}$`, "is");
+      return valuesOf(entry, readString(attribute.content)).some((value) => regex.test(value));
+    }
+    default:
+      return false;
+  }
+};
+
+const inScope = (entryDn, baseDn, scope) => {
+  const dn = normalizeDn(entryDn);
+  const base = normalizeDn(baseDn);
+  if (scope === 0) return dn === base;
+  const isBelow = base ? dn.endsWith(`,${base}`) : true;
+  if (scope === 1) return isBelow && dn.slice(0, dn.length - base.length - 1).split(",").length === 1;
+  return dn === base || isBelow;
+};
+
+const result = (tag, code, message = "") =>
+  ber.sequence([ber.integer(code, 0x0a), ber.octetString(""), ber.octetString(message)], tag);
+
+const handleConnection = (socket, entries) => {
+  let buffer = Buffer.alloc(0);
+  let boundDn = null;
+
+  const reply = (id, op) => socket.write(ber.sequence([ber.integer(id), op]));
+
+  const handleMessage = (id, op) => {
+    if (op.tag === LDAP_OP.UNBIND_REQUEST) {
+      socket.end();
+      return;
+    }
+
+    if (op.tag === LDAP_OP.BIND_REQUEST) {
+      const [, name, credentials] = ber.readChildren(op.content);
+      const dn = ber.readString(name.content);
+      const password = ber.readString(credentials.content);
+
+      // Unauthenticated bind (RFC 4513): "succeeds" without checking anything
+      if (!password) {
+        boundDn = null;
+        return reply(id, result(LDAP_OP.BIND_RESPONSE, LDAP_RESULT.SUCCESS));
+      }
+
+      const entry = entries.find(
+        (candidate) =>
+          normalizeDn(candidate.dn) === normalizeDn(dn) ||
+          valuesOf(candidate, "userPrincipalName").some((upn) => upn.toLowerCase() === dn.toLowerCase())
+      );
+      if (!entry || !valuesOf(entry, "userPassword").includes(password)) {
+        boundDn = null;
+        return reply(id, result(LDAP_OP.BIND_RESPONSE, LDAP_RESULT.INVALID_CREDENTIALS, "Invalid credentials"));
+      }
+
+      boundDn = entry.dn;
+      return reply(id, result(LDAP_OP.BIND_RESPONSE, LDAP_RESULT.SUCCESS));
+    }
+
+    if (op.tag === LDAP_OP.SEARCH_REQUEST) {
+      if (!boundDn) {
+        // insufficientAccessRights
+        return reply(id, result(LDAP_OP.SEARCH_RESULT_DONE, 50, "Bind required"));
+      }
+
+      const [base, scope, , sizeLimit, , , filter, attributeList] = ber.readChildren(op.content);
+      const requested = ber
+        .readChildren(attributeList.content)
+        .map((attribute) => ber.readString(attribute.content).toLowerCase());
+      const limit = ber.readInteger(sizeLimit.content);
+
+      const found = entries.filter(
+        (entry) =>
+          inScope(entry.dn, ber.readString(base.content), ber.readInteger(scope.content)) &&
+          matchesFilter(filter, entry)
+      );
+
+      for (const entry of limit ? found.slice(0, limit) : found) {
+        const attributes = Object.keys(entry.attributes)
+          .filter((key) => !HIDDEN_ATTRIBUTES.includes(key.toLowerCase()))
+          .filter((key) => !requested.length || requested.includes("*") || requested.includes(key.toLowerCase()))
+          .map((key) =>
+            ber.sequence([
+              ber.octetString(key),
+              ber.sequence(valuesOf(entry, key).map((value) => ber.octetString(value)), 0x31),
+            ])
+          );
+        reply(id, ber.sequence([ber.octetString(entry.dn), ber.sequence(attributes)], LDAP_OP.SEARCH_RESULT_ENTRY));
+      }
+
+      const truncated = limit && found.length > limit;
+      return reply(
+        id,
+        result(LDAP_OP.SEARCH_RESULT_DONE, truncated ? LDAP_RESULT.SIZE_LIMIT_EXCEEDED : LDAP_RESULT.SUCCESS)
+      );
+    }
+
+    // Anything else: unwillingToPerform, answered as an extended response
+    return reply(id, result(0x78, LDAP_RESULT.UNWILLING_TO_PERFORM, "Not supported by the mock server"));
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let message;
+    try {
+      while ((message = ber.readElement(buffer))) {
+        buffer = buffer.subarray(message.end);
+        const [id, op] = ber.readChildren(message.content);
+        handleMessage(ber.readInteger(id.content), op);
+      }
+    } catch {
+      socket.destroy();
+    }
+  });
+  socket.on("error", () => socket.destroy());
+};
+
+/**
+ * Start a mock directory
+ * @param {Object} options - { port = 0 (random), host = "127.0.0.1", entries = SAMPLE_DIRECTORY }
+ * @returns {Promise<Object>} - { url, port, close() }
+ */
+export const startMockLdapServer = ({ port = 0, host = "127.0.0.1", entries = SAMPLE_DIRECTORY } = {}) =>
+  new Promise((resolve, reject) => {
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+      sockets.add(socket);
+      socket.on("close", () => sockets.delete(socket));
+      handleConnection(socket, entries);
+    });
+
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const { port: actualPort } = server.address();
+      resolve({
+        url: `ldap://${host}:${actualPort}`,
+        port: actualPort,
+        close: () =>
+          new Promise((done) => {
+            sockets.forEach((socket) => socket.destroy());
+            server.close(() => done());
+          }),
+      });
+    });
+  });
+
+// npm run mock-ldap
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { url } = await startMockLdapServer({ port: parseInt(process.env.MOCK_LDAP_PORT || "3890", 10) });
+  console.log(`📒 Mock LDAP directory at ${url}`);
+  console.log(`   Base DN: ${BASE_DN}`);
+  console.log(`   Service account: cn=svc-abcd,ou=service,${BASE_DN} / service-secret`);
+  console.log("   Users: jdoe, jsmith (password Passw0rd!)");
+}
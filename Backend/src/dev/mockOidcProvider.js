@@ -0,0 +1,158 @@
+import express from "express";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * Mock OpenID Connect provider for local development (never run in production)
+ *
+ *   npm run mock-idp
+ *
+ * Then point the backend at it:
+ *   OIDC_ISSUER=http://localhost:4010
+ *   OIDC_CLIENT_ID=abcd-local
+ *
+ * The sign-in page asks for the email, employee ID and name to put in the ID
+ * token, so any existing or new user can be tried. Supports discovery, JWKS,
+ * authorization code with PKCE (S256), token and userinfo. Codes are single
+ * use and keys are regenerated on every start.
+ *
+ * MOCK_OIDC_PORT (4010), MOCK_OIDC_CLIENT_ID (abcd-local) and
+ * MOCK_OIDC_CLIENT_SECRET (none = public client) configure it.
+ */
+
+const port = parseInt(process.env.MOCK_OIDC_PORT || "4010", 10);
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || "abcd-local";
+const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET || null;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString("hex");
+const jwk = { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" };
+
+// code -> { redirectUri, codeChallenge, nonce, claims, expiresAt }
+const codes = new Map();
+// access token -> claims
+const accessTokens = new Map();
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const oauthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "profile", "email"],
+  });
+});
+
+app.get("/jwks", (req, res) => res.json({ keys: [jwk] }));
+
+// Sign-in page: pick the identity to sign in as
+app.get("/authorize", (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+  if (client_id !== clientId) return res.status(400).send("Unknown client_id");
+  if (!redirect_uri) return res.status(400).send("redirect_uri is required");
+  if (response_type !== "code") return res.status(400).send("Only response_type=code is supported");
+  if (!code_challenge || code_challenge_method !== "S256") return res.status(400).send("PKCE (S256) is required");
+
+  const hidden = ["client_id", "redirect_uri", "state", "nonce", "code_challenge"]
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join("");
+
+  res.send(`<!doctype html>
+<html><head><title>Mock identity provider</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 3rem auto">
+  <h2>Mock identity provider</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" style="width: 100%"></label></p>
+    <p><label>Employee ID<br><input name="employee_id" style="width: 100%"></label></p>
+    <p><label>Name<br><input name="name" style="width: 100%"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <p><button type="submit" name="decision" value="allow">Sign in</button>
+       <button type="submit" name="decision" value="deny">Cancel</button></p>
+  </form>
+</body></html>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, decision, email, employee_id, name } = req.body;
+  const target = new URL(redirect_uri);
+  if (state) target.searchParams.set("state", state);
+
+  if (decision !== "allow") {
+    target.searchParams.set("error", "access_denied");
+    return res.redirect(target.toString());
+  }
+
+  const subject = crypto.createHash("sha256").update(`${email}|${employee_id}`).digest("hex").slice(0, 24);
+  const claims = {
+    sub: subject,
+    ...(email && { email, email_verified: req.body.email_verified === "on" }),
+    ...(employee_id && { employee_id }),
+    ...(name && { name }),
+  };
+
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    claims,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  target.searchParams.set("code", code);
+  res.redirect(target.toString());
+});
+
+app.post("/token", (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+  if (grant_type !== "authorization_code") return oauthError(res, 400, "unsupported_grant_type");
+  if (client_id !== clientId || (clientSecret && client_secret !== clientSecret)) {
+    return oauthError(res, 401, "invalid_client");
+  }
+
+  const grant = codes.get(code);
+  codes.delete(code);
+  if (!grant || grant.expiresAt < Date.now()) return oauthError(res, 400, "invalid_grant", "Unknown or expired code");
+  if (grant.redirectUri !== redirect_uri) return oauthError(res, 400, "invalid_grant", "redirect_uri mismatch");
+
+  const challenge = crypto.createHash("sha256").update(String(code_verifier || "")).digest("base64url");
+  if (challenge !== grant.codeChallenge) return oauthError(res, 400, "invalid_grant", "PKCE verification failed");
+
+  const idToken = jwt.sign({ ...grant.claims, ...(grant.nonce && { nonce: grant.nonce }) }, privateKey, {
+    algorithm: "RS256",
+    keyid: kid,
+    issuer,
+    audience: clientId,
+    expiresIn: "5m",
+  });
+  const accessToken = crypto.randomBytes(24).toString("base64url");
+  accessTokens.set(accessToken, grant.claims);
+
+  res.json({ token_type: "Bearer", access_token: accessToken, id_token: idToken, expires_in: 300 });
+});
+
+app.get("/userinfo", (req, res) => {
+  const claims = accessTokens.get(req.get("authorization")?.replace(/^Bearer /, ""));
+  if (!claims) return oauthError(res, 401, "invalid_token");
+  res.json(claims);
+});
+
+app.listen(port, () => {
+  console.log(`🔑 Mock OIDC provider at ${issuer} (client_id ${clientId})`);
+});
@@ -0,0 +1,254 @@
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import {
+  COSE_ALGORITHMS,
+  encodeCbor,
+  publicKeyToCose,
+  signData,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+} from "../utils/webauthn.js";
+
+/**
+ * Software WebAuthn authenticator for local development and checks (never
+ * use it as a real authenticator: keys live in memory)
+ *
+ * In-process, with options from the API:
+ *   const authenticator = new SoftwareAuthenticator({ origin: "http://localhost:5173" });
+ *   const credential = authenticator.create(creationOptions);   // POST /auth/passkeys/register
+ *   const assertion = authenticator.get(requestOptions);        // POST /auth/passkeys/login
+ *   const copy = authenticator.clone();                         // same keys and counter (clone detection)
+ *
+ * Standalone:
+ *   npm run webauthn-selftest
+ *     verifies registration and assertions of every supported algorithm
+ *     offline, including the failures (wrong origin, replayed counter, ...)
+ *   npm run webauthn-selftest -- --api http://localhost:4000/api/v1 --login <loginId> --password <password>
+ *     signs in, registers a passkey, then signs in again with it, without a
+ *     password, against a running API (the origin is APP_BASE_URL's)
+ */
+
+const KEY_TYPES = {
+  [COSE_ALGORITHMS.ES256]: ["ec", { namedCurve: "P-256" }],
+  [COSE_ALGORITHMS.EdDSA]: ["ed25519", {}],
+  [COSE_ALGORITHMS.RS256]: ["rsa", { modulusLength: 2048 }],
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+export class SoftwareAuthenticator {
+  /**
+   * @param {Object} options - { origin, algorithm? (COSE, default ES256), userVerification? (default true),
+   *   attestation? ("none" | "packed", default "none"), aaguid? (hex) }
+   */
+  constructor({ origin, algorithm = COSE_ALGORITHMS.ES256, userVerification = true, attestation = "none", aaguid } = {}) {
+    this.origin = origin;
+    this.algorithm = algorithm;
+    this.userVerification = userVerification;
+    this.attestation = attestation;
+    this.aaguid = Buffer.from(aaguid || "00".repeat(16), "hex");
+    // credentialId (base64url) -> { privateKey, rpId, userHandle, signCount }
+    this.credentials = new Map();
+  }
+
+  authenticatorData(rpId, signCount, attestedCredential = null) {
+    const flags = 0x01 | (this.userVerification ? 0x04 : 0) | (attestedCredential ? 0x40 : 0);
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, ...(attestedCredential ? [attestedCredential] : [])]);
+  }
+
+  clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+  }
+
+  /**
+   * Answer navigator.credentials.create options (base64url JSON as the API sends them)
+   * @param {Object} options - PublicKeyCredentialCreationOptions
+   * @returns {Object} - PublicKeyCredential JSON for the API
+   */
+  create(options) {
+    const rpId = options.rp?.id || new URL(this.origin).hostname;
+    const algorithm = options.pubKeyCredParams.some((param) => param.alg === this.algorithm)
+      ? this.algorithm
+      : options.pubKeyCredParams[0].alg;
+    const [type, params] = KEY_TYPES[algorithm];
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, params);
+
+    const credentialId = crypto.randomBytes(32);
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    const attested = Buffer.concat([this.aaguid, idLength, credentialId, encodeCbor(publicKeyToCose(publicKey))]);
+
+    const authData = this.authenticatorData(rpId, 0, attested);
+    const clientDataJSON = this.clientData("webauthn.create", options.challenge);
+    const attStmt =
+      this.attestation === "packed"
+        ? { alg: algorithm, sig: signData(algorithm, privateKey, Buffer.concat([authData, sha256(clientDataJSON)])) }
+        : {};
+
+    const id = credentialId.toString("base64url");
+    this.credentials.set(id, { privateKey, algorithm, rpId, userHandle: options.user?.id || null, signCount: 0 });
+
+    return {
+      id,
+      rawId: id,
+      type: "public-key",
+      response: {
+        clientDataJSON: clientDataJSON.toString("base64url"),
+        attestationObject: encodeCbor({ fmt: this.attestation, attStmt, authData }).toString("base64url"),
+        transports: ["internal"],
+      },
+    };
+  }
+
+  /**
+   * Answer navigator.credentials.get options; the counter moves forward on every use
+   * @param {Object} options - PublicKeyCredentialRequestOptions
+   * @returns {Object} - PublicKeyCredential JSON for the API
+   */
+  get(options) {
+    const allowed = (options.allowCredentials || []).map((descriptor) => descriptor.id);
+    const id = [...this.credentials.keys()].find((key) => allowed.length === 0 || allowed.includes(key));
+    if (!id) throw new Error("No matching credential on this authenticator");
+
+    const credential = this.credentials.get(id);
+    credential.signCount += 1;
+
+    const authData = this.authenticatorData(options.rpId || credential.rpId, credential.signCount);
+    const clientDataJSON = this.clientData("webauthn.get", options.challenge);
+    const signature = signData(credential.algorithm, credential.privateKey, Buffer.concat([authData, sha256(clientDataJSON)]));
+
+    return {
+      id,
+      rawId: id,
+      type: "public-key",
+      response: {
+        clientDataJSON: clientDataJSON.toString("base64url"),
+        authenticatorData: authData.toString("base64url"),
+        signature: signature.toString("base64url"),
+        userHandle: credential.userHandle,
+      },
+    };
+  }
+
+  /**
+   * Copy with the same keys and counters (what a cloned authenticator looks like)
+   * @returns {SoftwareAuthenticator}
+   */
+  clone() {
+    const copy = new SoftwareAuthenticator(this);
+    copy.aaguid = this.aaguid;
+    for (const [id, credential] of this.credentials) copy.credentials.set(id, { ...credential });
+    return copy;
+  }
+}
+
+// =====================================================
+// STANDALONE
+// =====================================================
+
+const origin = () => new URL(process.env.APP_BASE_URL || "http://localhost:5173").origin;
+
+const expectFailure = (label, fn) => {
+  try {
+    fn();
+  } catch (error) {
+    console.log(`  ok   ${label} refused (${error.message})`);
+    return;
+  }
+  throw new Error(`${label} was accepted`);
+};
+
+const runSelfTest = () => {
+  const rpId = new URL(origin()).hostname;
+  const expected = (challenge) => ({ challenge, origins: [origin()], rpId, requireUserVerification: true });
+
+  for (const [name, algorithm] of Object.entries(COSE_ALGORITHMS)) {
+    for (const attestation of ["none", "packed"]) {
+      console.log(`${name}, ${attestation} attestation`);
+      const authenticator = new SoftwareAuthenticator({ origin: origin(), algorithm, attestation });
+
+      const registration = authenticator.create({
+        rp: { id: rpId },
+        user: { id: "dXNlcg" },
+        challenge: "cmVnaXN0ZXI",
+        pubKeyCredParams: [{ type: "public-key", alg: algorithm }],
+      });
+      const stored = verifyRegistrationResponse(registration, expected("cmVnaXN0ZXI"));
+      console.log(`  ok   registration (${stored.credentialId.slice(0, 12)}...)`);
+      expectFailure("registration with another challenge", () => verifyRegistrationResponse(registration, expected("b3RoZXI")));
+
+      const copy = authenticator.clone();
+      const assertion = authenticator.get({ rpId, challenge: "bG9naW4" });
+      const result = verifyAuthenticationResponse(assertion, stored, expected("bG9naW4"));
+      if (result.cloneDetected) throw new Error("First assertion flagged as clone");
+      stored.signCount = result.signCount;
+      console.log(`  ok   assertion (counter ${result.signCount})`);
+
+      expectFailure("assertion from another origin", () =>
+        verifyAuthenticationResponse(assertion, stored, { ...expected("bG9naW4"), origins: ["https://evil.example"] })
+      );
+      const tampered = { ...assertion, response: { ...assertion.response, signature: Buffer.alloc(64).toString("base64url") } };
+      expectFailure("tampered signature", () => verifyAuthenticationResponse(tampered, stored, expected("bG9naW4")));
+
+      const cloned = verifyAuthenticationResponse(copy.get({ rpId, challenge: "Y2xvbmU" }), stored, expected("Y2xvbmU"));
+      if (!cloned.cloneDetected) throw new Error("Cloned authenticator was not detected");
+      console.log("  ok   cloned authenticator detected (counter did not move forward)");
+    }
+  }
+
+  const noUv = new SoftwareAuthenticator({ origin: origin(), userVerification: false });
+  const registration = noUv.create({ rp: { id: rpId }, challenge: "dXY", pubKeyCredParams: [{ type: "public-key", alg: -7 }] });
+  expectFailure("registration without user verification", () => verifyRegistrationResponse(registration, expected("dXY")));
+
+  console.log("WebAuthn self-test passed");
+};
+
+const runAgainstApi = async ({ api, login, password }) => {
+  const call = async (path, body, accessToken) => {
+    const response = await fetch(`${api}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(accessToken && { Authorization: `Bearer ${accessToken}` }) },
+      body: JSON.stringify(body || {}),
+    });
+    const payload = await response.json();
+    if (!response.ok) throw new Error(`${path}: ${payload.message}`);
+    return payload.data;
+  };
+
+  const authenticator = new SoftwareAuthenticator({ origin: origin() });
+
+  const session = await call("/auth/login", { loginId: login, password });
+  if (!session.accessToken) throw new Error("The account needs a second factor; use one without MFA");
+  console.log(`Signed in as ${session.user.name} with the password`);
+
+  const creationOptions = await call("/auth/passkeys/register/options", {}, session.accessToken);
+  const passkey = await call(
+    "/auth/passkeys/register",
+    { credential: authenticator.create(creationOptions), name: "Software authenticator" },
+    session.accessToken
+  );
+  console.log(`Registered passkey ${passkey.credentialId}`);
+
+  const requestOptions = await call("/auth/passkeys/login/options", {});
+  const passwordless = await call("/auth/passkeys/login", { credential: authenticator.get(requestOptions) });
+  console.log(`Signed in as ${passwordless.user.name} with the passkey (device ${passwordless.deviceId})`);
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? null : args[index + 1];
+  };
+
+  const run = option("api")
+    ? runAgainstApi({ api: option("api").replace(/\/$/, ""), login: option("login"), password: option("password") })
+    : Promise.resolve().then(runSelfTest);
+
+  run.catch((error) => {
+    console.error("❌", error.message);
+    process.exit(1);
+  });
+}
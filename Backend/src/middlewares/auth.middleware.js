@@ -1,10 +1,16 @@
-import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
 import { UserLogin } from "../models/userLogin.model.js";
 import { AtomicRole } from "../models/atomicRole.model.js";
+import serviceAccountService from "../services/serviceAccount.service.js";
+import keyRingService, { TOKEN_TYPES } from "../services/keyRing.service.js";
+import authService from "../services/auth.service.js";
 
 /**
  * Auth Middleware - Verify JWT token and attach user to request
+ * Service account API keys ("abcd_sk_...", as Bearer token or X-API-Key) are
+ * accepted too; req.user is then the service account with the key's permissions.
+ * Impersonation tokens (a super admin acting as a user) make req.user the
+ * impersonated user with req.user.impersonation describing the real actor.
  */
 
 export const verifyJWT = async (req, res, next) => {
@@ -19,9 +25,9 @@ export const verifyJWT = async (req, res, next) => {
         : authHeader;
     }
     
-    // Fallback: check cookies and body
+    // Fallback: API key header, cookies and body
     if (!token) {
-      token = req.cookies?.accessToken || req.body?.accessToken;
+      token = req.get("x-api-key") || req.cookies?.accessToken || req.body?.accessToken;
     }
 
     if (!token) {
@@ -32,14 +38,29 @@ export const verifyJWT = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    if (!process.env.ACCESS_TOKEN_SECRET) {
-      throw new Error("ACCESS_TOKEN_SECRET is not configured");
+    // Service account API key
+    if (serviceAccountService.isApiKey(token)) {
+      try {
+        req.user = await serviceAccountService.authenticate(
+          token,
+          req.ip || req.connection.remoteAddress || req.socket.remoteAddress
+        );
+        return next();
+      } catch (error) {
+        const statusCode = error.statusCode || 401;
+        return res.status(statusCode).json({
+          success: false,
+          statusCode,
+          message: error.message || "Invalid API key",
+        });
+      }
     }
-    const decoded = jwt.verify(
-      token,
-      process.env.ACCESS_TOKEN_SECRET
-    );
+
+    // Verify token (refresh and MFA challenge tokens are rejected here)
+    const decoded = await keyRingService.verifyToken(token, TOKEN_TYPES.ACCESS);
+
+    // Impersonation: the session must still be open and the actor still a super admin
+    const impersonation = decoded.imp ? await authService.resolveImpersonation(decoded) : null;
 
     // Fetch user details
     const user = await User.findById(decoded.id);
@@ -61,9 +82,10 @@ export const verifyJWT = async (req, res, next) => {
       });
     }
 
-    // Verify device tokenVersion matches stored value
+    // Verify device tokenVersion matches stored value (an impersonation token
+    // is bound to the actor's device, so signing that device out ends it too)
     if (decoded.deviceId) {
-      const userLogin = await UserLogin.findOne({ user: decoded.id });
+      const userLogin = await UserLogin.findOne({ user: impersonation ? impersonation.actor.id : decoded.id });
       if (!userLogin) {
         return res.status(401).json({
           success: false,
@@ -116,8 +138,23 @@ export const verifyJWT = async (req, res, next) => {
       id: decoded.id,
       username: decoded.username,
       ...user.toObject(),
+      // Device (session) the access token was issued to
+      deviceId: decoded.deviceId,
+      // Set when a super admin is acting as this user: { sessionId, actor, reason, expiresAt }
+      impersonation,
     };
 
+    // Audit every request made while impersonating
+    if (impersonation) {
+      res.on("finish", () => {
+        authService.recordImpersonatedRequest(impersonation.sessionId, {
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+        });
+      });
+    }
+
     next();
   } catch (error) {
     if (error.name === "TokenExpiredError") {
@@ -136,6 +173,21 @@ export const verifyJWT = async (req, res, next) => {
   }
 };
 
+/**
+ * Refuse the request while a super admin is impersonating a user
+ * (password, role, credential and session changes stay with the real user)
+ */
+export const blockImpersonation = (req, res, next) => {
+  if (req.user?.impersonation) {
+    return res.status(403).json({
+      success: false,
+      statusCode: 403,
+      message: "Not allowed while impersonating a user",
+    });
+  }
+  next();
+};
+
 /**
  * Admin verification middleware
  */
@@ -1,5 +1,6 @@
 import { hasPermission, checkScopeAccess } from "../utils/permissionUtils.js";
 import { apiError } from "../utils/apiError.js";
+import { Role } from "../models/role.model.js";
 
 /**
  * Authorization Middleware Factory
@@ -178,6 +179,54 @@ export const checkScopePermission = (permissionKey, options = {}) => {
   };
 };
 
+/**
+ * Check an action on the user's detailed Role (User.roleId → Role.permissions[].actions)
+ * Used for workflow actions such as "approve" that are not atomic permission keys.
+ * SUPER_ADMIN ("*") always passes.
+ * @param {string} resourceName - Role resource name (e.g., "issue_items")
+ * @param {string} action - create | read | update | delete | export | approve
+ * @returns {Function} - Express middleware
+ */
+export const checkRoleAction = (resourceName, action) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          statusCode: 401,
+          message: "Authentication required",
+        });
+      }
+
+      if (hasPermission(req.user.permissions || [], "*")) {
+        req.checkedPermission = `${resourceName}:${action}`;
+        return next();
+      }
+
+      const role = req.user.roleId
+        ? await Role.findOne({ _id: req.user.roleId, isDeleted: false })
+        : null;
+
+      if (!role || !role.hasPermission(resourceName, action)) {
+        return res.status(403).json({
+          success: false,
+          statusCode: 403,
+          message: `Role action '${action}' on '${resourceName}' required`,
+        });
+      }
+
+      req.checkedPermission = `${resourceName}:${action}`;
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        statusCode: 500,
+        message: error.message,
+      });
+    }
+  };
+};
+
 /**
  * Optional: Check if user is admin (has certain admin permissions)
  * Used as a quick check for admin-only routes
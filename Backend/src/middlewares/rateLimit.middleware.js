@@ -0,0 +1,167 @@
+import { apiError } from "../utils/apiError.js";
+import { convertExpiryToMs } from "../utils/tokenUtils.js";
+import { getRateLimitStore } from "../utils/rateLimitStore.js";
+
+/**
+ * Rate Limit Middleware - Per-route request limits
+ *
+ * A policy allows `limit` requests per sliding `window` for each of its keys:
+ * - "ip": the client address;
+ * - "loginId": the loginId in the body (login attempts for one account from many IPs);
+ * - "user": the authenticated user (after verifyJWT), falling back to the IP.
+ * With several keys each is counted separately and the most constrained one
+ * decides. Responses carry RateLimit-Limit / -Remaining / -Reset / -Policy;
+ * rejected requests get a 429 apiError with Retry-After.
+ *
+ * Limits are overridden per policy with RATE_LIMIT_<NAME>=<limit>/<window>
+ * (e.g. RATE_LIMIT_LOGIN=20/15m) and switched off with RATE_LIMIT_ENABLED=false.
+ * Counters live in the rate limit store (in-memory unless a shared store is set).
+ */
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+const KEY_RESOLVERS = {
+  ip: (req) => req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress || "unknown",
+  loginId: (req) => {
+    const loginId = String(req.body?.loginId ?? "").trim().toLowerCase();
+    return loginId || null;
+  },
+  user: (req) => {
+    const userId = req.user?.id || req.user?._id;
+    return userId ? String(userId) : null;
+  },
+};
+
+// Policy limits with the RATE_LIMIT_<NAME> override applied
+const resolveLimits = (policy) => {
+  const override = process.env[`RATE_LIMIT_${policy.name.toUpperCase()}`];
+  if (override) {
+    const [limit, window] = override.split("/").map((part) => part.trim());
+    const windowMs = convertExpiryToMs(window);
+    if (parseInt(limit, 10) > 0 && windowMs) {
+      return { limit: parseInt(limit, 10), windowMs };
+    }
+    console.warn(`Ignoring invalid RATE_LIMIT_${policy.name.toUpperCase()}="${override}" (expected e.g. 20/15m)`);
+  }
+  return { limit: policy.limit, windowMs: convertExpiryToMs(policy.window) };
+};
+
+// Requests in the sliding window: the current fixed window plus the share of
+// the previous one that still overlaps it
+const slidingCount = ({ current, previous, windowStartedAt }, windowMs, now) =>
+  previous * Math.max(0, 1 - (now - windowStartedAt) / windowMs) + current;
+
+// Time until one more request fits under the limit
+const msUntilAllowed = ({ current, previous, windowStartedAt }, windowMs, limit, now) => {
+  const elapsed = now - windowStartedAt;
+  if (current < limit) {
+    if (!previous) return 0;
+    return Math.max(0, windowMs * (1 - (limit - 1 - current) / previous) - elapsed);
+  }
+  // The current window alone is full: wait for it to become the previous one and decay enough
+  return windowMs - elapsed + Math.max(0, windowMs * (1 - (limit - 1) / current));
+};
+
+const formatWait = (seconds) => (seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`);
+
+// =====================================================
+// MIDDLEWARE FACTORY
+// =====================================================
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} policy - { name, limit, window ("15m", "1h"), keys = ["ip"], message? (the wait is appended) }
+ * @returns {Function} - Express middleware
+ */
+export const rateLimit = (policy) => {
+  const keys = policy.keys?.length ? policy.keys : ["ip"];
+  const unknown = keys.find((key) => !KEY_RESOLVERS[key]);
+  if (unknown) {
+    throw new Error(`Unknown rate limit key "${unknown}" in policy "${policy.name}"`);
+  }
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === "false") return next();
+
+    try {
+      const { limit, windowMs } = resolveLimits(policy);
+      const store = getRateLimitStore();
+      const now = Date.now();
+
+      const identities = keys
+        .map((key) => [key, KEY_RESOLVERS[key](req)])
+        .filter(([, value]) => value);
+      if (identities.length === 0) identities.push(["ip", KEY_RESOLVERS.ip(req)]);
+
+      // The key with the fewest requests left decides
+      let tightest = null;
+      for (const [key, value] of identities) {
+        const counters = await store.increment(`${policy.name}:${key}:${value}`, windowMs);
+        const count = slidingCount(counters, windowMs, now);
+        if (!tightest || count > tightest.count) tightest = { counters, count };
+      }
+
+      const { counters, count } = tightest;
+      const limited = count > limit;
+      const resetMs = limited
+        ? msUntilAllowed(counters, windowMs, limit, now)
+        : counters.windowStartedAt + windowMs - now;
+      const resetSeconds = Math.max(1, Math.ceil(resetMs / 1000));
+
+      res.set({
+        "RateLimit-Limit": String(limit),
+        "RateLimit-Remaining": String(Math.max(0, Math.floor(limit - count))),
+        "RateLimit-Reset": String(resetSeconds),
+        "RateLimit-Policy": `${limit};w=${Math.round(windowMs / 1000)}`,
+      });
+
+      if (limited) {
+        res.set("Retry-After", String(resetSeconds));
+        return next(
+          new apiError(429, `${policy.message || "Too many requests."} Try again in ${formatWait(resetSeconds)}.`, [
+            { policy: policy.name, retryAfter: resetSeconds },
+          ])
+        );
+      }
+
+      return next();
+    } catch (error) {
+      // A store outage must not take the API down with it
+      console.error(`Rate limit "${policy.name}" skipped:`, error.message);
+      return next();
+    }
+  };
+};
+
+// =====================================================
+// POLICIES
+// =====================================================
+// Login limits sit on top of the failed-login lockout (lockoutService), which
+// only counts failures; these count every attempt.
+export const rateLimits = {
+  // Every API request, per client address
+  api: rateLimit({ name: "api", limit: 600, window: "1m", keys: ["ip"] }),
+
+  // Password, passkey, MFA and single sign-on logins
+  login: rateLimit({
+    name: "login",
+    limit: 30,
+    window: "15m",
+    keys: ["ip", "loginId"],
+    message: "Too many sign-in attempts.",
+  }),
+
+  // Token refresh (every open tab refreshes when its access token expires)
+  refresh: rateLimit({ name: "refresh", limit: 60, window: "15m", keys: ["ip"] }),
+
+  // Forgot / reset password
+  passwordReset: rateLimit({ name: "password_reset", limit: 10, window: "1h", keys: ["ip"] }),
+
+  // Self-service sign-up
+  register: rateLimit({ name: "register", limit: 5, window: "1h", keys: ["ip"] }),
+
+  // User management, per signed-in user
+  users: rateLimit({ name: "users", limit: 120, window: "1m", keys: ["user"] }),
+};
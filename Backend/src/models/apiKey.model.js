@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+/**
+ * API Key Schema - Credential of a service account (machine-to-machine access)
+ * A key looks like "abcd_sk_<keyId>_<secret>". keyId is public (shown in
+ * lists and logs); only the SHA-256 hash of the secret is stored, so the full
+ * key is shown once, when it is created. A key grants its own permissions,
+ * which are a subset of its service account's. Revoked and expired keys are
+ * kept for the audit trail.
+ */
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    // Service account (User with accountType "service") the key authenticates as
+    serviceAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    keyId: { type: String, required: true, unique: true },
+    keyHash: { type: String, required: true, select: false },
+
+    permissions: [String],
+
+    // null = never expires
+    expiresAt: { type: Date, default: null },
+
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: null },
+
+    revokedAt: { type: Date, default: null },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ serviceAccount: 1, createdAt: -1 });
+
+apiKeySchema.virtual("isExpired").get(function () {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+apiKeySchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  return this.isExpired ? "expired" : "active";
+});
+
+apiKeySchema.set("toJSON", { virtuals: true });
+apiKeySchema.set("toObject", { virtuals: true });
+
+export const ApiKey = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+
+/**
+ * Asset Schema - Serialized, individually tracked hardware
+ * (laptops, desktops, monitors, printers, ...)
+ *
+ * Status lifecycle:
+ * - in_stock      → assigned, under_repair, retired, lost
+ * - assigned      → in_stock, under_repair, lost
+ * - under_repair  → in_stock, assigned, retired
+ * - retired       → disposed, in_stock
+ * - lost          → in_stock, disposed
+ * - disposed      → (terminal)
+ */
+
+export const ASSET_CATEGORIES = [
+  "laptop",
+  "desktop",
+  "monitor",
+  "printer",
+  "server",
+  "network",
+  "mobile",
+  "tablet",
+  "other",
+];
+
+export const ASSET_STATUSES = [
+  "in_stock",
+  "assigned",
+  "under_repair",
+  "retired",
+  "lost",
+  "disposed",
+];
+
+export const ASSET_STATUS_TRANSITIONS = {
+  in_stock: ["assigned", "under_repair", "retired", "lost"],
+  assigned: ["in_stock", "under_repair", "lost"],
+  under_repair: ["in_stock", "assigned", "retired"],
+  retired: ["disposed", "in_stock"],
+  lost: ["in_stock", "disposed"],
+  disposed: [],
+};
+
+const assetSchema = new mongoose.Schema(
+  {
+    // Identity
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      example: "Dell Latitude 5420",
+    },
+
+    serialNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      example: "SN123456",
+    },
+
+    assetTag: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+      example: "ABCD-LAP-0001",
+    },
+
+    category: {
+      type: String,
+      enum: ASSET_CATEGORIES,
+      required: true,
+      default: "other",
+    },
+
+    make: { type: String, trim: true, default: "NA" },
+    model: { type: String, trim: true, default: "NA" },
+
+    // Hardware specification at the time of purchase (cpu, ram, storage, os, ...)
+    specifications: {
+      type: Map,
+      of: String,
+      default: new Map(),
+    },
+
+    // Purchase info
+    purchaseInfo: {
+      purchaseDate: { type: Date, default: null },
+      purchasePrice: { type: Number, min: 0, default: null },
+      vendor: { type: String, trim: true, default: null },
+      invoiceNumber: { type: String, trim: true, default: null },
+      warrantyExpiry: { type: Date, default: null },
+    },
+
+    // Lifecycle
+    status: {
+      type: String,
+      enum: ASSET_STATUSES,
+      default: "in_stock",
+    },
+
+    statusChangedAt: { type: Date, default: Date.now },
+
+    // Scope
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+
+    branchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+
+    // Current assignee (null when not assigned)
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    assignedAt: { type: Date, default: null },
+
+    remarks: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+
+    // Audit
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+assetSchema.index({ serialNumber: 1, organizationId: 1 }, { unique: true });
+assetSchema.index(
+  { assetTag: 1, organizationId: 1 },
+  { unique: true, partialFilterExpression: { assetTag: { $type: "string" } } }
+);
+assetSchema.index({ organizationId: 1, branchId: 1, status: 1 });
+assetSchema.index({ assignedTo: 1 });
+assetSchema.index({ category: 1 });
+assetSchema.index({ createdAt: -1 });
+
+/**
+ * Check whether the asset may move to the given status
+ * @param {string} nextStatus - Target status
+ * @returns {boolean}
+ */
+assetSchema.methods.canTransitionTo = function (nextStatus) {
+  return (ASSET_STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+/**
+ * Move the asset to a new status, validating the lifecycle
+ * @param {string} nextStatus - Target status
+ * @returns {boolean} - false if the transition is not allowed
+ */
+assetSchema.methods.setStatus = function (nextStatus) {
+  if (this.status === nextStatus) return true;
+  if (!this.canTransitionTo(nextStatus)) return false;
+
+  this.status = nextStatus;
+  this.statusChangedAt = new Date();
+  return true;
+};
+
+export const Asset = mongoose.model("Asset", assetSchema);
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+/**
+ * Asset Custody Event Schema - Immutable chain-of-custody ledger
+ * One document per hand-over of an asset:
+ * - assign   : stock → user
+ * - reassign : user → another user (same branch)
+ * - transfer : moved to another branch (optionally straight to a user)
+ * - return   : user → stock
+ *
+ * Events are append-only: updates and deletes are rejected at model level.
+ * Asset identity (serial number, tag, name) is copied onto each event so the
+ * history stays readable even after the asset itself is deleted.
+ */
+
+export const CUSTODY_EVENT_TYPES = ["assign", "reassign", "transfer", "return"];
+
+const assetCustodyEventSchema = new mongoose.Schema(
+  {
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Asset",
+      required: true,
+    },
+
+    // Snapshot of asset identity at the time of the event
+    serialNumber: { type: String, required: true, uppercase: true, trim: true },
+    assetTag: { type: String, uppercase: true, trim: true, default: null },
+    assetName: { type: String, trim: true },
+
+    eventType: {
+      type: String,
+      enum: CUSTODY_EVENT_TYPES,
+      required: true,
+    },
+
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+
+    fromUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    toUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    fromBranch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null },
+    toBranch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null },
+
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+
+    conditionNotes: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Indexes for better query performance
+assetCustodyEventSchema.index({ asset: 1, occurredAt: 1 });
+assetCustodyEventSchema.index({ serialNumber: 1, organizationId: 1, occurredAt: 1 });
+assetCustodyEventSchema.index({ toUser: 1, occurredAt: -1 });
+assetCustodyEventSchema.index({ fromUser: 1, occurredAt: -1 });
+
+// =====================================================
+// IMMUTABILITY GUARDS
+// =====================================================
+const rejectMutation = function () {
+  throw new Error("Asset custody events are immutable");
+};
+
+assetCustodyEventSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  assetCustodyEventSchema.pre(operation, rejectMutation);
+});
+
+export const AssetCustodyEvent = mongoose.model(
+  "AssetCustodyEvent",
+  assetCustodyEventSchema
+);
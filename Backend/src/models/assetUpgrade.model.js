@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+/**
+ * Asset Upgrade Schema - Component upgrades applied to an asset
+ * One document per upgrade, holding the before/after value of a single
+ * specification component (ram, storage, os, ...).
+ *
+ * The asset keeps its purchase specification untouched; its current
+ * configuration is the purchase specification with every upgrade applied
+ * in performedAt order (see upgradeService.buildCurrentConfiguration).
+ * Records are append-only: a wrong entry is corrected by logging another
+ * upgrade, so the before/after chain always stays consistent.
+ */
+
+export const UPGRADE_TYPES = ["ram", "storage", "os", "cpu", "gpu", "other"];
+
+// Specification key each upgrade type changes ("other" names its own component)
+export const UPGRADE_COMPONENTS = {
+  ram: "ram",
+  storage: "storage",
+  os: "os",
+  cpu: "cpu",
+  gpu: "gpu",
+};
+
+const assetUpgradeSchema = new mongoose.Schema(
+  {
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Asset",
+      required: true,
+    },
+
+    // Scope (copied from the asset at the time of the upgrade)
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+
+    branchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+
+    upgradeType: {
+      type: String,
+      enum: UPGRADE_TYPES,
+      required: true,
+    },
+
+    // Specification key that was changed
+    component: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    before: { type: String, trim: true, default: null },
+    after: { type: String, trim: true, required: true },
+
+    performedAt: { type: Date, default: Date.now },
+    performedBy: { type: String, trim: true, default: "" }, // Technician or vendor name
+    cost: { type: Number, min: 0, default: null },
+    notes: { type: String, trim: true, default: "" },
+
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Indexes for better query performance
+assetUpgradeSchema.index({ asset: 1, performedAt: 1 });
+assetUpgradeSchema.index({ organizationId: 1, branchId: 1, performedAt: -1 });
+assetUpgradeSchema.index({ upgradeType: 1 });
+
+// =====================================================
+// APPEND-ONLY GUARDS
+// =====================================================
+const rejectMutation = function () {
+  throw new Error("Asset upgrade records are append-only");
+};
+
+assetUpgradeSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  assetUpgradeSchema.pre(operation, rejectMutation);
+});
+
+export const AssetUpgrade = mongoose.model("AssetUpgrade", assetUpgradeSchema);
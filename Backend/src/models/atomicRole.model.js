@@ -88,6 +88,12 @@ const atomicRoleSchema = new mongoose.Schema(
       note: "Can this role manage resources in multiple enterprises?",
     },
 
+    // Users with this role must enroll in TOTP multi-factor authentication
+    mfaRequired: {
+      type: Boolean,
+      default: false,
+    },
+
     // Role status
     isActive: {
       type: Boolean,
@@ -11,9 +11,16 @@ const branchSchema = new mongoose.Schema(
       required: true,
     },
     isActive: { type: Boolean, default: true },
+    // "organization" when the branch was deactivated by its organization's
+    // deactivation (reactivating the organization reactivates it)
+    deactivatedWith: { type: String, enum: ["organization", null], default: null },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   { timestamps: true }
 );
 
-export const Branch = mongoose.model("Branch", branchSchema);
\ No newline at end of file
+// Indexes for better query performance
+branchSchema.index({ organizationId: 1, name: 1 });
+branchSchema.index({ organizationId: 1, code: 1 });
+
+export const Branch = mongoose.model("Branch", branchSchema);
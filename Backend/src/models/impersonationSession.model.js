@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+/**
+ * Impersonation Session Schema - A super admin acting as another user
+ * Created when the impersonation token is issued and referenced from it
+ * ("imp" claim): verifyJWT rejects the token once the session has ended or
+ * expired. Sessions are kept as the audit trail of what was done while
+ * impersonating; they are never deleted.
+ */
+
+const impersonationSessionSchema = new mongoose.Schema(
+  {
+    // Super admin doing the impersonation
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // User being impersonated
+    target: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, required: true, trim: true },
+
+    // The actor's device (session): signing it out also ends the impersonation
+    deviceId: { type: String, required: true },
+    ipAddress: { type: String, default: null },
+    userAgent: { type: String, default: null },
+
+    expiresAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    endReason: { type: String, enum: ["ended", "replaced", null], default: null },
+
+    // Requests made with the token; state-changing ones are listed (newest kept)
+    requestCount: { type: Number, default: 0 },
+    actions: [
+      {
+        _id: false,
+        method: String,
+        path: String,
+        statusCode: Number,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+impersonationSessionSchema.index({ actor: 1, createdAt: -1 });
+impersonationSessionSchema.index({ target: 1, createdAt: -1 });
+
+export const ImpersonationSession = mongoose.model("ImpersonationSession", impersonationSessionSchema);
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import { ASSET_CATEGORIES } from "./asset.model.js";
+
+/**
+ * Issue Request Schema - Request → approve → hand over → return workflow
+ * for issuing branch stock to a user.
+ *
+ * Status flow:
+ * - requested → approved | rejected | cancelled
+ * - approved  → issued | cancelled
+ * - issued    → returned
+ *
+ * "Open" issues are requested, approved or issued.
+ */
+
+export const ISSUE_STATUSES = [
+  "requested",
+  "approved",
+  "rejected",
+  "issued",
+  "returned",
+  "cancelled",
+];
+
+export const OPEN_ISSUE_STATUSES = ["requested", "approved", "issued"];
+
+const issueRequestSchema = new mongoose.Schema(
+  {
+    // Who the item is for
+    requestedFor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Scope: stock is issued from this branch
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+
+    branchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+
+    // What is requested; a specific asset may be picked now or at hand-over
+    category: {
+      type: String,
+      enum: ASSET_CATEGORIES,
+      required: true,
+    },
+
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Asset",
+      default: null,
+    },
+
+    purpose: { type: String, trim: true, default: "" },
+    expectedReturnDate: { type: Date, default: null },
+
+    status: {
+      type: String,
+      enum: ISSUE_STATUSES,
+      default: "requested",
+    },
+
+    // Approval
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    approvedAt: { type: Date, default: null },
+    rejectionReason: { type: String, trim: true, default: null },
+
+    // Hand-over
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    issuedAt: { type: Date, default: null },
+    issueCondition: { type: String, trim: true, default: "" },
+
+    // Return
+    returnedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    returnedAt: { type: Date, default: null },
+    returnCondition: { type: String, trim: true, default: "" },
+
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    cancelledAt: { type: Date, default: null },
+
+    remarks: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+issueRequestSchema.index({ organizationId: 1, branchId: 1, status: 1 });
+issueRequestSchema.index({ requestedFor: 1, status: 1 });
+issueRequestSchema.index({ asset: 1, status: 1 });
+issueRequestSchema.index({ createdAt: -1 });
+
+/**
+ * Is the issue still open (not rejected, returned or cancelled)?
+ * @returns {boolean}
+ */
+issueRequestSchema.methods.isOpen = function () {
+  return OPEN_ISSUE_STATUSES.includes(this.status);
+};
+
+export const IssueRequest = mongoose.model("IssueRequest", issueRequestSchema);
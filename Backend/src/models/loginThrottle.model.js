@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+/**
+ * Login Throttle Schema - Failed login counter for a source IP or a loginId
+ * Tracked whether or not the loginId matches an account, so throttling does
+ * not reveal which accounts exist. Keys are "ip:<address>" or
+ * "login:<normalized loginId>". Idle records are purged after 7 days, which
+ * also resets their escalation level.
+ */
+
+export const THROTTLE_KINDS = ["ip", "login"];
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    kind: { type: String, enum: THROTTLE_KINDS, required: true },
+
+    // Failures in the current counting window
+    failures: { type: Number, default: 0 },
+    windowStartedAt: { type: Date, default: Date.now },
+    lastFailureAt: { type: Date, default: null },
+
+    // Number of times this key has been locked (position on the lockout ladder)
+    lockLevel: { type: Number, default: 0 },
+    lockUntil: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+/**
+ * OIDC Auth Request Schema - One pending single sign-on redirect
+ * Holds the PKCE code verifier and the nonce between sending the browser to
+ * the identity provider and the callback. A request is deleted when the
+ * callback uses it, and purged after 10 minutes if it never comes back.
+ */
+
+const oidcAuthRequestSchema = new mongoose.Schema(
+  {
+    // Random value echoed back by the identity provider (CSRF protection)
+    state: { type: String, required: true, unique: true },
+    codeVerifier: { type: String, required: true },
+    nonce: { type: String, required: true },
+    deviceId: { type: String, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+oidcAuthRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: 10 * 60 });
+
+export const OidcAuthRequest = mongoose.model("OidcAuthRequest", oidcAuthRequestSchema);
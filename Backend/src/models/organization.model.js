@@ -7,10 +7,81 @@ const organizationSchema = new mongoose.Schema(
     address: { type: String, trim: true },
     contactEmail: { type: String, trim: true },
     contactPhone: { type: String, trim: true },
+    // Overrides of the default password policy (see passwordPolicy.service); unset fields use the defaults
+    passwordPolicy: {
+      minLength: { type: Number },
+      requireUppercase: { type: Boolean },
+      requireLowercase: { type: Boolean },
+      requireNumber: { type: Boolean },
+      requireSymbol: { type: Boolean },
+      disallowUserInfo: { type: Boolean },
+      historyCount: { type: Number },
+      maxAgeDays: { type: Number },
+    },
+    // LDAP / Active Directory logins (see ldap.service); the organization's users
+    // bind against the directory instead of their local password
+    ldap: {
+      enabled: { type: Boolean, default: false },
+      url: { type: String, trim: true },
+      tlsRejectUnauthorized: { type: Boolean, default: true },
+      // Service account used to look users up (empty = anonymous search)
+      bindDn: { type: String, trim: true },
+      bindPassword: { type: String, select: false },
+      searchBase: { type: String, trim: true },
+      // Placeholders: {{username}}, {{userId}}, {{email}} (escaped before use)
+      userFilter: { type: String, trim: true },
+      // Directory attribute names for the synced User fields and group membership
+      attributes: {
+        name: { type: String, trim: true },
+        designation: { type: String, trim: true },
+        department: { type: String, trim: true },
+        groups: { type: String, trim: true },
+      },
+      // First mapping whose group the user belongs to decides the AtomicRole
+      groupRoleMappings: [
+        {
+          _id: false,
+          group: { type: String, required: true, trim: true },
+          atomicRole: { type: String, required: true, trim: true, lowercase: true },
+        },
+      ],
+      // AtomicRole for directory users in none of the mapped groups (empty = keep their role)
+      defaultAtomicRole: { type: String, trim: true, lowercase: true },
+      // Users (by User.userId) who keep logging in with their local password
+      breakGlassUserIds: { type: [String], default: undefined },
+      // Minutes between automatic syncs (0 = only at login and on demand)
+      syncIntervalMinutes: { type: Number },
+      lastSyncStartedAt: { type: Date },
+      lastSyncAt: { type: Date },
+      lastSyncStatus: { type: String, enum: ["success", "failed", null] },
+      lastSyncError: { type: String },
+      lastSyncResult: {
+        matched: { type: Number },
+        updated: { type: Number },
+        notFound: { type: Number },
+        failed: { type: Number },
+      },
+    },
+    // Self-service sign-up (see registration.service): "invite_code" = anyone with the
+    // code, "email_domain" = emails of the allowed domains. Sign-ups wait for approval.
+    registration: {
+      mode: { type: String, enum: ["disabled", "invite_code", "email_domain"], default: "disabled" },
+      inviteCode: { type: String, trim: true },
+      allowedDomains: { type: [String], default: undefined },
+      // Branch new sign-ups are placed in (empty = organization only)
+      branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null },
+    },
     isActive: { type: Boolean, default: true },
+    // Deactivation cascades to the organization's branches and users
+    deactivatedAt: { type: Date, default: null },
+    deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    deactivationReason: { type: String, trim: true, default: null },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   { timestamps: true }
 );
 
-export const Organization = mongoose.model("Organization", organizationSchema);
\ No newline at end of file
+organizationSchema.index({ "registration.inviteCode": 1 }, { unique: true, sparse: true });
+organizationSchema.index({ "registration.allowedDomains": 1 });
+
+export const Organization = mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+/**
+ * Password Reset Schema - One forgot-password request
+ * A request is recorded for every attempt, also for loginIds that match no
+ * account (userLogin null, no token), so the per-loginId rate limit does not
+ * reveal which accounts exist. Only the SHA-256 hash of a token is stored;
+ * a token is valid until expiresAt, and only once. Records are purged a day
+ * after creation.
+ */
+
+const passwordResetSchema = new mongoose.Schema(
+  {
+    // Normalized (lowercased, trimmed) loginId the request was made for
+    loginKey: { type: String, required: true },
+
+    userLogin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "UserLogin",
+      default: null,
+    },
+
+    tokenHash: { type: String, default: null },
+    expiresAt: { type: Date, default: null },
+    usedAt: { type: Date, default: null },
+    // Set when a newer token is issued or another token of the login is used
+    revokedAt: { type: Date, default: null },
+
+    requestedIp: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ loginKey: 1, createdAt: -1 });
+passwordResetSchema.index({ tokenHash: 1 }, { unique: true, partialFilterExpression: { tokenHash: { $type: "string" } } });
+passwordResetSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export const PasswordReset = mongoose.model("PasswordReset", passwordResetSchema);
@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+
+/**
+ * Repair Ticket Schema - Tracks an asset through a repair
+ *
+ * Status flow:
+ * - reported       → diagnosed, sent_to_vendor, repaired, unrepairable
+ * - diagnosed      → sent_to_vendor, repaired, unrepairable
+ * - sent_to_vendor → repaired, unrepairable
+ * - repaired / unrepairable (closed)
+ *
+ * Opening a ticket moves the asset to "under_repair"; closing it moves
+ * the asset back to its holder/stock (repaired) or retires it (unrepairable).
+ */
+
+export const REPAIR_STATUSES = [
+  "reported",
+  "diagnosed",
+  "sent_to_vendor",
+  "repaired",
+  "unrepairable",
+];
+
+export const REPAIR_OPEN_STATUSES = ["reported", "diagnosed", "sent_to_vendor"];
+
+export const REPAIR_STATUS_TRANSITIONS = {
+  reported: ["diagnosed", "sent_to_vendor", "repaired", "unrepairable"],
+  diagnosed: ["sent_to_vendor", "repaired", "unrepairable"],
+  sent_to_vendor: ["repaired", "unrepairable"],
+  repaired: [],
+  unrepairable: [],
+};
+
+export const REPAIR_PRIORITIES = ["low", "medium", "high", "critical"];
+
+const repairTicketSchema = new mongoose.Schema(
+  {
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Asset",
+      required: true,
+    },
+
+    // Scope (copied from the asset when the ticket is opened)
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+
+    branchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+
+    issueDescription: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    priority: {
+      type: String,
+      enum: REPAIR_PRIORITIES,
+      default: "medium",
+    },
+
+    status: {
+      type: String,
+      enum: REPAIR_STATUSES,
+      default: "reported",
+    },
+
+    statusHistory: [
+      {
+        _id: false,
+        status: { type: String, enum: REPAIR_STATUSES },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        notes: { type: String, trim: true, default: "" },
+      },
+    ],
+
+    diagnosis: { type: String, trim: true, default: "" },
+
+    // Who is fixing it: an external vendor or an internal technician
+    assigneeType: {
+      type: String,
+      enum: ["vendor", "technician", null],
+      default: null,
+    },
+    technician: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    vendor: {
+      name: { type: String, trim: true, default: null },
+      contact: { type: String, trim: true, default: null },
+      referenceNumber: { type: String, trim: true, default: null },
+    },
+
+    // Cost
+    estimatedCost: { type: Number, min: 0, default: null },
+    actualCost: { type: Number, min: 0, default: null },
+
+    // Turnaround
+    reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reportedAt: { type: Date, default: Date.now },
+    sentToVendorAt: { type: Date, default: null },
+    closedAt: { type: Date, default: null },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    turnaroundHours: { type: Number, default: null },
+
+    remarks: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+repairTicketSchema.index({ organizationId: 1, branchId: 1, status: 1 });
+repairTicketSchema.index({ asset: 1, status: 1 });
+repairTicketSchema.index({ technician: 1, status: 1 });
+repairTicketSchema.index({ createdAt: -1 });
+
+/**
+ * Is the ticket still open?
+ * @returns {boolean}
+ */
+repairTicketSchema.methods.isOpen = function () {
+  return REPAIR_OPEN_STATUSES.includes(this.status);
+};
+
+/**
+ * Move the ticket to a new status, recording history and turnaround
+ * @param {string} nextStatus - Target status
+ * @param {ObjectId} changedBy - User making the change
+ * @param {string} notes - Optional notes
+ * @returns {boolean} - false if the transition is not allowed
+ */
+repairTicketSchema.methods.transitionTo = function (nextStatus, changedBy, notes = "") {
+  if (!(REPAIR_STATUS_TRANSITIONS[this.status] || []).includes(nextStatus)) {
+    return false;
+  }
+
+  const now = new Date();
+  this.status = nextStatus;
+  this.statusHistory.push({ status: nextStatus, changedAt: now, changedBy, notes });
+
+  if (nextStatus === "sent_to_vendor" && !this.sentToVendorAt) {
+    this.sentToVendorAt = now;
+  }
+
+  if (!REPAIR_OPEN_STATUSES.includes(nextStatus)) {
+    this.closedAt = now;
+    this.closedBy = changedBy;
+    this.turnaroundHours =
+      Math.round(((now - new Date(this.reportedAt)) / (1000 * 60 * 60)) * 10) / 10;
+  }
+
+  return true;
+};
+
+export const RepairTicket = mongoose.model("RepairTicket", repairTicketSchema);
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+/**
+ * Report Delivery Schema - One item in a user's report inbox
+ * Created by the report scheduler for every run, successful or not.
+ * The generated file lives on disk (storagePath); the document is removed
+ * together with the file once expiresAt has passed.
+ */
+
+export const DELIVERY_STATUSES = ["ready", "failed"];
+
+const reportDeliverySchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReportSchedule",
+      default: null,
+    },
+
+    // Snapshot of the schedule/report at run time
+    scheduleName: { type: String, trim: true },
+    reportId: { type: String, required: true },
+    reportName: { type: String, trim: true },
+    format: { type: String, required: true },
+
+    status: { type: String, enum: DELIVERY_STATUSES, required: true },
+    error: { type: String, default: null },
+
+    // Generated file (status "ready" only)
+    filename: { type: String, default: null },
+    contentType: { type: String, default: null },
+    size: { type: Number, default: 0 },
+    storagePath: { type: String, default: null, select: false },
+
+    generatedAt: { type: Date, default: Date.now },
+    downloadedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+
+    // Outcome of the delivery hooks (mail etc.)
+    notifications: [
+      {
+        _id: false,
+        channel: { type: String },
+        status: { type: String, enum: ["sent", "failed"] },
+        error: { type: String, default: null },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+reportDeliverySchema.index({ owner: 1, generatedAt: -1 });
+reportDeliverySchema.index({ expiresAt: 1 });
+
+export const ReportDelivery = mongoose.model("ReportDelivery", reportDeliverySchema);
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+/**
+ * Report Schedule Schema - A report the owner wants generated on a recurring basis
+ *
+ * Recurrence (server local time):
+ * - daily   : every day at timeOfDay
+ * - weekly  : every dayOfWeek (0 = Sunday) at timeOfDay
+ * - monthly : every dayOfMonth (1-28, so every month has it) at timeOfDay
+ *
+ * The in-process scheduler (services/reportScheduler.js) picks up active
+ * schedules whose nextRunAt has passed, runs the report as the owner and
+ * drops the output into the owner's report inbox (ReportDelivery).
+ */
+
+export const SCHEDULE_FREQUENCIES = ["daily", "weekly", "monthly"];
+
+export const SCHEDULE_STATUSES = ["active", "paused"];
+
+export const SCHEDULE_FORMATS = ["csv", "xlsx", "json"];
+
+const reportScheduleSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Scope snapshot of the owner (for admin listing)
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+
+    // Report registry id (services/reports) and its raw parameters
+    reportId: { type: String, required: true, trim: true },
+    parameters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    format: { type: String, enum: SCHEDULE_FORMATS, default: "csv" },
+
+    frequency: { type: String, enum: SCHEDULE_FREQUENCIES, required: true },
+    timeOfDay: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, "timeOfDay must be HH:mm"],
+    },
+    dayOfWeek: { type: Number, min: 0, max: 6, default: null },
+    dayOfMonth: { type: Number, min: 1, max: 28, default: null },
+
+    // Also notify the owner by mail when a new file is in the inbox
+    emailDelivery: { type: Boolean, default: false },
+
+    status: { type: String, enum: SCHEDULE_STATUSES, default: "active" },
+
+    nextRunAt: { type: Date, default: null },
+    lastRunAt: { type: Date, default: null },
+    lastStatus: { type: String, enum: ["success", "failed", null], default: null },
+    lastError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+reportScheduleSchema.index({ status: 1, nextRunAt: 1 });
+reportScheduleSchema.index({ owner: 1, createdAt: -1 });
+
+/**
+ * Next time the schedule fires strictly after `from`
+ * @param {Object} schedule - { frequency, timeOfDay, dayOfWeek, dayOfMonth }
+ * @param {Date} from - Reference time (default: now)
+ * @returns {Date}
+ */
+export const computeNextRunAt = (schedule, from = new Date()) => {
+  const [hours, minutes] = schedule.timeOfDay.split(":").map(Number);
+  const next = new Date(from);
+  next.setHours(hours, minutes, 0, 0);
+
+  if (schedule.frequency === "daily") {
+    if (next <= from) next.setDate(next.getDate() + 1);
+  } else if (schedule.frequency === "weekly") {
+    next.setDate(next.getDate() + ((schedule.dayOfWeek - next.getDay() + 7) % 7));
+    if (next <= from) next.setDate(next.getDate() + 7);
+  } else {
+    next.setDate(schedule.dayOfMonth);
+    if (next <= from) next.setMonth(next.getMonth() + 1, schedule.dayOfMonth);
+  }
+
+  return next;
+};
+
+export const ReportSchedule = mongoose.model("ReportSchedule", reportScheduleSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+/**
+ * Security Event Schema - Audit trail of security-relevant account events
+ * Written by securityEventService.record; never updated afterwards.
+ */
+
+export const SECURITY_EVENT_TYPES = [
+  "refresh_token_reuse",
+  "account_locked",
+  "account_unlocked",
+  "login_throttled",
+  "api_key_created",
+  "api_key_revoked",
+  "passkey_registered",
+  "passkey_removed",
+  "passkey_clone_detected",
+  "session_revoked",
+  "impersonation_started",
+  "impersonation_ended",
+  "user_registered",
+  "registration_approved",
+  "registration_rejected",
+];
+
+export const SECURITY_EVENT_SEVERITIES = ["info", "warning", "critical"];
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    type: { type: String, enum: SECURITY_EVENT_TYPES, required: true },
+    severity: { type: String, enum: SECURITY_EVENT_SEVERITIES, default: "warning" },
+
+    deviceId: { type: String, default: null },
+    ipAddress: { type: String, default: null },
+    userAgent: { type: String, default: null },
+
+    // Event specific data (never secrets or tokens)
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+export const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+/**
+ * Signing Key Schema - One key of the JWT key ring
+ * Exactly one key is "active" and signs new tokens. Rotation moves it to
+ * "previous": it still verifies the tokens it signed and stays in the JWKS
+ * until the longest token lifetime has passed, then becomes "retired" and
+ * loses its private key. Private keys are stored encrypted with
+ * JWT_KEY_ENCRYPTION_SECRET (see keyRingService).
+ */
+
+const signingKeySchema = new mongoose.Schema(
+  {
+    kid: { type: String, required: true, unique: true },
+    algorithm: { type: String, enum: ["RS256", "EdDSA"], required: true },
+
+    status: {
+      type: String,
+      enum: ["active", "previous", "retired"],
+      default: "active",
+    },
+
+    // Public key as a JWK (served from /.well-known/jwks.json)
+    publicJwk: { type: mongoose.Schema.Types.Mixed, required: true },
+    // Encrypted PKCS#8 PEM; removed when the key is retired
+    encryptedPrivateKey: { type: String, default: null, select: false },
+
+    activatedAt: { type: Date, default: Date.now },
+    // When the key stopped signing (rotation)
+    rotatedAt: { type: Date, default: null },
+    retiredAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Only one active key at a time, also with several API instances rotating
+signingKeySchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: "active" } });
+
+export const SigningKey = mongoose.model("SigningKey", signingKeySchema);
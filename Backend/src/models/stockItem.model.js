@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+/**
+ * Stock Item Schema - Quantity-tracked accessories and peripherals
+ * (mice, keyboards, cables, toner, ...) held per branch.
+ *
+ * Unlike assets these are not individually tracked: the branch holds a
+ * quantity on hand, and every change goes through a StockMovement.
+ * quantity is only ever changed with atomic $inc updates by stockService.
+ */
+
+export const STOCK_KINDS = ["accessory", "peripheral"];
+
+const stockItemSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      example: "Logitech M90 Mouse",
+    },
+
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+      example: "ACC-MOUSE-M90",
+    },
+
+    kind: {
+      type: String,
+      enum: STOCK_KINDS,
+      required: true,
+    },
+
+    // Free-text grouping (mouse, cable, toner, ...)
+    category: { type: String, trim: true, lowercase: true, default: "general" },
+    unit: { type: String, trim: true, default: "pcs" },
+
+    // Scope: stock is held at a single branch
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+
+    branchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+
+    // Quantity on hand
+    quantity: { type: Number, min: 0, default: 0 },
+
+    // Reorder threshold: at or below this level the item is flagged low
+    minimumLevel: { type: Number, min: 0, default: 0 },
+
+    isActive: { type: Boolean, default: true },
+
+    remarks: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+
+    // Audit
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+stockItemSchema.index({ name: 1, kind: 1, branchId: 1 }, { unique: true });
+stockItemSchema.index(
+  { sku: 1, branchId: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: "string" } } }
+);
+stockItemSchema.index({ organizationId: 1, branchId: 1, kind: 1 });
+
+/**
+ * Is the quantity on hand at or below the minimum level?
+ * @returns {boolean}
+ */
+stockItemSchema.methods.isBelowMinimum = function () {
+  return this.quantity <= this.minimumLevel;
+};
+
+export const StockItem = mongoose.model("StockItem", stockItemSchema);
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+/**
+ * Stock Movement Schema - Append-only ledger of quantity changes
+ * - stock_in  : received into branch stock (purchase, transfer in)
+ * - stock_out : removed from stock without a holder (consumed, damaged, written off)
+ * - issue     : handed to a user
+ * - return    : given back by a user
+ *
+ * balanceAfter is the item's quantity on hand right after the movement.
+ */
+
+export const STOCK_MOVEMENT_TYPES = ["stock_in", "stock_out", "issue", "return"];
+
+// Movement types that take quantity out of stock
+export const OUTGOING_MOVEMENT_TYPES = ["stock_out", "issue"];
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockItem",
+      required: true,
+    },
+
+    // Snapshot of the item at the time of the movement
+    itemName: { type: String, trim: true },
+    kind: { type: String, trim: true },
+
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+
+    branchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+
+    movementType: {
+      type: String,
+      enum: STOCK_MOVEMENT_TYPES,
+      required: true,
+    },
+
+    quantity: { type: Number, required: true, min: 1 },
+    balanceAfter: { type: Number, required: true, min: 0 },
+
+    // Holder for issue/return movements
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // Invoice/PO number for stock_in, reason for stock_out, notes otherwise
+    reference: { type: String, trim: true, default: "" },
+    remarks: { type: String, trim: true, default: "" },
+
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    occurredAt: { type: Date, default: Date.now, immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Indexes for better query performance
+stockMovementSchema.index({ item: 1, occurredAt: -1 });
+stockMovementSchema.index({ user: 1, item: 1 });
+stockMovementSchema.index({ organizationId: 1, branchId: 1, occurredAt: -1 });
+
+// =====================================================
+// APPEND-ONLY GUARDS
+// =====================================================
+const rejectMutation = function () {
+  throw new Error("Stock movements are append-only");
+};
+
+stockMovementSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  stockMovementSchema.pre(operation, rejectMutation);
+});
+
+export const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
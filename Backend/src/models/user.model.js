@@ -58,6 +58,21 @@ const userSchema = new mongoose.Schema(
       note: 'Link to new Role model for granular permissions'
     },
 
+    // AtomicRole whose permissions apply when the user has no direct permissions
+    // (set by directory group mapping)
+    atomicRoleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AtomicRole',
+      default: null,
+    },
+
+    // "service" = service account: no password login, authenticates with API keys only
+    accountType: {
+      type: String,
+      enum: ["person", "service"],
+      default: "person",
+    },
+
     canLogin:{
       type:Boolean,
       default:false
@@ -94,6 +109,62 @@ const userSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Set when the user was deactivated together with their organization/branch,
+    // so reactivating it restores exactly these users (and their previous canLogin)
+    deactivatedWith: {
+      type: String,
+      enum: ["organization", "branch", null],
+      default: null,
+    },
+
+    canLoginBeforeDeactivation: {
+      type: Boolean,
+      default: null,
+    },
+
+    // Self-registered users start "unverified" until they open the link mailed to
+    // them, then wait "pending" (canLogin false) until an admin with user:create
+    // approves or rejects them; users created by admins are "approved"
+    approvalStatus: {
+      type: String,
+      enum: ["approved", "unverified", "pending", "rejected"],
+      default: "approved",
+    },
+
+    // SHA-256 hash of the email verification token of an "unverified" sign-up
+    emailVerificationTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    emailVerificationExpiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+
+    rejectionReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
     remarks: {
       type: String,
       default: '',
@@ -115,6 +186,11 @@ userSchema.index({ organizationId: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ isBlocked: 1 });
+userSchema.index({ approvalStatus: 1 });
+userSchema.index(
+  { emailVerificationTokenHash: 1 },
+  { unique: true, partialFilterExpression: { emailVerificationTokenHash: { $type: "string" } } }
+);
 userSchema.index({ createdAt: -1 });
 
 export const User = mongoose.model("User", userSchema);
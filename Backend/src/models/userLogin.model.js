@@ -1,8 +1,8 @@
 // models/userLogin.model.js
 import mongoose, { Schema } from "mongoose";
 import bcryptjs from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { v4 as uuidv4 } from "uuid";
+import keyRingService, { TOKEN_TYPES } from "../services/keyRing.service.js";
 
 const userLoginSchema = new Schema(
   {
@@ -24,6 +24,9 @@ const userLoginSchema = new Schema(
       required: true,
       select: false,
     },
+    passwordChangedAt: { type: Date, default: null },
+    // Previous password hashes, newest first (reuse check)
+    passwordHistory: { type: [String], default: [], select: false },
     // Force user to change password on next login
     forcePasswordChange: {
       type: Boolean,
@@ -40,15 +43,84 @@ const userLoginSchema = new Schema(
     lockLevel: { type: Number, default: 0 },
     lockUntil: { type: Date, default: null },
     isPermanentlyLocked: { type: Boolean, default: false },
+    // Why and when the current lock was applied (lockedBy null = automatic lockout)
+    lockReason: { type: String, default: null },
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
     isLoggedIn: { type: Boolean, default: false },
     lastLogin: { type: Date },
+    // TOTP multi-factor authentication (secrets and recovery code hashes are never selected by default)
+    mfa: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null, select: false },
+      // Secret shown during enrollment, promoted to `secret` once a code is verified
+      pendingSecret: { type: String, default: null, select: false },
+      enabledAt: { type: Date, default: null },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedCounter: { type: Number, default: -1 },
+      recoveryCodes: {
+        type: [
+          {
+            _id: false,
+            hash: { type: String, required: true },
+            usedAt: { type: Date, default: null },
+          },
+        ],
+        default: [],
+        select: false,
+      },
+    },
+    // Single sign-on identities linked to this login (provider = OIDC issuer, subject = "sub" claim)
+    externalIdentities: [
+      {
+        _id: false,
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        linkedAt: { type: Date, default: Date.now },
+        lastLoginAt: { type: Date, default: null },
+      },
+    ],
+    // WebAuthn passkeys: sign in without a password, or as the second factor after it
+    webauthnCredentials: [
+      {
+        _id: false,
+        // base64url credential ID from the authenticator
+        credentialId: { type: String, required: true },
+        publicKey: { type: String, required: true }, // SPKI PEM
+        algorithm: { type: Number, required: true }, // COSE algorithm
+        // Signature counter of the last accepted assertion (clone detection)
+        signCount: { type: Number, default: 0 },
+        name: { type: String, trim: true, default: "Passkey" },
+        transports: { type: [String], default: [] },
+        aaguid: { type: String, default: null },
+        backupEligible: { type: Boolean, default: false },
+        backedUp: { type: Boolean, default: false },
+        // Session the passkey was registered from
+        deviceId: { type: String, default: null },
+        userAgent: { type: String, default: null },
+        createdAt: { type: Date, default: Date.now },
+        lastUsedAt: { type: Date, default: null },
+        // Disabled passkeys (e.g. counter went backwards = cloned authenticator) cannot sign in
+        disabledAt: { type: Date, default: null },
+        disabledReason: { type: String, default: null },
+      },
+    ],
     loggedInDevices: [
       {
         deviceId: { type: String, default: () => uuidv4() },
         ipAddress: String,
         userAgent: String,
         loginCount: { type: Number, default: 0 },
+        // First sign-in on this device; last sign-in or token refresh
+        firstSeenAt: { type: Date, default: null },
+        lastSeenAt: { type: Date, default: null },
         refreshToken: String,
+        // Rotation: every login starts a token family; each refresh replaces the
+        // token (jti) within it. A rotated token coming back means it was copied.
+        tokenFamily: { type: String, default: null },
+        refreshTokenId: { type: String, default: null },
+        previousRefreshTokenId: { type: String, default: null },
+        rotatedAt: { type: Date, default: null },
         tokenVersion: { type: Number, default: 0 },
         loginHistory: [
           {
@@ -62,6 +134,9 @@ const userLoginSchema = new Schema(
   { timestamps: true }
 );
 
+userLoginSchema.index({ "externalIdentities.provider": 1, "externalIdentities.subject": 1 });
+userLoginSchema.index({ "webauthnCredentials.credentialId": 1 });
+
 // Password Hash - Modern mongoose async pre-hook (no next param)
 userLoginSchema.pre("save", async function () {
   if (!this.isModified("password")) return;
@@ -94,26 +169,29 @@ userLoginSchema.methods.generateAccessToken = function (deviceId = null) {
     payload.deviceTokenVersion = device ? (device.tokenVersion || 0) : 0;
   }
 
-  return jwt.sign(
-    payload,
-    process.env.ACCESS_TOKEN_SECRET || "ACCESS_TOKEN_DEFAULT",
-    { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "15m" }
+  return keyRingService.signToken(payload, TOKEN_TYPES.ACCESS, process.env.ACCESS_TOKEN_EXPIRY || "15m");
+};
+
+// Refresh tokens carry their device, family and id (jti) so rotation can be checked
+userLoginSchema.methods.signRefreshToken = function (deviceId, family, tokenId) {
+  return keyRingService.signToken(
+    { id: this.user, deviceId, family, jti: tokenId },
+    TOKEN_TYPES.REFRESH,
+    process.env.REFRESH_TOKEN_EXPIRY || "7d"
   );
 };
 
+// Issue the first refresh token of a new family (login)
 userLoginSchema.methods.generateRefreshToken = async function (deviceId, ipAddress = null, userAgent = null) {
-  const token = jwt.sign(
-    { id: this.user },
-    process.env.REFRESH_TOKEN_SECRET || "REFRESH_TOKEN_DEFAULT",
-    {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRY || "7d",
-    }
-  );
+  const family = uuidv4();
+  const tokenId = uuidv4();
+  const token = this.signRefreshToken(deviceId || "unknown", family, tokenId);
 
-  // Store token in refreshTokens array
+  // Store token in refreshTokens array (one entry per device)
   if (!Array.isArray(this.refreshTokens)) {
     this.refreshTokens = [];
   }
+  this.refreshTokens = this.refreshTokens.filter((rt) => rt.deviceId !== (deviceId || "unknown"));
   this.refreshTokens.push({
     token,
     deviceId: deviceId || "unknown",
@@ -126,7 +204,12 @@ userLoginSchema.methods.generateRefreshToken = async function (deviceId, ipAddre
     if (device) {
       // Update existing device
       device.refreshToken = token;
+      device.tokenFamily = family;
+      device.refreshTokenId = tokenId;
+      device.previousRefreshTokenId = null;
+      device.rotatedAt = null;
       device.loginCount = (device.loginCount || 0) + 1;
+      device.lastSeenAt = new Date();
       if (ipAddress) device.ipAddress = ipAddress;
       if (userAgent) device.userAgent = userAgent;
       device.loginHistory.push({
@@ -140,7 +223,11 @@ userLoginSchema.methods.generateRefreshToken = async function (deviceId, ipAddre
         ipAddress: ipAddress || null,
         userAgent: userAgent || null,
         refreshToken: token,
+        tokenFamily: family,
+        refreshTokenId: tokenId,
         loginCount: 1,
+        firstSeenAt: new Date(),
+        lastSeenAt: new Date(),
         loginHistory: [
           {
             loginAt: new Date(),
@@ -170,19 +257,53 @@ userLoginSchema.methods.verifyRefreshTokenForDevice = function (token, deviceId)
   return device.refreshToken === token;
 };
 
-// Get all active devices for a user
+// Passkeys that can still sign in
+userLoginSchema.methods.getActivePasskeys = function () {
+  return Array.isArray(this.webauthnCredentials)
+    ? this.webauthnCredentials.filter((credential) => !credential.disabledAt)
+    : [];
+};
+
+// Get all devices for a user (active = still holds a refresh token), most recently seen first
 userLoginSchema.methods.getActiveDevices = function () {
   if (!Array.isArray(this.loggedInDevices)) {
     return [];
   }
 
-  return this.loggedInDevices.map((device) => ({
-    deviceId: device.deviceId,
-    ipAddress: device.ipAddress,
-    userAgent: device.userAgent,
-    loginCount: device.loginCount,
-    lastLogin: device.loginHistory?.[device.loginHistory.length - 1]?.loginAt,
-  }));
+  return this.loggedInDevices
+    .map((device) => {
+      const history = device.loginHistory || [];
+      const lastLogin = history[history.length - 1]?.loginAt;
+      return {
+        deviceId: device.deviceId,
+        ipAddress: device.ipAddress,
+        userAgent: device.userAgent,
+        loginCount: device.loginCount,
+        lastLogin,
+        active: !!device.refreshToken,
+        // Devices from before first/last seen were tracked fall back to their login history
+        firstSeenAt: device.firstSeenAt || history[0]?.loginAt || null,
+        lastSeenAt: device.lastSeenAt || device.rotatedAt || lastLogin || null,
+        loginHistory: history.map((entry) => ({ loginAt: entry.loginAt, logoutAt: entry.logoutAt || null })),
+      };
+    })
+    .sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0));
+};
+
+// End a device's session on the document (the caller saves). Every sign-out and
+// revocation goes through here: it closes the login history entry, ends the
+// refresh token family and bumps tokenVersion so issued access tokens stop working.
+userLoginSchema.methods.endDeviceSession = function (device) {
+  const lastLogin = device.loginHistory?.[device.loginHistory.length - 1];
+  if (lastLogin && !lastLogin.logoutAt) {
+    lastLogin.logoutAt = new Date();
+  }
+  device.refreshToken = null;
+  device.tokenFamily = null;
+  device.refreshTokenId = null;
+  device.previousRefreshTokenId = null;
+  device.tokenVersion = (device.tokenVersion || 0) + 1;
+  this.refreshTokens = (this.refreshTokens || []).filter((rt) => rt.deviceId !== device.deviceId);
 };
 
 // Logout specific device
@@ -193,17 +314,7 @@ userLoginSchema.methods.logoutDevice = async function (deviceId) {
 
   const device = this.loggedInDevices.find((d) => d.deviceId === deviceId);
   if (device) {
-    // Mark last login as logged out
-    if (device.loginHistory && device.loginHistory.length > 0) {
-      const lastLogin = device.loginHistory[device.loginHistory.length - 1];
-      if (!lastLogin.logoutAt) {
-        lastLogin.logoutAt = new Date();
-      }
-    }
-    // Clear the refresh token
-    device.refreshToken = null;
-    // Increment device token version to invalidate existing access tokens for this device
-    device.tokenVersion = (device.tokenVersion || 0) + 1;
+    this.endDeviceSession(device);
     await this.save();
     return true;
   }
@@ -214,17 +325,7 @@ userLoginSchema.methods.logoutDevice = async function (deviceId) {
 // Logout all devices
 userLoginSchema.methods.logoutAllDevices = async function () {
   if (Array.isArray(this.loggedInDevices)) {
-    this.loggedInDevices.forEach((device) => {
-      if (device.loginHistory && device.loginHistory.length > 0) {
-        const lastLogin = device.loginHistory[device.loginHistory.length - 1];
-        if (!lastLogin.logoutAt) {
-          lastLogin.logoutAt = new Date();
-        }
-      }
-      device.refreshToken = null;
-      // increment tokenVersion to invalidate access tokens for each device
-      device.tokenVersion = (device.tokenVersion || 0) + 1;
-    });
+    this.loggedInDevices.forEach((device) => this.endDeviceSession(device));
   }
   this.refreshTokens = [];
   await this.save();
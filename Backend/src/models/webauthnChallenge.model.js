@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+/**
+ * WebAuthn Challenge Schema - One pending passkey ceremony
+ * The random challenge handed to navigator.credentials.create/get. A
+ * challenge is deleted when its response is verified, so each one works
+ * once, and purged after 10 minutes if no response comes back (responses
+ * older than WEBAUTHN_TIMEOUT_MS are refused before that).
+ */
+
+const webauthnChallengeSchema = new mongoose.Schema(
+  {
+    challenge: { type: String, required: true, unique: true },
+    // "registration" = add a passkey, "authentication" = sign in with one
+    purpose: { type: String, enum: ["registration", "authentication"], required: true },
+    // Whose passkey is expected (null = passwordless login, any user)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    deviceId: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+webauthnChallengeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 10 * 60 });
+
+export const WebAuthnChallenge = mongoose.model("WebAuthnChallenge", webauthnChallengeSchema);
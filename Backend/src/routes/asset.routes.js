@@ -0,0 +1,72 @@
+import express from "express";
+import {
+  listAssets,
+  getAssetById,
+  createAsset,
+  updateAsset,
+  changeAssetStatus,
+  assignAsset,
+  transferAsset,
+  returnAsset,
+  getAssetCustody,
+  searchCustody,
+  getUserHoldings,
+  deleteAsset,
+} from "../controllers/asset.controller.js";
+import { verifyJWT, populatePermissions } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+
+const router = express.Router();
+
+// All asset routes require an authenticated user with permissions loaded
+router.use(verifyJWT, populatePermissions);
+
+// Purpose: Who held which asset during a time window (e.g. "who had SN123456 in March")
+// GET /custody ?serialNumber|assetTag|userId &from?&to?
+router.get("/custody", checkPermission("asset:read"), searchCustody);
+
+// Purpose: Assets currently held by a user
+// GET /holdings/:userId
+router.get("/holdings/:userId", checkPermission("asset:read"), getUserHoldings);
+
+// Purpose: List assets in the caller's organization/branch scope
+// GET / ?page&limit&status&category&branchId&assignedTo&q
+router.get("/", checkPermission("asset:read"), listAssets);
+
+// Purpose: Get a single asset
+// GET /:id
+router.get("/:id", checkPermission("asset:read"), getAssetById);
+
+// Purpose: Create a new asset (starts in_stock)
+// POST / { name, serialNumber, assetTag?, category?, make?, model?, specifications?, purchaseInfo?, organizationId, branchId }
+router.post("/", checkPermission("asset:create"), createAsset);
+
+// Purpose: Update general asset fields (not status/assignee/branch)
+// PUT /:id { name?, serialNumber?, assetTag?, category?, make?, model?, specifications?, purchaseInfo?, remarks? }
+router.put("/:id", checkPermission("asset:update"), updateAsset);
+
+// Purpose: Move asset through its status lifecycle (retired/disposed also need asset:deprecate)
+// POST /:id/status { status, remarks? }
+router.post("/:id/status", checkPermission("asset:update"), changeAssetStatus);
+
+// Purpose: Assign an in-stock asset to a user (records an "assign" custody event)
+// POST /:id/assign { userId, conditionNotes? }
+router.post("/:id/assign", checkPermission("asset:assign"), assignAsset);
+
+// Purpose: Transfer an asset to another user and/or branch (records "reassign"/"transfer")
+// POST /:id/transfer { fromUserId?, toUserId?, toBranchId?, conditionNotes? }
+router.post("/:id/transfer", checkPermission("asset:transfer"), transferAsset);
+
+// Purpose: Return an assigned asset to stock (records a "return" custody event)
+// POST /:id/return { conditionNotes? }
+router.post("/:id/return", checkPermission("asset:assign"), returnAsset);
+
+// Purpose: Full chain of custody for an asset, with derived holding periods
+// GET /:id/custody
+router.get("/:id/custody", checkPermission("asset:read"), getAssetCustody);
+
+// Purpose: Permanently delete an asset
+// DELETE /:id
+router.delete("/:id", checkPermission("asset:delete"), deleteAsset);
+
+export default router;
@@ -1,63 +1,233 @@
 import express from "express";
 import {
   loginController,
+  registerController,
+  verifyRegistrationController,
+  getProfileController,
+  updateProfileController,
   logoutController,
   logoutAllDevicesController,
   refreshTokenController,
   getActiveDevicesController,
+  revokeDeviceController,
+  revokeOtherDevicesController,
+  getUserSessionsController,
+  revokeUserSessionController,
+  revokeAllUserSessionsController,
+  startImpersonationController,
+  endImpersonationController,
+  listImpersonationsController,
   revokeTokenController,
   changePasswordController,
+  getPasswordPolicyController,
+  forgotPasswordController,
+  verifyResetTokenController,
+  resetPasswordController,
   lockAccountController,
   unlockAccountController,
+  getLockedAccountsController,
   validateTokenController,
+  verifyMfaLoginController,
+  getOidcConfigController,
+  startOidcLoginController,
+  oidcCallbackController,
+  beginLoginMfaEnrollmentController,
+  getMfaStatusController,
+  beginMfaEnrollmentController,
+  confirmMfaEnrollmentController,
+  disableMfaController,
+  regenerateRecoveryCodesController,
+  passkeyLoginOptionsController,
+  passkeyLoginController,
+  listPasskeysController,
+  passkeyRegistrationOptionsController,
+  registerPasskeyController,
+  removePasskeyController,
 } from "../controllers/auth.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWT, populatePermissions, blockImpersonation } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+import { rateLimits } from "../middlewares/rateLimit.middleware.js";
 
 const router = express.Router();
 
 //! Public routes
+// (rateLimits: per-IP / per-loginId request limits, 429 with Retry-After when exceeded)
 // Purpose: Authenticate user and return accessToken + set refreshToken cookie
 // POST /login { loginId, password, deviceId? }
-router.post("/login", loginController);
+router.post("/login", rateLimits.login, loginController);
+
+// Purpose: Self-service sign-up for organizations that allow it; mails a verification link (same response whether or not the email has an account)
+// POST /register { name, email, password, confirmPassword?, phone_no?, designation?, inviteCode? }
+router.post("/register", rateLimits.register, registerController);
+
+// Purpose: Confirm a sign-up's email address with the mailed token; the account then waits for approval
+// POST /register/verify { token }
+router.post("/register/verify", rateLimits.register, verifyRegistrationController);
+
+// Purpose: Second login step - verify TOTP, recovery code or passkey and issue tokens
+// POST /mfa/verify { mfaToken, code? | recoveryCode? | webauthn? }
+router.post("/mfa/verify", rateLimits.login, verifyMfaLoginController);
+
+// Purpose: Challenge for a passkey sign-in - passwordless, or the second step of a login with mfaToken
+// POST /passkeys/login/options { mfaToken?, deviceId? }
+router.post("/passkeys/login/options", passkeyLoginOptionsController);
+
+// Purpose: Sign in with a passkey, no password (same response as /login)
+// POST /passkeys/login { credential, deviceId? }
+router.post("/passkeys/login", rateLimits.login, passkeyLoginController);
+
+// Purpose: Start the MFA enrollment a role requires, during login (returns secret + otpauth URI)
+// POST /mfa/enroll-challenge { mfaToken }
+router.post("/mfa/enroll-challenge", beginLoginMfaEnrollmentController);
+
+// Purpose: Whether single sign-on is available (and the provider name for the login button)
+// GET /oidc/config { none }
+router.get("/oidc/config", getOidcConfigController);
+
+// Purpose: Start single sign-on - returns the identity provider URL to redirect the browser to
+// GET /oidc/authorize?deviceId=
+router.get("/oidc/authorize", startOidcLoginController);
+
+// Purpose: Finish single sign-on with the provider's callback parameters; same response as /login
+// POST /oidc/callback { code, state }
+router.post("/oidc/callback", rateLimits.login, oidcCallbackController);
+
+// Purpose: Email a password reset link (same response whether or not the account exists; rate limited per loginId)
+// POST /forgot-password { loginId }
+router.post("/forgot-password", rateLimits.passwordReset, forgotPasswordController);
+
+// Purpose: Check a reset link before showing the form (returns the password policy for hints)
+// POST /reset-password/verify { token }
+router.post("/reset-password/verify", rateLimits.passwordReset, verifyResetTokenController);
+
+// Purpose: Set a new password with a single-use reset token; signs out all devices
+// POST /reset-password { token, newPassword, confirmPassword }
+router.post("/reset-password", rateLimits.passwordReset, resetPasswordController);
 
 // Purpose: Validate refresh token and issue new accessToken (sets new refresh cookie)
 // POST /refresh { refreshToken? (cookie or body), deviceId? }
-router.post("/refresh", refreshTokenController);
+router.post("/refresh", rateLimits.refresh, refreshTokenController);
 
 // Purpose: Validate an access token (or token in body) and return decoded payload
 // POST /validate { token? (uses Authorization header if omitted) }
 router.post("/validate", validateTokenController);
 
 //! Protected routes (require authentication)
+// (blockImpersonation: password, credential and session changes are refused to impersonation tokens)
 // Purpose: Logout current device (clear refresh token for device)
 // POST /logout { deviceId? } (Auth: Bearer token or refreshToken cookie)
-router.post("/logout", verifyJWT, logoutController);
+router.post("/logout", verifyJWT, blockImpersonation, logoutController);
 
 
 // Purpose: Logout from all devices and clear refresh token cookie
 // POST /logout-all { none } (Auth: Bearer token or refreshToken cookie)
-router.post("/logout-all", verifyJWT, logoutAllDevicesController);
+router.post("/logout-all", verifyJWT, blockImpersonation, logoutAllDevicesController);
+
+// Purpose: Return the authenticated user's own profile
+// GET /me { none } (Auth: Bearer token)
+router.get("/me", verifyJWT, getProfileController);
 
-// Purpose: Return list of active devices for authenticated user
+// Purpose: Edit the authenticated user's own name, phone number and designation (other fields are refused)
+// PATCH /me { name?, phone_no?, designation? } (Auth: Bearer token)
+router.patch("/me", verifyJWT, updateProfileController);
+
+// Purpose: Return the authenticated user's devices (parsed user agent, IP, first/last seen, login history)
 // GET /devices { none } (Auth: Bearer token)
 router.get("/devices", verifyJWT, getActiveDevicesController);
 
+// Purpose: Sign out every device except the one making the request
+// POST /devices/revoke-others { none } (Auth: Bearer token)
+router.post("/devices/revoke-others", verifyJWT, blockImpersonation, revokeOtherDevicesController);
+
+// Purpose: Sign out one of the authenticated user's devices
+// DELETE /devices/:deviceId (Auth: Bearer token)
+router.delete("/devices/:deviceId", verifyJWT, blockImpersonation, revokeDeviceController);
+
 // Purpose: Revoke a specific refresh token for the authenticated user
 // POST /revoke-token { token } (Auth: Bearer token)
-router.post("/revoke-token", verifyJWT, revokeTokenController);
+router.post("/revoke-token", verifyJWT, blockImpersonation, revokeTokenController);
 
 // Purpose: Change authenticated user's password and clear refresh tokens
 // POST /change-password { oldPassword, newPassword, confirmPassword } (Auth: Bearer token)
-router.post("/change-password", verifyJWT, changePasswordController);
+router.post("/change-password", verifyJWT, blockImpersonation, changePasswordController);
+
+// Purpose: Get the password policy of the authenticated user's organization (for strength hints)
+// GET /password-policy { none } (Auth: Bearer token)
+router.get("/password-policy", verifyJWT, getPasswordPolicyController);
 
+// Purpose: Get the authenticated user's MFA status
+// GET /mfa { none } (Auth: Bearer token)
+router.get("/mfa", verifyJWT, getMfaStatusController);
+
+// Purpose: Start TOTP enrollment (returns secret + otpauth URI for the QR code)
+// POST /mfa/enroll { none } (Auth: Bearer token)
+router.post("/mfa/enroll", verifyJWT, blockImpersonation, beginMfaEnrollmentController);
+
+// Purpose: Confirm enrollment with a code; returns recovery codes once
+// POST /mfa/activate { code } (Auth: Bearer token)
+router.post("/mfa/activate", verifyJWT, blockImpersonation, confirmMfaEnrollmentController);
+
+// Purpose: Disable MFA (not allowed when the user's role requires it)
+// POST /mfa/disable { password, code } (Auth: Bearer token)
+router.post("/mfa/disable", verifyJWT, blockImpersonation, disableMfaController);
+
+// Purpose: Replace recovery codes; returns the new codes once
+// POST /mfa/recovery-codes { code } (Auth: Bearer token)
+router.post("/mfa/recovery-codes", verifyJWT, blockImpersonation, regenerateRecoveryCodesController);
+
+// Purpose: List the authenticated user's passkeys
+// GET /passkeys { none } (Auth: Bearer token)
+router.get("/passkeys", verifyJWT, listPasskeysController);
+
+// Purpose: Options for navigator.credentials.create to add a passkey
+// POST /passkeys/register/options { none } (Auth: Bearer token)
+router.post("/passkeys/register/options", verifyJWT, blockImpersonation, passkeyRegistrationOptionsController);
+
+// Purpose: Store a passkey from the browser's registration response
+// POST /passkeys/register { credential, name? } (Auth: Bearer token)
+router.post("/passkeys/register", verifyJWT, blockImpersonation, registerPasskeyController);
+
+// Purpose: Remove a passkey (not the last second factor when the role requires MFA)
+// DELETE /passkeys/:credentialId (Auth: Bearer token)
+router.delete("/passkeys/:credentialId", verifyJWT, blockImpersonation, removePasskeyController);
+
+
+// Purpose: End the impersonation this token belongs to (the admin's own session continues)
+// POST /impersonation/end { none } (Auth: impersonation token)
+router.post("/impersonation/end", verifyJWT, endImpersonationController);
 
 //! Admin routes
-// Purpose: Lock a user's account (admin only)
-// POST /lock-account { userId, reason }
-router.post("/lock-account", verifyJWT, lockAccountController);
+// (account locks and other users' sessions are refused to impersonation tokens)
+// Purpose: List currently locked accounts in the caller's scope, with lock reasons
+// GET /locked-accounts { none } (Auth: Bearer token, user:disable)
+router.get("/locked-accounts", verifyJWT, populatePermissions, checkPermission("user:disable"), getLockedAccountsController);
+
+// Purpose: Lock a user's account until unlocked (signs out all devices)
+// POST /lock-account { userId, reason } (Auth: Bearer token, user:disable)
+router.post("/lock-account", verifyJWT, blockImpersonation, populatePermissions, checkPermission("user:disable"), lockAccountController);
+
+// Purpose: Unlock a user's account (clears automatic and manual locks)
+// POST /unlock-account { userId } (Auth: Bearer token, user:disable)
+router.post("/unlock-account", verifyJWT, blockImpersonation, populatePermissions, checkPermission("user:disable"), unlockAccountController);
+
+// Purpose: A user's devices (sessions), in the caller's scope
+// GET /users/:userId/devices { none } (Auth: Bearer token, user:disable)
+router.get("/users/:userId/devices", verifyJWT, blockImpersonation, populatePermissions, checkPermission("user:disable"), getUserSessionsController);
+
+// Purpose: Sign out every device of a user
+// POST /users/:userId/devices/revoke-all { none } (Auth: Bearer token, user:disable)
+router.post("/users/:userId/devices/revoke-all", verifyJWT, blockImpersonation, populatePermissions, checkPermission("user:disable"), revokeAllUserSessionsController);
+
+// Purpose: Sign out one device of a user
+// DELETE /users/:userId/devices/:deviceId (Auth: Bearer token, user:disable)
+router.delete("/users/:userId/devices/:deviceId", verifyJWT, blockImpersonation, populatePermissions, checkPermission("user:disable"), revokeUserSessionController);
+
+// Purpose: Act as another user - returns a time-boxed access token for them (super admin only)
+// POST /impersonation { userId, reason, minutes? } (Auth: Bearer token)
+router.post("/impersonation", verifyJWT, blockImpersonation, populatePermissions, startImpersonationController);
 
-// Purpose: Unlock a user's account (admin only)
-// POST /unlock-account { userId }
-router.post("/unlock-account", verifyJWT, unlockAccountController);
+// Purpose: Impersonation audit trail - sessions and the requests made in them (super admin only)
+// GET /impersonations?userId=&limit= (Auth: Bearer token)
+router.get("/impersonations", verifyJWT, blockImpersonation, populatePermissions, listImpersonationsController);
 
 export default router;
@@ -0,0 +1,46 @@
+import express from "express";
+import {
+  listBranches,
+  getBranchById,
+  createBranch,
+  updateBranch,
+  deactivateBranch,
+  activateBranch,
+} from "../controllers/branch.controller.js";
+import { verifyJWT, populatePermissions } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+
+const router = express.Router();
+
+// All branch routes require an authenticated user with permissions loaded
+router.use(verifyJWT, populatePermissions);
+
+// Purpose: List branches in the caller's scope, with user/asset counts
+// GET / ?page&limit&search&isActive&organizationId
+router.get("/", checkPermission("branch:read"), listBranches);
+
+// Purpose: Get a branch with user/asset counts
+// GET /:id
+router.get("/:id", checkPermission("branch:read"), getBranchById);
+
+// Purpose: Create a branch (defaults to the caller's organization)
+// POST / { name, code?, address?, organizationId? }
+router.post("/", checkPermission("branch:create"), createBranch);
+
+// Purpose: Update branch details
+// PUT /:id { name?, code?, address? }
+router.put("/:id", checkPermission("branch:update"), updateBranch);
+
+// Purpose: Deactivate a branch and users left without an active branch (branches are never hard-deleted)
+// POST /:id/deactivate
+router.post("/:id/deactivate", checkPermission("branch:delete"), deactivateBranch);
+
+// Purpose: Same as POST /:id/deactivate (kept for DELETE-style clients)
+// DELETE /:id
+router.delete("/:id", checkPermission("branch:delete"), deactivateBranch);
+
+// Purpose: Reactivate a branch and the users its deactivation disabled
+// POST /:id/activate
+router.post("/:id/activate", checkPermission("branch:delete"), activateBranch);
+
+export default router;
@@ -0,0 +1,52 @@
+import express from "express";
+import {
+  listIssues,
+  getIssueById,
+  createIssue,
+  approveIssue,
+  rejectIssue,
+  handOverIssue,
+  returnIssue,
+  cancelIssue,
+} from "../controllers/issue.controller.js";
+import { verifyJWT, populatePermissions } from "../middlewares/auth.middleware.js";
+import { checkPermission, checkRoleAction } from "../middlewares/authorizationMiddleware.js";
+
+const router = express.Router();
+
+// All issue routes require an authenticated user with permissions loaded
+router.use(verifyJWT, populatePermissions);
+
+// Purpose: List issue requests in the caller's scope (open=true → requested/approved/issued)
+// GET / ?page&limit&status&open&branchId&userId
+router.get("/", checkPermission("asset:read"), listIssues);
+
+// Purpose: Get a single issue request
+// GET /:id
+router.get("/:id", checkPermission("asset:read"), getIssueById);
+
+// Purpose: Request an item from branch stock for a user
+// POST / { requestedFor, branchId, category, assetId?, purpose?, expectedReturnDate? }
+router.post("/", checkPermission("asset:assign"), createIssue);
+
+// Purpose: Approve a pending request (Role action "approve" on "issue_items")
+// POST /:id/approve { remarks? }
+router.post("/:id/approve", checkRoleAction("issue_items", "approve"), approveIssue);
+
+// Purpose: Reject a pending request (Role action "approve" on "issue_items")
+// POST /:id/reject { reason }
+router.post("/:id/reject", checkRoleAction("issue_items", "approve"), rejectIssue);
+
+// Purpose: Hand over an approved request (assigns the asset to the user)
+// POST /:id/handover { assetId?, conditionNotes? }
+router.post("/:id/handover", checkPermission("asset:assign"), handOverIssue);
+
+// Purpose: Record the return of an issued item (asset back in stock)
+// POST /:id/return { conditionNotes? }
+router.post("/:id/return", checkPermission("asset:assign"), returnIssue);
+
+// Purpose: Cancel a request that has not been handed over
+// POST /:id/cancel
+router.post("/:id/cancel", checkPermission("asset:assign"), cancelIssue);
+
+export default router;
@@ -0,0 +1,87 @@
+import express from "express";
+import {
+  listOrganizations,
+  getOrganizationById,
+  createOrganization,
+  updateOrganization,
+  deactivateOrganization,
+  activateOrganization,
+  getOrganizationPasswordPolicy,
+  updateOrganizationPasswordPolicy,
+  getOrganizationLdapSettings,
+  updateOrganizationLdapSettings,
+  testOrganizationLdapConnection,
+  syncOrganizationLdapDirectory,
+  getOrganizationRegistrationSettings,
+  updateOrganizationRegistrationSettings,
+} from "../controllers/organization.controller.js";
+import { verifyJWT, populatePermissions, blockImpersonation } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+
+const router = express.Router();
+
+// All organization routes require an authenticated user with permissions loaded.
+// Login and sign-up settings (blockImpersonation) cannot be changed while impersonating.
+router.use(verifyJWT, populatePermissions);
+
+// Purpose: List organizations visible to the caller, with branch/user counts
+// GET / ?page&limit&search&isActive
+router.get("/", checkPermission("organization:read"), listOrganizations);
+
+// Purpose: Get an organization with counts and its branches
+// GET /:id
+router.get("/:id", checkPermission("organization:read"), getOrganizationById);
+
+// Purpose: Create an organization
+// POST / { name, code?, address?, contactEmail?, contactPhone? }
+router.post("/", checkPermission("organization:create"), createOrganization);
+
+// Purpose: Update organization details
+// PUT /:id { name?, code?, address?, contactEmail?, contactPhone? }
+router.put("/:id", checkPermission("organization:update"), updateOrganization);
+
+// Purpose: Deactivate an organization with its branches and users (organizations are never hard-deleted)
+// POST /:id/deactivate { reason? }
+router.post("/:id/deactivate", checkPermission("organization:delete"), deactivateOrganization);
+
+// Purpose: Same as POST /:id/deactivate (kept for DELETE-style clients)
+// DELETE /:id
+router.delete("/:id", checkPermission("organization:delete"), deactivateOrganization);
+
+// Purpose: Reactivate an organization and the branches/users its deactivation disabled
+// POST /:id/activate
+router.post("/:id/activate", checkPermission("organization:delete"), activateOrganization);
+
+// Purpose: Get the organization's effective password policy
+// GET /:id/password-policy
+router.get("/:id/password-policy", checkPermission("organization:read"), getOrganizationPasswordPolicy);
+
+// Purpose: Update the organization's password policy (unset fields keep the defaults)
+// PUT /:id/password-policy { minLength?, requireUppercase?, requireLowercase?, requireNumber?, requireSymbol?, disallowUserInfo?, historyCount?, maxAgeDays? }
+router.put("/:id/password-policy", checkPermission("organization:update"), updateOrganizationPasswordPolicy);
+
+// Purpose: Get the organization's directory (LDAP / Active Directory) login settings
+// GET /:id/ldap
+router.get("/:id/ldap", checkPermission("organization:read"), getOrganizationLdapSettings);
+
+// Purpose: Update directory login settings (empty bindPassword keeps the saved one)
+// PUT /:id/ldap { enabled?, url?, tlsRejectUnauthorized?, bindDn?, bindPassword?, searchBase?, userFilter?, attributes?, groupRoleMappings?, defaultAtomicRole?, breakGlassUserIds?, syncIntervalMinutes? }
+router.put("/:id/ldap", blockImpersonation, checkPermission("organization:update"), updateOrganizationLdapSettings);
+
+// Purpose: Connect with the saved settings and optionally look up one login
+// POST /:id/ldap/test { loginId? }
+router.post("/:id/ldap/test", checkPermission("organization:update"), testOrganizationLdapConnection);
+
+// Purpose: Sync names, designations, departments and roles from the directory now
+// POST /:id/ldap/sync
+router.post("/:id/ldap/sync", checkPermission("organization:update"), syncOrganizationLdapDirectory);
+
+// Purpose: Get the organization's self-service sign-up settings (mode, invite code, allowed email domains)
+// GET /:id/registration
+router.get("/:id/registration", checkPermission("organization:read"), getOrganizationRegistrationSettings);
+
+// Purpose: Open or close self-service sign-up; sign-ups wait for approval by an admin with user:create
+// PUT /:id/registration { mode?: "disabled" | "invite_code" | "email_domain", allowedDomains?, branchId?, regenerateInviteCode? }
+router.put("/:id/registration", blockImpersonation, checkPermission("organization:update"), updateOrganizationRegistrationSettings);
+
+export default router;
@@ -165,198 +165,12 @@ router.patch(
 // =====================================================
 // ASSET MANAGEMENT ROUTES
 // =====================================================
-
-/**
- * GET /api/assets
- * List assets
- * Requires: asset:read permission
- */
-router.get(
-  "/assets",
-  verifyJWT,
-  populatePermissions,
-  checkPermission("asset:read"),
-  asyncHandler(async (req, res) => {
-    // Placeholder: Fetch assets within user's scope
-    res.status(200).json(
-      new apiResponse(
-        [
-          {
-            id: "asset123",
-            name: "Laptop",
-            serialNumber: "SN123456",
-            status: "ACTIVE",
-          },
-        ],
-        "Assets retrieved successfully",
-        true
-      )
-    );
-  })
-);
-
-/**
- * POST /api/assets
- * Create a new asset
- * Requires: asset:create permission
- */
-router.post(
-  "/assets",
-  verifyJWT,
-  populatePermissions,
-  checkPermission("asset:create"),
-  asyncHandler(async (req, res) => {
-    const { name, serialNumber, branchId } = req.body;
-
-    if (!name || !serialNumber) {
-      throw new apiError(400, "Name and serial number are required");
-    }
-
-    // Placeholder: Create asset
-    res.status(201).json(
-      new apiResponse(
-        { id: "newAsset123", name, serialNumber },
-        "Asset created successfully",
-        true,
-        201
-      )
-    );
-  })
-);
-
-/**
- * POST /api/assets/:id/assign
- * Assign asset to user
- * Requires: asset:assign permission
- */
-router.post(
-  "/assets/:id/assign",
-  verifyJWT,
-  populatePermissions,
-  checkPermission("asset:assign"),
-  asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { userId } = req.body;
-
-    if (!userId) {
-      throw new apiError(400, "User ID is required");
-    }
-
-    // Placeholder: Assign asset to user
-    res.status(200).json(
-      new apiResponse(
-        { assetId: id, assignedTo: userId },
-        "Asset assigned successfully",
-        true
-      )
-    );
-  })
-);
-
-/**
- * POST /api/assets/:id/transfer
- * Transfer asset between users/branches
- * Requires: asset:transfer permission
- */
-router.post(
-  "/assets/:id/transfer",
-  verifyJWT,
-  populatePermissions,
-  checkPermission("asset:transfer"),
-  asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { fromUserId, toUserId } = req.body;
-
-    if (!fromUserId || !toUserId) {
-      throw new apiError(400, "From and To user IDs are required");
-    }
-
-    // Placeholder: Transfer asset
-    res.status(200).json(
-      new apiResponse(
-        { assetId: id, transferredFrom: fromUserId, transferredTo: toUserId },
-        "Asset transferred successfully",
-        true
-      )
-    );
-  })
-);
-
-/**
- * DELETE /api/assets/:id
- * Delete asset
- * Requires: asset:delete permission
- */
-router.delete(
-  "/assets/:id",
-  verifyJWT,
-  populatePermissions,
-  checkPermission("asset:delete"),
-  asyncHandler(async (req, res) => {
-    const { id } = req.params;
-
-    // Placeholder: Delete asset
-    res.status(200).json(
-      new apiResponse(
-        { id },
-        "Asset deleted successfully",
-        true
-      )
-    );
-  })
-);
+// Implemented for real in routes/asset.routes.js (mounted at /api/v1/assets)
 
 // =====================================================
 // REPORTING ROUTES
 // =====================================================
-
-/**
- * GET /api/reports
- * Get reports
- * Requires: report:view permission
- */
-router.get(
-  "/reports",
-  verifyJWT,
-  populatePermissions,
-  checkPermission("report:view"),
-  asyncHandler(async (req, res) => {
-    // Placeholder: Get reports
-    res.status(200).json(
-      new apiResponse(
-        [
-          { id: "report1", name: "Asset Summary", type: "summary" },
-        ],
-        "Reports retrieved successfully",
-        true
-      )
-    );
-  })
-);
-
-/**
- * POST /api/reports/:id/export
- * Export report to CSV
- * Requires: report:export permission
- */
-router.post(
-  "/reports/:id/export",
-  verifyJWT,
-  populatePermissions,
-  checkPermission("report:export"),
-  asyncHandler(async (req, res) => {
-    const { id } = req.params;
-
-    // Placeholder: Generate CSV
-    res.status(200).json(
-      new apiResponse(
-        { reportId: id, format: "csv", downloadUrl: "/files/report.csv" },
-        "Report exported successfully",
-        true
-      )
-    );
-  })
-);
+// Implemented for real in routes/report.routes.js (mounted at /api/v1/reports)
 
 // =====================================================
 // PERMISSIONS MANAGEMENT (Admin Only)
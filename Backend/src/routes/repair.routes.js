@@ -0,0 +1,42 @@
+import express from "express";
+import {
+  listRepairTickets,
+  getRepairTicketById,
+  openRepairTicket,
+  updateRepairTicket,
+  assignRepairTicket,
+  changeRepairStatus,
+} from "../controllers/repair.controller.js";
+import { verifyJWT, populatePermissions } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+
+const router = express.Router();
+
+// All repair routes require an authenticated user with permissions loaded
+router.use(verifyJWT, populatePermissions);
+
+// Purpose: List repair tickets in the caller's organization/branch scope
+// GET / ?page&limit&status&open&branchId&assetId&technician
+router.get("/", checkPermission("repair:read"), listRepairTickets);
+
+// Purpose: Get a single repair ticket with its status history
+// GET /:id
+router.get("/:id", checkPermission("repair:read"), getRepairTicketById);
+
+// Purpose: Open a ticket against an asset (moves the asset to under_repair)
+// POST / { assetId, issueDescription, priority?, estimatedCost?, remarks? }
+router.post("/", checkPermission("repair:create"), openRepairTicket);
+
+// Purpose: Update diagnosis, costs, priority or remarks
+// PUT /:id { issueDescription?, priority?, diagnosis?, estimatedCost?, actualCost?, remarks? }
+router.put("/:id", checkPermission("repair:update"), updateRepairTicket);
+
+// Purpose: Assign the ticket to a technician or an external vendor
+// POST /:id/assign { technicianId } | { vendorName, vendorContact?, referenceNumber? }
+router.post("/:id/assign", checkPermission("repair:assign"), assignRepairTicket);
+
+// Purpose: Move the ticket through its lifecycle (repaired/unrepairable also need repair:close)
+// POST /:id/status { status, notes?, diagnosis?, actualCost? }
+router.post("/:id/status", checkPermission("repair:update"), changeRepairStatus);
+
+export default router;
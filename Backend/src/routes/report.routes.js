@@ -0,0 +1,90 @@
+import express from "express";
+import {
+  listReports,
+  getReport,
+  runReport,
+  exportReport,
+} from "../controllers/report.controller.js";
+import {
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  runScheduleNow,
+  listInbox,
+  downloadInboxItem,
+  deleteInboxItem,
+} from "../controllers/reportSchedule.controller.js";
+import { verifyJWT, populatePermissions } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+
+const router = express.Router();
+
+// All report routes require an authenticated user with permissions loaded
+router.use(verifyJWT, populatePermissions);
+
+// Purpose: Reports available to the caller, with their parameters and columns
+// GET /
+router.get("/", checkPermission("report:view"), listReports);
+
+// ===== SCHEDULES (declared before /:id) =====
+
+// Purpose: The caller's report schedules
+// GET /schedules
+router.get("/schedules", checkPermission("report:schedule"), listSchedules);
+
+// Purpose: Schedule a report (daily/weekly/monthly) into the caller's inbox
+// POST /schedules { name, reportId, params?, format?, frequency, timeOfDay, dayOfWeek?, dayOfMonth?, emailDelivery? }
+router.post("/schedules", checkPermission("report:schedule"), createSchedule);
+
+// Purpose: Change a schedule's name, parameters, format or recurrence
+// PATCH /schedules/:scheduleId { name?, params?, format?, frequency?, timeOfDay?, dayOfWeek?, dayOfMonth?, emailDelivery? }
+router.patch("/schedules/:scheduleId", checkPermission("report:schedule"), updateSchedule);
+
+// Purpose: Pause a schedule
+// POST /schedules/:scheduleId/pause
+router.post("/schedules/:scheduleId/pause", checkPermission("report:schedule"), pauseSchedule);
+
+// Purpose: Resume a paused schedule
+// POST /schedules/:scheduleId/resume
+router.post("/schedules/:scheduleId/resume", checkPermission("report:schedule"), resumeSchedule);
+
+// Purpose: Run a schedule now (result goes to the inbox)
+// POST /schedules/:scheduleId/run
+router.post("/schedules/:scheduleId/run", checkPermission("report:schedule"), runScheduleNow);
+
+// Purpose: Delete a schedule
+// DELETE /schedules/:scheduleId
+router.delete("/schedules/:scheduleId", checkPermission("report:schedule"), deleteSchedule);
+
+// ===== REPORT INBOX =====
+
+// Purpose: Files produced by the caller's schedules
+// GET /inbox?page=1&limit=25&scheduleId=...
+router.get("/inbox", checkPermission("report:view"), listInbox);
+
+// Purpose: Download an inbox file
+// GET /inbox/:itemId/download
+router.get("/inbox/:itemId/download", checkPermission("report:view"), downloadInboxItem);
+
+// Purpose: Remove an inbox item and its file
+// DELETE /inbox/:itemId
+router.delete("/inbox/:itemId", checkPermission("report:view"), deleteInboxItem);
+
+// ===== REPORTS =====
+
+// Purpose: A single report definition
+// GET /:id
+router.get("/:id", checkPermission("report:view"), getReport);
+
+// Purpose: Run a report and return rows as JSON (capped preview)
+// POST /:id/run { params? }
+router.post("/:id/run", checkPermission("report:generate"), runReport);
+
+// Purpose: Stream the full report as a CSV/XLSX/JSON download
+// POST /:id/export { format?: "csv" | "xlsx" | "json", params? }
+router.post("/:id/export", checkPermission("report:export"), exportReport);
+
+export default router;
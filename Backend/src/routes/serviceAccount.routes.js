@@ -0,0 +1,48 @@
+import express from "express";
+import {
+  listServiceAccounts,
+  listGrantablePermissions,
+  createServiceAccount,
+  updateServiceAccount,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../controllers/serviceAccount.controller.js";
+import { verifyJWT, populatePermissions, blockImpersonation } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+
+const router = express.Router();
+
+// All service account routes require an authenticated user with permissions loaded.
+// Changes (blockImpersonation) are refused to impersonation tokens: API keys would outlive the impersonation.
+router.use(verifyJWT, populatePermissions, checkPermission("service_account:manage"));
+
+// Purpose: List service accounts in the caller's scope, with active key counts
+// GET /
+router.get("/", listServiceAccounts);
+
+// Purpose: Permissions from the catalogue the caller may grant to service accounts and keys
+// GET /permissions
+router.get("/permissions", listGrantablePermissions);
+
+// Purpose: Create a service account (permissions = the most its keys may grant)
+// POST / { userId, name, organizationId?, branchId?, permissions, remarks? }
+router.post("/", blockImpersonation, createServiceAccount);
+
+// Purpose: Rename, narrow/widen permissions, or (de)activate a service account
+// PATCH /:id { name?, remarks?, permissions?, isActive? }
+router.patch("/:id", blockImpersonation, updateServiceAccount);
+
+// Purpose: List the service account's API keys (never the secrets)
+// GET /:id/keys
+router.get("/:id/keys", listApiKeys);
+
+// Purpose: Create an API key; the full key is only in this response
+// POST /:id/keys { name, permissions, expiresAt? | expiresInDays? }
+router.post("/:id/keys", blockImpersonation, createApiKey);
+
+// Purpose: Revoke an API key immediately
+// POST /:id/keys/:keyId/revoke
+router.post("/:id/keys/:keyId/revoke", blockImpersonation, revokeApiKey);
+
+export default router;
@@ -0,0 +1,62 @@
+import express from "express";
+import {
+  listStockItems,
+  getStockItemById,
+  createStockItem,
+  updateStockItem,
+  stockIn,
+  stockOut,
+  issueStock,
+  returnStock,
+  listStockMovements,
+  getUserStockHoldings,
+} from "../controllers/stock.controller.js";
+import { verifyJWT, populatePermissions } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+
+const router = express.Router();
+
+// All stock routes require an authenticated user with permissions loaded
+router.use(verifyJWT, populatePermissions);
+
+// Purpose: Stock movement ledger (stock-in, stock-out, issue, return)
+// GET /movements ?page&limit&itemId&userId&movementType&branchId&from&to
+router.get("/movements", checkPermission("stock:read"), listStockMovements);
+
+// Purpose: Accessories/peripherals a user currently holds
+// GET /holdings/:userId
+router.get("/holdings/:userId", checkPermission("stock:read"), getUserStockHoldings);
+
+// Purpose: List stock items in the caller's organization/branch scope
+// GET /items ?page&limit&kind&category&branchId&belowMinimum&includeInactive&q
+router.get("/items", checkPermission("stock:read"), listStockItems);
+
+// Purpose: Get a single stock item
+// GET /items/:id
+router.get("/items/:id", checkPermission("stock:read"), getStockItemById);
+
+// Purpose: Create a stock item at a branch
+// POST /items { name, kind, branchId, sku?, category?, unit?, minimumLevel?, openingQuantity?, remarks? }
+router.post("/items", checkPermission("stock:create"), createStockItem);
+
+// Purpose: Update item details and minimum level (quantity changes go through movements)
+// PUT /items/:id { name?, sku?, category?, unit?, minimumLevel?, remarks?, isActive? }
+router.put("/items/:id", checkPermission("stock:update"), updateStockItem);
+
+// Purpose: Receive stock
+// POST /items/:id/stock-in { quantity, reference?, remarks? }
+router.post("/items/:id/stock-in", checkPermission("stock:update"), stockIn);
+
+// Purpose: Remove stock without a holder (consumed, damaged, written off)
+// POST /items/:id/stock-out { quantity, reason, remarks? }
+router.post("/items/:id/stock-out", checkPermission("stock:update"), stockOut);
+
+// Purpose: Issue quantity to a user
+// POST /items/:id/issue { userId, quantity, remarks? }
+router.post("/items/:id/issue", checkPermission("stock:issue"), issueStock);
+
+// Purpose: Take back quantity issued to a user
+// POST /items/:id/return { userId, quantity, remarks? }
+router.post("/items/:id/return", checkPermission("stock:issue"), returnStock);
+
+export default router;
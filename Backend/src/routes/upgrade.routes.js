@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  listUpgrades,
+  getAssetUpgrades,
+  recordUpgrade,
+} from "../controllers/upgrade.controller.js";
+import { verifyJWT, populatePermissions } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+
+const router = express.Router();
+
+// All upgrade routes require an authenticated user with permissions loaded
+router.use(verifyJWT, populatePermissions);
+
+// Purpose: List upgrades in the caller's organization/branch scope
+// GET / ?page&limit&upgradeType&branchId&assetId&from&to
+router.get("/", checkPermission("asset:read"), listUpgrades);
+
+// Purpose: Upgrade timeline of an asset with purchase spec and current configuration
+// GET /asset/:assetId
+router.get("/asset/:assetId", checkPermission("asset:read"), getAssetUpgrades);
+
+// Purpose: Log an upgrade (the "before" value is taken from the current configuration)
+// POST / { assetId, upgradeType, component?, after, performedAt?, performedBy?, cost?, notes? }
+router.post("/", checkPermission("asset:update"), recordUpgrade);
+
+export default router;
@@ -13,51 +13,86 @@ import {
   getRolesForDropdown,
   getBranchesForDropdown,
   changeUserPassword,
+  getUserPasswordPolicy,
+  resetUserMfa,
+  listPendingRegistrations,
+  approveRegistration,
+  rejectRegistration,
 } from "../controllers/user.controller.js";
+import { verifyJWT, populatePermissions, blockImpersonation } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../middlewares/authorizationMiddleware.js";
+import { rateLimits } from "../middlewares/rateLimit.middleware.js";
 
 const router = express.Router();
 
+// All user routes require an authenticated user with permissions loaded,
+// and are rate limited per user. Scope (organization/branches) is enforced in the controllers.
+// Creating accounts and changing their state (blockImpersonation) is refused to impersonation tokens.
+router.use(verifyJWT, populatePermissions, rateLimits.users);
+
 // Get dropdown data for roles
-router.get("/dropdown/roles", getRolesForDropdown);
+router.get(
+  "/dropdown/roles",
+  checkPermission(["user:create", "user:update", "user:assign_role"]),
+  getRolesForDropdown
+);
 
-// Get dropdown data for branches
-router.get("/dropdown/branches", getBranchesForDropdown);
+// Get dropdown data for branches (limited to the caller's scope)
+router.get("/dropdown/branches", checkPermission(["user:read", "branch:read"]), getBranchesForDropdown);
 
 // Create a new user
-router.post("/", createUser);
+router.post("/", blockImpersonation, checkPermission("user:create"), createUser);
 
 // List all users with filters and pagination
-router.get("/", listUsers);
+router.get("/", checkPermission("user:read"), listUsers);
+
+// Self-service sign-ups waiting for approval (?organizationId)
+router.get("/pending", checkPermission("user:create"), listPendingRegistrations);
+
+// Approve a pending sign-up: the user can log in from now on
+router.post("/:id/approve", blockImpersonation, checkPermission("user:create"), approveRegistration);
+
+// Reject a pending sign-up { reason? }
+router.post("/:id/reject", blockImpersonation, checkPermission("user:create"), rejectRegistration);
 
 // Get user by ID
-router.get("/:id", getUserById);
+router.get("/:id", checkPermission("user:read"), getUserById);
 
 // Update user (general fields, not canLogin/isActive)
-router.put("/:id", updateUser);
+// Changing role/roleId/permissions also needs user:assign_role, changing branches user:assign_branch
+router.put("/:id", checkPermission("user:update"), updateUser);
 
 // Toggle canLogin - enable/disable login credentials
 // POST /users/:id/toggle-can-login { enable: true/false, loginId?: "userId|email|username" }
-router.post("/:id/toggle-can-login", toggleCanLogin);
+router.post("/:id/toggle-can-login", blockImpersonation, checkPermission("user:disable"), toggleCanLogin);
 
 // Toggle isActive - enable/disable user account
 // POST /users/:id/toggle-is-active { enable: true/false }
-router.post("/:id/toggle-is-active", toggleIsActive);
+router.post("/:id/toggle-is-active", blockImpersonation, checkPermission("user:disable"), toggleIsActive);
 
 // Change user role
 // POST /users/:id/change-role { roleId?: "...", role?: "user|admin|..." }
-router.post("/:id/change-role", changeUserRole);
+router.post("/:id/change-role", blockImpersonation, checkPermission("user:assign_role"), changeUserRole);
+
+// Password policy that applies to the user (strength hints for the change-password form)
+// GET /users/:id/password-policy
+router.get("/:id/password-policy", checkPermission("user:change_password"), getUserPasswordPolicy);
 
-// Change user password
+// Change user password (validated against the organization's password policy)
 // POST /users/:id/change-password { newPassword: "..." }
-router.post("/:id/change-password", changeUserPassword);
+router.post("/:id/change-password", blockImpersonation, checkPermission("user:change_password"), changeUserPassword);
+
+// Reset user's MFA (lost authenticator; user enrolls again at next login)
+// POST /users/:id/reset-mfa
+router.post("/:id/reset-mfa", blockImpersonation, checkPermission("user:change_password"), resetUserMfa);
 
 // Soft-delete user (deactivate)
-router.post("/:id/soft-delete", softDeleteUser);
+router.post("/:id/soft-delete", blockImpersonation, checkPermission("user:disable"), softDeleteUser);
 
 // Restore user
-router.post("/:id/restore", restoreUser);
+router.post("/:id/restore", blockImpersonation, checkPermission("user:disable"), restoreUser);
 
 // Permanently delete user
-router.delete("/:id", deleteUserPermanent);
+router.delete("/:id", blockImpersonation, checkPermission("user:delete"), deleteUserPermanent);
 
 export default router;
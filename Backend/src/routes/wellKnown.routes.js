@@ -0,0 +1,10 @@
+import express from "express";
+import { jwksController } from "../controllers/auth.controller.js";
+
+const router = express.Router();
+
+// Purpose: Public keys (JWK Set) that verify the tokens this API issues; no auth
+// GET /jwks.json
+router.get("/jwks.json", jwksController);
+
+export default router;
@@ -41,13 +41,13 @@ export const PERMISSIONS = [
   },
   {
     key: "user:disable",
-    description: "Disable/enable user accounts",
+    description: "Disable/enable user accounts and lock/unlock logins",
     category: "user_management",
     isSystemPermission: true,
   },
   {
     key: "user:change_password",
-    description: "Set or reset user passwords",
+    description: "Set or reset user passwords and multi-factor authentication",
     category: "user_management",
     isSystemPermission: true,
   },
@@ -120,6 +120,64 @@ export const PERMISSIONS = [
     isSystemPermission: false,
   },
 
+  // ===== REPAIR =====
+  {
+    key: "repair:create",
+    description: "Open repair tickets for assets",
+    category: "asset_management",
+    isSystemPermission: false,
+  },
+  {
+    key: "repair:read",
+    description: "View repair tickets",
+    category: "asset_management",
+    isSystemPermission: false,
+  },
+  {
+    key: "repair:update",
+    description: "Update repair tickets (diagnosis, cost, progress)",
+    category: "asset_management",
+    isSystemPermission: false,
+  },
+  {
+    key: "repair:assign",
+    description: "Assign repair tickets to a vendor or technician",
+    category: "asset_management",
+    isSystemPermission: false,
+  },
+  {
+    key: "repair:close",
+    description: "Close repair tickets as repaired or unrepairable",
+    category: "asset_management",
+    isSystemPermission: false,
+  },
+
+  // ===== ACCESSORY / PERIPHERAL STOCK =====
+  {
+    key: "stock:create",
+    description: "Add accessory/peripheral stock items",
+    category: "asset_management",
+    isSystemPermission: false,
+  },
+  {
+    key: "stock:read",
+    description: "View accessory/peripheral stock and movements",
+    category: "asset_management",
+    isSystemPermission: false,
+  },
+  {
+    key: "stock:update",
+    description: "Update stock items, minimum levels and record stock-in/stock-out",
+    category: "asset_management",
+    isSystemPermission: false,
+  },
+  {
+    key: "stock:issue",
+    description: "Issue accessories/peripherals to users and record returns",
+    category: "asset_management",
+    isSystemPermission: false,
+  },
+
   // ===== REPORTING =====
   {
     key: "report:view",
@@ -193,7 +251,7 @@ export const PERMISSIONS = [
   },
   {
     key: "branch:delete",
-    description: "Delete branches",
+    description: "Deactivate and reactivate branches",
     category: "branch",
     isSystemPermission: true,
   },
@@ -217,6 +275,12 @@ export const PERMISSIONS = [
     category: "system_admin",
     isSystemPermission: true,
   },
+  {
+    key: "service_account:manage",
+    description: "Manage service accounts and their API keys",
+    category: "system_admin",
+    isSystemPermission: true,
+  },
 
   // ===== AUDIT =====
   {
@@ -261,6 +325,7 @@ export const BUILT_IN_ROLES = [
       "user:read",
       "user:update",
       "user:disable",
+      "user:change_password",
       "user:assign_role",
       "user:assign_branch",
       "asset:create",
@@ -268,12 +333,26 @@ export const BUILT_IN_ROLES = [
       "asset:update",
       "asset:assign",
       "asset:transfer",
+      "repair:create",
+      "repair:read",
+      "repair:update",
+      "repair:assign",
+      "repair:close",
+      "stock:create",
+      "stock:read",
+      "stock:update",
+      "stock:issue",
+      "organization:read",
+      "organization:update",
       "branch:read",
       "branch:create",
       "branch:update",
       "report:view",
+      "report:generate",
       "report:export",
+      "report:schedule",
       "audit:view",
+      "service_account:manage",
     ],
     isActive: true,
     isProtected: true,
@@ -291,13 +370,27 @@ export const BUILT_IN_ROLES = [
       "user:read",
       "user:update",
       "user:disable",
+      "user:change_password",
       "asset:create",
       "asset:read",
       "asset:update",
       "asset:assign",
       "asset:transfer",
+      "repair:create",
+      "repair:read",
+      "repair:update",
+      "repair:assign",
+      "repair:close",
+      "stock:create",
+      "stock:read",
+      "stock:update",
+      "stock:issue",
+      "branch:read",
+      "branch:update",
       "report:view",
+      "report:generate",
       "report:export",
+      "report:schedule",
       "audit:view",
     ],
     isActive: true,
@@ -311,7 +404,7 @@ export const BUILT_IN_ROLES = [
     description: "Can view assets and update own profile",
     category: "system",
     priority: 100,
-    permissions: ["asset:read", "user:read", "report:view"],
+    permissions: ["asset:read", "stock:read", "user:read", "report:view"],
     isActive: true,
     isProtected: true,
     canManageMultipleBranches: false,
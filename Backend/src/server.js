@@ -1,6 +1,10 @@
 import dotenv from "dotenv";
 import app from "./app.js";
 import connectDB from "./config/db.js";
+import { startReportScheduler } from "./services/reportScheduler.js";
+import { startLdapSyncScheduler } from "./services/ldapSyncScheduler.js";
+import { startKeyRotationScheduler } from "./services/keyRotationScheduler.js";
+import keyRingService from "./services/keyRing.service.js";
 import { getEnvConfig, validateEnv } from "./config/env.js";
 import dns from "dns";
 
@@ -22,7 +26,11 @@ const envConfig = getEnvConfig();
 connectDB()
   .then(async () => {
     const PORT = envConfig.port;
-    
+
+    // Tokens can only be signed once the JWT key ring is loaded
+    const signingKey = await keyRingService.initialize();
+    console.log(`🔑 JWT signing key ${signingKey.kid} (${signingKey.alg})`);
+
     app.listen(PORT, () => {
       console.log(`🚀 Server started successfully`);
       console.log(`
@@ -35,6 +43,13 @@ connectDB()
         ╚════════════════════════════════════════╝
       `);
     });
+
+    // Scheduled reports run inside the API process
+    startReportScheduler();
+    // Directory (LDAP) syncs too
+    startLdapSyncScheduler();
+    // And JWT signing key rotation
+    startKeyRotationScheduler();
   })
   .catch((err) => {
     console.error("❌ Failed to start server", err.message);
@@ -0,0 +1,620 @@
+import mongoose from "mongoose";
+import {
+  Asset,
+  ASSET_CATEGORIES,
+  ASSET_STATUSES,
+} from "../models/asset.model.js";
+import { User } from "../models/user.model.js";
+import { Branch } from "../models/branch.model.js";
+import { RepairTicket, REPAIR_OPEN_STATUSES } from "../models/repairTicket.model.js";
+import custodyService from "./custody.service.js";
+import { apiError } from "../utils/apiError.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import {
+  hasPermission,
+  checkScopeAccess,
+  buildScopeFilter,
+} from "../utils/permissionUtils.js";
+
+/**
+ * Asset Service - Handles all asset inventory business logic
+ * Every change of holder or branch is recorded through custodyService.
+ */
+
+// Fields a client may set directly on create/update.
+// status, assignedTo and branchId are managed through dedicated operations.
+const EDITABLE_FIELDS = [
+  "name",
+  "serialNumber",
+  "assetTag",
+  "category",
+  "make",
+  "model",
+  "specifications",
+  "purchaseInfo",
+  "remarks",
+];
+
+// Statuses that take an asset out of service (require asset:deprecate)
+const DEPRECATED_STATUSES = ["retired", "disposed"];
+
+const pickEditableFields = (payload = {}) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (payload[field] !== undefined) acc[field] = payload[field];
+    return acc;
+  }, {});
+
+const assertObjectId = (id, label = "ID") => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, `Invalid ${label}`);
+  }
+};
+
+// Load an asset and make sure the actor may access its branch/organization
+const findAssetInScope = async (actor, assetId) => {
+  assertObjectId(assetId, "asset ID");
+
+  const asset = await Asset.findById(assetId);
+  if (!asset) {
+    throw new apiError(404, "Asset not found");
+  }
+
+  if (!checkScopeAccess(actor, asset.branchId, asset.organizationId)) {
+    throw new apiError(403, "Access to this asset is not allowed");
+  }
+
+  return asset;
+};
+
+// Load an active user that may hold assets of the given organization
+// (service accounts are API key identities and never hold assets)
+const findAssignableUser = async (actor, userId, organizationId) => {
+  assertObjectId(userId, "user ID");
+
+  const user = await User.findOne({ _id: userId, accountType: { $ne: "service" } });
+  if (!user) {
+    throw new apiError(404, "User not found");
+  }
+
+  if (!user.isActive || user.isBlocked) {
+    throw new apiError(400, `User "${user.name}" is not active`);
+  }
+
+  if (String(user.organizationId) !== String(organizationId)) {
+    throw new apiError(400, "User belongs to a different organization than the asset");
+  }
+
+  if (!checkScopeAccess(actor, null, user.organizationId)) {
+    throw new apiError(403, "Access to this user is not allowed");
+  }
+
+  return user;
+};
+
+// Load an active branch the actor may move assets into
+const findTargetBranch = async (actor, branchId, organizationId) => {
+  assertObjectId(branchId, "branch ID");
+
+  const branch = await Branch.findById(branchId);
+  if (!branch || !branch.isActive) {
+    throw new apiError(404, "Branch not found");
+  }
+
+  if (String(branch.organizationId) !== String(organizationId)) {
+    throw new apiError(400, "Branch belongs to a different organization than the asset");
+  }
+
+  if (!checkScopeAccess(actor, branch._id, branch.organizationId)) {
+    throw new apiError(403, "Access to the target branch is not allowed");
+  }
+
+  return branch;
+};
+
+// Custody fields a status change depends on, as read before the change
+const custodyState = (asset) => ({
+  status: asset.status,
+  assignedTo: asset.assignedTo || null,
+  branchId: asset.branchId,
+});
+
+// Write the asset's pending changes only if it still is in the expected state,
+// so concurrent requests cannot both act on the same status or holder (and
+// record custody twice). Returns the updated asset.
+const saveTransition = async (asset, expected) => {
+  const updated = await Asset.findOneAndUpdate({ _id: asset._id, ...expected }, asset.getChanges(), {
+    new: true,
+    runValidators: true,
+  });
+  if (!updated) {
+    throw new apiError(409, "The asset was changed by another request. Reload it and try again.");
+  }
+  return updated;
+};
+
+const duplicateKeyError = (error) => {
+  const field = Object.keys(error.keyPattern || {})[0] || "field";
+  return new apiError(409, `An asset with this ${field} already exists`);
+};
+
+export const assetService = {
+  /**
+   * List assets within the actor's scope
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { page, limit (max 500), status, category, organizationId, branchId, assignedTo, q }
+   * @returns {Promise<Object>} - { items, meta }
+   */
+  async listAssets(actor, query = {}) {
+    try {
+      const page = Math.max(parseInt(query.page || 1, 10), 1);
+      const limit = Math.min(Math.max(parseInt(query.limit || 25, 10) || 25, 1), 500);
+      const skip = (page - 1) * limit;
+
+      const filter = buildScopeFilter(actor);
+      if (query.status) filter.status = query.status;
+      if (query.category) filter.category = query.category;
+      if (query.assignedTo) filter.assignedTo = query.assignedTo;
+
+      if (query.organizationId) {
+        assertObjectId(query.organizationId, "organization ID");
+        if (!checkScopeAccess(actor, null, query.organizationId)) {
+          throw new apiError(403, "Access to this organization is not allowed");
+        }
+        filter.organizationId = query.organizationId;
+      }
+
+      if (query.branchId) {
+        if (!checkScopeAccess(actor, query.branchId, null)) {
+          throw new apiError(403, "Access to this branch is not allowed");
+        }
+        filter.branchId = query.branchId;
+      }
+
+      if (query.q) {
+        const pattern = new RegExp(escapeRegex(String(query.q).trim()), "i");
+        filter.$or = [
+          { name: pattern },
+          { serialNumber: pattern },
+          { assetTag: pattern },
+          { make: pattern },
+          { model: pattern },
+        ];
+      }
+
+      const [items, total] = await Promise.all([
+        Asset.find(filter)
+          .populate("assignedTo", "userId name email")
+          .populate("branchId", "name code")
+          .skip(skip)
+          .limit(limit)
+          .sort({ createdAt: -1 })
+          .lean(),
+        Asset.countDocuments(filter),
+      ]);
+
+      return { items, meta: { page, limit, total } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Get a single asset
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<Object>} - Asset document
+   */
+  async getAssetById(actor, assetId) {
+    try {
+      const asset = await findAssetInScope(actor, assetId);
+      await asset.populate([
+        { path: "assignedTo", select: "userId name email designation" },
+        { path: "branchId", select: "name code" },
+      ]);
+      return asset;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Create a new asset (always starts in_stock, unassigned)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} payload - Asset fields + organizationId + branchId
+   * @returns {Promise<Object>} - Created asset
+   */
+  async createAsset(actor, payload = {}) {
+    try {
+      const { organizationId, branchId } = payload;
+
+      if (!payload.name || !payload.serialNumber || !organizationId || !branchId) {
+        throw new apiError(400, "name, serialNumber, organizationId and branchId are required");
+      }
+
+      if (payload.category && !ASSET_CATEGORIES.includes(payload.category)) {
+        throw new apiError(400, `Invalid category. Allowed: ${ASSET_CATEGORIES.join(", ")}`);
+      }
+
+      assertObjectId(organizationId, "organization ID");
+      await findTargetBranch(actor, branchId, organizationId);
+
+      const asset = await Asset.create({
+        ...pickEditableFields(payload),
+        organizationId,
+        branchId,
+        status: "in_stock",
+        createdBy: actor?._id || null,
+      });
+
+      return asset;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      if (error.code === 11000) throw duplicateKeyError(error);
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Update general asset fields (not status, assignee or branch)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} assetId - Asset ID
+   * @param {Object} payload - Fields to update
+   * @returns {Promise<Object>} - Updated asset
+   */
+  async updateAsset(actor, assetId, payload = {}) {
+    try {
+      const asset = await findAssetInScope(actor, assetId);
+
+      if (payload.category && !ASSET_CATEGORIES.includes(payload.category)) {
+        throw new apiError(400, `Invalid category. Allowed: ${ASSET_CATEGORIES.join(", ")}`);
+      }
+
+      asset.set(pickEditableFields(payload));
+      asset.updatedBy = actor?._id || null;
+      await asset.save();
+
+      return asset;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      if (error.code === 11000) throw duplicateKeyError(error);
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Move an asset through its status lifecycle
+   * Retiring/disposing requires asset:deprecate; assigning goes through assignAsset
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} assetId - Asset ID
+   * @param {string} status - Target status
+   * @param {string} remarks - Optional remarks
+   * @returns {Promise<Object>} - Updated asset
+   */
+  async changeStatus(actor, assetId, status, remarks = null) {
+    try {
+      if (!ASSET_STATUSES.includes(status)) {
+        throw new apiError(400, `Invalid status. Allowed: ${ASSET_STATUSES.join(", ")}`);
+      }
+
+      if (status === "assigned") {
+        throw new apiError(400, "Use the assign endpoint to assign an asset");
+      }
+
+      if (
+        DEPRECATED_STATUSES.includes(status) &&
+        !hasPermission(actor?.permissions, "asset:deprecate")
+      ) {
+        throw new apiError(403, "Permission 'asset:deprecate' required");
+      }
+
+      const asset = await findAssetInScope(actor, assetId);
+      const expected = custodyState(asset);
+      const previousStatus = asset.status;
+      const previousHolder = asset.assignedTo;
+
+      // An asset with an open repair ticket follows the ticket
+      if (previousStatus === "under_repair") {
+        const openTicket = await RepairTicket.exists({
+          asset: asset._id,
+          status: { $in: REPAIR_OPEN_STATUSES },
+        });
+        if (openTicket) {
+          throw new apiError(409, "Asset has an open repair ticket; close the ticket instead");
+        }
+      }
+
+      if (!asset.setStatus(status)) {
+        throw new apiError(400, `Cannot change asset status from ${previousStatus} to ${status}`);
+      }
+
+      // Leaving "assigned" always releases the current holder
+      const releasesHolder = previousStatus === "assigned" && status !== "under_repair";
+      if (releasesHolder) {
+        asset.assignedTo = null;
+        asset.assignedAt = null;
+      }
+
+      if (remarks) asset.remarks = remarks;
+      asset.updatedBy = actor?._id || null;
+      const updated = await saveTransition(asset, expected);
+
+      if (releasesHolder && previousHolder) {
+        await custodyService.recordEvent(updated, {
+          eventType: "return",
+          fromUser: previousHolder,
+          fromBranch: updated.branchId,
+          toBranch: updated.branchId,
+          performedBy: actor._id,
+          conditionNotes: remarks || `Status changed to ${status}`,
+        });
+      }
+
+      return updated;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Assign an in-stock asset to a user
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} assetId - Asset ID
+   * @param {string} userId - User to assign to
+   * @param {string} conditionNotes - Condition of the asset at hand-over
+   * @returns {Promise<Object>} - Updated asset
+   */
+  async assignAsset(actor, assetId, userId, conditionNotes = "") {
+    try {
+      const asset = await findAssetInScope(actor, assetId);
+
+      if (asset.status === "assigned") {
+        throw new apiError(400, "Asset is already assigned. Use transfer to re-assign it.");
+      }
+
+      if (!asset.canTransitionTo("assigned")) {
+        throw new apiError(400, `Cannot assign an asset with status ${asset.status}`);
+      }
+
+      const user = await findAssignableUser(actor, userId, asset.organizationId);
+      const expected = custodyState(asset);
+
+      asset.setStatus("assigned");
+      asset.assignedTo = user._id;
+      asset.assignedAt = new Date();
+      asset.updatedBy = actor?._id || null;
+      const updated = await saveTransition(asset, expected);
+
+      await custodyService.recordEvent(updated, {
+        eventType: "assign",
+        toUser: user._id,
+        fromBranch: updated.branchId,
+        toBranch: updated.branchId,
+        performedBy: actor._id,
+        conditionNotes,
+      });
+
+      return updated;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Transfer an asset to another user and/or branch
+   * A branch-only transfer puts the asset back in stock at the target branch
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} assetId - Asset ID
+   * @param {Object} data - { fromUserId?, toUserId?, toBranchId?, conditionNotes? }
+   * @returns {Promise<Object>} - Updated asset
+   */
+  async transferAsset(
+    actor,
+    assetId,
+    { fromUserId = null, toUserId = null, toBranchId = null, conditionNotes = "" } = {}
+  ) {
+    try {
+      if (!toUserId && !toBranchId) {
+        throw new apiError(400, "toUserId or toBranchId is required");
+      }
+
+      const asset = await findAssetInScope(actor, assetId);
+
+      if (!["in_stock", "assigned"].includes(asset.status)) {
+        throw new apiError(400, `Cannot transfer an asset with status ${asset.status}`);
+      }
+
+      if (fromUserId) {
+        assertObjectId(fromUserId, "fromUserId");
+        if (String(asset.assignedTo) !== String(fromUserId)) {
+          throw new apiError(409, "Asset is not currently assigned to the given fromUserId");
+        }
+      }
+
+      // The holder must still be fromUserId when the transfer is written, so a
+      // concurrent return or transfer is not overwritten and custody is
+      // recorded from the actual holder
+      const expected = { ...custodyState(asset), ...(fromUserId && { assignedTo: fromUserId }) };
+      const previousHolder = asset.assignedTo;
+      const previousBranch = asset.branchId;
+
+      if (toBranchId) {
+        const branch = await findTargetBranch(actor, toBranchId, asset.organizationId);
+        asset.branchId = branch._id;
+      }
+
+      if (toUserId) {
+        if (String(asset.assignedTo) === String(toUserId)) {
+          throw new apiError(400, "Asset is already assigned to this user");
+        }
+        const user = await findAssignableUser(actor, toUserId, asset.organizationId);
+        asset.setStatus("assigned");
+        asset.assignedTo = user._id;
+        asset.assignedAt = new Date();
+      } else {
+        asset.setStatus("in_stock");
+        asset.assignedTo = null;
+        asset.assignedAt = null;
+      }
+
+      asset.updatedBy = actor?._id || null;
+      const updated = await saveTransition(asset, expected);
+
+      const branchChanged = String(previousBranch) !== String(updated.branchId);
+      let eventType = "transfer";
+      if (!branchChanged) {
+        eventType = previousHolder ? "reassign" : "assign";
+      }
+
+      await custodyService.recordEvent(updated, {
+        eventType,
+        fromUser: previousHolder,
+        toUser: updated.assignedTo,
+        fromBranch: previousBranch,
+        toBranch: updated.branchId,
+        performedBy: actor._id,
+        conditionNotes,
+      });
+
+      return updated;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Return an assigned asset to stock
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} assetId - Asset ID
+   * @param {string} conditionNotes - Condition of the asset when handed back
+   * @returns {Promise<Object>} - Updated asset
+   */
+  async returnAsset(actor, assetId, conditionNotes = "") {
+    try {
+      const asset = await findAssetInScope(actor, assetId);
+
+      if (asset.status !== "assigned" || !asset.assignedTo) {
+        throw new apiError(400, "Asset is not currently assigned");
+      }
+
+      const expected = custodyState(asset);
+      const previousHolder = asset.assignedTo;
+
+      asset.setStatus("in_stock");
+      asset.assignedTo = null;
+      asset.assignedAt = null;
+      asset.updatedBy = actor?._id || null;
+      const updated = await saveTransition(asset, expected);
+
+      await custodyService.recordEvent(updated, {
+        eventType: "return",
+        fromUser: previousHolder,
+        fromBranch: updated.branchId,
+        toBranch: updated.branchId,
+        performedBy: actor._id,
+        conditionNotes,
+      });
+
+      return updated;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Put an asset under repair (used by repairService when a ticket is opened)
+   * The current holder keeps custody while the asset is being repaired.
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} asset - Asset document
+   * @returns {Promise<Object>} - Updated asset
+   */
+  async startRepair(actor, asset) {
+    try {
+      if (!asset.setStatus("under_repair")) {
+        throw new apiError(400, `Cannot send an asset with status ${asset.status} for repair`);
+      }
+
+      asset.updatedBy = actor?._id || null;
+      await asset.save();
+      return asset;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Bring an asset back from repair (used by repairService when a ticket is closed)
+   * - repaired     → back to its holder (assigned) or to stock
+   * - not repaired → retired; a holder is released with a "return" custody event
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} asset - Asset document
+   * @param {boolean} repaired - Outcome of the repair
+   * @param {string} notes - Condition notes
+   * @returns {Promise<Object>} - Updated asset
+   */
+  async endRepair(actor, asset, repaired, notes = "") {
+    try {
+      if (asset.status !== "under_repair") return asset;
+
+      const previousHolder = asset.assignedTo;
+
+      if (repaired) {
+        asset.setStatus(previousHolder ? "assigned" : "in_stock");
+      } else {
+        asset.setStatus("retired");
+        asset.assignedTo = null;
+        asset.assignedAt = null;
+      }
+
+      asset.updatedBy = actor?._id || null;
+      await asset.save();
+
+      if (!repaired && previousHolder) {
+        await custodyService.recordEvent(asset, {
+          eventType: "return",
+          fromUser: previousHolder,
+          fromBranch: asset.branchId,
+          toBranch: asset.branchId,
+          performedBy: actor._id,
+          conditionNotes: notes || "Unrepairable - asset retired",
+        });
+      }
+
+      return asset;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Permanently delete an asset
+   * Assigned or under-repair assets must be returned first
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<Boolean>} - Success status
+   */
+  async deleteAsset(actor, assetId) {
+    try {
+      const asset = await findAssetInScope(actor, assetId);
+
+      if (["assigned", "under_repair"].includes(asset.status)) {
+        throw new apiError(400, `Cannot delete an asset with status ${asset.status}`);
+      }
+
+      await asset.deleteOne();
+      return true;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default assetService;
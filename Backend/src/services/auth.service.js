@@ -1,13 +1,239 @@
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import mongoose from "mongoose";
 import { UserLogin } from "../models/userLogin.model.js";
 import { User } from "../models/user.model.js";
 import { AtomicRole } from "../models/atomicRole.model.js";
+import { PasswordReset } from "../models/passwordReset.model.js";
+import { ImpersonationSession } from "../models/impersonationSession.model.js";
 import { apiError } from "../utils/apiError.js";
+import { sendMail } from "../utils/mailer.js";
+import { v4 as uuidv4 } from "uuid";
+import mfaService from "./mfa.service.js";
+import passwordPolicyService from "./passwordPolicy.service.js";
+import securityEventService from "./securityEvent.service.js";
+import lockoutService from "./lockout.service.js";
+import ldapService from "./ldap.service.js";
+import keyRingService, { TOKEN_TYPES } from "./keyRing.service.js";
+import webauthnService from "./webauthn.service.js";
 
 /**
  * Auth Service - Handles all authentication business logic
  */
 
+// =====================================================
+// HELPERS
+// =====================================================
+
+// Short-lived token handed out between the password step and the MFA step.
+// purpose "mfa" = verify a code, "mfa_enroll" = role requires MFA, enroll first.
+const signMfaChallenge = (userLogin, purpose, deviceId) =>
+  keyRingService.signToken(
+    { id: userLogin.user, purpose, deviceId },
+    TOKEN_TYPES.MFA,
+    process.env.MFA_CHALLENGE_EXPIRY || "5m"
+  );
+
+const verifyMfaChallenge = async (mfaToken) => {
+  try {
+    const decoded = await keyRingService.verifyToken(mfaToken, TOKEN_TYPES.MFA);
+    if (!["mfa", "mfa_enroll"].includes(decoded.purpose)) {
+      throw new Error("Not an MFA challenge");
+    }
+    return decoded;
+  } catch {
+    throw new apiError(401, "Verification session expired. Please sign in again.");
+  }
+};
+
+// End a device's refresh token family after reuse: its refresh token stops
+// working and the tokenVersion bump invalidates access tokens already issued
+const revokeTokenFamily = async (userLogin, device) => {
+  userLogin.endDeviceSession(device);
+  if (!userLogin.loggedInDevices.some((d) => d.refreshToken)) {
+    userLogin.isLoggedIn = false;
+  }
+  await userLogin.save();
+};
+
+// Find a UserLogin by username (case-insensitive), else by the user's userId or email
+const findUserLoginByLoginId = async (loginId, select = "") => {
+  const userLogin = await UserLogin.findOne({ username: String(loginId).toLowerCase() }).select(select);
+  if (userLogin) return userLogin;
+
+  const user = await User.findOne({
+    $or: [
+      { userId: loginId },
+      { email: loginId }
+    ]
+  });
+
+  return user ? UserLogin.findOne({ user: user._id }).select(select) : null;
+};
+
+// Forgot-password settings: token lifetime and requests allowed per loginId per window
+const RESET_TOKEN_TTL_MINUTES = () => parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES || "30", 10);
+const RESET_REQUEST_LIMIT = () => parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS || "3", 10);
+const RESET_REQUEST_WINDOW_MS = 60 * 60 * 1000;
+
+const hashResetToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Active (unused, unrevoked, unexpired) reset request for a token
+const findActiveReset = async (token) => {
+  if (!token) return null;
+  return PasswordReset.findOne({
+    tokenHash: hashResetToken(token),
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const sendResetMail = (user, token) => {
+  const baseUrl = (process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/$/, "");
+  const link = `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hello ${user.name || ""},`.trim(),
+      "",
+      "A password reset was requested for your account. Open this link to choose a new password:",
+      link,
+      "",
+      `The link expires in ${RESET_TOKEN_TTL_MINUTES()} minutes and can be used once.`,
+      "If you did not request this, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
+// Permissions of the user's atomicRole (what the frontend shows and hides by)
+const getRolePermissions = async (user) => {
+  if (!user?.atomicRoleId) return [];
+  const role = await AtomicRole.findById(user.atomicRoleId);
+  return role?.permissions || [];
+};
+
+// The only User fields people may edit themselves (role, scope and flags stay with admins).
+// Throws 400 with every broken rule; returns the normalized values that were sent.
+export const PROFILE_FIELDS = ["name", "phone_no", "designation"];
+
+export const sanitizeProfileFields = (payload = {}) => {
+  const values = {};
+  const errors = [];
+
+  if (payload.name !== undefined) {
+    const name = String(payload.name ?? "").trim();
+    if (name.length < 2 || name.length > 100) {
+      errors.push({ field: "name", message: "Name must be between 2 and 100 characters" });
+    } else {
+      values.name = name;
+    }
+  }
+  if (payload.phone_no !== undefined) {
+    const phone = String(payload.phone_no ?? "").replace(/[\s-]/g, "");
+    if (phone && !/^\d{10}$/.test(phone)) {
+      errors.push({ field: "phone_no", message: "Phone number must be 10 digits" });
+    } else {
+      values.phone_no = phone ? Number(phone) : null;
+    }
+  }
+  if (payload.designation !== undefined) {
+    const designation = String(payload.designation ?? "").trim();
+    if (designation.length > 100) {
+      errors.push({ field: "designation", message: "Designation must be at most 100 characters" });
+    } else {
+      values.designation = designation || "NA";
+    }
+  }
+
+  if (errors.length) {
+    throw new apiError(400, errors[0].message, errors);
+  }
+  return values;
+};
+
+// Impersonation tokens live at most this long and are never refreshed
+const IMPERSONATION_MAX_MINUTES = () => parseInt(process.env.IMPERSONATION_MAX_MINUTES || "30", 10);
+
+const isSuperAdmin = (user) => user?.role === "super_admin" && !!user.permissions?.includes("*");
+
+// Requests that change state are listed on the impersonation session
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+const MAX_IMPERSONATION_ACTIONS = 500;
+
+// Finish a successful login: reset lock state, issue tokens, build the response
+const issueSession = async (userLogin, deviceId, ipAddress, userAgent) => {
+  // Reset failed attempts on successful login
+  userLogin.failedLoginAttempts = 0;
+  userLogin.lockLevel = 0;
+  userLogin.lockUntil = null;
+  userLogin.lockReason = null;
+  userLogin.lockedAt = null;
+  userLogin.lockedBy = null;
+  userLogin.isLoggedIn = true;
+  userLogin.lastLogin = new Date();
+
+  // Generate tokens
+  const accessToken = userLogin.generateAccessToken(deviceId);
+  const refreshToken = await userLogin.generateRefreshToken(
+    deviceId,
+    ipAddress,
+    userAgent
+  );
+
+  // Fetch user details for response (exclude sensitive fields)
+  const userResponse = await User.findById(userLogin.user).select("-password");
+
+  // Fetch and populate permissions from atomicRole
+  const permissions = await getRolePermissions(userResponse);
+
+  return {
+    success: true,
+    user: userResponse,
+    permissions, // Include permissions in login response
+    accessToken,
+    refreshToken,
+    forcePasswordChange: !!userLogin.forcePasswordChange,
+    deviceId,
+    message: "Login successful",
+  };
+};
+
+// After the first factor (password or single sign-on): hand out an MFA
+// challenge when one is needed, otherwise issue the session
+const continueLogin = async (userLogin, user, deviceId, ipAddress, userAgent) => {
+  // Second step: no tokens until the TOTP/recovery code or a passkey is verified
+  const mfaMethods = [
+    ...(userLogin.mfa?.enabled ? ["totp"] : []),
+    ...(userLogin.getActivePasskeys().length > 0 ? ["webauthn"] : []),
+  ];
+  if (mfaMethods.length > 0) {
+    return {
+      success: true,
+      mfaRequired: true,
+      mfaMethods,
+      mfaToken: signMfaChallenge(userLogin, "mfa", deviceId),
+      deviceId,
+      message: mfaMethods.includes("totp")
+        ? "Enter the code from your authenticator app"
+        : "Confirm the sign-in with your passkey",
+    };
+  }
+
+  if (await mfaService.isRequiredForUser(user)) {
+    return {
+      success: true,
+      mfaEnrollmentRequired: true,
+      mfaToken: signMfaChallenge(userLogin, "mfa_enroll", deviceId),
+      deviceId,
+      message: "Your role requires multi-factor authentication. Set up an authenticator app to continue.",
+    };
+  }
+
+  return issueSession(userLogin, deviceId, ipAddress, userAgent);
+};
+
 // =====================================================
 // LOGIN SERVICE
 // =====================================================
@@ -19,67 +245,49 @@ export const authService = {
    * @param {string} deviceId - Device identifier
    * @param {string} ipAddress - Client IP address
    * @param {string} userAgent - Client user agent
-   * @returns {Promise<Object>} - User data, access token, refresh token, forcePasswordChange flag
+   * @returns {Promise<Object>} - User data, access token, refresh token, forcePasswordChange flag;
+   *   or { mfaRequired | mfaEnrollmentRequired, mfaToken } when a second step is needed
    */
   async login(loginId, password, deviceId, ipAddress = null, userAgent = null) {
     try {
-      // Find UserLogin by username first (case-insensitive)
-      let userLogin = await UserLogin.findOne({ username: loginId.toLowerCase() }).select("+password");
-      
-      // If not found by username, try to find User by userId or email, then get their UserLogin
-      if (!userLogin) {
-        const user = await User.findOne({
-          $or: [
-            { userId: loginId },
-            { email: loginId }
-          ]
-        });
-        
-        if (user) {
-          userLogin = await UserLogin.findOne({ user: user._id }).select("+password");
-        }
-      }
+      await lockoutService.assertNotThrottled({ ipAddress, loginId });
 
+      const userLogin = await findUserLoginByLoginId(loginId, "+password");
+
+      // Unknown loginIds count towards the IP and loginId throttles too
       if (!userLogin) {
+        await lockoutService.recordFailure({ ipAddress, loginId });
         throw new apiError(401, "Invalid login credentials");
       }
 
-      // Check if account is permanently locked
-      if (userLogin.isPermanentlyLocked) {
-        throw new apiError(403, "Account is permanently locked. Contact administrator.");
-      }
+      lockoutService.assertAccountNotLocked(userLogin);
 
-      // Check if account is temporarily locked
-      if (userLogin.lockUntil && new Date() < userLogin.lockUntil) {
-        const remainingTime = Math.ceil(
-          (userLogin.lockUntil - new Date()) / (1000 * 60)
-        );
-        throw new apiError(
-          429,
-          `Account is locked. Try again in ${remainingTime} minutes.`
-        );
+      const user = await User.findById(userLogin.user);
+      if (!user) {
+        throw new apiError(500, "Associated user not found");
       }
 
+      // Users of an organization with directory logins bind to the directory
+      // instead (break-glass accounts and super admins keep the local password)
+      const directory = await ldapService.getDirectoryForUser(user);
+
       // Verify password (convert to string in case it's sent as number)
-      const isPasswordValid = await userLogin.comparePassword(String(password));
+      const directoryEntry = directory
+        ? await ldapService.authenticate(directory, user, userLogin, String(password))
+        : null;
+      const isPasswordValid = directory ? !!directoryEntry : await userLogin.comparePassword(String(password));
       if (!isPasswordValid) {
-        // Increment failed attempts
-        userLogin.failedLoginAttempts = (userLogin.failedLoginAttempts || 0) + 1;
-
-        // Lock account based on failed attempts
-        if (userLogin.failedLoginAttempts >= 5) {
-          userLogin.lockLevel = 1; // Temporary lock (15 minutes)
-          userLogin.lockUntil = new Date(Date.now() + 15 * 60 * 1000);
-        }
-
-        await userLogin.save();
+        await lockoutService.recordFailure({ ipAddress, loginId, userLogin });
         throw new apiError(401, "Invalid login credentials");
       }
+      await lockoutService.recordSuccess(loginId);
 
-      // Fetch user details and enforce login flags
-      const user = await User.findById(userLogin.user);
-      if (!user) {
-        throw new apiError(500, "Associated user not found");
+      // Self-registered accounts cannot log in until they confirm their email and an admin approves them
+      if (user.approvalStatus === "unverified") {
+        throw new apiError(403, "Confirm your email address with the link we sent you first");
+      }
+      if (user.approvalStatus === "pending") {
+        throw new apiError(403, "Your registration is awaiting approval by an administrator");
       }
 
       // Only allow login when canLogin and isActive are true
@@ -87,42 +295,196 @@ export const authService = {
         throw new apiError(403, "User is not allowed to login");
       }
 
-      // Reset failed attempts on successful login
-      userLogin.failedLoginAttempts = 0;
-      userLogin.lockLevel = 0;
-      userLogin.lockUntil = null;
-      userLogin.isLoggedIn = true;
-      userLogin.lastLogin = new Date();
+      // Name, designation, department and role follow the directory
+      if (directoryEntry) {
+        await ldapService.applyDirectoryEntry(user, directoryEntry, directory);
+      }
 
-      // Generate tokens
-      const accessToken = userLogin.generateAccessToken(deviceId);
-      const refreshToken = await userLogin.generateRefreshToken(
-        deviceId,
-        ipAddress,
-        userAgent
+      // Passwords past the organization's maximum age must be changed
+      // (directory passwords are managed by the directory)
+      if (!directory && !userLogin.forcePasswordChange) {
+        const policy = await passwordPolicyService.getPolicyForOrganization(user.organizationId);
+        if (passwordPolicyService.isExpired(userLogin, policy)) {
+          userLogin.forcePasswordChange = true;
+          await userLogin.save();
+        }
+      }
+
+      return await continueLogin(userLogin, user, deviceId, ipAddress, userAgent);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Login for a user already authenticated by an external identity provider
+   * (single sign-on). Lock and login flags apply as for password logins;
+   * the password age does not.
+   * @param {Object} userLogin - UserLogin document of the matched user
+   * @param {string} deviceId - Device identifier
+   * @param {string} ipAddress - Client IP address
+   * @param {string} userAgent - Client user agent
+   * @returns {Promise<Object>} - Same shape as login
+   */
+  async loginWithExternalIdentity(userLogin, deviceId, ipAddress = null, userAgent = null) {
+    try {
+      lockoutService.assertAccountNotLocked(userLogin);
+
+      const user = await User.findById(userLogin.user);
+      if (!user || !user.canLogin || !user.isActive) {
+        throw new apiError(403, "User is not allowed to login");
+      }
+
+      return await continueLogin(userLogin, user, deviceId, ipAddress, userAgent);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Passwordless login with a passkey (discoverable credential with user
+   * verification, so no second step follows). Failures count towards the IP
+   * throttle; lock and login flags apply as for password logins.
+   * @param {Object} credential - PublicKeyCredential from navigator.credentials.get (base64url JSON)
+   * @param {string} deviceId - Device identifier
+   * @param {string} ipAddress - Client IP address
+   * @param {string} userAgent - Client user agent
+   * @returns {Promise<Object>} - Same shape as login
+   */
+  async loginWithPasskey(credential, deviceId, ipAddress = null, userAgent = null) {
+    try {
+      await lockoutService.assertNotThrottled({ ipAddress });
+
+      let verified;
+      try {
+        verified = await webauthnService.verifyAuthentication(credential, { ipAddress, userAgent });
+      } catch (error) {
+        if (error instanceof apiError && error.statusCode === 401) {
+          await lockoutService.recordFailure({ ipAddress });
+        }
+        throw error;
+      }
+
+      const { userLogin } = verified;
+      lockoutService.assertAccountNotLocked(userLogin);
+
+      const user = await User.findById(userLogin.user);
+      if (!user || !user.canLogin || !user.isActive) {
+        throw new apiError(403, "User is not allowed to login");
+      }
+
+      return await issueSession(userLogin, deviceId, ipAddress, userAgent);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Options for a passkey sign-in: passwordless without mfaToken, or the
+   * second step of a login (only that user's passkeys) with it
+   * @param {string} mfaToken - Challenge token from login (optional)
+   * @param {string} deviceId - Device identifier
+   * @returns {Promise<Object>} - PublicKeyCredentialRequestOptions (base64url)
+   */
+  async beginPasskeyLogin(mfaToken = null, deviceId = null) {
+    if (!mfaToken) {
+      return webauthnService.beginAuthentication(null, deviceId);
+    }
+
+    const challenge = await verifyMfaChallenge(mfaToken);
+    if (challenge.purpose !== "mfa") {
+      throw new apiError(400, "Set up multi-factor authentication first");
+    }
+    const userLogin = await UserLogin.findOne({ user: challenge.id });
+    if (!userLogin) {
+      throw new apiError(401, "Verification session expired. Please sign in again.");
+    }
+    return webauthnService.beginAuthentication(userLogin, challenge.deviceId);
+  },
+
+  /**
+   * Start the enrollment required by the user's role, during login
+   * @param {string} mfaToken - Challenge token from login (purpose "mfa_enroll")
+   * @returns {Promise<Object>} - { secret, otpauthUri }
+   */
+  async beginLoginMfaEnrollment(mfaToken) {
+    const challenge = await verifyMfaChallenge(mfaToken);
+    if (challenge.purpose !== "mfa_enroll") {
+      throw new apiError(400, "Multi-factor authentication is already set up");
+    }
+    return mfaService.beginEnrollment(challenge.id);
+  },
+
+  /**
+   * Second login step: verify the TOTP code (or a recovery code, or a passkey) and issue tokens.
+   * For a required enrollment the code confirms the new secret and the
+   * response also carries the recovery codes (shown once).
+   * @param {string} mfaToken - Challenge token from login
+   * @param {Object} factor - { code?, recoveryCode?, webauthn? (PublicKeyCredential JSON) }
+   * @param {string} ipAddress - Client IP address
+   * @param {string} userAgent - Client user agent
+   * @returns {Promise<Object>} - Same shape as login (plus recoveryCodes after enrollment)
+   */
+  async verifyMfaLogin(mfaToken, factor = {}, ipAddress = null, userAgent = null) {
+    try {
+      const challenge = await verifyMfaChallenge(mfaToken);
+
+      const isEnrollment = challenge.purpose === "mfa_enroll";
+
+      const userLogin = await UserLogin.findOne({ user: challenge.id }).select(
+        "+mfa.secret +mfa.recoveryCodes"
       );
+      const hasSecondFactor = !!userLogin?.mfa?.enabled || userLogin?.getActivePasskeys().length > 0;
+      if (!userLogin || hasSecondFactor === isEnrollment) {
+        throw new apiError(401, "Verification session expired. Please sign in again.");
+      }
+      if (factor.webauthn && isEnrollment) {
+        throw new apiError(400, "Set up your authenticator app to continue");
+      }
+
+      lockoutService.assertAccountNotLocked(userLogin);
 
-      // Fetch user details for response (exclude sensitive fields)
-      const userResponse = await User.findById(userLogin.user).select("-password");
+      // Flags may have changed since the password step
+      const user = await User.findById(userLogin.user);
+      if (!user || !user.canLogin || !user.isActive) {
+        throw new apiError(403, "User is not allowed to login");
+      }
 
-      // Fetch and populate permissions from atomicRole
-      let permissions = [];
-      if (userResponse.atomicRoleId) {
-        const role = await AtomicRole.findById(userResponse.atomicRoleId);
-        if (role && role.permissions) {
-          permissions = role.permissions;
+      // Wrong codes count towards the account lockout like wrong passwords
+      let result;
+      try {
+        if (isEnrollment) {
+          result = await mfaService.confirmEnrollment(challenge.id, factor.code);
+        } else if (factor.webauthn) {
+          await webauthnService.verifyAuthentication(factor.webauthn, { userLogin, ipAddress, userAgent });
+          result = { method: "webauthn" };
+        } else {
+          if (!userLogin.mfa?.enabled) {
+            throw new apiError(400, "Use your passkey to continue");
+          }
+          result = mfaService.verifySecondFactor(userLogin, factor);
         }
+      } catch (error) {
+        if (error instanceof apiError && error.statusCode === 401) {
+          await lockoutService.recordFailure({ ipAddress, userLogin });
+        }
+        throw error;
+      }
+
+      if (isEnrollment) {
+        // confirmEnrollment saved its own copy; issue the session from a fresh one
+        const enrolledLogin = await UserLogin.findOne({ user: challenge.id });
+        const session = await issueSession(enrolledLogin, challenge.deviceId, ipAddress, userAgent);
+        return { ...session, recoveryCodes: result.recoveryCodes };
       }
 
+      const session = await issueSession(userLogin, challenge.deviceId, ipAddress, userAgent);
       return {
-        success: true,
-        user: userResponse,
-        permissions, // Include permissions in login response
-        accessToken,
-        refreshToken,
-        forcePasswordChange: !!userLogin.forcePasswordChange,
-        deviceId,
-        message: "Login successful",
+        ...session,
+        ...(result.method === "recovery_code" && { recoveryCodesRemaining: result.recoveryCodesRemaining }),
       };
     } catch (error) {
       if (error instanceof apiError) throw error;
@@ -203,18 +565,33 @@ export const authService = {
   },
 
   /**
-   * Refresh access token using refresh token
+   * Rotate the refresh token and issue a new access token.
+   *
+   * Each device holds one token family (started at login). A refresh replaces
+   * the family's current token; presenting a token that was already rotated
+   * means it was copied, so the whole family is revoked, the device's
+   * tokenVersion is bumped (its access tokens stop working) and a security
+   * event is recorded. The token rotated just before the current one is
+   * refused without revoking during a short grace period, so two tabs
+   * refreshing at the same moment do not sign the device out.
+   *
    * @param {string} refreshToken - Refresh token
-   * @param {string} deviceId - Device ID
+   * @param {string} deviceId - Device ID (optional; must match the token's device when given)
+   * @param {string} ipAddress - Client IP address
+   * @param {string} userAgent - Client user agent
    * @returns {Promise<Object>} - New access token and refresh token
    */
-  async refreshTokens(refreshToken, deviceId) {
+  async refreshTokens(refreshToken, deviceId = null, ipAddress = null, userAgent = null) {
     try {
       // Verify refresh token signature
-      const decoded = jwt.verify(
-        refreshToken,
-        process.env.REFRESH_TOKEN_SECRET || "REFRESH_TOKEN_DEFAULT"
-      );
+      const decoded = await keyRingService.verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+
+      if (!decoded.family || !decoded.jti || !decoded.deviceId) {
+        throw new apiError(401, "Refresh token format is outdated. Please login again.");
+      }
+      if (deviceId && deviceId !== decoded.deviceId) {
+        throw new apiError(401, "Invalid refresh token for this device");
+      }
 
       // Find userLogin by referenced user id (refresh token payload contains user id)
       const userLogin = await UserLogin.findOne({ user: decoded.id });
@@ -222,49 +599,114 @@ export const authService = {
         throw new apiError(404, "User not found");
       }
 
-      // Verify token belongs to the device
-      const isValidToken = userLogin.verifyRefreshTokenForDevice(
-        refreshToken,
-        deviceId
+      const device = userLogin.loggedInDevices.find((d) => d.deviceId === decoded.deviceId);
+      if (!device || device.tokenFamily !== decoded.family) {
+        // Family ended by logout or a newer login
+        throw new apiError(401, "Refresh token is no longer valid. Please login again.");
+      }
+
+      if (device.refreshTokenId !== decoded.jti) {
+        const graceMs = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || "10", 10) * 1000;
+        const isConcurrentRefresh =
+          decoded.jti === device.previousRefreshTokenId &&
+          device.rotatedAt &&
+          Date.now() - device.rotatedAt.getTime() < graceMs;
+        if (isConcurrentRefresh) {
+          throw new apiError(401, "Refresh token was already used");
+        }
+
+        await revokeTokenFamily(userLogin, device);
+        await securityEventService.record({
+          type: "refresh_token_reuse",
+          severity: "critical",
+          user: userLogin.user,
+          deviceId: device.deviceId,
+          ipAddress,
+          userAgent,
+          details: {
+            family: decoded.family,
+            issuedAt: decoded.iat ? new Date(decoded.iat * 1000) : null,
+            deviceIpAddress: device.ipAddress || null,
+          },
+        });
+        throw new apiError(401, "Refresh token reuse detected. This device has been signed out.");
+      }
+
+      // Flags may have changed since the token was issued
+      const user = await User.findById(userLogin.user).select("canLogin isActive");
+      if (!user?.canLogin || !user.isActive) {
+        throw new apiError(403, "User is not allowed to login");
+      }
+
+      // Rotate atomically: only one request can replace a given token
+      const tokenId = uuidv4();
+      const newRefreshToken = userLogin.signRefreshToken(device.deviceId, decoded.family, tokenId);
+      const rotated = await UserLogin.updateOne(
+        {
+          _id: userLogin._id,
+          loggedInDevices: { $elemMatch: { deviceId: device.deviceId, refreshTokenId: decoded.jti } },
+        },
+        {
+          $set: {
+            "loggedInDevices.$.refreshToken": newRefreshToken,
+            "loggedInDevices.$.refreshTokenId": tokenId,
+            "loggedInDevices.$.previousRefreshTokenId": decoded.jti,
+            "loggedInDevices.$.rotatedAt": new Date(),
+            "loggedInDevices.$.lastSeenAt": new Date(),
+            ...(ipAddress && { "loggedInDevices.$.ipAddress": ipAddress }),
+            ...(userAgent && { "loggedInDevices.$.userAgent": userAgent }),
+          },
+        }
       );
-      if (!isValidToken) {
-        throw new apiError(401, "Invalid refresh token for this device");
+      if (rotated.modifiedCount === 0) {
+        throw new apiError(401, "Refresh token was already used");
       }
 
-      // Generate new tokens
-      const newAccessToken = userLogin.generateAccessToken(deviceId);
-      const newRefreshToken = await userLogin.generateRefreshToken(deviceId);
+      await UserLogin.updateOne(
+        { _id: userLogin._id, "refreshTokens.deviceId": device.deviceId },
+        { $set: { "refreshTokens.$.token": newRefreshToken, "refreshTokens.$.createdAt": new Date() } }
+      );
 
       return {
         success: true,
-        accessToken: newAccessToken,
+        accessToken: userLogin.generateAccessToken(device.deviceId),
         refreshToken: newRefreshToken,
+        deviceId: device.deviceId,
         message: "Tokens refreshed successfully",
       };
     } catch (error) {
       if (error.name === "TokenExpiredError") {
         throw new apiError(401, "Refresh token has expired. Please login again.");
       }
+      if (error.name === "JsonWebTokenError") {
+        throw new apiError(401, "Invalid refresh token");
+      }
       if (error instanceof apiError) throw error;
       throw new apiError(500, error.message);
     }
   },
 
   /**
-   * Get all active devices for a user
+   * Revoke refresh token
    * @param {string} userId - User ID from token
-   * @returns {Promise<Array>} - List of active devices
+   * @param {string} token - Token to revoke
+   * @returns {Promise<Boolean>} - Success status
    */
-  async getActiveDevices(userId) {
+  async revokeToken(userId, token) {
     try {
       const userLogin = await UserLogin.findOne({ user: userId });
       if (!userLogin) {
         throw new apiError(404, "User not found");
       }
 
+      const revoked = await userLogin.revokeRefreshToken(token);
+      if (!revoked) {
+        throw new apiError(404, "Token not found");
+      }
+
       return {
         success: true,
-        devices: userLogin.getActiveDevices(),
+        message: "Token revoked successfully",
       };
     } catch (error) {
       if (error instanceof apiError) throw error;
@@ -273,26 +715,45 @@ export const authService = {
   },
 
   /**
-   * Revoke refresh token
-   * @param {string} userId - User ID from token
-   * @param {string} token - Token to revoke
+   * Change password
+   * @param {string} userId - User ID
+   * @param {string} oldPassword - Old password
+   * @param {string} newPassword - New password (must satisfy the organization's password policy)
    * @returns {Promise<Boolean>} - Success status
    */
-  async revokeToken(userId, token) {
+  async changePassword(userId, oldPassword, newPassword) {
     try {
-      const userLogin = await UserLogin.findOne({ user: userId });
+      const userLogin = await UserLogin.findOne({ user: userId }).select(
+        "+password +passwordHistory"
+      );
       if (!userLogin) {
         throw new apiError(404, "User not found");
       }
 
-      const revoked = await userLogin.revokeRefreshToken(token);
-      if (!revoked) {
-        throw new apiError(404, "Token not found");
+      const user = await User.findById(userId).select("userId role organizationId");
+      if (user && (await ldapService.getDirectoryForUser(user))) {
+        throw new apiError(400, "Your password is managed by your organization's directory");
+      }
+
+      // Verify old password (coerce to string to avoid bcrypt type errors)
+      const isPasswordValid = await userLogin.comparePassword(String(oldPassword));
+      if (!isPasswordValid) {
+        throw new apiError(401, "Current password is incorrect");
       }
 
+      // Update password (policy rules and reuse check)
+      await passwordPolicyService.setPassword(userLogin, newPassword);
+      await userLogin.save();
+
+      // Logout from all devices after password change (security)
+      await userLogin.logoutAllDevices();
+      userLogin.isLoggedIn = false;
+      await userLogin.save();
+
       return {
         success: true,
-        message: "Token revoked successfully",
+        message:
+          "Password changed successfully. Please login again with new password.",
       };
     } catch (error) {
       if (error instanceof apiError) throw error;
@@ -301,26 +762,88 @@ export const authService = {
   },
 
   /**
-   * Lock user account
-   * @param {string} userId - User ID to lock
-   * @param {string} reason - Reason for locking
-   * @returns {Promise<Boolean>} - Success status
+   * Forgot password: email a reset link when the loginId matches an account
+   * that can log in and has an email address. The outcome is never revealed
+   * to the caller; only the per-loginId rate limit (429) is visible, and it
+   * applies to unknown loginIds too.
+   * @param {string} loginId - Username, userId or email
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} - Uniform message
    */
-  async lockAccount(userId, reason = "Manual lock by admin") {
+  async requestPasswordReset(loginId, ipAddress = null) {
     try {
-      const userLogin = await UserLogin.findOne({ user: userId });
-      if (!userLogin) {
-        throw new apiError(404, "User not found");
+      const loginKey = String(loginId).trim().toLowerCase();
+      const message = "If an account matches, a password reset link has been sent to its email address.";
+
+      const recent = await PasswordReset.countDocuments({
+        loginKey,
+        createdAt: { $gt: new Date(Date.now() - RESET_REQUEST_WINDOW_MS) },
+      });
+      if (recent >= RESET_REQUEST_LIMIT()) {
+        throw new apiError(429, "Too many reset requests. Please try again later.");
       }
 
-      userLogin.isPermanentlyLocked = true;
-      userLogin.isLoggedIn = false;
-      await userLogin.logoutAllDevices();
-      await userLogin.save();
+      const userLogin = await findUserLoginByLoginId(String(loginId).trim());
+      const user = userLogin
+        ? await User.findById(userLogin.user).select("userId name email role organizationId isActive canLogin")
+        : null;
+
+      // Directory users reset their password in the directory
+      if (
+        !user?.email ||
+        !user.isActive ||
+        !user.canLogin ||
+        userLogin.isPermanentlyLocked ||
+        (await ldapService.getDirectoryForUser(user))
+      ) {
+        await PasswordReset.create({ loginKey, requestedIp: ipAddress });
+        return { success: true, message };
+      }
+
+      // Only the newest link works
+      await PasswordReset.updateMany(
+        { userLogin: userLogin._id, usedAt: null, revokedAt: null, tokenHash: { $ne: null } },
+        { $set: { revokedAt: new Date() } }
+      );
+
+      const token = crypto.randomBytes(32).toString("base64url");
+      await PasswordReset.create({
+        loginKey,
+        userLogin: userLogin._id,
+        tokenHash: hashResetToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES() * 60 * 1000),
+        requestedIp: ipAddress,
+      });
+
+      // Not awaited, so response time does not depend on the account existing
+      sendResetMail(user, token).catch((error) =>
+        console.error("Failed to send password reset mail:", error.message)
+      );
+
+      return { success: true, message };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Check a reset token before showing the form
+   * @param {string} token - Token from the reset link
+   * @returns {Promise<Object>} - { valid: true, policy, expiresAt }
+   */
+  async verifyPasswordResetToken(token) {
+    try {
+      const reset = await findActiveReset(token);
+      const userLogin = reset && (await UserLogin.findById(reset.userLogin));
+      if (!userLogin) {
+        throw new apiError(400, "This reset link is invalid or has expired");
+      }
 
       return {
-        success: true,
-        message: `Account locked. Reason: ${reason}`,
+        valid: true,
+        expiresAt: reset.expiresAt,
+        policy: await passwordPolicyService.getPolicyForUser(userLogin.user),
       };
     } catch (error) {
       if (error instanceof apiError) throw error;
@@ -329,27 +852,53 @@ export const authService = {
   },
 
   /**
-   * Unlock user account
-   * @param {string} userId - User ID to unlock
-   * @returns {Promise<Boolean>} - Success status
+   * Reset the password with a token from the reset mail. The token is
+   * consumed only when the new password is accepted. Clears temporary
+   * lockouts and signs out every device.
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword - New password (organization password policy applies)
+   * @returns {Promise<Object>}
    */
-  async unlockAccount(userId) {
+  async resetPassword(token, newPassword) {
     try {
-      const userLogin = await UserLogin.findOne({ user: userId });
+      const invalid = () => new apiError(400, "This reset link is invalid or has expired");
+
+      const reset = await findActiveReset(token);
+      const userLogin = reset && (await UserLogin.findById(reset.userLogin).select("+password +passwordHistory"));
       if (!userLogin) {
-        throw new apiError(404, "User not found");
+        throw invalid();
+      }
+
+      await passwordPolicyService.setPassword(userLogin, newPassword);
+
+      // Claim the token atomically so two concurrent requests cannot both use it
+      const claimed = await PasswordReset.findOneAndUpdate(
+        { _id: reset._id, usedAt: null, revokedAt: null },
+        { $set: { usedAt: new Date() } }
+      );
+      if (!claimed) {
+        throw invalid();
       }
 
-      userLogin.isPermanentlyLocked = false;
       userLogin.failedLoginAttempts = 0;
       userLogin.lockLevel = 0;
       userLogin.lockUntil = null;
+      if (!userLogin.isPermanentlyLocked) {
+        userLogin.lockReason = null;
+        userLogin.lockedAt = null;
+        userLogin.lockedBy = null;
+      }
+      userLogin.isLoggedIn = false;
       await userLogin.save();
+      await userLogin.logoutAllDevices();
+      await lockoutService.clearLoginThrottles(userLogin);
 
-      return {
-        success: true,
-        message: "Account unlocked successfully",
-      };
+      await PasswordReset.updateMany(
+        { userLogin: userLogin._id, usedAt: null, revokedAt: null, tokenHash: { $ne: null } },
+        { $set: { revokedAt: new Date() } }
+      );
+
+      return { success: true, message: "Password has been reset. Please login with your new password." };
     } catch (error) {
       if (error instanceof apiError) throw error;
       throw new apiError(500, error.message);
@@ -357,40 +906,207 @@ export const authService = {
   },
 
   /**
-   * Change password
-   * @param {string} userId - User ID
-   * @param {string} oldPassword - Old password
-   * @param {string} newPassword - New password
-   * @returns {Promise<Boolean>} - Success status
+   * The authenticated user's own profile
+   * @param {string} userId - User ID (req.user.id)
+   * @returns {Promise<Object>} - User document (same shape as the login response's user)
    */
-  async changePassword(userId, oldPassword, newPassword) {
+  async getProfile(userId) {
     try {
-      const userLogin = await UserLogin.findOne({ user: userId }).select(
-        "+password"
+      const user = await User.findById(userId).select("-password");
+      if (!user) {
+        throw new apiError(404, "User not found");
+      }
+      return user;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Edit the authenticated user's own name, phone number and designation.
+   * Any other field is refused rather than ignored; name and designation of
+   * directory users follow the directory.
+   * @param {string} userId - User ID (req.user.id)
+   * @param {Object} payload - { name?, phone_no?, designation? }
+   * @returns {Promise<Object>} - Updated user document
+   */
+  async updateProfile(userId, payload = {}) {
+    try {
+      const refused = Object.keys(payload).filter((field) => !PROFILE_FIELDS.includes(field));
+      if (refused.length) {
+        throw new apiError(400, `These fields cannot be changed from your profile: ${refused.join(", ")}`);
+      }
+
+      const user = await User.findById(userId).select("-password");
+      if (!user) {
+        throw new apiError(404, "User not found");
+      }
+
+      const values = sanitizeProfileFields(payload);
+      const changesDirectoryFields = ["name", "designation"].some(
+        (field) => values[field] !== undefined && values[field] !== user[field]
       );
-      if (!userLogin) {
+      if (changesDirectoryFields && (await ldapService.getDirectoryForUser(user))) {
+        throw new apiError(400, "Your name and designation are managed by your organization's directory");
+      }
+
+      user.set(values);
+      await user.save();
+      return user;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Start acting as another user (super admin only). The token is an access
+   * token for the target that also names the actor ("act") and the
+   * impersonation session ("imp"); it is bound to the actor's device, expires
+   * with the session and has no refresh token.
+   * @param {Object} actor - Super admin (req.user, permissions populated)
+   * @param {string} targetUserId - User to impersonate
+   * @param {Object} options - { reason, minutes? (capped at IMPERSONATION_MAX_MINUTES) }
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} - { accessToken, user, permissions, impersonation }
+   */
+  async startImpersonation(actor, targetUserId, { reason, minutes } = {}, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      if (!isSuperAdmin(actor) || actor.isServiceAccount) {
+        throw new apiError(403, "Only a super admin can impersonate users");
+      }
+      if (actor.impersonation) {
+        throw new apiError(400, "End the current impersonation first");
+      }
+      if (!actor.deviceId) {
+        throw new apiError(400, "This session has no device; sign in again first");
+      }
+      if (!String(reason || "").trim()) {
+        throw new apiError(400, "A reason is required to impersonate a user");
+      }
+      if (!mongoose.isValidObjectId(targetUserId)) {
+        throw new apiError(400, "Invalid user ID");
+      }
+
+      const target = await User.findById(targetUserId).select("-password");
+      if (!target) {
         throw new apiError(404, "User not found");
       }
+      if (String(target._id) === String(actor._id || actor.id)) {
+        throw new apiError(400, "You cannot impersonate yourself");
+      }
+      if (target.role === "super_admin") {
+        throw new apiError(403, "Super admin accounts cannot be impersonated");
+      }
+      if (target.accountType === "service") {
+        throw new apiError(400, "Service accounts cannot be impersonated");
+      }
+      if (!target.isActive || !target.canLogin || target.isBlocked) {
+        throw new apiError(400, "Only active users who can log in can be impersonated");
+      }
 
-      // Verify old password (coerce to string to avoid bcrypt type errors)
-      const isPasswordValid = await userLogin.comparePassword(String(oldPassword));
-      if (!isPasswordValid) {
-        throw new apiError(401, "Current password is incorrect");
+      const [actorLogin, targetLogin] = await Promise.all([
+        UserLogin.findOne({ user: actor._id || actor.id }),
+        UserLogin.findOne({ user: target._id }).select("username"),
+      ]);
+      const device = actorLogin?.loggedInDevices.find((d) => d.deviceId === actor.deviceId);
+      if (!device?.refreshToken) {
+        throw new apiError(401, "Your session has ended; sign in again");
       }
 
-      // Update password
-      userLogin.password = String(newPassword);
-      await userLogin.save();
+      const maxMinutes = IMPERSONATION_MAX_MINUTES();
+      const duration = Math.min(Math.max(parseInt(minutes, 10) || maxMinutes, 1), maxMinutes);
 
-      // Logout from all devices after password change (security)
-      await userLogin.logoutAllDevices();
-      userLogin.isLoggedIn = false;
-      await userLogin.save();
+      // One impersonation per device at a time
+      await ImpersonationSession.updateMany(
+        { actor: actor._id || actor.id, deviceId: actor.deviceId, endedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { endedAt: new Date(), endReason: "replaced" } }
+      );
+
+      const session = await ImpersonationSession.create({
+        actor: actor._id || actor.id,
+        target: target._id,
+        reason: String(reason).trim(),
+        deviceId: actor.deviceId,
+        ipAddress,
+        userAgent,
+        expiresAt: new Date(Date.now() + duration * 60 * 1000),
+      });
+
+      const accessToken = keyRingService.signToken(
+        {
+          id: target._id,
+          username: targetLogin?.username,
+          deviceId: actor.deviceId,
+          deviceTokenVersion: device.tokenVersion || 0,
+          act: { id: actor._id || actor.id, username: actor.username },
+          imp: String(session._id),
+        },
+        TOKEN_TYPES.ACCESS,
+        `${duration}m`
+      );
+
+      securityEventService.record({
+        user: target._id,
+        type: "impersonation_started",
+        severity: "warning",
+        deviceId: actor.deviceId,
+        ipAddress,
+        userAgent,
+        details: { sessionId: session._id, actor: actor._id || actor.id, reason: session.reason, expiresAt: session.expiresAt },
+      });
 
       return {
-        success: true,
-        message:
-          "Password changed successfully. Please login again with new password.",
+        accessToken,
+        user: target,
+        permissions: await getRolePermissions(target),
+        impersonation: {
+          sessionId: session._id,
+          actor: { _id: actor._id || actor.id, userId: actor.userId, name: actor.name },
+          reason: session.reason,
+          expiresAt: session.expiresAt,
+        },
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Check the impersonation claims of a verified access token (used by verifyJWT)
+   * @param {Object} decoded - Access token payload with "act" and "imp"
+   * @returns {Promise<Object>} - { sessionId, actor: { id, _id, userId, name }, reason, expiresAt }
+   */
+  async resolveImpersonation(decoded) {
+    try {
+      const session = mongoose.isValidObjectId(decoded.imp)
+        ? await ImpersonationSession.findById(decoded.imp).lean()
+        : null;
+      if (
+        !session ||
+        session.endedAt ||
+        session.expiresAt <= new Date() ||
+        String(session.actor) !== String(decoded.act?.id) ||
+        String(session.target) !== String(decoded.id) ||
+        session.deviceId !== decoded.deviceId
+      ) {
+        throw new apiError(401, "Impersonation session has ended");
+      }
+
+      // The actor must still be a super admin who can log in
+      const actor = await User.findById(session.actor).select("userId name role atomicRoleId canLogin isActive isBlocked");
+      const permissions = await getRolePermissions(actor);
+      if (!actor || !actor.canLogin || !actor.isActive || actor.isBlocked || !isSuperAdmin({ role: actor.role, permissions })) {
+        throw new apiError(401, "Impersonation session has ended");
+      }
+
+      return {
+        sessionId: String(session._id),
+        actor: { id: String(actor._id), _id: actor._id, userId: actor.userId, name: actor.name },
+        reason: session.reason,
+        expiresAt: session.expiresAt,
       };
     } catch (error) {
       if (error instanceof apiError) throw error;
@@ -398,6 +1114,102 @@ export const authService = {
     }
   },
 
+  /**
+   * Add a request made with an impersonation token to its session (never throws)
+   * @param {string} sessionId - Impersonation session ID
+   * @param {Object} request - { method, path, statusCode }
+   * @returns {Promise<void>}
+   */
+  async recordImpersonatedRequest(sessionId, { method, path, statusCode }) {
+    try {
+      const update = { $inc: { requestCount: 1 } };
+      if (!READ_ONLY_METHODS.includes(method)) {
+        update.$push = {
+          actions: { $each: [{ method, path, statusCode, at: new Date() }], $slice: -MAX_IMPERSONATION_ACTIONS },
+        };
+      }
+      await ImpersonationSession.updateOne({ _id: sessionId }, update);
+    } catch (error) {
+      console.error(`Failed to record impersonated request ${method} ${path}:`, error.message);
+    }
+  },
+
+  /**
+   * End the impersonation the request is made with
+   * @param {Object} user - req.user of an impersonation token
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>}
+   */
+  async endImpersonation(user, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      if (!user?.impersonation) {
+        throw new apiError(400, "You are not impersonating a user");
+      }
+
+      const session = await ImpersonationSession.findOneAndUpdate(
+        { _id: user.impersonation.sessionId, endedAt: null },
+        { $set: { endedAt: new Date(), endReason: "ended" } },
+        { new: true }
+      );
+
+      if (session) {
+        securityEventService.record({
+          user: session.target,
+          type: "impersonation_ended",
+          severity: "info",
+          deviceId: session.deviceId,
+          ipAddress,
+          userAgent,
+          details: {
+            sessionId: session._id,
+            actor: session.actor,
+            requestCount: session.requestCount,
+            actionCount: session.actions.length,
+          },
+        });
+      }
+
+      return { success: true, message: "Impersonation ended" };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Impersonation sessions, newest first, with the requests made in them (super admin only)
+   * @param {Object} actor - Super admin (req.user, permissions populated)
+   * @param {Object} filter - { userId? (actor or target), limit? }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listImpersonations(actor, { userId, limit } = {}) {
+    try {
+      if (!isSuperAdmin(actor)) {
+        throw new apiError(403, "Only a super admin can view impersonations");
+      }
+      if (userId && !mongoose.isValidObjectId(userId)) {
+        throw new apiError(400, "Invalid user ID");
+      }
+
+      const query = userId ? { $or: [{ actor: userId }, { target: userId }] } : {};
+      const sessions = await ImpersonationSession.find(query)
+        .populate("actor", "userId name")
+        .populate("target", "userId name")
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(limit, 10) || 50, 200))
+        .lean();
+
+      const now = new Date();
+      return sessions.map((session) => ({
+        ...session,
+        status: session.endedAt ? session.endReason : session.expiresAt <= now ? "expired" : "active",
+      }));
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
   /**
    * Validate access token
    * @param {string} token - Access token
@@ -405,10 +1217,7 @@ export const authService = {
    */
   async validateAccessToken(token) {
     try {
-      const decoded = jwt.verify(
-        token,
-        process.env.ACCESS_TOKEN_SECRET || "ACCESS_TOKEN_DEFAULT"
-      );
+      const decoded = await keyRingService.verifyToken(token, TOKEN_TYPES.ACCESS);
       return {
         success: true,
         data: decoded,
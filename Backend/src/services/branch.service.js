@@ -0,0 +1,357 @@
+import mongoose from "mongoose";
+import { Branch } from "../models/branch.model.js";
+import { Organization } from "../models/organization.model.js";
+import { User } from "../models/user.model.js";
+import { Asset } from "../models/asset.model.js";
+import { apiError } from "../utils/apiError.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { checkScopeAccess, buildScopeFilter } from "../utils/permissionUtils.js";
+
+/**
+ * Branch Service - Branches within organizations
+ *
+ * Scope: super admins see every branch, organization admins the branches of
+ * their organization, branch admins only the branches in their own branchId.
+ *
+ * Branches are never hard-deleted. Deactivating a branch deactivates the
+ * users who have no other active branch (marked deactivatedWith "branch",
+ * restored when the branch is reactivated). Assets stay where they are.
+ */
+
+// Fields a client may set on create/update
+const EDITABLE_FIELDS = ["name", "code", "address"];
+
+const pickEditableFields = (payload = {}) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (payload[field] !== undefined) acc[field] = payload[field];
+    return acc;
+  }, {});
+
+const assertObjectId = (id, label = "ID") => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, `Invalid ${label}`);
+  }
+};
+
+const branchScope = (actor, options = {}) =>
+  buildScopeFilter(actor, { branchField: "_id", enterpriseField: "organizationId", ...options });
+
+const findBranchInScope = async (actor, branchId) => {
+  assertObjectId(branchId, "branch ID");
+
+  const branch = await Branch.findById(branchId);
+  if (!branch) {
+    throw new apiError(404, "Branch not found");
+  }
+
+  if (!checkScopeAccess(actor, branch._id, branch.organizationId)) {
+    throw new apiError(403, "Access to this branch is not allowed");
+  }
+
+  return branch;
+};
+
+const findActiveOrganization = async (organizationId) => {
+  const organization = await Organization.findById(organizationId).select("name isActive").lean();
+  if (!organization) {
+    throw new apiError(400, "Organization not found");
+  }
+  if (!organization.isActive) {
+    throw new apiError(400, `Organization "${organization.name}" is inactive`);
+  }
+  return organization;
+};
+
+const assertUniqueCode = async (organizationId, code, excludeId = null) => {
+  if (!code) return;
+  const existing = await Branch.findOne({
+    organizationId,
+    code,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  });
+  if (existing) {
+    throw new apiError(409, `Branch code "${code}" is already used in this organization`);
+  }
+};
+
+// { [branchId]: { total, active } } of users (branchId is an array on User)
+const countUsersByBranch = async (branchIds) => {
+  const rows = await User.aggregate([
+    { $match: { branchId: { $in: branchIds } } },
+    { $unwind: "$branchId" },
+    { $match: { branchId: { $in: branchIds } } },
+    {
+      $group: {
+        _id: "$branchId",
+        total: { $sum: 1 },
+        active: { $sum: { $cond: ["$isActive", 1, 0] } },
+      },
+    },
+  ]);
+
+  return Object.fromEntries(rows.map((row) => [String(row._id), { total: row.total, active: row.active }]));
+};
+
+// { [branchId]: { total, byStatus: { in_stock: n, ... } } } of assets
+const countAssetsByBranch = async (branchIds) => {
+  const rows = await Asset.aggregate([
+    { $match: { branchId: { $in: branchIds } } },
+    { $group: { _id: { branchId: "$branchId", status: "$status" }, count: { $sum: 1 } } },
+  ]);
+
+  return rows.reduce((acc, row) => {
+    const key = String(row._id.branchId);
+    acc[key] = acc[key] || { total: 0, byStatus: {} };
+    acc[key].total += row.count;
+    acc[key].byStatus[row._id.status] = row.count;
+    return acc;
+  }, {});
+};
+
+const withCounts = async (branches) => {
+  const ids = branches.map((branch) => branch._id);
+  const [userCounts, assetCounts] = await Promise.all([countUsersByBranch(ids), countAssetsByBranch(ids)]);
+
+  return branches.map((branch) => ({
+    ...branch,
+    userCount: userCounts[String(branch._id)] || { total: 0, active: 0 },
+    assetCount: assetCounts[String(branch._id)] || { total: 0, byStatus: {} },
+  }));
+};
+
+export const branchService = {
+  /**
+   * List branches within the actor's scope, with user/asset counts
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { page, limit, search, isActive, organizationId }
+   * @returns {Promise<Object>} - { items, meta }
+   */
+  async listBranches(actor, query = {}) {
+    try {
+      const page = Math.max(parseInt(query.page || 1, 10), 1);
+      const limit = Math.max(parseInt(query.limit || 25, 10), 1);
+      const skip = (page - 1) * limit;
+
+      const filter = branchScope(actor);
+
+      if (query.organizationId) {
+        assertObjectId(query.organizationId, "organization ID");
+        if (!checkScopeAccess(actor, null, query.organizationId)) {
+          throw new apiError(403, "Access to this organization is not allowed");
+        }
+        filter.organizationId = query.organizationId;
+      }
+
+      if (query.isActive !== undefined && query.isActive !== "") {
+        filter.isActive = query.isActive === "true";
+      }
+
+      if (query.search) {
+        const pattern = new RegExp(escapeRegex(query.search), "i");
+        filter.$or = [{ name: pattern }, { code: pattern }, { address: pattern }];
+      }
+
+      const [branches, total] = await Promise.all([
+        Branch.find(filter)
+          .populate("organizationId", "name code isActive")
+          .sort({ name: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Branch.countDocuments(filter),
+      ]);
+
+      return { items: await withCounts(branches), meta: { page, limit, total } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Get a single branch with counts
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object>}
+   */
+  async getBranchById(actor, branchId) {
+    try {
+      const branch = await findBranchInScope(actor, branchId);
+
+      const [detail] = await withCounts([
+        await Branch.findById(branch._id)
+          .populate("organizationId", "name code isActive")
+          .populate("createdBy", "userId name")
+          .lean(),
+      ]);
+
+      return detail;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Create a branch in an active organization
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} payload - { name, code?, address?, organizationId? (defaults to the actor's) }
+   * @returns {Promise<Object>}
+   */
+  async createBranch(actor, payload = {}) {
+    try {
+      const data = pickEditableFields(payload);
+      const organizationId = payload.organizationId || actor.organizationId;
+
+      if (!data.name || !String(data.name).trim()) {
+        throw new apiError(400, "Branch name is required");
+      }
+      if (!organizationId) {
+        throw new apiError(400, "organizationId is required");
+      }
+      assertObjectId(organizationId, "organization ID");
+
+      if (!checkScopeAccess(actor, null, organizationId)) {
+        throw new apiError(403, "Cannot create branches in this organization");
+      }
+
+      await findActiveOrganization(organizationId);
+      await assertUniqueCode(organizationId, data.code);
+
+      const branch = await Branch.create({
+        ...data,
+        organizationId,
+        createdBy: actor._id || actor.id,
+      });
+
+      return branch.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Update a branch's details (use deactivate/activate for isActive)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} branchId - Branch ID
+   * @param {Object} payload - { name?, code?, address? }
+   * @returns {Promise<Object>}
+   */
+  async updateBranch(actor, branchId, payload = {}) {
+    try {
+      const branch = await findBranchInScope(actor, branchId);
+      const updates = pickEditableFields(payload);
+
+      if (updates.name !== undefined && !String(updates.name).trim()) {
+        throw new apiError(400, "Branch name cannot be empty");
+      }
+      if (updates.code !== undefined && updates.code !== branch.code) {
+        await assertUniqueCode(branch.organizationId, updates.code, branch._id);
+      }
+
+      Object.assign(branch, updates);
+      await branch.save();
+
+      return branch.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Deactivate a branch and the users left without an active branch
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object>} - { branch, cascade: { users } }
+   */
+  async deactivateBranch(actor, branchId) {
+    try {
+      const branch = await findBranchInScope(actor, branchId);
+      const actorId = actor._id || actor.id;
+
+      if (!branch.isActive) {
+        throw new apiError(400, "Branch is already inactive");
+      }
+
+      branch.isActive = false;
+      branch.deactivatedWith = null;
+      await branch.save();
+
+      // Users whose branches are now all inactive
+      const inactiveBranchIds = await Branch.find({ organizationId: branch.organizationId, isActive: false }).distinct(
+        "_id"
+      );
+
+      const users = await User.updateMany(
+        {
+          branchId: branch._id,
+          isActive: true,
+          role: { $ne: "super_admin" },
+          _id: { $ne: actorId },
+          $expr: { $setIsSubset: ["$branchId", inactiveBranchIds] },
+        },
+        [
+          {
+            $set: {
+              canLoginBeforeDeactivation: "$canLogin",
+              isActive: false,
+              canLogin: false,
+              deactivatedWith: "branch",
+            },
+          },
+        ],
+        { updatePipeline: true }
+      );
+
+      return { branch: branch.toObject(), cascade: { users: users.modifiedCount } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Reactivate a branch and the users its deactivation disabled
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object>} - { branch, cascade: { users } }
+   */
+  async activateBranch(actor, branchId) {
+    try {
+      const branch = await findBranchInScope(actor, branchId);
+
+      if (branch.isActive) {
+        throw new apiError(400, "Branch is already active");
+      }
+      await findActiveOrganization(branch.organizationId);
+
+      branch.isActive = true;
+      branch.deactivatedWith = null;
+      await branch.save();
+
+      const users = await User.updateMany(
+        { branchId: branch._id, deactivatedWith: "branch" },
+        [
+          {
+            $set: {
+              isActive: true,
+              canLogin: { $ifNull: ["$canLoginBeforeDeactivation", false] },
+              deactivatedWith: null,
+              canLoginBeforeDeactivation: null,
+            },
+          },
+        ],
+        { updatePipeline: true }
+      );
+
+      return { branch: branch.toObject(), cascade: { users: users.modifiedCount } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default branchService;
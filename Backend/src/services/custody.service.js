@@ -0,0 +1,286 @@
+import mongoose from "mongoose";
+import { Asset } from "../models/asset.model.js";
+import { AssetCustodyEvent } from "../models/assetCustody.model.js";
+import { User } from "../models/user.model.js";
+import { apiError } from "../utils/apiError.js";
+import {
+  checkScopeAccess,
+  buildScopeFilter,
+  getUserAccessibleBranches,
+  getUserAccessibleEnterprises,
+} from "../utils/permissionUtils.js";
+
+/**
+ * Custody Service - Chain-of-custody ledger for assets
+ * Writes are done by assetService on every hand-over; this service
+ * records events and answers "who held what, when" questions.
+ */
+
+const USER_FIELDS = "userId name email designation";
+const BRANCH_FIELDS = "name code";
+
+const populateEvent = (query) =>
+  query
+    .populate("fromUser", USER_FIELDS)
+    .populate("toUser", USER_FIELDS)
+    .populate("fromBranch", BRANCH_FIELDS)
+    .populate("toBranch", BRANCH_FIELDS)
+    .populate("performedBy", "userId name");
+
+const parseDate = (value, label) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new apiError(400, `Invalid ${label} date`);
+  }
+  return date;
+};
+
+// Restrict custody events to the actor's organization/branches
+const buildEventScopeFilter = (actor) => {
+  const filter = {};
+
+  const enterprises = getUserAccessibleEnterprises(actor);
+  if (!enterprises.includes("*") && enterprises.length > 0) {
+    filter.organizationId = { $in: enterprises };
+  }
+
+  const branches = getUserAccessibleBranches(actor);
+  if (!branches.includes("*") && branches.length > 0) {
+    filter.$or = [
+      { toBranch: { $in: branches } },
+      { fromBranch: { $in: branches } },
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * Turn an ordered list of custody events into holding periods.
+ * Every event closes the open period; events with a toUser open a new one.
+ * @param {Array<Object>} events - Events sorted by occurredAt ascending
+ * @returns {Array<Object>} - [{ holder, branch, from, to, openedBy, closedBy }]
+ */
+const buildCustodyPeriods = (events) => {
+  const periods = [];
+  let open = null;
+
+  events.forEach((event) => {
+    if (open) {
+      open.to = event.occurredAt;
+      open.closedBy = event._id;
+      periods.push(open);
+      open = null;
+    }
+
+    if (event.toUser) {
+      open = {
+        holder: event.toUser,
+        branch: event.toBranch,
+        from: event.occurredAt,
+        to: null,
+        openedBy: event._id,
+        closedBy: null,
+      };
+    }
+  });
+
+  if (open) periods.push(open);
+  return periods;
+};
+
+// Does [from, to] overlap the requested window? (null = open ended)
+const overlaps = (period, windowFrom, windowTo) => {
+  const periodEnd = period.to ? new Date(period.to) : new Date();
+  if (windowFrom && periodEnd < windowFrom) return false;
+  if (windowTo && new Date(period.from) > windowTo) return false;
+  return true;
+};
+
+export const custodyService = {
+  /**
+   * Append a custody event for an asset
+   * @param {Object} asset - Asset document (state before the hand-over is passed via from*)
+   * @param {Object} data - { eventType, fromUser, toUser, fromBranch, toBranch, performedBy, conditionNotes }
+   * @returns {Promise<Object>} - Created event
+   */
+  async recordEvent(asset, data) {
+    try {
+      return await AssetCustodyEvent.create({
+        asset: asset._id,
+        serialNumber: asset.serialNumber,
+        assetTag: asset.assetTag || null,
+        assetName: asset.name,
+        organizationId: asset.organizationId,
+        eventType: data.eventType,
+        fromUser: data.fromUser || null,
+        toUser: data.toUser || null,
+        fromBranch: data.fromBranch || null,
+        toBranch: data.toBranch || null,
+        performedBy: data.performedBy,
+        conditionNotes: data.conditionNotes || "",
+      });
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, `Failed to record custody event: ${error.message}`);
+    }
+  },
+
+  /**
+   * Full chain of custody for one asset
+   * Works for deleted assets too (scope is then checked on the events)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<Object>} - { asset, events, periods }
+   */
+  async getAssetCustody(actor, assetId) {
+    try {
+      if (!mongoose.isValidObjectId(assetId)) {
+        throw new apiError(400, "Invalid asset ID");
+      }
+
+      const asset = await Asset.findById(assetId)
+        .select("name serialNumber assetTag status branchId organizationId assignedTo")
+        .lean();
+
+      const events = await populateEvent(
+        AssetCustodyEvent.find({ asset: assetId }).sort({ occurredAt: 1, _id: 1 })
+      ).lean();
+
+      if (!asset && events.length === 0) {
+        throw new apiError(404, "Asset not found");
+      }
+
+      const inScope = asset
+        ? checkScopeAccess(actor, asset.branchId, asset.organizationId)
+        : checkScopeAccess(actor, null, events[0].organizationId);
+
+      if (!inScope) {
+        throw new apiError(403, "Access to this asset is not allowed");
+      }
+
+      return {
+        asset,
+        events,
+        periods: buildCustodyPeriods(events),
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Find who held assets during a time window
+   * e.g. "who had laptop SN123456 in March" → { serialNumber: "SN123456", from: "2026-03-01", to: "2026-03-31" }
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { serialNumber?, assetTag?, userId?, from?, to? }
+   * @returns {Promise<Array>} - Holding periods with asset identity
+   */
+  async searchCustody(actor, query = {}) {
+    try {
+      const { serialNumber, assetTag, userId } = query;
+      const windowFrom = parseDate(query.from, "from");
+      const windowTo = parseDate(query.to, "to");
+
+      if (!serialNumber && !assetTag && !userId) {
+        throw new apiError(400, "serialNumber, assetTag or userId is required");
+      }
+
+      if (windowFrom && windowTo && windowFrom > windowTo) {
+        throw new apiError(400, "from date must be before to date");
+      }
+
+      if (userId && !mongoose.isValidObjectId(userId)) {
+        throw new apiError(400, "Invalid user ID");
+      }
+
+      // Find the assets involved, then replay their complete history:
+      // a period can start before the window and still overlap it.
+      const matchFilter = buildEventScopeFilter(actor);
+      if (serialNumber) matchFilter.serialNumber = String(serialNumber).trim().toUpperCase();
+      if (assetTag) matchFilter.assetTag = String(assetTag).trim().toUpperCase();
+      if (userId) {
+        const userFilter = { $or: [{ toUser: userId }, { fromUser: userId }] };
+        if (matchFilter.$or) {
+          matchFilter.$and = [{ $or: matchFilter.$or }, userFilter];
+          delete matchFilter.$or;
+        } else {
+          Object.assign(matchFilter, userFilter);
+        }
+      }
+
+      const assetIds = await AssetCustodyEvent.distinct("asset", matchFilter);
+      if (assetIds.length === 0) return [];
+
+      const events = await populateEvent(
+        AssetCustodyEvent.find({ asset: { $in: assetIds } }).sort({ occurredAt: 1, _id: 1 })
+      ).lean();
+
+      const eventsByAsset = events.reduce((acc, event) => {
+        const key = String(event.asset);
+        if (!acc[key]) acc[key] = [];
+        acc[key].push(event);
+        return acc;
+      }, {});
+
+      const results = [];
+      Object.values(eventsByAsset).forEach((assetEvents) => {
+        const { asset, serialNumber: sn, assetTag: tag, assetName } =
+          assetEvents[assetEvents.length - 1];
+
+        buildCustodyPeriods(assetEvents)
+          .filter((period) => overlaps(period, windowFrom, windowTo))
+          .filter((period) => !userId || String(period.holder?._id) === String(userId))
+          .forEach((period) => {
+            results.push({ asset, serialNumber: sn, assetTag: tag, assetName, ...period });
+          });
+      });
+
+      return results.sort((a, b) => new Date(a.from) - new Date(b.from));
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Assets currently held by a user
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { user, items }
+   */
+  async getUserHoldings(actor, userId) {
+    try {
+      if (!mongoose.isValidObjectId(userId)) {
+        throw new apiError(400, "Invalid user ID");
+      }
+
+      const user = await User.findById(userId).select("userId name email organizationId branchId").lean();
+      if (!user) {
+        throw new apiError(404, "User not found");
+      }
+
+      if (!checkScopeAccess(actor, null, user.organizationId)) {
+        throw new apiError(403, "Access to this user is not allowed");
+      }
+
+      const items = await Asset.find({
+        ...buildScopeFilter(actor),
+        assignedTo: userId,
+        status: { $in: ["assigned", "under_repair"] },
+      })
+        .populate("branchId", BRANCH_FIELDS)
+        .sort({ assignedAt: -1 })
+        .lean();
+
+      return { user, items };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default custodyService;
@@ -0,0 +1,375 @@
+import mongoose from "mongoose";
+import {
+  IssueRequest,
+  ISSUE_STATUSES,
+  OPEN_ISSUE_STATUSES,
+} from "../models/issueRequest.model.js";
+import { Asset, ASSET_CATEGORIES } from "../models/asset.model.js";
+import { User } from "../models/user.model.js";
+import { Branch } from "../models/branch.model.js";
+import assetService from "./asset.service.js";
+import { apiError } from "../utils/apiError.js";
+import { checkScopeAccess, buildScopeFilter } from "../utils/permissionUtils.js";
+
+/**
+ * Issue Service - Issue/return workflow for branch stock
+ * Hand-over and return go through assetService so every issue
+ * also lands in the asset custody ledger.
+ */
+
+const assertObjectId = (id, label = "ID") => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, `Invalid ${label}`);
+  }
+};
+
+const populateIssue = (query) =>
+  query
+    .populate("requestedFor", "userId name email designation")
+    .populate("requestedBy", "userId name")
+    .populate("approvedBy", "userId name")
+    .populate("issuedBy", "userId name")
+    .populate("branchId", "name code")
+    .populate("asset", "name serialNumber assetTag category status");
+
+const findIssueInScope = async (actor, issueId) => {
+  assertObjectId(issueId, "issue ID");
+
+  const issue = await IssueRequest.findById(issueId);
+  if (!issue) {
+    throw new apiError(404, "Issue request not found");
+  }
+
+  if (!checkScopeAccess(actor, issue.branchId, issue.organizationId)) {
+    throw new apiError(403, "Access to this issue request is not allowed");
+  }
+
+  return issue;
+};
+
+const assertStatus = (issue, allowed, action) => {
+  if (!allowed.includes(issue.status)) {
+    throw new apiError(400, `Cannot ${action} an issue request with status ${issue.status}`);
+  }
+};
+
+// An asset is issuable when it is in stock, at the request's branch,
+// of the requested category and not reserved by another open request
+const assertAssetIssuable = async (issue, assetId) => {
+  assertObjectId(assetId, "asset ID");
+
+  const asset = await Asset.findById(assetId);
+  if (!asset) {
+    throw new apiError(404, "Asset not found");
+  }
+
+  if (String(asset.branchId) !== String(issue.branchId)) {
+    throw new apiError(400, "Asset is not stocked at the requested branch");
+  }
+
+  if (asset.category !== issue.category) {
+    throw new apiError(400, `Asset category ${asset.category} does not match requested ${issue.category}`);
+  }
+
+  if (asset.status !== "in_stock") {
+    throw new apiError(400, `Asset is not in stock (status: ${asset.status})`);
+  }
+
+  const reserved = await IssueRequest.exists({
+    _id: { $ne: issue._id },
+    asset: asset._id,
+    status: { $in: OPEN_ISSUE_STATUSES },
+  });
+  if (reserved) {
+    throw new apiError(409, "Asset is already reserved by another open issue request");
+  }
+
+  return asset;
+};
+
+export const issueService = {
+  /**
+   * List issue requests within the actor's scope
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { page, limit, status, open, branchId, userId }
+   * @returns {Promise<Object>} - { items, meta }
+   */
+  async listIssues(actor, query = {}) {
+    try {
+      const page = Math.max(parseInt(query.page || 1, 10), 1);
+      const limit = Math.max(parseInt(query.limit || 25, 10), 1);
+      const skip = (page - 1) * limit;
+
+      const filter = buildScopeFilter(actor);
+
+      if (query.status) {
+        if (!ISSUE_STATUSES.includes(query.status)) {
+          throw new apiError(400, `Invalid status. Allowed: ${ISSUE_STATUSES.join(", ")}`);
+        }
+        filter.status = query.status;
+      } else if (query.open === "true") {
+        filter.status = { $in: OPEN_ISSUE_STATUSES };
+      }
+
+      if (query.branchId) {
+        if (!checkScopeAccess(actor, query.branchId, null)) {
+          throw new apiError(403, "Access to this branch is not allowed");
+        }
+        filter.branchId = query.branchId;
+      }
+
+      if (query.userId) filter.requestedFor = query.userId;
+
+      const [items, total] = await Promise.all([
+        populateIssue(IssueRequest.find(filter))
+          .skip(skip)
+          .limit(limit)
+          .sort({ createdAt: -1 })
+          .lean(),
+        IssueRequest.countDocuments(filter),
+      ]);
+
+      return { items, meta: { page, limit, total } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Get a single issue request
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} issueId - Issue request ID
+   * @returns {Promise<Object>}
+   */
+  async getIssueById(actor, issueId) {
+    try {
+      const issue = await findIssueInScope(actor, issueId);
+      return await populateIssue(IssueRequest.findById(issue._id)).lean();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Request an item from branch stock for a user
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} payload - { requestedFor, branchId, category, assetId?, purpose?, expectedReturnDate? }
+   * @returns {Promise<Object>} - Created issue request
+   */
+  async createIssue(actor, payload = {}) {
+    try {
+      const { requestedFor, branchId, category, assetId, purpose, expectedReturnDate } = payload;
+
+      if (!requestedFor || !branchId || !category) {
+        throw new apiError(400, "requestedFor, branchId and category are required");
+      }
+
+      if (!ASSET_CATEGORIES.includes(category)) {
+        throw new apiError(400, `Invalid category. Allowed: ${ASSET_CATEGORIES.join(", ")}`);
+      }
+
+      assertObjectId(requestedFor, "user ID");
+      assertObjectId(branchId, "branch ID");
+
+      const [user, branch] = await Promise.all([
+        User.findById(requestedFor),
+        Branch.findById(branchId),
+      ]);
+
+      if (!user) throw new apiError(404, "User not found");
+      if (!branch || !branch.isActive) throw new apiError(404, "Branch not found");
+
+      if (!user.isActive || user.isBlocked) {
+        throw new apiError(400, `User "${user.name}" is not active`);
+      }
+
+      if (String(user.organizationId) !== String(branch.organizationId)) {
+        throw new apiError(400, "User and branch belong to different organizations");
+      }
+
+      if (!checkScopeAccess(actor, branch._id, branch.organizationId)) {
+        throw new apiError(403, "Access to this branch is not allowed");
+      }
+
+      const issue = new IssueRequest({
+        requestedFor: user._id,
+        requestedBy: actor._id,
+        organizationId: branch.organizationId,
+        branchId: branch._id,
+        category,
+        purpose: purpose || "",
+        expectedReturnDate: expectedReturnDate || null,
+      });
+
+      if (assetId) {
+        const asset = await assertAssetIssuable(issue, assetId);
+        issue.asset = asset._id;
+      }
+
+      await issue.save();
+      return issue;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Approve a pending request
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} issueId - Issue request ID
+   * @param {string} remarks - Optional remarks
+   * @returns {Promise<Object>}
+   */
+  async approveIssue(actor, issueId, remarks = null) {
+    try {
+      const issue = await findIssueInScope(actor, issueId);
+      assertStatus(issue, ["requested"], "approve");
+
+      if (String(issue.requestedBy) === String(actor._id) && !actor.permissions?.includes("*")) {
+        throw new apiError(403, "You cannot approve your own request");
+      }
+
+      if (issue.asset) {
+        await assertAssetIssuable(issue, issue.asset);
+      }
+
+      issue.status = "approved";
+      issue.approvedBy = actor._id;
+      issue.approvedAt = new Date();
+      if (remarks) issue.remarks = remarks;
+      await issue.save();
+
+      return issue;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Reject a pending request
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} issueId - Issue request ID
+   * @param {string} reason - Rejection reason
+   * @returns {Promise<Object>}
+   */
+  async rejectIssue(actor, issueId, reason) {
+    try {
+      const issue = await findIssueInScope(actor, issueId);
+      assertStatus(issue, ["requested"], "reject");
+
+      issue.status = "rejected";
+      issue.approvedBy = actor._id;
+      issue.approvedAt = new Date();
+      issue.rejectionReason = reason;
+      await issue.save();
+
+      return issue;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Hand over an approved request: assigns the asset to the user
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} issueId - Issue request ID
+   * @param {Object} data - { assetId? (required if none was picked), conditionNotes? }
+   * @returns {Promise<Object>}
+   */
+  async handOverIssue(actor, issueId, { assetId = null, conditionNotes = "" } = {}) {
+    try {
+      const issue = await findIssueInScope(actor, issueId);
+      assertStatus(issue, ["approved"], "hand over");
+
+      const chosenAssetId = assetId || issue.asset;
+      if (!chosenAssetId) {
+        throw new apiError(400, "assetId is required to hand over this request");
+      }
+
+      if (issue.asset && assetId && String(issue.asset) !== String(assetId)) {
+        throw new apiError(400, "A different asset was reserved for this request");
+      }
+
+      const asset = await assertAssetIssuable(issue, chosenAssetId);
+      await assetService.assignAsset(actor, asset._id, issue.requestedFor, conditionNotes);
+
+      issue.asset = asset._id;
+      issue.status = "issued";
+      issue.issuedBy = actor._id;
+      issue.issuedAt = new Date();
+      issue.issueCondition = conditionNotes || "";
+      await issue.save();
+
+      return issue;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Record the return of an issued item: puts the asset back in stock
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} issueId - Issue request ID
+   * @param {string} conditionNotes - Condition at return
+   * @returns {Promise<Object>}
+   */
+  async returnIssue(actor, issueId, conditionNotes = "") {
+    try {
+      const issue = await findIssueInScope(actor, issueId);
+      assertStatus(issue, ["issued"], "return");
+
+      const asset = await Asset.findById(issue.asset);
+      // The asset may have been moved on through the asset endpoints meanwhile;
+      // only release it if the issued user still holds it.
+      if (
+        asset &&
+        asset.status === "assigned" &&
+        String(asset.assignedTo) === String(issue.requestedFor)
+      ) {
+        await assetService.returnAsset(actor, asset._id, conditionNotes);
+      }
+
+      issue.status = "returned";
+      issue.returnedTo = actor._id;
+      issue.returnedAt = new Date();
+      issue.returnCondition = conditionNotes || "";
+      await issue.save();
+
+      return issue;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Cancel a request that has not been handed over yet
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} issueId - Issue request ID
+   * @returns {Promise<Object>}
+   */
+  async cancelIssue(actor, issueId) {
+    try {
+      const issue = await findIssueInScope(actor, issueId);
+      assertStatus(issue, ["requested", "approved"], "cancel");
+
+      issue.status = "cancelled";
+      issue.cancelledBy = actor._id;
+      issue.cancelledAt = new Date();
+      await issue.save();
+
+      return issue;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default issueService;
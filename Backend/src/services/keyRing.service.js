@@ -0,0 +1,271 @@
+import crypto from "crypto";
+import { SigningKey } from "../models/signingKey.model.js";
+import { convertExpiryToMs } from "../utils/tokenUtils.js";
+import { signJws, decodeJws, verifyJwsSignature, JwtError, JWS_ALGORITHMS } from "../utils/jws.js";
+
+/**
+ * Key Ring Service - Asymmetric signing keys for the tokens this API issues
+ *
+ * Access, refresh and MFA challenge tokens are signed with the active key of
+ * the ring (RS256 or EdDSA, JWT_SIGNING_ALGORITHM) and carry its kid. Keys
+ * rotate every JWT_KEY_ROTATION_INTERVAL (see keyRotationScheduler): the new
+ * key signs from then on, the previous ones keep verifying the tokens they
+ * signed until the longest token lifetime has passed. The public keys are
+ * published at /.well-known/jwks.json so other services can verify our
+ * tokens offline.
+ *
+ * The ring lives in MongoDB so every API instance signs with the same key;
+ * private keys are encrypted with JWT_KEY_ENCRYPTION_SECRET. Each token type
+ * ("access", "refresh", "mfa") is marked in the token_use claim and only
+ * accepted where that type is expected.
+ */
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+export const TOKEN_TYPES = { ACCESS: "access", REFRESH: "refresh", MFA: "mfa" };
+
+// Used only when NODE_ENV=development and no secret is configured (validateEnv refuses it elsewhere)
+export const DEVELOPMENT_KEY_ENCRYPTION_SECRET = "development-only-jwt-key-encryption-secret";
+
+const ISSUER = () => process.env.JWT_ISSUER || "abcd-backend";
+const ALGORITHM = () => process.env.JWT_SIGNING_ALGORITHM || "RS256";
+const ROTATION_INTERVAL_MS = () => convertExpiryToMs(process.env.JWT_KEY_ROTATION_INTERVAL || "30d");
+// Previous keys verify tokens for as long as the longest-lived token (refresh), plus a margin
+const RETENTION_MS = () => convertExpiryToMs(process.env.REFRESH_TOKEN_EXPIRY || "7d") + 60 * 60 * 1000;
+// Ring changes made by other instances are picked up within this time
+const CACHE_TTL_MS = 60 * 1000;
+// Unknown kids reload the ring at most this often
+const UNKNOWN_KID_RELOAD_MS = 10 * 1000;
+
+let ring = null;
+let lastUnknownKidReload = 0;
+
+const encryptionKey = () =>
+  crypto.scryptSync(
+    process.env.JWT_KEY_ENCRYPTION_SECRET || DEVELOPMENT_KEY_ENCRYPTION_SECRET,
+    "abcd-jwt-key-ring",
+    32
+  );
+
+// AES-256-GCM, stored as "v1.<iv>.<tag>.<ciphertext>" (base64url)
+const encryptPrivateKey = (pem) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(pem, "utf8"), cipher.final()]);
+  return ["v1", iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64url")).join(".");
+};
+
+const decryptPrivateKey = (stored) => {
+  const [version, iv, tag, ciphertext] = stored.split(".");
+  if (version !== "v1") throw new Error(`Unknown private key format ${version}`);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]).toString("utf8");
+};
+
+const generateKey = (algorithm) => {
+  const { publicKey, privateKey } =
+    algorithm === "EdDSA"
+      ? crypto.generateKeyPairSync("ed25519")
+      : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const kid = crypto.randomBytes(12).toString("base64url");
+
+  return {
+    kid,
+    algorithm,
+    publicJwk: { ...publicKey.export({ format: "jwk" }), kid, alg: algorithm, use: "sig" },
+    encryptedPrivateKey: encryptPrivateKey(privateKey.export({ type: "pkcs8", format: "pem" })),
+  };
+};
+
+// Insert a new active key; false when another instance created one first
+const createActiveKey = async () => {
+  try {
+    await SigningKey.create({ ...generateKey(ALGORITHM()), status: "active", activatedAt: new Date() });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const loadRing = async () => {
+  const keys = await SigningKey.find({ status: { $in: ["active", "previous"] } })
+    .select("+encryptedPrivateKey")
+    .lean();
+
+  const byKid = new Map();
+  let active = null;
+  for (const key of keys) {
+    byKid.set(key.kid, {
+      kid: key.kid,
+      alg: key.algorithm,
+      status: key.status,
+      publicJwk: key.publicJwk,
+      publicKey: crypto.createPublicKey({ key: key.publicJwk, format: "jwk" }),
+    });
+    if (key.status === "active") {
+      let privateKey;
+      try {
+        privateKey = crypto.createPrivateKey(decryptPrivateKey(key.encryptedPrivateKey));
+      } catch {
+        throw new Error("JWT_KEY_ENCRYPTION_SECRET cannot decrypt the active signing key");
+      }
+      active = { kid: key.kid, alg: key.algorithm, activatedAt: key.activatedAt, privateKey };
+    }
+  }
+
+  // Until a reload sees the new key, keep signing with the one we had (it still verifies)
+  if (!active && ring?.active && byKid.has(ring.active.kid)) active = ring.active;
+
+  ring = { active, byKid, loadedAt: Date.now() };
+  return ring;
+};
+
+const reloadIfStale = async () => {
+  if (!ring || Date.now() - ring.loadedAt > CACHE_TTL_MS) {
+    await loadRing();
+  }
+  return ring;
+};
+
+// =====================================================
+// KEY RING SERVICE
+// =====================================================
+export const keyRingService = {
+  /**
+   * Load the ring, creating the first key when there is none and rotating
+   * when JWT_SIGNING_ALGORITHM no longer matches the active key. Must run
+   * before any token is signed (server start).
+   * @returns {Promise<Object>} - { kid, alg } of the active key
+   */
+  async initialize() {
+    if (!JWS_ALGORITHMS.includes(ALGORITHM())) {
+      throw new Error(`JWT_SIGNING_ALGORITHM must be one of ${JWS_ALGORITHMS.join(", ")}`);
+    }
+
+    await loadRing();
+    if (!ring.active) {
+      await createActiveKey();
+      await loadRing();
+    } else if (ring.active.alg !== ALGORITHM()) {
+      await this.rotate();
+    }
+
+    if (!ring.active) {
+      throw new Error("No active JWT signing key");
+    }
+    return { kid: ring.active.kid, alg: ring.active.alg };
+  },
+
+  /**
+   * Sign a token with the active key
+   * @param {Object} claims - Token claims (iat, exp, iss and token_use are added)
+   * @param {string} type - One of TOKEN_TYPES
+   * @param {string} expiresIn - Lifetime ("15m", "7d", ...)
+   * @returns {string} - Signed token
+   */
+  signToken(claims, type, expiresIn) {
+    if (!ring?.active) {
+      throw new Error("JWT key ring is not initialized");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      ...claims,
+      token_use: type,
+      iss: ISSUER(),
+      iat: now,
+      exp: now + Math.floor(convertExpiryToMs(expiresIn) / 1000),
+    };
+    return signJws(payload, ring.active);
+  },
+
+  /**
+   * Verify a token of the given type
+   * @param {string} token - Signed token
+   * @param {string} type - Expected TOKEN_TYPES value
+   * @returns {Promise<Object>} - Claims
+   * @throws {JwtError} - name "TokenExpiredError" when expired, "JsonWebTokenError" otherwise
+   */
+  async verifyToken(token, type) {
+    const decoded = decodeJws(token);
+    await reloadIfStale();
+
+    let key = ring.byKid.get(decoded.header.kid);
+    if (!key && decoded.header.kid && Date.now() - lastUnknownKidReload > UNKNOWN_KID_RELOAD_MS) {
+      lastUnknownKidReload = Date.now();
+      await loadRing();
+      key = ring.byKid.get(decoded.header.kid);
+    }
+    if (!key) {
+      throw new JwtError("unknown signing key");
+    }
+
+    const claims = verifyJwsSignature(decoded, { alg: key.alg, publicKey: key.publicKey });
+    if (claims.iss !== ISSUER()) {
+      throw new JwtError("jwt issuer invalid");
+    }
+    if (claims.token_use !== type) {
+      throw new JwtError(`not a ${type} token`);
+    }
+    if (typeof claims.exp !== "number" || claims.exp <= Math.floor(Date.now() / 1000)) {
+      throw new JwtError("jwt expired", "TokenExpiredError");
+    }
+    return claims;
+  },
+
+  /**
+   * Public keys that verify current tokens (active and previous)
+   * @returns {Promise<Object>} - { keys: [JWK] }
+   */
+  async getJwks() {
+    await reloadIfStale();
+    return { keys: [...ring.byKid.values()].map((key) => key.publicJwk) };
+  },
+
+  /**
+   * Replace the active key now (the old one keeps verifying until retired)
+   * @returns {Promise<Object>} - { kid, alg } of the new active key
+   */
+  async rotate() {
+    const current = await SigningKey.findOne({ status: "active" }).select("_id").lean();
+    const claimed =
+      !current ||
+      (await SigningKey.findOneAndUpdate(
+        { _id: current._id, status: "active" },
+        { $set: { status: "previous", rotatedAt: new Date() } }
+      ));
+
+    // Another instance rotated at the same time: use its key
+    if (claimed) await createActiveKey();
+    await loadRing();
+    if (ring.active) console.log(`🔑 JWT signing key rotated (kid ${ring.active.kid}, ${ring.active.alg})`);
+    return ring.active && { kid: ring.active.kid, alg: ring.active.alg };
+  },
+
+  /**
+   * Rotate when the active key is older than JWT_KEY_ROTATION_INTERVAL and
+   * retire previous keys no token can still need
+   * @returns {Promise<Object>} - { rotated, retired }
+   */
+  async rotateIfDue() {
+    const now = Date.now();
+
+    const active = await SigningKey.findOne({ status: "active" }).select("activatedAt").lean();
+    const due = !active || now - new Date(active.activatedAt).getTime() >= ROTATION_INTERVAL_MS();
+    if (due) await this.rotate();
+
+    const retired = await SigningKey.updateMany(
+      { status: "previous", rotatedAt: { $lte: new Date(now - RETENTION_MS()) } },
+      { $set: { status: "retired", retiredAt: new Date(), encryptedPrivateKey: null } }
+    );
+
+    await loadRing();
+    return { rotated: due, retired: retired.modifiedCount };
+  },
+};
+
+export default keyRingService;
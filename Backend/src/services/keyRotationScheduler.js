@@ -0,0 +1,51 @@
+import keyRingService from "./keyRing.service.js";
+
+/**
+ * Key Rotation Scheduler - Rotates JWT signing keys inside the API process
+ *
+ * Every tick the key ring is reloaded (so keys rotated by another instance
+ * are used), the active key is rotated once it is older than
+ * JWT_KEY_ROTATION_INTERVAL and previous keys past the longest token lifetime
+ * are retired (see keyRingService.rotateIfDue).
+ *
+ * Environment:
+ * - JWT_KEY_ROTATION_ENABLED       "false" disables scheduled rotation
+ * - JWT_KEY_ROTATION_CHECK_MS      tick interval (default 3600000)
+ */
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Start the in-process scheduler (no-op if already running or disabled)
+ */
+export const startKeyRotationScheduler = () => {
+  if (timer || process.env.JWT_KEY_ROTATION_ENABLED === "false") return;
+
+  const intervalMs = parseInt(process.env.JWT_KEY_ROTATION_CHECK_MS || "3600000", 10);
+
+  timer = setInterval(async () => {
+    // Skip a tick while the previous one is still running
+    if (ticking) return;
+    ticking = true;
+    try {
+      await keyRingService.rotateIfDue();
+    } catch (error) {
+      console.error("JWT key rotation tick failed:", error.message);
+    } finally {
+      ticking = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  console.log(`🔑 JWT key rotation scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+/**
+ * Stop the in-process scheduler
+ */
+export const stopKeyRotationScheduler = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,476 @@
+import { Organization } from "../models/organization.model.js";
+import { User } from "../models/user.model.js";
+import { UserLogin } from "../models/userLogin.model.js";
+import { AtomicRole } from "../models/atomicRole.model.js";
+import { apiError } from "../utils/apiError.js";
+import { LdapClient, LdapError, LDAP_RESULT, encodeFilter, escapeFilterValue } from "../utils/ldap.js";
+
+/**
+ * LDAP Service - Directory (LDAP / Active Directory) logins per organization
+ *
+ * When an organization's directory is enabled, its users log in by binding to
+ * the directory with their own password: the service account (or an
+ * anonymous search) finds the user's entry with `userFilter`, then the entry
+ * is bound with the password given at login. Local passwords are not accepted
+ * for these users, except for the organization's break-glass accounts (and
+ * super admins), which keep logging in locally so the organization is not
+ * locked out when the directory is down.
+ *
+ * At every directory login, and on each sync, name/designation/department are
+ * copied from the entry and the user's groups are mapped to an AtomicRole
+ * (first matching mapping wins). Syncs run on demand or every
+ * `syncIntervalMinutes` (see ldapSyncScheduler).
+ *
+ * `npm run mock-ldap` starts a local directory for development.
+ */
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+const DEFAULT_USER_FILTER = "(sAMAccountName={{username}})";
+const DEFAULT_ATTRIBUTES = {
+  name: "displayName",
+  designation: "title",
+  department: "department",
+  groups: "memberOf",
+};
+const FILTER_PLACEHOLDERS = ["username", "userId", "email"];
+const MAX_SYNC_INTERVAL_MINUTES = 7 * 24 * 60;
+const TIMEOUT_MS = () => parseInt(process.env.LDAP_TIMEOUT_MS || "10000", 10);
+
+const withDefaults = (ldap = {}) => ({
+  ...ldap,
+  userFilter: ldap.userFilter || DEFAULT_USER_FILTER,
+  attributes: Object.keys(DEFAULT_ATTRIBUTES).reduce((acc, field) => {
+    acc[field] = ldap.attributes?.[field] || DEFAULT_ATTRIBUTES[field];
+    return acc;
+  }, {}),
+  groupRoleMappings: ldap.groupRoleMappings || [],
+  breakGlassUserIds: ldap.breakGlassUserIds || [],
+  syncIntervalMinutes: ldap.syncIntervalMinutes ?? 0,
+});
+
+// Directory settings of an organization, with the service account password; null when disabled
+const getDirectory = async (organizationId) => {
+  if (!organizationId) return null;
+  const organization = await Organization.findById(organizationId).select("+ldap.bindPassword ldap isActive").lean();
+  if (!organization?.isActive || !organization.ldap?.enabled) return null;
+  return { organizationId: organization._id, ...withDefaults(organization.ldap) };
+};
+
+const isBreakGlass = (directory, user) =>
+  user.role === "super_admin" ||
+  directory.breakGlassUserIds.some((userId) => userId.toLowerCase() === String(user.userId).toLowerCase());
+
+const renderFilter = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (_, key) => escapeFilterValue(values[key] ?? ""));
+
+// Connect, run fn(client), always disconnect. Connection problems become 503.
+const withClient = async (directory, fn) => {
+  const client = new LdapClient({
+    url: directory.url,
+    timeoutMs: TIMEOUT_MS(),
+    tlsOptions: { rejectUnauthorized: directory.tlsRejectUnauthorized !== false },
+  });
+
+  try {
+    await client.connect();
+    if (directory.bindDn) {
+      await client.bind(directory.bindDn, directory.bindPassword);
+    }
+    return await fn(client);
+  } catch (error) {
+    if (error instanceof apiError) throw error;
+    if (error instanceof LdapError && error.code === LDAP_RESULT.INVALID_CREDENTIALS) {
+      throw new apiError(503, "Directory service account credentials were rejected");
+    }
+    throw new apiError(503, `Directory server is unavailable: ${error.message}`);
+  } finally {
+    client.close();
+  }
+};
+
+const attributesToRead = (directory) => Object.values(directory.attributes).filter(Boolean);
+
+// The directory entry of a user; null when there is none or the filter is ambiguous
+const findEntry = async (client, directory, user, userLogin) => {
+  const filter = renderFilter(directory.userFilter, {
+    username: userLogin?.username || "",
+    userId: user.userId,
+    email: user.email || "",
+  });
+  const entries = await client.search(directory.searchBase, {
+    filter,
+    attributes: attributesToRead(directory),
+    sizeLimit: 2,
+  });
+
+  if (entries.length > 1) {
+    console.warn(`LDAP filter ${filter} matches more than one entry; refusing to pick one`);
+    return null;
+  }
+  return entries[0] || null;
+};
+
+const firstValue = (entry, attribute) => (attribute ? entry.attributes[attribute.toLowerCase()]?.[0] : undefined);
+
+// "cn=IT Admins,ou=groups,dc=corp" -> "it admins"
+const groupName = (groupDn) => {
+  const [firstRdn] = String(groupDn).split(",");
+  const [, value] = firstRdn.split("=");
+  return (value ?? firstRdn).trim().toLowerCase();
+};
+
+// AtomicRole for the user's groups: first matching mapping, else the default role, else null (keep)
+const resolveMappedRole = async (directory, entry) => {
+  const groups = entry.attributes[directory.attributes.groups.toLowerCase()] || [];
+  const memberships = new Set(groups.flatMap((group) => [String(group).toLowerCase(), groupName(group)]));
+
+  const mapping = directory.groupRoleMappings.find((candidate) => memberships.has(candidate.group.toLowerCase()));
+  const roleName = mapping?.atomicRole || directory.defaultAtomicRole;
+  if (!roleName) return null;
+
+  const role = await AtomicRole.findOne({
+    name: roleName,
+    isActive: true,
+    organizationId: { $in: [directory.organizationId, null] },
+  }).lean();
+
+  // Directory groups never grant super admin
+  if (!role || role.permissions?.includes("*")) {
+    console.warn(`LDAP group mapping to role "${roleName}" skipped (missing, inactive or super admin)`);
+    return null;
+  }
+  return role;
+};
+
+// Atomic roles that may be used in mappings of an organization
+const assertAssignableRoles = async (organizationId, roleNames, errors) => {
+  for (const roleName of new Set(roleNames.filter(Boolean))) {
+    const role = await AtomicRole.findOne({
+      name: roleName,
+      organizationId: { $in: [organizationId, null] },
+    })
+      .select("permissions")
+      .lean();
+    if (!role) {
+      errors.push({ field: "groupRoleMappings", message: `Role "${roleName}" does not exist` });
+    } else if (role.permissions?.includes("*")) {
+      errors.push({ field: "groupRoleMappings", message: `Role "${roleName}" cannot be granted by a directory group` });
+    }
+  }
+};
+
+const toStringList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// =====================================================
+// LDAP SERVICE
+// =====================================================
+export const ldapService = {
+  /**
+   * Directory a user must log in with; null for local logins (no directory,
+   * break-glass account or super admin)
+   * @param {Object} user - User document
+   * @returns {Promise<Object|null>}
+   */
+  async getDirectoryForUser(user) {
+    const directory = await getDirectory(user?.organizationId);
+    if (!directory || isBreakGlass(directory, user)) return null;
+    return directory;
+  },
+
+  /**
+   * Check a user's password by binding as their directory entry
+   * @param {Object} directory - From getDirectoryForUser
+   * @param {Object} user - User document
+   * @param {Object} userLogin - UserLogin document
+   * @param {string} password - Password given at login
+   * @returns {Promise<Object|null>} - Directory entry when the password is right, else null
+   */
+  async authenticate(directory, user, userLogin, password) {
+    return withClient(directory, async (client) => {
+      const entry = await findEntry(client, directory, user, userLogin);
+      if (!entry) return null;
+
+      try {
+        await client.bind(entry.dn, password);
+      } catch (error) {
+        if (error instanceof LdapError && error.code === LDAP_RESULT.INVALID_CREDENTIALS) return null;
+        throw error;
+      }
+      return entry;
+    });
+  },
+
+  /**
+   * Copy directory attributes onto the user and map their groups to an AtomicRole.
+   * Super admins are never changed.
+   * @param {Object} user - User document (saved when changed)
+   * @param {Object} entry - Directory entry
+   * @param {Object} directory - Directory settings
+   * @returns {Promise<boolean>} - Whether the user changed
+   */
+  async applyDirectoryEntry(user, entry, directory) {
+    if (user.role === "super_admin") return false;
+
+    for (const field of ["name", "designation", "department"]) {
+      const value = firstValue(entry, directory.attributes[field]);
+      if (value && value !== user[field]) user[field] = value;
+    }
+
+    const role = await resolveMappedRole(directory, entry);
+    if (role && String(user.atomicRoleId || "") !== String(role._id)) {
+      user.atomicRoleId = role._id;
+      // The role's permissions apply once direct permissions are cleared
+      user.permissions = [];
+      if (User.schema.path("role").enumValues.includes(role.name)) {
+        user.role = role.name;
+      }
+    }
+
+    if (!user.isModified()) return false;
+    await user.save();
+    return true;
+  },
+
+  /**
+   * Directory settings for admins (the service account password is never returned)
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>}
+   */
+  async getSettings(organizationId) {
+    const organization = await Organization.findById(organizationId).select("+ldap.bindPassword ldap").lean();
+    const { bindPassword, lastSyncStartedAt: _lastSyncStartedAt, ...ldap } = withDefaults(organization?.ldap || {});
+    return { enabled: false, tlsRejectUnauthorized: true, ...ldap, hasBindPassword: !!bindPassword };
+  },
+
+  /**
+   * Validate and save directory settings (partial update; an empty bindPassword keeps the current one)
+   * @param {Object} organization - Organization document
+   * @param {Object} payload - Settings from the admin
+   * @returns {Promise<Object>} - Settings as returned by getSettings
+   */
+  async updateSettings(organization, payload = {}) {
+    const current = (await Organization.findById(organization._id).select("+ldap.bindPassword ldap").lean())?.ldap || {};
+    const next = { ...current };
+    const errors = [];
+
+    if (payload.enabled !== undefined) {
+      if (typeof payload.enabled !== "boolean") errors.push({ field: "enabled", message: "enabled must be true or false" });
+      else next.enabled = payload.enabled;
+    }
+    if (payload.tlsRejectUnauthorized !== undefined) {
+      next.tlsRejectUnauthorized = payload.tlsRejectUnauthorized !== false;
+    }
+    for (const field of ["url", "bindDn", "searchBase", "userFilter", "defaultAtomicRole"]) {
+      if (payload[field] !== undefined) next[field] = String(payload[field] ?? "").trim() || undefined;
+    }
+    if (payload.bindPassword) {
+      next.bindPassword = String(payload.bindPassword);
+    } else if (payload.bindPassword === null) {
+      next.bindPassword = undefined;
+    }
+    if (payload.attributes !== undefined) {
+      next.attributes = Object.keys(DEFAULT_ATTRIBUTES).reduce((acc, field) => {
+        const value = String(payload.attributes?.[field] ?? "").trim();
+        if (value) acc[field] = value;
+        return acc;
+      }, {});
+    }
+    if (payload.groupRoleMappings !== undefined) {
+      if (!Array.isArray(payload.groupRoleMappings)) {
+        errors.push({ field: "groupRoleMappings", message: "groupRoleMappings must be a list" });
+      } else {
+        next.groupRoleMappings = payload.groupRoleMappings
+          .map((mapping) => ({
+            group: String(mapping?.group ?? "").trim(),
+            atomicRole: String(mapping?.atomicRole ?? "").trim().toLowerCase(),
+          }))
+          .filter((mapping) => mapping.group || mapping.atomicRole);
+        if (next.groupRoleMappings.some((mapping) => !mapping.group || !mapping.atomicRole)) {
+          errors.push({ field: "groupRoleMappings", message: "Every mapping needs a group and a role" });
+        }
+      }
+    }
+    if (payload.breakGlassUserIds !== undefined) {
+      next.breakGlassUserIds = toStringList(payload.breakGlassUserIds);
+    }
+    if (payload.syncIntervalMinutes !== undefined) {
+      const minutes = Number(payload.syncIntervalMinutes);
+      if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_SYNC_INTERVAL_MINUTES) {
+        errors.push({
+          field: "syncIntervalMinutes",
+          message: `syncIntervalMinutes must be a whole number between 0 and ${MAX_SYNC_INTERVAL_MINUTES}`,
+        });
+      } else {
+        next.syncIntervalMinutes = minutes;
+      }
+    }
+
+    if (next.url && !/^ldaps?:\/\/[^/\s]+/i.test(next.url)) {
+      errors.push({ field: "url", message: "url must start with ldap:// or ldaps://" });
+    }
+    if (next.userFilter) {
+      try {
+        encodeFilter(renderFilter(next.userFilter, { username: "x", userId: "x", email: "x" }));
+        if (!FILTER_PLACEHOLDERS.some((placeholder) => next.userFilter.includes(`{{${placeholder}}}`))) {
+          errors.push({ field: "userFilter", message: "userFilter must contain {{username}}, {{userId}} or {{email}}" });
+        }
+      } catch (error) {
+        errors.push({ field: "userFilter", message: error.message });
+      }
+    }
+    if (next.enabled) {
+      if (!next.url) errors.push({ field: "url", message: "url is required to enable directory logins" });
+      if (!next.searchBase) errors.push({ field: "searchBase", message: "searchBase is required to enable directory logins" });
+      if (next.bindDn && !next.bindPassword) {
+        errors.push({ field: "bindPassword", message: "bindPassword is required with a service account" });
+      }
+      if (organization.registration?.mode && organization.registration.mode !== "disabled") {
+        errors.push({ field: "enabled", message: "Close self-service sign-up before enabling directory logins" });
+      }
+    }
+    await assertAssignableRoles(
+      organization._id,
+      [...(next.groupRoleMappings || []).map((mapping) => mapping.atomicRole), next.defaultAtomicRole],
+      errors
+    );
+
+    if (errors.length) {
+      throw new apiError(400, errors[0].message, errors);
+    }
+
+    await Organization.updateOne({ _id: organization._id }, { $set: { ldap: next } });
+    return this.getSettings(organization._id);
+  },
+
+  /**
+   * Connect with the saved settings and run the user filter for one user
+   * @param {Object} organization - Organization document
+   * @param {string} loginId - Optional username to look up
+   * @returns {Promise<Object>} - { success, message, entry? }
+   */
+  async testConnection(organization, loginId = null) {
+    const organizationDoc = await Organization.findById(organization._id).select("+ldap.bindPassword ldap").lean();
+    if (!organizationDoc?.ldap?.url || !organizationDoc.ldap.searchBase) {
+      throw new apiError(400, "Save the directory URL and search base first");
+    }
+    const directory = { organizationId: organization._id, ...withDefaults(organizationDoc.ldap) };
+
+    return withClient(directory, async (client) => {
+      if (!loginId) {
+        await client.search(directory.searchBase, { scope: "base", filter: "(objectClass=*)", attributes: ["objectClass"] });
+        return { success: true, message: "Connected and searched the directory" };
+      }
+
+      const entry = await findEntry(client, directory, { userId: loginId, email: loginId }, { username: String(loginId).toLowerCase() });
+      return entry
+        ? { success: true, message: `Found ${entry.dn}`, entry }
+        : { success: false, message: `No single entry matches "${loginId}"` };
+    });
+  },
+
+  /**
+   * Sync name/designation/department and roles of an organization's directory users
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} - { matched, updated, notFound, failed }
+   */
+  async syncOrganization(organizationId) {
+    const directory = await getDirectory(organizationId);
+    if (!directory) {
+      throw new apiError(400, "Directory logins are not enabled for this organization");
+    }
+
+    await Organization.updateOne({ _id: organizationId }, { $set: { "ldap.lastSyncStartedAt": new Date() } });
+
+    const result = { matched: 0, updated: 0, notFound: 0, failed: 0 };
+    try {
+      const users = await User.find({ organizationId, isActive: true, role: { $ne: "super_admin" } });
+      const logins = await UserLogin.find({ user: { $in: users.map((user) => user._id) } })
+        .select("user username")
+        .lean();
+      const loginsByUser = new Map(logins.map((login) => [String(login.user), login]));
+
+      await withClient(directory, async (client) => {
+        for (const user of users) {
+          if (isBreakGlass(directory, user)) continue;
+          try {
+            const entry = await findEntry(client, directory, user, loginsByUser.get(String(user._id)));
+            if (!entry) {
+              result.notFound += 1;
+              continue;
+            }
+            result.matched += 1;
+            if (await this.applyDirectoryEntry(user, entry, directory)) result.updated += 1;
+          } catch (error) {
+            if (error instanceof LdapError) throw error;
+            result.failed += 1;
+            console.error(`LDAP sync of user ${user.userId} failed:`, error.message);
+          }
+        }
+      });
+
+      await Organization.updateOne(
+        { _id: organizationId },
+        {
+          $set: {
+            "ldap.lastSyncAt": new Date(),
+            "ldap.lastSyncStatus": "success",
+            "ldap.lastSyncError": null,
+            "ldap.lastSyncResult": result,
+          },
+        }
+      );
+      return result;
+    } catch (error) {
+      await Organization.updateOne(
+        { _id: organizationId },
+        { $set: { "ldap.lastSyncAt": new Date(), "ldap.lastSyncStatus": "failed", "ldap.lastSyncError": error.message } }
+      );
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Sync every organization whose interval has passed. Each organization is
+   * claimed atomically (lastSyncStartedAt) so only one API instance syncs it.
+   * @returns {Promise<number>} - Organizations synced
+   */
+  async runDueSyncs() {
+    const candidates = await Organization.find({
+      isActive: true,
+      "ldap.enabled": true,
+      "ldap.syncIntervalMinutes": { $gt: 0 },
+    })
+      .select("ldap.syncIntervalMinutes ldap.lastSyncStartedAt")
+      .lean();
+
+    let synced = 0;
+    for (const organization of candidates) {
+      const dueBefore = new Date(Date.now() - organization.ldap.syncIntervalMinutes * 60 * 1000);
+      const claimed = await Organization.findOneAndUpdate(
+        {
+          _id: organization._id,
+          $or: [{ "ldap.lastSyncStartedAt": null }, { "ldap.lastSyncStartedAt": { $lte: dueBefore } }],
+        },
+        { $set: { "ldap.lastSyncStartedAt": new Date() } }
+      );
+      if (!claimed) continue;
+
+      try {
+        await this.syncOrganization(organization._id);
+        synced += 1;
+      } catch (error) {
+        console.error(`LDAP sync of organization ${organization._id} failed:`, error.message);
+      }
+    }
+    return synced;
+  },
+};
+
+export default ldapService;
@@ -0,0 +1,50 @@
+import ldapService from "./ldap.service.js";
+
+/**
+ * LDAP Sync Scheduler - Runs due directory syncs inside the API process
+ *
+ * Every tick, organizations with directory logins and a syncIntervalMinutes
+ * above 0 are synced once their interval has passed (see
+ * ldapService.runDueSyncs for how an organization is claimed).
+ *
+ * Environment:
+ * - LDAP_SYNC_ENABLED       "false" disables the scheduler
+ * - LDAP_SYNC_INTERVAL_MS   tick interval (default 300000)
+ */
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Start the in-process scheduler (no-op if already running or disabled)
+ */
+export const startLdapSyncScheduler = () => {
+  if (timer || process.env.LDAP_SYNC_ENABLED === "false") return;
+
+  const intervalMs = parseInt(process.env.LDAP_SYNC_INTERVAL_MS || "300000", 10);
+
+  timer = setInterval(async () => {
+    // Skip a tick while the previous one is still running
+    if (ticking) return;
+    ticking = true;
+    try {
+      await ldapService.runDueSyncs();
+    } catch (error) {
+      console.error("LDAP sync tick failed:", error.message);
+    } finally {
+      ticking = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  console.log(`📒 LDAP sync scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+/**
+ * Stop the in-process scheduler
+ */
+export const stopLdapSyncScheduler = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,405 @@
+import mongoose from "mongoose";
+import { UserLogin } from "../models/userLogin.model.js";
+import { User } from "../models/user.model.js";
+import { LoginThrottle } from "../models/loginThrottle.model.js";
+import { apiError } from "../utils/apiError.js";
+import { convertExpiryToMs } from "../utils/tokenUtils.js";
+import { buildScopeFilter } from "../utils/permissionUtils.js";
+import securityEventService from "./securityEvent.service.js";
+
+/**
+ * Lockout Service - Failed login tracking and account lockout
+ *
+ * Failures are counted in three places:
+ * - per account (UserLogin.failedLoginAttempts), for password and MFA failures;
+ * - per loginId ("login:<id>"), also for loginIds that match no account, so
+ *   the response does not reveal which accounts exist;
+ * - per source IP ("ip:<address>"), with a higher threshold, to slow down
+ *   guessing across many loginIds.
+ *
+ * Each time a counter reaches its threshold the next rung of the lockout
+ * ladder applies (LOCKOUT_LADDER, e.g. "15m,1h,24h,permanent"). A
+ * "permanent" rung locks the account until an admin unlocks it; loginId and
+ * IP keys never lock permanently and stay on the last timed rung instead.
+ * A successful login resets the account's position on the ladder.
+ */
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+const PERMANENT = "permanent";
+
+// Ladder rungs in ms, null = permanent
+const getLadder = () => {
+  const rungs = (process.env.LOCKOUT_LADDER || "15m,1h,24h,permanent")
+    .split(",")
+    .map((rung) => rung.trim().toLowerCase())
+    .filter(Boolean)
+    .map((rung) => (rung === PERMANENT ? null : convertExpiryToMs(rung)));
+  return rungs.length ? rungs : [15 * 60 * 1000];
+};
+
+const ACCOUNT_MAX_ATTEMPTS = () => parseInt(process.env.LOCKOUT_MAX_ATTEMPTS || "5", 10);
+const IP_MAX_ATTEMPTS = () => parseInt(process.env.LOCKOUT_IP_MAX_ATTEMPTS || "20", 10);
+// Failures older than the window no longer count towards a key's threshold
+const FAILURE_WINDOW_MS = () => convertExpiryToMs(process.env.LOCKOUT_FAILURE_WINDOW || "15m");
+
+const loginKey = (loginId) => `login:${String(loginId).trim().toLowerCase()}`;
+const ipKey = (ipAddress) => `ip:${ipAddress}`;
+
+// Same message for account and key locks, so it does not tell them apart
+const tooManyAttempts = (lockUntil) => {
+  const remainingMinutes = Math.max(Math.ceil((new Date(lockUntil) - new Date()) / (1000 * 60)), 1);
+  return new apiError(429, `Too many failed login attempts. Try again in ${remainingMinutes} minutes.`);
+};
+
+// Duration of a key's next lock: keys never lock permanently
+const keyLockDuration = (lockLevel) => {
+  const timed = getLadder().filter((rung) => rung !== null);
+  if (!timed.length) return 24 * 60 * 60 * 1000;
+  return timed[Math.min(lockLevel, timed.length - 1)];
+};
+
+// Filter for a record still at a lock level (records from before lockLevel existed have none)
+const atLockLevel = (lockLevel) => (lockLevel ? lockLevel : { $in: [0, null] });
+
+// Count a failure for a loginId or IP key and lock it at the threshold.
+// Counters change with atomic updates only, so parallel attempts cannot lose
+// increments or slip past the threshold.
+const recordKeyFailure = async (key, kind, maxAttempts, ipAddress) => {
+  const now = new Date();
+
+  // Failures from an expired window no longer count
+  await LoginThrottle.updateOne(
+    { key, windowStartedAt: { $lte: new Date(now.getTime() - FAILURE_WINDOW_MS()) } },
+    { $set: { failures: 0, windowStartedAt: now } }
+  );
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now }, $setOnInsert: { kind, windowStartedAt: now } },
+    { upsert: true, new: true }
+  );
+  if (throttle.failures < maxAttempts) return;
+
+  // Only the attempt that still finds the counter at the threshold locks the key
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { key, lockLevel: atLockLevel(throttle.lockLevel), failures: { $gte: maxAttempts } },
+    {
+      $set: {
+        lockUntil: new Date(now.getTime() + keyLockDuration(throttle.lockLevel)),
+        failures: 0,
+        windowStartedAt: now,
+      },
+      $inc: { lockLevel: 1 },
+    },
+    { new: true }
+  );
+  if (!locked) return;
+
+  securityEventService.record({
+    type: "login_throttled",
+    severity: "warning",
+    ipAddress,
+    details: { key, lockLevel: locked.lockLevel, lockUntil: locked.lockUntil },
+  });
+};
+
+// Count a failure for an account and move it up the ladder at the threshold
+// (atomic like recordKeyFailure)
+const recordAccountFailure = async (userLogin, ipAddress) => {
+  const counted = await UserLogin.findOneAndUpdate(
+    { _id: userLogin._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!counted || counted.failedLoginAttempts < ACCOUNT_MAX_ATTEMPTS()) return;
+
+  const ladder = getLadder();
+  const lockLevel = counted.lockLevel || 0;
+  const rung = ladder[Math.min(lockLevel, ladder.length - 1)];
+  const now = new Date();
+  const lockReason = `${ACCOUNT_MAX_ATTEMPTS()} failed login attempts (lockout level ${lockLevel + 1})`;
+
+  const locked = await UserLogin.findOneAndUpdate(
+    { _id: userLogin._id, lockLevel: atLockLevel(counted.lockLevel), failedLoginAttempts: { $gte: ACCOUNT_MAX_ATTEMPTS() } },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockLevel: lockLevel + 1,
+        lockedAt: now,
+        lockedBy: null,
+        lockReason,
+        lockUntil: rung === null ? null : new Date(now.getTime() + rung),
+        ...(rung === null && { isPermanentlyLocked: true, isLoggedIn: false }),
+      },
+    },
+    { new: true }
+  );
+  if (!locked) return;
+
+  if (rung === null) {
+    await locked.logoutAllDevices();
+  }
+
+  securityEventService.record({
+    user: locked.user,
+    type: "account_locked",
+    severity: rung === null ? "critical" : "warning",
+    ipAddress,
+    details: {
+      reason: lockReason,
+      lockLevel: locked.lockLevel,
+      permanent: rung === null,
+      lockUntil: locked.lockUntil,
+    },
+  });
+};
+
+// Every loginId that reaches this account: username, userId and email
+const loginKeysForUser = async (userLogin) => {
+  const user = await User.findById(userLogin.user).select("userId email").lean();
+  return [userLogin.username, user?.userId, user?.email].filter(Boolean).map(loginKey);
+};
+
+const isSuperAdmin = (actor) => !!actor?.permissions?.includes("*");
+
+// Load a user the actor may lock/unlock; users outside the scope are reported as not found
+const findManageableUser = async (actor, userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new apiError(400, "Invalid user ID");
+  }
+
+  const user = await User.findOne({ _id: userId, ...buildScopeFilter(actor) });
+  if (!user) {
+    throw new apiError(404, "User not found");
+  }
+  if (user.role === "super_admin" && !isSuperAdmin(actor)) {
+    throw new apiError(403, "Super admin accounts can only be managed by a super admin");
+  }
+
+  return user;
+};
+
+// =====================================================
+// LOCKOUT SERVICE
+// =====================================================
+export const lockoutService = {
+  /**
+   * Reject the attempt while the source IP or the loginId is throttled
+   * @param {Object} attempt - { ipAddress?, loginId? }
+   * @returns {Promise<void>}
+   */
+  async assertNotThrottled({ ipAddress = null, loginId = null } = {}) {
+    try {
+      const keys = [ipAddress && ipKey(ipAddress), loginId && loginKey(loginId)].filter(Boolean);
+      if (!keys.length) return;
+
+      const locked = await LoginThrottle.findOne({ key: { $in: keys }, lockUntil: { $gt: new Date() } })
+        .sort({ lockUntil: -1 })
+        .lean();
+      if (locked) {
+        throw tooManyAttempts(locked.lockUntil);
+      }
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Reject the attempt while the account is locked
+   * @param {Object} userLogin - UserLogin document
+   */
+  assertAccountNotLocked(userLogin) {
+    if (userLogin.isPermanentlyLocked) {
+      throw new apiError(403, "Account is permanently locked. Contact administrator.");
+    }
+    if (userLogin.lockUntil && new Date() < userLogin.lockUntil) {
+      throw tooManyAttempts(userLogin.lockUntil);
+    }
+  },
+
+  /**
+   * Record a failed password or MFA attempt
+   * @param {Object} attempt - { ipAddress?, loginId?, userLogin? } (userLogin null when no account matched)
+   * @returns {Promise<void>}
+   */
+  async recordFailure({ ipAddress = null, loginId = null, userLogin = null } = {}) {
+    try {
+      if (ipAddress) {
+        await recordKeyFailure(ipKey(ipAddress), "ip", IP_MAX_ATTEMPTS(), ipAddress);
+      }
+      if (loginId) {
+        await recordKeyFailure(loginKey(loginId), "login", ACCOUNT_MAX_ATTEMPTS(), ipAddress);
+      }
+      if (userLogin) {
+        await recordAccountFailure(userLogin, ipAddress);
+      }
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Forget the failures of a loginId after a successful sign-in (the account's
+   * own counters are reset when the session is issued)
+   * @param {string} loginId - loginId used to sign in
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(loginId) {
+    try {
+      if (loginId) {
+        await LoginThrottle.deleteOne({ key: loginKey(loginId) });
+      }
+    } catch (error) {
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Clear the loginId throttles of an account (username, userId and email)
+   * @param {Object} userLogin - UserLogin document
+   * @returns {Promise<void>}
+   */
+  async clearLoginThrottles(userLogin) {
+    try {
+      await LoginThrottle.deleteMany({ key: { $in: await loginKeysForUser(userLogin) } });
+    } catch (error) {
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Lock an account until an admin unlocks it
+   * @param {Object} actor - Admin performing the lock (req.user)
+   * @param {string} userId - User to lock
+   * @param {string} reason - Reason shown to admins
+   * @returns {Promise<Object>}
+   */
+  async lockAccount(actor, userId, reason = "Manual lock by admin") {
+    try {
+      const user = await findManageableUser(actor, userId);
+      if (String(actor._id || actor.id) === String(user._id)) {
+        throw new apiError(400, "You cannot lock your own account");
+      }
+
+      const userLogin = await UserLogin.findOne({ user: user._id });
+      if (!userLogin) {
+        throw new apiError(404, "User has no login credentials");
+      }
+
+      userLogin.isPermanentlyLocked = true;
+      userLogin.lockUntil = null;
+      userLogin.lockReason = String(reason || "").trim() || "Manual lock by admin";
+      userLogin.lockedAt = new Date();
+      userLogin.lockedBy = actor._id || actor.id;
+      userLogin.isLoggedIn = false;
+      await userLogin.logoutAllDevices();
+      await userLogin.save();
+
+      securityEventService.record({
+        user: user._id,
+        type: "account_locked",
+        severity: "warning",
+        details: { reason: userLogin.lockReason, permanent: true, lockedBy: userLogin.lockedBy },
+      });
+
+      return {
+        success: true,
+        message: `Account locked. Reason: ${userLogin.lockReason}`,
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Unlock an account: clears permanent and temporary locks, the position on
+   * the ladder and the throttles of its loginIds
+   * @param {Object} actor - Admin performing the unlock (req.user)
+   * @param {string} userId - User to unlock
+   * @returns {Promise<Object>}
+   */
+  async unlockAccount(actor, userId) {
+    try {
+      const user = await findManageableUser(actor, userId);
+
+      const userLogin = await UserLogin.findOne({ user: user._id });
+      if (!userLogin) {
+        throw new apiError(404, "User has no login credentials");
+      }
+
+      const previousReason = userLogin.lockReason;
+      userLogin.isPermanentlyLocked = false;
+      userLogin.failedLoginAttempts = 0;
+      userLogin.lockLevel = 0;
+      userLogin.lockUntil = null;
+      userLogin.lockReason = null;
+      userLogin.lockedAt = null;
+      userLogin.lockedBy = null;
+      await userLogin.save();
+      await this.clearLoginThrottles(userLogin);
+
+      securityEventService.record({
+        user: user._id,
+        type: "account_unlocked",
+        severity: "info",
+        details: { previousReason, unlockedBy: actor._id || actor.id },
+      });
+
+      return {
+        success: true,
+        message: "Account unlocked successfully",
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Accounts that are currently locked, within the actor's scope
+   * @param {Object} actor - Admin listing the accounts (req.user)
+   * @returns {Promise<Array<Object>>} - { user, username, permanent, lockUntil, lockLevel, lockReason, lockedAt, lockedBy }
+   */
+  async listLockedAccounts(actor) {
+    try {
+      const lockedLogins = await UserLogin.find({
+        $or: [{ isPermanentlyLocked: true }, { lockUntil: { $gt: new Date() } }],
+      })
+        .populate("lockedBy", "name userId")
+        .sort({ lockedAt: -1 })
+        .lean();
+
+      const userFilter = {
+        _id: { $in: lockedLogins.map((login) => login.user) },
+        ...buildScopeFilter(actor),
+        ...(!isSuperAdmin(actor) && { role: { $ne: "super_admin" } }),
+      };
+      const users = await User.find(userFilter).select("userId name email role organizationId branchId").lean();
+      const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+      return lockedLogins
+        .filter((login) => usersById.has(String(login.user)))
+        .map((login) => ({
+          user: usersById.get(String(login.user)),
+          username: login.username,
+          permanent: !!login.isPermanentlyLocked,
+          lockUntil: login.isPermanentlyLocked ? null : login.lockUntil,
+          lockLevel: login.lockLevel || 0,
+          lockReason: login.lockReason || (login.isPermanentlyLocked ? "Locked" : "Too many failed login attempts"),
+          lockedAt: login.lockedAt,
+          lockedBy: login.lockedBy || null,
+        }));
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default lockoutService;
@@ -0,0 +1,284 @@
+import { UserLogin } from "../models/userLogin.model.js";
+import { User } from "../models/user.model.js";
+import { AtomicRole } from "../models/atomicRole.model.js";
+import { apiError } from "../utils/apiError.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../utils/totp.js";
+
+/**
+ * MFA Service - TOTP multi-factor authentication for user logins
+ *
+ * MFA is optional per user and mandatory for users whose role has
+ * mfaRequired set. Enrollment stores a pending secret that only becomes
+ * active once the user proves their app produces valid codes; at that point
+ * single-use recovery codes are generated and returned once (only their
+ * SHA-256 hashes are stored). The login second step lives in authService.
+ */
+
+const MFA_SECRET_FIELDS = "+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes";
+const RECOVERY_CODE_COUNT = 10;
+
+const getIssuer = () => process.env.MFA_ISSUER || "ABCD";
+
+const findUserLogin = async (userId, select = MFA_SECRET_FIELDS) => {
+  const userLogin = await UserLogin.findOne({ user: userId }).select(select);
+  if (!userLogin) {
+    throw new apiError(404, "Login credentials not found");
+  }
+  return userLogin;
+};
+
+// Issue a fresh set of recovery codes, replacing any previous ones
+const issueRecoveryCodes = (userLogin) => {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  userLogin.mfa.recoveryCodes = codes.map((code) => ({ hash: hashRecoveryCode(code), usedAt: null }));
+  return codes;
+};
+
+const assertValidCode = (userLogin, code) => {
+  const counter = verifyTotp(userLogin.mfa.secret, code, { afterCounter: userLogin.mfa.lastUsedCounter ?? -1 });
+  if (counter === null) {
+    throw new apiError(401, "Invalid verification code");
+  }
+  userLogin.mfa.lastUsedCounter = counter;
+};
+
+export const mfaService = {
+  /**
+   * Whether the user's role makes MFA mandatory
+   * @param {Object} user - User document (needs role)
+   * @returns {Promise<boolean>}
+   */
+  async isRequiredForUser(user) {
+    if (!user?.role) return false;
+    const role = await AtomicRole.findOne({ name: user.role, mfaRequired: true, isActive: true }).select("_id").lean();
+    return !!role;
+  },
+
+  /**
+   * Verify a login second factor (TOTP code or unused recovery code).
+   * Marks the code as used on the document; the caller saves it.
+   * @param {Object} userLogin - UserLogin selected with MFA secret fields
+   * @param {Object} factor - { code?, recoveryCode? }
+   * @returns {Object} - { method: "totp" | "recovery_code", recoveryCodesRemaining }
+   */
+  verifySecondFactor(userLogin, { code, recoveryCode } = {}) {
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const entry = (userLogin.mfa.recoveryCodes || []).find((item) => item.hash === hash && !item.usedAt);
+      if (!entry) {
+        throw new apiError(401, "Invalid or already used recovery code");
+      }
+      entry.usedAt = new Date();
+      return {
+        method: "recovery_code",
+        recoveryCodesRemaining: userLogin.mfa.recoveryCodes.filter((item) => !item.usedAt).length,
+      };
+    }
+
+    if (!code) {
+      throw new apiError(400, "Verification code is required");
+    }
+    assertValidCode(userLogin, code);
+    return {
+      method: "totp",
+      recoveryCodesRemaining: userLogin.mfa.recoveryCodes.filter((item) => !item.usedAt).length,
+    };
+  },
+
+  /**
+   * Current MFA state for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { enabled, enabledAt, required, recoveryCodesRemaining, passkeyCount }
+   */
+  async getStatus(userId) {
+    try {
+      const [userLogin, user] = await Promise.all([findUserLogin(userId), User.findById(userId).select("role")]);
+
+      return {
+        enabled: !!userLogin.mfa?.enabled,
+        enabledAt: userLogin.mfa?.enabledAt || null,
+        required: await this.isRequiredForUser(user),
+        recoveryCodesRemaining: userLogin.mfa?.enabled
+          ? userLogin.mfa.recoveryCodes.filter((item) => !item.usedAt).length
+          : 0,
+        passkeyCount: userLogin.getActivePasskeys().length,
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Start enrollment: create a pending secret and its provisioning URI
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { secret, otpauthUri }
+   */
+  async beginEnrollment(userId) {
+    try {
+      const userLogin = await findUserLogin(userId);
+      if (userLogin.mfa?.enabled) {
+        throw new apiError(400, "Multi-factor authentication is already enabled");
+      }
+
+      const user = await User.findById(userId).select("email userId");
+      const secret = generateTotpSecret();
+      userLogin.mfa.pendingSecret = secret;
+      await userLogin.save();
+
+      return {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: user?.email || userLogin.username,
+          issuer: getIssuer(),
+        }),
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Finish enrollment with a code from the app and generate recovery codes
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} - { recoveryCodes } (shown once)
+   */
+  async confirmEnrollment(userId, code) {
+    try {
+      const userLogin = await findUserLogin(userId);
+      if (userLogin.mfa?.enabled) {
+        throw new apiError(400, "Multi-factor authentication is already enabled");
+      }
+      if (!userLogin.mfa?.pendingSecret) {
+        throw new apiError(400, "Start enrollment first");
+      }
+
+      const counter = verifyTotp(userLogin.mfa.pendingSecret, code);
+      if (counter === null) {
+        throw new apiError(401, "Invalid verification code");
+      }
+
+      userLogin.mfa.secret = userLogin.mfa.pendingSecret;
+      userLogin.mfa.pendingSecret = null;
+      userLogin.mfa.enabled = true;
+      userLogin.mfa.enabledAt = new Date();
+      userLogin.mfa.lastUsedCounter = counter;
+      const recoveryCodes = issueRecoveryCodes(userLogin);
+      await userLogin.save();
+
+      return { recoveryCodes };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Turn MFA off (requires password and a current code; not allowed when the role requires MFA)
+   * @param {string} userId - User ID
+   * @param {Object} payload - { password, code }
+   * @returns {Promise<Object>}
+   */
+  async disable(userId, { password, code } = {}) {
+    try {
+      if (!password || !code) {
+        throw new apiError(400, "Password and verification code are required");
+      }
+
+      const userLogin = await findUserLogin(userId, `+password ${MFA_SECRET_FIELDS}`);
+      if (!userLogin.mfa?.enabled) {
+        throw new apiError(400, "Multi-factor authentication is not enabled");
+      }
+
+      // Passkeys also satisfy a role that requires MFA
+      const user = await User.findById(userId).select("role");
+      if (userLogin.getActivePasskeys().length === 0 && (await this.isRequiredForUser(user))) {
+        throw new apiError(400, "Your role requires multi-factor authentication");
+      }
+
+      if (!(await userLogin.comparePassword(String(password)))) {
+        throw new apiError(401, "Password is incorrect");
+      }
+      assertValidCode(userLogin, code);
+
+      userLogin.mfa = {
+        enabled: false,
+        secret: null,
+        pendingSecret: null,
+        enabledAt: null,
+        lastUsedCounter: -1,
+        recoveryCodes: [],
+      };
+      await userLogin.save();
+
+      return { success: true, message: "Multi-factor authentication disabled" };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Replace the recovery codes (requires a current code)
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} - { recoveryCodes } (shown once)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const userLogin = await findUserLogin(userId);
+      if (!userLogin.mfa?.enabled) {
+        throw new apiError(400, "Multi-factor authentication is not enabled");
+      }
+
+      assertValidCode(userLogin, code);
+      const recoveryCodes = issueRecoveryCodes(userLogin);
+      await userLogin.save();
+
+      return { recoveryCodes };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Admin reset (lost device): clear the user's MFA and passkeys so they
+   * enroll again. Users whose role requires MFA are asked to enroll on their
+   * next login.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async resetForUser(userId) {
+    try {
+      const userLogin = await findUserLogin(userId);
+
+      userLogin.mfa = {
+        enabled: false,
+        secret: null,
+        pendingSecret: null,
+        enabledAt: null,
+        lastUsedCounter: -1,
+        recoveryCodes: [],
+      };
+      userLogin.webauthnCredentials = [];
+      await userLogin.save();
+
+      return { success: true };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default mfaService;
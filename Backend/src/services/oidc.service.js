@@ -0,0 +1,398 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { UserLogin } from "../models/userLogin.model.js";
+import { User } from "../models/user.model.js";
+import { Role } from "../models/role.model.js";
+import { Organization } from "../models/organization.model.js";
+import { OidcAuthRequest } from "../models/oidcAuthRequest.model.js";
+import { apiError } from "../utils/apiError.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import authService from "./auth.service.js";
+import passwordPolicyService from "./passwordPolicy.service.js";
+
+/**
+ * OIDC Service - OpenID Connect single sign-on (authorization code + PKCE)
+ *
+ * 1. startLogin creates a pending request (state, nonce, PKCE verifier) and
+ *    returns the identity provider's authorization URL.
+ * 2. The provider redirects the browser to OIDC_REDIRECT_URI (the frontend),
+ *    which posts { code, state } to completeLogin.
+ * 3. completeLogin exchanges the code, verifies the ID token against the
+ *    provider's JWKS and maps its claims onto a User: an identity linked
+ *    earlier (issuer + sub), else the employee ID claim against User.userId,
+ *    else a verified email against User.email. With OIDC_JIT_ENABLED, an
+ *    unknown identity gets a new user in OIDC_JIT_ORGANIZATION_ID with the
+ *    role marked isDefault.
+ * 4. The normal login continues from there (MFA challenge or tokens).
+ *
+ * Enabled when OIDC_ISSUER and OIDC_CLIENT_ID are set. `npm run mock-idp`
+ * starts a local provider for development.
+ */
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"];
+// Discovery document and JWKS are refetched after this, or when a key id is unknown
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+const getConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || "").replace(/\/$/, ""),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+  redirectUri:
+    process.env.OIDC_REDIRECT_URI ||
+    `${(process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/$/, "")}/auth/oidc/callback`,
+  scopes: process.env.OIDC_SCOPES || "openid profile email",
+  providerName: process.env.OIDC_PROVIDER_NAME || "Single Sign-On",
+  emailClaim: process.env.OIDC_EMAIL_CLAIM || "email",
+  employeeIdClaim: process.env.OIDC_EMPLOYEE_ID_CLAIM || "employee_id",
+  nameClaim: process.env.OIDC_NAME_CLAIM || "name",
+  jitEnabled: process.env.OIDC_JIT_ENABLED === "true",
+  jitOrganizationId: process.env.OIDC_JIT_ORGANIZATION_ID || null,
+});
+
+const isEnabled = () => !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: "application/json", ...options.headers },
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw new apiError(502, `Identity provider is unreachable: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new apiError(502, `Identity provider request failed: ${detail}`);
+  }
+  return body;
+};
+
+const getDiscovery = async () => {
+  const { issuer } = getConfig();
+  if (discoveryCache?.issuer === issuer && Date.now() - discoveryCache.fetchedAt < METADATA_CACHE_MS) {
+    return discoveryCache.document;
+  }
+
+  const document = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (String(document?.issuer || "").replace(/\/$/, "") !== issuer) {
+    throw new apiError(502, "Identity provider returned a different issuer");
+  }
+
+  discoveryCache = { issuer, document, fetchedAt: Date.now() };
+  return document;
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = () =>
+    jwksCache?.keys.find((key) => key.use !== "enc" && (!kid || key.kid === kid));
+
+  const isStale = !jwksCache || jwksCache.uri !== jwksUri || Date.now() - jwksCache.fetchedAt > METADATA_CACHE_MS;
+  if (isStale || !findKey()) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache = { uri: jwksUri, keys, fetchedAt: Date.now() };
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new apiError(401, "Identity provider signing key not found");
+  }
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+const verifyIdToken = async (idToken, discovery, nonce) => {
+  const { clientId } = getConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new apiError(401, "Identity provider returned an invalid ID token");
+  }
+
+  const key = await getSigningKey(discovery.jwks_uri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: discovery.issuer,
+      audience: clientId,
+      clockTolerance: 60,
+    });
+  } catch (error) {
+    throw new apiError(401, `Identity provider returned an invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new apiError(401, "Identity provider returned an ID token for another sign-in");
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new apiError(401, "Identity provider returned an ID token for another client");
+  }
+  return claims;
+};
+
+// Claims may be nested, e.g. OIDC_EMPLOYEE_ID_CLAIM=ext.employeeNumber
+const readClaim = (claims, path) => {
+  const value = path.split(".").reduce((current, key) => current?.[key], claims);
+  return value === undefined || value === null || value === "" ? null : String(value).trim();
+};
+
+// Map the provider's claims onto existing users (employee ID first, then verified email)
+const findUsersForClaims = async ({ employeeId, email, emailVerified }) => {
+  const byEmployeeId = employeeId ? await User.find({ userId: employeeId }) : [];
+  const byEmail =
+    email && emailVerified ? await User.find({ email: new RegExp(`^${escapeRegex(email)}$`, "i") }) : [];
+
+  // The same employee ID in several organizations: the email decides
+  if (byEmployeeId.length > 1 && byEmail.length) {
+    return byEmployeeId.filter((user) => byEmail.some((match) => match._id.equals(user._id)));
+  }
+  return byEmployeeId.length ? byEmployeeId : byEmail;
+};
+
+// Username for a new login: the email or employee ID, made unique with a numeric suffix
+const createUniqueUsername = async (base) => {
+  const baseUsername = String(base).toLowerCase().replace(/[^a-z0-9@._\-]/g, "");
+  let username = baseUsername;
+  let suffix = 0;
+  while (await UserLogin.findOne({ username })) {
+    suffix += 1;
+    username = `${baseUsername}${suffix}`;
+  }
+  return username;
+};
+
+// Just-in-time provisioning: new user with the default role, plus a login
+// with a random local password (they can set one with "forgot password")
+const provisionUser = async (identity, provider, subject) => {
+  const { jitOrganizationId } = getConfig();
+  if (!jitOrganizationId) {
+    throw new apiError(500, "OIDC_JIT_ORGANIZATION_ID is required for automatic account creation");
+  }
+  if (!identity.employeeId && !(identity.email && identity.emailVerified)) {
+    throw new apiError(403, "Your identity provider did not share an employee ID or verified email");
+  }
+
+  const organization = await Organization.findById(jitOrganizationId).select("isActive").lean();
+  if (!organization?.isActive) {
+    throw new apiError(403, "Automatic account creation is not available for this organization");
+  }
+
+  // An organization's own default role wins over the system-wide one
+  const role = await Role.findOne({
+    isDefault: true,
+    isActive: true,
+    isDeleted: false,
+    organizationId: { $in: [organization._id, null] },
+  })
+    .sort({ organizationId: -1 })
+    .lean();
+  if (!role) {
+    throw new apiError(500, "No default role is configured for automatic account creation");
+  }
+
+  const email = identity.emailVerified ? identity.email : null;
+  const user = await User.create({
+    userId: identity.employeeId || email,
+    name: identity.name || email || identity.employeeId,
+    email,
+    role: User.schema.path("role").enumValues.includes(role.name) ? role.name : "user",
+    roleId: role._id,
+    organizationId: organization._id,
+    canLogin: true,
+    isActive: true,
+    remarks: "Created at first single sign-on login",
+  });
+
+  const username = await createUniqueUsername(email || identity.employeeId);
+  const policy = await passwordPolicyService.getPolicyForOrganization(organization._id);
+  let password = passwordPolicyService.generateCompliantPassword(policy);
+  while (passwordPolicyService.validatePassword(password, policy, { username, user }).length) {
+    password = passwordPolicyService.generateCompliantPassword(policy);
+  }
+
+  const userLogin = new UserLogin({
+    user: user._id,
+    username,
+    externalIdentities: [{ provider, subject }],
+  });
+  await passwordPolicyService.setPassword(userLogin, password, { user });
+  await userLogin.save();
+
+  console.log(`👤 Provisioned user ${user.userId} from single sign-on (${provider})`);
+  return userLogin;
+};
+
+// Find (or provision) the login for a verified identity and link the identity to it
+const resolveUserLogin = async (claims, provider) => {
+  const config = getConfig();
+  const subject = String(claims.sub);
+
+  const linked = await UserLogin.findOne({ externalIdentities: { $elemMatch: { provider, subject } } });
+  if (linked) return linked;
+
+  const identity = {
+    employeeId: readClaim(claims, config.employeeIdClaim),
+    email: readClaim(claims, config.emailClaim),
+    // Providers that omit email_verified are trusted to only release verified addresses
+    emailVerified: claims.email_verified !== false && claims.email_verified !== "false",
+    name: readClaim(claims, config.nameClaim),
+  };
+
+  const users = await findUsersForClaims(identity);
+  if (users.length > 1) {
+    throw new apiError(409, "More than one account matches your identity. Contact your administrator.");
+  }
+
+  if (users.length === 0) {
+    if (!config.jitEnabled) {
+      throw new apiError(403, "No account matches your identity. Contact your administrator.");
+    }
+    return provisionUser(identity, provider, subject);
+  }
+
+  const userLogin = await UserLogin.findOne({ user: users[0]._id });
+  if (!userLogin) {
+    throw new apiError(403, "User is not allowed to login");
+  }
+  if (userLogin.externalIdentities?.some((linkedIdentity) => linkedIdentity.provider === provider)) {
+    throw new apiError(409, "This account is linked to a different identity. Contact your administrator.");
+  }
+
+  userLogin.externalIdentities.push({ provider, subject });
+  await userLogin.save();
+  return userLogin;
+};
+
+// =====================================================
+// OIDC SERVICE
+// =====================================================
+export const oidcService = {
+  /**
+   * What the login page needs to offer single sign-on
+   * @returns {Object} - { enabled, providerName }
+   */
+  getPublicConfig() {
+    return { enabled: isEnabled(), providerName: isEnabled() ? getConfig().providerName : null };
+  },
+
+  /**
+   * Start a single sign-on: store state, nonce and PKCE verifier
+   * @param {string} deviceId - Device the session will be issued for
+   * @returns {Promise<Object>} - { authorizationUrl }
+   */
+  async startLogin(deviceId) {
+    try {
+      if (!isEnabled()) {
+        throw new apiError(404, "Single sign-on is not configured");
+      }
+
+      const config = getConfig();
+      const discovery = await getDiscovery();
+
+      const state = crypto.randomBytes(32).toString("base64url");
+      const nonce = crypto.randomBytes(32).toString("base64url");
+      const codeVerifier = crypto.randomBytes(48).toString("base64url");
+      const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+      await OidcAuthRequest.create({ state, nonce, codeVerifier, deviceId });
+
+      const url = new URL(discovery.authorization_endpoint);
+      url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        scope: config.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+      }).toString();
+
+      return { authorizationUrl: url.toString() };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Finish a single sign-on: exchange the code, verify the ID token, map the
+   * claims onto a user and continue the normal login
+   * @param {string} code - Authorization code from the callback
+   * @param {string} state - State from the callback
+   * @param {string} ipAddress - Client IP address
+   * @param {string} userAgent - Client user agent
+   * @returns {Promise<Object>} - Same shape as authService.login
+   */
+  async completeLogin(code, state, ipAddress = null, userAgent = null) {
+    try {
+      if (!isEnabled()) {
+        throw new apiError(404, "Single sign-on is not configured");
+      }
+
+      // Single use: a replayed callback finds nothing
+      const request = await OidcAuthRequest.findOneAndDelete({
+        state: String(state),
+        createdAt: { $gt: new Date(Date.now() - REQUEST_TTL_MS) },
+      });
+      if (!request) {
+        throw new apiError(400, "Sign-in request expired or is invalid. Please try again.");
+      }
+
+      const config = getConfig();
+      const discovery = await getDiscovery();
+
+      const tokens = await fetchJson(discovery.token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          grant_type: "authorization_code",
+          code: String(code),
+          redirect_uri: config.redirectUri,
+          client_id: config.clientId,
+          code_verifier: request.codeVerifier,
+          ...(config.clientSecret && { client_secret: config.clientSecret }),
+        }),
+      });
+      if (!tokens?.id_token) {
+        throw new apiError(502, "Identity provider did not return an ID token");
+      }
+
+      let claims = await verifyIdToken(tokens.id_token, discovery, request.nonce);
+
+      // Some providers only put profile claims in the userinfo response
+      if (tokens.access_token && discovery.userinfo_endpoint) {
+        const userInfo = await fetchJson(discovery.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+        }).catch(() => null);
+        if (userInfo?.sub === claims.sub) {
+          claims = { ...userInfo, ...claims };
+        }
+      }
+
+      const userLogin = await resolveUserLogin(claims, discovery.issuer);
+
+      const identity = userLogin.externalIdentities.find((linked) => linked.provider === discovery.issuer);
+      if (identity) identity.lastLoginAt = new Date();
+      await userLogin.save();
+
+      return await authService.loginWithExternalIdentity(userLogin, request.deviceId, ipAddress, userAgent);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default oidcService;
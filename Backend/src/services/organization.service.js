@@ -0,0 +1,472 @@
+import mongoose from "mongoose";
+import { Organization } from "../models/organization.model.js";
+import { Branch } from "../models/branch.model.js";
+import { User } from "../models/user.model.js";
+import { apiError } from "../utils/apiError.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { getUserAccessibleEnterprises } from "../utils/permissionUtils.js";
+import passwordPolicyService from "./passwordPolicy.service.js";
+import ldapService from "./ldap.service.js";
+import registrationService from "./registration.service.js";
+
+/**
+ * Organization Service - Organizations (enterprises) and their lifecycle
+ *
+ * Organizations are never hard-deleted. Deactivating one deactivates its
+ * active branches and users (users also lose canLogin, which ends their
+ * sessions); each cascaded record is marked with deactivatedWith
+ * "organization" so reactivating the organization restores exactly those
+ * records. Super admins are never touched by the cascade.
+ */
+
+// Fields a client may set on create/update
+const EDITABLE_FIELDS = ["name", "code", "address", "contactEmail", "contactPhone"];
+
+const pickEditableFields = (payload = {}) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (payload[field] !== undefined) acc[field] = payload[field];
+    return acc;
+  }, {});
+
+const assertObjectId = (id, label = "ID") => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, `Invalid ${label}`);
+  }
+};
+
+// Organizations the actor may see (super admin: all; everyone else: their own)
+const buildOrganizationScope = (actor) => {
+  const enterprises = getUserAccessibleEnterprises(actor);
+  if (enterprises.includes("*")) return {};
+  return { _id: { $in: enterprises.map((id) => new mongoose.Types.ObjectId(id)) } };
+};
+
+const findOrganizationInScope = async (actor, organizationId) => {
+  assertObjectId(organizationId, "organization ID");
+
+  const organization = await Organization.findOne({
+    _id: organizationId,
+    ...buildOrganizationScope(actor),
+  });
+  if (!organization) {
+    throw new apiError(404, "Organization not found");
+  }
+
+  return organization;
+};
+
+// { [organizationId]: { total, active } } for branches and users
+const countByOrganization = async (model, organizationIds) => {
+  const rows = await model.aggregate([
+    { $match: { organizationId: { $in: organizationIds } } },
+    {
+      $group: {
+        _id: "$organizationId",
+        total: { $sum: 1 },
+        active: { $sum: { $cond: ["$isActive", 1, 0] } },
+      },
+    },
+  ]);
+
+  return Object.fromEntries(rows.map((row) => [String(row._id), { total: row.total, active: row.active }]));
+};
+
+const withCounts = async (organizations) => {
+  const ids = organizations.map((organization) => organization._id);
+  const [branchCounts, userCounts] = await Promise.all([
+    countByOrganization(Branch, ids),
+    countByOrganization(User, ids),
+  ]);
+
+  const empty = { total: 0, active: 0 };
+  return organizations.map((organization) => ({
+    ...organization,
+    branchCount: branchCounts[String(organization._id)] || empty,
+    userCount: userCounts[String(organization._id)] || empty,
+  }));
+};
+
+const assertUniqueCode = async (code, excludeId = null) => {
+  if (!code) return;
+  const existing = await Organization.findOne({ code, ...(excludeId && { _id: { $ne: excludeId } }) });
+  if (existing) {
+    throw new apiError(409, `Organization code "${code}" is already in use`);
+  }
+};
+
+export const organizationService = {
+  /**
+   * List organizations visible to the actor, with branch/user counts
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { page, limit, search, isActive }
+   * @returns {Promise<Object>} - { items, meta }
+   */
+  async listOrganizations(actor, query = {}) {
+    try {
+      const page = Math.max(parseInt(query.page || 1, 10), 1);
+      const limit = Math.max(parseInt(query.limit || 25, 10), 1);
+      const skip = (page - 1) * limit;
+
+      const filter = buildOrganizationScope(actor);
+
+      if (query.isActive !== undefined && query.isActive !== "") {
+        filter.isActive = query.isActive === "true";
+      }
+
+      if (query.search) {
+        const pattern = new RegExp(escapeRegex(query.search), "i");
+        filter.$or = [{ name: pattern }, { code: pattern }, { contactEmail: pattern }];
+      }
+
+      const [organizations, total] = await Promise.all([
+        Organization.find(filter).sort({ name: 1 }).skip(skip).limit(limit).lean(),
+        Organization.countDocuments(filter),
+      ]);
+
+      return { items: await withCounts(organizations), meta: { page, limit, total } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Get an organization with counts and its branches
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>}
+   */
+  async getOrganizationById(actor, organizationId) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+
+      const [detail] = await withCounts([
+        await Organization.findById(organization._id)
+          .populate("createdBy", "userId name")
+          .populate("deactivatedBy", "userId name")
+          .lean(),
+      ]);
+
+      detail.branches = await Branch.find({ organizationId: organization._id })
+        .select("name code address isActive")
+        .sort({ name: 1 })
+        .lean();
+
+      return detail;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Create an organization
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} payload - { name, code?, address?, contactEmail?, contactPhone? }
+   * @returns {Promise<Object>}
+   */
+  async createOrganization(actor, payload = {}) {
+    try {
+      const data = pickEditableFields(payload);
+      if (!data.name || !String(data.name).trim()) {
+        throw new apiError(400, "Organization name is required");
+      }
+
+      await assertUniqueCode(data.code);
+
+      const organization = await Organization.create({
+        ...data,
+        createdBy: actor._id || actor.id,
+      });
+
+      return organization.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Update an organization's details (use deactivate/activate for isActive)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @param {Object} payload - { name?, code?, address?, contactEmail?, contactPhone? }
+   * @returns {Promise<Object>}
+   */
+  async updateOrganization(actor, organizationId, payload = {}) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      const updates = pickEditableFields(payload);
+
+      if (updates.name !== undefined && !String(updates.name).trim()) {
+        throw new apiError(400, "Organization name cannot be empty");
+      }
+      if (updates.code !== undefined && updates.code !== organization.code) {
+        await assertUniqueCode(updates.code, organization._id);
+      }
+
+      Object.assign(organization, updates);
+      await organization.save();
+
+      return organization.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Deactivate an organization, its active branches and users
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @param {Object} payload - { reason? }
+   * @returns {Promise<Object>} - { organization, cascade: { branches, users } }
+   */
+  async deactivateOrganization(actor, organizationId, payload = {}) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      const actorId = actor._id || actor.id;
+
+      if (!organization.isActive) {
+        throw new apiError(400, "Organization is already inactive");
+      }
+      if (String(actor.organizationId || "") === String(organization._id) && !actor.permissions?.includes("*")) {
+        throw new apiError(400, "You cannot deactivate your own organization");
+      }
+
+      organization.isActive = false;
+      organization.deactivatedAt = new Date();
+      organization.deactivatedBy = actorId;
+      organization.deactivationReason = payload.reason || null;
+      await organization.save();
+
+      const [branches, users] = await Promise.all([
+        Branch.updateMany(
+          { organizationId: organization._id, isActive: true },
+          { $set: { isActive: false, deactivatedWith: "organization" } }
+        ),
+        // Pipeline update keeps each user's own canLogin for reactivation
+        User.updateMany(
+          {
+            organizationId: organization._id,
+            isActive: true,
+            role: { $ne: "super_admin" },
+            _id: { $ne: actorId },
+          },
+          [
+            {
+              $set: {
+                canLoginBeforeDeactivation: "$canLogin",
+                isActive: false,
+                canLogin: false,
+                deactivatedWith: "organization",
+              },
+            },
+          ],
+          { updatePipeline: true }
+        ),
+      ]);
+
+      return {
+        organization: organization.toObject(),
+        cascade: { branches: branches.modifiedCount, users: users.modifiedCount },
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Reactivate an organization and the branches/users its deactivation disabled
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} - { organization, cascade: { branches, users } }
+   */
+  async activateOrganization(actor, organizationId) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+
+      if (organization.isActive) {
+        throw new apiError(400, "Organization is already active");
+      }
+
+      organization.isActive = true;
+      organization.deactivatedAt = null;
+      organization.deactivatedBy = null;
+      organization.deactivationReason = null;
+      await organization.save();
+
+      const [branches, users] = await Promise.all([
+        Branch.updateMany(
+          { organizationId: organization._id, deactivatedWith: "organization" },
+          { $set: { isActive: true, deactivatedWith: null } }
+        ),
+        User.updateMany(
+          { organizationId: organization._id, deactivatedWith: "organization" },
+          [
+            {
+              $set: {
+                isActive: true,
+                canLogin: { $ifNull: ["$canLoginBeforeDeactivation", false] },
+                deactivatedWith: null,
+                canLoginBeforeDeactivation: null,
+              },
+            },
+          ],
+          { updatePipeline: true }
+        ),
+      ]);
+
+      return {
+        organization: organization.toObject(),
+        cascade: { branches: branches.modifiedCount, users: users.modifiedCount },
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Effective password policy of an organization (defaults merged in)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>}
+   */
+  async getPasswordPolicy(actor, organizationId) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      return await passwordPolicyService.getPolicyForOrganization(organization._id);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Update an organization's password policy (partial; applies to passwords set from now on,
+   * maxAgeDays also to existing passwords at their next login)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @param {Object} payload - { minLength?, requireUppercase?, requireLowercase?, requireNumber?,
+   *   requireSymbol?, disallowUserInfo?, historyCount?, maxAgeDays? }
+   * @returns {Promise<Object>} - Effective policy
+   */
+  async updatePasswordPolicy(actor, organizationId, payload = {}) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      const updates = passwordPolicyService.sanitizePolicy(payload);
+
+      organization.passwordPolicy = { ...(organization.toObject().passwordPolicy || {}), ...updates };
+      await organization.save();
+
+      return await passwordPolicyService.getPolicyForOrganization(organization._id);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Directory (LDAP / Active Directory) login settings of an organization
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} - Settings with hasBindPassword instead of the password
+   */
+  async getLdapSettings(actor, organizationId) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      return await ldapService.getSettings(organization._id);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Update directory login settings (partial; an empty bindPassword keeps the saved one)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @param {Object} payload - { enabled?, url?, tlsRejectUnauthorized?, bindDn?, bindPassword?, searchBase?,
+   *   userFilter?, attributes?, groupRoleMappings?, defaultAtomicRole?, breakGlassUserIds?, syncIntervalMinutes? }
+   * @returns {Promise<Object>} - Saved settings
+   */
+  async updateLdapSettings(actor, organizationId, payload = {}) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      return await ldapService.updateSettings(organization, payload);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Try the saved directory settings, optionally looking up one login
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @param {string} loginId - Optional username to look up
+   * @returns {Promise<Object>} - { success, message, entry? }
+   */
+  async testLdapConnection(actor, organizationId, loginId = null) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      return await ldapService.testConnection(organization, loginId);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Sync the organization's users from the directory now
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} - { matched, updated, notFound, failed }
+   */
+  async syncLdapDirectory(actor, organizationId) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      return await ldapService.syncOrganization(organization._id);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Self-service sign-up settings of an organization
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} - { mode, inviteCode, allowedDomains, branchId }
+   */
+  async getRegistrationSettings(actor, organizationId) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      return registrationService.getSettings(organization);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Open or close self-service sign-up (partial update)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} organizationId - Organization ID
+   * @param {Object} payload - { mode?, allowedDomains?, branchId?, regenerateInviteCode? }
+   * @returns {Promise<Object>} - Saved settings
+   */
+  async updateRegistrationSettings(actor, organizationId, payload = {}) {
+    try {
+      const organization = await findOrganizationInScope(actor, organizationId);
+      return await registrationService.updateSettings(organization, payload);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default organizationService;
@@ -0,0 +1,247 @@
+import bcryptjs from "bcryptjs";
+import crypto from "crypto";
+import { Organization } from "../models/organization.model.js";
+import { User } from "../models/user.model.js";
+import { apiError } from "../utils/apiError.js";
+
+/**
+ * Password Policy Service - Organization password rules
+ *
+ * Each organization may override the default policy (users without an
+ * organization, e.g. super admins, get the defaults). Every place that sets
+ * UserLogin.password goes through setPassword, which validates the rules,
+ * refuses reuse of the current or last `historyCount` passwords and stamps
+ * passwordChangedAt. Passwords older than `maxAgeDays` are flagged with
+ * forcePasswordChange at login.
+ *
+ * Validation failures are reported as apiError 400 with one entry per broken
+ * rule in `errors` ({ field, rule, message }).
+ */
+
+// bcrypt only looks at the first 72 bytes
+const MAX_LENGTH = 72;
+
+const SYMBOL_PATTERN = /[^A-Za-z0-9]/;
+
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_LENGTH || "8", 10),
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  // Password may not contain the user's username, user ID, email name or name
+  disallowUserInfo: true,
+  // Number of previous passwords that may not be reused (0 = only the current one)
+  historyCount: 5,
+  // Days until a password must be changed (0 = never expires)
+  maxAgeDays: 0,
+};
+
+// Fields an admin may set on an organization's policy, with their allowed ranges
+const NUMERIC_LIMITS = {
+  minLength: [6, MAX_LENGTH],
+  historyCount: [0, 24],
+  maxAgeDays: [0, 3650],
+};
+const BOOLEAN_FIELDS = ["requireUppercase", "requireLowercase", "requireNumber", "requireSymbol", "disallowUserInfo"];
+
+const withDefaults = (policy = {}) =>
+  Object.keys(DEFAULT_PASSWORD_POLICY).reduce((acc, field) => {
+    acc[field] = policy?.[field] ?? DEFAULT_PASSWORD_POLICY[field];
+    return acc;
+  }, {});
+
+// Words of the user's identity that must not appear in the password (3+ characters)
+const collectUserInfo = ({ username, user } = {}) => {
+  const words = [username, user?.userId, user?.email?.split("@")[0], ...(user?.name || "").split(/\s+/)];
+  return [...new Set(words.filter(Boolean).map((word) => String(word).toLowerCase()))].filter(
+    (word) => word.length >= 3
+  );
+};
+
+const pick = (items) => items[crypto.randomInt(items.length)];
+
+export const passwordPolicyService = {
+  /**
+   * Effective policy for an organization (defaults when none is set)
+   * @param {string|null} organizationId - Organization ID
+   * @returns {Promise<Object>}
+   */
+  async getPolicyForOrganization(organizationId) {
+    if (!organizationId) return withDefaults();
+    const organization = await Organization.findById(organizationId).select("passwordPolicy").lean();
+    return withDefaults(organization?.passwordPolicy);
+  },
+
+  /**
+   * Effective policy for a user (their organization's)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async getPolicyForUser(userId) {
+    const user = await User.findById(userId).select("organizationId").lean();
+    return this.getPolicyForOrganization(user?.organizationId);
+  },
+
+  /**
+   * Check a password against a policy
+   * @param {string} password - Plain password
+   * @param {Object} policy - Effective policy
+   * @param {Object} context - { username?, user? } for the user-info rule
+   * @returns {Array<Object>} - Broken rules ({ field, rule, message }), empty when valid
+   */
+  validatePassword(password, policy, context = {}) {
+    const value = String(password ?? "");
+    const errors = [];
+    const fail = (rule, message) => errors.push({ field: "password", rule, message });
+
+    if (value.length < policy.minLength) {
+      fail("minLength", `Password must be at least ${policy.minLength} characters long`);
+    }
+    if (value.length > MAX_LENGTH) {
+      fail("maxLength", `Password must be at most ${MAX_LENGTH} characters long`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+      fail("requireUppercase", "Password must contain an uppercase letter");
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(value)) {
+      fail("requireLowercase", "Password must contain a lowercase letter");
+    }
+    if (policy.requireNumber && !/[0-9]/.test(value)) {
+      fail("requireNumber", "Password must contain a number");
+    }
+    if (policy.requireSymbol && !SYMBOL_PATTERN.test(value)) {
+      fail("requireSymbol", "Password must contain a symbol");
+    }
+    if (policy.disallowUserInfo) {
+      const lower = value.toLowerCase();
+      if (collectUserInfo(context).some((word) => lower.includes(word))) {
+        fail("disallowUserInfo", "Password must not contain your username, user ID, email or name");
+      }
+    }
+
+    return errors;
+  },
+
+  /**
+   * Validate and set a new password on a UserLogin (the caller saves it).
+   * Needs the document selected with "+password +passwordHistory" so reuse
+   * can be checked; a brand new UserLogin has no history.
+   * @param {Object} userLogin - UserLogin document
+   * @param {string} password - New plain password
+   * @param {Object} options - { user?, forceChange = false }
+   * @returns {Promise<Object>} - userLogin
+   */
+  async setPassword(userLogin, password, { user = null, forceChange = false } = {}) {
+    const owner = user || (await User.findById(userLogin.user).select("userId email name organizationId").lean());
+    const policy = await this.getPolicyForOrganization(owner?.organizationId);
+
+    const errors = this.validatePassword(password, policy, { username: userLogin.username, user: owner });
+    if (errors.length) {
+      throw new apiError(400, errors[0].message, errors);
+    }
+
+    const plain = String(password);
+    if (!userLogin.isNew) {
+      const previousHashes = [userLogin.password, ...(userLogin.passwordHistory || [])]
+        .filter(Boolean)
+        .slice(0, policy.historyCount + 1);
+
+      for (const hash of previousHashes) {
+        if (await bcryptjs.compare(plain, hash)) {
+          const message =
+            policy.historyCount > 0
+              ? `Password must differ from your last ${policy.historyCount + 1} passwords`
+              : "New password must differ from the current password";
+          throw new apiError(400, message, [{ field: "password", rule: "history", message }]);
+        }
+      }
+
+      // Keep the outgoing hash, newest first
+      if (userLogin.password) {
+        userLogin.passwordHistory = [userLogin.password, ...(userLogin.passwordHistory || [])].slice(
+          0,
+          Math.max(policy.historyCount, 0)
+        );
+      }
+    }
+
+    userLogin.password = plain;
+    userLogin.passwordChangedAt = new Date();
+    userLogin.forcePasswordChange = forceChange;
+    return userLogin;
+  },
+
+  /**
+   * Whether the password is older than the policy's maximum age
+   * @param {Object} userLogin - UserLogin document
+   * @param {Object} policy - Effective policy
+   * @returns {boolean}
+   */
+  isExpired(userLogin, policy) {
+    if (!policy.maxAgeDays) return false;
+    const changedAt = userLogin.passwordChangedAt || userLogin.createdAt;
+    if (!changedAt) return false;
+    return Date.now() - new Date(changedAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+  },
+
+  /**
+   * Random password that satisfies a policy (used for temporary passwords)
+   * @param {Object} policy - Effective policy
+   * @returns {string}
+   */
+  generateCompliantPassword(policy) {
+    const sets = {
+      upper: "ABCDEFGHJKLMNPQRSTUVWXYZ",
+      lower: "abcdefghijkmnopqrstuvwxyz",
+      digit: "23456789",
+      symbol: "!@#$%&*?",
+    };
+    const length = Math.max(policy.minLength, 12);
+    const chars = [pick(sets.upper), pick(sets.lower), pick(sets.digit), pick(sets.symbol)];
+    const all = sets.upper + sets.lower + sets.digit;
+    while (chars.length < length) chars.push(pick(all));
+
+    // Fisher-Yates so the required classes are not always first
+    for (let i = chars.length - 1; i > 0; i -= 1) {
+      const j = crypto.randomInt(i + 1);
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars.join("");
+  },
+
+  /**
+   * Normalize a policy update from an admin
+   * @param {Object} payload - Partial policy
+   * @returns {Object} - Validated fields to set
+   */
+  sanitizePolicy(payload = {}) {
+    const updates = {};
+    const errors = [];
+
+    for (const [field, [min, max]] of Object.entries(NUMERIC_LIMITS)) {
+      if (payload[field] === undefined) continue;
+      const value = Number(payload[field]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push({ field, message: `${field} must be a whole number between ${min} and ${max}` });
+      } else {
+        updates[field] = value;
+      }
+    }
+    for (const field of BOOLEAN_FIELDS) {
+      if (payload[field] === undefined) continue;
+      if (typeof payload[field] !== "boolean") {
+        errors.push({ field, message: `${field} must be true or false` });
+      } else {
+        updates[field] = payload[field];
+      }
+    }
+
+    if (errors.length) {
+      throw new apiError(400, "Invalid password policy", errors);
+    }
+    return updates;
+  },
+};
+
+export default passwordPolicyService;
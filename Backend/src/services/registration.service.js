@@ -0,0 +1,501 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Organization } from "../models/organization.model.js";
+import { Branch } from "../models/branch.model.js";
+import { User } from "../models/user.model.js";
+import { UserLogin } from "../models/userLogin.model.js";
+import { apiError } from "../utils/apiError.js";
+import { sendMail } from "../utils/mailer.js";
+import { buildScopeFilter, checkScopeAccess } from "../utils/permissionUtils.js";
+import { sanitizeProfileFields } from "./auth.service.js";
+import passwordPolicyService from "./passwordPolicy.service.js";
+import securityEventService from "./securityEvent.service.js";
+
+/**
+ * Registration Service - Self-service sign-up
+ * An organization opens sign-up with an invite code or for email domains.
+ * New accounts are created "unverified" with canLogin off. The link mailed to
+ * the address moves them to "pending", and they only log in once an admin
+ * with user:create approves them. Sign-up answers the same whether or not the
+ * email already has an account; that account's owner is told by mail instead.
+ */
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+const REGISTRATION_MODES = ["disabled", "invite_code", "email_domain"];
+
+const EMAIL_PATTERN = /^[^\s@]+@([^\s@]+\.[^\s@]+)$/;
+
+// Unambiguous characters (no 0/O, 1/I), grouped as XXXXX-XXXXX
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const generateInviteCode = () => {
+  const chars = Array.from(crypto.randomBytes(10), (byte) => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join("")}-${chars.slice(5).join("")}`;
+};
+
+const VERIFICATION_TTL_HOURS = () => parseInt(process.env.REGISTRATION_VERIFICATION_EXPIRY_HOURS || "24", 10);
+
+const SIGNUP_MESSAGE =
+  "Check your email: open the link we sent to confirm your address. An administrator reviews your registration after that.";
+
+const hashVerificationToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const appBaseUrl = () => (process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/$/, "");
+
+const normalizeInviteCode = (code) => String(code ?? "").trim().toUpperCase();
+
+const normalizeDomain = (domain) => String(domain ?? "").trim().toLowerCase().replace(/^@/, "");
+
+const toSettings = (registration = {}) => ({
+  mode: registration.mode || "disabled",
+  inviteCode: registration.inviteCode || null,
+  allowedDomains: registration.allowedDomains || [],
+  branchId: registration.branchId || null,
+});
+
+// Organization whose sign-up the email / invite code belongs to. Errors do not
+// say which organizations exist.
+const findOrganizationForSignup = async (email, inviteCode) => {
+  if (inviteCode) {
+    const organization = await Organization.findOne({
+      "registration.mode": "invite_code",
+      "registration.inviteCode": normalizeInviteCode(inviteCode),
+    });
+    if (!organization) {
+      throw new apiError(400, "Invalid invite code");
+    }
+    return organization;
+  }
+
+  const domain = email.split("@")[1];
+  const organization = await Organization.findOne({
+    "registration.mode": "email_domain",
+    "registration.allowedDomains": domain,
+  });
+  if (!organization) {
+    throw new apiError(403, "Sign-up is not open for this email address. Ask your administrator for an invite code.");
+  }
+  return organization;
+};
+
+// Registration awaiting a decision, within the actor's scope
+const findPendingUser = async (actor, userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new apiError(400, "Invalid user ID");
+  }
+
+  const user = await User.findOne({ _id: userId, ...buildScopeFilter(actor) });
+  if (!user) {
+    throw new apiError(404, "User not found");
+  }
+  if (user.approvalStatus === "unverified") {
+    throw new apiError(400, "This registration has not confirmed its email address yet");
+  }
+  if (user.approvalStatus !== "pending") {
+    throw new apiError(400, "This registration has already been decided");
+  }
+  return user;
+};
+
+const sendVerificationMail = (user, token) => {
+  const link = `${appBaseUrl()}/register/verify?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: [
+      `Hello ${user.name || ""},`.trim(),
+      "",
+      "Open this link to confirm your email address and send your registration for approval:",
+      link,
+      "",
+      `The link expires in ${VERIFICATION_TTL_HOURS()} hours.`,
+      "If you did not sign up, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
+// Sign-up with the address of an existing account: tell its owner, not the caller
+const sendAccountExistsMail = (email) =>
+  sendMail({
+    to: email,
+    subject: "Sign-up attempt with your email address",
+    text: [
+      "Someone tried to sign up with this email address, which already has an account.",
+      "",
+      `If it was you, sign in at ${appBaseUrl()}/login or reset your password at ${appBaseUrl()}/forgot-password`,
+      "If it was not you, you can ignore this email.",
+    ].join("\n"),
+  });
+
+const sendDecisionMail = (user, approved, reason = null) => {
+  if (!user.email) return Promise.resolve();
+
+  return sendMail({
+    to: user.email,
+    subject: approved ? "Your account has been approved" : "Your registration was not approved",
+    text: [
+      `Hello ${user.name || ""},`.trim(),
+      "",
+      approved
+        ? `Your account has been approved. You can now sign in at ${appBaseUrl()}/login`
+        : "Your registration was not approved.",
+      ...(!approved && reason ? [`Reason: ${reason}`] : []),
+    ].join("\n"),
+  });
+};
+
+// =====================================================
+// REGISTRATION SERVICE
+// =====================================================
+export const registrationService = {
+  /**
+   * Sign-up settings of an organization
+   * @param {Object} organization - Organization document
+   * @returns {Object} - { mode, inviteCode, allowedDomains, branchId }
+   */
+  getSettings(organization) {
+    return toSettings(organization.registration);
+  },
+
+  /**
+   * Validate and save sign-up settings (partial update). Switching to
+   * invite_code without a code, or regenerateInviteCode, issues a new code;
+   * the old one stops working.
+   * @param {Object} organization - Organization document
+   * @param {Object} payload - { mode?, allowedDomains?, branchId?, regenerateInviteCode? }
+   * @returns {Promise<Object>} - Settings as returned by getSettings
+   */
+  async updateSettings(organization, payload = {}) {
+    try {
+      const next = toSettings(organization.toObject().registration);
+      const errors = [];
+
+      if (payload.mode !== undefined) {
+        if (!REGISTRATION_MODES.includes(payload.mode)) {
+          errors.push({ field: "mode", message: `mode must be one of: ${REGISTRATION_MODES.join(", ")}` });
+        } else {
+          next.mode = payload.mode;
+        }
+      }
+      if (payload.allowedDomains !== undefined) {
+        const list = Array.isArray(payload.allowedDomains)
+          ? payload.allowedDomains
+          : String(payload.allowedDomains ?? "").split(/[\s,]+/);
+        const domains = list.map(normalizeDomain).filter(Boolean);
+        const invalid = domains.find((domain) => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain));
+        if (invalid) {
+          errors.push({ field: "allowedDomains", message: `"${invalid}" is not a valid domain` });
+        } else {
+          next.allowedDomains = [...new Set(domains)];
+        }
+      }
+      if (payload.branchId !== undefined) {
+        if (!payload.branchId) {
+          next.branchId = null;
+        } else if (!mongoose.isValidObjectId(payload.branchId)) {
+          errors.push({ field: "branchId", message: "Invalid branch ID" });
+        } else {
+          const branch = await Branch.findOne({ _id: payload.branchId, organizationId: organization._id })
+            .select("_id")
+            .lean();
+          if (!branch) errors.push({ field: "branchId", message: "Branch not found in this organization" });
+          else next.branchId = branch._id;
+        }
+      }
+      if (next.mode === "invite_code" && (payload.regenerateInviteCode === true || !next.inviteCode)) {
+        next.inviteCode = generateInviteCode();
+      }
+
+      if (next.mode !== "disabled" && organization.ldap?.enabled) {
+        errors.push({ field: "mode", message: "Sign-up cannot be opened while directory logins are enabled" });
+      }
+      if (next.mode === "email_domain") {
+        if (next.allowedDomains.length === 0) {
+          errors.push({ field: "allowedDomains", message: "Add at least one email domain" });
+        } else {
+          const claimed = await Organization.findOne({
+            _id: { $ne: organization._id },
+            "registration.mode": "email_domain",
+            "registration.allowedDomains": { $in: next.allowedDomains },
+          })
+            .select("registration.allowedDomains")
+            .lean();
+          const taken = claimed?.registration.allowedDomains.find((domain) => next.allowedDomains.includes(domain));
+          if (taken) {
+            errors.push({
+              field: "allowedDomains",
+              message: `"${taken}" is already open for sign-up in another organization`,
+            });
+          }
+        }
+      }
+
+      if (errors.length) {
+        throw new apiError(400, errors[0].message, errors);
+      }
+
+      organization.registration = {
+        mode: next.mode,
+        inviteCode: next.inviteCode || undefined,
+        allowedDomains: next.allowedDomains.length ? next.allowedDomains : undefined,
+        branchId: next.branchId,
+      };
+      await organization.save();
+
+      return this.getSettings(organization);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Self-service sign-up. The email is the user ID and the login ID; the
+   * password must satisfy the organization's policy. The account is created
+   * "unverified" and a verification link is mailed to the address. The
+   * response is the same when the email already has an account (its owner is
+   * mailed instead); an earlier unverified sign-up for the email is replaced.
+   * @param {Object} payload - { name, email, password, phone_no?, designation?, inviteCode? }
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} - { message }
+   */
+  async register(payload = {}, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      const email = String(payload.email ?? "").trim().toLowerCase();
+      if (!payload.name || !email || !payload.password) {
+        throw new apiError(400, "Name, email and password are required");
+      }
+      if (!EMAIL_PATTERN.test(email)) {
+        throw new apiError(400, "Enter a valid email address");
+      }
+
+      const profile = sanitizeProfileFields({
+        name: payload.name,
+        phone_no: payload.phone_no,
+        designation: payload.designation,
+      });
+
+      const organization = await findOrganizationForSignup(email, payload.inviteCode);
+      if (!organization.isActive || organization.ldap?.enabled) {
+        throw new apiError(403, "Sign-up is currently closed for this organization");
+      }
+
+      const token = crypto.randomBytes(32).toString("base64url");
+      const user = new User({
+        ...profile,
+        userId: email,
+        email,
+        role: "user",
+        organizationId: organization._id,
+        branchId: organization.registration?.branchId ? [organization.registration.branchId] : [],
+        canLogin: false,
+        approvalStatus: "unverified",
+        emailVerificationTokenHash: hashVerificationToken(token),
+        emailVerificationExpiresAt: new Date(Date.now() + VERIFICATION_TTL_HOURS() * 60 * 60 * 1000),
+      });
+
+      // Password rules are checked (and the password hashed) before looking for
+      // an existing account, so both outcomes take about as long
+      const login = new UserLogin({ user: user._id, username: email });
+      await passwordPolicyService.setPassword(login, String(payload.password), { user });
+
+      // Nobody proved they own the address of an unverified sign-up: the newer one replaces it
+      const unverified = await User.find({ $or: [{ email }, { userId: email }], approvalStatus: "unverified" })
+        .select("_id")
+        .lean();
+      if (unverified.length) {
+        const ids = unverified.map(({ _id }) => _id);
+        await UserLogin.deleteMany({ user: { $in: ids } });
+        await User.deleteMany({ _id: { $in: ids } });
+      }
+
+      const existing = await Promise.all([
+        UserLogin.exists({ username: email }),
+        User.exists({ $or: [{ email }, { userId: email }] }),
+      ]);
+      if (existing.some(Boolean)) {
+        sendAccountExistsMail(email).catch((error) =>
+          console.error("Failed to send sign-up attempt mail:", error.message)
+        );
+        return { message: SIGNUP_MESSAGE };
+      }
+
+      await user.save();
+      try {
+        await login.save();
+      } catch (error) {
+        await User.deleteOne({ _id: user._id });
+        throw error;
+      }
+
+      await securityEventService.record({
+        type: "user_registered",
+        user: user._id,
+        severity: "info",
+        ipAddress,
+        userAgent,
+        details: { organizationId: organization._id, via: payload.inviteCode ? "invite_code" : "email_domain" },
+      });
+
+      // Not awaited, so response time does not depend on the account existing
+      sendVerificationMail(user, token).catch((error) =>
+        console.error("Failed to send registration verification mail:", error.message)
+      );
+
+      return { message: SIGNUP_MESSAGE };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Confirm the email address of a sign-up with the token from the
+   * verification mail; the registration then waits for approval
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<Object>} - { message }
+   */
+  async verifyEmail(token) {
+    try {
+      // Claimed atomically, so the link works once
+      const user = token
+        ? await User.findOneAndUpdate(
+            {
+              emailVerificationTokenHash: hashVerificationToken(token),
+              emailVerificationExpiresAt: { $gt: new Date() },
+              approvalStatus: "unverified",
+            },
+            {
+              $set: {
+                approvalStatus: "pending",
+                emailVerifiedAt: new Date(),
+                emailVerificationTokenHash: null,
+                emailVerificationExpiresAt: null,
+              },
+            },
+            { new: true }
+          )
+        : null;
+      if (!user) {
+        throw new apiError(400, "This verification link is invalid or has expired. Sign up again to get a new one.");
+      }
+
+      return { message: "Email address confirmed. You can sign in once an administrator approves your account." };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Registrations waiting for approval, in the actor's scope
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} filters - { organizationId? }
+   * @returns {Promise<Array>}
+   */
+  async listPending(actor, { organizationId } = {}) {
+    try {
+      const filter = { ...buildScopeFilter(actor), approvalStatus: "pending" };
+      if (organizationId) {
+        if (!checkScopeAccess(actor, null, organizationId)) {
+          throw new apiError(403, "Access to this organization is not allowed");
+        }
+        filter.organizationId = organizationId;
+      }
+
+      return await User.find(filter)
+        .select("userId name email phone_no designation organizationId branchId createdAt")
+        .populate("organizationId", "name code")
+        .populate("branchId", "name")
+        .sort({ createdAt: 1 })
+        .lean();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Approve a registration: the user can log in from now on
+   * @param {Object} actor - Admin with user:create (req.user)
+   * @param {string} userId - Pending user
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} - Updated user
+   */
+  async approve(actor, userId, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      const user = await findPendingUser(actor, userId);
+
+      user.approvalStatus = "approved";
+      user.approvedBy = actor._id || actor.id;
+      user.approvedAt = new Date();
+      user.canLogin = true;
+      await user.save();
+
+      await securityEventService.record({
+        type: "registration_approved",
+        user: user._id,
+        severity: "info",
+        ipAddress,
+        userAgent,
+        details: { by: actor._id || actor.id },
+      });
+
+      sendDecisionMail(user, true).catch((error) =>
+        console.error("Failed to send registration approval mail:", error.message)
+      );
+
+      return user;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Reject a registration. The account is kept (so the email cannot simply
+   * sign up again) but can never log in.
+   * @param {Object} actor - Admin with user:create (req.user)
+   * @param {string} userId - Pending user
+   * @param {string} reason - Optional reason, included in the mail to the user
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} - Updated user
+   */
+  async reject(actor, userId, reason = null, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      const user = await findPendingUser(actor, userId);
+
+      user.approvalStatus = "rejected";
+      user.approvedBy = actor._id || actor.id;
+      user.approvedAt = new Date();
+      user.rejectionReason = reason ? String(reason).trim() : null;
+      user.canLogin = false;
+      user.isActive = false;
+      await user.save();
+
+      await securityEventService.record({
+        type: "registration_rejected",
+        user: user._id,
+        severity: "info",
+        ipAddress,
+        userAgent,
+        details: { by: actor._id || actor.id, reason: user.rejectionReason },
+      });
+
+      sendDecisionMail(user, false, user.rejectionReason).catch((error) =>
+        console.error("Failed to send registration rejection mail:", error.message)
+      );
+
+      return user;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default registrationService;
@@ -0,0 +1,336 @@
+import mongoose from "mongoose";
+import {
+  RepairTicket,
+  REPAIR_STATUSES,
+  REPAIR_OPEN_STATUSES,
+  REPAIR_PRIORITIES,
+} from "../models/repairTicket.model.js";
+import { Asset } from "../models/asset.model.js";
+import { User } from "../models/user.model.js";
+import assetService from "./asset.service.js";
+import { apiError } from "../utils/apiError.js";
+import {
+  hasPermission,
+  checkScopeAccess,
+  buildScopeFilter,
+} from "../utils/permissionUtils.js";
+
+/**
+ * Repair Service - Repair tickets for assets
+ * Opening and closing a ticket moves the asset in and out of
+ * "under_repair" through assetService.
+ */
+
+// Closing statuses (require repair:close)
+const CLOSING_STATUSES = ["repaired", "unrepairable"];
+
+// Fields a client may set directly on update
+const EDITABLE_FIELDS = ["issueDescription", "priority", "diagnosis", "estimatedCost", "actualCost", "remarks"];
+
+const pickEditableFields = (payload = {}) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (payload[field] !== undefined) acc[field] = payload[field];
+    return acc;
+  }, {});
+
+const assertObjectId = (id, label = "ID") => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, `Invalid ${label}`);
+  }
+};
+
+const populateTicket = (query) =>
+  query
+    .populate("asset", "name serialNumber assetTag category status assignedTo")
+    .populate("branchId", "name code")
+    .populate("technician", "userId name email")
+    .populate("reportedBy", "userId name")
+    .populate("closedBy", "userId name");
+
+const findTicketInScope = async (actor, ticketId) => {
+  assertObjectId(ticketId, "repair ticket ID");
+
+  const ticket = await RepairTicket.findById(ticketId);
+  if (!ticket) {
+    throw new apiError(404, "Repair ticket not found");
+  }
+
+  if (!checkScopeAccess(actor, ticket.branchId, ticket.organizationId)) {
+    throw new apiError(403, "Access to this repair ticket is not allowed");
+  }
+
+  return ticket;
+};
+
+const assertOpen = (ticket, action) => {
+  if (!ticket.isOpen()) {
+    throw new apiError(400, `Cannot ${action} a repair ticket with status ${ticket.status}`);
+  }
+};
+
+export const repairService = {
+  /**
+   * List repair tickets within the actor's scope
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { page, limit, status, open, branchId, assetId, technician }
+   * @returns {Promise<Object>} - { items, meta }
+   */
+  async listTickets(actor, query = {}) {
+    try {
+      const page = Math.max(parseInt(query.page || 1, 10), 1);
+      const limit = Math.max(parseInt(query.limit || 25, 10), 1);
+      const skip = (page - 1) * limit;
+
+      const filter = buildScopeFilter(actor);
+
+      if (query.status) {
+        if (!REPAIR_STATUSES.includes(query.status)) {
+          throw new apiError(400, `Invalid status. Allowed: ${REPAIR_STATUSES.join(", ")}`);
+        }
+        filter.status = query.status;
+      } else if (query.open === "true") {
+        filter.status = { $in: REPAIR_OPEN_STATUSES };
+      }
+
+      if (query.branchId) {
+        if (!checkScopeAccess(actor, query.branchId, null)) {
+          throw new apiError(403, "Access to this branch is not allowed");
+        }
+        filter.branchId = query.branchId;
+      }
+
+      if (query.assetId) filter.asset = query.assetId;
+      if (query.technician) filter.technician = query.technician;
+
+      const [items, total] = await Promise.all([
+        populateTicket(RepairTicket.find(filter))
+          .skip(skip)
+          .limit(limit)
+          .sort({ createdAt: -1 })
+          .lean(),
+        RepairTicket.countDocuments(filter),
+      ]);
+
+      return { items, meta: { page, limit, total } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Get a single repair ticket
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} ticketId - Repair ticket ID
+   * @returns {Promise<Object>}
+   */
+  async getTicketById(actor, ticketId) {
+    try {
+      const ticket = await findTicketInScope(actor, ticketId);
+      return await populateTicket(RepairTicket.findById(ticket._id)).lean();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Open a repair ticket and put the asset under repair
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} payload - { assetId, issueDescription, priority?, estimatedCost?, remarks? }
+   * @returns {Promise<Object>} - Created ticket
+   */
+  async openTicket(actor, payload = {}) {
+    try {
+      const { assetId, issueDescription, priority, estimatedCost, remarks } = payload;
+
+      if (!assetId || !issueDescription) {
+        throw new apiError(400, "assetId and issueDescription are required");
+      }
+
+      if (priority && !REPAIR_PRIORITIES.includes(priority)) {
+        throw new apiError(400, `Invalid priority. Allowed: ${REPAIR_PRIORITIES.join(", ")}`);
+      }
+
+      assertObjectId(assetId, "asset ID");
+
+      const asset = await Asset.findById(assetId);
+      if (!asset) {
+        throw new apiError(404, "Asset not found");
+      }
+
+      if (!checkScopeAccess(actor, asset.branchId, asset.organizationId)) {
+        throw new apiError(403, "Access to this asset is not allowed");
+      }
+
+      const existing = await RepairTicket.exists({
+        asset: asset._id,
+        status: { $in: REPAIR_OPEN_STATUSES },
+      });
+      if (existing) {
+        throw new apiError(409, "Asset already has an open repair ticket");
+      }
+
+      await assetService.startRepair(actor, asset);
+
+      const ticket = await RepairTicket.create({
+        asset: asset._id,
+        organizationId: asset.organizationId,
+        branchId: asset.branchId,
+        issueDescription,
+        priority: priority || "medium",
+        estimatedCost: estimatedCost ?? null,
+        remarks: remarks || "",
+        reportedBy: actor._id,
+        statusHistory: [{ status: "reported", changedBy: actor._id, notes: issueDescription }],
+      });
+
+      return ticket;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Update descriptive fields of a ticket (diagnosis, costs, priority, remarks)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} ticketId - Repair ticket ID
+   * @param {Object} payload - Editable fields
+   * @returns {Promise<Object>} - Updated ticket
+   */
+  async updateTicket(actor, ticketId, payload = {}) {
+    try {
+      const ticket = await findTicketInScope(actor, ticketId);
+      const updates = pickEditableFields(payload);
+
+      if (updates.priority && !REPAIR_PRIORITIES.includes(updates.priority)) {
+        throw new apiError(400, `Invalid priority. Allowed: ${REPAIR_PRIORITIES.join(", ")}`);
+      }
+
+      // Only the final cost may still be corrected after closing
+      if (!ticket.isOpen()) {
+        const keys = Object.keys(updates).filter((key) => !["actualCost", "remarks"].includes(key));
+        if (keys.length > 0) {
+          throw new apiError(400, `Cannot update ${keys.join(", ")} on a closed repair ticket`);
+        }
+      }
+
+      Object.assign(ticket, updates);
+      await ticket.save();
+
+      return ticket;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Assign a ticket to an internal technician or an external vendor
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} ticketId - Repair ticket ID
+   * @param {Object} payload - { technicianId } or { vendorName, vendorContact?, referenceNumber? }
+   * @returns {Promise<Object>} - Updated ticket
+   */
+  async assignTicket(actor, ticketId, payload = {}) {
+    try {
+      const { technicianId, vendorName, vendorContact, referenceNumber } = payload;
+
+      if (!technicianId && !vendorName) {
+        throw new apiError(400, "technicianId or vendorName is required");
+      }
+
+      if (technicianId && vendorName) {
+        throw new apiError(400, "Assign either a technician or a vendor, not both");
+      }
+
+      const ticket = await findTicketInScope(actor, ticketId);
+      assertOpen(ticket, "assign");
+
+      if (technicianId) {
+        assertObjectId(technicianId, "technician ID");
+
+        const technician = await User.findById(technicianId);
+        if (!technician || !technician.isActive || technician.isBlocked) {
+          throw new apiError(404, "Technician not found or not active");
+        }
+
+        if (String(technician.organizationId) !== String(ticket.organizationId)) {
+          throw new apiError(400, "Technician belongs to a different organization");
+        }
+
+        ticket.assigneeType = "technician";
+        ticket.technician = technician._id;
+        ticket.vendor = { name: null, contact: null, referenceNumber: null };
+      } else {
+        ticket.assigneeType = "vendor";
+        ticket.technician = null;
+        ticket.vendor = {
+          name: vendorName,
+          contact: vendorContact || null,
+          referenceNumber: referenceNumber || null,
+        };
+      }
+
+      await ticket.save();
+      return ticket;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Move a ticket through its lifecycle
+   * Closing (repaired/unrepairable) needs repair:close and brings the asset
+   * out of "under_repair".
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} ticketId - Repair ticket ID
+   * @param {Object} payload - { status, notes?, diagnosis?, actualCost? }
+   * @returns {Promise<Object>} - Updated ticket
+   */
+  async changeStatus(actor, ticketId, payload = {}) {
+    try {
+      const { status, notes, diagnosis, actualCost } = payload;
+
+      if (!REPAIR_STATUSES.includes(status)) {
+        throw new apiError(400, `Invalid status. Allowed: ${REPAIR_STATUSES.join(", ")}`);
+      }
+
+      const closing = CLOSING_STATUSES.includes(status);
+      if (closing && !hasPermission(actor?.permissions, "repair:close")) {
+        throw new apiError(403, "Permission 'repair:close' required");
+      }
+
+      const ticket = await findTicketInScope(actor, ticketId);
+      const previousStatus = ticket.status;
+
+      if (status === "sent_to_vendor" && ticket.assigneeType !== "vendor") {
+        throw new apiError(400, "Assign a vendor before sending the asset to a vendor");
+      }
+
+      if (!ticket.transitionTo(status, actor._id, notes || "")) {
+        throw new apiError(400, `Cannot change repair ticket status from ${previousStatus} to ${status}`);
+      }
+
+      if (diagnosis !== undefined) ticket.diagnosis = diagnosis;
+      if (actualCost !== undefined) ticket.actualCost = actualCost;
+
+      if (closing) {
+        const asset = await Asset.findById(ticket.asset);
+        if (asset) {
+          await assetService.endRepair(actor, asset, status === "repaired", notes);
+        }
+      }
+
+      await ticket.save();
+      return ticket;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default repairService;
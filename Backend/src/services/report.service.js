@@ -0,0 +1,258 @@
+import mongoose from "mongoose";
+import { REPORTS, findReport } from "./reports/index.js";
+import { buildXlsx } from "../utils/xlsxWriter.js";
+import { apiError } from "../utils/apiError.js";
+import { hasAllPermissions } from "../utils/permissionUtils.js";
+
+/**
+ * Report Service - Runs registered reports and renders exports
+ * Reports are MongoDB aggregations (see services/reports); exports are
+ * produced as chunk generators so CSV/JSON can be streamed row by row.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+// Preview (run) results are capped; exports are not
+const DEFAULT_PREVIEW_LIMIT = 500;
+
+// Public shape of a report definition
+const describeReport = (report) => ({
+  id: report.id,
+  name: report.name,
+  description: report.description,
+  parameters: report.parameters,
+  columns: report.columns,
+  formats: Object.keys(EXPORT_FORMATS),
+});
+
+const findAccessibleReport = (actor, reportId) => {
+  const report = findReport(reportId);
+  if (!report) {
+    throw new apiError(404, "Report not found");
+  }
+
+  if (!hasAllPermissions(actor?.permissions, report.requires || [])) {
+    throw new apiError(403, `Report "${report.name}" requires: ${report.requires.join(", ")}`);
+  }
+
+  return report;
+};
+
+/**
+ * Validate and coerce raw parameters against a report definition
+ * @returns {Object} - Parsed parameters (defaults applied)
+ * @throws {apiError} 400 with one entry per invalid parameter
+ */
+const parseParameters = (report, raw = {}) => {
+  const params = {};
+  const errors = [];
+
+  report.parameters.forEach((definition) => {
+    const { name, type } = definition;
+    const value = raw[name];
+
+    if (value === undefined || value === null || value === "") {
+      if (definition.required) errors.push({ field: name, message: `${definition.label} is required` });
+      else if (definition.default !== undefined) params[name] = definition.default;
+      return;
+    }
+
+    switch (type) {
+      case "date": {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) errors.push({ field: name, message: `${definition.label} must be a valid date` });
+        else params[name] = date;
+        break;
+      }
+      case "objectId":
+        if (!mongoose.isValidObjectId(value)) errors.push({ field: name, message: `${definition.label} must be a valid ID` });
+        else params[name] = String(value);
+        break;
+      case "enum":
+        if (!definition.options.includes(value)) {
+          errors.push({ field: name, message: `${definition.label} must be one of: ${definition.options.join(", ")}` });
+        } else params[name] = value;
+        break;
+      case "boolean":
+        params[name] = value === true || value === "true";
+        break;
+      case "number": {
+        const number = Number(value);
+        if (!Number.isFinite(number)) errors.push({ field: name, message: `${definition.label} must be a number` });
+        else params[name] = number;
+        break;
+      }
+      default:
+        params[name] = String(value);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new apiError(400, "Invalid report parameters", errors);
+  }
+
+  return params;
+};
+
+// Plain cell value for a row/column pair
+const cellValue = (row, column) => {
+  const value = row[column.key];
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+};
+
+const toCsvField = (value) => {
+  if (value === null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Neutralize spreadsheet formulas in user-provided text
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+async function* csvChunks(columns, cursor) {
+  yield "\uFEFF" + columns.map((column) => toCsvField(column.label)).join(",") + "\r\n";
+  for await (const row of cursor) {
+    yield columns.map((column) => toCsvField(cellValue(row, column))).join(",") + "\r\n";
+  }
+}
+
+async function* jsonChunks(report, params, columns, cursor) {
+  const header = {
+    report: report.id,
+    name: report.name,
+    generatedAt: new Date().toISOString(),
+    parameters: params,
+    columns,
+  };
+  yield JSON.stringify(header).slice(0, -1) + ',"rows":[';
+  let first = true;
+  for await (const row of cursor) {
+    const record = Object.fromEntries(columns.map((column) => [column.key, cellValue(row, column)]));
+    yield (first ? "" : ",") + JSON.stringify(record);
+    first = false;
+  }
+  yield "]}";
+}
+
+// XLSX is a zip archive and cannot be streamed row by row
+async function* xlsxChunks(report, columns, cursor) {
+  const rows = [];
+  for await (const row of cursor) {
+    rows.push(columns.map((column) => cellValue(row, column)));
+  }
+  yield buildXlsx(report.name, columns.map((column) => column.label), rows);
+}
+
+export const reportService = {
+  /**
+   * Reports the actor may run
+   * @param {Object} actor - Authenticated user (req.user)
+   * @returns {Array<Object>}
+   */
+  listReports(actor) {
+    return REPORTS.filter((report) => hasAllPermissions(actor?.permissions, report.requires || [])).map(
+      describeReport
+    );
+  },
+
+  /**
+   * A single report definition
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} reportId - Report ID
+   * @returns {Object}
+   */
+  getReport(actor, reportId) {
+    return describeReport(findAccessibleReport(actor, reportId));
+  },
+
+  /**
+   * Check that the actor may run a report with the given parameters
+   * (used before storing parameters for later, e.g. schedules)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} reportId - Report ID
+   * @param {Object} rawParams - Report parameters
+   * @returns {Object} - The report definition
+   * @throws {apiError} 403/404, or 400 with per-parameter errors
+   */
+  validateParameters(actor, reportId, rawParams = {}) {
+    const report = findAccessibleReport(actor, reportId);
+    parseParameters(report, rawParams);
+    return describeReport(report);
+  },
+
+  /**
+   * Run a report and return (up to limit) rows as JSON
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} reportId - Report ID
+   * @param {Object} rawParams - Report parameters
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - { report, parameters, columns, rows, truncated }
+   */
+  async runReport(actor, reportId, rawParams = {}, { limit = DEFAULT_PREVIEW_LIMIT } = {}) {
+    try {
+      const report = findAccessibleReport(actor, reportId);
+      const params = parseParameters(report, rawParams);
+
+      const docs = await report.model.aggregate([
+        ...report.pipeline(actor, params),
+        { $limit: limit + 1 },
+      ]);
+
+      const rows = docs
+        .slice(0, limit)
+        .map((row) => Object.fromEntries(report.columns.map((column) => [column.key, cellValue(row, column)])));
+
+      return {
+        report: describeReport(report),
+        parameters: params,
+        columns: report.columns,
+        rows,
+        truncated: docs.length > limit,
+        generatedAt: new Date(),
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Prepare an export: validates everything up front, then returns a chunk
+   * generator that reads the aggregation through a cursor
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} reportId - Report ID
+   * @param {Object} rawParams - Report parameters
+   * @param {string} format - csv | xlsx | json
+   * @returns {Object} - { filename, contentType, chunks: AsyncGenerator<string|Buffer> }
+   */
+  exportReport(actor, reportId, rawParams = {}, format = "csv") {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      throw new apiError(400, `Invalid format. Allowed: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+    }
+
+    const report = findAccessibleReport(actor, reportId);
+    const params = parseParameters(report, rawParams);
+    const cursor = report.model.aggregate(report.pipeline(actor, params)).cursor();
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    const filename = `${report.id}-${stamp}.${exportFormat.extension}`;
+
+    let chunks;
+    if (format === "csv") chunks = csvChunks(report.columns, cursor);
+    else if (format === "json") chunks = jsonChunks(report, params, report.columns, cursor);
+    else chunks = xlsxChunks(report, report.columns, cursor);
+
+    return { filename, contentType: exportFormat.contentType, chunks };
+  },
+};
+
+export default reportService;
@@ -0,0 +1,344 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import {
+  ReportSchedule,
+  SCHEDULE_FREQUENCIES,
+  SCHEDULE_FORMATS,
+  computeNextRunAt,
+} from "../models/reportSchedule.model.js";
+import { ReportDelivery } from "../models/reportDelivery.model.js";
+import reportService from "./report.service.js";
+import { runSchedule, removeDeliveryFile } from "./reportScheduler.js";
+import { apiError } from "../utils/apiError.js";
+
+/**
+ * Report Schedule Service - Users' recurring reports and their report inbox
+ * Schedules and inbox items belong to one user; only the owner (or a
+ * super admin) can see or change them. The scheduler itself lives in
+ * services/reportScheduler.js.
+ */
+
+const MAX_SCHEDULES_PER_USER = 20;
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const assertObjectId = (id, label = "ID") => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, `Invalid ${label}`);
+  }
+};
+
+const isSuperAdmin = (actor) => actor?.permissions?.includes("*");
+
+const ownerFilter = (actor) => (isSuperAdmin(actor) ? {} : { owner: actor._id || actor.id });
+
+const findOwnSchedule = async (actor, scheduleId) => {
+  assertObjectId(scheduleId, "schedule ID");
+
+  const schedule = await ReportSchedule.findOne({ _id: scheduleId, ...ownerFilter(actor) });
+  if (!schedule) {
+    throw new apiError(404, "Report schedule not found");
+  }
+
+  return schedule;
+};
+
+const findOwnDelivery = async (actor, deliveryId, withFile = false) => {
+  assertObjectId(deliveryId, "inbox item ID");
+
+  const query = ReportDelivery.findOne({ _id: deliveryId, ...ownerFilter(actor) });
+  const delivery = await (withFile ? query.select("+storagePath") : query);
+  if (!delivery) {
+    throw new apiError(404, "Inbox item not found");
+  }
+
+  return delivery;
+};
+
+/**
+ * Validate recurrence fields, returning the normalized values
+ * @throws {apiError} 400 with one entry per invalid field
+ */
+const parseRecurrence = (payload) => {
+  const errors = [];
+  const { frequency, timeOfDay } = payload;
+  const recurrence = { frequency, timeOfDay, dayOfWeek: null, dayOfMonth: null };
+
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    errors.push({ field: "frequency", message: `Frequency must be one of: ${SCHEDULE_FREQUENCIES.join(", ")}` });
+  }
+  if (!TIME_OF_DAY.test(timeOfDay || "")) {
+    errors.push({ field: "timeOfDay", message: "Time of day must be HH:mm (24h)" });
+  }
+
+  if (frequency === "weekly") {
+    const day = Number(payload.dayOfWeek);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      errors.push({ field: "dayOfWeek", message: "Day of week must be 0 (Sunday) to 6 (Saturday)" });
+    } else recurrence.dayOfWeek = day;
+  }
+
+  if (frequency === "monthly") {
+    const day = Number(payload.dayOfMonth);
+    if (!Number.isInteger(day) || day < 1 || day > 28) {
+      errors.push({ field: "dayOfMonth", message: "Day of month must be between 1 and 28" });
+    } else recurrence.dayOfMonth = day;
+  }
+
+  if (errors.length > 0) {
+    throw new apiError(400, "Invalid schedule", errors);
+  }
+
+  return recurrence;
+};
+
+export const reportScheduleService = {
+  /**
+   * List the actor's report schedules
+   * @param {Object} actor - Authenticated user (req.user)
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSchedules(actor) {
+    try {
+      return await ReportSchedule.find(ownerFilter(actor))
+        .populate("owner", "userId name")
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Create a report schedule
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} payload - { name, reportId, params?, format?, frequency, timeOfDay, dayOfWeek?, dayOfMonth?, emailDelivery? }
+   * @returns {Promise<Object>}
+   */
+  async createSchedule(actor, payload = {}) {
+    try {
+      const { name, reportId, params = {}, format = "csv", emailDelivery = false } = payload;
+
+      if (!name || !reportId) {
+        throw new apiError(400, "name and reportId are required");
+      }
+      if (!SCHEDULE_FORMATS.includes(format)) {
+        throw new apiError(400, `Invalid format. Allowed: ${SCHEDULE_FORMATS.join(", ")}`);
+      }
+
+      // The actor must be able to run the report with these parameters today
+      reportService.validateParameters(actor, reportId, params);
+      const recurrence = parseRecurrence(payload);
+
+      const count = await ReportSchedule.countDocuments({ owner: actor._id || actor.id });
+      if (count >= MAX_SCHEDULES_PER_USER) {
+        throw new apiError(409, `A user can have at most ${MAX_SCHEDULES_PER_USER} report schedules`);
+      }
+
+      const schedule = await ReportSchedule.create({
+        owner: actor._id || actor.id,
+        organizationId: actor.organizationId || null,
+        name,
+        reportId,
+        parameters: params,
+        format,
+        emailDelivery: !!emailDelivery,
+        ...recurrence,
+        nextRunAt: computeNextRunAt(recurrence),
+      });
+
+      return schedule.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Update a schedule's name, parameters, format, recurrence or mail option
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} payload - Same fields as createSchedule (reportId cannot change)
+   * @returns {Promise<Object>}
+   */
+  async updateSchedule(actor, scheduleId, payload = {}) {
+    try {
+      const schedule = await findOwnSchedule(actor, scheduleId);
+
+      if (payload.reportId && payload.reportId !== schedule.reportId) {
+        throw new apiError(400, "The report of a schedule cannot be changed; create a new schedule instead");
+      }
+      if (payload.format !== undefined && !SCHEDULE_FORMATS.includes(payload.format)) {
+        throw new apiError(400, `Invalid format. Allowed: ${SCHEDULE_FORMATS.join(", ")}`);
+      }
+
+      if (payload.params !== undefined) {
+        reportService.validateParameters(actor, schedule.reportId, payload.params);
+        schedule.parameters = payload.params;
+        schedule.markModified("parameters");
+      }
+
+      if (payload.name !== undefined) schedule.name = payload.name;
+      if (payload.format !== undefined) schedule.format = payload.format;
+      if (payload.emailDelivery !== undefined) schedule.emailDelivery = !!payload.emailDelivery;
+
+      if (["frequency", "timeOfDay", "dayOfWeek", "dayOfMonth"].some((field) => payload[field] !== undefined)) {
+        const recurrence = parseRecurrence({
+          frequency: schedule.frequency,
+          timeOfDay: schedule.timeOfDay,
+          dayOfWeek: schedule.dayOfWeek,
+          dayOfMonth: schedule.dayOfMonth,
+          ...payload,
+        });
+        Object.assign(schedule, recurrence);
+        schedule.nextRunAt = computeNextRunAt(recurrence);
+      }
+
+      await schedule.save();
+      return schedule.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Pause or resume a schedule
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} scheduleId - Schedule ID
+   * @param {boolean} paused - true to pause, false to resume
+   * @returns {Promise<Object>}
+   */
+  async setPaused(actor, scheduleId, paused) {
+    try {
+      const schedule = await findOwnSchedule(actor, scheduleId);
+
+      if (!paused) {
+        // Resuming re-checks that the owner can still run the report
+        reportService.validateParameters(actor, schedule.reportId, schedule.parameters || {});
+        schedule.nextRunAt = computeNextRunAt(schedule);
+      }
+
+      schedule.status = paused ? "paused" : "active";
+      await schedule.save();
+      return schedule.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Delete a schedule (its inbox items are kept until they expire)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<void>}
+   */
+  async deleteSchedule(actor, scheduleId) {
+    try {
+      const schedule = await findOwnSchedule(actor, scheduleId);
+      await ReportSchedule.deleteOne({ _id: schedule._id });
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Run a schedule immediately (does not change its next run)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} - The inbox item created
+   */
+  async runNow(actor, scheduleId) {
+    try {
+      const schedule = await findOwnSchedule(actor, scheduleId);
+      const delivery = await runSchedule(schedule);
+      return delivery.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * List the actor's report inbox
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { page, limit, scheduleId }
+   * @returns {Promise<Object>} - { items, meta }
+   */
+  async listInbox(actor, query = {}) {
+    try {
+      const page = Math.max(parseInt(query.page || 1, 10), 1);
+      const limit = Math.max(parseInt(query.limit || 25, 10), 1);
+      const skip = (page - 1) * limit;
+
+      const filter = ownerFilter(actor);
+      if (query.scheduleId) {
+        assertObjectId(query.scheduleId, "schedule ID");
+        filter.schedule = query.scheduleId;
+      }
+
+      const [items, total] = await Promise.all([
+        ReportDelivery.find(filter).sort({ generatedAt: -1 }).skip(skip).limit(limit).lean(),
+        ReportDelivery.countDocuments(filter),
+      ]);
+
+      return { items, meta: { page, limit, total } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Open an inbox file for download and mark it as downloaded
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} deliveryId - Inbox item ID
+   * @returns {Promise<Object>} - { filename, contentType, size, stream }
+   */
+  async openInboxFile(actor, deliveryId) {
+    try {
+      const delivery = await findOwnDelivery(actor, deliveryId, true);
+
+      if (delivery.status !== "ready" || !delivery.storagePath || !fs.existsSync(delivery.storagePath)) {
+        throw new apiError(410, "The report file is no longer available");
+      }
+
+      if (!delivery.downloadedAt) {
+        delivery.downloadedAt = new Date();
+        await delivery.save();
+      }
+
+      return {
+        filename: delivery.filename,
+        contentType: delivery.contentType,
+        size: delivery.size,
+        stream: fs.createReadStream(delivery.storagePath),
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Delete an inbox item and its file
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} deliveryId - Inbox item ID
+   * @returns {Promise<void>}
+   */
+  async deleteInboxItem(actor, deliveryId) {
+    try {
+      const delivery = await findOwnDelivery(actor, deliveryId, true);
+      await removeDeliveryFile(delivery.storagePath);
+      await ReportDelivery.deleteOne({ _id: delivery._id });
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default reportScheduleService;
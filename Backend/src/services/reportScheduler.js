@@ -0,0 +1,286 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { ReportSchedule, computeNextRunAt } from "../models/reportSchedule.model.js";
+import { ReportDelivery } from "../models/reportDelivery.model.js";
+import { User } from "../models/user.model.js";
+import { AtomicRole } from "../models/atomicRole.model.js";
+import reportService from "./report.service.js";
+import { hasAllPermissions } from "../utils/permissionUtils.js";
+import { sendMail } from "../utils/mailer.js";
+
+/**
+ * Report Scheduler - Runs due report schedules inside the API process
+ *
+ * Every tick it claims active schedules whose nextRunAt has passed (the claim
+ * advances nextRunAt atomically, so a schedule runs once even with several
+ * API instances), exports the report as the schedule owner and stores the
+ * file in the owner's report inbox. Delivery hooks are then called for every
+ * inbox item; the built-in hook mails the owner when emailDelivery is set.
+ *
+ * Environment:
+ * - REPORT_SCHEDULER_ENABLED       "false" disables the scheduler
+ * - REPORT_SCHEDULER_INTERVAL_MS   tick interval (default 60000)
+ * - REPORT_INBOX_DIR               where generated files are stored
+ * - REPORT_INBOX_RETENTION_DAYS    inbox items are purged after this (default 30)
+ * - APP_BASE_URL                   frontend URL used in mail links
+ */
+
+// Permissions the owner must still hold when the schedule runs
+export const SCHEDULE_RUN_PERMISSIONS = ["report:schedule", "report:export"];
+
+const BATCH_SIZE = 10;
+
+export const getInboxDir = () => path.resolve(process.env.REPORT_INBOX_DIR || "storage/report-inbox");
+
+const retentionMs = () =>
+  parseInt(process.env.REPORT_INBOX_RETENTION_DAYS || "30", 10) * 24 * 60 * 60 * 1000;
+
+/**
+ * Remove an inbox item's file (missing files are ignored)
+ * @param {string} storagePath - Absolute file path
+ */
+export const removeDeliveryFile = async (storagePath) => {
+  if (!storagePath) return;
+  await fsp.rm(storagePath, { force: true });
+};
+
+// ===== DELIVERY HOOKS =====
+
+const emailDeliveryHook = async ({ delivery, schedule, owner }) => {
+  if (!schedule.emailDelivery) return null;
+  if (!owner.email) throw new Error("Owner has no email address");
+
+  const link = `${process.env.APP_BASE_URL || "http://localhost:5173"}/report/schedules`;
+  const text =
+    delivery.status === "ready"
+      ? `Your scheduled report "${schedule.name}" (${delivery.reportName}) is ready.\n\n` +
+        `Download it from your report inbox: ${link}\n`
+      : `Your scheduled report "${schedule.name}" (${delivery.reportName}) failed: ${delivery.error}\n\n` +
+        `Review the schedule at: ${link}\n`;
+
+  await sendMail({
+    to: owner.email,
+    subject: `Scheduled report: ${schedule.name}`,
+    text,
+  });
+
+  return "email";
+};
+
+emailDeliveryHook.channel = "email";
+
+const deliveryHooks = [emailDeliveryHook];
+
+/**
+ * Register an additional delivery hook
+ * A hook is async ({ delivery, schedule, owner }) => channelName | null;
+ * returning null means the hook did not apply, throwing records a failure
+ * under hook.channel (or the function name).
+ * @param {Function} hook
+ */
+export const registerDeliveryHook = (hook) => {
+  deliveryHooks.push(hook);
+};
+
+const runDeliveryHooks = async (context) => {
+  const notifications = [];
+
+  for (const hook of deliveryHooks) {
+    try {
+      const channel = await hook(context);
+      if (channel) notifications.push({ channel, status: "sent" });
+    } catch (error) {
+      notifications.push({ channel: hook.channel || hook.name || "hook", status: "failed", error: error.message });
+    }
+  }
+
+  return notifications;
+};
+
+// ===== RUNNING A SCHEDULE =====
+
+// Rebuild the owner's req.user-like actor (see verifyJWT + populatePermissions)
+const loadOwnerActor = async (ownerId) => {
+  const owner = await User.findById(ownerId);
+  if (!owner) return { owner: null, actor: null, reason: "Schedule owner no longer exists" };
+  if (!owner.isActive || owner.isBlocked || !owner.canLogin) {
+    return { owner, actor: null, reason: "Schedule owner is inactive, blocked or cannot log in" };
+  }
+
+  let permissions = owner.permissions?.length ? owner.permissions : [];
+  if (permissions.length === 0 && owner.atomicRoleId) {
+    const role = await AtomicRole.findById(owner.atomicRoleId);
+    permissions = role?.permissions || [];
+  }
+
+  const actor = { id: String(owner._id), ...owner.toObject(), permissions };
+  if (!hasAllPermissions(permissions, SCHEDULE_RUN_PERMISSIONS)) {
+    return { owner, actor: null, reason: `Schedule owner no longer has ${SCHEDULE_RUN_PERMISSIONS.join(", ")}` };
+  }
+
+  return { owner, actor, reason: null };
+};
+
+const writeExport = async (actor, schedule) => {
+  const { filename, contentType, chunks } = reportService.exportReport(
+    actor,
+    schedule.reportId,
+    schedule.parameters || {},
+    schedule.format
+  );
+
+  const dir = path.join(getInboxDir(), String(schedule.owner));
+  await fsp.mkdir(dir, { recursive: true });
+
+  const storagePath = path.join(dir, `${schedule._id}-${filename}`);
+  try {
+    await pipeline(Readable.from(chunks), fs.createWriteStream(storagePath));
+  } catch (error) {
+    await removeDeliveryFile(storagePath);
+    throw error;
+  }
+
+  const { size } = await fsp.stat(storagePath);
+  return { filename, contentType, storagePath, size };
+};
+
+/**
+ * Run one schedule now and put the result into the owner's inbox
+ * A schedule whose owner can no longer run it is paused.
+ * @param {Object} schedule - ReportSchedule document
+ * @returns {Promise<Object>} - The ReportDelivery created
+ */
+export const runSchedule = async (schedule) => {
+  const now = new Date();
+  const { owner, actor, reason } = await loadOwnerActor(schedule.owner);
+
+  let reportName = schedule.reportId;
+  let file = null;
+  let error = reason;
+
+  if (actor) {
+    try {
+      reportName = reportService.getReport(actor, schedule.reportId).name;
+      file = await writeExport(actor, schedule);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  const delivery = await ReportDelivery.create({
+    owner: schedule.owner,
+    schedule: schedule._id,
+    scheduleName: schedule.name,
+    reportId: schedule.reportId,
+    reportName,
+    format: schedule.format,
+    status: file ? "ready" : "failed",
+    error: file ? null : error,
+    ...(file || {}),
+    generatedAt: now,
+    expiresAt: new Date(now.getTime() + retentionMs()),
+  });
+
+  const scheduleUpdate = {
+    lastRunAt: now,
+    lastStatus: file ? "success" : "failed",
+    lastError: file ? null : error,
+  };
+  // The owner lost access: stop retrying until someone resumes it
+  if (!actor) scheduleUpdate.status = "paused";
+  await ReportSchedule.updateOne({ _id: schedule._id }, { $set: scheduleUpdate });
+
+  if (owner) {
+    delivery.notifications = await runDeliveryHooks({ delivery, schedule, owner });
+    if (delivery.notifications.length > 0) await delivery.save();
+  }
+
+  return delivery;
+};
+
+// ===== SCHEDULER LOOP =====
+
+// Atomically move nextRunAt forward; false if another worker got there first
+const claimSchedule = async (schedule, now) => {
+  const claimed = await ReportSchedule.findOneAndUpdate(
+    { _id: schedule._id, status: "active", nextRunAt: schedule.nextRunAt },
+    { $set: { nextRunAt: computeNextRunAt(schedule, now) } },
+    { new: true }
+  );
+  return claimed;
+};
+
+const purgeExpiredDeliveries = async (now) => {
+  const expired = await ReportDelivery.find({ expiresAt: { $lte: now } }).select("+storagePath").limit(100);
+  for (const delivery of expired) {
+    await removeDeliveryFile(delivery.storagePath);
+    await ReportDelivery.deleteOne({ _id: delivery._id });
+  }
+};
+
+/**
+ * Run every schedule that is due (one scheduler tick)
+ * @returns {Promise<number>} - Number of schedules run
+ */
+export const runDueSchedules = async () => {
+  const now = new Date();
+  const due = await ReportSchedule.find({ status: "active", nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let ran = 0;
+  for (const schedule of due) {
+    const claimed = await claimSchedule(schedule, now);
+    if (!claimed) continue;
+
+    try {
+      await runSchedule(claimed);
+      ran += 1;
+    } catch (error) {
+      console.error(`Scheduled report ${schedule._id} failed:`, error.message);
+    }
+  }
+
+  await purgeExpiredDeliveries(now);
+  return ran;
+};
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Start the in-process scheduler (no-op if already running or disabled)
+ */
+export const startReportScheduler = () => {
+  if (timer || process.env.REPORT_SCHEDULER_ENABLED === "false") return;
+
+  const intervalMs = parseInt(process.env.REPORT_SCHEDULER_INTERVAL_MS || "60000", 10);
+
+  timer = setInterval(async () => {
+    // Skip a tick while the previous one is still running
+    if (ticking) return;
+    ticking = true;
+    try {
+      await runDueSchedules();
+    } catch (error) {
+      console.error("Report scheduler tick failed:", error.message);
+    } finally {
+      ticking = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  console.log(`⏰ Report scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+/**
+ * Stop the in-process scheduler
+ */
+export const stopReportScheduler = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { Asset, ASSET_STATUSES, ASSET_CATEGORIES } from "../../models/asset.model.js";
+import { buildScopeFilter } from "../../utils/permissionUtils.js";
+
+/**
+ * Asset Summary - Asset counts per branch, broken down by status
+ */
+
+const statusLabel = (status) =>
+  status.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+
+export default {
+  id: "asset-summary",
+  name: "Asset Summary",
+  description: "Number of assets per branch, broken down by status",
+  requires: ["asset:read"],
+
+  parameters: [
+    { name: "branchId", label: "Branch", type: "objectId" },
+    { name: "category", label: "Category", type: "enum", options: ASSET_CATEGORIES },
+  ],
+
+  columns: [
+    { key: "branch", label: "Branch" },
+    { key: "branchCode", label: "Branch Code" },
+    ...ASSET_STATUSES.map((status) => ({ key: status, label: statusLabel(status) })),
+    { key: "total", label: "Total" },
+  ],
+
+  model: Asset,
+
+  pipeline(actor, params) {
+    const match = buildScopeFilter(actor, { objectIds: true });
+    if (params.branchId) match.branchId = new mongoose.Types.ObjectId(params.branchId);
+    if (params.category) match.category = params.category;
+
+    return [
+      { $match: match },
+      {
+        $group: {
+          _id: "$branchId",
+          ...Object.fromEntries(
+            ASSET_STATUSES.map((status) => [
+              status,
+              { $sum: { $cond: [{ $eq: ["$status", status] }, 1, 0] } },
+            ])
+          ),
+          total: { $sum: 1 },
+        },
+      },
+      { $lookup: { from: "branches", localField: "_id", foreignField: "_id", as: "branch" } },
+      { $unwind: { path: "$branch", preserveNullAndEmptyArrays: true } },
+      {
+        $addFields: {
+          branchCode: "$branch.code",
+          branch: { $ifNull: ["$branch.name", "Unknown branch"] },
+        },
+      },
+      { $sort: { branch: 1 } },
+    ];
+  },
+};
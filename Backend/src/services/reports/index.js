@@ -0,0 +1,17 @@
+import assetSummary from "./assetSummary.report.js";
+import userHoldings from "./userHoldings.report.js";
+import loginActivity from "./loginActivity.report.js";
+import lockedAccounts from "./lockedAccounts.report.js";
+
+/**
+ * Report registry
+ * Each report definition provides:
+ * - id, name, description
+ * - requires:   permissions needed on top of report:view/generate/export
+ * - parameters: [{ name, label, type: "string"|"enum"|"date"|"objectId"|"boolean"|"number", options?, required?, default? }]
+ * - columns:    [{ key, label }] in output order
+ * - model + pipeline(actor, params): MongoDB aggregation producing one document per row
+ */
+export const REPORTS = [assetSummary, userHoldings, loginActivity, lockedAccounts];
+
+export const findReport = (reportId) => REPORTS.find((report) => report.id === reportId) || null;
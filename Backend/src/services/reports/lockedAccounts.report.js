@@ -0,0 +1,63 @@
+import { UserLogin } from "../../models/userLogin.model.js";
+import { buildScopeFilter } from "../../utils/permissionUtils.js";
+
+/**
+ * Locked Accounts - Accounts currently locked, temporarily or permanently
+ */
+
+export default {
+  id: "locked-accounts",
+  name: "Locked Accounts",
+  description: "Accounts that are currently locked out, with lock level and expiry",
+  requires: ["user:read"],
+
+  parameters: [
+    { name: "permanentOnly", label: "Permanent locks only", type: "boolean", default: false },
+  ],
+
+  columns: [
+    { key: "username", label: "Login ID" },
+    { key: "userName", label: "Name" },
+    { key: "email", label: "Email" },
+    { key: "lockType", label: "Lock Type" },
+    { key: "lockLevel", label: "Lock Level" },
+    { key: "lockUntil", label: "Locked Until" },
+    { key: "failedLoginAttempts", label: "Failed Attempts" },
+    { key: "lastLogin", label: "Last Login" },
+  ],
+
+  model: UserLogin,
+
+  pipeline(actor, params) {
+    const locked = params.permanentOnly
+      ? { isPermanentlyLocked: true }
+      : { $or: [{ isPermanentlyLocked: true }, { lockUntil: { $gt: new Date() } }] };
+
+    return [
+      { $match: locked },
+      { $lookup: { from: "users", localField: "user", foreignField: "_id", as: "account" } },
+      { $unwind: "$account" },
+      {
+        $match: buildScopeFilter(actor, {
+          objectIds: true,
+          branchField: "account.branchId",
+          enterpriseField: "account.organizationId",
+        }),
+      },
+      {
+        $project: {
+          _id: 0,
+          username: 1,
+          userName: "$account.name",
+          email: "$account.email",
+          lockType: { $cond: ["$isPermanentlyLocked", "permanent", "temporary"] },
+          lockLevel: 1,
+          lockUntil: 1,
+          failedLoginAttempts: 1,
+          lastLogin: 1,
+        },
+      },
+      { $sort: { lockType: 1, lockUntil: -1 } },
+    ];
+  },
+};
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+import { UserLogin } from "../../models/userLogin.model.js";
+import { buildScopeFilter } from "../../utils/permissionUtils.js";
+
+/**
+ * Login Activity - Every recorded sign-in per device in a date range
+ */
+
+const DEFAULT_WINDOW_DAYS = 30;
+
+export default {
+  id: "login-activity",
+  name: "Login Activity",
+  description: "Sign-ins per user and device within a date range (defaults to the last 30 days)",
+  requires: ["user:read"],
+
+  parameters: [
+    { name: "from", label: "From", type: "date" },
+    { name: "to", label: "To", type: "date" },
+    { name: "userId", label: "User", type: "objectId" },
+  ],
+
+  columns: [
+    { key: "username", label: "Login ID" },
+    { key: "userName", label: "Name" },
+    { key: "loginAt", label: "Login At" },
+    { key: "logoutAt", label: "Logout At" },
+    { key: "ipAddress", label: "IP Address" },
+    { key: "userAgent", label: "User Agent" },
+    { key: "deviceId", label: "Device ID" },
+  ],
+
+  model: UserLogin,
+
+  pipeline(actor, params) {
+    const to = params.to || new Date();
+    const from = params.from || new Date(to.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const match = {};
+    if (params.userId) match.user = new mongoose.Types.ObjectId(params.userId);
+
+    return [
+      { $match: match },
+      { $lookup: { from: "users", localField: "user", foreignField: "_id", as: "account" } },
+      { $unwind: "$account" },
+      {
+        $match: buildScopeFilter(actor, {
+          objectIds: true,
+          branchField: "account.branchId",
+          enterpriseField: "account.organizationId",
+        }),
+      },
+      { $unwind: "$loggedInDevices" },
+      { $unwind: "$loggedInDevices.loginHistory" },
+      { $match: { "loggedInDevices.loginHistory.loginAt": { $gte: from, $lte: to } } },
+      {
+        $project: {
+          _id: 0,
+          username: 1,
+          userName: "$account.name",
+          loginAt: "$loggedInDevices.loginHistory.loginAt",
+          logoutAt: "$loggedInDevices.loginHistory.logoutAt",
+          ipAddress: "$loggedInDevices.ipAddress",
+          userAgent: "$loggedInDevices.userAgent",
+          deviceId: "$loggedInDevices.deviceId",
+        },
+      },
+      { $sort: { loginAt: -1 } },
+    ];
+  },
+};
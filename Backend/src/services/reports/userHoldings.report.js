@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+import { Asset } from "../../models/asset.model.js";
+import { buildScopeFilter } from "../../utils/permissionUtils.js";
+
+/**
+ * User Holdings - Serialized assets and accessories/peripherals each user holds
+ */
+
+const lookupUser = [
+  { $lookup: { from: "users", localField: "holder", foreignField: "_id", as: "holder" } },
+  { $unwind: "$holder" },
+];
+
+export default {
+  id: "user-holdings",
+  name: "User Holdings",
+  description: "Assets and accessories/peripherals currently held by each user",
+  requires: ["asset:read"],
+
+  parameters: [
+    { name: "userId", label: "User", type: "objectId" },
+    { name: "branchId", label: "Branch", type: "objectId" },
+    { name: "includeStock", label: "Include accessories/peripherals", type: "boolean", default: true },
+  ],
+
+  columns: [
+    { key: "userId", label: "User ID" },
+    { key: "userName", label: "Name" },
+    { key: "email", label: "Email" },
+    { key: "type", label: "Type" },
+    { key: "item", label: "Item" },
+    { key: "identifier", label: "Serial / SKU" },
+    { key: "quantity", label: "Quantity" },
+    { key: "status", label: "Status" },
+    { key: "since", label: "Since" },
+    { key: "branch", label: "Branch" },
+  ],
+
+  model: Asset,
+
+  pipeline(actor, params) {
+    const match = {
+      ...buildScopeFilter(actor, { objectIds: true }),
+      status: { $in: ["assigned", "under_repair"] },
+      assignedTo: { $ne: null },
+    };
+    if (params.userId) match.assignedTo = new mongoose.Types.ObjectId(params.userId);
+    if (params.branchId) match.branchId = new mongoose.Types.ObjectId(params.branchId);
+
+    const assets = [
+      { $match: match },
+      {
+        $project: {
+          holder: "$assignedTo",
+          branchId: 1,
+          type: "$category",
+          item: "$name",
+          identifier: { $ifNull: ["$assetTag", "$serialNumber"] },
+          quantity: { $literal: 1 },
+          status: 1,
+          since: "$assignedAt",
+        },
+      },
+    ];
+
+    const pipeline = [...assets];
+
+    if (params.includeStock !== false) {
+      // Issued minus returned quantities from the stock movement ledger
+      const stockMatch = {
+        ...buildScopeFilter(actor, { objectIds: true }),
+        movementType: { $in: ["issue", "return"] },
+      };
+      if (params.userId) stockMatch.user = new mongoose.Types.ObjectId(params.userId);
+      if (params.branchId) stockMatch.branchId = new mongoose.Types.ObjectId(params.branchId);
+
+      pipeline.push({
+        $unionWith: {
+          coll: "stockmovements",
+          pipeline: [
+            { $match: stockMatch },
+            {
+              $group: {
+                _id: { user: "$user", item: "$item" },
+                branchId: { $last: "$branchId" },
+                type: { $last: "$kind" },
+                item: { $last: "$itemName" },
+                quantity: {
+                  $sum: {
+                    $cond: [{ $eq: ["$movementType", "issue"] }, "$quantity", { $multiply: ["$quantity", -1] }],
+                  },
+                },
+                since: { $min: "$occurredAt" },
+              },
+            },
+            { $match: { quantity: { $gt: 0 } } },
+            { $lookup: { from: "stockitems", localField: "_id.item", foreignField: "_id", as: "stockItem" } },
+            {
+              $project: {
+                _id: 0,
+                holder: "$_id.user",
+                branchId: 1,
+                type: 1,
+                item: 1,
+                identifier: { $arrayElemAt: ["$stockItem.sku", 0] },
+                quantity: 1,
+                status: { $literal: "issued" },
+                since: 1,
+              },
+            },
+          ],
+        },
+      });
+    }
+
+    return [
+      ...pipeline,
+      ...lookupUser,
+      { $lookup: { from: "branches", localField: "branchId", foreignField: "_id", as: "branch" } },
+      {
+        $project: {
+          _id: 0,
+          userId: "$holder.userId",
+          userName: "$holder.name",
+          email: "$holder.email",
+          type: 1,
+          item: 1,
+          identifier: 1,
+          quantity: 1,
+          status: 1,
+          since: 1,
+          branch: { $arrayElemAt: ["$branch.name", 0] },
+        },
+      },
+      { $sort: { userName: 1, type: 1, item: 1 } },
+    ];
+  },
+};
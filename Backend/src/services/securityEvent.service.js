@@ -0,0 +1,28 @@
+import { SecurityEvent } from "../models/securityEvent.model.js";
+
+/**
+ * Security Event Service - Records security-relevant account events
+ *
+ * Recording never throws: a failure to write the audit trail is logged and
+ * must not change the outcome of the request that triggered it.
+ */
+
+export const securityEventService = {
+  /**
+   * Record an event
+   * @param {Object} event - { type, user?, severity?, deviceId?, ipAddress?, userAgent?, details? }
+   * @returns {Promise<Object|null>} - Created event, or null when it could not be stored
+   */
+  async record(event) {
+    try {
+      const created = await SecurityEvent.create(event);
+      console.warn(`🛡️ Security event ${event.type} (user ${event.user || "unknown"})`);
+      return created.toObject();
+    } catch (error) {
+      console.error(`Failed to record security event ${event?.type}:`, error.message);
+      return null;
+    }
+  },
+};
+
+export default securityEventService;
@@ -0,0 +1,429 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { User } from "../models/user.model.js";
+import { ApiKey } from "../models/apiKey.model.js";
+import { Branch } from "../models/branch.model.js";
+import { Permission } from "../models/permission.model.js";
+import { apiError } from "../utils/apiError.js";
+import { buildScopeFilter, checkScopeAccess, hasPermission } from "../utils/permissionUtils.js";
+import securityEventService from "./securityEvent.service.js";
+
+/**
+ * Service Account Service - Service accounts and their API keys
+ *
+ * A service account is a User with accountType "service": it belongs to an
+ * organization (and optionally branches) like any user, so scope rules apply
+ * unchanged, but it has no password and cannot log in. Its permissions are
+ * the most any of its keys may grant; each key carries its own subset. At
+ * request time a key grants the permissions it has that its account still
+ * has, so narrowing the account narrows every key.
+ *
+ * Keys are sent as "Authorization: Bearer abcd_sk_..." (or X-API-Key) and
+ * accepted by verifyJWT, so checkPermission and scope filters work as for
+ * user tokens.
+ */
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+export const API_KEY_PREFIX = "abcd_sk_";
+const API_KEY_PATTERN = /^abcd_sk_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const MAX_KEY_LIFETIME_DAYS = () => parseInt(process.env.API_KEY_MAX_LIFETIME_DAYS || "365", 10);
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(String(secret)).digest("hex");
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, `Invalid ${label} ID`);
+  }
+};
+
+// API keys cannot be used to create or widen other credentials
+const assertHumanActor = (actor) => {
+  if (actor?.isServiceAccount) {
+    throw new apiError(403, "Service accounts cannot manage service accounts or API keys");
+  }
+};
+
+// Service account within the actor's scope; anything else is reported as not found
+const findServiceAccountInScope = async (actor, id) => {
+  assertObjectId(id, "service account");
+  const account = await User.findOne({ _id: id, accountType: "service", ...buildScopeFilter(actor) });
+  if (!account) {
+    throw new apiError(404, "Service account not found");
+  }
+  return account;
+};
+
+// Permissions from the Permission catalogue that the actor holds themselves;
+// "*" is never granted to a service account
+const sanitizePermissions = async (actor, permissions, field = "permissions") => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw new apiError(400, `${field} must be a non-empty list`);
+  }
+
+  const keys = [...new Set(permissions.map((permission) => String(permission).trim().toLowerCase()))];
+  if (keys.includes("*")) {
+    throw new apiError(400, "Service accounts cannot have the wildcard permission");
+  }
+
+  const known = await Permission.find({ key: { $in: keys }, isActive: true }).select("key").lean();
+  const knownKeys = new Set(known.map((permission) => permission.key));
+  const unknown = keys.filter((key) => !knownKeys.has(key));
+  if (unknown.length) {
+    throw new apiError(400, `Unknown permissions: ${unknown.join(", ")}`);
+  }
+
+  const notHeld = keys.filter((key) => !hasPermission(actor.permissions, key));
+  if (notHeld.length) {
+    throw new apiError(403, `You cannot grant permissions you do not have: ${notHeld.join(", ")}`);
+  }
+
+  return keys;
+};
+
+const assertBranches = async (organizationId, branchIds) => {
+  const ids = (Array.isArray(branchIds) ? branchIds : branchIds ? [branchIds] : []).map(String);
+  const invalid = ids.find((id) => !mongoose.isValidObjectId(id));
+  if (invalid) {
+    throw new apiError(400, `Invalid branch ID: ${invalid}`);
+  }
+  if (!ids.length) return [];
+
+  const branches = await Branch.find({ _id: { $in: ids }, organizationId }).select("_id").lean();
+  if (branches.length !== new Set(ids).size) {
+    throw new apiError(400, "One or more branches were not found in this organization");
+  }
+  return ids;
+};
+
+const parseExpiry = (payload) => {
+  const maxDays = MAX_KEY_LIFETIME_DAYS();
+  let expiresAt = null;
+
+  if (payload.expiresAt) {
+    expiresAt = new Date(payload.expiresAt);
+  } else if (payload.expiresInDays !== undefined && payload.expiresInDays !== null && payload.expiresInDays !== "") {
+    const days = Number(payload.expiresInDays);
+    if (!Number.isInteger(days) || days < 1) {
+      throw new apiError(400, "expiresInDays must be a whole number of days");
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  } else if (maxDays > 0) {
+    expiresAt = new Date(Date.now() + maxDays * 24 * 60 * 60 * 1000);
+  }
+
+  if (expiresAt && (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+    throw new apiError(400, "expiresAt must be a date in the future");
+  }
+  if (maxDays > 0 && (!expiresAt || expiresAt > new Date(Date.now() + maxDays * 24 * 60 * 60 * 1000))) {
+    throw new apiError(400, `API keys cannot be valid for more than ${maxDays} days`);
+  }
+  return expiresAt;
+};
+
+const toKeyResponse = (key) => {
+  const { keyHash: _keyHash, ...rest } = key.toObject ? key.toObject() : key;
+  return { ...rest, prefix: `${API_KEY_PREFIX}${key.keyId}` };
+};
+
+// =====================================================
+// SERVICE ACCOUNT SERVICE
+// =====================================================
+export const serviceAccountService = {
+  /**
+   * Permissions from the catalogue the actor may grant to service accounts
+   * @param {Object} actor - Authenticated user (req.user)
+   * @returns {Promise<Array>} - [{ key, description, category }]
+   */
+  async listGrantablePermissions(actor) {
+    try {
+      const permissions = await Permission.find({ isActive: true, key: { $ne: "*" } })
+        .select("key description category")
+        .sort({ category: 1, key: 1 })
+        .lean();
+      return permissions.filter((permission) => hasPermission(actor.permissions, permission.key));
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Service accounts visible to the actor, with their active key count
+   * @param {Object} actor - Authenticated user (req.user)
+   * @returns {Promise<Array>}
+   */
+  async listServiceAccounts(actor) {
+    try {
+      const accounts = await User.find({ accountType: "service", ...buildScopeFilter(actor) })
+        .populate("organizationId", "name code")
+        .populate("createdBy", "name userId")
+        .sort({ createdAt: -1 })
+        .lean();
+
+      const activeKeys = await ApiKey.aggregate([
+        {
+          $match: {
+            serviceAccount: { $in: accounts.map((account) => account._id) },
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+          },
+        },
+        { $group: { _id: "$serviceAccount", count: { $sum: 1 } } },
+      ]);
+      const counts = new Map(activeKeys.map((entry) => [String(entry._id), entry.count]));
+
+      return accounts.map((account) => ({ ...account, activeKeyCount: counts.get(String(account._id)) || 0 }));
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Create a service account
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} payload - { userId, name, organizationId, branchId?, permissions, remarks? }
+   * @returns {Promise<Object>} - Created service account
+   */
+  async createServiceAccount(actor, payload = {}) {
+    try {
+      assertHumanActor(actor);
+      const userId = String(payload.userId || "").trim();
+      const name = String(payload.name || "").trim();
+      const organizationId = payload.organizationId || actor.organizationId;
+      if (!userId || !name || !organizationId) {
+        throw new apiError(400, "userId, name and organizationId are required");
+      }
+      assertObjectId(organizationId, "organization");
+      if (!checkScopeAccess(actor, null, organizationId)) {
+        throw new apiError(403, "You cannot manage service accounts of this organization");
+      }
+
+      if (await User.exists({ userId, organizationId })) {
+        throw new apiError(409, `User ID "${userId}" already exists in this organization`);
+      }
+
+      const account = await User.create({
+        userId,
+        name,
+        designation: "Service account",
+        accountType: "service",
+        role: "user",
+        canLogin: false,
+        organizationId,
+        branchId: await assertBranches(organizationId, payload.branchId),
+        permissions: await sanitizePermissions(actor, payload.permissions),
+        remarks: String(payload.remarks || "").trim(),
+        createdBy: actor._id || actor.id,
+      });
+
+      return account.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Update a service account's name, remarks, permissions or active flag.
+   * Deactivating it stops all its keys; reactivating does not revive revoked ones.
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} id - Service account ID
+   * @param {Object} payload - { name?, remarks?, permissions?, isActive? }
+   * @returns {Promise<Object>} - Updated service account
+   */
+  async updateServiceAccount(actor, id, payload = {}) {
+    try {
+      assertHumanActor(actor);
+      const account = await findServiceAccountInScope(actor, id);
+
+      if (payload.name !== undefined) {
+        const name = String(payload.name).trim();
+        if (!name) throw new apiError(400, "name cannot be empty");
+        account.name = name;
+      }
+      if (payload.remarks !== undefined) account.remarks = String(payload.remarks).trim();
+      if (payload.permissions !== undefined) {
+        account.permissions = await sanitizePermissions(actor, payload.permissions);
+      }
+      if (payload.isActive !== undefined) account.isActive = !!payload.isActive;
+
+      await account.save();
+      return account.toObject();
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Keys of a service account (never the secrets)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} id - Service account ID
+   * @returns {Promise<Array>}
+   */
+  async listKeys(actor, id) {
+    try {
+      const account = await findServiceAccountInScope(actor, id);
+      const keys = await ApiKey.find({ serviceAccount: account._id })
+        .populate("createdBy", "name userId")
+        .populate("revokedBy", "name userId")
+        .sort({ createdAt: -1 });
+      return keys.map(toKeyResponse);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Create an API key. The full key is only returned here.
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} id - Service account ID
+   * @param {Object} payload - { name, permissions, expiresAt? | expiresInDays? }
+   * @returns {Promise<Object>} - { apiKey, key }
+   */
+  async createKey(actor, id, payload = {}) {
+    try {
+      assertHumanActor(actor);
+      const account = await findServiceAccountInScope(actor, id);
+      if (!account.isActive) {
+        throw new apiError(400, "Activate the service account before creating keys");
+      }
+
+      const name = String(payload.name || "").trim();
+      if (!name) {
+        throw new apiError(400, "name is required");
+      }
+
+      const permissions = await sanitizePermissions(actor, payload.permissions);
+      const outside = permissions.filter((permission) => !hasPermission(account.permissions, permission));
+      if (outside.length) {
+        throw new apiError(400, `The service account does not have: ${outside.join(", ")}`);
+      }
+
+      const keyId = crypto.randomBytes(8).toString("hex");
+      const secret = crypto.randomBytes(32).toString("base64url");
+      const key = await ApiKey.create({
+        serviceAccount: account._id,
+        name,
+        keyId,
+        keyHash: hashSecret(secret),
+        permissions,
+        expiresAt: parseExpiry(payload),
+        createdBy: actor._id || actor.id,
+      });
+
+      securityEventService.record({
+        user: account._id,
+        type: "api_key_created",
+        severity: "info",
+        details: { keyId, name, permissions, expiresAt: key.expiresAt, createdBy: actor._id || actor.id },
+      });
+
+      return { apiKey: `${API_KEY_PREFIX}${keyId}_${secret}`, key: toKeyResponse(key) };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Revoke an API key (immediately; cannot be undone)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} id - Service account ID
+   * @param {string} keyId - Public key ID
+   * @returns {Promise<Object>} - Revoked key
+   */
+  async revokeKey(actor, id, keyId) {
+    try {
+      assertHumanActor(actor);
+      const account = await findServiceAccountInScope(actor, id);
+      const key = await ApiKey.findOne({ serviceAccount: account._id, keyId });
+      if (!key) {
+        throw new apiError(404, "API key not found");
+      }
+      if (key.revokedAt) {
+        throw new apiError(400, "API key is already revoked");
+      }
+
+      key.revokedAt = new Date();
+      key.revokedBy = actor._id || actor.id;
+      await key.save();
+
+      securityEventService.record({
+        user: account._id,
+        type: "api_key_revoked",
+        severity: "info",
+        details: { keyId, name: key.name, revokedBy: key.revokedBy },
+      });
+
+      return toKeyResponse(key);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Whether a credential looks like an API key (rather than a JWT)
+   * @param {string} token - Credential from the request
+   * @returns {boolean}
+   */
+  isApiKey(token) {
+    return typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+  },
+
+  /**
+   * Authenticate a request made with an API key
+   * @param {string} token - Full API key
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} - req.user for the service account, with the key's effective permissions
+   */
+  async authenticate(token, ipAddress = null) {
+    const invalid = () => new apiError(401, "Invalid API key");
+
+    const match = API_KEY_PATTERN.exec(token);
+    if (!match) throw invalid();
+    const [, keyId, secret] = match;
+
+    const key = await ApiKey.findOne({ keyId }).select("+keyHash");
+    if (!key) throw invalid();
+
+    const expected = Buffer.from(key.keyHash, "hex");
+    const actual = Buffer.from(hashSecret(secret), "hex");
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw invalid();
+    }
+    if (key.revokedAt) throw new apiError(401, "API key has been revoked");
+    if (key.isExpired) throw new apiError(401, "API key has expired");
+
+    const account = await User.findOne({ _id: key.serviceAccount, accountType: "service" });
+    if (!account || !account.isActive || account.isBlocked) {
+      throw new apiError(403, "Service account is disabled");
+    }
+
+    const now = new Date();
+    if (!key.lastUsedAt || now - key.lastUsedAt > LAST_USED_RESOLUTION_MS || key.lastUsedIp !== ipAddress) {
+      ApiKey.updateOne({ _id: key._id }, { $set: { lastUsedAt: now, lastUsedIp: ipAddress } }).catch((error) =>
+        console.error("Failed to record API key use:", error.message)
+      );
+    }
+
+    return {
+      id: String(account._id),
+      ...account.toObject(),
+      // The key's permissions, as far as the account still has them
+      permissions: key.permissions.filter((permission) => hasPermission(account.permissions, permission)),
+      apiKeyId: key.keyId,
+      isServiceAccount: true,
+    };
+  },
+};
+
+export default serviceAccountService;
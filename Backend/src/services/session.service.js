@@ -0,0 +1,214 @@
+import mongoose from "mongoose";
+import { UserLogin } from "../models/userLogin.model.js";
+import { User } from "../models/user.model.js";
+import { apiError } from "../utils/apiError.js";
+import { buildScopeFilter } from "../utils/permissionUtils.js";
+import { parseUserAgent } from "../utils/userAgent.js";
+import securityEventService from "./securityEvent.service.js";
+
+/**
+ * Session Service - Signed-in devices of a user
+ *
+ * A session is a loggedInDevices entry: it is active while it holds a refresh
+ * token. Signing a device out ends its refresh token family and bumps its
+ * tokenVersion, so access tokens already issued to it stop working on the
+ * next request (verifyJWT compares the version). Users manage their own
+ * sessions; admins with user:disable manage those of users in their scope.
+ */
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+const isSuperAdmin = (actor) => !!actor?.permissions?.includes("*");
+
+const findUserLogin = async (userId) => {
+  const userLogin = await UserLogin.findOne({ user: userId });
+  if (!userLogin) {
+    throw new apiError(404, "Login credentials not found");
+  }
+  return userLogin;
+};
+
+// Load a user whose sessions the actor may manage; users outside the scope are reported as not found
+const findManageableUser = async (actor, userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new apiError(400, "Invalid user ID");
+  }
+
+  const user = await User.findOne({ _id: userId, ...buildScopeFilter(actor) }).select("userId name email role");
+  if (!user) {
+    throw new apiError(404, "User not found");
+  }
+  if (user.role === "super_admin" && !isSuperAdmin(actor)) {
+    throw new apiError(403, "Super admin accounts can only be managed by a super admin");
+  }
+
+  return user;
+};
+
+const toSessions = (userLogin, currentDeviceId = null) =>
+  userLogin.getActiveDevices().map((device) => ({
+    ...device,
+    client: parseUserAgent(device.userAgent),
+    current: !!currentDeviceId && device.deviceId === currentDeviceId,
+  }));
+
+// Sign out every active device except keepDeviceId; returns how many were signed out
+const endSessions = async (userLogin, keepDeviceId = null) => {
+  const devices = userLogin.loggedInDevices.filter((device) => device.refreshToken && device.deviceId !== keepDeviceId);
+  devices.forEach((device) => userLogin.endDeviceSession(device));
+  userLogin.isLoggedIn = userLogin.loggedInDevices.some((device) => device.refreshToken);
+  await userLogin.save();
+  return devices.length;
+};
+
+const recordRevocation = (userId, details, context = {}) =>
+  securityEventService.record({
+    user: userId,
+    type: "session_revoked",
+    severity: "info",
+    deviceId: context.deviceId || null,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    details,
+  });
+
+// =====================================================
+// SESSION SERVICE
+// =====================================================
+export const sessionService = {
+  /**
+   * The user's devices, most recently seen first
+   * @param {string} userId - User ID
+   * @param {string} currentDeviceId - Device of the request (flagged as current)
+   * @returns {Promise<Array<Object>>} - { deviceId, ipAddress, userAgent, client, active, current, firstSeenAt, lastSeenAt, loginCount, loginHistory }
+   */
+  async listSessions(userId, currentDeviceId = null) {
+    try {
+      const userLogin = await findUserLogin(userId);
+      return toSessions(userLogin, currentDeviceId);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Sign out one of the user's devices
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device to sign out
+   * @param {Object} context - { deviceId, ipAddress, userAgent } of the request, revokedBy? (admin)
+   * @returns {Promise<Object>}
+   */
+  async revokeSession(userId, deviceId, context = {}) {
+    try {
+      const userLogin = await findUserLogin(userId);
+      const device = userLogin.loggedInDevices.find((d) => d.deviceId === deviceId);
+      if (!device || !device.refreshToken) {
+        throw new apiError(404, "Session not found or already signed out");
+      }
+
+      userLogin.endDeviceSession(device);
+      userLogin.isLoggedIn = userLogin.loggedInDevices.some((d) => d.refreshToken);
+      await userLogin.save();
+
+      recordRevocation(
+        userId,
+        { revokedDeviceId: deviceId, scope: "device", revokedBy: context.revokedBy || userId },
+        context
+      );
+
+      return { success: true, message: "Device signed out" };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Sign out every device except the one making the request
+   * @param {string} userId - User ID
+   * @param {string} currentDeviceId - Device to keep signed in
+   * @param {Object} context - { deviceId, ipAddress, userAgent } of the request
+   * @returns {Promise<Object>} - { revoked }
+   */
+  async revokeOtherSessions(userId, currentDeviceId, context = {}) {
+    try {
+      if (!currentDeviceId) {
+        throw new apiError(400, "This session has no device; sign in again first");
+      }
+
+      const userLogin = await findUserLogin(userId);
+      const revoked = await endSessions(userLogin, currentDeviceId);
+      if (revoked > 0) {
+        recordRevocation(userId, { scope: "others", revoked, revokedBy: userId }, context);
+      }
+
+      return { revoked, message: revoked ? `Signed out ${revoked} other device(s)` : "No other devices were signed in" };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * A user's devices, for an admin
+   * @param {Object} actor - Admin (req.user)
+   * @param {string} userId - User whose sessions to list
+   * @returns {Promise<Object>} - { user, sessions }
+   */
+  async listSessionsForUser(actor, userId) {
+    try {
+      const user = await findManageableUser(actor, userId);
+      const userLogin = await findUserLogin(user._id);
+      return { user, sessions: toSessions(userLogin) };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Sign out one device of a user, as an admin
+   * @param {Object} actor - Admin (req.user)
+   * @param {string} userId - User
+   * @param {string} deviceId - Device to sign out
+   * @param {Object} context - { deviceId, ipAddress, userAgent } of the request
+   * @returns {Promise<Object>}
+   */
+  async revokeSessionForUser(actor, userId, deviceId, context = {}) {
+    try {
+      const user = await findManageableUser(actor, userId);
+      return await this.revokeSession(user._id, deviceId, { ...context, revokedBy: actor._id || actor.id });
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Sign out every device of a user, as an admin
+   * @param {Object} actor - Admin (req.user)
+   * @param {string} userId - User
+   * @param {Object} context - { deviceId, ipAddress, userAgent } of the request
+   * @returns {Promise<Object>} - { revoked }
+   */
+  async revokeAllSessionsForUser(actor, userId, context = {}) {
+    try {
+      const user = await findManageableUser(actor, userId);
+      const userLogin = await findUserLogin(user._id);
+      const revoked = await endSessions(userLogin);
+      if (revoked > 0) {
+        recordRevocation(user._id, { scope: "all", revoked, revokedBy: actor._id || actor.id }, context);
+      }
+
+      return { revoked, message: revoked ? `Signed out ${revoked} device(s)` : "The user was not signed in anywhere" };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default sessionService;
@@ -0,0 +1,544 @@
+import mongoose from "mongoose";
+import { StockItem, STOCK_KINDS } from "../models/stockItem.model.js";
+import {
+  StockMovement,
+  STOCK_MOVEMENT_TYPES,
+  OUTGOING_MOVEMENT_TYPES,
+} from "../models/stockMovement.model.js";
+import { User } from "../models/user.model.js";
+import { Branch } from "../models/branch.model.js";
+import { apiError } from "../utils/apiError.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { checkScopeAccess, buildScopeFilter } from "../utils/permissionUtils.js";
+
+/**
+ * Stock Service - Quantity-tracked accessories and peripherals
+ * Every quantity change is an atomic $inc on the item plus a
+ * StockMovement ledger entry; quantities never go below zero.
+ */
+
+// Fields a client may set directly on create/update.
+// quantity is only changed through stock movements.
+const EDITABLE_FIELDS = ["name", "sku", "category", "unit", "minimumLevel", "remarks"];
+
+const pickEditableFields = (payload = {}) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (payload[field] !== undefined) acc[field] = payload[field];
+    return acc;
+  }, {});
+
+const assertObjectId = (id, label = "ID") => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, `Invalid ${label}`);
+  }
+};
+
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new apiError(400, "quantity must be a positive whole number");
+  }
+  return quantity;
+};
+
+const parseDate = (value, label) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new apiError(400, `Invalid ${label} date`);
+  }
+  return date;
+};
+
+const duplicateKeyError = (error) => {
+  const field = Object.keys(error.keyPattern || {})[0] || "field";
+  return new apiError(409, `A stock item with this ${field} already exists at this branch`);
+};
+
+const populateMovement = (query) =>
+  query
+    .populate("user", "userId name email")
+    .populate("performedBy", "userId name")
+    .populate("branchId", "name code");
+
+const findItemInScope = async (actor, itemId) => {
+  assertObjectId(itemId, "stock item ID");
+
+  const item = await StockItem.findById(itemId);
+  if (!item) {
+    throw new apiError(404, "Stock item not found");
+  }
+
+  if (!checkScopeAccess(actor, item.branchId, item.organizationId)) {
+    throw new apiError(403, "Access to this stock item is not allowed");
+  }
+
+  return item;
+};
+
+const findHolder = async (userId, organizationId) => {
+  assertObjectId(userId, "user ID");
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new apiError(404, "User not found");
+  }
+
+  if (String(user.organizationId) !== String(organizationId)) {
+    throw new apiError(400, "User belongs to a different organization than the stock item");
+  }
+
+  return user;
+};
+
+// Quantity of an item a user still holds (issued minus returned)
+const getOutstandingQuantity = async (itemId, userId) => {
+  const [result] = await StockMovement.aggregate([
+    {
+      $match: {
+        item: new mongoose.Types.ObjectId(String(itemId)),
+        user: new mongoose.Types.ObjectId(String(userId)),
+        movementType: { $in: ["issue", "return"] },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        outstanding: {
+          $sum: {
+            $cond: [{ $eq: ["$movementType", "issue"] }, "$quantity", { $multiply: ["$quantity", -1] }],
+          },
+        },
+      },
+    },
+  ]);
+
+  return result?.outstanding || 0;
+};
+
+/**
+ * Atomically change the quantity on hand and record the movement
+ * @param {Object} actor - Authenticated user (req.user)
+ * @param {Object} item - StockItem document
+ * @param {Object} movement - { movementType, quantity, user?, reference?, remarks? }
+ * @returns {Promise<Object>} - { item, movement, belowMinimum }
+ */
+const applyMovement = async (actor, item, { movementType, quantity, user = null, reference = "", remarks = "" }) => {
+  const outgoing = OUTGOING_MOVEMENT_TYPES.includes(movementType);
+  const filter = { _id: item._id };
+  if (outgoing) filter.quantity = { $gte: quantity };
+
+  const updated = await StockItem.findOneAndUpdate(
+    filter,
+    { $inc: { quantity: outgoing ? -quantity : quantity }, $set: { updatedBy: actor._id } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new apiError(400, `Insufficient stock: ${item.quantity} ${item.unit} of "${item.name}" on hand`);
+  }
+
+  const movement = await StockMovement.create({
+    item: updated._id,
+    itemName: updated.name,
+    kind: updated.kind,
+    organizationId: updated.organizationId,
+    branchId: updated.branchId,
+    movementType,
+    quantity,
+    balanceAfter: updated.quantity,
+    user,
+    reference: reference || "",
+    remarks: remarks || "",
+    performedBy: actor._id,
+  });
+
+  return { item: updated, movement, belowMinimum: updated.isBelowMinimum() };
+};
+
+export const stockService = {
+  /**
+   * List stock items within the actor's scope
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { page, limit, kind, category, branchId, belowMinimum, includeInactive, q }
+   * @returns {Promise<Object>} - { items, meta }
+   */
+  async listItems(actor, query = {}) {
+    try {
+      const page = Math.max(parseInt(query.page || 1, 10), 1);
+      const limit = Math.max(parseInt(query.limit || 25, 10), 1);
+      const skip = (page - 1) * limit;
+
+      const filter = buildScopeFilter(actor);
+
+      if (query.kind) {
+        if (!STOCK_KINDS.includes(query.kind)) {
+          throw new apiError(400, `Invalid kind. Allowed: ${STOCK_KINDS.join(", ")}`);
+        }
+        filter.kind = query.kind;
+      }
+
+      if (query.category) filter.category = String(query.category).toLowerCase();
+      if (query.includeInactive !== "true") filter.isActive = true;
+      if (query.belowMinimum === "true") filter.$expr = { $lte: ["$quantity", "$minimumLevel"] };
+
+      if (query.branchId) {
+        if (!checkScopeAccess(actor, query.branchId, null)) {
+          throw new apiError(403, "Access to this branch is not allowed");
+        }
+        filter.branchId = query.branchId;
+      }
+
+      if (query.q) {
+        const pattern = new RegExp(escapeRegex(String(query.q).trim()), "i");
+        filter.$or = [{ name: pattern }, { sku: pattern }];
+      }
+
+      const [items, total] = await Promise.all([
+        StockItem.find(filter)
+          .populate("branchId", "name code")
+          .skip(skip)
+          .limit(limit)
+          .sort({ name: 1 })
+          .lean(),
+        StockItem.countDocuments(filter),
+      ]);
+
+      return {
+        items: items.map((item) => ({ ...item, belowMinimum: item.quantity <= item.minimumLevel })),
+        meta: { page, limit, total },
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Get a single stock item
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} itemId - Stock item ID
+   * @returns {Promise<Object>}
+   */
+  async getItemById(actor, itemId) {
+    try {
+      const item = await findItemInScope(actor, itemId);
+      await item.populate("branchId", "name code");
+      return { ...item.toObject(), belowMinimum: item.isBelowMinimum() };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Create a stock item at a branch, optionally with an opening stock-in
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} payload - { name, kind, branchId, sku?, category?, unit?, minimumLevel?, openingQuantity?, remarks? }
+   * @returns {Promise<Object>} - Created item
+   */
+  async createItem(actor, payload = {}) {
+    try {
+      const { kind, branchId, openingQuantity } = payload;
+
+      if (!payload.name || !kind || !branchId) {
+        throw new apiError(400, "name, kind and branchId are required");
+      }
+
+      if (!STOCK_KINDS.includes(kind)) {
+        throw new apiError(400, `Invalid kind. Allowed: ${STOCK_KINDS.join(", ")}`);
+      }
+
+      assertObjectId(branchId, "branch ID");
+      const branch = await Branch.findById(branchId);
+      if (!branch || !branch.isActive) {
+        throw new apiError(404, "Branch not found");
+      }
+
+      if (!checkScopeAccess(actor, branch._id, branch.organizationId)) {
+        throw new apiError(403, "Access to this branch is not allowed");
+      }
+
+      const item = await StockItem.create({
+        ...pickEditableFields(payload),
+        kind,
+        organizationId: branch.organizationId,
+        branchId: branch._id,
+        quantity: 0,
+        createdBy: actor?._id || null,
+      });
+
+      if (openingQuantity) {
+        const { item: stocked } = await applyMovement(actor, item, {
+          movementType: "stock_in",
+          quantity: parseQuantity(openingQuantity),
+          reference: "Opening stock",
+        });
+        return stocked;
+      }
+
+      return item;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      if (error.code === 11000) throw duplicateKeyError(error);
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Update item details and thresholds (not quantity)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} itemId - Stock item ID
+   * @param {Object} payload - Editable fields, plus isActive
+   * @returns {Promise<Object>} - Updated item
+   */
+  async updateItem(actor, itemId, payload = {}) {
+    try {
+      const item = await findItemInScope(actor, itemId);
+
+      item.set(pickEditableFields(payload));
+      if (payload.isActive !== undefined) item.isActive = Boolean(payload.isActive);
+      item.updatedBy = actor?._id || null;
+      await item.save();
+
+      return item;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      if (error.code === 11000) throw duplicateKeyError(error);
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Receive quantity into branch stock
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} itemId - Stock item ID
+   * @param {Object} data - { quantity, reference?, remarks? }
+   * @returns {Promise<Object>} - { item, movement, belowMinimum }
+   */
+  async stockIn(actor, itemId, { quantity, reference, remarks } = {}) {
+    try {
+      const qty = parseQuantity(quantity);
+      const item = await findItemInScope(actor, itemId);
+
+      if (!item.isActive) {
+        throw new apiError(400, "Stock item is inactive");
+      }
+
+      return await applyMovement(actor, item, { movementType: "stock_in", quantity: qty, reference, remarks });
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Remove quantity from stock without a holder (consumed, damaged, written off)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} itemId - Stock item ID
+   * @param {Object} data - { quantity, reason, remarks? }
+   * @returns {Promise<Object>} - { item, movement, belowMinimum }
+   */
+  async stockOut(actor, itemId, { quantity, reason, remarks } = {}) {
+    try {
+      const qty = parseQuantity(quantity);
+
+      if (!reason) {
+        throw new apiError(400, "reason is required for stock-out");
+      }
+
+      const item = await findItemInScope(actor, itemId);
+      return await applyMovement(actor, item, {
+        movementType: "stock_out",
+        quantity: qty,
+        reference: reason,
+        remarks,
+      });
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Issue quantity to a user
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} itemId - Stock item ID
+   * @param {Object} data - { userId, quantity, remarks? }
+   * @returns {Promise<Object>} - { item, movement, belowMinimum }
+   */
+  async issueToUser(actor, itemId, { userId, quantity, remarks } = {}) {
+    try {
+      const qty = parseQuantity(quantity);
+
+      if (!userId) {
+        throw new apiError(400, "userId is required");
+      }
+
+      const item = await findItemInScope(actor, itemId);
+
+      if (!item.isActive) {
+        throw new apiError(400, "Stock item is inactive");
+      }
+
+      const user = await findHolder(userId, item.organizationId);
+      if (!user.isActive || user.isBlocked) {
+        throw new apiError(400, `User "${user.name}" is not active`);
+      }
+
+      return await applyMovement(actor, item, {
+        movementType: "issue",
+        quantity: qty,
+        user: user._id,
+        remarks,
+      });
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Take back quantity a user was issued
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} itemId - Stock item ID
+   * @param {Object} data - { userId, quantity, remarks? }
+   * @returns {Promise<Object>} - { item, movement, belowMinimum }
+   */
+  async returnFromUser(actor, itemId, { userId, quantity, remarks } = {}) {
+    try {
+      const qty = parseQuantity(quantity);
+
+      if (!userId) {
+        throw new apiError(400, "userId is required");
+      }
+
+      const item = await findItemInScope(actor, itemId);
+      const user = await findHolder(userId, item.organizationId);
+
+      const outstanding = await getOutstandingQuantity(item._id, user._id);
+      if (qty > outstanding) {
+        throw new apiError(400, `"${user.name}" only holds ${outstanding} ${item.unit} of "${item.name}"`);
+      }
+
+      return await applyMovement(actor, item, {
+        movementType: "return",
+        quantity: qty,
+        user: user._id,
+        remarks,
+      });
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Movement ledger within the actor's scope
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { page, limit, itemId, userId, movementType, branchId, from, to }
+   * @returns {Promise<Object>} - { items, meta }
+   */
+  async listMovements(actor, query = {}) {
+    try {
+      const page = Math.max(parseInt(query.page || 1, 10), 1);
+      const limit = Math.max(parseInt(query.limit || 50, 10), 1);
+      const skip = (page - 1) * limit;
+
+      const filter = buildScopeFilter(actor);
+
+      if (query.movementType) {
+        if (!STOCK_MOVEMENT_TYPES.includes(query.movementType)) {
+          throw new apiError(400, `Invalid movement type. Allowed: ${STOCK_MOVEMENT_TYPES.join(", ")}`);
+        }
+        filter.movementType = query.movementType;
+      }
+
+      if (query.branchId) {
+        if (!checkScopeAccess(actor, query.branchId, null)) {
+          throw new apiError(403, "Access to this branch is not allowed");
+        }
+        filter.branchId = query.branchId;
+      }
+
+      if (query.itemId) filter.item = query.itemId;
+      if (query.userId) filter.user = query.userId;
+
+      const from = parseDate(query.from, "from");
+      const to = parseDate(query.to, "to");
+      if (from || to) {
+        filter.occurredAt = {};
+        if (from) filter.occurredAt.$gte = from;
+        if (to) filter.occurredAt.$lte = to;
+      }
+
+      const [items, total] = await Promise.all([
+        populateMovement(StockMovement.find(filter))
+          .skip(skip)
+          .limit(limit)
+          .sort({ occurredAt: -1, _id: -1 })
+          .lean(),
+        StockMovement.countDocuments(filter),
+      ]);
+
+      return { items, meta: { page, limit, total } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Accessories/peripherals a user currently holds (issued minus returned)
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { user, items: [{ item, itemName, kind, quantity, lastIssuedAt }] }
+   */
+  async getUserStockHoldings(actor, userId) {
+    try {
+      assertObjectId(userId, "user ID");
+
+      const user = await User.findById(userId).select("userId name email organizationId branchId").lean();
+      if (!user) {
+        throw new apiError(404, "User not found");
+      }
+
+      const match = {
+        ...buildScopeFilter(actor, { objectIds: true }),
+        user: user._id,
+        movementType: { $in: ["issue", "return"] },
+      };
+
+      const rows = await StockMovement.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$item",
+            itemName: { $last: "$itemName" },
+            kind: { $last: "$kind" },
+            quantity: {
+              $sum: {
+                $cond: [{ $eq: ["$movementType", "issue"] }, "$quantity", { $multiply: ["$quantity", -1] }],
+              },
+            },
+            lastIssuedAt: {
+              $max: { $cond: [{ $eq: ["$movementType", "issue"] }, "$occurredAt", null] },
+            },
+          },
+        },
+        { $match: { quantity: { $gt: 0 } } },
+        { $sort: { itemName: 1 } },
+      ]);
+
+      return {
+        user,
+        items: rows.map(({ _id, ...row }) => ({ item: _id, ...row })),
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default stockService;
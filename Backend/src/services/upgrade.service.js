@@ -0,0 +1,247 @@
+import mongoose from "mongoose";
+import {
+  AssetUpgrade,
+  UPGRADE_TYPES,
+  UPGRADE_COMPONENTS,
+} from "../models/assetUpgrade.model.js";
+import { Asset } from "../models/asset.model.js";
+import { apiError } from "../utils/apiError.js";
+import { checkScopeAccess, buildScopeFilter } from "../utils/permissionUtils.js";
+
+/**
+ * Upgrade Service - Hardware/software upgrades applied to assets
+ * The "before" value of every upgrade is taken from the asset's current
+ * configuration, so purchase spec + upgrades always replays cleanly.
+ */
+
+// Assets that are gone cannot be upgraded any more
+const NON_UPGRADABLE_STATUSES = ["disposed", "lost"];
+
+const assertObjectId = (id, label = "ID") => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new apiError(400, `Invalid ${label}`);
+  }
+};
+
+const parseDate = (value, label) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new apiError(400, `Invalid ${label} date`);
+  }
+  return date;
+};
+
+const populateUpgrade = (query) =>
+  query
+    .populate("asset", "name serialNumber assetTag category status")
+    .populate("branchId", "name code")
+    .populate("recordedBy", "userId name");
+
+const findAssetInScope = async (actor, assetId) => {
+  assertObjectId(assetId, "asset ID");
+
+  const asset = await Asset.findById(assetId).lean();
+  if (!asset) {
+    throw new apiError(404, "Asset not found");
+  }
+
+  if (!checkScopeAccess(actor, asset.branchId, asset.organizationId)) {
+    throw new apiError(403, "Access to this asset is not allowed");
+  }
+
+  return asset;
+};
+
+// Specification key an upgrade changes
+const resolveComponent = (upgradeType, component) => {
+  if (upgradeType !== "other") return UPGRADE_COMPONENTS[upgradeType];
+
+  const key = String(component || "").trim().toLowerCase();
+  if (!key) {
+    throw new apiError(400, "component is required for upgrades of type other");
+  }
+  return key;
+};
+
+/**
+ * Apply upgrades, oldest first, on top of a purchase specification
+ * @param {Object} specifications - Purchase specification ({ ram: "8GB", ... })
+ * @param {Array<Object>} upgrades - Upgrade records sorted by performedAt ascending
+ * @returns {Object} - Current configuration
+ */
+export const buildCurrentConfiguration = (specifications = {}, upgrades = []) =>
+  upgrades.reduce(
+    (config, upgrade) => ({ ...config, [upgrade.component]: upgrade.after }),
+    { ...(specifications || {}) }
+  );
+
+export const upgradeService = {
+  /**
+   * List upgrades within the actor's scope
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} query - { page, limit, upgradeType, branchId, assetId, from, to }
+   * @returns {Promise<Object>} - { items, meta }
+   */
+  async listUpgrades(actor, query = {}) {
+    try {
+      const page = Math.max(parseInt(query.page || 1, 10), 1);
+      const limit = Math.max(parseInt(query.limit || 25, 10), 1);
+      const skip = (page - 1) * limit;
+
+      const filter = buildScopeFilter(actor);
+
+      if (query.upgradeType) {
+        if (!UPGRADE_TYPES.includes(query.upgradeType)) {
+          throw new apiError(400, `Invalid upgrade type. Allowed: ${UPGRADE_TYPES.join(", ")}`);
+        }
+        filter.upgradeType = query.upgradeType;
+      }
+
+      if (query.branchId) {
+        if (!checkScopeAccess(actor, query.branchId, null)) {
+          throw new apiError(403, "Access to this branch is not allowed");
+        }
+        filter.branchId = query.branchId;
+      }
+
+      if (query.assetId) filter.asset = query.assetId;
+
+      const from = parseDate(query.from, "from");
+      const to = parseDate(query.to, "to");
+      if (from || to) {
+        filter.performedAt = {};
+        if (from) filter.performedAt.$gte = from;
+        if (to) filter.performedAt.$lte = to;
+      }
+
+      const [items, total] = await Promise.all([
+        populateUpgrade(AssetUpgrade.find(filter))
+          .skip(skip)
+          .limit(limit)
+          .sort({ performedAt: -1, _id: -1 })
+          .lean(),
+        AssetUpgrade.countDocuments(filter),
+      ]);
+
+      return { items, meta: { page, limit, total } };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Upgrade timeline of one asset with its purchase and current configuration
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<Object>} - { asset, purchaseSpecification, currentConfiguration, upgrades }
+   */
+  async getAssetUpgrades(actor, assetId) {
+    try {
+      const asset = await findAssetInScope(actor, assetId);
+
+      const upgrades = await AssetUpgrade.find({ asset: asset._id })
+        .populate("recordedBy", "userId name")
+        .sort({ performedAt: 1, _id: 1 })
+        .lean();
+
+      const purchaseSpecification = asset.specifications || {};
+
+      return {
+        asset: {
+          _id: asset._id,
+          name: asset.name,
+          serialNumber: asset.serialNumber,
+          assetTag: asset.assetTag,
+          category: asset.category,
+          make: asset.make,
+          model: asset.model,
+          status: asset.status,
+        },
+        purchaseSpecification,
+        currentConfiguration: buildCurrentConfiguration(purchaseSpecification, upgrades),
+        upgrades,
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Log an upgrade against an asset
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} payload - { assetId, upgradeType, component? (for "other"), after, performedAt?, performedBy?, cost?, notes? }
+   * @returns {Promise<Object>} - Created upgrade record
+   */
+  async recordUpgrade(actor, payload = {}) {
+    try {
+      const { assetId, upgradeType, component, after, performedBy, cost, notes } = payload;
+
+      if (!assetId || !upgradeType || !after) {
+        throw new apiError(400, "assetId, upgradeType and after are required");
+      }
+
+      if (!UPGRADE_TYPES.includes(upgradeType)) {
+        throw new apiError(400, `Invalid upgrade type. Allowed: ${UPGRADE_TYPES.join(", ")}`);
+      }
+
+      const key = resolveComponent(upgradeType, component);
+      const performedAt = parseDate(payload.performedAt, "performedAt") || new Date();
+
+      if (performedAt > new Date()) {
+        throw new apiError(400, "performedAt cannot be in the future");
+      }
+
+      const asset = await findAssetInScope(actor, assetId);
+
+      if (NON_UPGRADABLE_STATUSES.includes(asset.status)) {
+        throw new apiError(400, `Cannot upgrade an asset with status ${asset.status}`);
+      }
+
+      const upgrades = await AssetUpgrade.find({ asset: asset._id })
+        .sort({ performedAt: 1, _id: 1 })
+        .lean();
+
+      // Upgrades are replayed in order; back-dating before the last one would
+      // break the before/after chain
+      const latest = upgrades[upgrades.length - 1];
+      if (latest && performedAt < latest.performedAt) {
+        throw new apiError(
+          400,
+          `performedAt must not be earlier than the last upgrade (${latest.performedAt.toISOString()})`
+        );
+      }
+
+      const current = buildCurrentConfiguration(asset.specifications, upgrades);
+      const before = current[key] ?? null;
+
+      if (before !== null && before === String(after).trim()) {
+        throw new apiError(400, `${key} is already ${before}`);
+      }
+
+      const upgrade = await AssetUpgrade.create({
+        asset: asset._id,
+        organizationId: asset.organizationId,
+        branchId: asset.branchId,
+        upgradeType,
+        component: key,
+        before,
+        after,
+        performedAt,
+        performedBy: performedBy || "",
+        cost: cost ?? null,
+        notes: notes || "",
+        recordedBy: actor._id,
+      });
+
+      return upgrade;
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default upgradeService;
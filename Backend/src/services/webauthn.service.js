@@ -0,0 +1,371 @@
+import crypto from "crypto";
+import { UserLogin } from "../models/userLogin.model.js";
+import { User } from "../models/user.model.js";
+import { WebAuthnChallenge } from "../models/webauthnChallenge.model.js";
+import { apiError } from "../utils/apiError.js";
+import {
+  COSE_ALGORITHMS,
+  WebAuthnError,
+  parseClientData,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+} from "../utils/webauthn.js";
+import mfaService from "./mfa.service.js";
+import securityEventService from "./securityEvent.service.js";
+
+/**
+ * WebAuthn Service - Passkeys (FIDO2/WebAuthn credentials) for user logins
+ *
+ * A passkey is registered by a signed-in user and stored on their UserLogin.
+ * It then signs in either without a password (discoverable credential with
+ * user verification, which counts as multi-factor on its own) or as the
+ * second factor after the password, next to TOTP. Every ceremony uses a
+ * single-use challenge issued here. An assertion whose signature counter does
+ * not move forward disables the passkey: the authenticator was probably
+ * cloned. The login flows themselves live in authService.
+ *
+ * Environment:
+ * - WEBAUTHN_RP_ID        relying party ID (default: APP_BASE_URL host name)
+ * - WEBAUTHN_RP_NAME      name shown by the browser (default: MFA_ISSUER or "ABCD")
+ * - WEBAUTHN_ORIGINS      comma-separated origins allowed to run ceremonies (default: APP_BASE_URL origin)
+ * - WEBAUTHN_TIMEOUT_MS   time the user has to complete a ceremony (default 300000, at most 10 minutes)
+ */
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+const MAX_PASSKEYS = 10;
+
+const appUrl = () => new URL(process.env.APP_BASE_URL || "http://localhost:5173");
+
+const getRelyingParty = () => ({
+  id: process.env.WEBAUTHN_RP_ID || appUrl().hostname,
+  name: process.env.WEBAUTHN_RP_NAME || process.env.MFA_ISSUER || "ABCD",
+  origins: process.env.WEBAUTHN_ORIGINS
+    ? process.env.WEBAUTHN_ORIGINS.split(",").map((origin) => origin.trim()).filter(Boolean)
+    : [appUrl().origin],
+});
+
+const getTimeoutMs = () => Math.min(parseInt(process.env.WEBAUTHN_TIMEOUT_MS || "300000", 10), 10 * 60 * 1000);
+
+const issueChallenge = async (purpose, user = null, deviceId = null) => {
+  const challenge = crypto.randomBytes(32).toString("base64url");
+  await WebAuthnChallenge.create({ challenge, purpose, user, deviceId });
+  return challenge;
+};
+
+// Take the challenge a response answers (it works once); null when unknown or too old
+const consumeChallenge = async (credential, purpose) => {
+  let clientData;
+  try {
+    clientData = parseClientData(credential?.response?.clientDataJSON);
+  } catch (error) {
+    throw new apiError(400, error.message);
+  }
+  if (typeof clientData.challenge !== "string") return null;
+
+  return WebAuthnChallenge.findOneAndDelete({
+    challenge: clientData.challenge,
+    purpose,
+    createdAt: { $gte: new Date(Date.now() - getTimeoutMs()) },
+  });
+};
+
+const findUserLogin = async (userId) => {
+  const userLogin = await UserLogin.findOne({ user: userId });
+  if (!userLogin) {
+    throw new apiError(404, "Login credentials not found");
+  }
+  return userLogin;
+};
+
+const toPublicCredential = (credential) => ({
+  credentialId: credential.credentialId,
+  name: credential.name,
+  transports: credential.transports || [],
+  backedUp: !!credential.backedUp,
+  deviceId: credential.deviceId,
+  userAgent: credential.userAgent,
+  createdAt: credential.createdAt,
+  lastUsedAt: credential.lastUsedAt,
+  disabledAt: credential.disabledAt,
+  disabledReason: credential.disabledReason,
+});
+
+const toDescriptor = (credential) => ({
+  type: "public-key",
+  id: credential.credentialId,
+  ...(credential.transports?.length && { transports: credential.transports }),
+});
+
+// =====================================================
+// WEBAUTHN SERVICE
+// =====================================================
+export const webauthnService = {
+  /**
+   * Passkeys registered by a user (disabled ones included, with the reason)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async listCredentials(userId) {
+    try {
+      const userLogin = await findUserLogin(userId);
+      return (userLogin.webauthnCredentials || []).map(toPublicCredential);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Options for navigator.credentials.create (binary values base64url encoded)
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device the request comes from
+   * @returns {Promise<Object>} - PublicKeyCredentialCreationOptions
+   */
+  async beginRegistration(userId, deviceId = null) {
+    try {
+      const userLogin = await findUserLogin(userId);
+      if ((userLogin.webauthnCredentials || []).length >= MAX_PASSKEYS) {
+        throw new apiError(400, `At most ${MAX_PASSKEYS} passkeys can be registered. Remove one first.`);
+      }
+
+      const user = await User.findById(userId).select("name email");
+      const relyingParty = getRelyingParty();
+
+      return {
+        rp: { id: relyingParty.id, name: relyingParty.name },
+        user: {
+          id: Buffer.from(String(userLogin.user)).toString("base64url"),
+          name: userLogin.username,
+          displayName: user?.name || userLogin.username,
+        },
+        challenge: await issueChallenge("registration", userLogin.user, deviceId),
+        pubKeyCredParams: Object.values(COSE_ALGORITHMS).map((alg) => ({ type: "public-key", alg })),
+        timeout: getTimeoutMs(),
+        attestation: "none",
+        excludeCredentials: (userLogin.webauthnCredentials || []).map(toDescriptor),
+        authenticatorSelection: { residentKey: "preferred", userVerification: "preferred" },
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Verify the browser's registration response and store the passkey
+   * @param {string} userId - User ID
+   * @param {Object} credential - PublicKeyCredential as JSON (base64url)
+   * @param {Object} context - { name?, deviceId?, ipAddress?, userAgent? }
+   * @returns {Promise<Object>} - The stored passkey
+   */
+  async finishRegistration(userId, credential, { name, deviceId = null, ipAddress = null, userAgent = null } = {}) {
+    try {
+      const challenge = await consumeChallenge(credential, "registration");
+      if (!challenge || String(challenge.user) !== String(userId)) {
+        throw new apiError(400, "Passkey registration expired. Please try again.");
+      }
+
+      const relyingParty = getRelyingParty();
+      let verified;
+      try {
+        verified = verifyRegistrationResponse(credential, {
+          challenge: challenge.challenge,
+          origins: relyingParty.origins,
+          rpId: relyingParty.id,
+        });
+      } catch (error) {
+        if (error instanceof WebAuthnError) throw new apiError(400, error.message);
+        throw error;
+      }
+
+      // A credential ID belongs to one login only
+      const existing = await UserLogin.exists({ "webauthnCredentials.credentialId": verified.credentialId });
+      if (existing) {
+        throw new apiError(409, "This passkey is already registered");
+      }
+
+      const userLogin = await findUserLogin(userId);
+      userLogin.webauthnCredentials.push({
+        credentialId: verified.credentialId,
+        publicKey: verified.publicKey,
+        algorithm: verified.algorithm,
+        signCount: verified.signCount,
+        name: String(name || "").trim().slice(0, 60) || "Passkey",
+        transports: verified.transports,
+        aaguid: verified.aaguid,
+        backupEligible: verified.backupEligible,
+        backedUp: verified.backedUp,
+        deviceId: deviceId || challenge.deviceId,
+        userAgent,
+      });
+      await userLogin.save();
+
+      await securityEventService.record({
+        type: "passkey_registered",
+        user: userLogin.user,
+        severity: "info",
+        deviceId,
+        ipAddress,
+        userAgent,
+        details: { credentialId: verified.credentialId, attestationFormat: verified.attestationFormat },
+      });
+
+      return toPublicCredential(userLogin.webauthnCredentials[userLogin.webauthnCredentials.length - 1]);
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Remove a passkey. The last second factor of a user whose role requires
+   * MFA cannot be removed.
+   * @param {string} userId - User ID
+   * @param {string} credentialId - base64url credential ID
+   * @param {Object} context - { ipAddress?, userAgent? }
+   * @returns {Promise<Object>}
+   */
+  async removeCredential(userId, credentialId, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      const userLogin = await findUserLogin(userId);
+      const credential = (userLogin.webauthnCredentials || []).find((item) => item.credentialId === credentialId);
+      if (!credential) {
+        throw new apiError(404, "Passkey not found");
+      }
+
+      const remaining = userLogin.getActivePasskeys().filter((item) => item.credentialId !== credentialId);
+      if (!userLogin.mfa?.enabled && remaining.length === 0 && !credential.disabledAt) {
+        const user = await User.findById(userId).select("role");
+        if (await mfaService.isRequiredForUser(user)) {
+          throw new apiError(400, "Your role requires multi-factor authentication. Set up another factor first.");
+        }
+      }
+
+      userLogin.webauthnCredentials = userLogin.webauthnCredentials.filter((item) => item.credentialId !== credentialId);
+      await userLogin.save();
+
+      await securityEventService.record({
+        type: "passkey_removed",
+        user: userLogin.user,
+        severity: "info",
+        ipAddress,
+        userAgent,
+        details: { credentialId },
+      });
+
+      return { success: true, message: "Passkey removed" };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Options for navigator.credentials.get. Without a user the browser offers
+   * any passkey of this site (passwordless); with one, only that user's.
+   * @param {Object} userLogin - UserLogin of the second-factor step (null = passwordless)
+   * @param {string} deviceId - Device the request comes from
+   * @returns {Promise<Object>} - PublicKeyCredentialRequestOptions
+   */
+  async beginAuthentication(userLogin = null, deviceId = null) {
+    try {
+      const relyingParty = getRelyingParty();
+      const passkeys = userLogin ? userLogin.getActivePasskeys() : [];
+      if (userLogin && passkeys.length === 0) {
+        throw new apiError(400, "No passkey is registered for this account");
+      }
+
+      return {
+        challenge: await issueChallenge("authentication", userLogin?.user || null, deviceId),
+        rpId: relyingParty.id,
+        timeout: getTimeoutMs(),
+        userVerification: userLogin ? "preferred" : "required",
+        allowCredentials: passkeys.map(toDescriptor),
+      };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+
+  /**
+   * Verify an authentication response. Passwordless responses must carry user
+   * verification; second-factor responses must come from the given login.
+   * Updates the passkey's counter and last use, or disables it when the
+   * counter shows a clone.
+   * @param {Object} credential - PublicKeyCredential as JSON (base64url)
+   * @param {Object} context - { userLogin? (second factor), ipAddress?, userAgent? }
+   * @returns {Promise<Object>} - { userLogin, credentialId }
+   */
+  async verifyAuthentication(credential, { userLogin = null, ipAddress = null, userAgent = null } = {}) {
+    try {
+      const challenge = await consumeChallenge(credential, "authentication");
+      const expectedUser = userLogin ? String(userLogin.user) : null;
+      if (!challenge || (challenge.user ? String(challenge.user) : null) !== expectedUser) {
+        throw new apiError(401, "Passkey sign-in expired. Please try again.");
+      }
+
+      const credentialId = String(credential?.rawId || credential?.id || "");
+      const owner = userLogin || (await UserLogin.findOne({ "webauthnCredentials.credentialId": credentialId }));
+      const stored = owner?.webauthnCredentials.find((item) => item.credentialId === credentialId);
+      if (!stored) {
+        throw new apiError(401, "This passkey is not registered");
+      }
+      if (stored.disabledAt) {
+        throw new apiError(401, "This passkey has been disabled. Sign in another way and remove it.");
+      }
+
+      const relyingParty = getRelyingParty();
+      let verified;
+      try {
+        verified = verifyAuthenticationResponse(credential, stored, {
+          challenge: challenge.challenge,
+          origins: relyingParty.origins,
+          rpId: relyingParty.id,
+          requireUserVerification: !userLogin,
+        });
+      } catch (error) {
+        if (error instanceof WebAuthnError) throw new apiError(401, error.message);
+        throw error;
+      }
+
+      // Passwordless: the authenticator's user handle must name the owner
+      const userHandle = credential.response.userHandle;
+      if (!userLogin && userHandle && Buffer.from(userHandle, "base64url").toString() !== String(owner.user)) {
+        throw new apiError(401, "Passkey does not belong to this account");
+      }
+
+      if (verified.cloneDetected) {
+        stored.disabledAt = new Date();
+        stored.disabledReason = "clone_detected";
+        await owner.save();
+
+        await securityEventService.record({
+          type: "passkey_clone_detected",
+          user: owner.user,
+          severity: "critical",
+          deviceId: challenge.deviceId,
+          ipAddress,
+          userAgent,
+          details: { credentialId, storedSignCount: stored.signCount, presentedSignCount: verified.signCount },
+        });
+        throw new apiError(401, "This passkey has been disabled because it may have been copied. Sign in another way.");
+      }
+
+      stored.signCount = verified.signCount;
+      stored.backedUp = verified.backedUp;
+      stored.lastUsedAt = new Date();
+      await owner.save();
+
+      return { userLogin: owner, credentialId };
+    } catch (error) {
+      if (error instanceof apiError) throw error;
+      throw new apiError(500, error.message);
+    }
+  },
+};
+
+export default webauthnService;
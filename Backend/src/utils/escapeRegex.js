@@ -0,0 +1,7 @@
+/**
+ * Escape a value for use as a literal inside a RegExp, so user input in
+ * search filters cannot fail to compile or run as a pattern
+ * @param {string} value - Text to match literally
+ * @returns {string}
+ */
+export const escapeRegex = (value) => String(value ?? "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -0,0 +1,91 @@
+import crypto from "crypto";
+
+/**
+ * JWS Utility - Compact JSON Web Signatures with RS256 and EdDSA (Ed25519)
+ *
+ * Only signing and signature checks live here; claims (exp, iss, token type)
+ * are checked by keyRingService. Errors use the names jsonwebtoken uses
+ * ("JsonWebTokenError", "TokenExpiredError") so callers can tell an expired
+ * token from an invalid one the same way as before.
+ */
+
+export const JWS_ALGORITHMS = ["RS256", "EdDSA"];
+
+export class JwtError extends Error {
+  constructor(message, name = "JsonWebTokenError") {
+    super(message);
+    this.name = name;
+  }
+}
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw new JwtError("jwt malformed");
+  }
+};
+
+// crypto.sign/verify digest argument: Ed25519 hashes internally
+const digestFor = (alg) => (alg === "RS256" ? "sha256" : null);
+
+/**
+ * Sign a payload
+ * @param {Object} payload - Claims
+ * @param {Object} options - { alg, kid, privateKey (KeyObject or PEM) }
+ * @returns {string} - Compact JWS
+ */
+export const signJws = (payload, { alg, kid, privateKey }) => {
+  if (!JWS_ALGORITHMS.includes(alg)) {
+    throw new JwtError(`Unsupported algorithm ${alg}`);
+  }
+
+  const signingInput = `${encodeSegment({ alg, typ: "JWT", kid })}.${encodeSegment(payload)}`;
+  const signature = crypto.sign(digestFor(alg), Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString("base64url")}`;
+};
+
+/**
+ * Split a compact JWS without checking it
+ * @param {string} token - Compact JWS
+ * @returns {Object} - { header, payload, signingInput, signature }
+ */
+export const decodeJws = (token) => {
+  if (typeof token !== "string") {
+    throw new JwtError("jwt must be a string");
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new JwtError("jwt malformed");
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  return {
+    header: decodeSegment(headerSegment),
+    payload: decodeSegment(payloadSegment),
+    signingInput: `${headerSegment}.${payloadSegment}`,
+    signature: Buffer.from(signatureSegment, "base64url"),
+  };
+};
+
+/**
+ * Check the signature of a decoded JWS
+ * @param {Object} decoded - From decodeJws
+ * @param {Object} options - { alg (expected), publicKey (KeyObject or PEM) }
+ * @returns {Object} - The payload
+ */
+export const verifyJwsSignature = (decoded, { alg, publicKey }) => {
+  // The key decides the algorithm; a token cannot pick a different one
+  if (decoded.header.alg !== alg) {
+    throw new JwtError("invalid algorithm");
+  }
+
+  const valid = crypto.verify(digestFor(alg), Buffer.from(decoded.signingInput), publicKey, decoded.signature);
+  if (!valid) {
+    throw new JwtError("invalid signature");
+  }
+  return decoded.payload;
+};
@@ -0,0 +1,429 @@
+import net from "net";
+import tls from "tls";
+
+/**
+ * Minimal LDAP v3 client (RFC 4511)
+ * Covers what directory logins need, without third-party dependencies:
+ * simple bind, search with RFC 4515 string filters, and unbind, over
+ * ldap:// or ldaps://. The BER helpers are exported for the mock server in
+ * src/dev/mockLdapServer.js.
+ */
+
+// LDAPMessage protocolOp tags
+export const LDAP_OP = {
+  BIND_REQUEST: 0x60,
+  BIND_RESPONSE: 0x61,
+  UNBIND_REQUEST: 0x42,
+  SEARCH_REQUEST: 0x63,
+  SEARCH_RESULT_ENTRY: 0x64,
+  SEARCH_RESULT_DONE: 0x65,
+  SEARCH_RESULT_REFERENCE: 0x73,
+};
+
+// Filter CHOICE tags
+export const FILTER_TAG = {
+  AND: 0xa0,
+  OR: 0xa1,
+  NOT: 0xa2,
+  EQUALITY: 0xa3,
+  SUBSTRINGS: 0xa4,
+  GREATER_OR_EQUAL: 0xa5,
+  LESS_OR_EQUAL: 0xa6,
+  PRESENT: 0x87,
+  APPROX: 0xa8,
+};
+
+export const LDAP_RESULT = {
+  SUCCESS: 0,
+  SIZE_LIMIT_EXCEEDED: 4,
+  NO_SUCH_OBJECT: 32,
+  INVALID_CREDENTIALS: 49,
+  UNWILLING_TO_PERFORM: 53,
+};
+
+const SEARCH_SCOPES = { base: 0, one: 1, sub: 2 };
+
+export class LdapError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = "LdapError";
+    this.code = code;
+  }
+}
+
+// ===== BER =====
+
+const encodeLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const tlv = (tag, content) => Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+
+const integer = (value, tag = 0x02) => {
+  const bytes = [];
+  let rest = value;
+  do {
+    bytes.unshift(rest & 0xff);
+    rest = Math.floor(rest / 256);
+  } while (rest > 0);
+  if (bytes[0] & 0x80) bytes.unshift(0);
+  return tlv(tag, Buffer.from(bytes));
+};
+
+const octetString = (value, tag = 0x04) =>
+  tlv(tag, Buffer.isBuffer(value) ? value : Buffer.from(String(value ?? ""), "utf8"));
+
+const sequence = (items, tag = 0x30) => tlv(tag, Buffer.concat(items));
+
+// Read one element at offset; null when the buffer does not hold all of it yet
+const readElement = (buffer, offset = 0) => {
+  if (offset + 2 > buffer.length) return null;
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let start = offset + 2;
+
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    if (start + lengthBytes > buffer.length) return null;
+    length = 0;
+    for (let i = 0; i < lengthBytes; i += 1) length = length * 256 + buffer[start + i];
+    start += lengthBytes;
+  }
+
+  if (start + length > buffer.length) return null;
+  return { tag, content: buffer.subarray(start, start + length), end: start + length };
+};
+
+const readChildren = (content) => {
+  const children = [];
+  let offset = 0;
+  while (offset < content.length) {
+    const element = readElement(content, offset);
+    if (!element) throw new LdapError("Malformed BER element");
+    children.push(element);
+    offset = element.end;
+  }
+  return children;
+};
+
+const readInteger = (content) => {
+  let value = 0;
+  for (const byte of content) value = value * 256 + byte;
+  if (content.length && content[0] & 0x80) value -= 2 ** (8 * content.length);
+  return value;
+};
+
+const readString = (content) => content.toString("utf8");
+
+export const ber = { tlv, integer, octetString, sequence, readElement, readChildren, readInteger, readString };
+
+// ===== FILTERS (RFC 4515) =====
+
+/**
+ * Escape a value for use inside a filter, e.g. (uid=${escapeFilterValue(input)})
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeFilterValue = (value) =>
+  String(value ?? "").replace(/[\\*()\0]/g, (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, "0")}`);
+
+// "\2a" escapes back to bytes
+const unescapeFilterValue = (value) => {
+  const bytes = [];
+  for (let i = 0; i < value.length; i += 1) {
+    if (value[i] === "\\") {
+      const hex = value.slice(i + 1, i + 3);
+      if (!/^[0-9a-fA-F]{2}$/.test(hex)) throw new LdapError(`Invalid escape in filter value "${value}"`);
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i], "utf8"));
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const encodeItemFilter = (item) => {
+  const match = item.match(/^([^=<>~]+)(=|>=|<=|~=)(.*)$/s);
+  if (!match) throw new LdapError(`Invalid filter item "${item}"`);
+  const [, attribute, operator, value] = match;
+
+  if (operator === "=" && value === "*") {
+    return octetString(attribute, FILTER_TAG.PRESENT);
+  }
+
+  if (operator === "=" && value.includes("*")) {
+    const parts = value.split("*");
+    const substrings = [];
+    parts.forEach((part, index) => {
+      if (!part) return;
+      // [0] initial, [1] any, [2] final
+      const tag = index === 0 ? 0x80 : index === parts.length - 1 ? 0x82 : 0x81;
+      substrings.push(octetString(unescapeFilterValue(part), tag));
+    });
+    return sequence([octetString(attribute), sequence(substrings)], FILTER_TAG.SUBSTRINGS);
+  }
+
+  const tag = {
+    "=": FILTER_TAG.EQUALITY,
+    ">=": FILTER_TAG.GREATER_OR_EQUAL,
+    "<=": FILTER_TAG.LESS_OR_EQUAL,
+    "~=": FILTER_TAG.APPROX,
+  }[operator];
+  return sequence([octetString(attribute), octetString(unescapeFilterValue(value))], tag);
+};
+
+/**
+ * Encode a string filter such as "(&(objectClass=user)(sAMAccountName=jdoe))"
+ * @param {string} filter
+ * @returns {Buffer}
+ */
+export const encodeFilter = (filter) => {
+  const text = String(filter).trim();
+  let pos = 0;
+
+  const expect = (char) => {
+    if (text[pos] !== char) throw new LdapError(`Invalid filter "${text}": expected "${char}" at ${pos}`);
+    pos += 1;
+  };
+
+  const parse = () => {
+    expect("(");
+    const kind = text[pos];
+    let encoded;
+
+    if (kind === "&" || kind === "|") {
+      pos += 1;
+      const children = [];
+      while (text[pos] === "(") children.push(parse());
+      encoded = sequence(children, kind === "&" ? FILTER_TAG.AND : FILTER_TAG.OR);
+    } else if (kind === "!") {
+      pos += 1;
+      encoded = tlv(FILTER_TAG.NOT, parse());
+    } else {
+      const end = text.indexOf(")", pos);
+      if (end === -1) throw new LdapError(`Invalid filter "${text}": missing ")"`);
+      encoded = encodeItemFilter(text.slice(pos, end));
+      pos = end;
+    }
+
+    expect(")");
+    return encoded;
+  };
+
+  const encoded = parse();
+  if (pos !== text.length) throw new LdapError(`Invalid filter "${text}": unexpected text at ${pos}`);
+  return encoded;
+};
+
+// ===== RESPONSES =====
+
+const readResult = (content) => {
+  const [code, matchedDn, message] = readChildren(content);
+  return {
+    code: readInteger(code.content),
+    matchedDn: readString(matchedDn.content),
+    message: message ? readString(message.content) : "",
+  };
+};
+
+const readEntry = (content) => {
+  const [objectName, attributeList] = readChildren(content);
+  const attributes = {};
+  for (const attribute of readChildren(attributeList.content)) {
+    const [type, values] = readChildren(attribute.content);
+    // Attribute names are case-insensitive: keyed in lowercase
+    attributes[readString(type.content).toLowerCase()] = readChildren(values.content).map((value) =>
+      readString(value.content)
+    );
+  }
+  return { dn: readString(objectName.content), attributes };
+};
+
+// ===== CLIENT =====
+
+export class LdapClient {
+  /**
+   * @param {Object} options - { url, timeoutMs = 10000, tlsOptions = {} }
+   */
+  constructor({ url, timeoutMs = 10000, tlsOptions = {} }) {
+    this.url = new URL(url);
+    if (!["ldap:", "ldaps:"].includes(this.url.protocol)) {
+      throw new LdapError(`Unsupported LDAP URL "${url}" (use ldap:// or ldaps://)`);
+    }
+    this.timeoutMs = timeoutMs;
+    this.tlsOptions = tlsOptions;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.messageId = 0;
+    // messageId -> { onMessage(op) => result | undefined, resolve, reject, timer }
+    this.pending = new Map();
+  }
+
+  /**
+   * Open the connection
+   * @returns {Promise<void>}
+   */
+  connect() {
+    const secure = this.url.protocol === "ldaps:";
+    const host = this.url.hostname;
+    const port = parseInt(this.url.port || (secure ? "636" : "389"), 10);
+
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ...this.tlsOptions })
+        : net.connect({ host, port });
+      this.socket = socket;
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new LdapError(`Connection to ${this.url.host} timed out`));
+      }, this.timeoutMs);
+
+      socket.once(secure ? "secureConnect" : "connect", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.once("error", (error) => {
+        clearTimeout(timer);
+        reject(new LdapError(`Cannot connect to ${this.url.host}: ${error.message}`));
+      });
+      socket.on("data", (chunk) => this.handleData(chunk));
+      socket.on("close", () => this.failPending(new LdapError("Connection closed by the server")));
+    });
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let message;
+    while ((message = readElement(this.buffer))) {
+      this.buffer = this.buffer.subarray(message.end);
+      try {
+        const [id, op] = readChildren(message.content);
+        const request = this.pending.get(readInteger(id.content));
+        if (!request) continue;
+
+        const result = request.onMessage(op);
+        if (result !== undefined) {
+          this.pending.delete(readInteger(id.content));
+          clearTimeout(request.timer);
+          request.resolve(result);
+        }
+      } catch (error) {
+        this.failPending(error instanceof LdapError ? error : new LdapError(error.message));
+        this.close();
+        return;
+      }
+    }
+  }
+
+  failPending(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  // Send a request; onMessage returns the final result, or undefined while more responses follow
+  request(protocolOp, onMessage) {
+    if (!this.socket || this.socket.destroyed) {
+      return Promise.reject(new LdapError("Not connected"));
+    }
+
+    this.messageId += 1;
+    const id = this.messageId;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new LdapError("LDAP request timed out"));
+      }, this.timeoutMs);
+
+      this.pending.set(id, { onMessage, resolve, reject, timer });
+      this.socket.write(sequence([integer(id), protocolOp]));
+    });
+  }
+
+  /**
+   * Simple bind. An empty password is refused here: servers treat it as an
+   * anonymous bind that "succeeds" (RFC 4513 unauthenticated bind).
+   * @param {string} dn - Bind DN (or user principal name for Active Directory)
+   * @param {string} password
+   * @returns {Promise<void>} - Rejects with LdapError (code 49 = invalid credentials)
+   */
+  async bind(dn, password) {
+    if (!password) {
+      throw new LdapError("Invalid credentials", LDAP_RESULT.INVALID_CREDENTIALS);
+    }
+
+    const op = sequence(
+      [integer(3), octetString(dn), octetString(String(password), 0x80)],
+      LDAP_OP.BIND_REQUEST
+    );
+    const result = await this.request(op, (response) =>
+      response.tag === LDAP_OP.BIND_RESPONSE ? readResult(response.content) : undefined
+    );
+
+    if (result.code !== LDAP_RESULT.SUCCESS) {
+      throw new LdapError(
+        result.code === LDAP_RESULT.INVALID_CREDENTIALS ? "Invalid credentials" : `Bind failed: ${result.message || result.code}`,
+        result.code
+      );
+    }
+  }
+
+  /**
+   * Search the directory
+   * @param {string} base - Base DN
+   * @param {Object} options - { scope = "sub", filter = "(objectClass=*)", attributes = [], sizeLimit = 0 }
+   * @returns {Promise<Array<Object>>} - Entries { dn, attributes: { lowercasedName: [values] } }
+   */
+  async search(base, { scope = "sub", filter = "(objectClass=*)", attributes = [], sizeLimit = 0 } = {}) {
+    const op = sequence(
+      [
+        octetString(base),
+        integer(SEARCH_SCOPES[scope] ?? SEARCH_SCOPES.sub, 0x0a),
+        integer(0, 0x0a), // never deref aliases
+        integer(sizeLimit),
+        integer(Math.ceil(this.timeoutMs / 1000)),
+        tlv(0x01, Buffer.from([0])), // typesOnly false
+        encodeFilter(filter),
+        sequence(attributes.map((attribute) => octetString(attribute))),
+      ],
+      LDAP_OP.SEARCH_REQUEST
+    );
+
+    const entries = [];
+    const result = await this.request(op, (response) => {
+      if (response.tag === LDAP_OP.SEARCH_RESULT_ENTRY) {
+        entries.push(readEntry(response.content));
+        return undefined;
+      }
+      if (response.tag === LDAP_OP.SEARCH_RESULT_DONE) return readResult(response.content);
+      // Referrals to other servers are not followed
+      return undefined;
+    });
+
+    if (![LDAP_RESULT.SUCCESS, LDAP_RESULT.SIZE_LIMIT_EXCEEDED].includes(result.code)) {
+      throw new LdapError(`Search failed: ${result.message || result.code}`, result.code);
+    }
+    return entries;
+  }
+
+  /**
+   * Say goodbye and close the connection
+   */
+  close() {
+    if (!this.socket || this.socket.destroyed) return;
+    this.messageId += 1;
+    const socket = this.socket;
+    socket.end(sequence([integer(this.messageId), tlv(LDAP_OP.UNBIND_REQUEST, Buffer.alloc(0))]));
+    // Servers close after an unbind; don't wait on one that doesn't
+    setTimeout(() => socket.destroy(), 1000).unref();
+  }
+}
@@ -0,0 +1,83 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Mailer - Pluggable outgoing mail transport
+ *
+ * MAIL_TRANSPORT selects a built-in transport:
+ * - "log"  (default): prints the message to the console, with link tokens
+ *           (password reset, email verification) redacted so logs never hold
+ *           working links
+ * - "file": writes each message as an .eml file into MAIL_OUTBOX_DIR,
+ *           a local stand-in for an SMTP relay during development (use it to
+ *           follow the links)
+ *
+ * A real transport (SMTP client, provider API) is plugged in at startup with
+ * setMailTransport(async (message) => { ... }).
+ */
+
+const DEFAULT_FROM = "ABCD <no-reply@abcd.local>";
+
+// token=<value> in links; the value is a credential
+const redactTokens = (text) => String(text ?? "").replace(/([?&]token=)[^\s&#]+/gi, "$1[redacted]");
+
+const builtInTransports = {
+  async log(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${redactTokens(message.text)}`);
+  },
+
+  async file(message) {
+    const outbox = process.env.MAIL_OUTBOX_DIR || "storage/mail-outbox";
+    await fs.mkdir(outbox, { recursive: true });
+
+    const eml = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@abcd.local>`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      message.text,
+    ].join("\r\n");
+
+    const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(4).toString("hex")}.eml`;
+    await fs.writeFile(path.join(outbox, name), eml, "utf8");
+  },
+};
+
+let customTransport = null;
+
+/**
+ * Replace the configured transport (pass null to go back to MAIL_TRANSPORT)
+ * @param {Function|null} transport - async (message) => void
+ */
+export const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+/**
+ * Send a plain-text mail
+ * @param {Object} message - { to, subject, text, from? }
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text, from }) => {
+  if (!to) {
+    throw new Error("Mail recipient is required");
+  }
+
+  const message = { to, subject, text, from: from || process.env.MAIL_FROM || DEFAULT_FROM };
+
+  if (customTransport) {
+    return customTransport(message);
+  }
+
+  const transport = builtInTransports[process.env.MAIL_TRANSPORT || "log"];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}"`);
+  }
+
+  return transport(message);
+};
@@ -1,3 +1,5 @@
+import mongoose from "mongoose";
+
 /**
  * Permission Utility Functions
  * Core logic for checking permissions at runtime
@@ -217,3 +219,33 @@ export const getResourcePermissions = (userPermissions, resource) => {
     .filter((perm) => perm.startsWith(`${resource}:`))
     .map((perm) => perm.split(":")[1]);
 };
+
+/**
+ * Build a MongoDB filter restricting a query to the user's scope
+ * SUPER_ADMIN ("*") gets an empty filter (no restriction)
+ *
+ * @param {Object} user - User object (req.user with permissions populated)
+ * @param {Object} options - { branchField, enterpriseField } document field names,
+ *   { objectIds: true } for aggregation $match stages (which do not cast strings)
+ * @returns {Object} - Filter to merge into a find()/countDocuments() query
+ */
+export const buildScopeFilter = (user, options = {}) => {
+  const { branchField = "branchId", enterpriseField = "organizationId", objectIds = false } = options;
+  const toIds = (ids) => (objectIds ? ids.map((id) => new mongoose.Types.ObjectId(id)) : ids);
+
+  if (!user) return { _id: null };
+
+  const filter = {};
+
+  const enterprises = getUserAccessibleEnterprises(user);
+  if (!enterprises.includes("*") && enterprises.length > 0) {
+    filter[enterpriseField] = { $in: toIds(enterprises) };
+  }
+
+  const branches = getUserAccessibleBranches(user);
+  if (!branches.includes("*") && branches.length > 0) {
+    filter[branchField] = { $in: toIds(branches) };
+  }
+
+  return filter;
+};
@@ -0,0 +1,80 @@
+/**
+ * Rate limit store - Counters behind the rate limiting middleware
+ *
+ * Requests are counted per key in fixed windows; the middleware weighs the
+ * previous window's count by how much of it still overlaps the sliding
+ * window (sliding-window counter). A store only keeps the two counts, so a
+ * shared store (Redis, Memcached) needs two counters per key with a TTL.
+ *
+ * Store interface:
+ * - increment(key, windowMs) => Promise<{ current, previous, windowStartedAt }>
+ *   counts one request and returns the count of the current window
+ *   (including it), of the window before, and when the current one started (ms)
+ * - reset(key) => Promise<void>
+ *
+ * The default store is in-memory (per process). A shared store is plugged in
+ * at startup with setRateLimitStore(store), so limits hold across instances.
+ */
+
+/**
+ * In-memory store; entries are dropped once both of their windows are over
+ * @param {Object} options - { cleanupIntervalMs = 60000 }
+ * @returns {Object} - Store
+ */
+export const createMemoryRateLimitStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (now - entry.windowStartedAt >= 2 * entry.windowMs) entries.delete(key);
+    }
+  }, cleanupIntervalMs);
+  // Never keep the process alive for the cleanup
+  cleanup.unref?.();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const windowStartedAt = now - (now % windowMs);
+      const entry = entries.get(key);
+
+      if (entry && entry.windowMs === windowMs && entry.windowStartedAt === windowStartedAt) {
+        entry.current += 1;
+      } else {
+        // The old current window is the new previous one only when they are adjacent
+        const previous =
+          entry && entry.windowMs === windowMs && entry.windowStartedAt === windowStartedAt - windowMs
+            ? entry.current
+            : 0;
+        entries.set(key, { windowMs, windowStartedAt, current: 1, previous });
+      }
+
+      const { current, previous } = entries.get(key);
+      return { current, previous, windowStartedAt };
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+let store = null;
+
+/**
+ * Replace the store (pass null to go back to the in-memory store)
+ * @param {Object|null} customStore - Object implementing the store interface
+ */
+export const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+/**
+ * Store in use; the in-memory store is created on first use
+ * @returns {Object}
+ */
+export const getRateLimitStore = () => {
+  if (!store) store = createMemoryRateLimitStore();
+  return store;
+};
@@ -0,0 +1,181 @@
+import crypto from "crypto";
+
+/**
+ * TOTP Utility - RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits,
+ * 30 second steps), the variant every authenticator app supports.
+ * Secrets are exchanged as RFC 4648 base32 without padding.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode base32 (case-insensitive, spaces and padding ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} - base32 secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - base32 secret
+ * @param {number} counter
+ * @returns {string} - zero-padded code
+ */
+export const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(binary).padStart(DIGITS, "0");
+};
+
+/**
+ * Time step counter for a timestamp
+ * @param {number} [timestamp=Date.now()] - milliseconds
+ * @returns {number}
+ */
+export const getTotpCounter = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Current TOTP code
+ * @param {string} secret - base32 secret
+ * @param {number} [timestamp=Date.now()]
+ * @returns {string}
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => generateHotp(secret, getTotpCounter(timestamp));
+
+/**
+ * Verify a TOTP code, allowing `window` steps of clock drift either way.
+ * Returns the matched counter so callers can refuse replays of an already
+ * used code (pass the last used counter as `afterCounter`).
+ *
+ * @param {string} secret - base32 secret
+ * @param {string} code - code entered by the user
+ * @param {Object} options - { window = 1, afterCounter = -1, timestamp = Date.now() }
+ * @returns {number|null} - matched counter, or null when invalid
+ */
+export const verifyTotp = (secret, code, options = {}) => {
+  const { window = 1, afterCounter = -1, timestamp = Date.now() } = options;
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = getTotpCounter(timestamp);
+  for (let counter = current - window; counter <= current + window; counter += 1) {
+    if (counter <= afterCounter) continue;
+    const expected = generateHotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import (usually rendered as a QR code)
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(issuer ? `${issuer}:${accountName}` : accountName);
+  const query = new URLSearchParams({
+    secret,
+    ...(issuer && { issuer }),
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+/**
+ * Generate recovery codes in the form "xxxxx-xxxxx"
+ * @param {number} [count=10]
+ * @returns {Array<string>}
+ */
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+/**
+ * Hash a recovery code for storage (normalized: lowercase, no separators)
+ * @param {string} code
+ * @returns {string}
+ */
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex");
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateHotp,
+  getTotpCounter,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
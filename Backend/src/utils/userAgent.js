@@ -0,0 +1,93 @@
+/**
+ * User agent parsing - enough to tell sessions apart ("Chrome 126 on
+ * Windows"), not a full device database. Order matters: Edge and Opera
+ * identify as Chrome too, Chrome identifies as Safari.
+ */
+
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ["Opera", /(?:OPR|Opera)\/([\d.]+)/],
+  ["Samsung Internet", /SamsungBrowser\/([\d.]+)/],
+  ["Firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+  ["Safari", /Version\/([\d.]+).*Safari\//],
+  ["Internet Explorer", /(?:MSIE |Trident\/.*rv:)([\d.]+)/],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iOS", /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/],
+  ["Android", /Android ([\d.]+)/],
+  ["Windows", /Windows NT ([\d.]+)/],
+  ["macOS", /Mac OS X ([\d_.]+)/],
+  ["Chrome OS", /CrOS [^ ]+ ([\d.]+)/],
+  ["Linux", /Linux/],
+];
+
+// Marketing names of Windows NT versions (Windows 11 still reports NT 10.0)
+const WINDOWS_VERSIONS = { "10.0": "10", "6.3": "8.1", "6.2": "8", "6.1": "7" };
+
+// Non-browser clients that call the API directly
+const CLIENTS = [
+  ["curl", /^curl\/([\d.]+)/],
+  ["Postman", /PostmanRuntime\/([\d.]+)/],
+  ["Node.js", /^node(?:-fetch)?(?:\/([\d.]+))?|^undici/],
+  ["Python", /python-requests\/([\d.]+)/],
+];
+
+const majorVersion = (version) => (version ? version.split(".")[0] : null);
+
+const detect = (list, userAgent) => {
+  for (const [name, pattern] of list) {
+    const match = userAgent.match(pattern);
+    if (match) return { name, version: match[1] || null };
+  }
+  return null;
+};
+
+/**
+ * Parse a User-Agent header
+ * @param {string} userAgent - Raw header value
+ * @returns {Object} - { browser, browserVersion, os, osVersion, deviceType: "desktop" | "mobile" | "tablet" | "client" | "unknown", label }
+ */
+export const parseUserAgent = (userAgent) => {
+  const raw = String(userAgent || "");
+  if (!raw) {
+    return { browser: null, browserVersion: null, os: null, osVersion: null, deviceType: "unknown", label: "Unknown device" };
+  }
+
+  const client = detect(CLIENTS, raw);
+  if (client) {
+    return {
+      browser: client.name,
+      browserVersion: client.version,
+      os: null,
+      osVersion: null,
+      deviceType: "client",
+      label: client.version ? `${client.name} ${client.version}` : client.name,
+    };
+  }
+
+  const browser = detect(BROWSERS, raw);
+  const os = detect(OPERATING_SYSTEMS, raw);
+  let osVersion = os?.version ? os.version.replace(/_/g, ".") : null;
+  if (os?.name === "Windows") osVersion = WINDOWS_VERSIONS[osVersion] || osVersion;
+  if (os?.name === "macOS" || os?.name === "iOS") osVersion = osVersion?.split(".").slice(0, 2).join(".") || null;
+
+  let deviceType = "desktop";
+  if (/iPad|Tablet/.test(raw) || (/Android/.test(raw) && !/Mobile/.test(raw))) deviceType = "tablet";
+  else if (/Mobi|iPhone|iPod/.test(raw)) deviceType = "mobile";
+
+  const browserLabel = browser ? [browser.name, majorVersion(browser.version)].filter(Boolean).join(" ") : "Unknown browser";
+  const osLabel = os ? [os.name, osVersion].filter(Boolean).join(" ") : null;
+
+  return {
+    browser: browser?.name || null,
+    browserVersion: browser?.version || null,
+    os: os?.name || null,
+    osVersion,
+    deviceType,
+    label: osLabel ? `${browserLabel} on ${osLabel}` : browserLabel,
+  };
+};
+
+export default parseUserAgent;
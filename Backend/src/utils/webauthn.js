@@ -0,0 +1,419 @@
+import crypto from "crypto";
+
+/**
+ * WebAuthn Utility - Verification of FIDO2/WebAuthn registration (attestation)
+ * and authentication (assertion) responses, as produced by
+ * navigator.credentials.create/get and sent by the browser as base64url JSON.
+ *
+ * Supported credential algorithms: ES256 (-7), EdDSA (-8) and RS256 (-257).
+ * Attestation formats: "none" (what we ask browsers for) and "packed"
+ * (self attestation, or x5c whose signature is checked without trusting any
+ * vendor roots). Binary data is encoded in CBOR (RFC 8949); only the subset
+ * WebAuthn uses is implemented.
+ */
+
+export const COSE_ALGORITHMS = { ES256: -7, EdDSA: -8, RS256: -257 };
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+export class WebAuthnError extends Error {}
+
+// =====================================================
+// CBOR
+// =====================================================
+
+const readLength = (buffer, info, offset) => {
+  if (info < 24) return { length: info, offset };
+  if (info === 24) return { length: buffer.readUInt8(offset), offset: offset + 1 };
+  if (info === 25) return { length: buffer.readUInt16BE(offset), offset: offset + 2 };
+  if (info === 26) return { length: buffer.readUInt32BE(offset), offset: offset + 4 };
+  if (info === 27) return { length: Number(buffer.readBigUInt64BE(offset)), offset: offset + 8 };
+  throw new WebAuthnError("Indefinite-length CBOR is not supported");
+};
+
+const decodeItem = (buffer, offset) => {
+  if (offset >= buffer.length) throw new WebAuthnError("Truncated CBOR data");
+  const major = buffer[offset] >> 5;
+  const info = buffer[offset] & 31;
+  offset += 1;
+
+  if (major === 7) {
+    if (info === 20) return { value: false, offset };
+    if (info === 21) return { value: true, offset };
+    if (info === 22 || info === 23) return { value: null, offset };
+    if (info === 26) return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+    if (info === 27) return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+    throw new WebAuthnError(`Unsupported CBOR simple value ${info}`);
+  }
+
+  const head = readLength(buffer, info, offset);
+  const length = head.length;
+  offset = head.offset;
+
+  switch (major) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2:
+    case 3: {
+      if (offset + length > buffer.length) throw new WebAuthnError("Truncated CBOR data");
+      const bytes = buffer.subarray(offset, offset + length);
+      return { value: major === 2 ? Buffer.from(bytes) : bytes.toString("utf8"), offset: offset + length };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i += 1) {
+        const item = decodeItem(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      // Maps keep their keys as-is (COSE keys are integers)
+      const map = new Map();
+      for (let i = 0; i < length; i += 1) {
+        const key = decodeItem(buffer, offset);
+        const value = decodeItem(buffer, key.offset);
+        map.set(key.value, value.value);
+        offset = value.offset;
+      }
+      return { value: map, offset };
+    }
+    default:
+      // Tags (6) are not used by WebAuthn structures; decode the tagged item
+      return decodeItem(buffer, offset);
+  }
+};
+
+/**
+ * Decode one CBOR item at the start of a buffer
+ * @param {Buffer} buffer
+ * @returns {Object} - { value, length } (length = bytes consumed)
+ */
+export const decodeCborPrefix = (buffer) => {
+  const { value, offset } = decodeItem(buffer, 0);
+  return { value, length: offset };
+};
+
+/**
+ * Decode a buffer holding exactly one CBOR item
+ * @param {Buffer} buffer
+ * @returns {*} - Maps are returned as Map
+ */
+export const decodeCbor = (buffer) => {
+  const { value, length } = decodeCborPrefix(buffer);
+  if (length !== buffer.length) throw new WebAuthnError("Unexpected data after CBOR item");
+  return value;
+};
+
+const encodeHead = (major, length) => {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+  if (length < 0x10000) {
+    const head = Buffer.alloc(3);
+    head[0] = (major << 5) | 25;
+    head.writeUInt16BE(length, 1);
+    return head;
+  }
+  const head = Buffer.alloc(5);
+  head[0] = (major << 5) | 26;
+  head.writeUInt32BE(length, 1);
+  return head;
+};
+
+/**
+ * Encode a value as CBOR (integers, strings, Buffers, arrays, Maps, plain
+ * objects, booleans and null) - used by the software authenticator
+ * @param {*} value
+ * @returns {Buffer}
+ */
+export const encodeCbor = (value) => {
+  if (value === null || value === undefined) return Buffer.from([0xf6]);
+  if (value === false) return Buffer.from([0xf4]);
+  if (value === true) return Buffer.from([0xf5]);
+  if (Number.isInteger(value)) return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  if (Buffer.isBuffer(value)) return Buffer.concat([encodeHead(2, value.length), value]);
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8");
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) return Buffer.concat([encodeHead(4, value.length), ...value.map(encodeCbor)]);
+
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([
+    encodeHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]),
+  ]);
+};
+
+// =====================================================
+// KEYS AND SIGNATURES
+// =====================================================
+
+/**
+ * Convert a COSE public key to a Node KeyObject
+ * @param {Map} cose - Decoded COSE_Key
+ * @returns {Object} - { algorithm (COSE alg), publicKey (KeyObject) }
+ */
+export const coseToPublicKey = (cose) => {
+  const kty = cose.get(1);
+  const algorithm = cose.get(3);
+  let jwk;
+
+  if (kty === 2 && algorithm === COSE_ALGORITHMS.ES256 && cose.get(-1) === 1) {
+    jwk = { kty: "EC", crv: "P-256", x: cose.get(-2).toString("base64url"), y: cose.get(-3).toString("base64url") };
+  } else if (kty === 1 && algorithm === COSE_ALGORITHMS.EdDSA && cose.get(-1) === 6) {
+    jwk = { kty: "OKP", crv: "Ed25519", x: cose.get(-2).toString("base64url") };
+  } else if (kty === 3 && algorithm === COSE_ALGORITHMS.RS256) {
+    jwk = { kty: "RSA", n: cose.get(-1).toString("base64url"), e: cose.get(-2).toString("base64url") };
+  } else {
+    throw new WebAuthnError(`Unsupported credential key (kty ${kty}, alg ${algorithm})`);
+  }
+
+  return { algorithm, publicKey: crypto.createPublicKey({ key: jwk, format: "jwk" }) };
+};
+
+/**
+ * Convert a public key to COSE (software authenticator)
+ * @param {KeyObject} publicKey - P-256, Ed25519 or RSA public key
+ * @returns {Map}
+ */
+export const publicKeyToCose = (publicKey) => {
+  const jwk = publicKey.export({ format: "jwk" });
+  if (jwk.kty === "EC") {
+    return new Map([[1, 2], [3, COSE_ALGORITHMS.ES256], [-1, 1], [-2, Buffer.from(jwk.x, "base64url")], [-3, Buffer.from(jwk.y, "base64url")]]);
+  }
+  if (jwk.kty === "OKP") {
+    return new Map([[1, 1], [3, COSE_ALGORITHMS.EdDSA], [-1, 6], [-2, Buffer.from(jwk.x, "base64url")]]);
+  }
+  return new Map([[1, 3], [3, COSE_ALGORITHMS.RS256], [-1, Buffer.from(jwk.n, "base64url")], [-2, Buffer.from(jwk.e, "base64url")]]);
+};
+
+// Digest argument of crypto.sign/verify for a COSE algorithm (Ed25519 hashes internally)
+const digestFor = (algorithm) => (algorithm === COSE_ALGORITHMS.EdDSA ? null : "sha256");
+
+/**
+ * Check a WebAuthn signature (ES256 signatures are DER encoded)
+ * @param {number} algorithm - COSE algorithm
+ * @param {KeyObject|string} publicKey - KeyObject or SPKI PEM
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature
+ * @returns {boolean}
+ */
+export const verifySignature = (algorithm, publicKey, data, signature) => {
+  try {
+    return crypto.verify(digestFor(algorithm), data, publicKey, signature);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Sign like an authenticator does (software authenticator)
+ * @param {number} algorithm - COSE algorithm
+ * @param {KeyObject} privateKey
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+export const signData = (algorithm, privateKey, data) => crypto.sign(digestFor(algorithm), data, privateKey);
+
+// =====================================================
+// CLIENT DATA AND AUTHENTICATOR DATA
+// =====================================================
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+const fromBase64url = (value, field) => {
+  if (typeof value !== "string" || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new WebAuthnError(`${field} must be base64url encoded`);
+  }
+  return Buffer.from(value, "base64url");
+};
+
+/**
+ * Parse clientDataJSON
+ * @param {string} clientDataJSON - base64url
+ * @returns {Object} - { type, challenge, origin, raw (Buffer) }
+ */
+export const parseClientData = (clientDataJSON) => {
+  const raw = fromBase64url(clientDataJSON, "clientDataJSON");
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString("utf8"));
+  } catch {
+    throw new WebAuthnError("clientDataJSON is not valid JSON");
+  }
+  return { ...clientData, raw };
+};
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} authData
+ * @returns {Object} - { rpIdHash, flags, signCount, userPresent, userVerified,
+ *   backupEligible, backedUp, attestedCredential?: { aaguid, credentialId, cosePublicKey } }
+ */
+export const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) throw new WebAuthnError("Authenticator data is too short");
+
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    signCount: authData.readUInt32BE(33),
+    userPresent: !!(flags & FLAG_USER_PRESENT),
+    userVerified: !!(flags & FLAG_USER_VERIFIED),
+    backupEligible: !!(flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: !!(flags & FLAG_BACKED_UP),
+    attestedCredential: null,
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    if (authData.length < 55) throw new WebAuthnError("Attested credential data is too short");
+    const idLength = authData.readUInt16BE(53);
+    const credentialId = authData.subarray(55, 55 + idLength);
+    const { value } = decodeCborPrefix(authData.subarray(55 + idLength));
+    parsed.attestedCredential = {
+      aaguid: authData.subarray(37, 53).toString("hex"),
+      credentialId: Buffer.from(credentialId),
+      cosePublicKey: value,
+    };
+  }
+
+  return parsed;
+};
+
+// Checks shared by registration and authentication
+const checkCeremony = (clientData, authData, expected, type) => {
+  if (clientData.type !== type) {
+    throw new WebAuthnError(`Unexpected ceremony type ${clientData.type}`);
+  }
+  if (clientData.challenge !== expected.challenge) {
+    throw new WebAuthnError("Challenge does not match");
+  }
+  if (!expected.origins.includes(clientData.origin)) {
+    throw new WebAuthnError(`Origin ${clientData.origin} is not allowed`);
+  }
+  if (!crypto.timingSafeEqual(authData.rpIdHash, sha256(expected.rpId))) {
+    throw new WebAuthnError("Credential was created for another relying party");
+  }
+  if (!authData.userPresent) {
+    throw new WebAuthnError("User presence was not confirmed");
+  }
+  if (expected.requireUserVerification && !authData.userVerified) {
+    throw new WebAuthnError("User verification is required");
+  }
+};
+
+// =====================================================
+// CEREMONIES
+// =====================================================
+
+/**
+ * Verify a registration response
+ * @param {Object} credential - { id, rawId, type, response: { clientDataJSON, attestationObject, transports? } }
+ * @param {Object} expected - { challenge, origins, rpId, requireUserVerification? }
+ * @returns {Object} - { credentialId, publicKey (SPKI PEM), algorithm, signCount, aaguid,
+ *   backupEligible, backedUp, userVerified, attestationFormat, transports }
+ */
+export const verifyRegistrationResponse = (credential, expected) => {
+  if (credential?.type !== "public-key" || !credential.response) {
+    throw new WebAuthnError("Not a public key credential");
+  }
+
+  const clientData = parseClientData(credential.response.clientDataJSON);
+  const attestation = decodeCbor(fromBase64url(credential.response.attestationObject, "attestationObject"));
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get("authData"))) {
+    throw new WebAuthnError("Malformed attestation object");
+  }
+
+  const authDataBytes = attestation.get("authData");
+  const authData = parseAuthenticatorData(authDataBytes);
+  checkCeremony(clientData, authData, expected, "webauthn.create");
+
+  if (!authData.attestedCredential) {
+    throw new WebAuthnError("No credential in the attestation");
+  }
+  const { credentialId, cosePublicKey, aaguid } = authData.attestedCredential;
+  if (credential.rawId && !fromBase64url(credential.rawId, "rawId").equals(credentialId)) {
+    throw new WebAuthnError("Credential ID does not match the attestation");
+  }
+
+  const { algorithm, publicKey } = coseToPublicKey(cosePublicKey);
+
+  const format = attestation.get("fmt");
+  const statement = attestation.get("attStmt") || new Map();
+  const signedData = Buffer.concat([authDataBytes, sha256(clientData.raw)]);
+
+  if (format === "packed") {
+    const x5c = statement.get("x5c");
+    if (x5c && !(Array.isArray(x5c) && Buffer.isBuffer(x5c[0]))) {
+      throw new WebAuthnError("Malformed attestation certificate");
+    }
+    if (!x5c &&statement.get("alg") !== algorithm) {
+      throw new WebAuthnError("Attestation algorithm does not match the credential");
+    }
+    // Self attestation is signed with the credential key, full attestation with the certificate's
+    const signer = x5c ? new crypto.X509Certificate(x5c[0]).publicKey : publicKey;
+    if (!verifySignature(statement.get("alg"), signer, signedData, statement.get("sig"))) {
+      throw new WebAuthnError("Attestation signature is invalid");
+    }
+  } else if (format !== "none") {
+    throw new WebAuthnError(`Unsupported attestation format ${format}`);
+  }
+
+  return {
+    credentialId: credentialId.toString("base64url"),
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    algorithm,
+    signCount: authData.signCount,
+    aaguid,
+    backupEligible: authData.backupEligible,
+    backedUp: authData.backedUp,
+    userVerified: authData.userVerified,
+    attestationFormat: format,
+    transports: Array.isArray(credential.response.transports) ? credential.response.transports.map(String) : [],
+  };
+};
+
+/**
+ * Verify an authentication response against a stored credential.
+ * A signature counter that does not move forward means the authenticator
+ * was cloned (counters that stay 0 are authenticators without a counter).
+ * @param {Object} credential - { id, rawId, type, response: { clientDataJSON, authenticatorData, signature, userHandle? } }
+ * @param {Object} stored - { publicKey (SPKI PEM), algorithm, signCount }
+ * @param {Object} expected - { challenge, origins, rpId, requireUserVerification? }
+ * @returns {Object} - { signCount, cloneDetected, userVerified, backedUp }
+ */
+export const verifyAuthenticationResponse = (credential, stored, expected) => {
+  if (credential?.type !== "public-key" || !credential.response) {
+    throw new WebAuthnError("Not a public key credential");
+  }
+
+  const clientData = parseClientData(credential.response.clientDataJSON);
+  const authDataBytes = fromBase64url(credential.response.authenticatorData, "authenticatorData");
+  const authData = parseAuthenticatorData(authDataBytes);
+  checkCeremony(clientData, authData, expected, "webauthn.get");
+
+  const signedData = Buffer.concat([authDataBytes, sha256(clientData.raw)]);
+  const signature = fromBase64url(credential.response.signature, "signature");
+  if (!verifySignature(stored.algorithm, stored.publicKey, signedData, signature)) {
+    throw new WebAuthnError("Signature is invalid");
+  }
+
+  const previous = stored.signCount || 0;
+  const cloneDetected = (authData.signCount !== 0 || previous !== 0) && authData.signCount <= previous;
+
+  return {
+    signCount: authData.signCount,
+    cloneDetected,
+    userVerified: authData.userVerified,
+    backedUp: authData.backedUp,
+  };
+};
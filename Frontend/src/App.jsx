@@ -8,11 +8,32 @@ import Dashboard from "./pages/Dashboard";
 import NotFound from "./pages/NotFound";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyRegistration from "./pages/VerifyRegistration";
+import OidcCallback from "./pages/OidcCallback";
 // import Users from "./pages/Users/Users";
 import Users from "./pages/users/Users";
 import AddUser from "./pages/users/AddUser";
 import EditUser from "./pages/users/EditUser";
 import UserDetails from "./pages/users/UserDetails";
+import LockedAccounts from "./pages/users/LockedAccounts";
+import ServiceAccounts from "./pages/users/ServiceAccounts";
+import UserSessions from "./pages/users/UserSessions";
+import PendingRegistrations from "./pages/users/PendingRegistrations";
+import IssueItems from "./pages/issues/IssueItems";
+import RepairTickets from "./pages/repairs/RepairTickets";
+import Upgrades from "./pages/upgrades/Upgrades";
+import AssetUpgradeTimeline from "./pages/upgrades/AssetUpgradeTimeline";
+import StockItems from "./pages/stock/StockItems";
+import Reports from "./pages/reports/Reports";
+import ReportSchedules from "./pages/reports/ReportSchedules";
+import Organizations from "./pages/organizations/Organizations";
+import OrganizationDetail from "./pages/organizations/OrganizationDetail";
+import Branches from "./pages/branches/Branches";
+import SecuritySettings from "./pages/security/SecuritySettings";
+import Sessions from "./pages/security/Sessions";
+import Profile from "./pages/profile/Profile";
 
 function App() {
   return (
@@ -22,6 +43,10 @@ function App() {
           {/* Public Auth Routes */}
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/register/verify" element={<VerifyRegistration />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/auth/oidc/callback" element={<OidcCallback />} />
 
           {/* Protected Routes */}
           <Route
@@ -57,6 +82,50 @@ function App() {
             }
           />
 
+          <Route
+            path="/users/pending"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <PendingRegistrations />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/users/locked"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <LockedAccounts />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/users/service-accounts"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <ServiceAccounts />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/users/:id/sessions"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <UserSessions />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
           <Route
             path="/users/edit/:id"
             element={
@@ -79,6 +148,160 @@ function App() {
             }
           />
 
+          <Route
+            path="/issue-item"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <IssueItems />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/repair"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <RepairTickets />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/upgrade"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <Upgrades />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/upgrade/:assetId"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <AssetUpgradeTimeline />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/accessory"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <StockItems key="accessory" kind="accessory" />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/peripheral"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <StockItems key="peripheral" kind="peripheral" />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/report"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <Reports />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/report/schedules"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <ReportSchedules />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/organizations"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <Organizations />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/organizations/:id"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <OrganizationDetail />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/branches"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <Branches />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/security"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <SecuritySettings />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/security/sessions"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <Sessions />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/profile"
+            element={
+              <ProtectedRoute>
+                <MainLayout>
+                  <Profile />
+                </MainLayout>
+              </ProtectedRoute>
+            }
+          />
+
           {/* 404 Not Found */}
           <Route path="*" element={<NotFound />} />
         </Routes>
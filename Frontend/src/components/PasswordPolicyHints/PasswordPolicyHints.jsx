@@ -0,0 +1,33 @@
+import { getPasswordRules } from "../../utils/passwordPolicy.js";
+import "./PasswordPolicyHints.css";
+
+/**
+ * Live checklist of password policy rules
+ * @param {Object} policy - Effective password policy (nothing is shown until it loads)
+ * @param {string} password - Password being typed
+ * @param {Array<string>} words - Username/name/email parts the password must not contain
+ */
+const PasswordPolicyHints = ({ policy, password = "", words = [] }) => {
+  const rules = getPasswordRules(policy, { words });
+  if (rules.length === 0) return null;
+
+  return (
+    <ul className="password-hints">
+      {rules.map(({ rule, label, test }) => {
+        const passed = test(password);
+        return (
+          <li key={rule} className={`password-hints__item ${passed ? "password-hints__item--passed" : ""}`}>
+            <span aria-hidden="true">{passed ? "✓" : "○"}</span> {label}
+          </li>
+        );
+      })}
+      {policy.historyCount > 0 && (
+        <li className="password-hints__item password-hints__item--note">
+          Not one of your last {policy.historyCount + 1} passwords
+        </li>
+      )}
+    </ul>
+  );
+};
+
+export default PasswordPolicyHints;
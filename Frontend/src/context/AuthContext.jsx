@@ -29,6 +29,8 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [isAuthenticated, setIsAuthenticated] = useState(false)
+  // Set while a super admin acts as another user: { sessionId, actor, reason, expiresAt }
+  const [impersonation, setImpersonation] = useState(null)
 
   // Check if user is already logged in
   useEffect(() => {
@@ -38,6 +40,17 @@ export const AuthProvider = ({ children }) => {
         const storedPermissions = localStorage.getItem('permissions')
         const accessToken = sessionStorage.getItem('accessToken')
         
+        // Impersonating (this tab only): the impersonated user lives in sessionStorage
+        const storedImpersonation = sessionStorage.getItem('impersonation')
+        if (storedImpersonation && accessToken) {
+          const { user: impersonatedUser, permissions: impersonatedPermissions, ...details } = JSON.parse(storedImpersonation)
+          setUser(impersonatedUser)
+          setPermissions(impersonatedPermissions || [])
+          setImpersonation(details)
+          setIsAuthenticated(true)
+          return
+        }
+
         // Skip if stored value is the string "undefined"
         if (storedUser && storedUser !== 'undefined' && storedUser !== 'null' && accessToken) {
           try {
@@ -85,6 +98,8 @@ export const AuthProvider = ({ children }) => {
         localStorage.removeItem('authToken')
         localStorage.removeItem('permissions')
         sessionStorage.removeItem('accessToken')
+        sessionStorage.removeItem('impersonation')
+        sessionStorage.removeItem('impersonatorToken')
         setUser(null)
         setPermissions([])
         setIsAuthenticated(false)
@@ -96,40 +111,65 @@ export const AuthProvider = ({ children }) => {
     checkAuth()
   }, [])
 
+  // Store a completed login (password-only or after the MFA step)
+  const startSession = useCallback((responseData) => {
+    const { user, permissions: userPermissions = [], accessToken } = responseData
+
+    // Ensure permissions is an array
+    const perms = Array.isArray(userPermissions) ? userPermissions : []
+
+    // Validate user data
+    if (!user || !user._id) {
+      throw new Error('Invalid user data received')
+    }
+
+    // Store in appropriate storage:
+    // - Minimal user data in localStorage (only safe fields for display)
+    // - Full user data stays in React state (memory only - more secure)
+    // - Permissions: localStorage (needed for UI control)
+    // - accessToken: sessionStorage (cleared on browser close = more secure)
+    const sanitizedUser = sanitizeUserForStorage(user)
+    localStorage.setItem('user', JSON.stringify(sanitizedUser))
+    localStorage.setItem('permissions', JSON.stringify(perms))
+    sessionStorage.setItem('accessToken', accessToken)
+
+    // Update state with FULL user data (kept in memory only)
+    setUser(user)
+    setPermissions(perms)
+    setIsAuthenticated(true)
+
+    return { success: true, user, permissions: perms }
+  }, [])
+
+  // Login and single sign-on answer with a session, or with an MFA challenge
+  const handleLoginResponse = useCallback((response) => {
+    // Backend returns: { statusCode, data: { user, permissions, accessToken, ... }, message, success }
+    const responseData = response.data.data || response.data
+
+    // First factor accepted but a second factor is needed: hand the challenge to the Login page
+    if (responseData.mfaRequired || responseData.mfaEnrollmentRequired) {
+      return {
+        success: false,
+        mfa: {
+          mfaToken: responseData.mfaToken,
+          enrollmentRequired: !!responseData.mfaEnrollmentRequired,
+          // "totp" and/or "webauthn" (passkey)
+          methods: responseData.mfaMethods || ['totp'],
+          message: response.data.message
+        }
+      }
+    }
+
+    return startSession(responseData)
+  }, [startSession])
+
   const login = useCallback(async (loginId, password) => {
     try {
       setLoading(true)
       setError('')
       
       const response = await authAPI.login(loginId, password)
-      // Backend returns: { statusCode, data: { user, permissions, accessToken, ... }, message, success }
-      const responseData = response.data.data || response.data
-      const { user, permissions: userPermissions = [], accessToken } = responseData
-
-      // Ensure permissions is an array
-      const perms = Array.isArray(userPermissions) ? userPermissions : []
-
-      // Validate user data
-      if (!user || !user._id) {
-        throw new Error('Invalid user data received')
-      }
-
-      // Store in appropriate storage:
-      // - Minimal user data in localStorage (only safe fields for display)
-      // - Full user data stays in React state (memory only - more secure)
-      // - Permissions: localStorage (needed for UI control)
-      // - accessToken: sessionStorage (cleared on browser close = more secure)
-      const sanitizedUser = sanitizeUserForStorage(user)
-      localStorage.setItem('user', JSON.stringify(sanitizedUser))
-      localStorage.setItem('permissions', JSON.stringify(perms))
-      sessionStorage.setItem('accessToken', accessToken)
-      
-      // Update state with FULL user data (kept in memory only)
-      setUser(user)
-      setPermissions(perms)
-      setIsAuthenticated(true)
-      
-      return { success: true, user, permissions: perms }
+      return handleLoginResponse(response)
     } catch (err) {
       const message =
         err.response?.data?.message ||
@@ -142,53 +182,148 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false)
     }
-  }, [])
+  }, [handleLoginResponse])
+
+  // Single sign-on callback: exchange the provider's code and state for a session
+  const loginWithOidc = useCallback(async (code, state) => {
+    try {
+      setError('')
+      const response = await authAPI.completeOidcLogin(code, state)
+      return handleLoginResponse(response)
+    } catch (err) {
+      const message = err.response?.data?.message || err.message || 'Single sign-on failed'
+      setError(message)
+      return { success: false, error: message }
+    }
+  }, [handleLoginResponse])
 
+  // Passwordless sign-in with a passkey assertion (see utils/webauthn.js)
+  const loginWithPasskey = useCallback(async (credential) => {
+    try {
+      setError('')
+      const response = await authAPI.loginWithPasskey(credential)
+      return handleLoginResponse(response)
+    } catch (err) {
+      const message = err.response?.data?.message || err.message || 'Passkey sign-in failed'
+      setError(message)
+      return { success: false, error: message }
+    }
+  }, [handleLoginResponse])
+
+  // Second login step: factor is { code }, { recoveryCode } or { webauthn }
+  const verifyMfa = useCallback(async (mfaToken, factor) => {
+    try {
+      setError('')
+      const response = await authAPI.verifyMfa(mfaToken, factor)
+      const responseData = response.data.data || response.data
+      const result = startSession(responseData)
+      return {
+        ...result,
+        recoveryCodes: responseData.recoveryCodes || null,
+        recoveryCodesRemaining: responseData.recoveryCodesRemaining
+      }
+    } catch (err) {
+      const message = err.response?.data?.message || err.message || 'Verification failed'
+      setError(message)
+      return { success: false, error: message, status: err.response?.status }
+    }
+  }, [startSession])
+
+  // Self-service sign-up: no session is started, the account confirms its email and waits for an admin's approval
   const register = useCallback(async (userData) => {
     try {
-      setLoading(true)
       setError('')
-      
+
       const response = await authAPI.register(userData)
-      // Backend returns: { statusCode, data: { user, permissions, accessToken, ... }, message, success }
-      const responseData = response.data.data || response.data
-      const { user, permissions: userPermissions = [], accessToken } = responseData
+      // Backend returns: { statusCode, data: { pending }, message, success }
+      const { pending = true } = response.data.data || {}
 
-      // Ensure permissions is an array
-      const perms = Array.isArray(userPermissions) ? userPermissions : []
+      return { success: true, pending, message: response.data.message }
+    } catch (err) {
+      const message = err.response?.data?.message || err.message || 'Registration failed'
+      setError(message)
+      return { success: false, error: message }
+    }
+  }, [])
+
+  // Save the signed-in user's own name, phone number and designation
+  const updateProfile = useCallback(async (profile) => {
+    try {
+      const response = await authAPI.updateProfile(profile)
+      const updatedUser = response.data?.data
 
-      // Validate user data
-      if (!user || !user._id) {
-        throw new Error('Invalid user data received')
+      // While impersonating, the stored user is the impersonated one (this tab only)
+      const storedImpersonation = sessionStorage.getItem('impersonation')
+      if (storedImpersonation) {
+        sessionStorage.setItem('impersonation', JSON.stringify({ ...JSON.parse(storedImpersonation), user: updatedUser }))
+      } else {
+        localStorage.setItem('user', JSON.stringify(sanitizeUserForStorage(updatedUser)))
       }
+      setUser(updatedUser)
 
-      // Store in appropriate storage:
-      // - Minimal user data in localStorage (only safe fields for display)
-      // - Full user data stays in React state (memory only - more secure)
-      // - Permissions: localStorage (needed for UI control)
-      // - accessToken: sessionStorage (cleared on browser close = more secure)
-      const sanitizedUser = sanitizeUserForStorage(user)
-      localStorage.setItem('user', JSON.stringify(sanitizedUser))
-      localStorage.setItem('permissions', JSON.stringify(perms))
+      return { success: true, user: updatedUser }
+    } catch (err) {
+      const message = err.response?.data?.message || err.message || 'Failed to update profile'
+      return { success: false, error: message }
+    }
+  }, [])
+
+  // Act as another user (super admin). The admin's access token is kept aside
+  // and the impersonated user stays out of localStorage, so other tabs are unaffected.
+  const startImpersonation = useCallback(async (userId, reason) => {
+    try {
+      setError('')
+      const response = await authAPI.startImpersonation(userId, reason)
+      const { accessToken, user: impersonatedUser, permissions: impersonatedPermissions = [], impersonation: details } =
+        response.data.data || response.data
+
+      sessionStorage.setItem('impersonatorToken', sessionStorage.getItem('accessToken'))
       sessionStorage.setItem('accessToken', accessToken)
-      
-      // Update state with FULL user data (kept in memory only)
-      setUser(user)
-      setPermissions(perms)
-      setIsAuthenticated(true)
-      
-      return { success: true, user, permissions: perms }
+      sessionStorage.setItem('impersonation', JSON.stringify({
+        ...details,
+        user: sanitizeUserForStorage(impersonatedUser),
+        permissions: impersonatedPermissions
+      }))
+
+      setUser(impersonatedUser)
+      setPermissions(impersonatedPermissions)
+      setImpersonation(details)
+      return { success: true }
     } catch (err) {
-      const message = err.response?.data?.message || err.message || 'Registration failed'
-      setError(message)
+      const message = err.response?.data?.message || err.message || 'Failed to start impersonation'
       return { success: false, error: message }
+    }
+  }, [])
+
+  // Back to the admin's own session
+  const endImpersonation = useCallback(async () => {
+    try {
+      await authAPI.endImpersonation()
+    } catch (err) {
+      // Expired or already ended: the token is dropped either way
+      console.error('End impersonation error:', err)
     } finally {
-      setLoading(false)
+      const impersonatorToken = sessionStorage.getItem('impersonatorToken')
+      if (impersonatorToken) sessionStorage.setItem('accessToken', impersonatorToken)
+      sessionStorage.removeItem('impersonatorToken')
+      sessionStorage.removeItem('impersonation')
+
+      try {
+        setUser(JSON.parse(localStorage.getItem('user')))
+        setPermissions(JSON.parse(localStorage.getItem('permissions')) || [])
+      } catch (e) {
+        console.error('Invalid stored user after impersonation:', e)
+      }
+      setImpersonation(null)
     }
   }, [])
 
   const logout = useCallback(async () => {
     try {
+      // Signing out while impersonating signs out the admin
+      if (sessionStorage.getItem('impersonatorToken')) {
+        await endImpersonation()
+      }
       await authAPI.logout()
     } catch (err) {
       console.error('Logout error:', err)
@@ -202,7 +337,7 @@ export const AuthProvider = ({ children }) => {
       setPermissions([])
       setIsAuthenticated(false)
     }
-  }, [])
+  }, [endImpersonation])
 
   const clearError = useCallback(() => {
     setError('')
@@ -215,8 +350,15 @@ export const AuthProvider = ({ children }) => {
     error,
     isAuthenticated,
     login,
+    loginWithOidc,
+    loginWithPasskey,
+    verifyMfa,
     register,
+    updateProfile,
     logout,
+    impersonation,
+    startImpersonation,
+    endImpersonation,
     clearError
   }
 
@@ -0,0 +1,59 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../../hooks/useAuth";
+import "./ImpersonationBanner.css";
+
+/**
+ * Shown on every page while a super admin acts as another user; ends the
+ * impersonation on request or when it expires
+ */
+const ImpersonationBanner = () => {
+  const { user, impersonation, endImpersonation } = useAuth();
+  const navigate = useNavigate();
+  const [now, setNow] = useState(() => Date.now());
+  const [ending, setEnding] = useState(false);
+
+  const expiresAt = impersonation ? new Date(impersonation.expiresAt).getTime() : null;
+
+  // Refresh the remaining time every 15 seconds
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  const handleEnd = async () => {
+    setEnding(true);
+    await endImpersonation();
+    setEnding(false);
+    navigate("/users");
+  };
+
+  const expired = expiresAt !== null && now >= expiresAt;
+
+  // The token stops working at expiry; go back to the admin's session right away
+  useEffect(() => {
+    if (!expired) return;
+    endImpersonation().then(() => navigate("/users"));
+  }, [expired, endImpersonation, navigate]);
+
+  if (!impersonation) return null;
+
+  const minutesLeft = Math.max(Math.ceil((expiresAt - now) / 60000), 0);
+
+  return (
+    <div className="impersonation-banner" role="alert">
+      <span className="material-icons">visibility</span>
+      <span className="impersonation-banner__text">
+        You are acting as <strong>{user?.name}</strong> {user?.userId && `(${user.userId})`}
+        {impersonation.actor?.name && <> &middot; signed in as {impersonation.actor.name}</>}
+        {" "}&middot; {minutesLeft} min left. Password, role and security changes are disabled.
+      </span>
+      <button className="impersonation-banner__end" onClick={handleEnd} disabled={ending}>
+        {ending ? "Ending..." : "End impersonation"}
+      </button>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
@@ -0,0 +1 @@
+export { default } from "./ImpersonationBanner";
\ No newline at end of file
@@ -1,9 +1,12 @@
 import React, { useState } from 'react'
 import Header from './Header'
 import Sidebar from './Sidebar'
+import ImpersonationBanner from './ImpersonationBanner'
+import { useAuth } from '../hooks/useAuth'
 import './MainLayout.css'
 
 const MainLayout = ({ children }) => {
+  const { impersonation } = useAuth()
   const [collapsed, setCollapsed] = useState(false)
   const [isDesktop, setIsDesktop] = useState(window.innerWidth >= 992)
 
@@ -26,7 +29,8 @@ const MainLayout = ({ children }) => {
   }
 
   return (
-    <div className="main-layout">
+    <div className={`main-layout ${impersonation ? 'main-layout--impersonating' : ''}`}>
+      <ImpersonationBanner />
       <Header onToggleSidebar={handleToggle} />
       <div className={`layout-body ${collapsed ? 'sidebar-open' : ''} ${!isDesktop ? 'mobile' : 'desktop'}`}>
         {/* Overlay backdrop for mobile only */}
@@ -2,7 +2,8 @@ import { Link, useNavigate } from "react-router-dom";
 import { useState, useRef, useEffect } from "react";
 import { useAuth } from "../../hooks/useAuth";
 import { authAPI } from "../../services/api";
-import { Modal, Input, Button } from "../../components";
+import { Modal, Input, Button, PasswordPolicyHints } from "../../components";
+import { meetsPasswordPolicy, getPasswordErrorMessage } from "../../utils/passwordPolicy.js";
 import "./Sidebar.css";
 
 const Sidebar = ({ collapsed, onCloseSidebar }) => {
@@ -23,6 +24,18 @@ const Sidebar = ({ collapsed, onCloseSidebar }) => {
     error: "",
     isSubmitting: false,
   });
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+
+  // Load the password policy the first time the change password modal opens
+  useEffect(() => {
+    if (!changePwdModal.isOpen || passwordPolicy) return;
+    authAPI
+      .getPasswordPolicy()
+      .then((response) => setPasswordPolicy(response.data?.data || null))
+      .catch(() => setPasswordPolicy(null));
+  }, [changePwdModal.isOpen, passwordPolicy]);
+
+  const policyWords = [user?.userId, user?.name, user?.email?.split("@")[0], user?.username];
 
   // Update userName when user data changes
   useEffect(() => {
@@ -92,8 +105,8 @@ const Sidebar = ({ collapsed, onCloseSidebar }) => {
       setChangePwdModal((prev) => ({ ...prev, error: "All fields are required" }));
       return;
     }
-    if (newPassword.length < 8) {
-      setChangePwdModal((prev) => ({ ...prev, error: "New password must be at least 8 characters" }));
+    if (passwordPolicy && !meetsPasswordPolicy(newPassword, passwordPolicy, { words: policyWords })) {
+      setChangePwdModal((prev) => ({ ...prev, error: "New password does not meet the password requirements" }));
       return;
     }
     if (newPassword !== confirmPassword) {
@@ -111,7 +124,7 @@ const Sidebar = ({ collapsed, onCloseSidebar }) => {
       navigate("/login");
       if (onCloseSidebar) onCloseSidebar();
     } catch (err) {
-      const msg = err.response?.data?.message || err.message || "Failed to change password";
+      const msg = getPasswordErrorMessage(err, "Failed to change password");
       setChangePwdModal((prev) => ({ ...prev, error: msg, isSubmitting: false }));
     }
   };
@@ -238,6 +251,22 @@ const Sidebar = ({ collapsed, onCloseSidebar }) => {
             >
               <span className="material-icons">lock</span> Change Password
             </button>
+            <button
+              onClick={() => {
+                navigate("/security");
+                setUserOpen(false);
+              }}
+            >
+              <span className="material-icons">security</span> Security
+            </button>
+            <button
+              onClick={() => {
+                navigate("/security/sessions");
+                setUserOpen(false);
+              }}
+            >
+              <span className="material-icons">devices</span> My Sessions
+            </button>
             <button
               onClick={async () => {
                 // Close user panel first
@@ -286,12 +315,13 @@ const Sidebar = ({ collapsed, onCloseSidebar }) => {
           <Input
             type="password"
             label="New Password"
-            placeholder="Enter new password (min 8 characters)"
+            placeholder="Enter new password"
             value={changePwdModal.newPassword}
             onChange={(e) => setChangePwdModal((prev) => ({ ...prev, newPassword: e.target.value, error: "" }))}
             required
             disabled={changePwdModal.isSubmitting}
           />
+          <PasswordPolicyHints policy={passwordPolicy} password={changePwdModal.newPassword} words={policyWords} />
           <Input
             type="password"
             label="Confirm New Password"
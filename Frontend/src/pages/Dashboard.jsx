@@ -1,9 +1,24 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { Button, Card } from '../components'
+import { fetchOrganizations } from '../services/organizationApi'
+import { fetchBranches } from '../services/branchApi'
 import './Dashboard.css'
 
 const Dashboard = () => {
+  const [organizationCount, setOrganizationCount] = useState(null)
+  const [branchCount, setBranchCount] = useState(null)
+
+  useEffect(() => {
+    // Users without organization:read / branch:read simply see no count
+    fetchOrganizations({ limit: 1 })
+      .then((data) => setOrganizationCount(data.meta?.total ?? 0))
+      .catch(() => setOrganizationCount(null))
+    fetchBranches({ limit: 1 })
+      .then((data) => setBranchCount(data.meta?.total ?? 0))
+      .catch(() => setBranchCount(null))
+  }, [])
+
   return (
     <div className="dashboard">
       <div className="dashboard-header">
@@ -26,23 +41,27 @@ const Dashboard = () => {
         <Card title="Organizations" className="dashboard-card">
           <p>Total organizations</p>
           <div className="card-stat">
-            <span className="stat-number">0</span>
+            <span className="stat-number">{organizationCount ?? '--'}</span>
             <span className="stat-label">Organizations</span>
           </div>
-          <Button variant="primary" size="sm" fullWidth>
-            View Organizations
-          </Button>
+          <Link to="/organizations">
+            <Button variant="primary" size="sm" fullWidth>
+              View Organizations
+            </Button>
+          </Link>
         </Card>
 
         <Card title="Branches" className="dashboard-card">
           <p>Total branches</p>
           <div className="card-stat">
-            <span className="stat-number">0</span>
+            <span className="stat-number">{branchCount ?? '--'}</span>
             <span className="stat-label">Branches</span>
           </div>
-          <Button variant="primary" size="sm" fullWidth>
-            View Branches
-          </Button>
+          <Link to="/branches">
+            <Button variant="primary" size="sm" fullWidth>
+              View Branches
+            </Button>
+          </Link>
         </Card>
 
         <Card title="Roles" className="dashboard-card">
@@ -0,0 +1,80 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { authAPI } from '../services/api'
+import { Input, Button, Alert } from '../components'
+import AuthLayout from '../layouts/AuthLayout'
+import './Login.css'
+
+const ForgotPassword = () => {
+  const [loginId, setLoginId] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [sentMessage, setSentMessage] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError(null)
+
+    try {
+      const response = await authAPI.forgotPassword(loginId.trim())
+      setSentMessage(response.data?.message)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send the reset link. Please try again.')
+    }
+
+    setLoading(false)
+  }
+
+  return (
+    <AuthLayout title="Forgot Password" subtitle="We will email you a link to reset it">
+      {error && (
+        <Alert type="danger" title="Request Failed" onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {sentMessage ? (
+        <Alert type="success" title="Check your email" closable={false}>
+          {sentMessage}
+        </Alert>
+      ) : (
+        <form onSubmit={handleSubmit} className="login-form">
+          <Input
+            type="text"
+            name="loginId"
+            label="Username, User ID, or Email"
+            placeholder="e.g., EMP001 or user@example.com"
+            value={loginId}
+            onChange={(e) => {
+              setLoginId(e.target.value)
+              setError(null)
+            }}
+            required
+            disabled={loading}
+          />
+
+          <Button
+            type="submit"
+            variant="primary"
+            fullWidth
+            disabled={loading}
+            className="login-button"
+          >
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </Button>
+        </form>
+      )}
+
+      <div className="login-footer">
+        <p>
+          <Link to="/login" className="forgot-link">
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+    </AuthLayout>
+  )
+}
+
+export default ForgotPassword
@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from 'react'
-import { useNavigate, Link } from 'react-router-dom'
+import { useNavigate, useLocation, Link } from 'react-router-dom'
 import { useAuth } from '../hooks/useAuth'
+import { authAPI } from '../services/api'
 import { Input, Button, Alert } from '../components'
+import { isPasskeySupported, getPasskeyAssertion, describePasskeyError } from '../utils/webauthn'
 import AuthLayout from '../layouts/AuthLayout'
 import './Login.css'
 
 const Login = () => {
   const navigate = useNavigate()
-  const { login, error, clearError, isAuthenticated, loading: authLoading } = useAuth()
+  const location = useLocation()
+  const { login, loginWithPasskey, verifyMfa, error, clearError, isAuthenticated, loading: authLoading } = useAuth()
   const [loading, setLoading] = useState(false)
   const [showPassword, setShowPassword] = useState(false)
   const [formData, setFormData] = useState({
@@ -15,12 +18,29 @@ const Login = () => {
     password: ''
   })
 
+  // Second step: { mfaToken, enrollmentRequired, methods, enrollment: { secret, otpauthUri } }
+  // (single sign-on hands it over from the callback page)
+  const [mfa, setMfa] = useState(() => location.state?.mfa || null)
+  const [mfaCode, setMfaCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  // Recovery codes are shown once after a required enrollment, before redirecting
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [setupError, setSetupError] = useState(null)
+  // Single sign-on: { enabled, providerName }
+  const [sso, setSso] = useState(null)
+
+  useEffect(() => {
+    authAPI.getOidcConfig()
+      .then((response) => setSso(response.data?.data || null))
+      .catch(() => setSso(null))
+  }, [])
+
   // Redirect to home if already authenticated
   useEffect(() => {
-    if (isAuthenticated && !authLoading) {
+    if (isAuthenticated && !authLoading && !recoveryCodes) {
       navigate('/')
     }
-  }, [isAuthenticated, authLoading, navigate])
+  }, [isAuthenticated, authLoading, recoveryCodes, navigate])
 
   const handleChange = (e) => {
     const { name, value } = e.target
@@ -29,26 +49,255 @@ const Login = () => {
       [name]: value
     }))
     clearError()
+    setSetupError(null)
   }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     setLoading(true)
+    setSetupError(null)
 
     const result = await login(formData.loginId, formData.password)
 
     if (result.success) {
       navigate('/')
+    } else if (result.mfa) {
+      let enrollment = null
+      if (result.mfa.enrollmentRequired) {
+        try {
+          const response = await authAPI.beginMfaEnrollment(result.mfa.mfaToken)
+          enrollment = response.data?.data
+        } catch (err) {
+          setSetupError(err.response?.data?.message || 'Could not start authenticator setup')
+          setLoading(false)
+          return
+        }
+      }
+      setMfa({ ...result.mfa, enrollment })
+      setMfaCode('')
+      setUseRecoveryCode(false)
+    }
+
+    setLoading(false)
+  }
+
+  const handleSsoLogin = async () => {
+    setLoading(true)
+    setSetupError(null)
+    clearError()
+
+    try {
+      const response = await authAPI.startOidcLogin()
+      window.location.assign(response.data.data.authorizationUrl)
+    } catch (err) {
+      setSetupError(err.response?.data?.message || 'Could not start single sign-on')
+      setLoading(false)
+    }
+  }
+
+  // Passwordless: the browser offers the passkeys it has for this site
+  const handlePasskeyLogin = async () => {
+    setLoading(true)
+    setSetupError(null)
+    clearError()
+
+    try {
+      const response = await authAPI.getPasskeyLoginOptions()
+      const credential = await getPasskeyAssertion(response.data.data)
+      const result = await loginWithPasskey(credential)
+      if (result.success) {
+        navigate('/')
+      }
+    } catch (err) {
+      setSetupError(describePasskeyError(err))
+    }
+
+    setLoading(false)
+  }
+
+  // Second step with a passkey instead of a code
+  const handleMfaPasskey = async () => {
+    setLoading(true)
+    setSetupError(null)
+    clearError()
+
+    try {
+      const response = await authAPI.getPasskeyLoginOptions(mfa.mfaToken)
+      const credential = await getPasskeyAssertion(response.data.data)
+      const result = await verifyMfa(mfa.mfaToken, { webauthn: credential })
+      if (result.success) {
+        navigate('/')
+      } else if (result.status === 401 && /expired/i.test(result.error || '')) {
+        setMfa(null)
+      }
+    } catch (err) {
+      setSetupError(describePasskeyError(err))
+    }
+
+    setLoading(false)
+  }
+
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+
+    const factor = useRecoveryCode ? { recoveryCode: mfaCode.trim() } : { code: mfaCode.trim() }
+    const result = await verifyMfa(mfa.mfaToken, factor)
+
+    if (result.success) {
+      if (result.recoveryCodes?.length) {
+        setRecoveryCodes(result.recoveryCodes)
+      } else {
+        navigate('/')
+      }
+    } else if (result.status === 401 && /expired/i.test(result.error || '')) {
+      // Challenge token expired: start over with the password
+      setMfa(null)
     }
 
     setLoading(false)
   }
 
+  const handleCancelMfa = () => {
+    setMfa(null)
+    setMfaCode('')
+    setSetupError(null)
+    clearError()
+  }
+
+  if (recoveryCodes) {
+    return (
+      <AuthLayout title="Save Your Recovery Codes" subtitle="Each code can be used once if you lose your device">
+        <Alert type="warning" title="Shown only once">
+          Store these codes somewhere safe. They will not be shown again.
+        </Alert>
+        <ul className="mfa-recovery-codes">
+          {recoveryCodes.map((code) => (
+            <li key={code}>{code}</li>
+          ))}
+        </ul>
+        <Button variant="primary" fullWidth onClick={() => setRecoveryCodes(null)} className="login-button">
+          Continue
+        </Button>
+      </AuthLayout>
+    )
+  }
+
+  if (mfa) {
+    const enrollment = mfa.enrollment
+    const methods = mfa.methods || ['totp']
+    const canUseCode = !!enrollment || methods.includes('totp')
+    const canUsePasskey = !enrollment && methods.includes('webauthn') && isPasskeySupported()
+    return (
+      <AuthLayout
+        title={enrollment ? 'Set Up Two-Factor Authentication' : 'Two-Factor Authentication'}
+        subtitle={
+          enrollment
+            ? 'Your role requires an authenticator app'
+            : canUseCode
+              ? 'Enter the code from your authenticator app'
+              : 'Confirm the sign-in with your passkey'
+        }
+      >
+        {(error || setupError) && (
+          <Alert type="danger" title="Verification Error">
+            {error || setupError}
+          </Alert>
+        )}
+
+        {!canUseCode && !canUsePasskey && (
+          <Alert type="warning" title="Passkey not available">
+            This browser cannot use passkeys. Sign in from a browser that supports them.
+          </Alert>
+        )}
+
+        {enrollment && (
+          <div className="mfa-enrollment">
+            <p>Add this key to your authenticator app, then enter the 6-digit code it shows.</p>
+            <code className="mfa-secret">{enrollment.secret}</code>
+            <a href={enrollment.otpauthUri} className="forgot-link">
+              Open in authenticator app
+            </a>
+          </div>
+        )}
+
+        {canUseCode && (
+          <form onSubmit={handleMfaSubmit} className="login-form">
+            <Input
+              type="text"
+              name="mfaCode"
+              label={useRecoveryCode ? 'Recovery Code' : 'Verification Code'}
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              value={mfaCode}
+              onChange={(e) => {
+                setMfaCode(e.target.value)
+                clearError()
+              }}
+              autoComplete="one-time-code"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              required
+              disabled={loading}
+            />
+
+            <Button
+              type="submit"
+              variant="primary"
+              fullWidth
+              disabled={loading}
+              className="login-button"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </Button>
+          </form>
+        )}
+
+        {canUsePasskey && (
+          <>
+            {canUseCode && <div className="login-divider">or</div>}
+            <Button
+              type="button"
+              variant={canUseCode ? 'secondary' : 'primary'}
+              fullWidth
+              disabled={loading}
+              onClick={handleMfaPasskey}
+              className={canUseCode ? undefined : 'login-button'}
+            >
+              Use your passkey
+            </Button>
+          </>
+        )}
+
+        <div className="login-footer">
+          {!enrollment && methods.includes('totp') && (
+            <p>
+              <button
+                type="button"
+                className="mfa-switch"
+                onClick={() => {
+                  setUseRecoveryCode(prev => !prev)
+                  setMfaCode('')
+                  clearError()
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+            </p>
+          )}
+          <p>
+            <button type="button" className="mfa-switch" onClick={handleCancelMfa}>
+              Back to sign in
+            </button>
+          </p>
+        </div>
+      </AuthLayout>
+    )
+  }
+
   return (
     <AuthLayout title="Welcome Back" subtitle="Sign in to your account">
-      {error && (
+      {(error || setupError) && (
         <Alert type="danger" title="Login Error">
-          {error}
+          {error || setupError}
         </Alert>
       )}
 
@@ -104,6 +353,36 @@ const Login = () => {
         </Button>
       </form>
 
+      {(sso?.enabled || isPasskeySupported()) && (
+        <>
+          <div className="login-divider">or</div>
+          <div className="login-alternatives">
+            {isPasskeySupported() && (
+              <Button
+                type="button"
+                variant="secondary"
+                fullWidth
+                disabled={loading}
+                onClick={handlePasskeyLogin}
+              >
+                Sign in with a passkey
+              </Button>
+            )}
+            {sso?.enabled && (
+              <Button
+                type="button"
+                variant="secondary"
+                fullWidth
+                disabled={loading}
+                onClick={handleSsoLogin}
+              >
+                Sign in with {sso.providerName}
+              </Button>
+            )}
+          </div>
+        </>
+      )}
+
       <div className="login-footer">
        {/* <p>
           Don't have an account?{' '}
@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate, useSearchParams, Link } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import { authAPI } from '../services/api'
+import { Alert } from '../components'
+import AuthLayout from '../layouts/AuthLayout'
+import './Login.css'
+
+// Identity provider redirects here with ?code&state (or ?error) after single sign-on
+const OidcCallback = () => {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const { loginWithOidc } = useAuth()
+  const [error, setError] = useState(null)
+  // The code and state can only be used once (StrictMode runs effects twice)
+  const handled = useRef(false)
+
+  useEffect(() => {
+    if (handled.current) return
+    handled.current = true
+
+    const code = searchParams.get('code')
+    const state = searchParams.get('state')
+    const providerError = searchParams.get('error')
+
+    const complete = async () => {
+      if (providerError || !code || !state) {
+        setError(
+          providerError === 'access_denied'
+            ? 'Sign-in was cancelled.'
+            : searchParams.get('error_description') || 'The identity provider did not complete the sign-in.'
+        )
+        return
+      }
+
+      const result = await loginWithOidc(code, state)
+      if (result.success) {
+        navigate('/', { replace: true })
+        return
+      }
+      if (!result.mfa) {
+        setError(result.error)
+        return
+      }
+
+      // Second factor: continue on the login page
+      let enrollment = null
+      if (result.mfa.enrollmentRequired) {
+        try {
+          const response = await authAPI.beginMfaEnrollment(result.mfa.mfaToken)
+          enrollment = response.data?.data
+        } catch (err) {
+          setError(err.response?.data?.message || 'Could not start authenticator setup')
+          return
+        }
+      }
+      navigate('/login', { replace: true, state: { mfa: { ...result.mfa, enrollment } } })
+    }
+
+    complete()
+  }, [searchParams, loginWithOidc, navigate])
+
+  return (
+    <AuthLayout title="Single Sign-On" subtitle={error ? 'Sign-in failed' : 'Signing you in...'}>
+      {error && (
+        <Alert type="danger" title="Login Error" closable={false}>
+          {error}
+        </Alert>
+      )}
+
+      <div className="login-footer">
+        {error && (
+          <p>
+            <Link to="/login" className="forgot-link">
+              Back to sign in
+            </Link>
+          </p>
+        )}
+      </div>
+    </AuthLayout>
+  )
+}
+
+export default OidcCallback
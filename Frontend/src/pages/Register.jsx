@@ -12,10 +12,15 @@ const Register = () => {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
+    phone_no: '',
+    designation: '',
+    inviteCode: '',
     password: '',
     confirmPassword: ''
   })
   const [validationError, setValidationError] = useState('')
+  // Message shown once the sign-up is received (it waits for an admin's approval)
+  const [pendingMessage, setPendingMessage] = useState('')
 
   // Redirect to home if already authenticated
   useEffect(() => {
@@ -43,6 +48,10 @@ const Register = () => {
       setValidationError('Password must be at least 6 characters')
       return false
     }
+    if (formData.phone_no && !/^\d{10}$/.test(formData.phone_no.replace(/[\s-]/g, ''))) {
+      setValidationError('Phone number must be 10 digits')
+      return false
+    }
     return true
   }
 
@@ -56,11 +65,15 @@ const Register = () => {
     const result = await register({
       name: formData.name,
       email: formData.email,
-      password: formData.password
+      password: formData.password,
+      confirmPassword: formData.confirmPassword,
+      phone_no: formData.phone_no || undefined,
+      designation: formData.designation || undefined,
+      inviteCode: formData.inviteCode.trim() || undefined
     })
 
     if (result.success) {
-      navigate('/')
+      setPendingMessage(result.message || 'Check your email: open the link we sent to confirm your address. An administrator reviews your registration after that.')
     }
 
     setLoading(false)
@@ -80,61 +93,97 @@ const Register = () => {
         </Alert>
       )}
 
-      <form onSubmit={handleSubmit} className="register-form">
-        <Input
-          type="text"
-          name="name"
-          label="Full Name"
-          placeholder="John Doe"
-          value={formData.name}
-          onChange={handleChange}
-          required
-          disabled={loading}
-        />
-
-        <Input
-          type="email"
-          name="email"
-          label="Email Address"
-          placeholder="you@example.com"
-          value={formData.email}
-          onChange={handleChange}
-          required
-          disabled={loading}
-        />
-
-        <Input
-          type="password"
-          name="password"
-          label="Password"
-          placeholder="Enter password"
-          value={formData.password}
-          onChange={handleChange}
-          required
-          disabled={loading}
-        />
-
-        <Input
-          type="password"
-          name="confirmPassword"
-          label="Confirm Password"
-          placeholder="Confirm password"
-          value={formData.confirmPassword}
-          onChange={handleChange}
-          required
-          disabled={loading}
-        />
-
-        <Button
-          type="submit"
-          variant="primary"
-          fullWidth
-          disabled={loading}
-          className="register-button"
-        >
-          {loading ? 'Creating Account...' : 'Create Account'}
-        </Button>
-      </form>
+      {pendingMessage ? (
+        <Alert type="success" title="Check Your Email" closable={false}>
+          {pendingMessage}
+        </Alert>
+      ) : (
+        <form onSubmit={handleSubmit} className="register-form">
+          <Input
+            type="text"
+            name="name"
+            label="Full Name"
+            placeholder="John Doe"
+            value={formData.name}
+            onChange={handleChange}
+            required
+            disabled={loading}
+          />
+
+          <Input
+            type="email"
+            name="email"
+            label="Email Address"
+            placeholder="you@example.com"
+            value={formData.email}
+            onChange={handleChange}
+            required
+            disabled={loading}
+          />
+
+          <Input
+            type="tel"
+            name="phone_no"
+            label="Phone Number (optional)"
+            placeholder="10 digit mobile number"
+            value={formData.phone_no}
+            onChange={handleChange}
+            disabled={loading}
+          />
+
+          <Input
+            type="text"
+            name="designation"
+            label="Designation (optional)"
+            placeholder="e.g. Lab Assistant"
+            value={formData.designation}
+            onChange={handleChange}
+            disabled={loading}
+          />
+
+          <Input
+            type="text"
+            name="inviteCode"
+            label="Invite Code"
+            placeholder="Leave empty if your organization allows your email domain"
+            value={formData.inviteCode}
+            onChange={handleChange}
+            disabled={loading}
+          />
+
+          <Input
+            type="password"
+            name="password"
+            label="Password"
+            placeholder="Enter password"
+            value={formData.password}
+            onChange={handleChange}
+            required
+            disabled={loading}
+          />
+
+          <Input
+            type="password"
+            name="confirmPassword"
+            label="Confirm Password"
+            placeholder="Confirm password"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            required
+            disabled={loading}
+          />
+
+          <Button
+            type="submit"
+            variant="primary"
+            fullWidth
+            disabled={loading}
+            className="register-button"
+          >
+            {loading ? 'Creating Account...' : 'Create Account'}
+          </Button>
+        </form>
+      )}
 
       <div className="register-footer">
         <p>
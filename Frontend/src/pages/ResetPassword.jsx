@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../services/api'
+import { Input, Button, Alert, PasswordPolicyHints } from '../components'
+import AuthLayout from '../layouts/AuthLayout'
+import { meetsPasswordPolicy, getPasswordErrorMessage } from '../utils/passwordPolicy'
+import './Login.css'
+
+const ResetPassword = () => {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+
+  // 'checking' | 'ready' | 'invalid' | 'done'
+  const [status, setStatus] = useState(token ? 'checking' : 'invalid')
+  const [policy, setPolicy] = useState(null)
+  const [formData, setFormData] = useState({ newPassword: '', confirmPassword: '' })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Check the link before showing the form
+  useEffect(() => {
+    if (!token) return
+    authAPI
+      .verifyResetToken(token)
+      .then((response) => {
+        setPolicy(response.data?.data?.policy || null)
+        setStatus('ready')
+      })
+      .catch(() => setStatus('invalid'))
+  }, [token])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+    setError(null)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (policy && !meetsPasswordPolicy(formData.newPassword, policy)) {
+      setError('New password does not meet the password requirements')
+      return
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('New password and confirm password do not match')
+      return
+    }
+
+    setLoading(true)
+    try {
+      await authAPI.resetPassword(token, formData.newPassword, formData.confirmPassword)
+      setStatus('done')
+    } catch (err) {
+      setError(getPasswordErrorMessage(err, 'Could not reset the password'))
+    }
+    setLoading(false)
+  }
+
+  return (
+    <AuthLayout title="Reset Password" subtitle="Choose a new password for your account">
+      {status === 'checking' && <p className="login-footer">Checking your reset link...</p>}
+
+      {status === 'invalid' && (
+        <Alert type="danger" title="Link not valid" closable={false}>
+          This reset link is invalid or has expired. Request a new one.
+        </Alert>
+      )}
+
+      {status === 'done' && (
+        <>
+          <Alert type="success" title="Password reset" closable={false}>
+            Your password has been changed and all devices were signed out.
+          </Alert>
+          <Button variant="primary" fullWidth onClick={() => navigate('/login')} className="login-button">
+            Sign In
+          </Button>
+        </>
+      )}
+
+      {status === 'ready' && (
+        <>
+          {error && (
+            <Alert type="danger" title="Reset Failed" onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+
+          <form onSubmit={handleSubmit} className="login-form">
+            <Input
+              type="password"
+              name="newPassword"
+              label="New Password"
+              placeholder="Enter new password"
+              value={formData.newPassword}
+              onChange={handleChange}
+              autoComplete="new-password"
+              required
+              disabled={loading}
+            />
+            <PasswordPolicyHints policy={policy} password={formData.newPassword} />
+
+            <Input
+              type="password"
+              name="confirmPassword"
+              label="Confirm New Password"
+              placeholder="Enter new password again"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              autoComplete="new-password"
+              required
+              disabled={loading}
+            />
+
+            <Button
+              type="submit"
+              variant="primary"
+              fullWidth
+              disabled={loading}
+              className="login-button"
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </Button>
+          </form>
+        </>
+      )}
+
+      <div className="login-footer">
+        {status === 'invalid' && (
+          <p>
+            <Link to="/forgot-password" className="forgot-link">
+              Request a new link
+            </Link>
+          </p>
+        )}
+        <p>
+          <Link to="/login" className="forgot-link">
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+    </AuthLayout>
+  )
+}
+
+export default ResetPassword
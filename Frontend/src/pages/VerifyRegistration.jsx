@@ -0,0 +1,67 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../services/api'
+import { Alert } from '../components'
+import AuthLayout from '../layouts/AuthLayout'
+import './Login.css'
+
+const VerifyRegistration = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+
+  // 'checking' | 'done' | 'invalid'
+  const [status, setStatus] = useState(token ? 'checking' : 'invalid')
+  const [message, setMessage] = useState(null)
+  // The link works once: do not send it twice (StrictMode runs effects twice in development)
+  const sentToken = useRef(null)
+
+  useEffect(() => {
+    if (!token || sentToken.current === token) return
+    sentToken.current = token
+    authAPI
+      .verifyRegistration(token)
+      .then((response) => {
+        setMessage(response.data?.message || null)
+        setStatus('done')
+      })
+      .catch((err) => {
+        setMessage(err.response?.data?.message || null)
+        setStatus('invalid')
+      })
+  }, [token])
+
+  return (
+    <AuthLayout title="Confirm Email" subtitle="Confirm the email address of your registration">
+      {status === 'checking' && <p className="login-footer">Confirming your email address...</p>}
+
+      {status === 'done' && (
+        <Alert type="success" title="Awaiting Approval" closable={false}>
+          {message || 'Email address confirmed. You can sign in once an administrator approves your account.'}
+        </Alert>
+      )}
+
+      {status === 'invalid' && (
+        <Alert type="danger" title="Link not valid" closable={false}>
+          {message || 'This verification link is invalid or has expired. Sign up again to get a new one.'}
+        </Alert>
+      )}
+
+      <div className="login-footer">
+        {status === 'invalid' && (
+          <p>
+            <Link to="/register" className="forgot-link">
+              Sign up again
+            </Link>
+          </p>
+        )}
+        <p>
+          <Link to="/login" className="forgot-link">
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+    </AuthLayout>
+  )
+}
+
+export default VerifyRegistration
@@ -0,0 +1,47 @@
+import Input from "../../components/Input/Input.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Textarea from "../../components/Textarea/Textarea.jsx";
+
+/**
+ * Branch detail inputs shared by the create and edit modals.
+ * The organization select is only rendered when organization options are given
+ * (super admins); everyone else creates branches in their own organization.
+ */
+const BranchFields = ({ values, onChange, organizationOptions = null }) => (
+  <>
+    {organizationOptions && (
+      <Select
+        name="organizationId"
+        label="Organization"
+        value={values.organizationId}
+        onChange={(e) => onChange("organizationId", e.target.value)}
+        options={organizationOptions}
+        placeholder="Select organization"
+        required
+      />
+    )}
+    <Input
+      name="name"
+      label="Branch Name"
+      value={values.name}
+      onChange={(e) => onChange("name", e.target.value)}
+      required
+    />
+    <Input
+      name="code"
+      label="Code"
+      value={values.code}
+      onChange={(e) => onChange("code", e.target.value)}
+      placeholder="Unique within the organization, e.g. HQ"
+    />
+    <Textarea
+      name="address"
+      label="Address"
+      value={values.address}
+      onChange={(e) => onChange("address", e.target.value)}
+      rows={2}
+    />
+  </>
+);
+
+export default BranchFields;
@@ -0,0 +1,309 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { useAuth } from "../../hooks/useAuth.js";
+import {
+  fetchBranches,
+  createBranch,
+  updateBranch,
+  deactivateBranch,
+  activateBranch,
+} from "../../services/branchApi.js";
+import { fetchOrganizations } from "../../services/organizationApi.js";
+import BranchFields from "./BranchFields.jsx";
+import "./Branches.css";
+
+const STATUS_FILTERS = [
+  { value: "true", label: "Active" },
+  { value: "false", label: "Inactive" },
+  { value: "all", label: "All" },
+];
+
+const EMPTY_MODAL = {
+  type: null, // "new" | "edit" | "deactivate"
+  branch: null,
+  organizationId: "",
+  name: "",
+  code: "",
+  address: "",
+  error: "",
+  isSubmitting: false,
+};
+
+const formatCount = (count) => (count ? `${count.active} / ${count.total}` : "0 / 0");
+
+const Branches = () => {
+  const { permissions = [] } = useAuth();
+  const can = (permission) => permissions.includes("*") || permissions.includes(permission);
+  const isSuperAdmin = permissions.includes("*");
+
+  const [branches, setBranches] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("true");
+  const [organizationFilter, setOrganizationFilter] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [modal, setModal] = useState(EMPTY_MODAL);
+
+  // Only super admins work across organizations
+  useEffect(() => {
+    if (!isSuperAdmin) return;
+    fetchOrganizations({ isActive: "true" })
+      .then((data) => setOrganizations(data.items || []))
+      .catch(() => setOrganizations([]));
+  }, [isSuperAdmin]);
+
+  useEffect(() => {
+    const loadBranches = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const params = {
+          ...(statusFilter !== "all" && { isActive: statusFilter }),
+          ...(organizationFilter && { organizationId: organizationFilter }),
+        };
+        const data = await fetchBranches(params);
+        setBranches(data.items || []);
+      } catch (err) {
+        setError(err.message || "Failed to load branches");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadBranches();
+  }, [statusFilter, organizationFilter, reloadKey]);
+
+  const organizationOptions = organizations.map((organization) => ({
+    value: organization._id,
+    label: organization.name,
+  }));
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const closeModal = () => setModal(EMPTY_MODAL);
+
+  const openEdit = (branch) =>
+    setModal({
+      ...EMPTY_MODAL,
+      type: "edit",
+      branch,
+      name: branch.name || "",
+      code: branch.code || "",
+      address: branch.address || "",
+    });
+
+  const handleActivate = async (branch) => {
+    if (!window.confirm(`Reactivate ${branch.name}? Users deactivated with it are restored.`)) {
+      return;
+    }
+    try {
+      setError(null);
+      const result = await activateBranch(branch._id);
+      showSuccess(result.message || "Branch reactivated");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleModalSubmit = async (e) => {
+    e.preventDefault();
+    const { type, branch } = modal;
+
+    if (type !== "deactivate" && !modal.name.trim()) {
+      setModal((prev) => ({ ...prev, error: "Branch name is required" }));
+      return;
+    }
+    if (type === "new" && isSuperAdmin && !modal.organizationId) {
+      setModal((prev) => ({ ...prev, error: "Select an organization" }));
+      return;
+    }
+
+    setModal((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    try {
+      const details = {
+        name: modal.name.trim(),
+        code: modal.code.trim() || undefined,
+        address: modal.address.trim(),
+      };
+
+      if (type === "new") {
+        await createBranch({ ...details, organizationId: modal.organizationId || undefined });
+        showSuccess("Branch created");
+      } else if (type === "edit") {
+        await updateBranch(branch._id, details);
+        showSuccess("Branch updated");
+      } else if (type === "deactivate") {
+        const result = await deactivateBranch(branch._id);
+        showSuccess(result.message || "Branch deactivated");
+      }
+      closeModal();
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const columns = [
+    { header: "Name", key: "name", sortable: true },
+    { header: "Code", key: "code", render: (row) => row.code || "--" },
+    ...(isSuperAdmin
+      ? [
+          {
+            header: "Organization",
+            key: "organizationId",
+            render: (row) =>
+              row.organizationId ? (
+                <Link to={`/organizations/${row.organizationId._id}`}>{row.organizationId.name}</Link>
+              ) : (
+                "--"
+              ),
+          },
+        ]
+      : []),
+    { header: "Address", key: "address", render: (row) => row.address || "--" },
+    { header: "Users (active / total)", key: "userCount", render: (row) => formatCount(row.userCount) },
+    { header: "Assets", key: "assetCount", render: (row) => row.assetCount?.total ?? 0 },
+    {
+      header: "Status",
+      key: "isActive",
+      render: (row) => (
+        <Badge variant={row.isActive ? "success" : "secondary"} size="sm">
+          {row.isActive ? "Active" : "Inactive"}
+        </Badge>
+      ),
+    },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <div className="branch-actions">
+          {can("branch:update") && (
+            <Button size="sm" variant="secondary" onClick={() => openEdit(row)}>
+              Edit
+            </Button>
+          )}
+          {can("branch:delete") &&
+            (row.isActive ? (
+              <Button
+                size="sm"
+                variant="danger"
+                onClick={() => setModal({ ...EMPTY_MODAL, type: "deactivate", branch: row })}
+              >
+                Deactivate
+              </Button>
+            ) : (
+              <Button size="sm" variant="primary" onClick={() => handleActivate(row)}>
+                Activate
+              </Button>
+            ))}
+        </div>
+      ),
+    },
+  ];
+
+  const modalTitles = {
+    new: "New Branch",
+    edit: "Edit Branch",
+    deactivate: "Deactivate Branch",
+  };
+
+  if (loading && branches.length === 0) {
+    return <PageLoader message="Loading branches..." />;
+  }
+
+  return (
+    <div className="branch-page">
+      <SetPageTitle title="Branches | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Branches</h2>
+      </div>
+
+      <section className="branch-toolbar">
+        {can("branch:create") ? (
+          <Button onClick={() => setModal({ ...EMPTY_MODAL, type: "new" })}>+ New Branch</Button>
+        ) : (
+          <span />
+        )}
+        <div className="branch-toolbar__filters">
+          {isSuperAdmin && (
+            <Select
+              name="organizationFilter"
+              value={organizationFilter}
+              onChange={(e) => setOrganizationFilter(e.target.value)}
+              options={organizationOptions}
+              placeholder="All organizations"
+            />
+          )}
+          <Select
+            name="statusFilter"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value || "true")}
+            options={STATUS_FILTERS}
+            placeholder="Status"
+          />
+        </div>
+      </section>
+
+      <Table columns={columns} data={branches} pageSize={10} showPagination={branches.length > 10} />
+
+      {branches.length === 0 && <p className="branch-empty">No branches found.</p>}
+
+      {successMessage && <div className="branch-success">✓ {successMessage}</div>}
+
+      <Modal isOpen={!!modal.type} onClose={closeModal} title={modalTitles[modal.type]} size="sm">
+        <form onSubmit={handleModalSubmit} className="branch-form">
+          {(modal.type === "new" || modal.type === "edit") && (
+            <BranchFields
+              values={modal}
+              onChange={(field, value) => setModal((prev) => ({ ...prev, [field]: value, error: "" }))}
+              organizationOptions={modal.type === "new" && isSuperAdmin ? organizationOptions : null}
+            />
+          )}
+
+          {modal.type === "deactivate" && (
+            <p className="branch-form__hint">
+              Deactivating <strong>{modal.branch?.name}</strong> also deactivates those of its{" "}
+              {modal.branch?.userCount?.active || 0} active users who have no other active branch, and signs them
+              out. Its {modal.branch?.assetCount?.total || 0} assets stay assigned to it. Reactivating the branch
+              restores those users.
+            </p>
+          )}
+
+          {modal.error && <div className="branch-form__error">{modal.error}</div>}
+
+          <div className="branch-form__actions">
+            <Button type="button" variant="secondary" onClick={closeModal} disabled={modal.isSubmitting}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant={modal.type === "deactivate" ? "danger" : "primary"}
+              disabled={modal.isSubmitting}
+            >
+              {modal.isSubmitting ? "Saving..." : modal.type === "deactivate" ? "Deactivate" : "Save"}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Branches;
@@ -0,0 +1,455 @@
+import { useState, useEffect, useMemo } from "react";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Textarea from "../../components/Textarea/Textarea.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchAllUsers, fetchBranchesForDropdown } from "../../services/userApi.js";
+import { fetchAssets, ASSET_CATEGORIES } from "../../services/assetApi.js";
+import {
+  fetchIssues,
+  createIssue,
+  approveIssue,
+  rejectIssue,
+  handOverIssue,
+  returnIssue,
+  cancelIssue,
+} from "../../services/issueApi.js";
+import "./IssueItems.css";
+
+const STATUS_VARIANTS = {
+  requested: "warning",
+  approved: "info",
+  issued: "primary",
+  returned: "success",
+  rejected: "danger",
+  cancelled: "secondary",
+};
+
+const STATUS_FILTERS = [
+  { value: "open", label: "Open (requested / approved / issued)" },
+  { value: "requested", label: "Requested" },
+  { value: "approved", label: "Approved" },
+  { value: "issued", label: "Issued" },
+  { value: "returned", label: "Returned" },
+  { value: "rejected", label: "Rejected" },
+  { value: "cancelled", label: "Cancelled" },
+  { value: "all", label: "All" },
+];
+
+const EMPTY_MODAL = {
+  type: null, // "new" | "reject" | "handover" | "return"
+  issue: null,
+  requestedFor: "",
+  branchId: "",
+  category: "",
+  purpose: "",
+  expectedReturnDate: "",
+  assetId: "",
+  notes: "",
+  error: "",
+  isSubmitting: false,
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "--");
+
+const IssueItems = () => {
+  const [issues, setIssues] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [statusFilter, setStatusFilter] = useState("open");
+  const [groupBy, setGroupBy] = useState("branch");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [users, setUsers] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [availableAssets, setAvailableAssets] = useState([]);
+  const [modal, setModal] = useState(EMPTY_MODAL);
+
+  useEffect(() => {
+    const loadIssues = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        let params = {};
+        if (statusFilter === "open") params = { open: "true" };
+        else if (statusFilter !== "all") params = { status: statusFilter };
+        const data = await fetchIssues(params);
+        setIssues(data);
+      } catch (err) {
+        setError(err.message || "Failed to load issue requests");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadIssues();
+  }, [statusFilter, reloadKey]);
+
+  // Group issues per branch or per user for the listing
+  const groups = useMemo(() => {
+    const map = new Map();
+    issues.forEach((issue) => {
+      const ref = groupBy === "branch" ? issue.branchId : issue.requestedFor;
+      const key = ref?._id || "unknown";
+      const label =
+        groupBy === "branch"
+          ? ref?.name || "Unknown branch"
+          : ref
+            ? `${ref.name} (${ref.userId})`
+            : "Unknown user";
+      if (!map.has(key)) map.set(key, { key, label, items: [] });
+      map.get(key).items.push(issue);
+    });
+    return [...map.values()].sort((a, b) => a.label.localeCompare(b.label));
+  }, [issues, groupBy]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const closeModal = () => {
+    setModal(EMPTY_MODAL);
+    setAvailableAssets([]);
+  };
+
+  const openNewRequest = async () => {
+    setModal({ ...EMPTY_MODAL, type: "new" });
+    try {
+      const [userList, branchList] = await Promise.all([
+        users.length ? users : fetchAllUsers(100),
+        branches.length ? branches : fetchBranchesForDropdown(),
+      ]);
+      setUsers(userList.filter((u) => u.isActive));
+      setBranches(branchList);
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message }));
+    }
+  };
+
+  const openHandOver = async (issue) => {
+    setModal({ ...EMPTY_MODAL, type: "handover", issue, assetId: issue.asset?._id || "" });
+    if (issue.asset) {
+      setAvailableAssets([issue.asset]);
+      return;
+    }
+    try {
+      const assets = await fetchAssets({
+        branchId: issue.branchId?._id,
+        category: issue.category,
+        status: "in_stock",
+      });
+      setAvailableAssets(assets);
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message }));
+    }
+  };
+
+  const runAction = async (action, message) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await action();
+      showSuccess(message);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApprove = (issue) =>
+    runAction(() => approveIssue(issue._id), `Request for ${issue.requestedFor?.name} approved`);
+
+  const handleCancel = (issue) => {
+    if (!window.confirm(`Cancel the request for ${issue.requestedFor?.name || "this user"}?`)) return;
+    runAction(() => cancelIssue(issue._id), "Request cancelled");
+  };
+
+  const handleModalSubmit = async (e) => {
+    e.preventDefault();
+    const { type, issue } = modal;
+
+    if (type === "new" && (!modal.requestedFor || !modal.branchId || !modal.category)) {
+      setModal((prev) => ({ ...prev, error: "User, branch and category are required" }));
+      return;
+    }
+    if (type === "reject" && !modal.notes.trim()) {
+      setModal((prev) => ({ ...prev, error: "Rejection reason is required" }));
+      return;
+    }
+    if (type === "handover" && !modal.assetId) {
+      setModal((prev) => ({ ...prev, error: "Select the asset to hand over" }));
+      return;
+    }
+
+    setModal((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    try {
+      if (type === "new") {
+        await createIssue({
+          requestedFor: modal.requestedFor,
+          branchId: modal.branchId,
+          category: modal.category,
+          purpose: modal.purpose,
+          expectedReturnDate: modal.expectedReturnDate || null,
+        });
+        showSuccess("Issue request created");
+      } else if (type === "reject") {
+        await rejectIssue(issue._id, modal.notes.trim());
+        showSuccess("Request rejected");
+      } else if (type === "handover") {
+        await handOverIssue(issue._id, modal.assetId, modal.notes);
+        showSuccess(`Item handed over to ${issue.requestedFor?.name}`);
+      } else if (type === "return") {
+        await returnIssue(issue._id, modal.notes);
+        showSuccess("Return recorded");
+      }
+      closeModal();
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const columns = [
+    {
+      header: "Requested For",
+      key: "requestedFor",
+      render: (row) => row.requestedFor?.name || "--",
+    },
+    {
+      header: "Branch",
+      key: "branchId",
+      render: (row) => row.branchId?.name || "--",
+    },
+    { header: "Category", key: "category" },
+    {
+      header: "Asset",
+      key: "asset",
+      render: (row) =>
+        row.asset ? `${row.asset.name} (${row.asset.serialNumber})` : "--",
+    },
+    {
+      header: "Status",
+      key: "status",
+      render: (row) => (
+        <Badge variant={STATUS_VARIANTS[row.status] || "secondary"} size="sm">
+          {row.status}
+        </Badge>
+      ),
+    },
+    { header: "Requested On", key: "createdAt", render: (row) => formatDate(row.createdAt) },
+    { header: "Due Back", key: "expectedReturnDate", render: (row) => formatDate(row.expectedReturnDate) },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <div className="issue-actions">
+          {row.status === "requested" && (
+            <>
+              <Button size="sm" variant="success" onClick={() => handleApprove(row)}>
+                Approve
+              </Button>
+              <Button
+                size="sm"
+                variant="danger"
+                onClick={() => setModal({ ...EMPTY_MODAL, type: "reject", issue: row })}
+              >
+                Reject
+              </Button>
+            </>
+          )}
+          {row.status === "approved" && (
+            <Button size="sm" variant="primary" onClick={() => openHandOver(row)}>
+              Hand Over
+            </Button>
+          )}
+          {["requested", "approved"].includes(row.status) && (
+            <Button size="sm" variant="secondary" onClick={() => handleCancel(row)}>
+              Cancel
+            </Button>
+          )}
+          {row.status === "issued" && (
+            <Button
+              size="sm"
+              variant="info"
+              onClick={() => setModal({ ...EMPTY_MODAL, type: "return", issue: row })}
+            >
+              Record Return
+            </Button>
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  const modalTitles = {
+    new: "New Issue Request",
+    reject: "Reject Request",
+    handover: "Hand Over Item",
+    return: "Record Return",
+  };
+
+  if (loading && issues.length === 0) {
+    return <PageLoader message="Loading issue requests..." />;
+  }
+
+  return (
+    <div className="issue-items-page">
+      <SetPageTitle title="Issue Items | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Issue Items</h2>
+      </div>
+
+      <section className="issue-toolbar">
+        <Button onClick={openNewRequest}>+ New Request</Button>
+
+        <div className="issue-toolbar__filters">
+          <Select
+            name="statusFilter"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value || "open")}
+            options={STATUS_FILTERS}
+            placeholder="Status"
+          />
+          <div className="issue-toolbar__group">
+            <Button
+              size="sm"
+              variant={groupBy === "branch" ? "primary" : "secondary"}
+              onClick={() => setGroupBy("branch")}
+            >
+              Per Branch
+            </Button>
+            <Button
+              size="sm"
+              variant={groupBy === "user" ? "primary" : "secondary"}
+              onClick={() => setGroupBy("user")}
+            >
+              Per User
+            </Button>
+          </div>
+        </div>
+      </section>
+
+      {groups.length === 0 && <p className="issue-empty">No issue requests found.</p>}
+
+      {groups.map((group) => (
+        <section key={group.key} className="issue-group">
+          <h3 className="issue-group__title">
+            {group.label}
+            <span className="issue-group__count">{group.items.length}</span>
+          </h3>
+          <Table
+            columns={columns}
+            data={group.items}
+            pageSize={10}
+            showSearch={false}
+            showPagination={group.items.length > 10}
+          />
+        </section>
+      ))}
+
+      {successMessage && <div className="issue-success">✓ {successMessage}</div>}
+
+      <Modal isOpen={!!modal.type} onClose={closeModal} title={modalTitles[modal.type]} size="sm">
+        <form onSubmit={handleModalSubmit} className="issue-form">
+          {modal.type === "new" && (
+            <>
+              <Select
+                name="requestedFor"
+                label="Requested For"
+                value={modal.requestedFor}
+                onChange={(e) => setModal((prev) => ({ ...prev, requestedFor: e.target.value, error: "" }))}
+                options={users.map((u) => ({ value: u._id, label: `${u.name} (${u.userId})` }))}
+                placeholder="Select user"
+                required
+              />
+              <Select
+                name="branchId"
+                label="Issue From Branch"
+                value={modal.branchId}
+                onChange={(e) => setModal((prev) => ({ ...prev, branchId: e.target.value, error: "" }))}
+                options={branches.map((b) => ({ value: b._id, label: b.name }))}
+                placeholder="Select branch"
+                required
+              />
+              <Select
+                name="category"
+                label="Category"
+                value={modal.category}
+                onChange={(e) => setModal((prev) => ({ ...prev, category: e.target.value, error: "" }))}
+                options={ASSET_CATEGORIES.map((c) => ({ value: c, label: c }))}
+                placeholder="Select category"
+                required
+              />
+              <Input
+                type="date"
+                name="expectedReturnDate"
+                label="Expected Return Date"
+                value={modal.expectedReturnDate}
+                onChange={(e) => setModal((prev) => ({ ...prev, expectedReturnDate: e.target.value }))}
+              />
+              <Textarea
+                name="purpose"
+                label="Purpose"
+                value={modal.purpose}
+                onChange={(e) => setModal((prev) => ({ ...prev, purpose: e.target.value }))}
+                rows={3}
+              />
+            </>
+          )}
+
+          {modal.type === "handover" && (
+            <Select
+              name="assetId"
+              label={`Asset (${modal.issue?.category}, in stock at ${modal.issue?.branchId?.name || "branch"})`}
+              value={modal.assetId}
+              onChange={(e) => setModal((prev) => ({ ...prev, assetId: e.target.value, error: "" }))}
+              options={availableAssets.map((a) => ({
+                value: a._id,
+                label: `${a.name} — ${a.serialNumber}${a.assetTag ? ` / ${a.assetTag}` : ""}`,
+              }))}
+              placeholder={availableAssets.length ? "Select asset" : "No matching assets in stock"}
+              disabled={!!modal.issue?.asset}
+              required
+            />
+          )}
+
+          {["reject", "handover", "return"].includes(modal.type) && (
+            <Textarea
+              name="notes"
+              label={modal.type === "reject" ? "Reason" : "Condition Notes"}
+              value={modal.notes}
+              onChange={(e) => setModal((prev) => ({ ...prev, notes: e.target.value, error: "" }))}
+              rows={3}
+              required={modal.type === "reject"}
+            />
+          )}
+
+          {modal.error && <div className="issue-form__error">{modal.error}</div>}
+
+          <div className="issue-form__actions">
+            <Button type="button" variant="secondary" onClick={closeModal} disabled={modal.isSubmitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant={modal.type === "reject" ? "danger" : "primary"} disabled={modal.isSubmitting}>
+              {modal.isSubmitting ? "Saving..." : "Save"}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default IssueItems;
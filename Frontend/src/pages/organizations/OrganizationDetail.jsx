@@ -0,0 +1,211 @@
+import { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { useAuth } from "../../hooks/useAuth.js";
+import { fetchOrganizationById, updateOrganization } from "../../services/organizationApi.js";
+import OrganizationFields from "./OrganizationFields.jsx";
+import OrganizationPasswordPolicy from "./OrganizationPasswordPolicy.jsx";
+import OrganizationLdapSettings from "./OrganizationLdapSettings.jsx";
+import OrganizationRegistrationSettings from "./OrganizationRegistrationSettings.jsx";
+import "./Organizations.css";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "--");
+
+const toForm = (organization) => ({
+  name: organization.name || "",
+  code: organization.code || "",
+  contactEmail: organization.contactEmail || "",
+  contactPhone: organization.contactPhone || "",
+  address: organization.address || "",
+  error: "",
+  isSubmitting: false,
+});
+
+const OrganizationDetail = () => {
+  const { id } = useParams();
+  const { permissions = [] } = useAuth();
+  const canUpdate = permissions.includes("*") || permissions.includes("organization:update");
+
+  const [organization, setOrganization] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [editForm, setEditForm] = useState(null);
+
+  useEffect(() => {
+    const loadOrganization = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setOrganization(await fetchOrganizationById(id));
+      } catch (err) {
+        setError(err.message || "Failed to load organization");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadOrganization();
+  }, [id, reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!editForm.name.trim()) {
+      setEditForm((prev) => ({ ...prev, error: "Organization name is required" }));
+      return;
+    }
+
+    setEditForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+    try {
+      await updateOrganization(id, {
+        name: editForm.name.trim(),
+        code: editForm.code.trim(),
+        contactEmail: editForm.contactEmail.trim(),
+        contactPhone: editForm.contactPhone.trim(),
+        address: editForm.address.trim(),
+      });
+      setEditForm(null);
+      showSuccess("Organization updated");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setEditForm((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const branchColumns = [
+    { header: "Branch", key: "name", sortable: true },
+    { header: "Code", key: "code", render: (row) => row.code || "--" },
+    { header: "Address", key: "address", render: (row) => row.address || "--" },
+    {
+      header: "Status",
+      key: "isActive",
+      render: (row) => (
+        <Badge variant={row.isActive ? "success" : "secondary"} size="sm">
+          {row.isActive ? "Active" : "Inactive"}
+        </Badge>
+      ),
+    },
+  ];
+
+  if (loading && !organization) {
+    return <PageLoader message="Loading organization..." />;
+  }
+
+  return (
+    <div className="org-page">
+      <SetPageTitle title={`${organization?.name || "Organization"} | ABCD`} />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title org-title">
+        <h2>{organization?.name || "Organization"}</h2>
+        <Link to="/organizations" className="org-title__link">
+          ← All organizations
+        </Link>
+      </div>
+
+      {organization && (
+        <>
+          <section className="org-detail">
+            <div className="org-detail__header">
+              <Badge variant={organization.isActive ? "success" : "secondary"}>
+                {organization.isActive ? "Active" : "Inactive"}
+              </Badge>
+              {canUpdate && !editForm && (
+                <Button size="sm" variant="secondary" onClick={() => setEditForm(toForm(organization))}>
+                  Edit
+                </Button>
+              )}
+            </div>
+
+            {editForm ? (
+              <form onSubmit={handleSave} className="org-form">
+                <OrganizationFields
+                  values={editForm}
+                  onChange={(field, value) => setEditForm((prev) => ({ ...prev, [field]: value, error: "" }))}
+                />
+                {editForm.error && <div className="org-form__error">{editForm.error}</div>}
+                <div className="org-form__actions">
+                  <Button
+                    type="button"
+                    variant="secondary"
+                    onClick={() => setEditForm(null)}
+                    disabled={editForm.isSubmitting}
+                  >
+                    Cancel
+                  </Button>
+                  <Button type="submit" variant="primary" disabled={editForm.isSubmitting}>
+                    {editForm.isSubmitting ? "Saving..." : "Save"}
+                  </Button>
+                </div>
+              </form>
+            ) : (
+              <dl className="org-detail__fields">
+                <dt>Code</dt>
+                <dd>{organization.code || "--"}</dd>
+                <dt>Contact Email</dt>
+                <dd>{organization.contactEmail || "--"}</dd>
+                <dt>Contact Phone</dt>
+                <dd>{organization.contactPhone || "--"}</dd>
+                <dt>Address</dt>
+                <dd>{organization.address || "--"}</dd>
+                <dt>Branches</dt>
+                <dd>
+                  {organization.branchCount.active} active / {organization.branchCount.total} total
+                </dd>
+                <dt>Users</dt>
+                <dd>
+                  {organization.userCount.active} active / {organization.userCount.total} total
+                </dd>
+                <dt>Created</dt>
+                <dd>
+                  {formatDate(organization.createdAt)}
+                  {organization.createdBy && ` by ${organization.createdBy.name}`}
+                </dd>
+                {!organization.isActive && (
+                  <>
+                    <dt>Deactivated</dt>
+                    <dd>
+                      {formatDate(organization.deactivatedAt)}
+                      {organization.deactivatedBy && ` by ${organization.deactivatedBy.name}`}
+                      {organization.deactivationReason && ` — ${organization.deactivationReason}`}
+                    </dd>
+                  </>
+                )}
+              </dl>
+            )}
+          </section>
+
+          <OrganizationPasswordPolicy organizationId={id} canUpdate={canUpdate} onSaved={showSuccess} />
+
+          <OrganizationLdapSettings organizationId={id} canUpdate={canUpdate} onSaved={showSuccess} />
+
+          <OrganizationRegistrationSettings
+            organizationId={id}
+            branches={organization.branches || []}
+            canUpdate={canUpdate}
+            onSaved={showSuccess}
+          />
+
+          <h3>Branches</h3>
+          <Table columns={branchColumns} data={organization.branches || []} pageSize={10} />
+          {(organization.branches || []).length === 0 && <p className="org-empty">No branches yet.</p>}
+        </>
+      )}
+
+      {successMessage && <div className="org-success">✓ {successMessage}</div>}
+    </div>
+  );
+};
+
+export default OrganizationDetail;
@@ -0,0 +1,46 @@
+import Input from "../../components/Input/Input.jsx";
+import Textarea from "../../components/Textarea/Textarea.jsx";
+
+/**
+ * Organization detail inputs shared by the create modal and the edit form
+ */
+const OrganizationFields = ({ values, onChange }) => (
+  <>
+    <Input
+      name="name"
+      label="Organization Name"
+      value={values.name}
+      onChange={(e) => onChange("name", e.target.value)}
+      required
+    />
+    <Input
+      name="code"
+      label="Code"
+      value={values.code}
+      onChange={(e) => onChange("code", e.target.value)}
+      placeholder="Short unique code, e.g. ACME"
+    />
+    <Input
+      type="email"
+      name="contactEmail"
+      label="Contact Email"
+      value={values.contactEmail}
+      onChange={(e) => onChange("contactEmail", e.target.value)}
+    />
+    <Input
+      name="contactPhone"
+      label="Contact Phone"
+      value={values.contactPhone}
+      onChange={(e) => onChange("contactPhone", e.target.value)}
+    />
+    <Textarea
+      name="address"
+      label="Address"
+      value={values.address}
+      onChange={(e) => onChange("address", e.target.value)}
+      rows={2}
+    />
+  </>
+);
+
+export default OrganizationFields;
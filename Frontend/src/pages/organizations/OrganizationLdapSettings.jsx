@@ -0,0 +1,279 @@
+import { useState, useEffect } from "react";
+import Button from "../../components/Button/Button.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Checkbox from "../../components/Checkbox/Checkbox.jsx";
+import Textarea from "../../components/Textarea/Textarea.jsx";
+import {
+  fetchOrganizationLdapSettings,
+  updateOrganizationLdapSettings,
+  testOrganizationLdapConnection,
+  syncOrganizationLdapDirectory,
+} from "../../services/organizationApi.js";
+
+const TEXT_FIELDS = [
+  { field: "url", label: "Server URL", placeholder: "ldaps://dc.example.com" },
+  { field: "bindDn", label: "Service account DN (empty = anonymous search)" },
+  { field: "searchBase", label: "Search base", placeholder: "dc=example,dc=com" },
+  { field: "userFilter", label: "User filter ({{username}}, {{userId}} or {{email}})" },
+  { field: "defaultAtomicRole", label: "Role when no group matches (empty = keep current role)" },
+];
+
+const ATTRIBUTE_FIELDS = [
+  { field: "name", label: "Name attribute" },
+  { field: "designation", label: "Designation attribute" },
+  { field: "department", label: "Department attribute" },
+  { field: "groups", label: "Groups attribute" },
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "Never");
+
+// "IT Admins = enterprise_admin" per line <-> [{ group, atomicRole }]
+const mappingsToText = (mappings = []) => mappings.map(({ group, atomicRole }) => `${group} = ${atomicRole}`).join("\n");
+
+const textToMappings = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const separator = line.lastIndexOf("=");
+      return separator === -1
+        ? { group: line, atomicRole: "" }
+        : { group: line.slice(0, separator).trim(), atomicRole: line.slice(separator + 1).trim() };
+    });
+
+const toForm = (settings) => ({
+  ...settings,
+  bindPassword: "",
+  attributes: { ...settings.attributes },
+  mappingsText: mappingsToText(settings.groupRoleMappings),
+  breakGlassText: (settings.breakGlassUserIds || []).join(", "),
+  error: "",
+  isSubmitting: false,
+});
+
+/**
+ * Directory (LDAP / Active Directory) login section of the organization detail page
+ */
+const OrganizationLdapSettings = ({ organizationId, canUpdate, onSaved }) => {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [testLoginId, setTestLoginId] = useState("");
+  const [actionResult, setActionResult] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  // Bumped after a sync to reload the last sync status
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    fetchOrganizationLdapSettings(organizationId)
+      .then((data) => {
+        setSettings(data);
+        setLoadError(null);
+      })
+      .catch((err) => setLoadError(err.message));
+  }, [organizationId, reloadKey]);
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value, error: "" }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    try {
+      const payload = {
+        enabled: form.enabled,
+        tlsRejectUnauthorized: form.tlsRejectUnauthorized,
+        ...TEXT_FIELDS.reduce((acc, { field }) => ({ ...acc, [field]: form[field] || "" }), {}),
+        attributes: form.attributes,
+        groupRoleMappings: textToMappings(form.mappingsText),
+        breakGlassUserIds: form.breakGlassText,
+        syncIntervalMinutes: Number(form.syncIntervalMinutes),
+      };
+      // Empty keeps the saved password
+      if (form.bindPassword) payload.bindPassword = form.bindPassword;
+
+      setSettings(await updateOrganizationLdapSettings(organizationId, payload));
+      setForm(null);
+      onSaved?.("Directory settings updated");
+    } catch (err) {
+      setForm((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const runAction = async (action) => {
+    setIsBusy(true);
+    setActionResult(null);
+    try {
+      if (action === "test") {
+        const result = await testOrganizationLdapConnection(organizationId, testLoginId.trim());
+        setActionResult({ success: result.success, message: result.message });
+      } else {
+        const response = await syncOrganizationLdapDirectory(organizationId);
+        setActionResult({ success: true, message: response.message });
+        setReloadKey((key) => key + 1);
+      }
+    } catch (err) {
+      setActionResult({ success: false, message: err.message });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <section className="org-detail">
+      <div className="org-detail__header">
+        <h3 className="org-detail__title">Directory Login (LDAP / Active Directory)</h3>
+        {canUpdate && settings && !form && (
+          <Button size="sm" variant="secondary" onClick={() => setForm(toForm(settings))}>
+            Edit
+          </Button>
+        )}
+      </div>
+
+      {loadError && <div className="org-form__error">{loadError}</div>}
+
+      {form ? (
+        <form onSubmit={handleSave} className="org-form">
+          <Checkbox
+            name="enabled"
+            label="Users log in with their directory password"
+            checked={!!form.enabled}
+            onChange={(e) => setField("enabled", e.target.checked)}
+          />
+          {TEXT_FIELDS.map(({ field, label, placeholder }) => (
+            <Input
+              key={field}
+              name={field}
+              label={label}
+              value={form[field] || ""}
+              placeholder={placeholder}
+              onChange={(e) => setField(field, e.target.value)}
+            />
+          ))}
+          <Input
+            type="password"
+            name="bindPassword"
+            label={settings.hasBindPassword ? "Service account password (leave empty to keep)" : "Service account password"}
+            value={form.bindPassword}
+            onChange={(e) => setField("bindPassword", e.target.value)}
+            autoComplete="new-password"
+          />
+          <Checkbox
+            name="tlsRejectUnauthorized"
+            label="Verify the server's TLS certificate (ldaps://)"
+            checked={form.tlsRejectUnauthorized !== false}
+            onChange={(e) => setField("tlsRejectUnauthorized", e.target.checked)}
+          />
+          {ATTRIBUTE_FIELDS.map(({ field, label }) => (
+            <Input
+              key={field}
+              name={`attributes.${field}`}
+              label={label}
+              value={form.attributes[field] || ""}
+              onChange={(e) =>
+                setForm((prev) => ({ ...prev, attributes: { ...prev.attributes, [field]: e.target.value }, error: "" }))
+              }
+            />
+          ))}
+          <Textarea
+            name="mappingsText"
+            label="Group to role mappings (one per line: group = role; the first match wins)"
+            value={form.mappingsText}
+            placeholder={"IT Admins = enterprise_admin\nStaff = user"}
+            onChange={(e) => setField("mappingsText", e.target.value)}
+          />
+          <Input
+            name="breakGlassText"
+            label="Break-glass user IDs (comma separated; keep local passwords)"
+            value={form.breakGlassText}
+            onChange={(e) => setField("breakGlassText", e.target.value)}
+          />
+          <Input
+            type="number"
+            name="syncIntervalMinutes"
+            label="Sync every N minutes (0 = only on demand)"
+            value={form.syncIntervalMinutes}
+            min={0}
+            max={10080}
+            onChange={(e) => setField("syncIntervalMinutes", e.target.value)}
+            required
+          />
+          <p className="org-form__hint">
+            Directory users cannot change or reset their password here. Super admins and break-glass users always log
+            in with their local password.
+          </p>
+          {form.error && <div className="org-form__error">{form.error}</div>}
+          <div className="org-form__actions">
+            <Button type="button" variant="secondary" onClick={() => setForm(null)} disabled={form.isSubmitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={form.isSubmitting}>
+              {form.isSubmitting ? "Saving..." : "Save"}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        settings && (
+          <>
+            <dl className="org-detail__fields">
+              <dt>Status</dt>
+              <dd>{settings.enabled ? "Enabled" : "Disabled"}</dd>
+              <dt>Server</dt>
+              <dd>{settings.url || "—"}</dd>
+              <dt>Search base</dt>
+              <dd>{settings.searchBase || "—"}</dd>
+              <dt>User filter</dt>
+              <dd>{settings.userFilter}</dd>
+              <dt>Service account</dt>
+              <dd>{settings.bindDn ? `${settings.bindDn}${settings.hasBindPassword ? "" : " (no password)"}` : "Anonymous"}</dd>
+              <dt>Group mappings</dt>
+              <dd>
+                {settings.groupRoleMappings.length
+                  ? settings.groupRoleMappings.map(({ group, atomicRole }) => `${group} → ${atomicRole}`).join(", ")
+                  : "None"}
+                {settings.defaultAtomicRole && ` (otherwise ${settings.defaultAtomicRole})`}
+              </dd>
+              <dt>Break-glass users</dt>
+              <dd>{settings.breakGlassUserIds.length ? settings.breakGlassUserIds.join(", ") : "None"}</dd>
+              <dt>Sync</dt>
+              <dd>
+                {settings.syncIntervalMinutes ? `Every ${settings.syncIntervalMinutes} minutes` : "On demand"}; last{" "}
+                {formatDate(settings.lastSyncAt)}
+                {settings.lastSyncStatus === "failed" && ` (failed: ${settings.lastSyncError})`}
+                {settings.lastSyncStatus === "success" &&
+                  settings.lastSyncResult &&
+                  ` (${settings.lastSyncResult.matched} matched, ${settings.lastSyncResult.updated} updated, ` +
+                    `${settings.lastSyncResult.notFound} not found)`}
+              </dd>
+            </dl>
+
+            {canUpdate && settings.url && (
+              <div className="org-form__actions">
+                <Input
+                  name="testLoginId"
+                  placeholder="Username to look up (optional)"
+                  value={testLoginId}
+                  onChange={(e) => setTestLoginId(e.target.value)}
+                />
+                <Button size="sm" variant="secondary" onClick={() => runAction("test")} disabled={isBusy}>
+                  Test Connection
+                </Button>
+                {settings.enabled && (
+                  <Button size="sm" variant="secondary" onClick={() => runAction("sync")} disabled={isBusy}>
+                    Sync Now
+                  </Button>
+                )}
+              </div>
+            )}
+            {actionResult && (
+              <div className={actionResult.success ? "org-form__hint" : "org-form__error"}>{actionResult.message}</div>
+            )}
+          </>
+        )
+      )}
+    </section>
+  );
+};
+
+export default OrganizationLdapSettings;
@@ -0,0 +1,136 @@
+import { useState, useEffect } from "react";
+import Button from "../../components/Button/Button.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Checkbox from "../../components/Checkbox/Checkbox.jsx";
+import {
+  fetchOrganizationPasswordPolicy,
+  updateOrganizationPasswordPolicy,
+} from "../../services/organizationApi.js";
+
+const NUMBER_FIELDS = [
+  { field: "minLength", label: "Minimum length", min: 6, max: 72 },
+  { field: "historyCount", label: "Previous passwords that cannot be reused", min: 0, max: 24 },
+  { field: "maxAgeDays", label: "Maximum age in days (0 = never expires)", min: 0, max: 3650 },
+];
+
+const BOOLEAN_FIELDS = [
+  { field: "requireUppercase", label: "Require an uppercase letter" },
+  { field: "requireLowercase", label: "Require a lowercase letter" },
+  { field: "requireNumber", label: "Require a number" },
+  { field: "requireSymbol", label: "Require a symbol" },
+  { field: "disallowUserInfo", label: "Reject passwords containing the username, user ID, email or name" },
+];
+
+const yesNo = (value) => (value ? "Yes" : "No");
+
+/**
+ * Password policy section of the organization detail page
+ */
+const OrganizationPasswordPolicy = ({ organizationId, canUpdate, onSaved }) => {
+  const [policy, setPolicy] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    fetchOrganizationPasswordPolicy(organizationId)
+      .then((data) => {
+        setPolicy(data);
+        setLoadError(null);
+      })
+      .catch((err) => setLoadError(err.message));
+  }, [organizationId]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    try {
+      const { error: _error, isSubmitting: _isSubmitting, ...values } = form;
+      const payload = { ...values };
+      NUMBER_FIELDS.forEach(({ field }) => {
+        payload[field] = Number(values[field]);
+      });
+
+      setPolicy(await updateOrganizationPasswordPolicy(organizationId, payload));
+      setForm(null);
+      onSaved?.("Password policy updated");
+    } catch (err) {
+      setForm((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  return (
+    <section className="org-detail">
+      <div className="org-detail__header">
+        <h3 className="org-detail__title">Password Policy</h3>
+        {canUpdate && policy && !form && (
+          <Button size="sm" variant="secondary" onClick={() => setForm({ ...policy, error: "", isSubmitting: false })}>
+            Edit
+          </Button>
+        )}
+      </div>
+
+      {loadError && <div className="org-form__error">{loadError}</div>}
+
+      {form ? (
+        <form onSubmit={handleSave} className="org-form">
+          {NUMBER_FIELDS.map(({ field, label, min, max }) => (
+            <Input
+              key={field}
+              type="number"
+              name={field}
+              label={label}
+              value={form[field]}
+              min={min}
+              max={max}
+              onChange={(e) => setForm((prev) => ({ ...prev, [field]: e.target.value, error: "" }))}
+              required
+            />
+          ))}
+          {BOOLEAN_FIELDS.map(({ field, label }) => (
+            <Checkbox
+              key={field}
+              name={field}
+              label={label}
+              checked={!!form[field]}
+              onChange={(e) => setForm((prev) => ({ ...prev, [field]: e.target.checked, error: "" }))}
+            />
+          ))}
+          <p className="org-form__hint">
+            Changes apply to passwords set from now on. A shorter maximum age also applies to existing passwords at
+            their next login.
+          </p>
+          {form.error && <div className="org-form__error">{form.error}</div>}
+          <div className="org-form__actions">
+            <Button type="button" variant="secondary" onClick={() => setForm(null)} disabled={form.isSubmitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={form.isSubmitting}>
+              {form.isSubmitting ? "Saving..." : "Save"}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        policy && (
+          <dl className="org-detail__fields">
+            <dt>Minimum length</dt>
+            <dd>{policy.minLength} characters</dd>
+            <dt>Character classes</dt>
+            <dd>
+              Uppercase: {yesNo(policy.requireUppercase)}, lowercase: {yesNo(policy.requireLowercase)}, number:{" "}
+              {yesNo(policy.requireNumber)}, symbol: {yesNo(policy.requireSymbol)}
+            </dd>
+            <dt>Reject user info</dt>
+            <dd>{yesNo(policy.disallowUserInfo)}</dd>
+            <dt>Reuse blocked</dt>
+            <dd>Current and last {policy.historyCount} passwords</dd>
+            <dt>Maximum age</dt>
+            <dd>{policy.maxAgeDays ? `${policy.maxAgeDays} days` : "Never expires"}</dd>
+          </dl>
+        )
+      )}
+    </section>
+  );
+};
+
+export default OrganizationPasswordPolicy;
@@ -0,0 +1,174 @@
+import { useState, useEffect } from "react";
+import Button from "../../components/Button/Button.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Select from "../../components/Select/Select.jsx";
+import {
+  fetchOrganizationRegistrationSettings,
+  updateOrganizationRegistrationSettings,
+} from "../../services/organizationApi.js";
+
+const MODE_OPTIONS = [
+  { value: "disabled", label: "Closed - only admins add users" },
+  { value: "invite_code", label: "Anyone with the invite code" },
+  { value: "email_domain", label: "Email addresses of allowed domains" },
+];
+
+const MODE_LABELS = Object.fromEntries(MODE_OPTIONS.map(({ value, label }) => [value, label]));
+
+/**
+ * Self-service sign-up section of the organization detail page. Sign-ups wait
+ * for approval by an admin with user:create (Users → Pending Registrations).
+ */
+const OrganizationRegistrationSettings = ({ organizationId, branches = [], canUpdate, onSaved }) => {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+
+  useEffect(() => {
+    fetchOrganizationRegistrationSettings(organizationId)
+      .then((data) => {
+        setSettings(data);
+        setLoadError(null);
+      })
+      .catch((err) => setLoadError(err.message));
+  }, [organizationId]);
+
+  const startEditing = () =>
+    setForm({
+      mode: settings.mode,
+      allowedDomains: settings.allowedDomains.join(", "),
+      branchId: settings.branchId || "",
+      error: "",
+      isSubmitting: false,
+    });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    try {
+      setSettings(
+        await updateOrganizationRegistrationSettings(organizationId, {
+          mode: form.mode,
+          allowedDomains: form.allowedDomains,
+          branchId: form.branchId || null,
+        })
+      );
+      setForm(null);
+      onSaved?.("Sign-up settings updated");
+    } catch (err) {
+      setForm((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!window.confirm("Issue a new invite code? The current code stops working.")) return;
+
+    try {
+      setIsRegenerating(true);
+      setSettings(await updateOrganizationRegistrationSettings(organizationId, { regenerateInviteCode: true }));
+      onSaved?.("New invite code issued");
+    } catch (err) {
+      setLoadError(err.message);
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  const branchName = (branchId) => branches.find((branch) => branch._id === branchId)?.name || "--";
+
+  return (
+    <section className="org-detail">
+      <div className="org-detail__header">
+        <h3 className="org-detail__title">Self-Service Sign-Up</h3>
+        {canUpdate && settings && !form && (
+          <Button size="sm" variant="secondary" onClick={startEditing}>
+            Edit
+          </Button>
+        )}
+      </div>
+
+      {loadError && <div className="org-form__error">{loadError}</div>}
+
+      {form ? (
+        <form onSubmit={handleSave} className="org-form">
+          <Select
+            name="mode"
+            label="Who can sign up"
+            value={form.mode}
+            onChange={(e) => setForm((prev) => ({ ...prev, mode: e.target.value || "disabled", error: "" }))}
+            options={MODE_OPTIONS}
+          />
+          {form.mode === "email_domain" && (
+            <Input
+              name="allowedDomains"
+              label="Allowed email domains (comma separated)"
+              placeholder="example.com, lab.example.com"
+              value={form.allowedDomains}
+              onChange={(e) => setForm((prev) => ({ ...prev, allowedDomains: e.target.value, error: "" }))}
+              required
+            />
+          )}
+          {form.mode !== "disabled" && (
+            <Select
+              name="branchId"
+              label="Branch for new sign-ups"
+              placeholder="None (organization only)"
+              value={form.branchId}
+              onChange={(e) => setForm((prev) => ({ ...prev, branchId: e.target.value, error: "" }))}
+              options={branches.map((branch) => ({ value: branch._id, label: branch.name }))}
+            />
+          )}
+          <p className="org-form__hint">
+            New accounts cannot log in until an admin with the user:create permission approves them. Sign-up cannot
+            be opened while directory logins are enabled.
+          </p>
+          {form.error && <div className="org-form__error">{form.error}</div>}
+          <div className="org-form__actions">
+            <Button type="button" variant="secondary" onClick={() => setForm(null)} disabled={form.isSubmitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={form.isSubmitting}>
+              {form.isSubmitting ? "Saving..." : "Save"}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        settings && (
+          <dl className="org-detail__fields">
+            <dt>Who can sign up</dt>
+            <dd>{MODE_LABELS[settings.mode]}</dd>
+            {settings.mode === "invite_code" && (
+              <>
+                <dt>Invite code</dt>
+                <dd>
+                  <code>{settings.inviteCode}</code>{" "}
+                  {canUpdate && (
+                    <Button size="sm" variant="secondary" onClick={handleRegenerate} disabled={isRegenerating}>
+                      New code
+                    </Button>
+                  )}
+                </dd>
+              </>
+            )}
+            {settings.mode === "email_domain" && (
+              <>
+                <dt>Allowed domains</dt>
+                <dd>{settings.allowedDomains.join(", ")}</dd>
+              </>
+            )}
+            {settings.mode !== "disabled" && (
+              <>
+                <dt>Branch</dt>
+                <dd>{settings.branchId ? branchName(settings.branchId) : "None (organization only)"}</dd>
+              </>
+            )}
+          </dl>
+        )
+      )}
+    </section>
+  );
+};
+
+export default OrganizationRegistrationSettings;
@@ -0,0 +1,265 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Textarea from "../../components/Textarea/Textarea.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { useAuth } from "../../hooks/useAuth.js";
+import {
+  fetchOrganizations,
+  createOrganization,
+  deactivateOrganization,
+  activateOrganization,
+} from "../../services/organizationApi.js";
+import OrganizationFields from "./OrganizationFields.jsx";
+import "./Organizations.css";
+
+const STATUS_FILTERS = [
+  { value: "true", label: "Active" },
+  { value: "false", label: "Inactive" },
+  { value: "all", label: "All" },
+];
+
+const EMPTY_MODAL = {
+  type: null, // "new" | "deactivate"
+  organization: null,
+  name: "",
+  code: "",
+  contactEmail: "",
+  contactPhone: "",
+  address: "",
+  reason: "",
+  error: "",
+  isSubmitting: false,
+};
+
+const formatCount = (count) => (count ? `${count.active} / ${count.total}` : "0 / 0");
+
+const Organizations = () => {
+  const { permissions = [] } = useAuth();
+  const can = (permission) => permissions.includes("*") || permissions.includes(permission);
+
+  const [organizations, setOrganizations] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("true");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [modal, setModal] = useState(EMPTY_MODAL);
+
+  useEffect(() => {
+    const loadOrganizations = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await fetchOrganizations(statusFilter === "all" ? {} : { isActive: statusFilter });
+        setOrganizations(data.items || []);
+      } catch (err) {
+        setError(err.message || "Failed to load organizations");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadOrganizations();
+  }, [statusFilter, reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const closeModal = () => setModal(EMPTY_MODAL);
+
+  const handleActivate = async (organization) => {
+    if (!window.confirm(`Reactivate ${organization.name}? Branches and users deactivated with it are restored.`)) {
+      return;
+    }
+    try {
+      setError(null);
+      const result = await activateOrganization(organization._id);
+      showSuccess(result.message || "Organization reactivated");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleModalSubmit = async (e) => {
+    e.preventDefault();
+    const { type, organization } = modal;
+
+    if (type === "new" && !modal.name.trim()) {
+      setModal((prev) => ({ ...prev, error: "Organization name is required" }));
+      return;
+    }
+
+    setModal((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    try {
+      if (type === "new") {
+        await createOrganization({
+          name: modal.name.trim(),
+          code: modal.code.trim() || undefined,
+          contactEmail: modal.contactEmail.trim(),
+          contactPhone: modal.contactPhone.trim(),
+          address: modal.address.trim(),
+        });
+        showSuccess("Organization created");
+      } else if (type === "deactivate") {
+        const result = await deactivateOrganization(organization._id, modal.reason.trim());
+        showSuccess(result.message || "Organization deactivated");
+      }
+      closeModal();
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const columns = [
+    {
+      header: "Name",
+      key: "name",
+      sortable: true,
+      render: (row) => <Link to={`/organizations/${row._id}`}>{row.name}</Link>,
+    },
+    { header: "Code", key: "code", render: (row) => row.code || "--" },
+    { header: "Contact", key: "contactEmail", render: (row) => row.contactEmail || row.contactPhone || "--" },
+    { header: "Branches (active / total)", key: "branchCount", render: (row) => formatCount(row.branchCount) },
+    { header: "Users (active / total)", key: "userCount", render: (row) => formatCount(row.userCount) },
+    {
+      header: "Status",
+      key: "isActive",
+      render: (row) => (
+        <Badge variant={row.isActive ? "success" : "secondary"} size="sm">
+          {row.isActive ? "Active" : "Inactive"}
+        </Badge>
+      ),
+    },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <div className="org-actions">
+          <Link to={`/organizations/${row._id}`}>
+            <Button size="sm" variant="secondary">
+              View
+            </Button>
+          </Link>
+          {can("organization:delete") &&
+            (row.isActive ? (
+              <Button
+                size="sm"
+                variant="danger"
+                onClick={() => setModal({ ...EMPTY_MODAL, type: "deactivate", organization: row })}
+              >
+                Deactivate
+              </Button>
+            ) : (
+              <Button size="sm" variant="primary" onClick={() => handleActivate(row)}>
+                Activate
+              </Button>
+            ))}
+        </div>
+      ),
+    },
+  ];
+
+  const modalTitles = {
+    new: "New Organization",
+    deactivate: "Deactivate Organization",
+  };
+
+  if (loading && organizations.length === 0) {
+    return <PageLoader message="Loading organizations..." />;
+  }
+
+  return (
+    <div className="org-page">
+      <SetPageTitle title="Organizations | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Organizations</h2>
+      </div>
+
+      <section className="org-toolbar">
+        {can("organization:create") ? (
+          <Button onClick={() => setModal({ ...EMPTY_MODAL, type: "new" })}>+ New Organization</Button>
+        ) : (
+          <span />
+        )}
+        <Select
+          name="statusFilter"
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value || "true")}
+          options={STATUS_FILTERS}
+          placeholder="Status"
+        />
+      </section>
+
+      <Table
+        columns={columns}
+        data={organizations}
+        pageSize={10}
+        showPagination={organizations.length > 10}
+      />
+
+      {organizations.length === 0 && <p className="org-empty">No organizations found.</p>}
+
+      {successMessage && <div className="org-success">✓ {successMessage}</div>}
+
+      <Modal isOpen={!!modal.type} onClose={closeModal} title={modalTitles[modal.type]} size="sm">
+        <form onSubmit={handleModalSubmit} className="org-form">
+          {modal.type === "new" && (
+            <OrganizationFields
+              values={modal}
+              onChange={(field, value) => setModal((prev) => ({ ...prev, [field]: value, error: "" }))}
+            />
+          )}
+
+          {modal.type === "deactivate" && (
+            <>
+              <p className="org-form__hint">
+                Deactivating <strong>{modal.organization?.name}</strong> also deactivates its{" "}
+                {modal.organization?.branchCount?.active || 0} active branches and{" "}
+                {modal.organization?.userCount?.active || 0} active users, and signs those users out. Reactivating
+                the organization restores them.
+              </p>
+              <Textarea
+                name="reason"
+                label="Reason"
+                value={modal.reason}
+                onChange={(e) => setModal((prev) => ({ ...prev, reason: e.target.value }))}
+                rows={2}
+              />
+            </>
+          )}
+
+          {modal.error && <div className="org-form__error">{modal.error}</div>}
+
+          <div className="org-form__actions">
+            <Button type="button" variant="secondary" onClick={closeModal} disabled={modal.isSubmitting}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant={modal.type === "deactivate" ? "danger" : "primary"}
+              disabled={modal.isSubmitting}
+            >
+              {modal.isSubmitting ? "Saving..." : modal.type === "deactivate" ? "Deactivate" : "Save"}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Organizations;
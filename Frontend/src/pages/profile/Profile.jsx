@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import Button from "../../components/Button/Button.jsx";
+import Card from "../../components/Card/Card.jsx";
+import Input from "../../components/Input/Input.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { useAuth } from "../../hooks/useAuth.js";
+import "../security/SecuritySettings.css";
+
+const toForm = (user) => ({
+  name: user?.name || "",
+  phone_no: user?.phone_no ? String(user.phone_no) : "",
+  designation: user?.designation && user.designation !== "NA" ? user.designation : "",
+  error: "",
+  isSubmitting: false,
+});
+
+/**
+ * The signed-in user's own profile: name, phone number and designation can be
+ * edited here; role, organization and account flags are managed by admins
+ */
+const Profile = () => {
+  const { user, updateProfile } = useAuth();
+  const [form, setForm] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value, error: "" }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    const result = await updateProfile({
+      name: form.name,
+      phone_no: form.phone_no,
+      designation: form.designation,
+    });
+    if (!result.success) {
+      setForm((prev) => ({ ...prev, error: result.error, isSubmitting: false }));
+      return;
+    }
+
+    setForm(null);
+    setSuccessMessage("Profile updated");
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  return (
+    <div className="security-page profile">
+      <SetPageTitle title="My Profile | ABCD" />
+
+      <div className="page-title">
+        <h2>My Profile</h2>
+      </div>
+
+      <div className="security-page__actions">
+        <Link to="/security" className="sessions__back">
+          Security settings →
+        </Link>
+      </div>
+
+      <Card title="Account" subtitle="Managed by your administrators" className="security-page__card">
+        <dl className="profile__fields">
+          <dt>User ID</dt>
+          <dd>{user?.userId || "--"}</dd>
+          <dt>Email</dt>
+          <dd>{user?.email || "--"}</dd>
+          <dt>Role</dt>
+          <dd>{user?.role || "--"}</dd>
+          <dt>Department</dt>
+          <dd>{user?.department && user.department !== "NA" ? user.department : "--"}</dd>
+        </dl>
+      </Card>
+
+      <Card title="Personal details" subtitle="Shown to colleagues and administrators" className="security-page__card">
+        {form ? (
+          <form onSubmit={handleSave} className="security-page__form">
+            <Input type="text" name="name" label="Full Name" value={form.name} onChange={handleChange} required />
+            <Input
+              type="tel"
+              name="phone_no"
+              label="Phone Number"
+              placeholder="10 digit mobile number"
+              value={form.phone_no}
+              onChange={handleChange}
+            />
+            <Input type="text" name="designation" label="Designation" value={form.designation} onChange={handleChange} />
+            {form.error && <div className="security-page__error">{form.error}</div>}
+            <div className="security-page__form-actions">
+              <Button type="button" variant="secondary" onClick={() => setForm(null)} disabled={form.isSubmitting}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" disabled={form.isSubmitting}>
+                {form.isSubmitting ? "Saving..." : "Save"}
+              </Button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <dl className="profile__fields">
+              <dt>Full Name</dt>
+              <dd>{user?.name || "--"}</dd>
+              <dt>Phone Number</dt>
+              <dd>{user?.phone_no || "--"}</dd>
+              <dt>Designation</dt>
+              <dd>{user?.designation && user.designation !== "NA" ? user.designation : "--"}</dd>
+            </dl>
+            <div className="security-page__actions">
+              <Button variant="primary" onClick={() => setForm(toForm(user))}>
+                Edit
+              </Button>
+            </div>
+          </>
+        )}
+      </Card>
+
+      {successMessage && <div className="security-page__success">✓ {successMessage}</div>}
+    </div>
+  );
+};
+
+export default Profile;
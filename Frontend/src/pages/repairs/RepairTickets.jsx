@@ -0,0 +1,469 @@
+import { useState, useEffect } from "react";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Textarea from "../../components/Textarea/Textarea.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchAllUsers } from "../../services/userApi.js";
+import { fetchAssets } from "../../services/assetApi.js";
+import {
+  REPAIR_PRIORITIES,
+  REPAIR_STATUS_TRANSITIONS,
+  fetchRepairTickets,
+  openRepairTicket,
+  assignRepairTicket,
+  changeRepairStatus,
+} from "../../services/repairApi.js";
+import "./RepairTickets.css";
+
+const STATUS_VARIANTS = {
+  reported: "warning",
+  diagnosed: "info",
+  sent_to_vendor: "primary",
+  repaired: "success",
+  unrepairable: "danger",
+};
+
+const PRIORITY_VARIANTS = {
+  low: "secondary",
+  medium: "info",
+  high: "warning",
+  critical: "danger",
+};
+
+const STATUS_FILTERS = [
+  { value: "open", label: "Open (reported / diagnosed / with vendor)" },
+  { value: "reported", label: "Reported" },
+  { value: "diagnosed", label: "Diagnosed" },
+  { value: "sent_to_vendor", label: "Sent to Vendor" },
+  { value: "repaired", label: "Repaired" },
+  { value: "unrepairable", label: "Unrepairable" },
+  { value: "all", label: "All" },
+];
+
+const EMPTY_MODAL = {
+  type: null, // "new" | "assign" | "status"
+  ticket: null,
+  assetId: "",
+  issueDescription: "",
+  priority: "medium",
+  estimatedCost: "",
+  assigneeType: "technician",
+  technicianId: "",
+  vendorName: "",
+  vendorContact: "",
+  referenceNumber: "",
+  status: "",
+  diagnosis: "",
+  actualCost: "",
+  notes: "",
+  error: "",
+  isSubmitting: false,
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "--");
+const formatLabel = (value) => (value ? value.replace(/_/g, " ") : "--");
+const formatCost = (value) => (value === null || value === undefined ? "--" : Number(value).toFixed(2));
+const toNumberOrNull = (value) => (value === "" ? null : Number(value));
+
+const RepairTickets = () => {
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [statusFilter, setStatusFilter] = useState("open");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [assets, setAssets] = useState([]);
+  const [technicians, setTechnicians] = useState([]);
+  const [modal, setModal] = useState(EMPTY_MODAL);
+
+  useEffect(() => {
+    const loadTickets = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        let params = {};
+        if (statusFilter === "open") params = { open: "true" };
+        else if (statusFilter !== "all") params = { status: statusFilter };
+        const data = await fetchRepairTickets(params);
+        setTickets(data);
+      } catch (err) {
+        setError(err.message || "Failed to load repair tickets");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadTickets();
+  }, [statusFilter, reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const closeModal = () => setModal(EMPTY_MODAL);
+
+  const openNewTicket = async () => {
+    setModal({ ...EMPTY_MODAL, type: "new" });
+    try {
+      // Only in-stock and assigned assets can be sent for repair
+      const [inStock, assigned] = await Promise.all([
+        fetchAssets({ status: "in_stock" }),
+        fetchAssets({ status: "assigned" }),
+      ]);
+      setAssets([...inStock, ...assigned]);
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message }));
+    }
+  };
+
+  const openAssign = async (ticket) => {
+    setModal({
+      ...EMPTY_MODAL,
+      type: "assign",
+      ticket,
+      assigneeType: ticket.assigneeType || "technician",
+      technicianId: ticket.technician?._id || "",
+      vendorName: ticket.vendor?.name || "",
+      vendorContact: ticket.vendor?.contact || "",
+      referenceNumber: ticket.vendor?.referenceNumber || "",
+    });
+    if (technicians.length) return;
+    try {
+      const userList = await fetchAllUsers(100);
+      setTechnicians(userList.filter((u) => u.isActive));
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message }));
+    }
+  };
+
+  const openStatus = (ticket) =>
+    setModal({
+      ...EMPTY_MODAL,
+      type: "status",
+      ticket,
+      diagnosis: ticket.diagnosis || "",
+      actualCost: ticket.actualCost ?? "",
+    });
+
+  const handleModalSubmit = async (e) => {
+    e.preventDefault();
+    const { type, ticket } = modal;
+
+    if (type === "new" && (!modal.assetId || !modal.issueDescription.trim())) {
+      setModal((prev) => ({ ...prev, error: "Asset and issue description are required" }));
+      return;
+    }
+    if (type === "assign" && modal.assigneeType === "technician" && !modal.technicianId) {
+      setModal((prev) => ({ ...prev, error: "Select a technician" }));
+      return;
+    }
+    if (type === "assign" && modal.assigneeType === "vendor" && !modal.vendorName.trim()) {
+      setModal((prev) => ({ ...prev, error: "Vendor name is required" }));
+      return;
+    }
+    if (type === "status" && !modal.status) {
+      setModal((prev) => ({ ...prev, error: "Select the new status" }));
+      return;
+    }
+
+    setModal((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    try {
+      if (type === "new") {
+        await openRepairTicket({
+          assetId: modal.assetId,
+          issueDescription: modal.issueDescription.trim(),
+          priority: modal.priority,
+          estimatedCost: toNumberOrNull(modal.estimatedCost),
+        });
+        showSuccess("Repair ticket opened");
+      } else if (type === "assign") {
+        await assignRepairTicket(
+          ticket._id,
+          modal.assigneeType === "technician"
+            ? { technicianId: modal.technicianId }
+            : {
+                vendorName: modal.vendorName.trim(),
+                vendorContact: modal.vendorContact,
+                referenceNumber: modal.referenceNumber,
+              }
+        );
+        showSuccess("Repair ticket assigned");
+      } else if (type === "status") {
+        await changeRepairStatus(ticket._id, {
+          status: modal.status,
+          notes: modal.notes,
+          diagnosis: modal.diagnosis,
+          actualCost: toNumberOrNull(modal.actualCost),
+        });
+        showSuccess(`Ticket marked ${formatLabel(modal.status)}`);
+      }
+      closeModal();
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const columns = [
+    {
+      header: "Asset",
+      key: "asset",
+      render: (row) => (row.asset ? `${row.asset.name} (${row.asset.serialNumber})` : "--"),
+    },
+    {
+      header: "Branch",
+      key: "branchId",
+      render: (row) => row.branchId?.name || "--",
+    },
+    { header: "Issue", key: "issueDescription" },
+    {
+      header: "Priority",
+      key: "priority",
+      render: (row) => (
+        <Badge variant={PRIORITY_VARIANTS[row.priority] || "secondary"} size="sm">
+          {row.priority}
+        </Badge>
+      ),
+    },
+    {
+      header: "Status",
+      key: "status",
+      render: (row) => (
+        <Badge variant={STATUS_VARIANTS[row.status] || "secondary"} size="sm">
+          {formatLabel(row.status)}
+        </Badge>
+      ),
+    },
+    {
+      header: "Assigned To",
+      key: "assignee",
+      render: (row) =>
+        row.assigneeType === "vendor"
+          ? `Vendor: ${row.vendor?.name}`
+          : row.technician?.name || "--",
+    },
+    { header: "Est. Cost", key: "estimatedCost", render: (row) => formatCost(row.estimatedCost) },
+    { header: "Actual Cost", key: "actualCost", render: (row) => formatCost(row.actualCost) },
+    { header: "Reported", key: "reportedAt", render: (row) => formatDate(row.reportedAt) },
+    {
+      header: "Turnaround",
+      key: "turnaroundHours",
+      render: (row) => (row.turnaroundHours != null ? `${row.turnaroundHours} h` : "--"),
+    },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) =>
+        REPAIR_STATUS_TRANSITIONS[row.status]?.length ? (
+          <div className="repair-actions">
+            <Button size="sm" variant="secondary" onClick={() => openAssign(row)}>
+              Assign
+            </Button>
+            <Button size="sm" variant="primary" onClick={() => openStatus(row)}>
+              Update Status
+            </Button>
+          </div>
+        ) : null,
+    },
+  ];
+
+  const modalTitles = {
+    new: "Open Repair Ticket",
+    assign: "Assign Repair",
+    status: "Update Repair Status",
+  };
+
+  if (loading && tickets.length === 0) {
+    return <PageLoader message="Loading repair tickets..." />;
+  }
+
+  return (
+    <div className="repair-page">
+      <SetPageTitle title="Repair | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Repair</h2>
+      </div>
+
+      <section className="repair-toolbar">
+        <Button onClick={openNewTicket}>+ Open Ticket</Button>
+        <Select
+          name="statusFilter"
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value || "open")}
+          options={STATUS_FILTERS}
+          placeholder="Status"
+        />
+      </section>
+
+      <Table
+        columns={columns}
+        data={tickets}
+        pageSize={10}
+        showPagination={tickets.length > 10}
+      />
+
+      {tickets.length === 0 && <p className="repair-empty">No repair tickets found.</p>}
+
+      {successMessage && <div className="repair-success">✓ {successMessage}</div>}
+
+      <Modal isOpen={!!modal.type} onClose={closeModal} title={modalTitles[modal.type]} size="sm">
+        <form onSubmit={handleModalSubmit} className="repair-form">
+          {modal.type === "new" && (
+            <>
+              <Select
+                name="assetId"
+                label="Asset"
+                value={modal.assetId}
+                onChange={(e) => setModal((prev) => ({ ...prev, assetId: e.target.value, error: "" }))}
+                options={assets.map((a) => ({
+                  value: a._id,
+                  label: `${a.name} — ${a.serialNumber}${a.assetTag ? ` / ${a.assetTag}` : ""}`,
+                }))}
+                placeholder={assets.length ? "Select asset" : "No assets available"}
+                required
+              />
+              <Textarea
+                name="issueDescription"
+                label="Issue Description"
+                value={modal.issueDescription}
+                onChange={(e) => setModal((prev) => ({ ...prev, issueDescription: e.target.value, error: "" }))}
+                rows={3}
+                required
+              />
+              <Select
+                name="priority"
+                label="Priority"
+                value={modal.priority}
+                onChange={(e) => setModal((prev) => ({ ...prev, priority: e.target.value || "medium" }))}
+                options={REPAIR_PRIORITIES.map((p) => ({ value: p, label: p }))}
+              />
+              <Input
+                type="number"
+                name="estimatedCost"
+                label="Estimated Cost"
+                value={modal.estimatedCost}
+                onChange={(e) => setModal((prev) => ({ ...prev, estimatedCost: e.target.value }))}
+                min="0"
+                step="0.01"
+              />
+            </>
+          )}
+
+          {modal.type === "assign" && (
+            <>
+              <Select
+                name="assigneeType"
+                label="Repaired By"
+                value={modal.assigneeType}
+                onChange={(e) => setModal((prev) => ({ ...prev, assigneeType: e.target.value || "technician", error: "" }))}
+                options={[
+                  { value: "technician", label: "Internal technician" },
+                  { value: "vendor", label: "External vendor" },
+                ]}
+              />
+              {modal.assigneeType === "technician" ? (
+                <Select
+                  name="technicianId"
+                  label="Technician"
+                  value={modal.technicianId}
+                  onChange={(e) => setModal((prev) => ({ ...prev, technicianId: e.target.value, error: "" }))}
+                  options={technicians.map((u) => ({ value: u._id, label: `${u.name} (${u.userId})` }))}
+                  placeholder="Select technician"
+                  required
+                />
+              ) : (
+                <>
+                  <Input
+                    name="vendorName"
+                    label="Vendor Name"
+                    value={modal.vendorName}
+                    onChange={(e) => setModal((prev) => ({ ...prev, vendorName: e.target.value, error: "" }))}
+                    required
+                  />
+                  <Input
+                    name="vendorContact"
+                    label="Vendor Contact"
+                    value={modal.vendorContact}
+                    onChange={(e) => setModal((prev) => ({ ...prev, vendorContact: e.target.value }))}
+                  />
+                  <Input
+                    name="referenceNumber"
+                    label="Vendor Reference #"
+                    value={modal.referenceNumber}
+                    onChange={(e) => setModal((prev) => ({ ...prev, referenceNumber: e.target.value }))}
+                  />
+                </>
+              )}
+            </>
+          )}
+
+          {modal.type === "status" && (
+            <>
+              <Select
+                name="status"
+                label={`New Status (currently ${formatLabel(modal.ticket?.status)})`}
+                value={modal.status}
+                onChange={(e) => setModal((prev) => ({ ...prev, status: e.target.value, error: "" }))}
+                options={(REPAIR_STATUS_TRANSITIONS[modal.ticket?.status] || []).map((s) => ({
+                  value: s,
+                  label: formatLabel(s),
+                }))}
+                placeholder="Select status"
+                required
+              />
+              <Textarea
+                name="diagnosis"
+                label="Diagnosis"
+                value={modal.diagnosis}
+                onChange={(e) => setModal((prev) => ({ ...prev, diagnosis: e.target.value }))}
+                rows={2}
+              />
+              <Input
+                type="number"
+                name="actualCost"
+                label="Actual Cost"
+                value={modal.actualCost}
+                onChange={(e) => setModal((prev) => ({ ...prev, actualCost: e.target.value }))}
+                min="0"
+                step="0.01"
+              />
+              <Textarea
+                name="notes"
+                label="Notes"
+                value={modal.notes}
+                onChange={(e) => setModal((prev) => ({ ...prev, notes: e.target.value }))}
+                rows={2}
+              />
+              {modal.status === "unrepairable" && (
+                <p className="repair-form__hint">The asset will be retired and released from its holder.</p>
+              )}
+            </>
+          )}
+
+          {modal.error && <div className="repair-form__error">{modal.error}</div>}
+
+          <div className="repair-form__actions">
+            <Button type="button" variant="secondary" onClick={closeModal} disabled={modal.isSubmitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={modal.isSubmitting}>
+              {modal.isSubmitting ? "Saving..." : "Save"}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default RepairTickets;
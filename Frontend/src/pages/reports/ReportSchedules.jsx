@@ -0,0 +1,316 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { useAuth } from "../../hooks/useAuth.js";
+import {
+  fetchReportSchedules,
+  updateReportSchedule,
+  setReportSchedulePaused,
+  runReportScheduleNow,
+  deleteReportSchedule,
+  fetchReportInbox,
+  downloadInboxItem,
+  deleteInboxItem,
+} from "../../services/reportApi.js";
+import ScheduleFields from "./ScheduleFields.jsx";
+import { FORMAT_LABELS, describeRecurrence, toSchedulePayload } from "./scheduleOptions.js";
+import "./Reports.css";
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "--");
+
+const formatSize = (bytes) => {
+  if (!bytes) return "--";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const ReportSchedules = () => {
+  const { permissions = [] } = useAuth();
+  const canSchedule = permissions.includes("*") || permissions.includes("report:schedule");
+
+  const [schedules, setSchedules] = useState([]);
+  const [inbox, setInbox] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [editForm, setEditForm] = useState(null);
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [scheduleList, inboxPage] = await Promise.all([
+          canSchedule ? fetchReportSchedules() : Promise.resolve([]),
+          fetchReportInbox(),
+        ]);
+        setSchedules(scheduleList);
+        setInbox(inboxPage.items || []);
+      } catch (err) {
+        setError(err.message || "Failed to load scheduled reports");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadData();
+  }, [canSchedule, reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  // Run an action for one row, then reload
+  const runAction = async (id, action, message) => {
+    try {
+      setBusyId(id);
+      setError(null);
+      await action();
+      showSuccess(message);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleTogglePause = (schedule) =>
+    runAction(
+      schedule._id,
+      () => setReportSchedulePaused(schedule._id, schedule.status === "active"),
+      schedule.status === "active" ? "Schedule paused" : "Schedule resumed"
+    );
+
+  const handleRunNow = (schedule) =>
+    runAction(schedule._id, () => runReportScheduleNow(schedule._id), `"${schedule.name}" ran — check the inbox`);
+
+  const handleDeleteSchedule = (schedule) => {
+    if (!window.confirm(`Delete the schedule "${schedule.name}"? Files already in the inbox are kept.`)) return;
+    runAction(schedule._id, () => deleteReportSchedule(schedule._id), "Schedule deleted");
+  };
+
+  const handleDownload = async (item) => {
+    try {
+      setBusyId(item._id);
+      setError(null);
+      await downloadInboxItem(item);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeleteItem = (item) => {
+    if (!window.confirm(`Delete ${item.filename || "this inbox item"}?`)) return;
+    runAction(item._id, () => deleteInboxItem(item._id), "Inbox item deleted");
+  };
+
+  const openEdit = (schedule) =>
+    setEditForm({
+      schedule,
+      name: schedule.name,
+      format: schedule.format,
+      frequency: schedule.frequency,
+      timeOfDay: schedule.timeOfDay,
+      dayOfWeek: schedule.dayOfWeek ?? 1,
+      dayOfMonth: schedule.dayOfMonth ?? 1,
+      emailDelivery: !!schedule.emailDelivery,
+      error: "",
+      isSubmitting: false,
+    });
+
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+    if (!editForm.name.trim()) {
+      setEditForm((prev) => ({ ...prev, error: "Schedule name is required" }));
+      return;
+    }
+
+    setEditForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+    try {
+      await updateReportSchedule(editForm.schedule._id, toSchedulePayload(editForm));
+      setEditForm(null);
+      showSuccess("Schedule updated");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setEditForm((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const scheduleColumns = [
+    { header: "Name", key: "name" },
+    { header: "Report", key: "reportId" },
+    { header: "Runs", key: "frequency", render: (row) => describeRecurrence(row) },
+    { header: "Format", key: "format", render: (row) => FORMAT_LABELS[row.format] || row.format },
+    {
+      header: "Status",
+      key: "status",
+      render: (row) => (
+        <Badge variant={row.status === "active" ? "success" : "secondary"} size="sm">
+          {row.status}
+        </Badge>
+      ),
+    },
+    {
+      header: "Next Run",
+      key: "nextRunAt",
+      render: (row) => (row.status === "active" ? formatDateTime(row.nextRunAt) : "--"),
+    },
+    {
+      header: "Last Run",
+      key: "lastRunAt",
+      render: (row) =>
+        row.lastRunAt ? (
+          <span title={row.lastError || ""}>
+            {formatDateTime(row.lastRunAt)}{" "}
+            <Badge variant={row.lastStatus === "success" ? "success" : "danger"} size="sm">
+              {row.lastStatus}
+            </Badge>
+          </span>
+        ) : (
+          "--"
+        ),
+    },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <div className="reports-row-actions">
+          <Button size="sm" variant="secondary" onClick={() => handleRunNow(row)} disabled={busyId === row._id}>
+            Run Now
+          </Button>
+          <Button size="sm" variant="secondary" onClick={() => handleTogglePause(row)} disabled={busyId === row._id}>
+            {row.status === "active" ? "Pause" : "Resume"}
+          </Button>
+          <Button size="sm" variant="secondary" onClick={() => openEdit(row)} disabled={busyId === row._id}>
+            Edit
+          </Button>
+          <Button size="sm" variant="danger" onClick={() => handleDeleteSchedule(row)} disabled={busyId === row._id}>
+            Delete
+          </Button>
+        </div>
+      ),
+    },
+  ];
+
+  const inboxColumns = [
+    { header: "Generated", key: "generatedAt", render: (row) => formatDateTime(row.generatedAt) },
+    { header: "Schedule", key: "scheduleName", render: (row) => row.scheduleName || "--" },
+    { header: "Report", key: "reportName", render: (row) => row.reportName || row.reportId },
+    { header: "Format", key: "format", render: (row) => FORMAT_LABELS[row.format] || row.format },
+    { header: "Size", key: "size", render: (row) => formatSize(row.size) },
+    {
+      header: "Status",
+      key: "status",
+      render: (row) =>
+        row.status === "ready" ? (
+          <Badge variant={row.downloadedAt ? "secondary" : "info"} size="sm">
+            {row.downloadedAt ? "downloaded" : "new"}
+          </Badge>
+        ) : (
+          <span title={row.error || ""}>
+            <Badge variant="danger" size="sm">
+              failed
+            </Badge>
+          </span>
+        ),
+    },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <div className="reports-row-actions">
+          {row.status === "ready" && (
+            <Button size="sm" variant="primary" onClick={() => handleDownload(row)} disabled={busyId === row._id}>
+              Download
+            </Button>
+          )}
+          <Button size="sm" variant="danger" onClick={() => handleDeleteItem(row)} disabled={busyId === row._id}>
+            Delete
+          </Button>
+        </div>
+      ),
+    },
+  ];
+
+  if (loading && schedules.length === 0 && inbox.length === 0) {
+    return <PageLoader message="Loading scheduled reports..." />;
+  }
+
+  return (
+    <div className="reports-page">
+      <SetPageTitle title="Scheduled Reports | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title reports-title">
+        <h2>Scheduled Reports</h2>
+        <Link to="/report" className="reports-title__link">
+          ← Back to reports
+        </Link>
+      </div>
+
+      {canSchedule && (
+        <section className="reports-section">
+          <h3>My Schedules</h3>
+          <p className="reports-panel__desc">
+            Create a schedule from the Report page with the report&apos;s parameters filled in.
+          </p>
+          <Table columns={scheduleColumns} data={schedules} pageSize={10} showPagination={schedules.length > 10} />
+          {schedules.length === 0 && <p className="reports-empty">No scheduled reports yet.</p>}
+        </section>
+      )}
+
+      <section className="reports-section">
+        <h3>Report Inbox</h3>
+        <p className="reports-panel__desc">Files produced by your schedules. Old files are removed automatically.</p>
+        <Table columns={inboxColumns} data={inbox} pageSize={10} showPagination={inbox.length > 10} />
+        {inbox.length === 0 && <p className="reports-empty">Your report inbox is empty.</p>}
+      </section>
+
+      {successMessage && <div className="reports-success">✓ {successMessage}</div>}
+
+      <Modal isOpen={!!editForm} onClose={() => setEditForm(null)} title="Edit Schedule" size="sm">
+        {editForm && (
+          <form onSubmit={handleEditSubmit} className="reports-form">
+            <p className="reports-form__hint">Report: {editForm.schedule.reportId}</p>
+            <ScheduleFields
+              values={editForm}
+              onChange={(field, value) => setEditForm((prev) => ({ ...prev, [field]: value, error: "" }))}
+            />
+
+            {editForm.error && <div className="reports-form__error">{editForm.error}</div>}
+
+            <div className="reports-form__actions">
+              <Button
+                type="button"
+                variant="secondary"
+                onClick={() => setEditForm(null)}
+                disabled={editForm.isSubmitting}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" disabled={editForm.isSubmitting}>
+                {editForm.isSubmitting ? "Saving..." : "Save"}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default ReportSchedules;
@@ -0,0 +1,312 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Checkbox from "../../components/Checkbox/Checkbox.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchAllUsers, fetchBranchesForDropdown } from "../../services/userApi.js";
+import { useAuth } from "../../hooks/useAuth.js";
+import { fetchReports, runReport, exportReport, createReportSchedule } from "../../services/reportApi.js";
+import ScheduleFields from "./ScheduleFields.jsx";
+import { EMPTY_SCHEDULE, FORMAT_LABELS, toSchedulePayload } from "./scheduleOptions.js";
+import "./Reports.css";
+
+// Initial form values for a report's parameters
+const defaultParams = (report) =>
+  Object.fromEntries(
+    (report?.parameters || []).map((p) => [p.name, p.default !== undefined ? p.default : ""])
+  );
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === "") return "--";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleString();
+  return String(value);
+};
+
+const Reports = () => {
+  const { permissions = [] } = useAuth();
+  const canSchedule = permissions.includes("*") || permissions.includes("report:schedule");
+
+  const [reports, setReports] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [params, setParams] = useState({});
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  const [scheduleForm, setScheduleForm] = useState(null);
+
+  const [users, setUsers] = useState([]);
+  const [branches, setBranches] = useState([]);
+
+  useEffect(() => {
+    const loadReports = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [reportList, branchList, userList] = await Promise.all([
+          fetchReports(),
+          fetchBranchesForDropdown().catch(() => []),
+          fetchAllUsers(100).catch(() => []),
+        ]);
+        setReports(reportList);
+        setBranches(branchList);
+        setUsers(userList);
+        if (reportList.length > 0) {
+          setSelectedId(reportList[0].id);
+          setParams(defaultParams(reportList[0]));
+        }
+      } catch (err) {
+        setError(err.message || "Failed to load reports");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadReports();
+  }, []);
+
+  const selected = reports.find((r) => r.id === selectedId) || null;
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const selectReport = (report) => {
+    setSelectedId(report.id);
+    setParams(defaultParams(report));
+    setResult(null);
+  };
+
+  const setParam = (name, value) => setParams((prev) => ({ ...prev, [name]: value }));
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      setError(null);
+      setResult(await runReport(selected.id, params));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      setError(null);
+      const filename = await exportReport(selected.id, format, params);
+      showSuccess(`Downloaded ${filename}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const openSchedule = () =>
+    setScheduleForm({ ...EMPTY_SCHEDULE, name: selected.name, error: "", isSubmitting: false });
+
+  const handleScheduleSubmit = async (e) => {
+    e.preventDefault();
+    if (!scheduleForm.name.trim()) {
+      setScheduleForm((prev) => ({ ...prev, error: "Schedule name is required" }));
+      return;
+    }
+
+    setScheduleForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+    try {
+      await createReportSchedule({
+        reportId: selected.id,
+        params,
+        ...toSchedulePayload(scheduleForm),
+      });
+      setScheduleForm(null);
+      showSuccess("Report scheduled — results will appear in your report inbox");
+    } catch (err) {
+      setScheduleForm((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const renderParameter = (p) => {
+    const value = params[p.name] ?? "";
+
+    if (p.type === "boolean") {
+      return (
+        <Checkbox
+          key={p.name}
+          name={p.name}
+          label={p.label}
+          checked={!!value}
+          onChange={(e) => setParam(p.name, e.target.checked)}
+        />
+      );
+    }
+
+    if (p.type === "enum" || (p.type === "objectId" && ["branchId", "userId"].includes(p.name))) {
+      const options =
+        p.type === "enum"
+          ? p.options.map((o) => ({ value: o, label: o }))
+          : p.name === "branchId"
+            ? branches.map((b) => ({ value: b._id, label: b.name }))
+            : users.map((u) => ({ value: u._id, label: `${u.name} (${u.userId})` }));
+      return (
+        <Select
+          key={p.name}
+          name={p.name}
+          label={p.label}
+          value={value}
+          onChange={(e) => setParam(p.name, e.target.value)}
+          options={options}
+          placeholder="All"
+          required={p.required}
+        />
+      );
+    }
+
+    return (
+      <Input
+        key={p.name}
+        type={p.type === "date" ? "date" : p.type === "number" ? "number" : "text"}
+        name={p.name}
+        label={p.label}
+        value={value}
+        onChange={(e) => setParam(p.name, e.target.value)}
+        required={p.required}
+      />
+    );
+  };
+
+  const columns = (result?.columns || []).map((c) => ({
+    header: c.label,
+    key: c.key,
+    sortable: true,
+    render: (row) => formatCell(row[c.key]),
+  }));
+
+  if (loading && reports.length === 0) {
+    return <PageLoader message="Loading reports..." />;
+  }
+
+  return (
+    <div className="reports-page">
+      <SetPageTitle title="Report | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title reports-title">
+        <h2>Report</h2>
+        <Link to="/report/schedules" className="reports-title__link">
+          Schedules &amp; Inbox →
+        </Link>
+      </div>
+
+      {reports.length === 0 ? (
+        <p className="reports-empty">No reports are available for your role.</p>
+      ) : (
+        <div className="reports-layout">
+          <aside className="reports-list">
+            {reports.map((report) => (
+              <button
+                key={report.id}
+                type="button"
+                className={`reports-list__item ${report.id === selectedId ? "active" : ""}`}
+                onClick={() => selectReport(report)}
+              >
+                <span className="reports-list__name">{report.name}</span>
+                <span className="reports-list__desc">{report.description}</span>
+              </button>
+            ))}
+          </aside>
+
+          {selected && (
+            <section className="reports-panel">
+              <h3>{selected.name}</h3>
+              <p className="reports-panel__desc">{selected.description}</p>
+
+              {selected.parameters.length > 0 && (
+                <div className="reports-params">{selected.parameters.map(renderParameter)}</div>
+              )}
+
+              <div className="reports-actions">
+                <Button onClick={handleRun} disabled={running}>
+                  {running ? "Running..." : "Run Report"}
+                </Button>
+                {selected.formats.map((format) => (
+                  <Button
+                    key={format}
+                    variant="secondary"
+                    onClick={() => handleExport(format)}
+                    disabled={!!exporting}
+                  >
+                    {exporting === format ? "Exporting..." : `Export ${FORMAT_LABELS[format] || format}`}
+                  </Button>
+                ))}
+                {canSchedule && (
+                  <Button variant="secondary" onClick={openSchedule}>
+                    Schedule...
+                  </Button>
+                )}
+              </div>
+
+              {result && (
+                <div className="reports-result">
+                  <p className="reports-result__meta">
+                    {result.rows.length} row{result.rows.length === 1 ? "" : "s"}
+                    {result.truncated && " (preview truncated — export for the full report)"} · generated{" "}
+                    {new Date(result.generatedAt).toLocaleString()}
+                  </p>
+                  <Table columns={columns} data={result.rows} pageSize={20} />
+                </div>
+              )}
+            </section>
+          )}
+        </div>
+      )}
+
+      {successMessage && <div className="reports-success">✓ {successMessage}</div>}
+
+      <Modal isOpen={!!scheduleForm} onClose={() => setScheduleForm(null)} title="Schedule Report" size="sm">
+        {scheduleForm && (
+          <form onSubmit={handleScheduleSubmit} className="reports-form">
+            <p className="reports-form__hint">
+              Runs "{selected?.name}" with the parameters currently filled in above. Empty date parameters
+              use the report&apos;s default window at each run.
+            </p>
+            <ScheduleFields
+              values={scheduleForm}
+              onChange={(field, value) => setScheduleForm((prev) => ({ ...prev, [field]: value, error: "" }))}
+            />
+
+            {scheduleForm.error && <div className="reports-form__error">{scheduleForm.error}</div>}
+
+            <div className="reports-form__actions">
+              <Button
+                type="button"
+                variant="secondary"
+                onClick={() => setScheduleForm(null)}
+                disabled={scheduleForm.isSubmitting}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" disabled={scheduleForm.isSubmitting}>
+                {scheduleForm.isSubmitting ? "Saving..." : "Schedule"}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default Reports;
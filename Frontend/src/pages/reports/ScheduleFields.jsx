@@ -0,0 +1,71 @@
+import Input from "../../components/Input/Input.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Checkbox from "../../components/Checkbox/Checkbox.jsx";
+import { SCHEDULE_FREQUENCIES, WEEK_DAYS, FORMAT_LABELS } from "./scheduleOptions.js";
+
+/**
+ * Name, format and recurrence inputs shared by the create and edit schedule forms
+ */
+const ScheduleFields = ({ values, onChange }) => (
+  <>
+    <Input
+      name="name"
+      label="Schedule Name"
+      value={values.name}
+      onChange={(e) => onChange("name", e.target.value)}
+      maxLength={100}
+      required
+    />
+    <Select
+      name="format"
+      label="Format"
+      value={values.format}
+      onChange={(e) => onChange("format", e.target.value || "csv")}
+      options={Object.entries(FORMAT_LABELS).map(([value, label]) => ({ value, label }))}
+    />
+    <Select
+      name="frequency"
+      label="Frequency"
+      value={values.frequency}
+      onChange={(e) => onChange("frequency", e.target.value || "daily")}
+      options={SCHEDULE_FREQUENCIES}
+    />
+    {values.frequency === "weekly" && (
+      <Select
+        name="dayOfWeek"
+        label="Day of Week"
+        value={String(values.dayOfWeek)}
+        onChange={(e) => onChange("dayOfWeek", e.target.value)}
+        options={WEEK_DAYS.map((day, index) => ({ value: String(index), label: day }))}
+      />
+    )}
+    {values.frequency === "monthly" && (
+      <Input
+        type="number"
+        name="dayOfMonth"
+        label="Day of Month (1-28)"
+        value={values.dayOfMonth}
+        onChange={(e) => onChange("dayOfMonth", e.target.value)}
+        min="1"
+        max="28"
+        required
+      />
+    )}
+    <Input
+      type="time"
+      name="timeOfDay"
+      label="Time (server time)"
+      value={values.timeOfDay}
+      onChange={(e) => onChange("timeOfDay", e.target.value)}
+      required
+    />
+    <Checkbox
+      name="emailDelivery"
+      label="Also email me when a new file is ready"
+      checked={values.emailDelivery}
+      onChange={(e) => onChange("emailDelivery", e.target.checked)}
+    />
+  </>
+);
+
+export default ScheduleFields;
@@ -0,0 +1,39 @@
+// Shared options and helpers for the report schedule forms
+
+export const SCHEDULE_FREQUENCIES = [
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" },
+  { value: "monthly", label: "Monthly" },
+];
+
+export const WEEK_DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+export const FORMAT_LABELS = { csv: "CSV", xlsx: "Excel", json: "JSON" };
+
+export const EMPTY_SCHEDULE = {
+  name: "",
+  format: "csv",
+  frequency: "weekly",
+  timeOfDay: "08:00",
+  dayOfWeek: 1,
+  dayOfMonth: 1,
+  emailDelivery: false,
+};
+
+// "Weekly on Monday at 08:00"
+export const describeRecurrence = (schedule) => {
+  if (schedule.frequency === "daily") return `Daily at ${schedule.timeOfDay}`;
+  if (schedule.frequency === "weekly") return `Weekly on ${WEEK_DAYS[schedule.dayOfWeek]} at ${schedule.timeOfDay}`;
+  return `Monthly on day ${schedule.dayOfMonth} at ${schedule.timeOfDay}`;
+};
+
+// Only the recurrence fields that apply to the chosen frequency
+export const toSchedulePayload = (values) => ({
+  name: values.name.trim(),
+  format: values.format,
+  frequency: values.frequency,
+  timeOfDay: values.timeOfDay,
+  emailDelivery: values.emailDelivery,
+  ...(values.frequency === "weekly" && { dayOfWeek: Number(values.dayOfWeek) }),
+  ...(values.frequency === "monthly" && { dayOfMonth: Number(values.dayOfMonth) }),
+});
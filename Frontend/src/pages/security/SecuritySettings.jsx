@@ -0,0 +1,387 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import Card from "../../components/Card/Card.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import {
+  fetchMfaStatus,
+  beginMfaSetup,
+  activateMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  fetchPasskeys,
+  fetchPasskeyRegistrationOptions,
+  registerPasskey,
+  removePasskey,
+} from "../../services/securityApi.js";
+import { isPasskeySupported, createPasskey, describePasskeyError } from "../../utils/webauthn.js";
+import "./SecuritySettings.css";
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "--");
+
+const DISABLED_REASONS = {
+  clone_detected: "disabled: possible copy of the authenticator",
+};
+
+/**
+ * The signed-in user's own sign-in security: authenticator app (TOTP),
+ * recovery codes and passkeys
+ */
+const SecuritySettings = () => {
+  const [status, setStatus] = useState(null);
+  const [passkeys, setPasskeys] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Authenticator app setup: { secret, otpauthUri, code, error, isSubmitting }
+  const [setup, setSetup] = useState(null);
+  // Code-confirmed actions: { action: "disable" | "recovery", password, code, error, isSubmitting }
+  const [codeForm, setCodeForm] = useState(null);
+  // Shown once after setup or regeneration
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // New passkey: { name, error, isSubmitting }
+  const [passkeyForm, setPasskeyForm] = useState(null);
+
+  useEffect(() => {
+    const loadSecurity = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [mfaStatus, credentials] = await Promise.all([fetchMfaStatus(), fetchPasskeys()]);
+        setStatus(mfaStatus);
+        setPasskeys(credentials || []);
+      } catch (err) {
+        setError(err.message || "Failed to load security settings");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadSecurity();
+  }, [reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setError(null);
+      const enrollment = await beginMfaSetup();
+      setSetup({ ...enrollment, code: "", error: "", isSubmitting: false });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleActivate = async (e) => {
+    e.preventDefault();
+    try {
+      setSetup((prev) => ({ ...prev, isSubmitting: true, error: "" }));
+      const result = await activateMfa(setup.code.trim());
+      setSetup(null);
+      setRecoveryCodes(result.recoveryCodes);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setSetup((prev) => ({ ...prev, isSubmitting: false, error: err.message }));
+    }
+  };
+
+  const handleCodeAction = async (e) => {
+    e.preventDefault();
+    try {
+      setCodeForm((prev) => ({ ...prev, isSubmitting: true, error: "" }));
+      if (codeForm.action === "disable") {
+        await disableMfa(codeForm.password, codeForm.code.trim());
+        showSuccess("Two-factor authentication disabled");
+      } else {
+        const result = await regenerateRecoveryCodes(codeForm.code.trim());
+        setRecoveryCodes(result.recoveryCodes);
+      }
+      setCodeForm(null);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setCodeForm((prev) => ({ ...prev, isSubmitting: false, error: err.message }));
+    }
+  };
+
+  const handleAddPasskey = async (e) => {
+    e.preventDefault();
+    try {
+      setPasskeyForm((prev) => ({ ...prev, isSubmitting: true, error: "" }));
+      const options = await fetchPasskeyRegistrationOptions();
+      const credential = await createPasskey(options);
+      await registerPasskey(credential, passkeyForm.name.trim());
+      setPasskeyForm(null);
+      showSuccess("Passkey added");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setPasskeyForm((prev) => ({ ...prev, isSubmitting: false, error: describePasskeyError(err) }));
+    }
+  };
+
+  const handleRemovePasskey = async (passkey) => {
+    if (!window.confirm(`Remove the passkey "${passkey.name}"? It can no longer be used to sign in.`)) return;
+
+    try {
+      setBusyId(passkey.credentialId);
+      setError(null);
+      await removePasskey(passkey.credentialId);
+      showSuccess(`Passkey "${passkey.name}" removed`);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const passkeyColumns = [
+    { header: "Name", key: "name" },
+    {
+      header: "Status",
+      key: "status",
+      render: (row) =>
+        row.disabledAt ? (
+          <Badge variant="danger" size="sm">
+            {DISABLED_REASONS[row.disabledReason] || "disabled"}
+          </Badge>
+        ) : (
+          <Badge variant={row.backedUp ? "info" : "success"} size="sm">
+            {row.backedUp ? "synced" : "active"}
+          </Badge>
+        ),
+    },
+    { header: "Added", key: "createdAt", render: (row) => formatDateTime(row.createdAt) },
+    { header: "Last used", key: "lastUsedAt", render: (row) => formatDateTime(row.lastUsedAt) },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <Button
+          size="sm"
+          variant="danger"
+          onClick={() => handleRemovePasskey(row)}
+          disabled={busyId === row.credentialId}
+        >
+          Remove
+        </Button>
+      ),
+    },
+  ];
+
+  if (loading && !status) {
+    return <PageLoader message="Loading security settings..." />;
+  }
+
+  // The role's MFA requirement is met by either factor; the last one cannot be turned off
+  const canDisableTotp = status?.enabled && (!status.required || status.passkeyCount > 0);
+
+  return (
+    <div className="security-page">
+      <SetPageTitle title="Security | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Security</h2>
+      </div>
+
+      <div className="security-page__actions">
+        <Link to="/security/sessions" className="sessions__back">
+          Signed-in devices →
+        </Link>
+      </div>
+
+      <Card
+        title="Authenticator app"
+        subtitle="Codes from an authenticator app as the second step after your password"
+        className="security-page__card"
+      >
+        <div className="security-page__status">
+          {status?.enabled ? (
+            <Badge variant="success">enabled since {formatDateTime(status.enabledAt)}</Badge>
+          ) : (
+            <Badge variant="secondary">not set up</Badge>
+          )}
+          {status?.required && <Badge variant="warning">required by your role</Badge>}
+          {status?.enabled && (
+            <span className="security-page__hint">{status.recoveryCodesRemaining} recovery codes left</span>
+          )}
+        </div>
+        <div className="security-page__actions">
+          {!status?.enabled && (
+            <Button variant="primary" onClick={handleStartSetup}>
+              Set up authenticator app
+            </Button>
+          )}
+          {status?.enabled && (
+            <Button
+              variant="secondary"
+              onClick={() => setCodeForm({ action: "recovery", password: "", code: "", error: "", isSubmitting: false })}
+            >
+              New recovery codes
+            </Button>
+          )}
+          {canDisableTotp && (
+            <Button
+              variant="danger"
+              onClick={() => setCodeForm({ action: "disable", password: "", code: "", error: "", isSubmitting: false })}
+            >
+              Disable
+            </Button>
+          )}
+        </div>
+      </Card>
+
+      <Card
+        title="Passkeys"
+        subtitle="Sign in with your fingerprint, face or device PIN instead of a password, or use a passkey as the second step"
+        className="security-page__card"
+      >
+        <div className="security-page__actions">
+          {isPasskeySupported() ? (
+            <Button variant="primary" onClick={() => setPasskeyForm({ name: "", error: "", isSubmitting: false })}>
+              + Add passkey
+            </Button>
+          ) : (
+            <span className="security-page__hint">This browser cannot create passkeys.</span>
+          )}
+        </div>
+        <Table columns={passkeyColumns} data={passkeys} pageSize={10} showPagination={passkeys.length > 10} />
+        {passkeys.length === 0 && <p className="security-page__empty">No passkeys yet.</p>}
+      </Card>
+
+      <Modal isOpen={!!setup} onClose={() => setSetup(null)} title="Set Up Authenticator App">
+        {setup && (
+          <form onSubmit={handleActivate} className="security-page__form">
+            <p>Add this key to your authenticator app, then enter the 6-digit code it shows.</p>
+            <code className="security-page__secret">{setup.secret}</code>
+            <a href={setup.otpauthUri}>Open in authenticator app</a>
+            <Input
+              name="setupCode"
+              label="Verification Code"
+              placeholder="123456"
+              value={setup.code}
+              onChange={(e) => setSetup((prev) => ({ ...prev, code: e.target.value, error: "" }))}
+              autoComplete="one-time-code"
+              inputMode="numeric"
+              required
+            />
+            {setup.error && <div className="security-page__error">{setup.error}</div>}
+            <div className="security-page__form-actions">
+              <Button type="button" variant="secondary" onClick={() => setSetup(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" disabled={setup.isSubmitting}>
+                {setup.isSubmitting ? "Verifying..." : "Enable"}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={!!codeForm}
+        onClose={() => setCodeForm(null)}
+        title={codeForm?.action === "disable" ? "Disable Authenticator App" : "New Recovery Codes"}
+      >
+        {codeForm && (
+          <form onSubmit={handleCodeAction} className="security-page__form">
+            {codeForm.action === "recovery" && (
+              <p>Your current recovery codes stop working once the new ones are generated.</p>
+            )}
+            {codeForm.action === "disable" && (
+              <Input
+                type="password"
+                name="password"
+                label="Password"
+                value={codeForm.password}
+                onChange={(e) => setCodeForm((prev) => ({ ...prev, password: e.target.value, error: "" }))}
+                autoComplete="current-password"
+                required
+              />
+            )}
+            <Input
+              name="code"
+              label="Code from your authenticator app"
+              placeholder="123456"
+              value={codeForm.code}
+              onChange={(e) => setCodeForm((prev) => ({ ...prev, code: e.target.value, error: "" }))}
+              autoComplete="one-time-code"
+              inputMode="numeric"
+              required
+            />
+            {codeForm.error && <div className="security-page__error">{codeForm.error}</div>}
+            <div className="security-page__form-actions">
+              <Button type="button" variant="secondary" onClick={() => setCodeForm(null)}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant={codeForm.action === "disable" ? "danger" : "primary"}
+                disabled={codeForm.isSubmitting}
+              >
+                {codeForm.action === "disable" ? "Disable" : "Generate"}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      <Modal isOpen={!!recoveryCodes} onClose={() => setRecoveryCodes(null)} title="Save Your Recovery Codes">
+        <p>Each code can be used once if you lose your device. They will not be shown again.</p>
+        <ul className="security-page__codes">
+          {(recoveryCodes || []).map((code) => (
+            <li key={code}>{code}</li>
+          ))}
+        </ul>
+        <div className="security-page__form-actions">
+          <Button variant="secondary" onClick={() => navigator.clipboard?.writeText((recoveryCodes || []).join("\n"))}>
+            Copy
+          </Button>
+          <Button variant="primary" onClick={() => setRecoveryCodes(null)}>
+            Done
+          </Button>
+        </div>
+      </Modal>
+
+      <Modal isOpen={!!passkeyForm} onClose={() => setPasskeyForm(null)} title="Add Passkey">
+        {passkeyForm && (
+          <form onSubmit={handleAddPasskey} className="security-page__form">
+            <Input
+              name="passkeyName"
+              label="Name"
+              placeholder="Work laptop"
+              value={passkeyForm.name}
+              onChange={(e) => setPasskeyForm((prev) => ({ ...prev, name: e.target.value, error: "" }))}
+              maxLength={60}
+            />
+            <p className="security-page__hint">Your browser will ask you to confirm with your device.</p>
+            {passkeyForm.error && <div className="security-page__error">{passkeyForm.error}</div>}
+            <div className="security-page__form-actions">
+              <Button type="button" variant="secondary" onClick={() => setPasskeyForm(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" disabled={passkeyForm.isSubmitting}>
+                {passkeyForm.isSubmitting ? "Waiting for device..." : "Continue"}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {successMessage && <div className="security-page__success">✓ {successMessage}</div>}
+    </div>
+  );
+};
+
+export default SecuritySettings;
@@ -0,0 +1,111 @@
+import { useState } from "react";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "--");
+
+const DEVICE_ICONS = {
+  desktop: "computer",
+  mobile: "smartphone",
+  tablet: "tablet",
+  client: "terminal",
+  unknown: "devices_other",
+};
+
+/**
+ * Devices of a user with their login history; shared by "My sessions" and
+ * the admin view of a user's sessions
+ */
+const SessionTable = ({ sessions, busyId, onSignOut }) => {
+  const [historyFor, setHistoryFor] = useState(null);
+
+  const columns = [
+    {
+      header: "Device",
+      key: "device",
+      render: (row) => (
+        <div className="sessions__device" title={row.userAgent || ""}>
+          <span className="material-icons">{DEVICE_ICONS[row.client?.deviceType] || DEVICE_ICONS.unknown}</span>
+          <span>{row.client?.label || "Unknown device"}</span>
+          {row.current && (
+            <Badge variant="primary" size="sm">
+              this device
+            </Badge>
+          )}
+        </div>
+      ),
+    },
+    { header: "IP Address", key: "ipAddress", render: (row) => row.ipAddress || "--" },
+    { header: "First seen", key: "firstSeenAt", render: (row) => formatDateTime(row.firstSeenAt) },
+    { header: "Last seen", key: "lastSeenAt", render: (row) => formatDateTime(row.lastSeenAt) },
+    {
+      header: "Status",
+      key: "active",
+      render: (row) => (
+        <Badge variant={row.active ? "success" : "secondary"} size="sm">
+          {row.active ? "signed in" : "signed out"}
+        </Badge>
+      ),
+    },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <div className="sessions__actions">
+          <Button size="sm" variant="secondary" onClick={() => setHistoryFor(row)}>
+            History
+          </Button>
+          {row.active && (
+            <Button size="sm" variant="danger" onClick={() => onSignOut(row)} disabled={busyId === row.deviceId}>
+              Sign out
+            </Button>
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  // Newest first; the stored history is oldest first
+  const history = [...(historyFor?.loginHistory || [])].reverse();
+
+  return (
+    <>
+      <Table columns={columns} data={sessions} pageSize={20} showPagination={sessions.length > 20} />
+
+      <Modal
+        isOpen={!!historyFor}
+        onClose={() => setHistoryFor(null)}
+        title={`Login History - ${historyFor?.client?.label || "Unknown device"}`}
+      >
+        {historyFor && (
+          <>
+            <p className="sessions__hint">
+              {historyFor.loginCount || 0} sign-in(s) from this device. Last IP address: {historyFor.ipAddress || "--"}
+            </p>
+            <table className="sessions__history">
+              <thead>
+                <tr>
+                  <th>Signed in</th>
+                  <th>Signed out</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map((entry) => (
+                  <tr key={entry.loginAt}>
+                    <td>{formatDateTime(entry.loginAt)}</td>
+                    <td>{entry.logoutAt ? formatDateTime(entry.logoutAt) : "--"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {history.length === 0 && <p className="sessions__hint">No sign-ins recorded.</p>}
+          </>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default SessionTable;
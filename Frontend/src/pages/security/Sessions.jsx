@@ -0,0 +1,119 @@
+import { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import Button from "../../components/Button/Button.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { useAuth } from "../../hooks/useAuth.js";
+import { fetchSessions, signOutSession, signOutOtherSessions } from "../../services/securityApi.js";
+import SessionTable from "./SessionTable.jsx";
+import "./SecuritySettings.css";
+
+/**
+ * "My sessions": devices the signed-in user has used, with sign-out per
+ * device and for every device except this one
+ */
+const Sessions = () => {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await fetchSessions();
+        setSessions(result?.devices || []);
+      } catch (err) {
+        setError(err.message || "Failed to load sessions");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadSessions();
+  }, [reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const handleSignOut = async (session) => {
+    // Signing out this device is a regular logout
+    if (session.current) {
+      if (!window.confirm("Sign out of this device?")) return;
+      await logout();
+      navigate("/login");
+      return;
+    }
+
+    if (!window.confirm(`Sign out ${session.client?.label || "this device"}? It will need to sign in again.`)) return;
+
+    try {
+      setBusyId(session.deviceId);
+      setError(null);
+      await signOutSession(session.deviceId);
+      showSuccess("Device signed out");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSignOutOthers = async () => {
+    if (!window.confirm("Sign out every other device? They will need to sign in again.")) return;
+
+    try {
+      setBusyId("others");
+      setError(null);
+      const result = await signOutOtherSessions();
+      showSuccess(result?.revoked ? `Signed out ${result.revoked} other device(s)` : "No other devices were signed in");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading && sessions.length === 0) {
+    return <PageLoader message="Loading sessions..." />;
+  }
+
+  const otherActive = sessions.filter((session) => session.active && !session.current).length;
+
+  return (
+    <div className="security-page sessions">
+      <SetPageTitle title="My Sessions | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>My Sessions</h2>
+      </div>
+
+      <div className="security-page__actions">
+        <Link to="/security" className="sessions__back">
+          ← Back to security
+        </Link>
+        <Button variant="danger" onClick={handleSignOutOthers} disabled={otherActive === 0 || busyId === "others"}>
+          Sign out everywhere else
+        </Button>
+      </div>
+
+      <SessionTable sessions={sessions} busyId={busyId} onSignOut={handleSignOut} />
+      {sessions.length === 0 && <p className="security-page__empty">No devices recorded.</p>}
+
+      {successMessage && <div className="security-page__success">✓ {successMessage}</div>}
+    </div>
+  );
+};
+
+export default Sessions;
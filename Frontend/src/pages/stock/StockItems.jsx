@@ -0,0 +1,539 @@
+import { useState, useEffect } from "react";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Textarea from "../../components/Textarea/Textarea.jsx";
+import Checkbox from "../../components/Checkbox/Checkbox.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchAllUsers, fetchBranchesForDropdown } from "../../services/userApi.js";
+import {
+  fetchStockItems,
+  createStockItem,
+  updateStockItem,
+  recordStockMovement,
+  fetchStockMovements,
+  fetchUserStockHoldings,
+} from "../../services/stockApi.js";
+import "./StockItems.css";
+
+const PAGE_TITLES = {
+  accessory: "Accessory",
+  peripheral: "Peripheral",
+};
+
+const MOVEMENT_LABELS = {
+  stock_in: "Stock In",
+  stock_out: "Stock Out",
+  issue: "Issued",
+  return: "Returned",
+};
+
+const MOVEMENT_VARIANTS = {
+  stock_in: "success",
+  stock_out: "danger",
+  issue: "primary",
+  return: "info",
+};
+
+const EMPTY_MODAL = {
+  type: null, // "new" | "edit" | "stock-in" | "stock-out" | "issue" | "return" | "history"
+  item: null,
+  name: "",
+  sku: "",
+  category: "",
+  unit: "pcs",
+  branchId: "",
+  minimumLevel: "",
+  openingQuantity: "",
+  quantity: "",
+  userId: "",
+  reference: "",
+  remarks: "",
+  heldQuantity: null,
+  movements: [],
+  error: "",
+  isSubmitting: false,
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "--");
+
+const StockItems = ({ kind }) => {
+  const title = PAGE_TITLES[kind] || "Stock";
+
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [branchFilter, setBranchFilter] = useState("");
+  const [lowStockOnly, setLowStockOnly] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [users, setUsers] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [modal, setModal] = useState(EMPTY_MODAL);
+
+  useEffect(() => {
+    const loadBranches = async () => {
+      try {
+        setBranches(await fetchBranchesForDropdown());
+      } catch {
+        setBranches([]);
+      }
+    };
+    loadBranches();
+  }, []);
+
+  useEffect(() => {
+    const loadItems = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const params = { kind };
+        if (branchFilter) params.branchId = branchFilter;
+        if (lowStockOnly) params.belowMinimum = "true";
+        const data = await fetchStockItems(params);
+        setItems(data);
+      } catch (err) {
+        setError(err.message || `Failed to load ${title.toLowerCase()} stock`);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadItems();
+  }, [kind, title, branchFilter, lowStockOnly, reloadKey]);
+
+  const lowStockCount = items.filter((item) => item.belowMinimum).length;
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const closeModal = () => setModal(EMPTY_MODAL);
+
+  const loadUsers = async () => {
+    if (users.length) return;
+    try {
+      const userList = await fetchAllUsers(100);
+      setUsers(userList.filter((u) => u.isActive));
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message }));
+    }
+  };
+
+  const openMovement = (type, item) => {
+    setModal({ ...EMPTY_MODAL, type, item });
+    if (type === "issue" || type === "return") loadUsers();
+  };
+
+  const openEdit = (item) =>
+    setModal({
+      ...EMPTY_MODAL,
+      type: "edit",
+      item,
+      name: item.name,
+      sku: item.sku || "",
+      category: item.category || "",
+      unit: item.unit || "pcs",
+      minimumLevel: String(item.minimumLevel ?? ""),
+      remarks: item.remarks || "",
+    });
+
+  const openHistory = async (item) => {
+    setModal({ ...EMPTY_MODAL, type: "history", item });
+    try {
+      const movements = await fetchStockMovements({ itemId: item._id });
+      setModal((prev) => (prev.item?._id === item._id ? { ...prev, movements } : prev));
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message }));
+    }
+  };
+
+  // Show how much of this item the selected user still holds before a return
+  const handleReturnUserChange = async (userId) => {
+    setModal((prev) => ({ ...prev, userId, heldQuantity: null, error: "" }));
+    if (!userId) return;
+    try {
+      const holdings = await fetchUserStockHoldings(userId);
+      const held = holdings.find((h) => h.item === modal.item?._id)?.quantity || 0;
+      setModal((prev) => (prev.userId === userId ? { ...prev, heldQuantity: held } : prev));
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message }));
+    }
+  };
+
+  const handleModalSubmit = async (e) => {
+    e.preventDefault();
+    const { type, item } = modal;
+
+    if (type === "new" && (!modal.name.trim() || !modal.branchId)) {
+      setModal((prev) => ({ ...prev, error: "Name and branch are required" }));
+      return;
+    }
+    if (["stock-in", "stock-out", "issue", "return"].includes(type) && !(Number(modal.quantity) > 0)) {
+      setModal((prev) => ({ ...prev, error: "Enter a quantity greater than zero" }));
+      return;
+    }
+    if (["issue", "return"].includes(type) && !modal.userId) {
+      setModal((prev) => ({ ...prev, error: "Select a user" }));
+      return;
+    }
+    if (type === "stock-out" && !modal.reference.trim()) {
+      setModal((prev) => ({ ...prev, error: "Reason is required" }));
+      return;
+    }
+
+    setModal((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    try {
+      const quantity = Number(modal.quantity);
+      let result = null;
+
+      if (type === "new") {
+        await createStockItem({
+          name: modal.name.trim(),
+          kind,
+          sku: modal.sku.trim() || null,
+          category: modal.category.trim() || undefined,
+          unit: modal.unit.trim() || "pcs",
+          branchId: modal.branchId,
+          minimumLevel: Number(modal.minimumLevel) || 0,
+          openingQuantity: Number(modal.openingQuantity) || 0,
+          remarks: modal.remarks,
+        });
+        showSuccess(`${modal.name.trim()} added`);
+      } else if (type === "edit") {
+        await updateStockItem(item._id, {
+          name: modal.name.trim(),
+          sku: modal.sku.trim() || null,
+          category: modal.category.trim() || undefined,
+          unit: modal.unit.trim() || "pcs",
+          minimumLevel: Number(modal.minimumLevel) || 0,
+          remarks: modal.remarks,
+        });
+        showSuccess(`${item.name} updated`);
+      } else if (type === "stock-in") {
+        result = await recordStockMovement(item._id, type, {
+          quantity,
+          reference: modal.reference,
+          remarks: modal.remarks,
+        });
+      } else if (type === "stock-out") {
+        result = await recordStockMovement(item._id, type, {
+          quantity,
+          reason: modal.reference.trim(),
+          remarks: modal.remarks,
+        });
+      } else {
+        result = await recordStockMovement(item._id, type, {
+          userId: modal.userId,
+          quantity,
+          remarks: modal.remarks,
+        });
+      }
+
+      if (result) {
+        const balance = `${result.item?.quantity} ${item.unit} on hand`;
+        showSuccess(result.belowMinimum ? `Saved — ${balance} (below minimum level)` : `Saved — ${balance}`);
+      }
+
+      closeModal();
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setModal((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const columns = [
+    { header: "Name", key: "name", sortable: true },
+    { header: "SKU", key: "sku", render: (row) => row.sku || "--" },
+    { header: "Category", key: "category" },
+    { header: "Branch", key: "branchId", render: (row) => row.branchId?.name || "--" },
+    {
+      header: "On Hand",
+      key: "quantity",
+      sortable: true,
+      render: (row) => (
+        <span className="stock-quantity">
+          {row.quantity} {row.unit}
+          {row.belowMinimum && (
+            <Badge variant="danger" size="sm">
+              Low
+            </Badge>
+          )}
+        </span>
+      ),
+    },
+    { header: "Min Level", key: "minimumLevel" },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <div className="stock-actions">
+          <Button size="sm" variant="success" onClick={() => openMovement("stock-in", row)}>
+            Stock In
+          </Button>
+          <Button size="sm" variant="primary" onClick={() => openMovement("issue", row)} disabled={row.quantity === 0}>
+            Issue
+          </Button>
+          <Button size="sm" variant="info" onClick={() => openMovement("return", row)}>
+            Return
+          </Button>
+          <Button size="sm" variant="danger" onClick={() => openMovement("stock-out", row)} disabled={row.quantity === 0}>
+            Stock Out
+          </Button>
+          <Button size="sm" variant="secondary" onClick={() => openEdit(row)}>
+            Edit
+          </Button>
+          <Button size="sm" variant="secondary" onClick={() => openHistory(row)}>
+            History
+          </Button>
+        </div>
+      ),
+    },
+  ];
+
+  const modalTitles = {
+    new: `Add ${title}`,
+    edit: `Edit ${modal.item?.name || title}`,
+    "stock-in": `Stock In — ${modal.item?.name}`,
+    "stock-out": `Stock Out — ${modal.item?.name}`,
+    issue: `Issue — ${modal.item?.name}`,
+    return: `Return — ${modal.item?.name}`,
+    history: `Movements — ${modal.item?.name}`,
+  };
+
+  if (loading && items.length === 0) {
+    return <PageLoader message={`Loading ${title.toLowerCase()} stock...`} />;
+  }
+
+  return (
+    <div className="stock-page">
+      <SetPageTitle title={`${title} | ABCD`} />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>{title}</h2>
+      </div>
+
+      <section className="stock-toolbar">
+        <Button onClick={() => setModal({ ...EMPTY_MODAL, type: "new", branchId: branchFilter })}>
+          + Add {title}
+        </Button>
+
+        <div className="stock-toolbar__filters">
+          <Select
+            name="branchFilter"
+            value={branchFilter}
+            onChange={(e) => setBranchFilter(e.target.value)}
+            options={branches.map((b) => ({ value: b._id, label: b.name }))}
+            placeholder="All branches"
+          />
+          <Checkbox
+            name="lowStockOnly"
+            label={`Below minimum only${lowStockCount && !lowStockOnly ? ` (${lowStockCount})` : ""}`}
+            checked={lowStockOnly}
+            onChange={(e) => setLowStockOnly(e.target.checked)}
+          />
+        </div>
+      </section>
+
+      <Table columns={columns} data={items} pageSize={20} showPagination={items.length > 20} />
+
+      {items.length === 0 && <p className="stock-empty">No {title.toLowerCase()} stock found.</p>}
+
+      {successMessage && <div className="stock-success">✓ {successMessage}</div>}
+
+      <Modal
+        isOpen={!!modal.type}
+        onClose={closeModal}
+        title={modalTitles[modal.type]}
+        size={modal.type === "history" ? "lg" : "sm"}
+      >
+        {modal.type === "history" ? (
+          <div className="stock-history">
+            {modal.error && <div className="stock-form__error">{modal.error}</div>}
+            {modal.movements.length === 0 ? (
+              <p className="stock-empty">No movements recorded.</p>
+            ) : (
+              <table className="stock-history__table">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Type</th>
+                    <th>Qty</th>
+                    <th>Balance</th>
+                    <th>User</th>
+                    <th>Reference</th>
+                    <th>By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {modal.movements.map((m) => (
+                    <tr key={m._id}>
+                      <td>{formatDateTime(m.occurredAt)}</td>
+                      <td>
+                        <Badge variant={MOVEMENT_VARIANTS[m.movementType] || "secondary"} size="sm">
+                          {MOVEMENT_LABELS[m.movementType] || m.movementType}
+                        </Badge>
+                      </td>
+                      <td>{m.quantity}</td>
+                      <td>{m.balanceAfter}</td>
+                      <td>{m.user?.name || "--"}</td>
+                      <td>{m.reference || m.remarks || "--"}</td>
+                      <td>{m.performedBy?.name || "--"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ) : (
+          <form onSubmit={handleModalSubmit} className="stock-form">
+            {(modal.type === "new" || modal.type === "edit") && (
+              <>
+                <Input
+                  name="name"
+                  label="Name"
+                  value={modal.name}
+                  onChange={(e) => setModal((prev) => ({ ...prev, name: e.target.value, error: "" }))}
+                  required
+                />
+                <Input
+                  name="sku"
+                  label="SKU"
+                  value={modal.sku}
+                  onChange={(e) => setModal((prev) => ({ ...prev, sku: e.target.value }))}
+                />
+                <Input
+                  name="category"
+                  label="Category"
+                  value={modal.category}
+                  onChange={(e) => setModal((prev) => ({ ...prev, category: e.target.value }))}
+                  placeholder="e.g. mouse, cable, toner"
+                />
+                <Input
+                  name="unit"
+                  label="Unit"
+                  value={modal.unit}
+                  onChange={(e) => setModal((prev) => ({ ...prev, unit: e.target.value }))}
+                />
+                {modal.type === "new" && (
+                  <Select
+                    name="branchId"
+                    label="Branch"
+                    value={modal.branchId}
+                    onChange={(e) => setModal((prev) => ({ ...prev, branchId: e.target.value, error: "" }))}
+                    options={branches.map((b) => ({ value: b._id, label: b.name }))}
+                    placeholder="Select branch"
+                    required
+                  />
+                )}
+                <Input
+                  type="number"
+                  name="minimumLevel"
+                  label="Minimum Level"
+                  value={modal.minimumLevel}
+                  onChange={(e) => setModal((prev) => ({ ...prev, minimumLevel: e.target.value }))}
+                  min="0"
+                />
+                {modal.type === "new" && (
+                  <Input
+                    type="number"
+                    name="openingQuantity"
+                    label="Opening Quantity"
+                    value={modal.openingQuantity}
+                    onChange={(e) => setModal((prev) => ({ ...prev, openingQuantity: e.target.value }))}
+                    min="0"
+                  />
+                )}
+              </>
+            )}
+
+            {["stock-in", "stock-out", "issue", "return"].includes(modal.type) && (
+              <>
+                <p className="stock-form__hint">
+                  On hand: <strong>{modal.item?.quantity} {modal.item?.unit}</strong> at{" "}
+                  {modal.item?.branchId?.name || "branch"}
+                </p>
+                {["issue", "return"].includes(modal.type) && (
+                  <Select
+                    name="userId"
+                    label={modal.type === "issue" ? "Issue To" : "Returned By"}
+                    value={modal.userId}
+                    onChange={(e) =>
+                      modal.type === "return"
+                        ? handleReturnUserChange(e.target.value)
+                        : setModal((prev) => ({ ...prev, userId: e.target.value, error: "" }))
+                    }
+                    options={users.map((u) => ({ value: u._id, label: `${u.name} (${u.userId})` }))}
+                    placeholder="Select user"
+                    required
+                  />
+                )}
+                {modal.type === "return" && modal.heldQuantity !== null && (
+                  <p className="stock-form__hint">
+                    Currently holds: <strong>{modal.heldQuantity} {modal.item?.unit}</strong>
+                  </p>
+                )}
+                <Input
+                  type="number"
+                  name="quantity"
+                  label="Quantity"
+                  value={modal.quantity}
+                  onChange={(e) => setModal((prev) => ({ ...prev, quantity: e.target.value, error: "" }))}
+                  min="1"
+                  required
+                />
+                {modal.type === "stock-in" && (
+                  <Input
+                    name="reference"
+                    label="Invoice / PO Reference"
+                    value={modal.reference}
+                    onChange={(e) => setModal((prev) => ({ ...prev, reference: e.target.value }))}
+                  />
+                )}
+                {modal.type === "stock-out" && (
+                  <Input
+                    name="reference"
+                    label="Reason"
+                    value={modal.reference}
+                    onChange={(e) => setModal((prev) => ({ ...prev, reference: e.target.value, error: "" }))}
+                    placeholder="e.g. consumed, damaged, written off"
+                    required
+                  />
+                )}
+              </>
+            )}
+
+            <Textarea
+              name="remarks"
+              label="Remarks"
+              value={modal.remarks}
+              onChange={(e) => setModal((prev) => ({ ...prev, remarks: e.target.value }))}
+              rows={2}
+            />
+
+            {modal.error && <div className="stock-form__error">{modal.error}</div>}
+
+            <div className="stock-form__actions">
+              <Button type="button" variant="secondary" onClick={closeModal} disabled={modal.isSubmitting}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" disabled={modal.isSubmitting}>
+                {modal.isSubmitting ? "Saving..." : "Save"}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default StockItems;
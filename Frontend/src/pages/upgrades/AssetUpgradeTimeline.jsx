@@ -0,0 +1,126 @@
+import { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import Button from "../../components/Button/Button.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchAssetUpgrades } from "../../services/upgradeApi.js";
+import "./Upgrades.css";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "--");
+
+const AssetUpgradeTimeline = () => {
+  const { assetId } = useParams();
+  const navigate = useNavigate();
+
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadTimeline = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await fetchAssetUpgrades(assetId);
+        setTimeline(data);
+      } catch (err) {
+        setError(err.message || "Failed to load upgrade timeline");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (assetId) loadTimeline();
+  }, [assetId]);
+
+  if (loading && !timeline) return <PageLoader message="Loading upgrade timeline..." />;
+
+  const asset = timeline?.asset;
+  const purchase = timeline?.purchaseSpecification || {};
+  const current = timeline?.currentConfiguration || {};
+  const components = [...new Set([...Object.keys(purchase), ...Object.keys(current)])].sort();
+  // Newest first for display
+  const upgrades = [...(timeline?.upgrades || [])].reverse();
+
+  return (
+    <div className="upgrades-page">
+      <SetPageTitle title={asset ? `${asset.name} | Upgrades` : "Asset Upgrades"} />
+
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="upgrade-timeline__header">
+        <Button variant="secondary" onClick={() => navigate(-1)}>
+          ← Back
+        </Button>
+        <div>
+          <h2>{asset ? asset.name : "Asset Upgrades"}</h2>
+          {asset && (
+            <p className="muted">
+              {asset.serialNumber}
+              {asset.assetTag ? ` / ${asset.assetTag}` : ""} · {[asset.make, asset.model].filter(Boolean).join(" ") || asset.category}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <section className="upgrade-card">
+        <h3>Configuration</h3>
+        {components.length === 0 ? (
+          <p className="muted">No specification recorded for this asset.</p>
+        ) : (
+          <table className="upgrade-config">
+            <thead>
+              <tr>
+                <th>Component</th>
+                <th>At Purchase</th>
+                <th>Current</th>
+              </tr>
+            </thead>
+            <tbody>
+              {components.map((key) => (
+                <tr key={key} className={purchase[key] !== current[key] ? "upgrade-config__changed" : ""}>
+                  <td>{key}</td>
+                  <td>{purchase[key] || "--"}</td>
+                  <td>{current[key] || "--"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="upgrade-card">
+        <h3>Upgrade Timeline</h3>
+        {upgrades.length === 0 ? (
+          <p className="muted">No upgrades recorded for this asset.</p>
+        ) : (
+          <ol className="upgrade-timeline">
+            {upgrades.map((upgrade) => (
+              <li key={upgrade._id} className="upgrade-timeline__item">
+                <div className="upgrade-timeline__date">{formatDate(upgrade.performedAt)}</div>
+                <div className="upgrade-timeline__body">
+                  <div>
+                    <Badge variant="info" size="sm">
+                      {upgrade.upgradeType}
+                    </Badge>{" "}
+                    <strong>{upgrade.component}</strong>: {upgrade.before || "--"} → {upgrade.after}
+                  </div>
+                  <div className="muted">
+                    {upgrade.performedBy && `By ${upgrade.performedBy} · `}
+                    {upgrade.cost != null && `Cost ${Number(upgrade.cost).toFixed(2)} · `}
+                    Recorded by {upgrade.recordedBy?.name || "--"}
+                  </div>
+                  {upgrade.notes && <div className="upgrade-timeline__notes">{upgrade.notes}</div>}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default AssetUpgradeTimeline;
@@ -0,0 +1,308 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Textarea from "../../components/Textarea/Textarea.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchAssets } from "../../services/assetApi.js";
+import {
+  UPGRADE_TYPES,
+  fetchUpgrades,
+  fetchAssetUpgrades,
+  recordUpgrade,
+} from "../../services/upgradeApi.js";
+import "./Upgrades.css";
+
+const EMPTY_FORM = {
+  isOpen: false,
+  assetId: "",
+  upgradeType: "",
+  component: "",
+  after: "",
+  performedAt: "",
+  performedBy: "",
+  cost: "",
+  notes: "",
+  currentConfiguration: {},
+  error: "",
+  isSubmitting: false,
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "--");
+
+const Upgrades = () => {
+  const navigate = useNavigate();
+
+  const [upgrades, setUpgrades] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [typeFilter, setTypeFilter] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [assets, setAssets] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    const loadUpgrades = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await fetchUpgrades(typeFilter ? { upgradeType: typeFilter } : {});
+        setUpgrades(data);
+      } catch (err) {
+        setError(err.message || "Failed to load upgrades");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadUpgrades();
+  }, [typeFilter, reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const openForm = async () => {
+    setForm({ ...EMPTY_FORM, isOpen: true });
+    if (assets.length) return;
+    try {
+      const data = await fetchAssets({ limit: 500 });
+      setAssets(data.filter((a) => !["disposed", "lost"].includes(a.status)));
+    } catch (err) {
+      setForm((prev) => ({ ...prev, error: err.message }));
+    }
+  };
+
+  // Load the asset's current configuration so the "before" value can be shown
+  const handleAssetChange = async (assetId) => {
+    setForm((prev) => ({ ...prev, assetId, currentConfiguration: {}, error: "" }));
+    if (!assetId) return;
+    try {
+      const timeline = await fetchAssetUpgrades(assetId);
+      setForm((prev) =>
+        prev.assetId === assetId
+          ? { ...prev, currentConfiguration: timeline.currentConfiguration || {} }
+          : prev
+      );
+    } catch (err) {
+      setForm((prev) => ({ ...prev, error: err.message }));
+    }
+  };
+
+  const componentKey =
+    form.upgradeType === "other" ? form.component.trim().toLowerCase() : form.upgradeType;
+  const currentValue = componentKey ? form.currentConfiguration[componentKey] : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.assetId || !form.upgradeType || !form.after.trim()) {
+      setForm((prev) => ({ ...prev, error: "Asset, upgrade type and new value are required" }));
+      return;
+    }
+    if (form.upgradeType === "other" && !form.component.trim()) {
+      setForm((prev) => ({ ...prev, error: "Component name is required" }));
+      return;
+    }
+
+    setForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+
+    try {
+      await recordUpgrade({
+        assetId: form.assetId,
+        upgradeType: form.upgradeType,
+        component: form.upgradeType === "other" ? form.component.trim() : undefined,
+        after: form.after.trim(),
+        performedAt: form.performedAt || undefined,
+        performedBy: form.performedBy,
+        cost: form.cost === "" ? null : Number(form.cost),
+        notes: form.notes,
+      });
+      setForm(EMPTY_FORM);
+      showSuccess("Upgrade recorded");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setForm((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const columns = [
+    { header: "Date", key: "performedAt", render: (row) => formatDate(row.performedAt) },
+    {
+      header: "Asset",
+      key: "asset",
+      render: (row) =>
+        row.asset ? (
+          <button
+            type="button"
+            className="upgrade-link"
+            onClick={() => navigate(`/upgrade/${row.asset._id}`)}
+          >
+            {row.asset.name} ({row.asset.serialNumber})
+          </button>
+        ) : (
+          "--"
+        ),
+    },
+    {
+      header: "Branch",
+      key: "branchId",
+      render: (row) => row.branchId?.name || "--",
+    },
+    {
+      header: "Type",
+      key: "upgradeType",
+      render: (row) => (
+        <Badge variant="info" size="sm">
+          {row.upgradeType}
+        </Badge>
+      ),
+    },
+    { header: "Component", key: "component" },
+    { header: "Before", key: "before", render: (row) => row.before || "--" },
+    { header: "After", key: "after" },
+    { header: "Performed By", key: "performedBy", render: (row) => row.performedBy || "--" },
+    {
+      header: "Cost",
+      key: "cost",
+      render: (row) => (row.cost != null ? Number(row.cost).toFixed(2) : "--"),
+    },
+  ];
+
+  if (loading && upgrades.length === 0) {
+    return <PageLoader message="Loading upgrades..." />;
+  }
+
+  return (
+    <div className="upgrades-page">
+      <SetPageTitle title="Upgrade | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Upgrade</h2>
+      </div>
+
+      <section className="upgrade-toolbar">
+        <Button onClick={openForm}>+ Log Upgrade</Button>
+        <Select
+          name="typeFilter"
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          options={UPGRADE_TYPES.map((t) => ({ value: t, label: t }))}
+          placeholder="All upgrade types"
+        />
+      </section>
+
+      <Table
+        columns={columns}
+        data={upgrades}
+        pageSize={10}
+        showPagination={upgrades.length > 10}
+      />
+
+      {upgrades.length === 0 && <p className="upgrade-empty">No upgrades recorded yet.</p>}
+
+      {successMessage && <div className="upgrade-success">✓ {successMessage}</div>}
+
+      <Modal isOpen={form.isOpen} onClose={() => setForm(EMPTY_FORM)} title="Log Upgrade" size="sm">
+        <form onSubmit={handleSubmit} className="upgrade-form">
+          <Select
+            name="assetId"
+            label="Asset"
+            value={form.assetId}
+            onChange={(e) => handleAssetChange(e.target.value)}
+            options={assets.map((a) => ({
+              value: a._id,
+              label: `${a.name} — ${a.serialNumber}${a.assetTag ? ` / ${a.assetTag}` : ""}`,
+            }))}
+            placeholder={assets.length ? "Select asset" : "No assets available"}
+            required
+          />
+          <Select
+            name="upgradeType"
+            label="Upgrade Type"
+            value={form.upgradeType}
+            onChange={(e) => setForm((prev) => ({ ...prev, upgradeType: e.target.value, error: "" }))}
+            options={UPGRADE_TYPES.map((t) => ({ value: t, label: t }))}
+            placeholder="Select type"
+            required
+          />
+          {form.upgradeType === "other" && (
+            <Input
+              name="component"
+              label="Component"
+              value={form.component}
+              onChange={(e) => setForm((prev) => ({ ...prev, component: e.target.value, error: "" }))}
+              placeholder="e.g. battery, keyboard"
+              required
+            />
+          )}
+          {componentKey && form.assetId && (
+            <p className="upgrade-form__hint">
+              Current {componentKey}: <strong>{currentValue || "not recorded"}</strong>
+            </p>
+          )}
+          <Input
+            name="after"
+            label="New Value"
+            value={form.after}
+            onChange={(e) => setForm((prev) => ({ ...prev, after: e.target.value, error: "" }))}
+            placeholder="e.g. 16GB DDR4"
+            required
+          />
+          <Input
+            type="date"
+            name="performedAt"
+            label="Performed On"
+            value={form.performedAt}
+            onChange={(e) => setForm((prev) => ({ ...prev, performedAt: e.target.value }))}
+          />
+          <Input
+            name="performedBy"
+            label="Performed By"
+            value={form.performedBy}
+            onChange={(e) => setForm((prev) => ({ ...prev, performedBy: e.target.value }))}
+            placeholder="Technician or vendor"
+          />
+          <Input
+            type="number"
+            name="cost"
+            label="Cost"
+            value={form.cost}
+            onChange={(e) => setForm((prev) => ({ ...prev, cost: e.target.value }))}
+            min="0"
+            step="0.01"
+          />
+          <Textarea
+            name="notes"
+            label="Notes"
+            value={form.notes}
+            onChange={(e) => setForm((prev) => ({ ...prev, notes: e.target.value }))}
+            rows={2}
+          />
+
+          {form.error && <div className="upgrade-form__error">{form.error}</div>}
+
+          <div className="upgrade-form__actions">
+            <Button type="button" variant="secondary" onClick={() => setForm(EMPTY_FORM)} disabled={form.isSubmitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={form.isSubmitting}>
+              {form.isSubmitting ? "Saving..." : "Save"}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Upgrades;
@@ -198,6 +198,14 @@ const AddUser = () => {
       // Create user
       const result = await createNewUser(submitData);
 
+      // The temporary password is only returned now, so stay on the page until it is noted
+      if (result?.login?.temporaryPassword) {
+        setSuccessMessage(
+          `User created. Username: ${result.login.username} — temporary password: ${result.login.temporaryPassword} (shown only once, must be changed at first login)`
+        );
+        return;
+      }
+
       setSuccessMessage('User created successfully! Redirecting...');
 
       // Redirect after a short delay
@@ -0,0 +1,128 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchLockedAccounts, unlockUserAccount } from "../../services/userApi.js";
+import "./Users.css";
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "--");
+
+/**
+ * Accounts that are currently locked, by the automatic lockout or by an admin
+ */
+const LockedAccounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const loadAccounts = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setAccounts(await fetchLockedAccounts());
+      } catch (err) {
+        setError(err.message || "Failed to load locked accounts");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadAccounts();
+  }, [reloadKey]);
+
+  const handleUnlock = async (account) => {
+    if (!window.confirm(`Unlock the account of ${account.user.name}?`)) return;
+
+    try {
+      setBusyId(account.user._id);
+      setError(null);
+      await unlockUserAccount(account.user._id);
+      setSuccessMessage(`Account of ${account.user.name} unlocked`);
+      setTimeout(() => setSuccessMessage(null), 3000);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const columns = [
+    { header: "User ID", key: "userId", render: (row) => row.user.userId },
+    { header: "Name", key: "name", render: (row) => row.user.name },
+    { header: "Username", key: "username" },
+    {
+      header: "Lock",
+      key: "permanent",
+      render: (row) =>
+        row.permanent ? (
+          <Badge variant="danger" size="sm">
+            until unlocked
+          </Badge>
+        ) : (
+          <Badge variant="warning" size="sm">
+            until {formatDateTime(row.lockUntil)}
+          </Badge>
+        ),
+    },
+    { header: "Reason", key: "lockReason" },
+    {
+      header: "Locked",
+      key: "lockedAt",
+      render: (row) => (
+        <span>
+          {formatDateTime(row.lockedAt)}
+          {row.lockedBy && <span className="locked-accounts__by"> by {row.lockedBy.name}</span>}
+        </span>
+      ),
+    },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <Button size="sm" variant="primary" onClick={() => handleUnlock(row)} disabled={busyId === row.user._id}>
+          Unlock
+        </Button>
+      ),
+    },
+  ];
+
+  if (loading && accounts.length === 0) {
+    return <PageLoader message="Loading locked accounts..." />;
+  }
+
+  return (
+    <div className="users-page">
+      <SetPageTitle title="Locked Accounts | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Locked Accounts</h2>
+      </div>
+
+      <section className="users-actions">
+        <div className="users-actions__bar">
+          <Link to="/users" className="locked-accounts__back">
+            ← Back to users
+          </Link>
+        </div>
+      </section>
+
+      <div className="users-table">
+        <Table columns={columns} data={accounts} pageSize={20} showPagination={accounts.length > 20} />
+        {accounts.length === 0 && <p className="locked-accounts__empty">No accounts are locked.</p>}
+      </div>
+
+      {successMessage && <div className="locked-accounts__success">✓ {successMessage}</div>}
+    </div>
+  );
+};
+
+export default LockedAccounts;
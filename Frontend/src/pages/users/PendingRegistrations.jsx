@@ -0,0 +1,130 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchPendingRegistrations, approveRegistration, rejectRegistration } from "../../services/userApi.js";
+import "./Users.css";
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "--");
+
+/**
+ * Self-service sign-ups waiting for an admin (user:create) to approve or reject them
+ */
+const PendingRegistrations = () => {
+  const [registrations, setRegistrations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const loadRegistrations = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setRegistrations(await fetchPendingRegistrations());
+      } catch (err) {
+        setError(err.message || "Failed to load pending registrations");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRegistrations();
+  }, [reloadKey]);
+
+  const runAction = async (user, action, message) => {
+    try {
+      setBusyId(user._id);
+      setError(null);
+      await action();
+      setSuccessMessage(message);
+      setTimeout(() => setSuccessMessage(null), 3000);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleApprove = (user) => {
+    if (!window.confirm(`Approve ${user.name} (${user.email})? They will be able to log in.`)) return;
+    runAction(user, () => approveRegistration(user._id), `${user.name} can now log in`);
+  };
+
+  const handleReject = (user) => {
+    const reason = window.prompt(`Reject the registration of ${user.name}?\n\nReason (sent to the user, optional):`);
+    if (reason === null) return;
+    runAction(user, () => rejectRegistration(user._id, reason.trim()), `Registration of ${user.name} rejected`);
+  };
+
+  const columns = [
+    { header: "Name", key: "name" },
+    { header: "Email", key: "email" },
+    { header: "Phone", key: "phone_no", render: (row) => row.phone_no || "--" },
+    { header: "Designation", key: "designation", render: (row) => (row.designation !== "NA" && row.designation) || "--" },
+    {
+      header: "Organization",
+      key: "organizationId",
+      render: (row) => (
+        <span>
+          {row.organizationId?.name || "--"}
+          {row.branchId?.length > 0 && (
+            <span className="locked-accounts__by"> / {row.branchId.map((branch) => branch.name).join(", ")}</span>
+          )}
+        </span>
+      ),
+    },
+    { header: "Signed up", key: "createdAt", render: (row) => formatDateTime(row.createdAt) },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <div className="pending-registrations__actions">
+          <Button size="sm" variant="primary" onClick={() => handleApprove(row)} disabled={busyId === row._id}>
+            Approve
+          </Button>
+          <Button size="sm" variant="danger" onClick={() => handleReject(row)} disabled={busyId === row._id}>
+            Reject
+          </Button>
+        </div>
+      ),
+    },
+  ];
+
+  if (loading && registrations.length === 0) {
+    return <PageLoader message="Loading pending registrations..." />;
+  }
+
+  return (
+    <div className="users-page">
+      <SetPageTitle title="Pending Registrations | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Pending Registrations</h2>
+      </div>
+
+      <section className="users-actions">
+        <div className="users-actions__bar">
+          <Link to="/users" className="locked-accounts__back">
+            ← Back to users
+          </Link>
+        </div>
+      </section>
+
+      <div className="users-table">
+        <Table columns={columns} data={registrations} pageSize={20} showPagination={registrations.length > 20} />
+        {registrations.length === 0 && <p className="locked-accounts__empty">No registrations are waiting for approval.</p>}
+      </div>
+
+      {successMessage && <div className="locked-accounts__success">✓ {successMessage}</div>}
+    </div>
+  );
+};
+
+export default PendingRegistrations;
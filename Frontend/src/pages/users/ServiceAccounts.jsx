@@ -0,0 +1,409 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Table from "../../components/Table/Table.jsx";
+import Button from "../../components/Button/Button.jsx";
+import Badge from "../../components/Badge/Badge.jsx";
+import Input from "../../components/Input/Input.jsx";
+import Select from "../../components/Select/Select.jsx";
+import Checkbox from "../../components/Checkbox/Checkbox.jsx";
+import Modal from "../../components/Modal/Modal.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchOrganizations } from "../../services/organizationApi.js";
+import {
+  fetchServiceAccounts,
+  fetchGrantablePermissions,
+  createServiceAccount,
+  updateServiceAccount,
+  fetchApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../../services/serviceAccountApi.js";
+import "./Users.css";
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "--");
+
+const KEY_STATUS_VARIANTS = { active: "success", expired: "warning", revoked: "danger" };
+
+const EMPTY_ACCOUNT_FORM = { userId: "", name: "", organizationId: "", permissions: [], error: "", isSubmitting: false };
+const EMPTY_KEY_FORM = { name: "", expiresInDays: "90", permissions: [], error: "", isSubmitting: false };
+
+// Permission checkboxes, grouped by category
+const PermissionPicker = ({ permissions, selected, onChange }) => {
+  const categories = [...new Set(permissions.map((permission) => permission.category))];
+  const toggle = (key, checked) =>
+    onChange(checked ? [...selected, key] : selected.filter((permission) => permission !== key));
+
+  return (
+    <div className="service-accounts__permissions">
+      {categories.map((category) => (
+        <fieldset key={category} className="service-accounts__category">
+          <legend>{category.replace(/_/g, " ")}</legend>
+          {permissions
+            .filter((permission) => permission.category === category)
+            .map((permission) => (
+              <Checkbox
+                key={permission.key}
+                name={permission.key}
+                label={permission.key}
+                title={permission.description}
+                checked={selected.includes(permission.key)}
+                onChange={(e) => toggle(permission.key, e.target.checked)}
+              />
+            ))}
+        </fieldset>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Service accounts (machine-to-machine integrations) and their API keys
+ */
+const ServiceAccounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [grantable, setGrantable] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [accountForm, setAccountForm] = useState(null);
+  const [selectedAccountId, setSelectedAccountId] = useState(null);
+  const [keys, setKeys] = useState([]);
+  const [keyForm, setKeyForm] = useState(null);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const selectedAccount = accounts.find((account) => account._id === selectedAccountId) || null;
+
+  useEffect(() => {
+    const loadAccounts = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setAccounts(await fetchServiceAccounts());
+      } catch (err) {
+        setError(err.message || "Failed to load service accounts");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadAccounts();
+  }, [reloadKey]);
+
+  useEffect(() => {
+    fetchGrantablePermissions()
+      .then(setGrantable)
+      .catch(() => setGrantable([]));
+    // Users without organization:read create accounts in their own organization
+    fetchOrganizations({ isActive: true })
+      .then((data) => setOrganizations(data.items || []))
+      .catch(() => setOrganizations([]));
+  }, []);
+
+  useEffect(() => {
+    if (!selectedAccountId) return;
+    fetchApiKeys(selectedAccountId)
+      .then(setKeys)
+      .catch((err) => setError(err.message));
+  }, [selectedAccountId, reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const handleCreateAccount = async (e) => {
+    e.preventDefault();
+    setAccountForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+    try {
+      const { userId, name, organizationId, permissions } = accountForm;
+      const account = await createServiceAccount({
+        userId,
+        name,
+        permissions,
+        ...(organizationId && { organizationId }),
+      });
+      setAccountForm(null);
+      showSuccess(`Service account ${account.name} created`);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setAccountForm((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const handleToggleActive = async (account) => {
+    const action = account.isActive ? "Deactivate" : "Activate";
+    if (!window.confirm(`${action} ${account.name}?${account.isActive ? " All its API keys stop working." : ""}`)) return;
+
+    try {
+      setBusyId(account._id);
+      await updateServiceAccount(account._id, { isActive: !account.isActive });
+      showSuccess(`${account.name} ${account.isActive ? "deactivated" : "activated"}`);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreateKey = async (e) => {
+    e.preventDefault();
+    setKeyForm((prev) => ({ ...prev, error: "", isSubmitting: true }));
+    try {
+      const { name, expiresInDays, permissions } = keyForm;
+      const result = await createApiKey(selectedAccount._id, { name, expiresInDays, permissions });
+      setKeyForm(null);
+      setCreatedKey(result.apiKey);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setKeyForm((prev) => ({ ...prev, error: err.message, isSubmitting: false }));
+    }
+  };
+
+  const handleRevokeKey = async (key) => {
+    if (!window.confirm(`Revoke the API key "${key.name}" (${key.prefix})? Integrations using it stop working.`)) return;
+
+    try {
+      setBusyId(key.keyId);
+      await revokeApiKey(selectedAccount._id, key.keyId);
+      showSuccess(`API key ${key.name} revoked`);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const accountColumns = [
+    { header: "User ID", key: "userId" },
+    { header: "Name", key: "name" },
+    { header: "Organization", key: "organization", render: (row) => row.organizationId?.name || "--" },
+    { header: "Permissions", key: "permissions", render: (row) => (row.permissions || []).length },
+    { header: "Active Keys", key: "activeKeyCount" },
+    {
+      header: "Status",
+      key: "isActive",
+      render: (row) => (
+        <Badge variant={row.isActive ? "success" : "secondary"} size="sm">
+          {row.isActive ? "Active" : "Inactive"}
+        </Badge>
+      ),
+    },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) => (
+        <div className="service-accounts__actions">
+          <Button size="sm" variant="primary" onClick={() => setSelectedAccountId(row._id)}>
+            API Keys
+          </Button>
+          <Button size="sm" variant="secondary" onClick={() => handleToggleActive(row)} disabled={busyId === row._id}>
+            {row.isActive ? "Deactivate" : "Activate"}
+          </Button>
+        </div>
+      ),
+    },
+  ];
+
+  const keyColumns = [
+    { header: "Name", key: "name" },
+    { header: "Key", key: "prefix", render: (row) => <code>{row.prefix}…</code> },
+    { header: "Permissions", key: "permissions", render: (row) => row.permissions.join(", ") },
+    { header: "Expires", key: "expiresAt", render: (row) => (row.expiresAt ? formatDateTime(row.expiresAt) : "Never") },
+    {
+      header: "Last Used",
+      key: "lastUsedAt",
+      render: (row) => (row.lastUsedAt ? `${formatDateTime(row.lastUsedAt)} from ${row.lastUsedIp || "?"}` : "Never"),
+    },
+    {
+      header: "Status",
+      key: "status",
+      render: (row) => (
+        <Badge variant={KEY_STATUS_VARIANTS[row.status]} size="sm">
+          {row.status}
+        </Badge>
+      ),
+    },
+    {
+      header: "Actions",
+      key: "actions",
+      render: (row) =>
+        row.status === "revoked" ? (
+          <span className="locked-accounts__by">by {row.revokedBy?.name || "--"}</span>
+        ) : (
+          <Button size="sm" variant="danger" onClick={() => handleRevokeKey(row)} disabled={busyId === row.keyId}>
+            Revoke
+          </Button>
+        ),
+    },
+  ];
+
+  if (loading && accounts.length === 0) {
+    return <PageLoader message="Loading service accounts..." />;
+  }
+
+  // Keys can only grant what their account has
+  const keyPermissions = selectedAccount
+    ? grantable.filter((permission) => selectedAccount.permissions.includes(permission.key))
+    : [];
+
+  return (
+    <div className="users-page">
+      <SetPageTitle title="Service Accounts | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Service Accounts</h2>
+      </div>
+
+      <section className="users-actions">
+        <div className="users-actions__bar">
+          <Link to="/users" className="locked-accounts__back">
+            ← Back to users
+          </Link>
+          <Button
+            onClick={() => setAccountForm({ ...EMPTY_ACCOUNT_FORM })}
+            className="users-actions__btn users-actions__btn--add"
+          >
+            + New Service Account
+          </Button>
+        </div>
+      </section>
+
+      <div className="users-table">
+        <Table columns={accountColumns} data={accounts} pageSize={20} showPagination={accounts.length > 20} />
+        {accounts.length === 0 && <p className="locked-accounts__empty">No service accounts yet.</p>}
+      </div>
+
+      {selectedAccount && (
+        <section className="service-accounts__keys">
+          <div className="users-actions__bar">
+            <h3>API keys of {selectedAccount.name}</h3>
+            {selectedAccount.isActive && (
+              <Button size="sm" variant="primary" onClick={() => setKeyForm({ ...EMPTY_KEY_FORM })}>
+                + New API Key
+              </Button>
+            )}
+            <Button size="sm" variant="secondary" onClick={() => setSelectedAccountId(null)}>
+              Close
+            </Button>
+          </div>
+          <Table columns={keyColumns} data={keys} pageSize={20} showPagination={keys.length > 20} />
+          {keys.length === 0 && <p className="locked-accounts__empty">No API keys yet.</p>}
+        </section>
+      )}
+
+      <Modal isOpen={!!accountForm} onClose={() => setAccountForm(null)} title="New Service Account" size="lg">
+        {accountForm && (
+          <form onSubmit={handleCreateAccount} className="service-accounts__form">
+            <Input
+              name="userId"
+              label="Account ID"
+              placeholder="svc-hr-sync"
+              value={accountForm.userId}
+              onChange={(e) => setAccountForm((prev) => ({ ...prev, userId: e.target.value, error: "" }))}
+              required
+            />
+            <Input
+              name="name"
+              label="Name"
+              placeholder="HR system"
+              value={accountForm.name}
+              onChange={(e) => setAccountForm((prev) => ({ ...prev, name: e.target.value, error: "" }))}
+              required
+            />
+            {organizations.length > 1 && (
+              <Select
+                name="organizationId"
+                label="Organization"
+                placeholder="My organization"
+                value={accountForm.organizationId}
+                options={organizations.map((organization) => ({ value: organization._id, label: organization.name }))}
+                onChange={(e) => setAccountForm((prev) => ({ ...prev, organizationId: e.target.value, error: "" }))}
+              />
+            )}
+            <p className="service-accounts__hint">Permissions are the most this account's API keys can be given.</p>
+            <PermissionPicker
+              permissions={grantable}
+              selected={accountForm.permissions}
+              onChange={(permissions) => setAccountForm((prev) => ({ ...prev, permissions, error: "" }))}
+            />
+            {accountForm.error && <div className="service-accounts__error">{accountForm.error}</div>}
+            <div className="service-accounts__form-actions">
+              <Button type="button" variant="secondary" onClick={() => setAccountForm(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" disabled={accountForm.isSubmitting}>
+                {accountForm.isSubmitting ? "Creating..." : "Create"}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      <Modal isOpen={!!keyForm} onClose={() => setKeyForm(null)} title="New API Key" size="lg">
+        {keyForm && (
+          <form onSubmit={handleCreateKey} className="service-accounts__form">
+            <Input
+              name="keyName"
+              label="Name"
+              placeholder="Nightly HR import"
+              value={keyForm.name}
+              onChange={(e) => setKeyForm((prev) => ({ ...prev, name: e.target.value, error: "" }))}
+              required
+            />
+            <Input
+              type="number"
+              name="expiresInDays"
+              label="Valid for (days)"
+              min={1}
+              value={keyForm.expiresInDays}
+              onChange={(e) => setKeyForm((prev) => ({ ...prev, expiresInDays: e.target.value, error: "" }))}
+              required
+            />
+            <PermissionPicker
+              permissions={keyPermissions}
+              selected={keyForm.permissions}
+              onChange={(permissions) => setKeyForm((prev) => ({ ...prev, permissions, error: "" }))}
+            />
+            {keyForm.error && <div className="service-accounts__error">{keyForm.error}</div>}
+            <div className="service-accounts__form-actions">
+              <Button type="button" variant="secondary" onClick={() => setKeyForm(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" disabled={keyForm.isSubmitting}>
+                {keyForm.isSubmitting ? "Creating..." : "Create Key"}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      <Modal isOpen={!!createdKey} onClose={() => setCreatedKey(null)} title="API Key Created">
+        <p>Copy the key now. It is not stored and will not be shown again.</p>
+        <code className="service-accounts__secret">{createdKey}</code>
+        <p className="service-accounts__hint">
+          Send it as <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key: &lt;key&gt;</code>.
+        </p>
+        <div className="service-accounts__form-actions">
+          <Button variant="secondary" onClick={() => navigator.clipboard?.writeText(createdKey)}>
+            Copy
+          </Button>
+          <Button variant="primary" onClick={() => setCreatedKey(null)}>
+            Done
+          </Button>
+        </div>
+      </Modal>
+
+      {successMessage && <div className="locked-accounts__success">✓ {successMessage}</div>}
+    </div>
+  );
+};
+
+export default ServiceAccounts;
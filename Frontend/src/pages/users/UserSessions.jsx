@@ -0,0 +1,115 @@
+import { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import Button from "../../components/Button/Button.jsx";
+import { PageLoader } from "../../components/Loader/Loader.jsx";
+import { ErrorNotification } from "../../components/ErrorBoundary/ErrorNotification.jsx";
+import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { fetchUserSessions, signOutUserSession, signOutAllUserSessions } from "../../services/userApi.js";
+import SessionTable from "../security/SessionTable.jsx";
+import "./Users.css";
+import "../security/SecuritySettings.css";
+
+/**
+ * A user's devices for admins (user:disable): sign out one device or all of them
+ */
+const UserSessions = () => {
+  const { id } = useParams();
+  const [user, setUser] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await fetchUserSessions(id);
+        setUser(result.user);
+        setSessions(result.sessions || []);
+      } catch (err) {
+        setError(err.message || "Failed to load sessions");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadSessions();
+  }, [id, reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const handleSignOut = async (session) => {
+    if (!window.confirm(`Sign ${user?.name || "this user"} out of ${session.client?.label || "this device"}?`)) return;
+
+    try {
+      setBusyId(session.deviceId);
+      setError(null);
+      await signOutUserSession(id, session.deviceId);
+      showSuccess("Device signed out");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSignOutAll = async () => {
+    if (!window.confirm(`Sign ${user?.name || "this user"} out of every device?`)) return;
+
+    try {
+      setBusyId("all");
+      setError(null);
+      const result = await signOutAllUserSessions(id);
+      showSuccess(result?.message || "Signed out everywhere");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading && !user) {
+    return <PageLoader message="Loading sessions..." />;
+  }
+
+  const activeCount = sessions.filter((session) => session.active).length;
+
+  return (
+    <div className="users-page">
+      <SetPageTitle title="User Sessions | ABCD" />
+      {error && <ErrorNotification error={new Error(error)} onClose={() => setError(null)} />}
+
+      <div className="page-title">
+        <h2>Sessions{user ? ` - ${user.name} (${user.userId})` : ""}</h2>
+      </div>
+
+      <section className="users-actions">
+        <div className="users-actions__bar">
+          <Link to="/users" className="locked-accounts__back">
+            ← Back to users
+          </Link>
+          <Button variant="danger" onClick={handleSignOutAll} disabled={activeCount === 0 || busyId === "all"}>
+            Sign out everywhere
+          </Button>
+        </div>
+      </section>
+
+      <div className="users-table">
+        <SessionTable sessions={sessions} busyId={busyId} onSignOut={handleSignOut} />
+        {sessions.length === 0 && <p className="locked-accounts__empty">This user has not signed in yet.</p>}
+      </div>
+
+      {successMessage && <div className="locked-accounts__success">✓ {successMessage}</div>}
+    </div>
+  );
+};
+
+export default UserSessions;
@@ -13,12 +13,24 @@ import {
   enableUser,
   toggleCanLogin,
   changeUserPassword,
+  resetUserMfa,
+  fetchUserPasswordPolicy,
+  lockUserAccount,
 } from "../../services/userApi.js";
+import PasswordPolicyHints from "../../components/PasswordPolicyHints/PasswordPolicyHints.jsx";
+import { meetsPasswordPolicy } from "../../utils/passwordPolicy.js";
 import { exportToCSV } from "../../utils/exportToCSV.js";
 import { SetPageTitle } from "../../components/SetPageTitle/SetPageTitle.jsx";
+import { useAuth } from "../../hooks/useAuth.js";
 
 const Users = () => {
   const navigate = useNavigate();
+  const { user: currentUser, permissions = [], impersonation, startImpersonation } = useAuth();
+  const canResetCredentials = permissions.includes("*") || permissions.includes("user:change_password");
+  const canLockAccounts = permissions.includes("*") || permissions.includes("user:disable");
+  const canApproveRegistrations = permissions.includes("*") || permissions.includes("user:create");
+  const canManageServiceAccounts = permissions.includes("*") || permissions.includes("service_account:manage");
+  const canImpersonate = !impersonation && currentUser?.role === "super_admin" && permissions.includes("*");
 
   const [allUsers, setAllUsers] = useState([]);
   const [selectedRows, setSelectedRows] = useState([]);
@@ -37,8 +49,12 @@ const Users = () => {
     passwordError: '',
     isSubmitting: false,
     showPassword: false,
+    policy: null,
   });
 
+  // Credentials generated when login is enabled (temporary password is shown once)
+  const [newCredentials, setNewCredentials] = useState(null);
+
   const pageSize = 20;
 
   useEffect(() => {
@@ -122,11 +138,15 @@ const Users = () => {
                 ...u,
                 canLogin: canLogin,
                 // if backend returned a login object, merge username info
-                ...(res?.login ? { loginInfo: res.login } : {}),
+                ...(res?.login ? { loginInfo: { username: res.login.username } } : {}),
               }
             : u,
         ),
       );
+      if (res?.login?.temporaryPassword) {
+        const target = allUsers.find((u) => u._id === id);
+        setNewCredentials({ userName: target?.name, ...res.login });
+      }
     } catch (err) {
       console.error("Toggle login failed", err);
       setError(err.message || "Failed to toggle login");
@@ -161,6 +181,60 @@ const Users = () => {
   };
 
   // Open change password modal
+  const handleResetMfa = async (id, userName) => {
+    const confirmed = window.confirm(
+      `Reset multi-factor authentication for ${userName}? Their authenticator app and passkeys are removed and they will need to set them up again.`,
+    );
+    if (!confirmed) return;
+
+    try {
+      setError(null);
+      await resetUserMfa(id);
+      setSuccessMessage(`Multi-factor authentication reset for ${userName}`);
+      setTimeout(() => setSuccessMessage(null), 3000);
+    } catch (err) {
+      console.error("Reset MFA failed", err);
+      setError(err.message || "Failed to reset multi-factor authentication");
+    }
+  };
+
+  const handleLockAccount = async (id, userName) => {
+    const reason = window.prompt(
+      `Lock the account of ${userName}? They will be signed out everywhere until the account is unlocked.\n\nReason:`,
+    );
+    if (reason === null) return;
+
+    try {
+      setError(null);
+      await lockUserAccount(id, reason.trim() || undefined);
+      setSuccessMessage(`Account of ${userName} locked`);
+      setTimeout(() => setSuccessMessage(null), 3000);
+    } catch (err) {
+      console.error("Lock account failed", err);
+      setError(err.message || "Failed to lock account");
+    }
+  };
+
+  // Super admin only; every request made as the user is audited
+  const handleImpersonate = async (id, userName) => {
+    const reason = window.prompt(
+      `Act as ${userName}? You will see what they see; password, role and security changes are disabled.\n\nReason (required):`,
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError("A reason is required to act as another user");
+      return;
+    }
+
+    setError(null);
+    const result = await startImpersonation(id, reason.trim());
+    if (result.success) {
+      navigate("/");
+    } else {
+      setError(result.error);
+    }
+  };
+
   const handleOpenChangePasswordModal = (mongoId, displayUserId, userName) => {
     setChangePasswordModal({
       isOpen: true,
@@ -171,8 +245,16 @@ const Users = () => {
       passwordError: '',
       isSubmitting: false,
       showPassword: false,
+      policy: null,
     });
     setOpenMenuId(null);
+
+    // Rules of the user's organization, for the live hints
+    fetchUserPasswordPolicy(mongoId)
+      .then((policy) =>
+        setChangePasswordModal((prev) => (prev.mongoId === mongoId ? { ...prev, policy } : prev)),
+      )
+      .catch(() => {});
   };
 
   // Close change password modal
@@ -186,6 +268,7 @@ const Users = () => {
       passwordError: '',
       isSubmitting: false,
       showPassword: false,
+      policy: null,
     });
   };
 
@@ -200,10 +283,11 @@ const Users = () => {
       return;
     }
 
-    if (changePasswordModal.newPassword.length < 6) {
+    const { policy, newPassword, displayUserId, userName } = changePasswordModal;
+    if (policy && !meetsPasswordPolicy(newPassword, policy, { words: [displayUserId, userName] })) {
       setChangePasswordModal((prev) => ({
         ...prev,
-        passwordError: 'Password must be at least 6 characters',
+        passwordError: 'Password does not meet the password requirements',
       }));
       return;
     }
@@ -381,6 +465,58 @@ const Users = () => {
                       Change Password
                     </button>
                   )}
+
+                  {/* Show: Reset MFA - lost authenticator device */}
+                  {row.canLogin && canResetCredentials && (
+                    <button
+                      className="action-menu-item action-menu-item--warning"
+                      onClick={() => {
+                        handleResetMfa(row._id, row.name);
+                        setOpenMenuId(null);
+                      }}
+                    >
+                      Reset MFA
+                    </button>
+                  )}
+
+                  {/* Show: Sessions - signed-in devices, sign out */}
+                  {canLockAccounts && (
+                    <button
+                      className="action-menu-item action-menu-item--info"
+                      onClick={() => {
+                        navigate(`/users/${row._id}/sessions`);
+                        setOpenMenuId(null);
+                      }}
+                    >
+                      Sessions
+                    </button>
+                  )}
+
+                  {/* Show: Act as User - super admin impersonation */}
+                  {canImpersonate && row.canLogin && row.isActive && row.role !== "super_admin" && row._id !== currentUser?._id && (
+                    <button
+                      className="action-menu-item action-menu-item--info"
+                      onClick={() => {
+                        handleImpersonate(row._id, row.name);
+                        setOpenMenuId(null);
+                      }}
+                    >
+                      Act as User
+                    </button>
+                  )}
+
+                  {/* Show: Lock Account - until an admin unlocks it */}
+                  {row.canLogin && canLockAccounts && (
+                    <button
+                      className="action-menu-item action-menu-item--danger"
+                      onClick={() => {
+                        handleLockAccount(row._id, row.name);
+                        setOpenMenuId(null);
+                      }}
+                    >
+                      Lock Account
+                    </button>
+                  )}
                 </>
               )}
             </div>
@@ -456,6 +592,33 @@ const Users = () => {
               + Add New User
             </Button>
 
+            {canApproveRegistrations && (
+              <Button
+                onClick={() => navigate("/users/pending")}
+                className="users-actions__btn users-actions__btn--filter"
+              >
+                Pending Registrations
+              </Button>
+            )}
+
+            {canLockAccounts && (
+              <Button
+                onClick={() => navigate("/users/locked")}
+                className="users-actions__btn users-actions__btn--filter"
+              >
+                Locked Accounts
+              </Button>
+            )}
+
+            {canManageServiceAccounts && (
+              <Button
+                onClick={() => navigate("/users/service-accounts")}
+                className="users-actions__btn users-actions__btn--filter"
+              >
+                Service Accounts
+              </Button>
+            )}
+
             {/* <Button
               onClick={() => exportToCSV(allUsers, "users.csv")}
               className="users-actions__btn users-actions__btn--export"
@@ -503,6 +666,26 @@ const Users = () => {
         </div>
       )}
 
+      {/* New Login Credentials Modal (temporary password is only available now) */}
+      {newCredentials && (
+        <Modal isOpen={!!newCredentials} onClose={() => setNewCredentials(null)} title="Login Enabled" size="sm">
+          <p>
+            Share these credentials with {newCredentials.userName || 'the user'}. The temporary password
+            is shown only once and must be changed at first login.
+          </p>
+          <p>
+            <strong>Username:</strong> <code>{newCredentials.username}</code>
+            <br />
+            <strong>Temporary password:</strong> <code>{newCredentials.temporaryPassword}</code>
+          </p>
+          <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+            <Button type="button" variant="primary" onClick={() => setNewCredentials(null)}>
+              Done
+            </Button>
+          </div>
+        </Modal>
+      )}
+
       {/* Change Password Modal */}
       {changePasswordModal.isOpen && (
         <Modal isOpen={changePasswordModal.isOpen} onClose={handleCloseChangePasswordModal}>
@@ -535,7 +718,7 @@ const Users = () => {
                       passwordError: '',
                     }))
                   }
-                  placeholder="Enter new password (min 6 characters)"
+                  placeholder="Enter new password"
                   disabled={changePasswordModal.isSubmitting}
                   style={{
                     width: '100%',
@@ -579,6 +762,13 @@ const Users = () => {
                   {changePasswordModal.passwordError}
                 </div>
               )}
+              <div style={{ marginTop: '0.5rem' }}>
+                <PasswordPolicyHints
+                  policy={changePasswordModal.policy}
+                  password={changePasswordModal.newPassword}
+                  words={[changePasswordModal.displayUserId, changePasswordModal.userName]}
+                />
+              </div>
             </div>
 
             <div
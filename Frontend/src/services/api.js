@@ -55,9 +55,19 @@ API.interceptors.response.use(
       const isAuthEndpoint =
         url.startsWith('/auth/login') ||
         url.startsWith('/auth/refresh') ||
+        url.startsWith('/auth/mfa/') ||
+        url.startsWith('/auth/passkeys/') ||
+        url.startsWith('/auth/oidc/') ||
         url.startsWith('/auth/change-password')
 
-      if (!isAuthEndpoint) {
+      const impersonatorToken = sessionStorage.getItem('impersonatorToken')
+      if (!isAuthEndpoint && impersonatorToken) {
+        // Impersonation ended or expired - back to the admin's own session
+        sessionStorage.setItem('accessToken', impersonatorToken)
+        sessionStorage.removeItem('impersonatorToken')
+        sessionStorage.removeItem('impersonation')
+        window.location.href = '/users'
+      } else if (!isAuthEndpoint) {
         // Token expired or invalid - clear and redirect to login
         localStorage.removeItem('user')
         localStorage.removeItem('permissions')
@@ -66,6 +76,20 @@ API.interceptors.response.use(
       }
     }
 
+    if (status === 429) {
+      // Rate limited: keep the wait (seconds, from Retry-After) on the error and make
+      // sure callers showing error.response.data.message have something to show
+      const retryAfter = parseInt(error.response.headers?.['retry-after'], 10)
+      error.retryAfter = Number.isNaN(retryAfter) ? null : retryAfter
+      if (!error.response.data?.message) {
+        const wait = error.retryAfter ? `in ${error.retryAfter} seconds` : 'in a moment'
+        error.response.data = {
+          ...(typeof error.response.data === 'object' ? error.response.data : {}),
+          message: `Too many requests. Please try again ${wait}.`
+        }
+      }
+    }
+
     return Promise.reject(error)
   }
 )
@@ -76,16 +100,56 @@ export default API
 export const authAPI = {
   login: (loginId, password) =>
     API.post('/auth/login', { loginId, password }),
+  // Second login step: { code }, { recoveryCode } or { webauthn: credential }
+  verifyMfa: (mfaToken, factor) =>
+    API.post('/auth/mfa/verify', { mfaToken, ...factor }),
+  // Passkey sign-in options: passwordless without mfaToken, second factor with it
+  getPasskeyLoginOptions: (mfaToken = null) =>
+    API.post('/auth/passkeys/login/options', mfaToken ? { mfaToken } : {}),
+  loginWithPasskey: (credential) =>
+    API.post('/auth/passkeys/login', { credential }),
+  beginMfaEnrollment: (mfaToken) =>
+    API.post('/auth/mfa/enroll-challenge', { mfaToken }),
+  // Single sign-on: { enabled, providerName }; authorize returns the provider URL to redirect to
+  getOidcConfig: () =>
+    API.get('/auth/oidc/config'),
+  startOidcLogin: () =>
+    API.get('/auth/oidc/authorize'),
+  completeOidcLogin: (code, state) =>
+    API.post('/auth/oidc/callback', { code, state }),
+  // Self-service sign-up: mails a verification link (same response whether or not the email has an account)
   register: (userData) =>
     API.post('/auth/register', userData),
+  // Confirm a sign-up's email address; the account then waits for an admin's approval
+  verifyRegistration: (token) =>
+    API.post('/auth/register/verify', { token }),
   logout: () =>
     API.post('/auth/logout'),
   getProfile: () =>
-    API.get('/auth/profile'),
+    API.get('/auth/me'),
+  // Own profile: only { name, phone_no, designation } can be changed
+  updateProfile: (profile) =>
+    API.patch('/auth/me', profile),
   refreshToken: () =>
     API.post('/auth/refresh'),
   changePassword: (oldPassword, newPassword, confirmPassword) =>
-    API.post('/auth/change-password', { oldPassword, newPassword, confirmPassword })
+    API.post('/auth/change-password', { oldPassword, newPassword, confirmPassword }),
+  // Forgot password: same response whether or not the account exists
+  forgotPassword: (loginId) =>
+    API.post('/auth/forgot-password', { loginId }),
+  // Check a reset link; returns { valid, policy, expiresAt }
+  verifyResetToken: (token) =>
+    API.post('/auth/reset-password/verify', { token }),
+  resetPassword: (token, newPassword, confirmPassword) =>
+    API.post('/auth/reset-password', { token, newPassword, confirmPassword }),
+  // Password rules of the signed-in user's organization (for strength hints)
+  getPasswordPolicy: () =>
+    API.get('/auth/password-policy'),
+  // Super admin "act as user": returns { accessToken, user, permissions, impersonation }
+  startImpersonation: (userId, reason) =>
+    API.post('/auth/impersonation', { userId, reason }),
+  endImpersonation: () =>
+    API.post('/auth/impersonation/end')
 }
 
 // User API endpoints
@@ -103,7 +167,15 @@ export const organizationAPI = {
   getById: (id) => API.get(`/organizations/${id}`),
   create: (data) => API.post('/organizations', data),
   update: (id, data) => API.put(`/organizations/${id}`, data),
-  delete: (id) => API.delete(`/organizations/${id}`)
+  delete: (id) => API.delete(`/organizations/${id}`),
+  getPasswordPolicy: (id) => API.get(`/organizations/${id}/password-policy`),
+  updatePasswordPolicy: (id, data) => API.put(`/organizations/${id}/password-policy`, data),
+  getLdapSettings: (id) => API.get(`/organizations/${id}/ldap`),
+  updateLdapSettings: (id, data) => API.put(`/organizations/${id}/ldap`, data),
+  testLdapConnection: (id, loginId) => API.post(`/organizations/${id}/ldap/test`, { loginId }),
+  syncLdapDirectory: (id) => API.post(`/organizations/${id}/ldap/sync`),
+  getRegistrationSettings: (id) => API.get(`/organizations/${id}/registration`),
+  updateRegistrationSettings: (id, data) => API.put(`/organizations/${id}/registration`, data)
 }
 
 // Branch API endpoints
@@ -0,0 +1,43 @@
+import API from './api'
+
+export const ASSET_CATEGORIES = [
+  'laptop',
+  'desktop',
+  'monitor',
+  'printer',
+  'server',
+  'network',
+  'mobile',
+  'tablet',
+  'other',
+]
+
+export const fetchAssets = async (params = {}) => {
+  try {
+    const response = await API.get('/assets', { params: { limit: 100, ...params } })
+    return response.data?.data?.items || []
+  } catch (error) {
+    console.error('Failed to fetch assets:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch assets')
+  }
+}
+
+export const fetchAssetById = async (assetId) => {
+  try {
+    const response = await API.get(`/assets/${assetId}`)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to fetch asset:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch asset')
+  }
+}
+
+export const fetchAssetCustody = async (assetId) => {
+  try {
+    const response = await API.get(`/assets/${assetId}/custody`)
+    return response.data?.data || { events: [], periods: [] }
+  } catch (error) {
+    console.error('Failed to fetch custody history:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch custody history')
+  }
+}
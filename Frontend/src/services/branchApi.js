@@ -0,0 +1,62 @@
+import API, { branchAPI } from './api'
+
+export const fetchBranches = async (params = {}) => {
+  try {
+    const response = await API.get('/branches', { params: { limit: 200, ...params } })
+    return response.data?.data || { items: [], meta: { total: 0 } }
+  } catch (error) {
+    console.error('Failed to fetch branches:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch branches')
+  }
+}
+
+export const fetchBranchById = async (branchId) => {
+  try {
+    const response = await branchAPI.getById(branchId)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to fetch branch:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch branch')
+  }
+}
+
+export const createBranch = async (branchData) => {
+  try {
+    const response = await branchAPI.create(branchData)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to create branch:', error)
+    throw new Error(error.response?.data?.message || 'Failed to create branch')
+  }
+}
+
+export const updateBranch = async (branchId, branchData) => {
+  try {
+    const response = await branchAPI.update(branchId, branchData)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to update branch:', error)
+    throw new Error(error.response?.data?.message || 'Failed to update branch')
+  }
+}
+
+// Deactivating also deactivates users left without an active branch
+export const deactivateBranch = async (branchId) => {
+  try {
+    const response = await API.post(`/branches/${branchId}/deactivate`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to deactivate branch:', error)
+    throw new Error(error.response?.data?.message || 'Failed to deactivate branch')
+  }
+}
+
+export const activateBranch = async (branchId) => {
+  try {
+    const response = await API.post(`/branches/${branchId}/activate`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to activate branch:', error)
+    throw new Error(error.response?.data?.message || 'Failed to activate branch')
+  }
+}
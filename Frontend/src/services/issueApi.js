@@ -0,0 +1,71 @@
+import API from './api'
+
+export const fetchIssues = async (params = {}) => {
+  try {
+    const response = await API.get('/issues', { params: { limit: 200, ...params } })
+    return response.data?.data?.items || []
+  } catch (error) {
+    console.error('Failed to fetch issue requests:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch issue requests')
+  }
+}
+
+export const createIssue = async (issueData) => {
+  try {
+    const response = await API.post('/issues', issueData)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to create issue request:', error)
+    throw new Error(error.response?.data?.message || 'Failed to create issue request')
+  }
+}
+
+export const approveIssue = async (issueId, remarks = '') => {
+  try {
+    const response = await API.post(`/issues/${issueId}/approve`, { remarks })
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to approve issue request:', error)
+    throw new Error(error.response?.data?.message || 'Failed to approve issue request')
+  }
+}
+
+export const rejectIssue = async (issueId, reason) => {
+  try {
+    const response = await API.post(`/issues/${issueId}/reject`, { reason })
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to reject issue request:', error)
+    throw new Error(error.response?.data?.message || 'Failed to reject issue request')
+  }
+}
+
+export const handOverIssue = async (issueId, assetId, conditionNotes = '') => {
+  try {
+    const response = await API.post(`/issues/${issueId}/handover`, { assetId, conditionNotes })
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to hand over item:', error)
+    throw new Error(error.response?.data?.message || 'Failed to hand over item')
+  }
+}
+
+export const returnIssue = async (issueId, conditionNotes = '') => {
+  try {
+    const response = await API.post(`/issues/${issueId}/return`, { conditionNotes })
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to record return:', error)
+    throw new Error(error.response?.data?.message || 'Failed to record return')
+  }
+}
+
+export const cancelIssue = async (issueId) => {
+  try {
+    const response = await API.post(`/issues/${issueId}/cancel`)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to cancel issue request:', error)
+    throw new Error(error.response?.data?.message || 'Failed to cancel issue request')
+  }
+}
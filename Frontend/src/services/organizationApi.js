@@ -0,0 +1,143 @@
+import API, { organizationAPI } from './api'
+
+export const fetchOrganizations = async (params = {}) => {
+  try {
+    const response = await API.get('/organizations', { params: { limit: 200, ...params } })
+    return response.data?.data || { items: [], meta: { total: 0 } }
+  } catch (error) {
+    console.error('Failed to fetch organizations:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch organizations')
+  }
+}
+
+export const fetchOrganizationById = async (organizationId) => {
+  try {
+    const response = await organizationAPI.getById(organizationId)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to fetch organization:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch organization')
+  }
+}
+
+export const createOrganization = async (organizationData) => {
+  try {
+    const response = await organizationAPI.create(organizationData)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to create organization:', error)
+    throw new Error(error.response?.data?.message || 'Failed to create organization')
+  }
+}
+
+export const updateOrganization = async (organizationId, organizationData) => {
+  try {
+    const response = await organizationAPI.update(organizationId, organizationData)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to update organization:', error)
+    throw new Error(error.response?.data?.message || 'Failed to update organization')
+  }
+}
+
+// Deactivating cascades to the organization's branches and users
+export const deactivateOrganization = async (organizationId, reason = '') => {
+  try {
+    const response = await API.post(`/organizations/${organizationId}/deactivate`, { reason })
+    return response.data
+  } catch (error) {
+    console.error('Failed to deactivate organization:', error)
+    throw new Error(error.response?.data?.message || 'Failed to deactivate organization')
+  }
+}
+
+export const activateOrganization = async (organizationId) => {
+  try {
+    const response = await API.post(`/organizations/${organizationId}/activate`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to activate organization:', error)
+    throw new Error(error.response?.data?.message || 'Failed to activate organization')
+  }
+}
+
+export const fetchOrganizationPasswordPolicy = async (organizationId) => {
+  try {
+    const response = await organizationAPI.getPasswordPolicy(organizationId)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to fetch password policy:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch password policy')
+  }
+}
+
+export const updateOrganizationPasswordPolicy = async (organizationId, policy) => {
+  try {
+    const response = await organizationAPI.updatePasswordPolicy(organizationId, policy)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to update password policy:', error)
+    throw new Error(error.response?.data?.message || 'Failed to update password policy')
+  }
+}
+
+export const fetchOrganizationLdapSettings = async (organizationId) => {
+  try {
+    const response = await organizationAPI.getLdapSettings(organizationId)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to fetch directory settings:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch directory settings')
+  }
+}
+
+export const updateOrganizationLdapSettings = async (organizationId, settings) => {
+  try {
+    const response = await organizationAPI.updateLdapSettings(organizationId, settings)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to update directory settings:', error)
+    throw new Error(error.response?.data?.message || 'Failed to update directory settings')
+  }
+}
+
+export const testOrganizationLdapConnection = async (organizationId, loginId) => {
+  try {
+    const response = await organizationAPI.testLdapConnection(organizationId, loginId || undefined)
+    return response.data?.data
+  } catch (error) {
+    console.error('Directory connection test failed:', error)
+    throw new Error(error.response?.data?.message || 'Directory connection test failed')
+  }
+}
+
+export const syncOrganizationLdapDirectory = async (organizationId) => {
+  try {
+    const response = await organizationAPI.syncLdapDirectory(organizationId)
+    return response.data
+  } catch (error) {
+    console.error('Directory sync failed:', error)
+    throw new Error(error.response?.data?.message || 'Directory sync failed')
+  }
+}
+
+// Resolves to { mode, inviteCode, allowedDomains, branchId }
+export const fetchOrganizationRegistrationSettings = async (organizationId) => {
+  try {
+    const response = await organizationAPI.getRegistrationSettings(organizationId)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to fetch sign-up settings:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch sign-up settings')
+  }
+}
+
+export const updateOrganizationRegistrationSettings = async (organizationId, settings) => {
+  try {
+    const response = await organizationAPI.updateRegistrationSettings(organizationId, settings)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to update sign-up settings:', error)
+    throw new Error(error.response?.data?.message || 'Failed to update sign-up settings')
+  }
+}
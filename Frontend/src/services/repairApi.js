@@ -0,0 +1,63 @@
+import API from './api'
+
+export const REPAIR_STATUSES = ['reported', 'diagnosed', 'sent_to_vendor', 'repaired', 'unrepairable']
+
+export const REPAIR_STATUS_TRANSITIONS = {
+  reported: ['diagnosed', 'sent_to_vendor', 'repaired', 'unrepairable'],
+  diagnosed: ['sent_to_vendor', 'repaired', 'unrepairable'],
+  sent_to_vendor: ['repaired', 'unrepairable'],
+  repaired: [],
+  unrepairable: [],
+}
+
+export const REPAIR_PRIORITIES = ['low', 'medium', 'high', 'critical']
+
+export const fetchRepairTickets = async (params = {}) => {
+  try {
+    const response = await API.get('/repairs', { params: { limit: 200, ...params } })
+    return response.data?.data?.items || []
+  } catch (error) {
+    console.error('Failed to fetch repair tickets:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch repair tickets')
+  }
+}
+
+export const openRepairTicket = async (ticketData) => {
+  try {
+    const response = await API.post('/repairs', ticketData)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to open repair ticket:', error)
+    throw new Error(error.response?.data?.message || 'Failed to open repair ticket')
+  }
+}
+
+export const updateRepairTicket = async (ticketId, ticketData) => {
+  try {
+    const response = await API.put(`/repairs/${ticketId}`, ticketData)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to update repair ticket:', error)
+    throw new Error(error.response?.data?.message || 'Failed to update repair ticket')
+  }
+}
+
+export const assignRepairTicket = async (ticketId, assignment) => {
+  try {
+    const response = await API.post(`/repairs/${ticketId}/assign`, assignment)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to assign repair ticket:', error)
+    throw new Error(error.response?.data?.message || 'Failed to assign repair ticket')
+  }
+}
+
+export const changeRepairStatus = async (ticketId, statusData) => {
+  try {
+    const response = await API.post(`/repairs/${ticketId}/status`, statusData)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to change repair status:', error)
+    throw new Error(error.response?.data?.message || 'Failed to change repair status')
+  }
+}
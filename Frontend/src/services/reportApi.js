@@ -0,0 +1,162 @@
+import API from './api'
+
+// Error bodies of blob requests arrive as a Blob; read the JSON message out of it
+const readBlobError = async (error, fallback) => {
+  const data = error.response?.data
+  if (data instanceof Blob) {
+    try {
+      const body = JSON.parse(await data.text())
+      return body.message || fallback
+    } catch {
+      return fallback
+    }
+  }
+  return data?.message || fallback
+}
+
+// Save a blob response through the browser and return the file name
+const saveBlobResponse = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || ''
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName
+
+  const url = window.URL.createObjectURL(response.data)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  window.URL.revokeObjectURL(url)
+
+  return filename
+}
+
+const validationMessage = (error, fallback) =>
+  error.response?.data?.errors?.map((e) => e.message).join('; ') ||
+  error.response?.data?.message ||
+  fallback
+
+export const fetchReports = async () => {
+  try {
+    const response = await API.get('/reports')
+    return response.data?.data || []
+  } catch (error) {
+    console.error('Failed to fetch reports:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch reports')
+  }
+}
+
+export const runReport = async (reportId, params = {}) => {
+  try {
+    const response = await API.post(`/reports/${reportId}/run`, { params })
+    return response.data?.data || { columns: [], rows: [] }
+  } catch (error) {
+    console.error('Failed to run report:', error)
+    throw new Error(validationMessage(error, 'Failed to run report'))
+  }
+}
+
+// Downloads the export through the browser and returns the file name
+export const exportReport = async (reportId, format = 'csv', params = {}) => {
+  try {
+    const response = await API.post(`/reports/${reportId}/export`, { format, params }, { responseType: 'blob' })
+    return saveBlobResponse(response, `${reportId}.${format}`)
+  } catch (error) {
+    console.error('Failed to export report:', error)
+    throw new Error(await readBlobError(error, 'Failed to export report'))
+  }
+}
+
+// ===== Schedules =====
+
+export const fetchReportSchedules = async () => {
+  try {
+    const response = await API.get('/reports/schedules')
+    return response.data?.data || []
+  } catch (error) {
+    console.error('Failed to fetch report schedules:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch report schedules')
+  }
+}
+
+export const createReportSchedule = async (scheduleData) => {
+  try {
+    const response = await API.post('/reports/schedules', scheduleData)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to create report schedule:', error)
+    throw new Error(validationMessage(error, 'Failed to create report schedule'))
+  }
+}
+
+export const updateReportSchedule = async (scheduleId, scheduleData) => {
+  try {
+    const response = await API.patch(`/reports/schedules/${scheduleId}`, scheduleData)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to update report schedule:', error)
+    throw new Error(validationMessage(error, 'Failed to update report schedule'))
+  }
+}
+
+export const setReportSchedulePaused = async (scheduleId, paused) => {
+  try {
+    const response = await API.post(`/reports/schedules/${scheduleId}/${paused ? 'pause' : 'resume'}`)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to change report schedule:', error)
+    throw new Error(error.response?.data?.message || 'Failed to change report schedule')
+  }
+}
+
+export const runReportScheduleNow = async (scheduleId) => {
+  try {
+    const response = await API.post(`/reports/schedules/${scheduleId}/run`)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to run report schedule:', error)
+    throw new Error(error.response?.data?.message || 'Failed to run report schedule')
+  }
+}
+
+export const deleteReportSchedule = async (scheduleId) => {
+  try {
+    const response = await API.delete(`/reports/schedules/${scheduleId}`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to delete report schedule:', error)
+    throw new Error(error.response?.data?.message || 'Failed to delete report schedule')
+  }
+}
+
+// ===== Inbox =====
+
+export const fetchReportInbox = async (page = 1, limit = 50) => {
+  try {
+    const response = await API.get(`/reports/inbox?page=${page}&limit=${limit}`)
+    return response.data?.data || { items: [], meta: {} }
+  } catch (error) {
+    console.error('Failed to fetch report inbox:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch report inbox')
+  }
+}
+
+export const downloadInboxItem = async (item) => {
+  try {
+    const response = await API.get(`/reports/inbox/${item._id}/download`, { responseType: 'blob' })
+    return saveBlobResponse(response, item.filename || `${item.reportId}.${item.format}`)
+  } catch (error) {
+    console.error('Failed to download report:', error)
+    throw new Error(await readBlobError(error, 'Failed to download report'))
+  }
+}
+
+export const deleteInboxItem = async (itemId) => {
+  try {
+    const response = await API.delete(`/reports/inbox/${itemId}`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to delete inbox item:', error)
+    throw new Error(error.response?.data?.message || 'Failed to delete inbox item')
+  }
+}
@@ -0,0 +1,55 @@
+import API from './api'
+
+// The signed-in user's own sign-in security: authenticator app (TOTP), passkeys and sessions
+
+const request = async (call, failureMessage) => {
+  try {
+    const response = await call()
+    return response.data?.data
+  } catch (error) {
+    console.error(`${failureMessage}:`, error)
+    throw new Error(error.response?.data?.message || failureMessage)
+  }
+}
+
+// Resolves to { enabled, enabledAt, required, recoveryCodesRemaining, passkeyCount }
+export const fetchMfaStatus = () =>
+  request(() => API.get('/auth/mfa'), 'Failed to fetch two-factor status')
+
+// Resolves to { secret, otpauthUri }
+export const beginMfaSetup = () =>
+  request(() => API.post('/auth/mfa/enroll'), 'Failed to start authenticator setup')
+
+// Resolves to { recoveryCodes } (shown once)
+export const activateMfa = (code) =>
+  request(() => API.post('/auth/mfa/activate', { code }), 'Failed to enable two-factor authentication')
+
+export const disableMfa = (password, code) =>
+  request(() => API.post('/auth/mfa/disable', { password, code }), 'Failed to disable two-factor authentication')
+
+// Resolves to { recoveryCodes } (shown once)
+export const regenerateRecoveryCodes = (code) =>
+  request(() => API.post('/auth/mfa/recovery-codes', { code }), 'Failed to generate recovery codes')
+
+export const fetchPasskeys = () =>
+  request(() => API.get('/auth/passkeys'), 'Failed to fetch passkeys')
+
+export const fetchPasskeyRegistrationOptions = () =>
+  request(() => API.post('/auth/passkeys/register/options'), 'Failed to start passkey registration')
+
+export const registerPasskey = (credential, name) =>
+  request(() => API.post('/auth/passkeys/register', { credential, name }), 'Failed to add passkey')
+
+export const removePasskey = (credentialId) =>
+  request(() => API.delete(`/auth/passkeys/${encodeURIComponent(credentialId)}`), 'Failed to remove passkey')
+
+// Resolves to { devices } - most recently seen first, the requesting device flagged as current
+export const fetchSessions = () =>
+  request(() => API.get('/auth/devices'), 'Failed to fetch sessions')
+
+export const signOutSession = (deviceId) =>
+  request(() => API.delete(`/auth/devices/${encodeURIComponent(deviceId)}`), 'Failed to sign out device')
+
+// Resolves to { revoked }
+export const signOutOtherSessions = () =>
+  request(() => API.post('/auth/devices/revoke-others'), 'Failed to sign out other devices')
@@ -0,0 +1,35 @@
+import API from './api'
+
+// Service accounts and their API keys (machine-to-machine access)
+
+const request = async (call, failureMessage) => {
+  try {
+    const response = await call()
+    return response.data?.data
+  } catch (error) {
+    console.error(`${failureMessage}:`, error)
+    throw new Error(error.response?.data?.message || failureMessage)
+  }
+}
+
+export const fetchServiceAccounts = () =>
+  request(() => API.get('/service-accounts'), 'Failed to fetch service accounts')
+
+export const fetchGrantablePermissions = () =>
+  request(() => API.get('/service-accounts/permissions'), 'Failed to fetch permissions')
+
+export const createServiceAccount = (data) =>
+  request(() => API.post('/service-accounts', data), 'Failed to create service account')
+
+export const updateServiceAccount = (id, data) =>
+  request(() => API.patch(`/service-accounts/${id}`, data), 'Failed to update service account')
+
+export const fetchApiKeys = (id) =>
+  request(() => API.get(`/service-accounts/${id}/keys`), 'Failed to fetch API keys')
+
+// Resolves to { apiKey, key }; apiKey is only ever returned here
+export const createApiKey = (id, data) =>
+  request(() => API.post(`/service-accounts/${id}/keys`, data), 'Failed to create API key')
+
+export const revokeApiKey = (id, keyId) =>
+  request(() => API.post(`/service-accounts/${id}/keys/${keyId}/revoke`), 'Failed to revoke API key')
@@ -0,0 +1,62 @@
+import API from './api'
+
+export const fetchStockItems = async (params = {}) => {
+  try {
+    const response = await API.get('/stock/items', { params: { limit: 200, ...params } })
+    return response.data?.data?.items || []
+  } catch (error) {
+    console.error('Failed to fetch stock items:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch stock items')
+  }
+}
+
+export const createStockItem = async (itemData) => {
+  try {
+    const response = await API.post('/stock/items', itemData)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to create stock item:', error)
+    throw new Error(error.response?.data?.message || 'Failed to create stock item')
+  }
+}
+
+export const updateStockItem = async (itemId, itemData) => {
+  try {
+    const response = await API.put(`/stock/items/${itemId}`, itemData)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to update stock item:', error)
+    throw new Error(error.response?.data?.message || 'Failed to update stock item')
+  }
+}
+
+// movementType: 'stock-in' | 'stock-out' | 'issue' | 'return'
+export const recordStockMovement = async (itemId, movementType, movementData) => {
+  try {
+    const response = await API.post(`/stock/items/${itemId}/${movementType}`, movementData)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to record stock movement:', error)
+    throw new Error(error.response?.data?.message || 'Failed to record stock movement')
+  }
+}
+
+export const fetchStockMovements = async (params = {}) => {
+  try {
+    const response = await API.get('/stock/movements', { params: { limit: 100, ...params } })
+    return response.data?.data?.items || []
+  } catch (error) {
+    console.error('Failed to fetch stock movements:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch stock movements')
+  }
+}
+
+export const fetchUserStockHoldings = async (userId) => {
+  try {
+    const response = await API.get(`/stock/holdings/${userId}`)
+    return response.data?.data?.items || []
+  } catch (error) {
+    console.error('Failed to fetch user stock holdings:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch user stock holdings')
+  }
+}
@@ -0,0 +1,33 @@
+import API from './api'
+
+export const UPGRADE_TYPES = ['ram', 'storage', 'os', 'cpu', 'gpu', 'other']
+
+export const fetchUpgrades = async (params = {}) => {
+  try {
+    const response = await API.get('/upgrades', { params: { limit: 200, ...params } })
+    return response.data?.data?.items || []
+  } catch (error) {
+    console.error('Failed to fetch upgrades:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch upgrades')
+  }
+}
+
+export const fetchAssetUpgrades = async (assetId) => {
+  try {
+    const response = await API.get(`/upgrades/asset/${assetId}`)
+    return response.data?.data || { purchaseSpecification: {}, currentConfiguration: {}, upgrades: [] }
+  } catch (error) {
+    console.error('Failed to fetch asset upgrade timeline:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch asset upgrade timeline')
+  }
+}
+
+export const recordUpgrade = async (upgradeData) => {
+  try {
+    const response = await API.post('/upgrades', upgradeData)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to record upgrade:', error)
+    throw new Error(error.response?.data?.message || 'Failed to record upgrade')
+  }
+}
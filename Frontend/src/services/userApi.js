@@ -1,4 +1,5 @@
 import API from './api'
+import { getPasswordErrorMessage } from '../utils/passwordPolicy'
 
 export const fetchAllUsers = async (limit = 100, page = 1) => {
   try {
@@ -125,6 +126,120 @@ export const changeUserPassword = async (userId, newPassword) => {
     return response.data?.data || response.data
   } catch (error) {
     console.error('Failed to change password:', error)
-    throw new Error(error.response?.data?.message || 'Failed to change password')
+    throw new Error(getPasswordErrorMessage(error, 'Failed to change password'))
+  }
+}
+
+// Password policy that applies to the user (for hints in the change-password form)
+export const fetchUserPasswordPolicy = async (userId) => {
+  try {
+    const response = await API.get(`/users/${userId}/password-policy`)
+    return response.data?.data
+  } catch (error) {
+    console.error('Failed to fetch password policy:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch password policy')
+  }
+}
+
+export const resetUserMfa = async (userId) => {
+  try {
+    const response = await API.post(`/users/${userId}/reset-mfa`)
+    return response.data?.data || response.data
+  } catch (error) {
+    console.error('Failed to reset MFA:', error)
+    throw new Error(error.response?.data?.message || 'Failed to reset multi-factor authentication')
+  }
+}
+
+// Accounts currently locked (automatic lockout or by an admin), with reasons
+export const fetchLockedAccounts = async () => {
+  try {
+    const response = await API.get('/auth/locked-accounts')
+    return response.data?.data || []
+  } catch (error) {
+    console.error('Failed to fetch locked accounts:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch locked accounts')
+  }
+}
+
+export const lockUserAccount = async (userId, reason) => {
+  try {
+    const response = await API.post('/auth/lock-account', { userId, reason })
+    return response.data
+  } catch (error) {
+    console.error('Failed to lock account:', error)
+    throw new Error(error.response?.data?.message || 'Failed to lock account')
+  }
+}
+
+export const unlockUserAccount = async (userId) => {
+  try {
+    const response = await API.post('/auth/unlock-account', { userId })
+    return response.data
+  } catch (error) {
+    console.error('Failed to unlock account:', error)
+    throw new Error(error.response?.data?.message || 'Failed to unlock account')
+  }
+}
+
+// A user's devices (sessions) - resolves to { user, sessions }
+export const fetchUserSessions = async (userId) => {
+  try {
+    const response = await API.get(`/auth/users/${userId}/devices`)
+    return response.data?.data || { user: null, sessions: [] }
+  } catch (error) {
+    console.error('Failed to fetch sessions:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch sessions')
+  }
+}
+
+export const signOutUserSession = async (userId, deviceId) => {
+  try {
+    const response = await API.delete(`/auth/users/${userId}/devices/${encodeURIComponent(deviceId)}`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to sign out device:', error)
+    throw new Error(error.response?.data?.message || 'Failed to sign out device')
+  }
+}
+
+export const signOutAllUserSessions = async (userId) => {
+  try {
+    const response = await API.post(`/auth/users/${userId}/devices/revoke-all`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to sign out all devices:', error)
+    throw new Error(error.response?.data?.message || 'Failed to sign out all devices')
+  }
+}
+
+// Self-service sign-ups waiting for approval
+export const fetchPendingRegistrations = async () => {
+  try {
+    const response = await API.get('/users/pending')
+    return response.data?.data || []
+  } catch (error) {
+    console.error('Failed to fetch pending registrations:', error)
+    throw new Error(error.response?.data?.message || 'Failed to fetch pending registrations')
+  }
+}
+
+export const approveRegistration = async (userId) => {
+  try {
+    const response = await API.post(`/users/${userId}/approve`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to approve registration:', error)
+    throw new Error(error.response?.data?.message || 'Failed to approve registration')
+  }
+}
+
+export const rejectRegistration = async (userId, reason) => {
+  try {
+    const response = await API.post(`/users/${userId}/reject`, { reason })
+    return response.data
+  } catch (error) {
+    console.error('Failed to reject registration:', error)
+    throw new Error(error.response?.data?.message || 'Failed to reject registration')
   }
 }
@@ -0,0 +1,78 @@
+/**
+ * Password Policy Helper
+ *
+ * Mirrors the backend password policy rules so forms can show live hints.
+ * The backend remains the authority: it also checks password reuse, which
+ * cannot be done here.
+ */
+
+/**
+ * Rules of a policy as { rule, label, test(password) }
+ * @param {Object} policy - Policy from GET /auth/password-policy (or the user/organization variants)
+ * @param {Object} context - { words: [username, name, ...] } for the user-info rule
+ * @returns {Array<Object>}
+ */
+export const getPasswordRules = (policy, context = {}) => {
+  if (!policy) return [];
+
+  const words = (context.words || [])
+    .flatMap((word) => String(word || "").toLowerCase().split(/\s+/))
+    .filter((word) => word.length >= 3);
+
+  return [
+    {
+      rule: "minLength",
+      label: `At least ${policy.minLength} characters`,
+      test: (password) => password.length >= policy.minLength,
+    },
+    policy.requireUppercase && {
+      rule: "requireUppercase",
+      label: "An uppercase letter",
+      test: (password) => /[A-Z]/.test(password),
+    },
+    policy.requireLowercase && {
+      rule: "requireLowercase",
+      label: "A lowercase letter",
+      test: (password) => /[a-z]/.test(password),
+    },
+    policy.requireNumber && {
+      rule: "requireNumber",
+      label: "A number",
+      test: (password) => /[0-9]/.test(password),
+    },
+    policy.requireSymbol && {
+      rule: "requireSymbol",
+      label: "A symbol",
+      test: (password) => /[^A-Za-z0-9]/.test(password),
+    },
+    policy.disallowUserInfo && {
+      rule: "disallowUserInfo",
+      label: "No username, user ID, email or name",
+      test: (password) => !words.some((word) => password.toLowerCase().includes(word)),
+    },
+  ].filter(Boolean);
+};
+
+/**
+ * Whether a password passes every rule that can be checked client-side
+ * @param {string} password
+ * @param {Object} policy
+ * @param {Object} context - { words }
+ * @returns {boolean}
+ */
+export const meetsPasswordPolicy = (password, policy, context = {}) =>
+  getPasswordRules(policy, context).every(({ test }) => test(password || ""));
+
+/**
+ * One message from an apiError response: the first broken rule, else the message
+ * @param {Object} error - axios error
+ * @param {string} fallback
+ * @returns {string}
+ */
+export const getPasswordErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  if (data?.errors?.length) {
+    return data.errors.map((item) => item.message).join(". ");
+  }
+  return data?.message || error.message || fallback;
+};
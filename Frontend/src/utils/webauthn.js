@@ -0,0 +1,94 @@
+/**
+ * WebAuthn (passkey) browser helpers
+ *
+ * The API sends ceremony options with binary values as base64url strings and
+ * expects the resulting credential the same way; these helpers convert
+ * between that JSON and the ArrayBuffers navigator.credentials works with.
+ */
+
+const toBuffer = (base64url) => {
+  const base64 = base64url.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "="));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0)).buffer;
+};
+
+const toBase64url = (buffer) => {
+  if (!buffer) return null;
+  const binary = String.fromCharCode(...new Uint8Array(buffer));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const toDescriptors = (descriptors = []) =>
+  descriptors.map((descriptor) => ({ ...descriptor, id: toBuffer(descriptor.id) }));
+
+/**
+ * Whether this browser can use passkeys
+ * @returns {boolean}
+ */
+export const isPasskeySupported = () =>
+  typeof window !== "undefined" && !!window.PublicKeyCredential && !!navigator.credentials;
+
+/**
+ * Run the registration ceremony
+ * @param {Object} options - Creation options from POST /auth/passkeys/register/options
+ * @returns {Promise<Object>} - Credential JSON for POST /auth/passkeys/register
+ */
+export const createPasskey = async (options) => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      user: { ...options.user, id: toBuffer(options.user.id) },
+      excludeCredentials: toDescriptors(options.excludeCredentials),
+    },
+  });
+
+  return {
+    id: credential.id,
+    rawId: toBase64url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64url(credential.response.clientDataJSON),
+      attestationObject: toBase64url(credential.response.attestationObject),
+      transports: credential.response.getTransports?.() || [],
+    },
+  };
+};
+
+/**
+ * Run the authentication ceremony
+ * @param {Object} options - Request options from POST /auth/passkeys/login/options
+ * @returns {Promise<Object>} - Credential JSON for POST /auth/passkeys/login or /auth/mfa/verify
+ */
+export const getPasskeyAssertion = async (options) => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      allowCredentials: toDescriptors(options.allowCredentials),
+    },
+  });
+
+  return {
+    id: credential.id,
+    rawId: toBase64url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64url(credential.response.clientDataJSON),
+      authenticatorData: toBase64url(credential.response.authenticatorData),
+      signature: toBase64url(credential.response.signature),
+      userHandle: toBase64url(credential.response.userHandle),
+    },
+  };
+};
+
+/**
+ * Message for a failed ceremony (the user closing the browser dialog is not an error worth detail)
+ * @param {Error} error
+ * @returns {string}
+ */
+export const describePasskeyError = (error) => {
+  if (error?.name === "NotAllowedError") return "The passkey request was cancelled or timed out.";
+  if (error?.name === "InvalidStateError") return "This passkey is already registered.";
+  return error?.response?.data?.message || error?.message || "Passkey request failed";
+};